@@ -1,8 +1,9 @@
 /**
  * 🔌 QdrantConnector - Conexão REAL com Qdrant Vector Database
  * 
- * Conecta com a instância real em http://qdr.vcia.com.br:6333
- * Collection: knowledge_consolidator
+ * Conecta com a instância do perfil ativo em KC.QdrantProfiles
+ * (js/config/QdrantProfiles.js). Sem o módulo de perfis, usa a VPS
+ * http://qdr.vcia.com.br:6333 / knowledge_consolidator.
  * 
  * ESTRUTURA COMPLETA DOS CAMPOS MAPEADOS DO QDRANT:
  * 
@@ -77,9 +78,10 @@
 
 class QdrantConnector {
     constructor() {
-        // Configuração REAL do Qdrant
+        // Configuração REAL do Qdrant (padrão quando não há perfis)
         this.baseURL = 'http://qdr.vcia.com.br:6333';
         this.collection = 'knowledge_consolidator';
+        this.apiKey = null;
         this.connected = false;
         this.lastError = null;
         
@@ -87,9 +89,42 @@ class QdrantConnector {
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutos
         
+        const profiles = window.KnowledgeConsolidator?.QdrantProfiles;
+        if (profiles) {
+            this.applyProfile(profiles.getActive());
+            profiles.onChange(profile => {
+                this.applyProfile(profile);
+                this.checkConnection();
+            });
+        }
+        
         this.init();
     }
     
+    /**
+     * Aplica perfil de conexão compartilhado (KC.QdrantProfiles)
+     */
+    applyProfile(profile) {
+        if (!profile) return;
+        
+        this.baseURL = profile.url;
+        this.collection = profile.collection;
+        this.apiKey = profile.apiKey || null;
+        this.connected = false;
+        this.clearCache();
+    }
+    
+    /**
+     * Headers das requisições (inclui api-key quando o perfil define uma)
+     */
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['api-key'] = this.apiKey;
+        }
+        return headers;
+    }
+    
     async init() {
         console.log('🔌 QdrantConnector: Conectando ao Qdrant...');
         await this.checkConnection();
@@ -102,7 +137,7 @@ class QdrantConnector {
         try {
             const response = await fetch(`${this.baseURL}/collections/${this.collection}`, {
                 method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
+                headers: this.getHeaders()
             });
             
             if (response.ok) {
@@ -179,7 +214,7 @@ class QdrantConnector {
             
             const response = await fetch(`${this.baseURL}/collections/${this.collection}/points/scroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getHeaders(),
                 body: JSON.stringify(body)
             });
             
@@ -330,7 +365,7 @@ class QdrantConnector {
         try {
             const response = await fetch(`${this.baseURL}/collections/${this.collection}/points/search`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getHeaders(),
                 body: JSON.stringify({
                     vector: vector,
                     limit: limit,
@@ -378,7 +413,7 @@ class QdrantConnector {
         try {
             const response = await fetch(`${this.baseURL}/collections/${this.collection}`, {
                 method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
+                headers: this.getHeaders()
             });
             
             if (response.ok) {
@@ -36,9 +36,8 @@ class IntelligenceLab {
             console.log('🚀 Inicializando Intelligence Lab...');
             
             // Configurar valores padrão
+            // URL e coleção vêm do perfil ativo (KC.QdrantProfiles) quando não informados
             const defaultConfig = {
-                qdrantUrl: 'http://qdr.vcia.com.br:6333',
-                collection: 'knowledge_consolidator',
                 cache: true
             };
             
@@ -9,6 +9,7 @@ class QdrantConnector {
     constructor() {
         this.baseUrl = null;
         this.collection = null;
+        this.apiKey = null;
         this.connected = false;
         this.cache = new Map();
         this.connectionPromise = null;
@@ -17,8 +18,9 @@ class QdrantConnector {
     /**
      * Inicializa conexão com Qdrant
      * @param {Object} config - Configuração de conexão
-     * @param {string} config.url - URL do servidor Qdrant
-     * @param {string} config.collection - Nome da coleção
+     * @param {string} [config.url] - URL do servidor Qdrant (padrão: perfil ativo)
+     * @param {string} [config.collection] - Nome da coleção (padrão: perfil ativo)
+     * @param {string} [config.apiKey] - API key (padrão: perfil ativo)
      * @returns {Promise<boolean>} Status da conexão
      */
     async initialize(config) {
@@ -32,11 +34,17 @@ class QdrantConnector {
 
     async _connect(config) {
         try {
-            this.baseUrl = config.url || 'http://qdr.vcia.com.br:6333';
-            this.collection = config.collection || 'knowledge_consolidator';
+            // Perfil compartilhado (js/config/QdrantProfiles.js), se carregado
+            const profile = window.KnowledgeConsolidator?.QdrantProfiles?.getActive() || {};
+
+            this.baseUrl = config.url || profile.url || 'http://qdr.vcia.com.br:6333';
+            this.collection = config.collection || profile.collection || 'knowledge_consolidator';
+            this.apiKey = config.apiKey || profile.apiKey || null;
 
             // Verificar conexão
-            const response = await fetch(`${this.baseUrl}/collections/${this.collection}`);
+            const response = await fetch(`${this.baseUrl}/collections/${this.collection}`, {
+                headers: this._headers()
+            });
             
             if (!response.ok) {
                 throw new Error(`Falha ao conectar: ${response.status} ${response.statusText}`);
@@ -81,7 +89,7 @@ class QdrantConnector {
 
             const response = await fetch(`${this.baseUrl}/collections/${this.collection}/points/scroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this._headers(),
                 body: JSON.stringify(body)
             });
 
@@ -122,7 +130,7 @@ class QdrantConnector {
 
             const response = await fetch(`${this.baseUrl}/collections/${this.collection}/points/scroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this._headers(),
                 body: JSON.stringify(body)
             });
 
@@ -164,7 +172,7 @@ class QdrantConnector {
 
             const response = await fetch(`${this.baseUrl}/collections/${this.collection}/points/search`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this._headers(),
                 body: JSON.stringify(body)
             });
 
@@ -221,7 +229,9 @@ class QdrantConnector {
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/collections/${this.collection}`);
+            const response = await fetch(`${this.baseUrl}/collections/${this.collection}`, {
+                headers: this._headers()
+            });
             const data = await response.json();
             
             return {
@@ -236,6 +246,18 @@ class QdrantConnector {
         }
     }
 
+    /**
+     * Headers das requisições ao Qdrant
+     * @private
+     */
+    _headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['api-key'] = this.apiKey;
+        }
+        return headers;
+    }
+
     /**
      * Limpa cache interno
      */
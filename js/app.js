@@ -87,6 +87,7 @@
             'TripleStoreManager',
             'TripleStoreService',
             'TripleSchema',
+            'CategorySuggestionService',
             'EmbeddingService',
             'QdrantService',
             'QdrantExplorer',
@@ -394,6 +395,12 @@
                 await KC.RefinementIndicator.initialize();
                 console.log('RefinementIndicator inicializado');
             }
+
+            // Sugestão de categorias: ativa o TripleStore que registra as decisões de curadoria
+            if (KC.CategorySuggestionService) {
+                await KC.CategorySuggestionService.initialize();
+                console.log('CategorySuggestionService inicializado');
+            }
             
             // 🚀 UNIFIED CONFIDENCE SYSTEM - WEEK 1 + WEEK 2
             console.log('🎯 Inicializando UnifiedConfidenceSystem completo...');
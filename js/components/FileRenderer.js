@@ -2872,6 +2872,11 @@ Modificado: ${meta.lastModified ? new Date(meta.lastModified).toLocaleDateString
                                 title="Categorizar arquivos selecionados (Ctrl+K)">
                             📂 Categorizar
                         </button>
+                        <button class="bulk-action-btn" 
+                                onclick="KC.FileRenderer.bulkSuggestCategories()"
+                                title="Sugerir categorias aprendidas com a curadoria">
+                            💡 Sugerir Categorias
+                        </button>
                         <button class="bulk-action-btn" 
                                 onclick="KC.FileRenderer.bulkAnalyze()"
                                 title="Analisar arquivos com IA (Ctrl+I)">
@@ -3147,6 +3152,103 @@ Modificado: ${meta.lastModified ? new Date(meta.lastModified).toLocaleDateString
             }, 100);
         }
         
+        /**
+         * Sugestões de categoria para os arquivos selecionados (CategorySuggestionService)
+         * O curador marca as sugestões e aceita ou rejeita todas de uma vez
+         */
+        async bulkSuggestCategories() {
+            if (this.selectedFiles.size === 0 || !KC.CategorySuggestionService) return;
+
+            const results = await KC.CategorySuggestionService.suggest(Array.from(this.selectedFiles));
+            const withSuggestions = results.filter(result => result.suggestions.length > 0);
+
+            if (withSuggestions.length === 0) {
+                KC.showNotification({
+                    type: 'info',
+                    message: 'Nenhuma sugestão de categoria',
+                    details: 'Categorize alguns arquivos manualmente para treinar as sugestões'
+                });
+                return;
+            }
+
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay';
+            modal.innerHTML = `
+                <div class="modal-content category-modal">
+                    <div class="modal-header">
+                        <h3>💡 Sugestões para ${withSuggestions.length} arquivo(s)</h3>
+                        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="category-section">
+                            ${withSuggestions.map(result => `
+                                <h4 class="suggestion-file">${this.escapeHtml(result.fileName)}</h4>
+                                <div class="category-list">
+                                    ${result.suggestions.map(suggestion => `
+                                        <label class="category-option">
+                                            <input type="checkbox" checked
+                                                   data-file-id="${result.fileId}" value="${suggestion.categoryId}">
+                                            <span class="category-badge" style="background-color: ${KC.CategoryManager.getCategoryById(suggestion.categoryId)?.color}">
+                                                ${this.escapeHtml(suggestion.categoryName)}
+                                            </span>
+                                            <span class="suggestion-confidence">${Math.round(suggestion.confidence * 100)}%</span>
+                                        </label>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="modal-actions">
+                            <button class="btn btn-primary" onclick="KC.FileRenderer.reviewCategorySuggestions('accept')">
+                                ✅ Aceitar marcadas
+                            </button>
+                            <button class="btn btn-secondary" onclick="KC.FileRenderer.reviewCategorySuggestions('reject')">
+                                🚫 Rejeitar marcadas
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        }
+
+        /**
+         * Aceita ou rejeita as sugestões marcadas no modal
+         * @param {'accept'|'reject'} decision
+         */
+        async reviewCategorySuggestions(decision) {
+            const modal = document.querySelector('.modal-overlay');
+            const items = Array.from(modal.querySelectorAll('input[type="checkbox"]:checked'))
+                .map(cb => ({ fileId: cb.dataset.fileId, categoryId: cb.value }));
+
+            if (items.length === 0) {
+                alert('Marque pelo menos uma sugestão');
+                return;
+            }
+
+            const service = KC.CategorySuggestionService;
+            const result = decision === 'accept'
+                ? await service.acceptSuggestions(items)
+                : await service.rejectSuggestions(items);
+
+            modal.remove();
+            KC.showNotification({
+                type: 'success',
+                message: decision === 'accept'
+                    ? `✅ ${result.accepted} categoria(s) aplicada(s)`
+                    : `🚫 ${result.rejected} sugestão(ões) rejeitada(s)`,
+                details: 'As decisões entram no próximo treino das sugestões'
+            });
+
+            if (decision === 'accept') {
+                this.clearSelection();
+                this.showFilesSection();
+            }
+        }
+
         /**
          * NOVO: Análise em lote
          */
@@ -289,8 +289,8 @@
                             <h4>📍 Localização dos Dados Processados:</h4>
                             <ul>
                                 <li><strong>Embeddings:</strong> IndexedDB (cache local)</li>
-                                <li><strong>Vetores:</strong> Qdrant VPS - <code>http://qdr.vcia.com.br:6333</code></li>
-                                <li><strong>Coleção:</strong> <code>knowledge_consolidator</code></li>
+                                <li><strong>Vetores:</strong> Qdrant (${KC.QdrantProfiles?.getActive().name || 'VPS'}) - <code>${KC.QdrantService?.config.baseUrl || 'http://qdr.vcia.com.br:6333'}</code></li>
+                                <li><strong>Coleção:</strong> <code>${KC.QdrantService?.config.collectionName || 'knowledge_consolidator'}</code></li>
                             </ul>
                         </div>
                     </div>
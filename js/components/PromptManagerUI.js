@@ -6,9 +6,11 @@
  * - Editor de templates com syntax highlighting
  * - Preview em tempo real
  * - Import/export JSON
+ * - Histórico de versões com diff, restauração e avaliação offline
  * - Integração com PromptManager existente
  * 
  * @requires PromptManager
+ * @requires PromptEvaluation
  * @requires ModalManager
  * @requires Logger
  */
@@ -106,6 +108,9 @@
                             <button class="tab-btn" data-tab="preview">
                                 <i class="icon-eye"></i> Preview
                             </button>
+                            <button class="tab-btn" data-tab="history">
+                                <i class="icon-clock"></i> Histórico
+                            </button>
                         </div>
                         
                         <div class="template-actions">
@@ -286,6 +291,39 @@
                                 </div>
                             </div>
                         </div>
+
+                        <!-- Aba de Histórico -->
+                        <div id="tab-history" class="tab-content">
+                            <div class="history-layout">
+                                <div class="history-sidebar">
+                                    <h4 id="history-template-name">Histórico</h4>
+                                    <div id="history-version-list" class="version-list">
+                                        <!-- Versões do template -->
+                                    </div>
+                                </div>
+
+                                <div class="history-main">
+                                    <div class="preview-section">
+                                        <h4 id="history-diff-title">Diferenças</h4>
+                                        <div id="history-diff" class="version-diff">
+                                            <em>Escolha uma versão para comparar com a vigente</em>
+                                        </div>
+                                    </div>
+
+                                    <div class="preview-section">
+                                        <h4>Avaliação offline (golden set)</h4>
+                                        <div class="evaluation-controls">
+                                            <label>Baseline <select id="evaluation-baseline"></select></label>
+                                            <label>Candidata <select id="evaluation-candidate"></select></label>
+                                            <button class="btn-primary" id="run-evaluation">
+                                                <i class="icon-play"></i> Avaliar
+                                            </button>
+                                        </div>
+                                        <div id="evaluation-result" class="evaluation-result"></div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
                     </div>
 
                     <!-- Footer com ações globais -->
@@ -365,6 +403,10 @@
                 this.applySelectedTemplate();
             });
 
+            document.getElementById('run-evaluation').addEventListener('click', () => {
+                this.runEvaluation();
+            });
+
             // Editor events
             this.setupEditorEvents();
             
@@ -606,6 +648,8 @@
             // Ações específicas por aba
             if (tabName === 'preview') {
                 this.updatePreview();
+            } else if (tabName === 'history') {
+                this.renderVersionHistory();
             }
         }
 
@@ -753,6 +797,203 @@
             }
         }
 
+        /**
+         * Template exibido no histórico: o do editor ou o selecionado
+         */
+        getHistoryTemplateId() {
+            return this.currentTemplate?.id || this.uiState.selectedTemplateId;
+        }
+
+        /**
+         * Renderiza versões do template e opções da avaliação
+         */
+        renderVersionHistory() {
+            const templateId = this.getHistoryTemplateId();
+            const template = KC.PromptManager.getTemplate(templateId);
+            const list = document.getElementById('history-version-list');
+            if (!template || !list) return;
+
+            const versions = KC.PromptManager.getTemplateVersions(templateId);
+            document.getElementById('history-template-name').textContent = `Histórico: ${template.name}`;
+
+            list.innerHTML = versions.map(version => `
+                <div class="version-item ${version.current ? 'current' : ''}" data-version="${version.version}">
+                    <div class="item-info">
+                        <span class="item-name">v${version.version}</span>
+                        ${version.current ? '<span class="item-badge">Vigente</span>' : ''}
+                    </div>
+                    <div class="version-meta">
+                        ${new Date(version.createdAt).toLocaleString('pt-BR')} · ${escapeHtml(version.note)}
+                        ${version.changedFields.length ? `<br><small>${version.changedFields.join(', ')}</small>` : ''}
+                    </div>
+                    ${version.current ? '' : `
+                        <div class="version-actions">
+                            <button class="tool-btn" data-action="diff" data-version="${version.version}">Diff</button>
+                            <button class="tool-btn" data-action="restore" data-version="${version.version}">Restaurar</button>
+                        </div>
+                    `}
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.version-actions .tool-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const version = Number(e.target.dataset.version);
+                    if (e.target.dataset.action === 'diff') {
+                        this.renderVersionDiff(templateId, version);
+                    } else {
+                        this.restoreVersion(templateId, version);
+                    }
+                });
+            });
+
+            // Padrão da avaliação: versão anterior x vigente
+            const options = versions.map(version => `<option value="${version.version}">v${version.version}</option>`).join('');
+            const baselineSelect = document.getElementById('evaluation-baseline');
+            const candidateSelect = document.getElementById('evaluation-candidate');
+            baselineSelect.innerHTML = options;
+            candidateSelect.innerHTML = options;
+            candidateSelect.value = versions[0].version;
+            baselineSelect.value = (versions[1] || versions[0]).version;
+            document.getElementById('run-evaluation').disabled = versions.length < 2;
+        }
+
+        /**
+         * Mostra o diff entre uma versão e a vigente
+         */
+        renderVersionDiff(templateId, version) {
+            const diffEl = document.getElementById('history-diff');
+            if (!diffEl) return;
+
+            const diff = KC.PromptManager.diffTemplateVersions(templateId, version);
+            document.getElementById('history-diff-title').textContent = `Diferenças v${diff.from} → v${diff.to}`;
+
+            if (diff.changes.length === 0) {
+                diffEl.innerHTML = '<em>Nenhuma diferença</em>';
+                return;
+            }
+
+            const prefix = { added: '+ ', removed: '- ', same: '  ' };
+            diffEl.innerHTML = diff.changes.map(change => `
+                <div class="diff-field">
+                    <h5>${change.field}</h5>
+                    <pre>${change.lines.map(line =>
+                        `<span class="diff-line diff-${line.type}">${prefix[line.type]}${escapeHtml(line.text)}</span>`
+                    ).join('\n')}</pre>
+                </div>
+            `).join('');
+        }
+
+        /**
+         * Restaura versão anterior (gera nova versão)
+         */
+        restoreVersion(templateId, version) {
+            if (this.unsavedChanges && this.currentTemplate?.id === templateId &&
+                !confirm('Há alterações não salvas neste template, que serão descartadas. Continuar?')) {
+                return;
+            }
+            if (!confirm(`Restaurar a versão ${version}? A versão vigente continua no histórico.`)) return;
+
+            try {
+                const newVersion = KC.PromptManager.rollbackTemplate(templateId, version);
+
+                this.loadTemplatesList();
+                if (this.currentTemplate?.id === templateId) {
+                    this.loadTemplateInEditor(templateId);
+                }
+                this.renderVersionHistory();
+                this.renderVersionDiff(templateId, version);
+
+                logger.info('PromptManagerUI', `Versão ${version} de ${templateId} restaurada como v${newVersion}`);
+            } catch (error) {
+                logger.error('PromptManagerUI', 'Erro ao restaurar versão', error);
+                alert('Erro ao restaurar versão: ' + error.message);
+            }
+        }
+
+        /**
+         * Avalia baseline x candidata no golden set com o provider local
+         */
+        async runEvaluation() {
+            const templateId = this.getHistoryTemplateId();
+            const resultEl = document.getElementById('evaluation-result');
+            const button = document.getElementById('run-evaluation');
+            const evaluation = KC.PromptEvaluation;
+
+            if (!evaluation) {
+                resultEl.innerHTML = '<em>PromptEvaluationService não carregado</em>';
+                return;
+            }
+
+            // Sem golden set gravado: usa os arquivos já analisados e categorizados
+            if (evaluation.getGoldenSet().length === 0) {
+                const items = evaluation.goldenSetFromFiles();
+                if (items.length === 0) {
+                    resultEl.innerHTML = '<em>Golden set vazio: analise e categorize arquivos ou use KC.PromptEvaluation.setGoldenSet()</em>';
+                    return;
+                }
+                evaluation.setGoldenSet(items);
+            }
+
+            button.disabled = true;
+            try {
+                const report = await evaluation.evaluate({
+                    templateId,
+                    baseline: Number(document.getElementById('evaluation-baseline').value),
+                    candidate: Number(document.getElementById('evaluation-candidate').value),
+                    onProgress: ({ done, total }) => {
+                        resultEl.innerHTML = `<em>Avaliando... ${done}/${total}</em>`;
+                    }
+                });
+                resultEl.innerHTML = this.renderEvaluationReport(report);
+            } catch (error) {
+                logger.error('PromptManagerUI', 'Erro na avaliação', error);
+                resultEl.innerHTML = `<em>Erro na avaliação: ${escapeHtml(error.message)}</em>`;
+            } finally {
+                button.disabled = false;
+            }
+        }
+
+        /**
+         * Tabela do relatório de avaliação
+         */
+        renderEvaluationReport(report) {
+            const labels = {
+                analysisTypeAccuracy: 'Acurácia do tipo',
+                categoryAgreement: 'Concordância de categorias',
+                confidence: 'Confiança'
+            };
+            const format = (value) => (value * 100).toFixed(1) + '%';
+
+            const rows = Object.entries(report.comparison).map(([metric, result]) => `
+                <tr>
+                    <td>${labels[metric]}</td>
+                    <td>${format(result.baseline)}</td>
+                    <td>${format(result.candidate)}</td>
+                    <td class="${result.delta > 0 ? 'delta-up' : result.delta < 0 ? 'delta-down' : ''}">
+                        ${result.delta > 0 ? '+' : ''}${format(result.delta)}
+                    </td>
+                    <td>${result.pValue === null ? '-' : result.pValue.toFixed(3)}</td>
+                </tr>
+            `).join('');
+
+            const changes = report.changes.map(change => `
+                <li>${escapeHtml(change.file)}: ${change.baseline || '-'} → ${change.candidate || '-'} (esperado: ${change.expected})</li>
+            `).join('');
+
+            return `
+                <p><strong>${report.verdict || 'Sem veredito: o stub padrão só mede formato'}</strong> · ${report.items} arquivos · provider ${report.provider}</p>
+                <table class="evaluation-table">
+                    <thead>
+                        <tr><th>Métrica</th><th>v${report.baseline.version}</th><th>v${report.candidate.version}</th><th>Δ</th><th>p</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p><small>Schema válido: ${format(report.baseline.schemaValidRate)} → ${format(report.candidate.schemaValidRate)}
+                    · erros: ${report.baseline.errors} → ${report.candidate.errors}</small></p>
+                ${changes ? `<h5>Tipos alterados</h5><ul>${changes}</ul>` : ''}
+            `;
+        }
+
         /**
          * Formata prompt para exibição
          */
@@ -1103,6 +1344,15 @@
         };
     }
 
+    // Escapa texto livre inserido via innerHTML
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     // Registra no namespace global
     KC.PromptManagerUI = new PromptManagerUI();
     logger.info('PromptManagerUI', 'Componente registrado com sucesso');
@@ -278,6 +278,55 @@
                         </div>
                     </div>
                     
+                    <!-- Reconciliação com a descoberta -->
+                    <div style="margin-bottom: 30px;">
+                        <h3 style="color: #0ff;">🧹 Reconciliação com a Descoberta</h3>
+                        <p style="color: #aaa; font-size: 14px; margin-top: 0;">
+                            Detecta documentos renomeados ou removidos do disco. A simulação não altera o Qdrant.
+                        </p>
+                        <button onclick="KC.QdrantExplorerFixed.showReconciliation()" style="
+                            background: #ff0;
+                            color: #000;
+                            border: none;
+                            padding: 10px 20px;
+                            border-radius: 5px;
+                            cursor: pointer;
+                            font-weight: bold;
+                        ">Simular Reconciliação</button>
+                        <div id="qdrant-reconciliation" style="margin-top: 15px;"></div>
+                    </div>
+
+                    <!-- Snapshots da coleção -->
+                    <div style="margin-bottom: 30px;">
+                        <h3 style="color: #0ff;">💾 Snapshots da Coleção</h3>
+                        <p style="color: #aaa; font-size: 14px; margin-top: 0;">
+                            Um snapshot é criado antes de cada execução do pipeline e antes de um reset.
+                            Restaurar substitui a coleção inteira (um snapshot de segurança é criado antes).
+                        </p>
+                        <div style="display: flex; gap: 10px; align-items: center;">
+                            <button onclick="KC.QdrantExplorerFixed.createSnapshot()" style="
+                                background: #0f0;
+                                color: #000;
+                                border: none;
+                                padding: 10px 20px;
+                                border-radius: 5px;
+                                cursor: pointer;
+                                font-weight: bold;
+                            ">Criar Snapshot</button>
+                            <label style="
+                                background: #333;
+                                color: #fff;
+                                padding: 10px 20px;
+                                border-radius: 5px;
+                                cursor: pointer;
+                            ">Restaurar de Arquivo
+                                <input type="file" accept=".snapshot" style="display: none;"
+                                    onchange="KC.QdrantExplorerFixed.restoreSnapshotFromFile(this.files[0])">
+                            </label>
+                        </div>
+                        <div id="qdrant-snapshots" style="margin-top: 15px;"></div>
+                    </div>
+
                     <!-- Category Stats -->
                     ${categoryStats ? `
                     <div style="margin-bottom: 30px;">
@@ -347,6 +396,7 @@
             `;
 
             document.body.appendChild(modal);
+            this.showSnapshots();
 
             // Enter key para buscar
             document.getElementById('qdrant-search-input').addEventListener('keypress', (e) => {
@@ -403,6 +453,272 @@
             }
         }
 
+        /**
+         * Gera e exibe relatório de reconciliação (dry-run)
+         */
+        async showReconciliation() {
+            const container = document.getElementById('qdrant-reconciliation');
+            if (!container) return;
+
+            container.innerHTML = '<p style="color: #0ff;">Comparando pontos com arquivos descobertos...</p>';
+
+            try {
+                const report = await KC.QdrantReconciliation.buildReport();
+                const { stats } = report;
+
+                const list = (items, render) => items.slice(0, 20).map(render).join('') +
+                    (items.length > 20 ? `<div style="color: #666;">... e mais ${items.length - 20}</div>` : '');
+
+                container.innerHTML = `
+                    <div style="background: #0a0a0a; padding: 15px; border-radius: 8px;">
+                        <div style="color: #aaa; margin-bottom: 10px;">
+                            ${stats.pointsScanned} pontos em ${stats.documentsInQdrant} documentos ·
+                            ${stats.discoveredFiles} arquivos no disco
+                            <div style="font-size: 12px;">Escopo: ${report.scope.length ? report.scope.join(', ') : 'nenhum (órfãos não serão removidos)'}</div>
+                        </div>
+                        <div style="color: #0f0; font-weight: bold;">
+                            Renomeados: ${stats.renamedDocuments} documentos (${stats.renamedPoints} pontos)
+                        </div>
+                        ${list(report.renamed, item => `
+                            <div style="color: #aaa; font-size: 12px; margin-left: 10px;">
+                                ${item.from} → ${item.to}
+                                <span style="color: ${item.confidence === 'low' ? '#ff0' : '#666'};">(${item.matchedBy})</span>
+                            </div>
+                        `)}
+                        <div style="color: #f66; font-weight: bold; margin-top: 10px;">
+                            Órfãos: ${stats.orphanedDocuments} documentos (${stats.orphanedPoints} pontos)
+                        </div>
+                        ${list(report.orphaned, item => `
+                            <div style="color: #aaa; font-size: 12px; margin-left: 10px;">${item.filePath}</div>
+                        `)}
+                        ${report.renamed.length + report.orphaned.length > 0 ? `
+                        <button onclick="KC.QdrantExplorerFixed.applyReconciliation()" style="
+                            margin-top: 15px;
+                            background: #f66;
+                            color: #000;
+                            border: none;
+                            padding: 10px 20px;
+                            border-radius: 5px;
+                            cursor: pointer;
+                            font-weight: bold;
+                        ">Aplicar no Qdrant</button>
+                        ` : '<div style="color: #0f0; margin-top: 10px;">Nada a reconciliar.</div>'}
+                    </div>
+                `;
+            } catch (error) {
+                container.innerHTML = `<p style="color: #f00;">Erro: ${error.message}</p>`;
+            }
+        }
+
+        /**
+         * Aplica o último relatório de reconciliação após confirmação
+         */
+        async applyReconciliation() {
+            const report = KC.QdrantReconciliation.getLastReport();
+            const container = document.getElementById('qdrant-reconciliation');
+            if (!report || !container) return;
+
+            const confirmed = confirm(
+                `Re-chavear ${report.stats.renamedDocuments} documentos e remover ` +
+                `${report.stats.orphanedPoints} pontos órfãos? Esta ação não pode ser desfeita.`
+            );
+            if (!confirmed) return;
+
+            try {
+                const result = await KC.QdrantReconciliation.apply(report);
+                container.innerHTML = `
+                    <div style="background: #0a0a0a; padding: 15px; border-radius: 8px; color: #0f0;">
+                        ${result.rekeyedDocuments} documentos re-chaveados, ${result.deletedPoints} pontos removidos
+                        ${result.skipped.length ? `<div style="color: #ff0;">${result.skipped.length} itens ignorados (baixa confiança ou fora do escopo)</div>` : ''}
+                        ${result.errors.length ? `<div style="color: #f00;">${result.errors.length} erros (ver console)</div>` : ''}
+                    </div>
+                `;
+                if (result.errors.length) console.error('Erros na reconciliação:', result.errors);
+            } catch (error) {
+                container.innerHTML = `<p style="color: #f00;">Erro: ${error.message}</p>`;
+            }
+        }
+
+        /**
+         * Lista snapshots da coleção ativa
+         */
+        async showSnapshots() {
+            const container = document.getElementById('qdrant-snapshots');
+            if (!container || !KC.QdrantSnapshots) return;
+
+            container.innerHTML = '<p style="color: #0ff;">Carregando snapshots...</p>';
+
+            try {
+                const snapshots = await KC.QdrantSnapshots.list();
+                if (snapshots.length === 0) {
+                    container.innerHTML = '<p style="color: #666;">Nenhum snapshot nesta coleção.</p>';
+                    return;
+                }
+
+                const triggers = {
+                    'pre-pipeline': 'Antes do pipeline',
+                    'pre-reset': 'Antes do reset',
+                    'pre-restore': 'Antes de restaurar',
+                    manual: 'Manual',
+                    external: 'Externo'
+                };
+                const button = (label, color, action) => `
+                    <button onclick="${action}" style="
+                        background: ${color};
+                        color: #000;
+                        border: none;
+                        padding: 4px 10px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                        font-size: 12px;
+                    ">${label}</button>`;
+
+                container.innerHTML = `
+                    <div style="background: #0a0a0a; padding: 15px; border-radius: 8px; max-height: 300px; overflow-y: auto;">
+                        ${snapshots.map(snapshot => {
+                            const name = snapshot.name.replace(/'/g, "\\'");
+                            const run = snapshot.run ?
+                                ` · ${snapshot.run.success === false ? 'falhou' : `${snapshot.run.processed} docs, ${snapshot.run.totalChunks} chunks`}` : '';
+                            return `
+                            <div style="padding: 8px 0; border-bottom: 1px solid #333;">
+                                <div style="display: flex; justify-content: space-between; gap: 10px;">
+                                    <strong style="color: #0ff; font-size: 13px; word-break: break-all;">${snapshot.name}</strong>
+                                    <span style="color: #aaa; font-size: 12px; white-space: nowrap;">
+                                        ${snapshot.size ? `${(snapshot.size / 1048576).toFixed(1)} MB` : ''}
+                                    </span>
+                                </div>
+                                <div style="color: #aaa; font-size: 12px; margin: 4px 0;">
+                                    ${triggers[snapshot.trigger] || snapshot.trigger} ·
+                                    ${new Date(snapshot.createdAt).toLocaleString('pt-BR')}
+                                    ${snapshot.runId ? ` · execução <code>${snapshot.runId}</code>${run}` : ''}
+                                    ${snapshot.pointsCount !== null && snapshot.pointsCount !== undefined ? ` · ${snapshot.pointsCount} pontos` : ''}
+                                </div>
+                                <div style="display: flex; gap: 6px;">
+                                    ${button('Baixar', '#0ff', `KC.QdrantExplorerFixed.downloadSnapshot('${name}')`)}
+                                    ${snapshot.runId ?
+                                        button('Reverter execução', '#ff0', `KC.QdrantExplorerFixed.rollbackRun('${snapshot.runId}')`) :
+                                        button('Restaurar', '#ff0', `KC.QdrantExplorerFixed.restoreSnapshot('${name}')`)}
+                                    ${button('Excluir', '#f66', `KC.QdrantExplorerFixed.deleteSnapshot('${name}')`)}
+                                </div>
+                            </div>`;
+                        }).join('')}
+                    </div>
+                `;
+            } catch (error) {
+                container.innerHTML = `<p style="color: #f00;">Erro ao listar snapshots: ${error.message}</p>`;
+            }
+        }
+
+        /**
+         * Cria snapshot manual
+         */
+        async createSnapshot() {
+            const note = prompt('Observação para o snapshot (opcional):', '');
+            if (note === null) return;
+
+            try {
+                await KC.QdrantSnapshots.create({ trigger: 'manual', note: note || null });
+                await this.showSnapshots();
+            } catch (error) {
+                alert(`Erro ao criar snapshot: ${error.message}`);
+            }
+        }
+
+        /**
+         * Baixa o arquivo do snapshot pelo navegador
+         */
+        async downloadSnapshot(name) {
+            try {
+                const blob = await KC.QdrantSnapshots.download(name);
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = name;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            } catch (error) {
+                alert(`Erro ao baixar snapshot: ${error.message}`);
+            }
+        }
+
+        /**
+         * Restaura um snapshot do servidor após confirmação
+         */
+        async restoreSnapshot(name) {
+            const confirmed = confirm(
+                `Restaurar a coleção para o snapshot ${name}? Todo o conteúdo atual será substituído ` +
+                '(um snapshot de segurança será criado antes).'
+            );
+            if (!confirmed) return;
+
+            await this._runRestore(() => KC.QdrantSnapshots.restore(name));
+        }
+
+        /**
+         * Reverte uma execução do pipeline
+         */
+        async rollbackRun(runId) {
+            const later = KC.QdrantSnapshots.findLaterRuns(runId);
+
+            const confirmed = confirm(
+                `Reverter a execução ${runId}? A coleção volta ao estado anterior a ela` +
+                (later.length ? ` e ${later.length} execução(ões) posterior(es) também serão desfeitas.` : '.') +
+                ' Um snapshot de segurança será criado antes.'
+            );
+            if (!confirmed) return;
+
+            await this._runRestore(() => KC.QdrantSnapshots.rollbackRun(runId));
+        }
+
+        /**
+         * Restaura a partir de arquivo .snapshot local
+         */
+        async restoreSnapshotFromFile(file) {
+            if (!file) return;
+
+            const confirmed = confirm(
+                `Restaurar a coleção a partir de ${file.name}? Todo o conteúdo atual será substituído ` +
+                '(um snapshot de segurança será criado antes).'
+            );
+            if (!confirmed) return;
+
+            await this._runRestore(() => KC.QdrantSnapshots.restoreFromFile(file));
+        }
+
+        /**
+         * Remove snapshot após confirmação
+         */
+        async deleteSnapshot(name) {
+            if (!confirm(`Excluir o snapshot ${name} do servidor? Ele não poderá mais ser restaurado.`)) return;
+
+            try {
+                await KC.QdrantSnapshots.remove(name);
+                await this.showSnapshots();
+            } catch (error) {
+                alert(`Erro ao excluir snapshot: ${error.message}`);
+            }
+        }
+
+        /**
+         * @private
+         */
+        async _runRestore(action) {
+            const container = document.getElementById('qdrant-snapshots');
+            if (container) {
+                container.innerHTML = '<p style="color: #0ff;">Restaurando coleção... isso pode levar alguns minutos.</p>';
+            }
+
+            try {
+                const result = await action();
+                alert(`Coleção restaurada a partir de ${result.restored}.` +
+                    (result.safetySnapshot ? ` Estado anterior salvo em ${result.safetySnapshot}.` : ''));
+            } catch (error) {
+                alert(`Erro ao restaurar: ${error.message}`);
+            }
+
+            await this.showSnapshots();
+        }
+
         /**
          * Executa busca
          */
@@ -131,6 +131,14 @@
                     background: 'linear-gradient(135deg, #445500 0%, #223300 100%)',
                     action: 'openPrefixManager'
                 },
+                {
+                    icon: '🕸️',
+                    title: 'Triple Query',
+                    subtitle: 'Consultas SPARQL-like nas triplas',
+                    color: '#f80',
+                    background: 'linear-gradient(135deg, #553300 0%, #331a00 100%)',
+                    action: 'openTripleQuery'
+                },
                 {
                     icon: '🏥',
                     title: 'System Diagnostics',
@@ -319,6 +327,249 @@
             });
         }
 
+        /**
+         * Abre o console de consultas sobre o TripleStore (TripleQuery)
+         */
+        openTripleQuery() {
+            this.close();
+
+            const exemplo = [
+                'SELECT ?arquivo ?nome WHERE {',
+                '    ?arquivo derivaDe/pertenceCategoria estrategico .',
+                '    OPTIONAL { ?arquivo temNome ?nome }',
+                '}',
+                'LIMIT 50'
+            ].join('\n');
+
+            const modal = document.createElement('div');
+            modal.className = 'quick-access-modal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.9);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            modal.innerHTML = `
+                <div style="
+                    background: #1a1a1a;
+                    border: 2px solid #f80;
+                    border-radius: 12px;
+                    padding: 30px;
+                    width: 800px;
+                    max-height: 85vh;
+                    overflow-y: auto;
+                    color: #fff;
+                ">
+                    <h2 style="color: #f80; margin: 0 0 10px 0;">🕸️ Triple Query</h2>
+                    <p style="color: #aaa; margin: 0 0 15px 0; font-size: 13px;">
+                        Padrões com ?variáveis, OPTIONAL { }, FILTER( ), metadados [confianca >= 0.7]
+                        e caminhos (p1/p2, ^p, p+, p*). Ctrl+Enter executa.
+                    </p>
+                    <textarea id="triple-query-input" spellcheck="false" style="
+                        width: 100%;
+                        height: 140px;
+                        background: #000;
+                        color: #f80;
+                        border: 1px solid #553300;
+                        border-radius: 5px;
+                        padding: 10px;
+                        font-family: monospace;
+                        font-size: 13px;
+                        box-sizing: border-box;
+                    "></textarea>
+                    <div id="triple-query-results" style="margin-top: 15px; font-family: monospace; font-size: 12px;"></div>
+                    <br>
+                    <button id="triple-query-run" style="
+                        background: #f80;
+                        color: #000;
+                        border: none;
+                        padding: 10px 20px;
+                        border-radius: 5px;
+                        cursor: pointer;
+                        font-weight: bold;
+                    ">Executar</button>
+                    <button id="triple-query-infer" style="
+                        background: #333;
+                        color: #fff;
+                        border: none;
+                        padding: 10px 20px;
+                        border-radius: 5px;
+                        cursor: pointer;
+                        margin-left: 10px;
+                    ">🧠 Inferir</button>
+                    <button onclick="this.closest('.quick-access-modal').remove()" style="
+                        background: #333;
+                        color: #fff;
+                        border: none;
+                        padding: 10px 20px;
+                        border-radius: 5px;
+                        cursor: pointer;
+                        margin-left: 10px;
+                    ">Fechar</button>
+                    <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #333; font-size: 13px; color: #aaa;">
+                        RDF:
+                        <select id="triple-rdf-format" style="background: #000; color: #f80; border: 1px solid #553300; padding: 5px; margin: 0 5px;">
+                            <option value="turtle">Turtle (.ttl)</option>
+                            <option value="ntriples">N-Triples (.nt)</option>
+                            <option value="jsonld">JSON-LD (.jsonld)</option>
+                        </select>
+                        <button id="triple-rdf-export" style="background: #333; color: #fff; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer;">Exportar grafo</button>
+                        <button id="triple-rdf-vocab" style="background: #333; color: #fff; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer; margin-left: 5px;">Exportar vocabulário</button>
+                        <button id="triple-rdf-import" style="background: #333; color: #fff; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer; margin-left: 5px;">Importar...</button>
+                        <input id="triple-rdf-file" type="file" accept=".ttl,.nt,.jsonld,.json" style="display: none;">
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) modal.remove();
+            });
+
+            const fileInput = modal.querySelector('#triple-rdf-file');
+            modal.querySelector('#triple-rdf-export').onclick = () => this.exportTripleRDF(modal, false);
+            modal.querySelector('#triple-rdf-vocab').onclick = () => this.exportTripleRDF(modal, true);
+            modal.querySelector('#triple-rdf-import').onclick = () => fileInput.click();
+            fileInput.onchange = () => {
+                if (fileInput.files[0]) this.importTripleRDF(modal, fileInput.files[0]);
+                fileInput.value = '';
+            };
+
+            const input = modal.querySelector('#triple-query-input');
+            input.value = exemplo;
+            modal.querySelector('#triple-query-run').onclick = () => this.runTripleQuery(modal);
+            modal.querySelector('#triple-query-infer').onclick = () => this.runTripleInference(modal);
+            input.addEventListener('keydown', (e) => {
+                if (e.ctrlKey && e.key === 'Enter') {
+                    e.preventDefault();
+                    this.runTripleQuery(modal);
+                }
+            });
+        }
+
+        /**
+         * Executa a consulta do console e mostra os resultados em tabela
+         */
+        runTripleQuery(modal) {
+            const output = modal.querySelector('#triple-query-results');
+            const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+            if (!KC.tripleStore) {
+                output.innerHTML = '<p style="color: #f44;">TripleStore não inicializado</p>';
+                return;
+            }
+
+            try {
+                const { variaveis, resultados, total, tempoMs } = KC.tripleStore.consultar(modal.querySelector('#triple-query-input').value);
+
+                output.innerHTML = `
+                    <p style="color: #aaa;">${total} resultado(s) em ${tempoMs}ms${resultados.length < total ? `, exibindo ${resultados.length}` : ''}</p>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>${variaveis.map(v => `<th style="text-align: left; color: #f80; border-bottom: 1px solid #553300; padding: 4px;">?${escape(v)}</th>`).join('')}</tr>
+                        ${resultados.map(linha => `
+                            <tr>${variaveis.map(v => `<td style="padding: 4px; border-bottom: 1px solid #222;">${linha[v] === null ? '<span style="color: #555;">—</span>' : escape(linha[v])}</td>`).join('')}</tr>
+                        `).join('')}
+                    </table>
+                `;
+            } catch (error) {
+                output.innerHTML = `<p style="color: #f44;">${escape(error.message)}</p>`;
+            }
+        }
+
+        /**
+         * Roda as regras de inferência e mostra a prova das triplas novas
+         */
+        async runTripleInference(modal) {
+            const output = modal.querySelector('#triple-query-results');
+            const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+            if (!KC.tripleStore) {
+                output.innerHTML = '<p style="color: #f44;">TripleStore não inicializado</p>';
+                return;
+            }
+
+            try {
+                const { adicionadas, ids, recusadas, porRegra, tempoMs } = await KC.tripleStore.inferir();
+                const provas = ids.slice(0, 10)
+                    .map(id => KC.TripleInference.formatarExplicacao(KC.tripleStore.explicar(id)))
+                    .join('\n\n');
+
+                output.innerHTML = `
+                    <p style="color: #0f0;">${adicionadas} tripla(s) inferida(s) em ${tempoMs}ms${recusadas.length ? `, ${recusadas.length} recusada(s) pelo schema` : ''}</p>
+                    <p style="color: #aaa;">${Object.entries(porRegra).map(([regra, total]) => `${escape(regra)}: ${total}`).join(' · ')}</p>
+                    ${provas ? `<pre style="color: #ccc; white-space: pre-wrap;">${escape(provas)}</pre>` : ''}
+                    ${ids.length > 10 ? `<p style="color: #aaa;">Consulte as demais com [derivada = true, regra AS ?regra]</p>` : ''}
+                `;
+            } catch (error) {
+                output.innerHTML = `<p style="color: #f44;">${escape(error.message)}</p>`;
+            }
+        }
+
+        /**
+         * Baixa o grafo (ou só o vocabulário) no formato RDF escolhido no console
+         */
+        exportTripleRDF(modal, vocabulario) {
+            const output = modal.querySelector('#triple-query-results');
+            const formato = modal.querySelector('#triple-rdf-format').value;
+
+            if (!KC.tripleStore) {
+                output.innerHTML = '<p style="color: #f44;">TripleStore não inicializado</p>';
+                return;
+            }
+
+            try {
+                const conteudo = vocabulario
+                    ? KC.tripleStore.exportarVocabulario(formato)
+                    : KC.tripleStore.exportarRDF(formato);
+                const { extensao, mime } = KC.TripleRDF.infoFormato(formato);
+                const nome = vocabulario ? 'kc-vocabulario' : `kc-triplas-${new Date().toISOString().slice(0, 10)}`;
+
+                const url = URL.createObjectURL(new Blob([conteudo], { type: mime }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `${nome}.${extensao}`;
+                link.click();
+                URL.revokeObjectURL(url);
+
+                output.innerHTML = `<p style="color: #0f0;">${link.download} exportado</p>`;
+            } catch (error) {
+                output.innerHTML = `<p style="color: #f44;">${error.message}</p>`;
+            }
+        }
+
+        /**
+         * Importa um arquivo N-Triples, Turtle ou JSON-LD para o TripleStore
+         */
+        async importTripleRDF(modal, file) {
+            const output = modal.querySelector('#triple-query-results');
+            const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+            if (!KC.tripleStore) {
+                output.innerHTML = '<p style="color: #f44;">TripleStore não inicializado</p>';
+                return;
+            }
+
+            try {
+                const conteudo = await file.text();
+                const formato = KC.TripleRDF.detectarFormato(conteudo, file.name);
+                const { importadas, duplicadas, erros } = await KC.tripleStore.importarRDF(conteudo, formato);
+
+                output.innerHTML = `
+                    <p style="color: #0f0;">${importadas} tripla(s) importada(s) de ${escape(file.name)}, ${duplicadas} já existente(s)</p>
+                    ${erros.slice(0, 10).map(e => `<p style="color: #f44;">${escape(e.tripla)}: ${escape(e.erro)}</p>`).join('')}
+                `;
+            } catch (error) {
+                output.innerHTML = `<p style="color: #f44;">${escape(error.message)}</p>`;
+            }
+        }
+
         /**
          * Executa diagnósticos do sistema
          */
@@ -441,13 +692,16 @@
                 ">
                     <h2 style="color: #f0f; margin: 0 0 20px 0;">⚠️ Reset Database</h2>
                     <p style="color: #ff0;">ATENÇÃO: Esta ação irá limpar todos os dados!</p>
+                    <p style="color: #aaa; font-size: 14px;">Um snapshot da coleção será criado antes; sem ele o reset é cancelado.</p>
                     <p>Deseja realmente resetar o banco de dados?</p>
                     <br>
                     <div style="display: flex; gap: 10px; justify-content: center;">
                         <button onclick="
                             KC.QdrantService?.resetCollection().then(() => {
-                                alert('Collection resetada com sucesso!');
+                                alert('Collection resetada com sucesso! Um snapshot foi criado antes do reset (Qdrant Explorer > Snapshots).');
                                 this.closest('.quick-access-modal').remove();
+                            }).catch(error => {
+                                alert('Reset cancelado: ' + error.message);
                             });
                         " style="
                             background: #f00;
@@ -505,6 +759,7 @@
     window.openQdrantExplorer = () => quickAccessMenu.openQdrantExplorer();
     window.openPrefixManager = () => quickAccessMenu.openPrefixManager();
     window.runDiagnostics = () => quickAccessMenu.runDiagnostics();
+    window.openTripleQuery = () => quickAccessMenu.openTripleQuery();
     window.openResetManager = () => quickAccessMenu.openResetManager();
     window.openAPIConfig = () => quickAccessMenu.openAPIConfig();
 
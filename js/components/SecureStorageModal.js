@@ -253,6 +253,8 @@
                 const success = await SecureStorageManager.initialize(password);
 
                 if (success) {
+                    // API keys dos perfis do Qdrant ficam no armazenamento seguro
+                    await KC.QdrantProfiles?.loadSecrets();
                     this.close(true);
                 } else {
                     throw new Error('Falha ao inicializar armazenamento seguro');
@@ -272,13 +272,14 @@
             */
             
             // NOVO: Obtém categorias do CategoryManager (padrão + customizadas)
-            const categories = KC.CategoryManager.getCategories();
+            // Ordem de árvore: subcategorias logo abaixo do pai, recuadas
+            const categories = KC.CategoryManager.getCategoriesFlattened();
             const categoryStats = KC.CategoryManager.getCategoryStats();
             
             const categoriesHTML = categories.map(category => {
                 const stats = categoryStats[category.id] || { count: 0 };
                 return `
-                    <div class="category-badge" data-id="${category.id}">
+                    <div class="category-badge" data-id="${category.id}" title="${KC.CategoryManager.getCategoryPath(category.id)}"${category.depth ? ` style="margin-left: ${category.depth * 16}px"` : ''}>
                         <span class="category-color" style="background-color: ${category.color}"></span>
                         <span class="category-name">${category.name}</span>
                         <span class="category-count">${stats.count}</span>
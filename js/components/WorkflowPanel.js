@@ -178,6 +178,14 @@
                                 </select>
                                 <small class="form-help">Ignora arquivos muito pequenos</small>
                             </div>
+
+                            <div class="form-group">
+                                <label class="form-label">
+                                    <input type="checkbox" id="incremental-discovery" onchange="callKC('WorkflowPanel.updateIncrementalDiscovery')">
+                                    Re-descoberta incremental
+                                </label>
+                                <small class="form-help">Compara com a última varredura e reanalisa apenas arquivos adicionados, modificados ou movidos</small>
+                            </div>
                             
                             <!-- ORIGINAL - Preservado para rollback -->
                             <!-- <div class="form-group">
@@ -187,13 +195,13 @@
                                 <small class="form-help">Formatos suportados (incluindo Obsidian .md)</small>
                             </div> -->
                             
-                            <!-- NOVO - Campo customizável com .gdoc -->
+                            <!-- NOVO - Campo customizável com todos os formatos suportados -->
                             <div class="form-group">
                                 <label class="form-label">Padrões de Arquivo</label>
                                 <input type="text" class="form-control" id="patterns-input" 
-                                       value="*.md, *.txt, *.docx, *.pdf, *.gdoc" 
+                                       value="*.md, *.txt, *.docx, *.pdf, *.xlsx, *.gdoc, *.mbox, *.png, *.jpg, *.jpeg, *.webp" 
                                        placeholder="Digite extensões separadas por vírgula (ex: *.md, *.txt)">
-                                <small class="form-help">Formatos suportados: .md (Obsidian), .txt, .docx, .pdf, .gdoc (Google Workspace). Personalize conforme necessário.</small>
+                                <small class="form-help">Formatos suportados: .md (Obsidian), .txt, .docx, .pdf, .xlsx, .gdoc (Google Workspace), .mbox (caixas de email, uma entrada por thread), .png/.jpg/.jpeg/.webp (imagens: descrição por IA multimodal ou OCR local). Personalize conforme necessário.</small>
                             </div>
                         </div>
                         
@@ -1119,6 +1127,10 @@
                 const select = document.getElementById('min-file-size');
                 if (select) select.value = minFileSize;
             }
+
+            const incremental = AppState.get('configuration.discovery.incremental');
+            const incrementalCheckbox = document.getElementById('incremental-discovery');
+            if (incrementalCheckbox) incrementalCheckbox.checked = !!incremental;
         }
 
         /**
@@ -1151,6 +1163,16 @@
             }
         }
 
+        /**
+         * Atualiza modo de re-descoberta incremental
+         */
+        updateIncrementalDiscovery() {
+            const checkbox = document.getElementById('incremental-discovery');
+            if (checkbox) {
+                AppState.set('configuration.discovery.incremental', checkbox.checked);
+            }
+        }
+
         /**
          * Inicia processo de descoberta
          */
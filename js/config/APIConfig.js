@@ -40,6 +40,13 @@
                         model: 'gemini-pro'
                     }
                 },
+                // Provider de embeddings (ver KC.EmbeddingService.listProviders)
+                embedding: {
+                    provider: 'ollama',
+                    model: '',
+                    url: '',
+                    apiKey: ''
+                },
                 analysis: {
                     template: 'decisiveMoments',
                     batchSize: 5,
@@ -135,6 +142,8 @@
                 }
             });
 
+            this._applyEmbeddingConfiguration();
+
             // Verifica disponibilidade do Ollama se for o provider ativo
             if (this.config.activeProvider === 'ollama') {
                 const available = await manager.checkOllamaAvailability();
@@ -151,6 +160,38 @@
             }
         }
 
+        /**
+         * Aplica o provider de embeddings e avisa se a coleção usa outro modelo
+         * @private
+         */
+        _applyEmbeddingConfiguration() {
+            const embedding = KC.EmbeddingService;
+            if (!embedding) return;
+
+            const { provider, model, url, apiKey } = this.config.embedding;
+            const settings = {};
+            if (model) settings.model = model;
+            if (url) settings.url = url;
+            if (apiKey) settings.apiKey = apiKey;
+
+            try {
+                embedding.setProvider(provider, settings);
+            } catch (error) {
+                KC.Logger?.warning('APIConfig', 'Provider de embedding inválido', error);
+                return;
+            }
+
+            KC.QdrantService?.assertEmbeddingCompatible().catch(error => {
+                if (error.code !== 'EMBEDDING_MODEL_MISMATCH') return;
+                KC.EventBus.emit(KC.Events.NOTIFICATION_SHOW, {
+                    type: 'warning',
+                    message: 'Modelo de embedding diferente do usado na coleção do Qdrant',
+                    details: error.message,
+                    duration: 10000
+                });
+            });
+        }
+
         /**
          * Registra eventos
          */
@@ -163,6 +204,11 @@
                     this.showConfigModal();
                 });
             }
+
+            // Execução pausada pelo limite de gasto
+            EventBus.on(Events.AI_BUDGET_APPROVAL_REQUIRED || 'ai:budget:approval:required', (data) => {
+                this.showBudgetApproval(data);
+            });
         }
 
         /**
@@ -280,6 +326,16 @@
                         </div>
                     </div>
 
+                    ${this._buildCustomProviderSection()}
+
+                    ${this._buildBudgetSection()}
+
+                    ${this._buildFallbackSection()}
+
+                    ${this._buildQdrantProfileSection()}
+
+                    ${this._buildEmbeddingSection()}
+
                     <div class="config-section">
                         <h3>Configurações de Análise</h3>
                         <div class="config-field">
@@ -524,6 +580,495 @@
             `;
         }
 
+        /**
+         * Seção de perfis de conexão do Qdrant (KC.QdrantProfiles)
+         * @private
+         */
+        _buildQdrantProfileSection() {
+            if (!KC.QdrantProfiles) return '';
+
+            return `
+                <div class="config-section">
+                    <h3>Qdrant (Banco Vetorial)</h3>
+                    <div class="provider-config">
+                        <div class="config-field">
+                            <label>Perfil de Conexão:</label>
+                            <select id="qdrant-profile" class="config-select" onchange="KC.APIConfig.loadQdrantProfileFields()"></select>
+                        </div>
+                        <div class="config-field">
+                            <label>URL:</label>
+                            <input type="text" id="qdrant-url" placeholder="http://127.0.0.1:6333">
+                        </div>
+                        <div class="config-field">
+                            <label>Coleção:</label>
+                            <input type="text" id="qdrant-collection" placeholder="knowledge_consolidator">
+                        </div>
+                        <div class="config-field">
+                            <label>Dimensão dos Vetores:</label>
+                            <input type="number" id="qdrant-vector-size" min="1">
+                        </div>
+                        <div class="config-field">
+                            <label>API Key:</label>
+                            <input type="password" id="qdrant-api-key" placeholder="Opcional">
+                            <small class="config-help">Gravada apenas no armazenamento seguro; sem ele, vale só para esta sessão</small>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Seção de servidores OpenAI-compatíveis (LM Studio, llama.cpp, vLLM, gateway interno)
+         * @private
+         */
+        _buildCustomProviderSection() {
+            if (!KC.AIAPIManager?.addCustomProvider) return '';
+
+            return `
+                <div class="config-section">
+                    <h3>Servidores OpenAI-compatíveis</h3>
+                    <small class="config-help">LM Studio, llama.cpp server, vLLM ou gateway interno - os documentos não saem da sua rede</small>
+                    <div id="custom-providers-list">${this._renderCustomProviderList()}</div>
+                    <div class="provider-config">
+                        <h4>🔌 Adicionar Servidor</h4>
+                        <div class="config-field">
+                            <label>Nome:</label>
+                            <input type="text" id="custom-provider-name" placeholder="LM Studio">
+                        </div>
+                        <div class="config-field">
+                            <label>URL Base:</label>
+                            <input type="text" id="custom-provider-url" placeholder="http://127.0.0.1:1234/v1">
+                        </div>
+                        <div class="config-field">
+                            <label>API Key:</label>
+                            <input type="password" id="custom-provider-key" placeholder="Opcional">
+                        </div>
+                        <div class="config-field">
+                            <label>Modelo Padrão:</label>
+                            <input type="text" id="custom-provider-model" placeholder="Primeiro modelo de /v1/models">
+                        </div>
+                        <div class="config-field">
+                            <label>Custo por 1K tokens (entrada / saída, USD):</label>
+                            <input type="number" id="custom-provider-price-input" min="0" step="0.0001" value="0">
+                            <input type="number" id="custom-provider-price-output" min="0" step="0.0001" value="0">
+                        </div>
+                        <div class="config-field">
+                            <label>Requisições por minuto / simultâneas:</label>
+                            <input type="number" id="custom-provider-rpm" min="1" value="60">
+                            <input type="number" id="custom-provider-concurrent" min="1" value="2">
+                        </div>
+                        <button class="btn btn-secondary" onclick="KC.APIConfig.addCustomProvider()">
+                            🔍 Conectar e Adicionar
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * @private
+         */
+        _renderCustomProviderList() {
+            const custom = (KC.AIAPIManager?.getProviders() || []).filter(p => p.type === 'openai-compatible');
+            if (custom.length === 0) return '';
+
+            return custom.map(p => `
+                <div class="provider-config">
+                    <h4>${p.name} ${p.isLocal ? '(Local)' : '(Rede)'}</h4>
+                    <small class="config-help">${p.baseUrl} - ${p.models.length} modelo(s), padrão: ${p.defaultModel}</small>
+                    <div>
+                        <button class="btn btn-secondary btn-small" onclick="KC.APIConfig.refreshCustomProvider('${p.id}')">🔄 Atualizar Modelos</button>
+                        <button class="btn btn-secondary btn-small" onclick="KC.APIConfig.removeCustomProvider('${p.id}')">🗑️ Remover</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        /**
+         * Adiciona o servidor OpenAI-compatível preenchido no modal
+         */
+        async addCustomProvider() {
+            const value = (id) => document.getElementById(id)?.value.trim() || '';
+            const name = value('custom-provider-name');
+            const id = name.toLowerCase()
+                .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+            if (!id) {
+                this._showTestResult('error', '❌ Informe o nome do servidor');
+                return;
+            }
+
+            const config = {
+                id: id,
+                name: name,
+                baseUrl: value('custom-provider-url'),
+                pricing: {
+                    '*': {
+                        input: parseFloat(value('custom-provider-price-input')) || 0,
+                        output: parseFloat(value('custom-provider-price-output')) || 0
+                    }
+                },
+                rateLimits: {
+                    requestsPerMinute: parseInt(value('custom-provider-rpm'), 10) || 60,
+                    concurrent: parseInt(value('custom-provider-concurrent'), 10) || 2
+                }
+            };
+            if (value('custom-provider-key')) config.apiKey = value('custom-provider-key');
+            if (value('custom-provider-model')) config.defaultModel = value('custom-provider-model');
+
+            try {
+                const provider = await KC.AIAPIManager.addCustomProvider(config);
+                this._refreshProviderOptions();
+                this._showTestResult('success', `✅ ${provider.name} adicionado<br>Modelos: ${provider.models.join(', ')}`);
+            } catch (error) {
+                this._showTestResult('error', `❌ Falha ao adicionar servidor<br>Erro: ${error.message}`);
+            }
+        }
+
+        /**
+         * Relê a lista de modelos de um servidor OpenAI-compatível
+         */
+        async refreshCustomProvider(id) {
+            try {
+                const models = await KC.AIAPIManager.refreshCustomProviderModels(id);
+                this._refreshProviderOptions();
+                this._showTestResult('success', `✅ Modelos disponíveis: ${models.join(', ')}`);
+            } catch (error) {
+                this._showTestResult('error', `❌ ${error.message}`);
+            }
+        }
+
+        /**
+         * Remove um servidor OpenAI-compatível
+         */
+        removeCustomProvider(id) {
+            if (!confirm(`Remover o servidor "${id}"?`)) return;
+
+            KC.AIAPIManager.removeCustomProvider(id);
+            if (this.config.activeProvider === id) {
+                this.config.activeProvider = 'ollama';
+                this._saveConfig();
+            }
+            this._refreshProviderOptions();
+        }
+
+        /**
+         * Atualiza o select de provider ativo e a lista de servidores
+         * @private
+         */
+        _refreshProviderOptions() {
+            const select = document.getElementById('active-provider');
+            if (select) {
+                const current = select.value;
+                select.innerHTML = KC.AIAPIManager.getProviders().map(p => `
+                    <option value="${p.id}" ${p.id === current ? 'selected' : ''}>
+                        ${p.name} ${p.isLocal ? '(Local)' : '(Cloud)'}
+                    </option>
+                `).join('');
+            }
+
+            const list = document.getElementById('custom-providers-list');
+            if (list) {
+                list.innerHTML = this._renderCustomProviderList();
+            }
+        }
+
+        /**
+         * @private
+         */
+        _showTestResult(type, html) {
+            const resultsDiv = document.getElementById('test-results');
+            if (!resultsDiv) return;
+
+            resultsDiv.style.display = 'block';
+            resultsDiv.className = `test-results ${type}`;
+            resultsDiv.innerHTML = html;
+        }
+
+        /**
+         * Seção de limites de gasto (KC.AIBudgetService)
+         * @private
+         */
+        _buildBudgetSection() {
+            const budget = KC.AIBudgetService;
+            if (!budget) return '';
+
+            const limits = budget.getLimits();
+            const spending = budget.getSpending();
+            const paid = (KC.AIAPIManager?.getProviders() || []).filter(p => !p.isLocal || p.type === 'openai-compatible');
+            const value = (amount) => amount ?? '';
+
+            return `
+                <div class="config-section">
+                    <h3>Limites de Gasto</h3>
+                    <small class="config-help">
+                        Hoje: US$ ${spending.day.toFixed(2)} - Mês: US$ ${spending.month.toFixed(2)}.
+                        Ao atingir um limite, a análise pausa e pede aprovação para continuar. Vazio = sem limite.
+                    </small>
+                    <div class="provider-config">
+                        <div class="config-field">
+                            <label>Por execução (USD):</label>
+                            <input type="number" id="budget-per-run" min="0" step="0.01" value="${value(limits.perRun)}">
+                        </div>
+                        <div class="config-field">
+                            <label>Por dia (USD):</label>
+                            <input type="number" id="budget-per-day" min="0" step="0.01" value="${value(limits.perDay)}">
+                        </div>
+                        ${paid.map(p => `
+                            <div class="config-field">
+                                <label>${p.name} por mês (USD, gasto US$ ${budget.getSpending(p.id).provider.toFixed(2)}):</label>
+                                <input type="number" class="budget-provider" data-provider="${p.id}" min="0" step="0.01"
+                                       value="${value(limits.perProvider[p.id])}">
+                            </div>
+                        `).join('')}
+                        <button class="btn btn-secondary" onclick="KC.APIConfig.saveBudgets()">💰 Salvar Limites</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Salva os limites de gasto preenchidos no modal
+         */
+        saveBudgets() {
+            const perProvider = {};
+            document.querySelectorAll('.budget-provider').forEach(input => {
+                perProvider[input.dataset.provider] = input.value.trim() || null;
+            });
+
+            try {
+                KC.AIBudgetService.setLimits({
+                    perRun: document.getElementById('budget-per-run')?.value.trim() || null,
+                    perDay: document.getElementById('budget-per-day')?.value.trim() || null,
+                    perProvider: perProvider
+                });
+                this._showTestResult('success', '✅ Limites de gasto salvos');
+            } catch (error) {
+                this._showTestResult('error', `❌ ${error.message}`);
+            }
+        }
+
+        /**
+         * Seção de cadeias de fallback e estado dos circuit breakers
+         * Cada cadeia é escrita como "provider:modelo, provider, ..." (modelo opcional).
+         * @private
+         */
+        _buildFallbackSection() {
+            const manager = KC.AIAPIManager;
+            if (!manager) return '';
+
+            const chains = manager.getFallbackChains();
+            const templates = [{ id: 'default', name: 'Padrão (todos os templates)' }]
+                .concat(KC.PromptManager?.listTemplates() || []);
+            const format = (chain) => (chain || [])
+                .map(step => step.model ? `${step.provider}:${step.model}` : step.provider)
+                .join(', ');
+            const breakers = Object.entries(manager.getBreakersStatus())
+                .filter(([, state]) => state.state !== 'CLOSED' || state.failures > 0);
+
+            return `
+                <div class="config-section">
+                    <h3>Cadeias de Fallback</h3>
+                    <small class="config-help">
+                        Ordem de tentativa por template, ex.: ollama:mistral, openai:gpt-4o-mini, anthropic.
+                        Após ${manager.circuitBreaker.failureThreshold} falhas seguidas o provider é pulado por
+                        ${manager.circuitBreaker.resetTimeout / 1000}s. Vazio = cadeia padrão.
+                    </small>
+                    <div class="provider-config">
+                        ${templates.map(t => `
+                            <div class="config-field">
+                                <label>${t.name}:</label>
+                                <input type="text" class="fallback-chain" data-template="${t.id}"
+                                       value="${format(chains[t.id])}" placeholder="${t.id === 'default' ? 'provider ativo + cloud' : 'cadeia padrão'}">
+                            </div>
+                        `).join('')}
+                        ${breakers.length > 0 ? `
+                            <div class="config-field">
+                                <label>Circuit breakers:</label>
+                                ${breakers.map(([id, state]) => `
+                                    <small>${id}: ${state.state} (${state.failures} falha(s)${state.state === 'OPEN' ? `, volta em ${Math.ceil(state.waitTime / 1000)}s` : ''})</small>
+                                `).join('<br>')}
+                            </div>
+                        ` : ''}
+                        <button class="btn btn-secondary" onclick="KC.APIConfig.saveFallbackChains()">🔀 Salvar Cadeias</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Salva as cadeias de fallback preenchidas no modal
+         */
+        saveFallbackChains() {
+            try {
+                document.querySelectorAll('.fallback-chain').forEach(input => {
+                    const chain = input.value
+                        .split(',')
+                        .map(entry => entry.trim())
+                        .filter(Boolean)
+                        .map(entry => {
+                            const [provider, ...model] = entry.split(':');
+                            return { provider: provider.trim(), model: model.join(':').trim() || undefined };
+                        });
+                    KC.AIAPIManager.setFallbackChain(input.dataset.template, chain);
+                });
+                this._showTestResult('success', '✅ Cadeias de fallback salvas');
+            } catch (error) {
+                this._showTestResult('error', `❌ ${error.message}`);
+            }
+        }
+
+        /**
+         * Pede aprovação para uma execução pausada pelo limite de gasto
+         * @param {Object} data - { run, request } de AI_BUDGET_APPROVAL_REQUIRED
+         */
+        showBudgetApproval({ run, request }) {
+            const budget = KC.AIBudgetService;
+            if (!KC.ModalManager || !budget) return;
+
+            const estimate = request.estimate;
+            const details = request.stage === 'preflight' ?
+                `<p>A seleção de <strong>${estimate.files}</strong> arquivo(s) com <strong>${estimate.model}</strong>
+                    deve custar cerca de <strong>US$ ${estimate.cost.toFixed(2)}</strong>
+                    (${estimate.calls} chamada(s), ~${estimate.inputTokens + estimate.outputTokens} tokens).</p>` :
+                `<p>A execução já gastou <strong>US$ ${run.spent.toFixed(2)}</strong> e foi pausada;
+                    faltam <strong>${request.remainingFiles}</strong> arquivo(s).</p>`;
+
+            const modalId = KC.ModalManager.show({
+                title: request.stage === 'preflight' ? '💰 Estimativa acima do limite' : '⏸️ Limite de gasto atingido',
+                content: `
+                    ${details}
+                    <p>${budget.describe(request.exceeded)}</p>
+                    <p>Aprovar libera mais <strong>US$ ${request.needed.toFixed(2)}</strong> só para esta execução.</p>
+                `,
+                buttons: [
+                    {
+                        text: 'Cancelar',
+                        action: () => {
+                            KC.ModalManager.closeModal(modalId);
+                            budget.reject(run.id);
+                        }
+                    },
+                    {
+                        text: 'Aprovar e Continuar',
+                        class: 'btn-primary',
+                        action: () => {
+                            KC.ModalManager.closeModal(modalId);
+                            budget.approve(run.id);
+                        }
+                    }
+                ]
+            });
+        }
+
+        /**
+         * Seção do provider de embeddings
+         * @private
+         */
+        _buildEmbeddingSection() {
+            if (!KC.EmbeddingService) return '';
+
+            const embedding = this.config.embedding;
+            const active = KC.EmbeddingService.getActiveModel();
+
+            return `
+                <div class="config-section">
+                    <h3>Embeddings</h3>
+                    <div class="provider-config">
+                        <div class="config-field">
+                            <label>Provider:</label>
+                            <select id="embedding-provider" class="config-select">
+                                ${KC.EmbeddingService.listProviders().map(p => `
+                                    <option value="${p.id}" ${p.id === embedding.provider ? 'selected' : ''}>${p.name}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="config-field">
+                            <label>Modelo:</label>
+                            <input type="text" id="embedding-model" value="${embedding.model}" placeholder="Padrão do provider">
+                        </div>
+                        <div class="config-field">
+                            <label>URL (OpenAI-compatível / LM Studio):</label>
+                            <input type="text" id="embedding-url" value="${embedding.url}" placeholder="Padrão do provider">
+                        </div>
+                        <div class="config-field">
+                            <label>API Key:</label>
+                            <input type="password" id="embedding-key" value="${embedding.apiKey}" placeholder="Opcional">
+                        </div>
+                        <small class="config-help">
+                            Ativo: ${active.id} (${active.dimensions || '?'} dimensões).
+                            Trocar o modelo exige migrar a coleção: KC.EmbeddingMigration.plan({ provider, model })
+                        </small>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Popula o seletor de perfis do Qdrant
+         * Nomes vêm do localStorage: Option usa texto puro, nunca HTML
+         * @private
+         */
+        _fillQdrantProfileOptions() {
+            const select = document.getElementById('qdrant-profile');
+            if (!select || !KC.QdrantProfiles) return;
+
+            const activeId = KC.QdrantProfiles.getActiveId();
+            select.replaceChildren(...KC.QdrantProfiles.list().map(p =>
+                new Option(p.name, p.id, false, p.id === activeId)
+            ));
+        }
+
+        /**
+         * Preenche os campos do Qdrant com o perfil selecionado
+         */
+        loadQdrantProfileFields() {
+            const id = document.getElementById('qdrant-profile')?.value;
+            const profile = id && KC.QdrantProfiles?.get(id);
+            if (!profile) return;
+
+            document.getElementById('qdrant-url').value = profile.url;
+            document.getElementById('qdrant-collection').value = profile.collection;
+            document.getElementById('qdrant-vector-size').value = profile.vectorSize;
+
+            const apiKey = document.getElementById('qdrant-api-key');
+            apiKey.value = '';
+            apiKey.placeholder = profile.apiKey ? '•••••••• (mantida se vazio)' : 'Opcional';
+        }
+
+        /**
+         * Salva o perfil do Qdrant exibido no modal e o torna ativo
+         * @private
+         */
+        async _saveQdrantProfile() {
+            const id = document.getElementById('qdrant-profile')?.value;
+            if (!id || !KC.QdrantProfiles) return;
+
+            const data = {
+                url: document.getElementById('qdrant-url')?.value.trim(),
+                collection: document.getElementById('qdrant-collection')?.value.trim(),
+                vectorSize: document.getElementById('qdrant-vector-size')?.value
+            };
+
+            await KC.QdrantProfiles.saveProfile(id, data);
+            KC.QdrantProfiles.setActive(id);
+
+            // Campo vazio mantém a chave existente
+            const apiKey = document.getElementById('qdrant-api-key')?.value.trim();
+            if (!apiKey) return;
+
+            const { persisted } = await KC.QdrantProfiles.setApiKey(id, apiKey);
+            if (!persisted) {
+                KC.EventBus.emit(KC.Events.NOTIFICATION_SHOW, {
+                    type: 'warning',
+                    message: 'API key do Qdrant mantida apenas nesta sessão',
+                    details: 'Desbloqueie o armazenamento seguro para gravá-la',
+                    duration: 6000
+                });
+            }
+        }
+
         /**
          * Anexa listeners ao modal
          */
@@ -545,6 +1090,9 @@
             if (template) {
                 template.value = this.config.analysis.template;
             }
+
+            this._fillQdrantProfileOptions();
+            this.loadQdrantProfileFields();
         }
 
         /**
@@ -853,8 +1401,12 @@
         /**
          * Salva configurações do modal
          */
-        saveConfiguration() {
+        async saveConfiguration() {
             try {
+                // Perfil do Qdrant primeiro: perfil inválido impede o fechamento do modal
+                await this._saveQdrantProfile();
+
+
                 // Coleta valores do modal
                 this.config.activeProvider = document.getElementById('active-provider')?.value || 'ollama';
                 
@@ -868,6 +1420,16 @@
                 
                 // Gemini
                 this.config.providers.gemini.apiKey = document.getElementById('gemini-key')?.value || '';
+
+                // Embeddings
+                if (document.getElementById('embedding-provider')) {
+                    this.config.embedding = {
+                        provider: document.getElementById('embedding-provider').value,
+                        model: document.getElementById('embedding-model')?.value.trim() || '',
+                        url: document.getElementById('embedding-url')?.value.trim() || '',
+                        apiKey: document.getElementById('embedding-key')?.value.trim() || ''
+                    };
+                }
                 
                 // Análise
                 const selectedTemplate = document.getElementById('modal-analysis-template')?.value || 'decisiveMoments';
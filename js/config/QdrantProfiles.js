@@ -0,0 +1,337 @@
+/**
+ * QdrantProfiles.js - Perfis de conexão com o Qdrant
+ *
+ * Fonte única de URL, API key, coleção e dimensão de vetores para todos os
+ * clientes Qdrant do repositório (QdrantService, convergence-navigator e
+ * intelligence-lab). Perfis nomeados (local, staging, production) podem ser
+ * editados e trocados em tempo de execução.
+ *
+ * Persistência:
+ * - Perfis (sem segredos) em localStorage, compartilhado por todas as páginas
+ * - API keys no SecureStorageManager quando a sessão segura está ativa;
+ *   caso contrário ficam apenas em memória até o fim da sessão
+ *
+ * Não depende do EventBus/AppState: as sub-aplicações carregam este arquivo
+ * isoladamente e usam onChange() para reagir à troca de perfil.
+ *
+ * AIDEV-NOTE: qdrant-profiles; nunca gravar apiKey fora do SecureStorageManager
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator = window.KnowledgeConsolidator || {};
+
+    const DEFAULT_PROFILES = {
+        local: {
+            name: 'Local',
+            url: 'http://127.0.0.1:6333',
+            collection: 'knowledge_consolidator',
+            vectorSize: 768
+        },
+        staging: {
+            name: 'Staging',
+            url: 'http://qdr.vcia.com.br:6333',
+            collection: 'knowledge_consolidator_staging',
+            vectorSize: 768
+        },
+        production: {
+            name: 'Produção (VPS)',
+            url: 'http://qdr.vcia.com.br:6333',
+            collection: 'knowledge_consolidator',
+            vectorSize: 768
+        }
+    };
+
+    class QdrantProfiles {
+        constructor() {
+            this.storageKey = 'kc_qdrant_profiles';
+            this.secureKey = 'qdrant_api_keys';
+            this.defaultProfile = 'production';
+
+            // API keys por perfil (somente memória)
+            this.apiKeys = {};
+            this.listeners = new Set();
+
+            this.settings = this._load();
+        }
+
+        /**
+         * Lista perfis disponíveis (sem API keys)
+         * @returns {Array<Object>}
+         */
+        list() {
+            return Object.entries(this.settings.profiles).map(([id, profile]) => ({
+                id,
+                ...profile,
+                hasApiKey: !!this.apiKeys[id],
+                active: id === this.settings.activeProfile
+            }));
+        }
+
+        /**
+         * Obtém um perfil com a API key resolvida
+         * @param {string} id - Identificador do perfil
+         * @returns {Object|null}
+         */
+        get(id) {
+            const profile = this.settings.profiles[id];
+            if (!profile) return null;
+
+            return { id, ...profile, apiKey: this.apiKeys[id] || null };
+        }
+
+        /**
+         * Perfil ativo
+         */
+        getActive() {
+            return this.get(this.settings.activeProfile) || this.get(this.defaultProfile);
+        }
+
+        getActiveId() {
+            return this.settings.activeProfile;
+        }
+
+        /**
+         * Troca o perfil ativo e notifica os clientes
+         * @param {string} id - Identificador do perfil
+         * @returns {Object} Perfil ativado
+         */
+        setActive(id) {
+            if (!this.settings.profiles[id]) {
+                throw new Error(`Perfil Qdrant não encontrado: ${id}`);
+            }
+
+            const previous = this.settings.activeProfile;
+            this.settings.activeProfile = id;
+            this._save();
+
+            if (previous !== id) {
+                this._notify(previous);
+            }
+
+            return this.getActive();
+        }
+
+        /**
+         * Cria ou atualiza um perfil
+         * @param {string} id - Identificador (ex: 'local', 'cliente-x')
+         * @param {Object} data - { name, url, collection, vectorSize, apiKey? }
+         * @returns {Promise<Object>} Perfil salvo
+         */
+        async saveProfile(id, data) {
+            const current = this.settings.profiles[id] || {};
+            const profile = {
+                name: data.name || current.name || id,
+                url: (data.url || current.url || '').replace(/\/+$/, ''),
+                collection: data.collection || current.collection,
+                vectorSize: parseInt(data.vectorSize ?? current.vectorSize, 10)
+            };
+
+            const errors = this.validate(profile);
+            if (errors.length > 0) {
+                throw new Error(`Perfil Qdrant inválido: ${errors.join('; ')}`);
+            }
+
+            this.settings.profiles[id] = profile;
+            this._save();
+
+            // setApiKey já notifica os clientes do perfil ativo
+            if (data.apiKey !== undefined) {
+                await this.setApiKey(id, data.apiKey);
+            } else if (id === this.settings.activeProfile) {
+                this._notify(id);
+            }
+
+            return this.get(id);
+        }
+
+        /**
+         * Remove um perfil (o perfil ativo não pode ser removido)
+         */
+        async removeProfile(id) {
+            if (id === this.settings.activeProfile) {
+                throw new Error('Não é possível remover o perfil ativo');
+            }
+
+            delete this.settings.profiles[id];
+            this._save();
+            await this.setApiKey(id, null);
+        }
+
+        /**
+         * Valida campos obrigatórios de um perfil
+         * @returns {string[]} Lista de erros
+         */
+        validate(profile) {
+            const errors = [];
+
+            if (!/^https?:\/\/.+/.test(profile.url || '')) {
+                errors.push('URL deve começar com http:// ou https://');
+            }
+            if (!profile.collection) {
+                errors.push('Coleção é obrigatória');
+            }
+            if (!Number.isInteger(profile.vectorSize) || profile.vectorSize <= 0) {
+                errors.push('Dimensão de vetores deve ser um inteiro positivo');
+            }
+
+            return errors;
+        }
+
+        /**
+         * Define (ou remove, com null) a API key de um perfil
+         * @returns {Promise<{persisted: boolean}>} persisted=false quando ficou só em memória
+         */
+        async setApiKey(id, apiKey) {
+            if (apiKey) {
+                this.apiKeys[id] = apiKey;
+            } else {
+                delete this.apiKeys[id];
+            }
+
+            const storage = await this._getSecureStorage();
+            const persisted = storage ? await storage.setSecureItem(this.secureKey, this.apiKeys) : false;
+            if (!persisted) {
+                KC.Logger?.warning?.('QdrantProfiles', 'Armazenamento seguro inativo: API key mantida apenas nesta sessão');
+            }
+
+            // Mesmo só em memória, a chave nova vale para os clientes conectados
+            if (id === this.settings.activeProfile) {
+                this._notify(id);
+            }
+
+            return { persisted };
+        }
+
+        /**
+         * Carrega API keys do SecureStorageManager (após desbloqueio da sessão)
+         * @returns {Promise<boolean>} true se as chaves foram carregadas
+         */
+        async loadSecrets() {
+            const storage = await this._getSecureStorage();
+            if (!storage) return false;
+
+            const keys = await storage.getSecureItem(this.secureKey);
+            if (keys) {
+                this.apiKeys = { ...keys, ...this.apiKeys };
+                this._notify(this.settings.activeProfile);
+            }
+
+            return true;
+        }
+
+        /**
+         * Registra callback de troca de perfil
+         * @param {Function} listener - Recebe (profile, previousId)
+         * @returns {Function} Função para cancelar o registro
+         */
+        onChange(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        /**
+         * Exporta perfis sem segredos (usado pelo ConfigManager)
+         */
+        exportSettings() {
+            return JSON.parse(JSON.stringify(this.settings));
+        }
+
+        /**
+         * Importa perfis exportados; API keys não são importadas
+         */
+        importSettings(settings) {
+            if (!settings || typeof settings.profiles !== 'object') {
+                throw new Error('Configuração de perfis Qdrant inválida');
+            }
+
+            const previous = this.settings.activeProfile;
+            this.settings = this._merge(settings);
+            this._save();
+            this._notify(previous);
+        }
+
+        /**
+         * @private
+         */
+        _load() {
+            try {
+                const saved = localStorage.getItem(this.storageKey);
+                if (saved) {
+                    return this._merge(JSON.parse(saved));
+                }
+            } catch (error) {
+                KC.Logger?.warning?.('QdrantProfiles', 'Erro ao carregar perfis, usando padrões', error);
+            }
+
+            return this._merge({});
+        }
+
+        /**
+         * Mescla perfis salvos com os padrões (novos padrões aparecem automaticamente)
+         * @private
+         */
+        _merge(saved) {
+            const profiles = JSON.parse(JSON.stringify(DEFAULT_PROFILES));
+
+            Object.entries(saved.profiles || {}).forEach(([id, profile]) => {
+                // Segredos nunca vêm do localStorage
+                const { apiKey, ...rest } = profile;
+                profiles[id] = { ...profiles[id], ...rest };
+            });
+
+            const activeProfile = profiles[saved.activeProfile] ? saved.activeProfile : this.defaultProfile;
+            return { activeProfile, profiles };
+        }
+
+        /**
+         * @private
+         */
+        _save() {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            } catch (error) {
+                KC.Logger?.error?.('QdrantProfiles', 'Erro ao salvar perfis', error);
+            }
+        }
+
+        /**
+         * SecureStorageManager é um módulo ES; só é usado se a sessão estiver desbloqueada
+         * @private
+         */
+        async _getSecureStorage() {
+            try {
+                const { default: storage } = await import('../managers/SecureStorageManager.js');
+                return storage.sessionKey ? storage : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _notify(previousId) {
+            const profile = this.getActive();
+
+            this.listeners.forEach(listener => {
+                try {
+                    listener(profile, previousId);
+                } catch (error) {
+                    console.error('QdrantProfiles: erro em listener', error);
+                }
+            });
+
+            // Evento sem a API key
+            const { apiKey, ...publicProfile } = profile;
+            KC.EventBus?.emit(KC.Events?.QDRANT_PROFILE_CHANGED || 'qdrant:profile:changed', {
+                profile: publicProfile,
+                previous: previousId
+            });
+        }
+    }
+
+    KC.QdrantProfiles = new QdrantProfiles();
+
+})(window);
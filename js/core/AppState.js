@@ -36,8 +36,8 @@
                     discovery: {
                         // ORIGINAL - Preservado para rollback
                         // filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf'],
-                        // NOVO - Adiciona .gdoc
-                        filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.gdoc'],
+                        // NOVO - Adiciona .gdoc, planilhas, caixas postais e imagens
+                        filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.xlsx', '*.gdoc', '*.mbox', '*.png', '*.jpg', '*.jpeg', '*.webp'],
                         directories: [],
                         dateMetric: 'created', // created, modified, accessed
                         timeRange: 'all', // 1m, 3m, 6m, 1y, 2y, all
@@ -56,7 +56,8 @@
                         tokenLimit: 8000, // 4000, 8000, 16000
                         customPrompt: '',
                         batchSize: 10,
-                        autoAnalyze: false
+                        autoAnalyze: false,
+                        longDocument: false // Map-reduce sobre chunks em documentos longos (mais chamadas por arquivo)
                     },
                     organization: {
                         exportPath: '/Knowledge Consolidation',
@@ -69,6 +70,7 @@
                 // AIDEV-NOTE: categories-removal; removido array categories - usar CategoryManager.getCategories()
                 // CategoryManager é a fonte única de verdade para categorias (LEI 11 - SSO)
                 customCategories: [], // Apenas categorias customizadas são salvas aqui
+                categoryParents: {}, // Pai das categorias padrão movidas na hierarquia (id -> parent)
                 stats: {
                     totalFiles: 0,
                     discoveredFiles: 0,
@@ -509,7 +511,11 @@
             const preserveKeys = [
                 this.localStorageKey,
                 'kc_processed_fingerprints', // Mantém histórico de processados
-                'kc_qdrant_synced'          // Mantém histórico de enviados ao Qdrant
+                'kc_qdrant_synced',         // Mantém histórico de enviados ao Qdrant
+                'kc_qdrant_profiles',       // Perfis de conexão do Qdrant
+                'kc_qdrant_snapshots',      // Snapshots do Qdrant por execução do pipeline
+                'kc_secure_storage',        // API keys criptografadas (SecureStorageManager)
+                'kc_secure_meta'
             ];
             
             for (let i = 0; i < localStorage.length; i++) {
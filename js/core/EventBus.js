@@ -299,11 +299,14 @@
         // NOVO: Eventos de categorias para refinamento
         CATEGORY_ASSIGNED: 'category:assigned',
         CATEGORY_REMOVED: 'category:removed',
+        CATEGORY_SUGGESTIONS_READY: 'category:suggestions:ready',
+        CATEGORY_SUGGESTIONS_REVIEWED: 'category:suggestions:reviewed',
         
         // Discovery
         DISCOVERY_STARTED: 'discovery:started',
         DISCOVERY_PROGRESS: 'discovery:progress',
         DISCOVERY_COMPLETED: 'discovery:completed',
+        DISCOVERY_CHANGES_DETECTED: 'discovery:changes:detected',
         
         // Filtros
         FILTER_CHANGED: 'filter:changed',
@@ -318,11 +321,14 @@
         ANALYSIS_STARTED: 'analysis:started',
         ANALYSIS_COMPLETED: 'analysis:completed',
         ANALYSIS_QUEUE_UPDATED: 'analysis:queue:updated',
+        ANALYSIS_QUEUE_RESTORED: 'analysis:queue:restored',
         ANALYSIS_ITEM_STARTED: 'analysis:item:started',
         ANALYSIS_ITEM_UPDATED: 'analysis:item:updated',
         ANALYSIS_ITEM_COMPLETED: 'analysis:item:completed',
         ANALYSIS_ITEM_ERROR: 'analysis:item:error',
         ANALYSIS_CONFIG_CHANGED: 'analysis:config:changed',
+        AI_BUDGET_APPROVAL_REQUIRED: 'ai:budget:approval:required',
+        AI_BUDGET_RESUMED: 'ai:budget:resumed',
         
         // UI
         MODAL_OPEN: 'ui:modal:open',
@@ -333,6 +339,7 @@
         PROGRESS_START: 'progress:start',
         PROGRESS_UPDATE: 'progress:update',
         PROGRESS_END: 'progress:end',
+        WORKER_TASK_PROGRESS: 'worker:task:progress',
         
         // Sistema
         EXECUTE_SYSTEM_REQUESTED: 'system:execute:requested',
@@ -355,6 +362,12 @@
         PIPELINE_STARTED: 'pipeline:started',
         PIPELINE_PROGRESS: 'pipeline:progress',
         PIPELINE_COMPLETED: 'pipeline:completed',
+        QDRANT_RECONCILED: 'qdrant:reconciled',
+        QDRANT_PROFILE_CHANGED: 'qdrant:profile:changed',
+        QDRANT_SNAPSHOT_CREATED: 'qdrant:snapshot:created',
+        QDRANT_SNAPSHOT_RESTORED: 'qdrant:snapshot:restored',
+        EMBEDDING_MODEL_CHANGED: 'embedding:model:changed',
+        EMBEDDING_MIGRATION_PROGRESS: 'embedding:migration:progress',
         
         // Erros
         ERROR_OCCURRED: 'error:occurred'
@@ -124,8 +124,15 @@ class ServiceFactory {
         try {
             console.log('🔄 Criando novo QdrantService...');
             
-            // Merge configuração customizada com padrão
-            const mergedConfig = this.mergeConfig(this.defaultConfigs.qdrant, config);
+            // Merge: padrão < perfil ativo (KC.QdrantProfiles) < configuração customizada
+            const profile = KC.QdrantProfiles?.getActive();
+            const profileConfig = profile ? {
+                baseUrl: profile.url,
+                collectionName: profile.collection,
+                vectorSize: profile.vectorSize,
+                ...(profile.apiKey ? { apiKey: profile.apiKey } : {})
+            } : {};
+            const mergedConfig = this.mergeConfig(this.mergeConfig(this.defaultConfigs.qdrant, profileConfig), config);
             
             // Usar classe do namespace KC
             const QdrantServiceClass = KC.QdrantServiceClass || window.QdrantService;
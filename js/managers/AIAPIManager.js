@@ -3,6 +3,14 @@
  * 
  * Responsável por integrar com diferentes provedores de IA (Ollama, OpenAI, Gemini)
  * Prioridade: Ollama (local) > Cloud providers
+ *
+ * Além dos providers nativos, aceita servidores OpenAI-compatíveis definidos
+ * pelo usuário (LM Studio, llama.cpp server, vLLM, gateway interno) - ver
+ * addCustomProvider(). São persistidos em localStorage (kc_custom_providers).
+ *
+ * analyze() percorre uma cadeia ordenada de providers/modelos por template
+ * (setFallbackChain(), kc_ai_fallback_chains), cada provider protegido por
+ * um circuit breaker (KC.breakers, utils/CircuitBreaker.js).
  * 
  * @requires AnalysisTypesManager
  * @requires Logger
@@ -15,6 +23,41 @@
     const KC = window.KnowledgeConsolidator;
     const logger = KC.Logger;
 
+    const BUILT_IN_PROVIDERS = ['ollama', 'openai', 'gemini', 'anthropic'];
+    const CUSTOM_PROVIDER_TYPE = 'openai-compatible';
+
+    // Notas da etapa map da análise de documentos longos
+    const NOTES_SCHEMA = {
+        type: 'object',
+        properties: {
+            notes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        chunks: { type: 'array', items: { type: 'integer' } }
+                    },
+                    required: ['text', 'chunks']
+                }
+            },
+            categories: { type: 'array', items: { type: 'string' } },
+            summary: { type: 'string' }
+        },
+        required: ['notes']
+    };
+
+    // Descrição de imagem por provider multimodal (describeImage)
+    const IMAGE_DESCRIPTION_SCHEMA = {
+        type: 'object',
+        properties: {
+            imageType: { type: 'string', enum: ['quadro-branco', 'screenshot', 'documento-escaneado', 'diagrama', 'foto', 'outro'] },
+            description: { type: 'string' },
+            text: { type: 'string' }
+        },
+        required: ['imageType', 'description', 'text']
+    };
+
     class AIAPIManager {
         constructor() {
             this.providers = {
@@ -31,7 +74,8 @@
                         generate: '/api/generate',
                         chat: '/api/chat',
                         models: '/api/tags'
-                    }
+                    },
+                    supportsStreaming: true     // NDJSON em /api/generate com stream: true
                 },
                 openai: {
                     id: 'openai',
@@ -61,7 +105,8 @@
                         'gpt-3.5-turbo': 16384
                     },
                     supportsStreaming: true,
-                    supportsJsonMode: true
+                    supportsJsonMode: true,
+                    supportsJsonSchema: true
                 },
                 gemini: {
                     id: 'gemini',
@@ -166,6 +211,38 @@
                 this.requestQueues[providerId] = [];
                 this.requestTimestamps[providerId] = [];
             });
+
+            // Saída estruturada: JSON Schema do template enviado ao provider e validado na volta
+            this.structuredOutput = {
+                enabled: true,
+                maxRepairAttempts: 2    // Novas chamadas com os erros de validação antes de falhar
+            };
+
+            // Documentos longos: map-reduce sobre chunks semânticos (ver analyzeLongDocument)
+            // Opt-in (enabled ou configuration.aiAnalysis.longDocument): multiplica chamadas e custo
+            this.longDocument = {
+                enabled: false,
+                windowChars: 6000,      // Caracteres de chunks por chamada (acima disso o documento é "longo")
+                reduceChars: 12000,     // Tamanho máximo das notas numa redução
+                mapMaxTokens: 600,
+                reduceMaxTokens: 1500
+            };
+
+            // Servidores OpenAI-compatíveis definidos pelo usuário
+            this.customProvidersKey = 'kc_custom_providers';
+            this._loadCustomProviders();
+
+            // Cadeias de fallback: { [templateId|'default']: [{ provider, model }] } (ver analyze)
+            this.fallbackChainsKey = 'kc_ai_fallback_chains';
+            this.fallbackChains = this._loadFallbackChains();
+
+            // Circuit breaker de cada provider (KC.breakers.getBreaker)
+            this.circuitBreaker = {
+                failureThreshold: 3,    // Falhas seguidas até abrir o circuito
+                successThreshold: 1,    // Sucessos em HALF_OPEN até fechar
+                resetTimeout: 60000,    // Tempo com o circuito aberto antes de testar de novo
+                timeout: 1800000        // Teto da análise inteira; o timeout real é o de cada requisição
+            };
             
             logger.info('AIAPIManager', 'Inicializado com provider padrão: Ollama');
         }
@@ -219,6 +296,260 @@
             logger.info('AIAPIManager', `Provider ativo alterado para: ${provider}`);
         }
 
+        /**
+         * Registra um servidor OpenAI-compatível (LM Studio, llama.cpp server, vLLM, gateway interno)
+         * @param {Object} config
+         * @param {string} config.id - Identificador (ex: 'lmstudio'); não pode ser um provider nativo
+         * @param {string} [config.name] - Nome exibido
+         * @param {string} config.baseUrl - URL do servidor; sem caminho, assume /v1
+         * @param {string} [config.apiKey] - Opcional
+         * @param {string[]} [config.models] - Padrão: lidos de /v1/models
+         * @param {string} [config.defaultModel] - Padrão: primeiro modelo
+         * @param {Object} [config.pricing] - USD por 1K tokens, por modelo ou '*' (padrão: sem custo)
+         * @param {Object} [config.maxTokens] - Limite por modelo ou '*'
+         * @param {Object} [config.rateLimits] - { requestsPerMinute, concurrent }
+         * @param {boolean} [config.isLocal] - Padrão: deduzido do host da URL
+         * @param {boolean} [config.supportsJsonMode=false] - Envia response_format json_object
+         * @param {boolean} [config.supportsJsonSchema=true] - Envia o JSON Schema do template (response_format json_schema)
+         * @returns {Promise<Object>} Provider registrado
+         */
+        async addCustomProvider(config = {}) {
+            const id = config.id;
+            if (!/^[a-z0-9][a-z0-9_-]*$/.test(id || '')) {
+                throw new Error('Identificador do provider deve usar apenas letras minúsculas, números, - e _');
+            }
+            if (BUILT_IN_PROVIDERS.includes(id)) {
+                throw new Error(`Provider nativo não pode ser substituído: ${id}`);
+            }
+            if (!/^https?:\/\/.+/.test(config.baseUrl || '')) {
+                throw new Error('URL do servidor deve começar com http:// ou https://');
+            }
+
+            const previous = this.providers[id];
+            const provider = this._registerCustomProvider({
+                ...(previous?.settings || {}),
+                ...config
+            });
+
+            if (config.apiKey !== undefined) {
+                this.setApiKey(id, config.apiKey);
+            }
+
+            // Modelos do servidor; sem lista informada e sem servidor, exige defaultModel
+            if (!config.models) {
+                try {
+                    await this.fetchCustomProviderModels(id);
+                } catch (error) {
+                    logger.warning('AIAPIManager', `Não foi possível listar modelos de ${provider.name}`, error.message);
+                }
+            }
+
+            if (!provider.defaultModel) {
+                this._unregisterCustomProvider(id);
+                if (previous) this._registerCustomProvider(previous.settings);
+                throw new Error(`Nenhum modelo disponível em ${provider.baseUrl}; informe models ou defaultModel`);
+            }
+
+            this._saveCustomProviders();
+            logger.info('AIAPIManager', `Provider OpenAI-compatível registrado: ${id}`, {
+                baseUrl: provider.baseUrl,
+                models: provider.models.length
+            });
+
+            return this.getProviders().find(p => p.id === id);
+        }
+
+        /**
+         * Remove um provider customizado (o ativo volta a ser o Ollama)
+         */
+        removeCustomProvider(id) {
+            if (this.providers[id]?.type !== CUSTOM_PROVIDER_TYPE) {
+                throw new Error(`Provider customizado não encontrado: ${id}`);
+            }
+
+            if (this.activeProvider === id) {
+                this.setActiveProvider('ollama');
+            }
+
+            this._unregisterCustomProvider(id);
+            delete this.apiKeys[id];
+            this._saveApiKeys();
+            this._saveCustomProviders();
+
+            logger.info('AIAPIManager', `Provider customizado removido: ${id}`);
+        }
+
+        /**
+         * Lê os modelos do endpoint /models do servidor OpenAI-compatível
+         * @param {string} id - Provider customizado
+         * @returns {Promise<string[]>} Modelos (também gravados no provider)
+         */
+        async fetchCustomProviderModels(id) {
+            const provider = this.providers[id];
+            if (provider?.type !== CUSTOM_PROVIDER_TYPE) {
+                throw new Error(`Provider customizado não encontrado: ${id}`);
+            }
+
+            const headers = {};
+            if (this.apiKeys[id]) {
+                headers.Authorization = `Bearer ${this.apiKeys[id]}`;
+            }
+
+            const response = await fetch(provider.baseUrl + provider.endpoints.models, {
+                method: 'GET',
+                headers: headers,
+                signal: AbortSignal.timeout(5000)
+            });
+
+            if (!response.ok) {
+                throw new Error(`${provider.name} erro ao listar modelos: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            // OpenAI: { data: [{ id }] }; alguns servidores respondem { models: [{ name }] }
+            const models = (data.data || data.models || [])
+                .map(model => typeof model === 'string' ? model : (model.id || model.name))
+                .filter(Boolean);
+
+            if (models.length > 0) {
+                provider.models = models;
+                if (!models.includes(provider.defaultModel)) {
+                    provider.defaultModel = provider.settings.defaultModel && models.includes(provider.settings.defaultModel) ?
+                        provider.settings.defaultModel :
+                        models[0];
+                }
+            }
+
+            return provider.models;
+        }
+
+        /**
+         * Relê os modelos do servidor e persiste a lista atualizada
+         * @param {string} id - Provider customizado
+         * @returns {Promise<string[]>} Modelos disponíveis
+         */
+        async refreshCustomProviderModels(id) {
+            const models = await this.fetchCustomProviderModels(id);
+            this._saveCustomProviders();
+            return models;
+        }
+
+        /**
+         * Cria a entrada do provider e suas estruturas de rate limiting e custo
+         * @private
+         */
+        _registerCustomProvider(settings) {
+            const { apiKey, ...stored } = settings;
+            const baseUrl = this._normalizeCustomBaseUrl(stored.baseUrl);
+            const models = stored.models || (stored.defaultModel ? [stored.defaultModel] : []);
+
+            const provider = {
+                id: stored.id,
+                type: CUSTOM_PROVIDER_TYPE,
+                name: stored.name || stored.id,
+                baseUrl: baseUrl,
+                isLocal: stored.isLocal ?? this._isPrivateHost(baseUrl),
+                requiresApiKey: false,
+                priority: stored.priority || 10,
+                models: models,
+                defaultModel: stored.defaultModel || models[0] || null,
+                endpoints: {
+                    chat: '/chat/completions',
+                    models: '/models'
+                },
+                pricing: stored.pricing || { '*': { input: 0, output: 0 } },
+                maxTokens: stored.maxTokens || { '*': 4096 },
+                timeout: stored.timeout || 120000,    // Modelos locais são mais lentos que a nuvem
+                supportsStreaming: true,
+                supportsJsonMode: stored.supportsJsonMode === true,
+                supportsJsonSchema: stored.supportsJsonSchema !== false,  // LM Studio, vLLM e llama.cpp aceitam json_schema
+                settings: { ...stored, baseUrl: baseUrl }
+            };
+
+            this.providers[provider.id] = provider;
+            this.rateLimits[provider.id] = {
+                requestsPerMinute: 60,
+                concurrent: 2,
+                ...(stored.rateLimits || {})
+            };
+            this.tokenUsage[provider.id] = this.tokenUsage[provider.id] || { inputTokens: 0, outputTokens: 0, cost: 0 };
+            this.requestQueues[provider.id] = this.requestQueues[provider.id] || [];
+            this.requestTimestamps[provider.id] = this.requestTimestamps[provider.id] || [];
+
+            return provider;
+        }
+
+        /**
+         * @private
+         */
+        _unregisterCustomProvider(id) {
+            delete this.providers[id];
+            delete this.rateLimits[id];
+            delete this.requestQueues[id];
+            delete this.requestTimestamps[id];
+        }
+
+        /**
+         * URL sem caminho recebe /v1 (padrão de LM Studio, llama.cpp e vLLM)
+         * @private
+         */
+        _normalizeCustomBaseUrl(url) {
+            const trimmed = url.trim().replace(/\/+$/, '');
+            return /^https?:\/\/[^/]+$/.test(trimmed) ? `${trimmed}/v1` : trimmed;
+        }
+
+        /**
+         * Host local ou de rede privada (documentos não saem da rede)
+         * @private
+         */
+        _isPrivateHost(url) {
+            try {
+                const host = new URL(url).hostname;
+                return host === 'localhost' ||
+                    /^127\./.test(host) ||
+                    /^10\./.test(host) ||
+                    /^192\.168\./.test(host) ||
+                    /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+                    host.endsWith('.local');
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _loadCustomProviders() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.customProvidersKey) || '[]');
+                saved
+                    .filter(settings => settings.id && !BUILT_IN_PROVIDERS.includes(settings.id))
+                    .forEach(settings => this._registerCustomProvider(settings));
+            } catch (error) {
+                logger.error('AIAPIManager', 'Erro ao carregar providers customizados', error);
+            }
+        }
+
+        /**
+         * Persiste os providers customizados (API keys ficam em kc_api_keys)
+         * @private
+         */
+        _saveCustomProviders() {
+            try {
+                const settings = Object.values(this.providers)
+                    .filter(provider => provider.type === CUSTOM_PROVIDER_TYPE)
+                    .map(provider => ({
+                        ...provider.settings,
+                        models: provider.models,
+                        defaultModel: provider.defaultModel,
+                        rateLimits: this.rateLimits[provider.id]
+                    }));
+                localStorage.setItem(this.customProvidersKey, JSON.stringify(settings));
+            } catch (error) {
+                logger.error('AIAPIManager', 'Erro ao salvar providers customizados', error);
+            }
+        }
+
         /**
          * Verifica se o Ollama está disponível localmente
          */
@@ -242,23 +573,138 @@
         }
 
         /**
-         * Analisa um arquivo usando o provider ativo
+         * Extrai o conteúdo que a descoberta deixou para a análise (extractionDeferred)
+         * Imagens só são descritas (visão paga ou OCR) quando analisadas; todo caminho
+         * de análise do AIAPIManager (analyze, analyzeBatch, analyzeStream) passa aqui; a fila do
+         * AnalysisManager extrai antes de montar o prompt (rereadContent).
+         * @param {Object} file - Arquivo descoberto; recebe content
+         * @returns {Promise<Object>} O mesmo arquivo
+         * @throws {Error} Quando a extração não produz conteúdo
+         */
+        async ensureDeferredContent(file) {
+            if (file.content || !file.extractionDeferred) return file;
+
+            const extraction = KC.DocumentExtractors ? await KC.DocumentExtractors.extract(file) : null;
+            if (!extraction?.success || !extraction.content) {
+                throw new Error(`Sem conteúdo extraído de ${file.name}${extraction?.error ? `: ${extraction.error}` : ''}`);
+            }
+
+            file.content = extraction.content;
+            return file;
+        }
+
+        /**
+         * Analisa um arquivo percorrendo a cadeia de fallback do template
+         * Cada etapa passa pelo circuit breaker do provider: circuito aberto pula
+         * a etapa sem chamar o provider, e a análise segue na próxima.
          * @param {Object} file - Arquivo a ser analisado
          * @param {Object} options - Opções de análise
-         * @returns {Promise<Object>} Resultado da análise
+         * @param {string} [options.provider] - Provider da primeira etapa (padrão: cadeia do template)
+         * @param {boolean} [options.fallback=true] - false usa só a primeira etapa
+         * @returns {Promise<Object>} Resultado da análise + providerUsed, attempts, usedFallback
+         * @throws {Error} code ALL_PROVIDERS_FAILED quando nenhuma etapa responde
          */
         async analyze(file, options = {}) {
-            const provider = this.providers[this.activeProvider];
+            await this.ensureDeferredContent(file);
+
+            const chain = this.resolveFallbackChain(options);
+            const attempts = [];
+
+            for (const [index, step] of chain.entries()) {
+                const breaker = this.getBreaker(step.provider);
+                if (breaker && !breaker.isHealthy()) {
+                    attempts.push({ ...step, skipped: true, error: `Circuito aberto (${breaker.getWaitTime()}s)` });
+                    continue;
+                }
+
+                const stepOptions = { ...options, provider: step.provider, model: step.model, fallback: false };
+
+                // Só falhas de disponibilidade contam no breaker (ver _isProviderFailure)
+                const attempt = async () => {
+                    try {
+                        return { analysis: await this._analyzeWithProvider(file, stepOptions) };
+                    } catch (error) {
+                        if (this._isProviderFailure(error)) throw error;
+                        return { error };
+                    }
+                };
+
+                try {
+                    const outcome = breaker ? await breaker.execute(attempt) : await attempt();
+                    if (outcome.error) throw outcome.error;
+
+                    const analysis = outcome.analysis;
+                    analysis.providerUsed = {
+                        provider: step.provider,
+                        model: step.model || this.providers[step.provider].defaultModel
+                    };
+                    analysis.attempts = attempts;
+                    if (index > 0) {
+                        analysis.usedFallback = true;
+                        analysis.originalProvider = chain[0].provider;
+                        analysis.fallbackProvider = step.provider;
+                    }
+                    return analysis;
+
+                } catch (error) {
+                    // Teto de gasto na primeira etapa segue para o AnalysisManager pausar a fila
+                    if (index === 0 && error.code === 'BUDGET_EXCEEDED') throw error;
+                    if (chain.length === 1) throw error;
+
+                    attempts.push({ ...step, error: error.message });
+                    logger.warning('AIAPIManager', `Etapa ${index + 1}/${chain.length} (${step.provider}) falhou`, error.message);
+                }
+            }
+
+            const error = new Error(`Todos os providers da cadeia falharam: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+            error.code = 'ALL_PROVIDERS_FAILED';
+            error.attempts = attempts;
+            throw error;
+        }
+
+        /**
+         * Análise com um único provider (options.provider ou o ativo)
+         * @private
+         */
+        async _analyzeWithProvider(file, options = {}) {
+            const provider = this.providers[options.provider || this.activeProvider];
+            if (!provider) {
+                throw new Error(`Provider desconhecido: ${options.provider}`);
+            }
+            options = { ...options, provider: provider.id };
             
             // Verifica se precisa de API key
             if (provider.requiresApiKey && !this.apiKeys[provider.id]) {
                 throw new Error(`API key necessária para ${provider.name}`);
             }
 
+            // Teto de gasto atingido: bloqueia antes de chamar provider pago
+            if (this._getPricing(provider.id, options.model || provider.defaultModel)) {
+                KC.AIBudgetService?.assertWithinBudget(provider.id, options.budgetRunId);
+            }
+
+            // JSON Schema da resposta (options.responseSchema: null desativa)
+            if (options.responseSchema === undefined) {
+                options = {
+                    ...options,
+                    responseSchema: this.structuredOutput.enabled ?
+                        KC.PromptManager?.getResponseSchema(options.template || 'decisiveMoments') || null :
+                        null
+                };
+            }
+
             // Prepara o prompt usando os tipos definidos
             const prompt = this._preparePrompt(file, options);
 
             try {
+                // Documento longo: análise de todos os chunks em vez do preview
+                if (this._isLongDocument(file, options)) {
+                    const analysis = await this.analyzeLongDocument(file, options);
+                    analysis.type = KC.AnalysisTypesManager.detectType(file);
+                    analysis.relevanceBoost = KC.AnalysisTypesManager.getRelevanceBoost(analysis.type);
+                    return analysis;
+                }
+
                 // Verifica rate limit antes de fazer a requisição
                 await this._checkRateLimit(provider.id);
                 
@@ -286,7 +732,10 @@
                         rawResponse = await this._callAnthropic(prompt, options);
                         break;
                     default:
-                        throw new Error(`Provider não implementado: ${provider.id}`);
+                        if (provider.type !== CUSTOM_PROVIDER_TYPE) {
+                            throw new Error(`Provider não implementado: ${provider.id}`);
+                        }
+                        rawResponse = await this._callOpenAI(prompt, options, provider.id);
                 }
                     
                     return rawResponse;
@@ -298,8 +747,20 @@
                 // Aguarda a resposta
                 const rawResponse = await apiCallPromise;
 
-                // Normaliza a resposta
-                const analysis = this._normalizeResponse(rawResponse, provider.id);
+                // Normaliza a resposta; com schema, só segue resposta validada (ou reparada)
+                let analysis;
+                if (options.responseSchema) {
+                    const { data, repairs, repairedLocally } = await this._enforceSchema(rawResponse, prompt, options);
+                    analysis = {
+                        ...data,
+                        ...this._normalizeResponse(data, provider.id),
+                        schemaValidated: true,
+                        schemaRepairs: repairs,
+                        schemaRepairedLocally: repairedLocally
+                    };
+                } else {
+                    analysis = this._normalizeResponse(rawResponse, provider.id);
+                }
 
                 // Enriquece com detecção de tipo existente
                 analysis.type = KC.AnalysisTypesManager.detectType(file);
@@ -315,123 +776,579 @@
 
             } catch (error) {
                 logger.error('AIAPIManager', `Erro na análise com ${provider.id}`, error);
-                
-                // Se Ollama falhar, tenta próximo provider disponível
-                if (provider.id === 'ollama' && options.fallback !== false) {
-                    logger.info('AIAPIManager', 'Tentando fallback para provider cloud');
-                    return this._fallbackToCloudProvider(file, options);
-                }
-
                 throw error;
             }
         }
 
         /**
-         * Verifica se pode fazer requisição respeitando rate limits
+         * Indica se o arquivo deve ser analisado em modo documento longo
+         * options.longDocument: true força, false desliga, 'auto' decide pelo tamanho
+         * @private
          */
-        async _checkRateLimit(providerId) {
-            const limits = this.rateLimits[providerId];
-            const now = Date.now();
-            
-            // Remove timestamps antigos (mais de 1 minuto)
-            this.requestTimestamps[providerId] = this.requestTimestamps[providerId]
-                .filter(timestamp => now - timestamp < 60000);
-            
-            // Verifica limite de requisições por minuto
-            if (this.requestTimestamps[providerId].length >= limits.requestsPerMinute) {
-                const oldestTimestamp = this.requestTimestamps[providerId][0];
-                const waitTime = 60000 - (now - oldestTimestamp);
-                
-                logger.warn('AIAPIManager', `Rate limit atingido para ${providerId}. Aguardando ${waitTime}ms`);
-                await this.delay(waitTime);
-                
-                // Remove o timestamp mais antigo após esperar
-                this.requestTimestamps[providerId].shift();
-            }
-            
-            // Verifica limite de requisições concorrentes
-            const activeRequests = this.requestQueues[providerId].length;
-            if (activeRequests >= limits.concurrent) {
-                logger.warn('AIAPIManager', `Limite de requisições concorrentes atingido para ${providerId}`);
-                
-                // Aguarda alguma requisição terminar
-                await Promise.race(this.requestQueues[providerId]);
-            }
-            
-            // Registra nova requisição
-            this.requestTimestamps[providerId].push(now);
+        _isLongDocument(file, options) {
+            const enabled = this.longDocument.enabled || KC.AppState?.get('configuration.aiAnalysis.longDocument') === true;
+            const mode = options.longDocument ?? (enabled ? 'auto' : false);
+            if (mode === false || !file.content || !KC.ChunkingUtils) return false;
+            if (mode === true) return true;
+
+            return file.content.length > (options.windowChars || this.longDocument.windowChars);
         }
-        
+
         /**
-         * Registra requisição ativa
+         * Estima chamadas, tokens e custo do modo documento longo (via estimateRequestCost)
+         * @param {Object} file - Arquivo com content
+         * @param {Object} options - { model, windowChars }
+         * @returns {Object} { chunks, windows, calls, inputTokens, outputTokens, cost, estimated }
          */
-        _trackRequest(providerId, promise) {
-            this.requestQueues[providerId].push(promise);
-            
-            // Remove da fila quando completar
-            promise.finally(() => {
-                const index = this.requestQueues[providerId].indexOf(promise);
-                if (index > -1) {
-                    this.requestQueues[providerId].splice(index, 1);
-                }
+        estimateLongDocumentAnalysis(file, options = {}) {
+            const providerId = options.provider || this.activeProvider;
+            const model = options.model || this.providers[providerId].defaultModel;
+            const { chunks, windows } = this._buildDocumentWindows(file.content, options);
+            const config = this.longDocument;
+
+            const requests = windows.map(window => ({
+                text: this._formatChunks(window),
+                output: windows.length > 1 ? config.mapMaxTokens : config.reduceMaxTokens
+            }));
+
+            // Redução: notas de todas as janelas (no máximo mapMaxTokens cada) + prompt do template
+            if (windows.length > 1) {
+                requests.push({
+                    text: 'x'.repeat(windows.length * config.mapMaxTokens * 4),
+                    output: config.reduceMaxTokens
+                });
+            }
+
+            const total = { inputTokens: 0, outputTokens: 0, cost: 0, estimated: true };
+            requests.forEach(request => {
+                const estimate = this.estimateRequestCost(providerId, model, request.text, request.output);
+                total.inputTokens += estimate.breakdown.inputTokens;
+                total.outputTokens += estimate.breakdown.outputTokens;
+                total.cost += estimate.cost;
+                total.estimated = total.estimated && estimate.estimated;
             });
-        }
-        
-        /**
-         * Delay assíncrono
-         */
-        delay(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
+
+            return {
+                provider: providerId,
+                model: model,
+                chunks: chunks.length,
+                windows: windows.length,
+                calls: requests.length,
+                ...total
+            };
         }
 
         /**
-         * Prepara o prompt para análise
+         * Analisa documento longo em duas etapas (map-reduce)
+         * 1. map: janelas de chunks consecutivos de ChunkingUtils.getSemanticChunks() viram
+         *    notas parciais, cada uma citando os chunks de origem
+         * 2. reduce: as notas são consolidadas no formato do template, mantendo as citações
+         * Os números de chunk coincidem com o chunkIndex gravado no Qdrant.
+         * @param {Object} file - Arquivo com content
+         * @param {Object} options - Opções de analyze() + { windowChars }
+         * @returns {Promise<Object>} Análise normalizada + citations + longDocument
          */
-        _preparePrompt(file, options) {
+        async analyzeLongDocument(file, options = {}) {
+            const provider = this.providers[options.provider || this.activeProvider];
             const template = options.template || 'decisiveMoments';
-            
-            // Usa PromptManager para obter o prompt base
-            const basePrompt = KC.PromptManager?.getPrompt(template, file, {
-                additionalContext: options.context || ''
-            }) || this._getFallbackPrompt(file);
+            const estimate = this.estimateLongDocumentAnalysis(file, options);
+            const { chunks, windows } = this._buildDocumentWindows(file.content, options);
 
-            // Adapta prompt para Ollama se necessário
-            if (this.activeProvider === 'ollama' && KC.PromptManager) {
-                const adaptedPrompt = KC.PromptManager.adaptPromptForTextResponse(
-                    basePrompt,
-                    this.activeProvider
-                );
-                return adaptedPrompt;
-            }
+            logger.info('AIAPIManager', `Documento longo: ${file.name}`, {
+                chunks: chunks.length,
+                windows: windows.length,
+                estimatedCost: estimate.cost
+            });
 
-            return basePrompt;
-        }
+            const progress = (step, done, total) => {
+                KC.EventBus?.emit(KC.Events?.ANALYSIS_ITEM_UPDATED || 'analysis:item:updated', {
+                    fileId: file.id,
+                    longDocument: { step, done, total }
+                });
+            };
 
-        /**
-         * Prompt de fallback caso PromptManager não esteja disponível
-         */
-        _getFallbackPrompt(file) {
-            const typesDescription = KC.AnalysisTypesManager?.getPromptDescription() || '';
-            
-            const systemPrompt = `Você é um analista especializado em identificar momentos decisivos e insights em bases de conhecimento pessoal.
+            // Uma janela só: análise direta com os chunks rotulados
+            let material = this._formatChunks(windows[0]);
+            let notesCount = 0;
+
+            if (windows.length > 1) {
+                let notes = [];
+                for (let i = 0; i < windows.length; i++) {
+                    const partial = await this._callStep(
+                        this._buildMapPrompt(file, this._formatChunks(windows[i]), i + 1, windows.length),
+                        { ...options, maxTokens: this.longDocument.mapMaxTokens, responseSchema: NOTES_SCHEMA }
+                    );
+                    notes.push(...this._toNotes(partial));
+                    progress('map', i + 1, windows.length);
+                }
 
-Analise o conteúdo fornecido e identifique:
+                // Notas que não cabem numa redução são consolidadas em níveis
+                while (notes.length > 1 && this._formatNotes(notes).length > this.longDocument.reduceChars) {
+                    const groups = this._groupByLength(notes, this.longDocument.reduceChars / 2, note => this._formatNotes([note]));
+                    const merged = [];
+                    for (const group of groups) {
+                        const partial = await this._callStep(
+                            this._buildMapPrompt(file, this._formatNotes(group), null, null),
+                            { ...options, maxTokens: this.longDocument.mapMaxTokens, responseSchema: NOTES_SCHEMA }
+                        );
+                        merged.push(...this._toNotes(partial));
+                    }
+                    if (merged.length >= notes.length) break;
+                    notes = merged;
+                }
 
-1. TIPO DE ANÁLISE (escolha apenas UM dos seguintes):
-${typesDescription}
+                notesCount = notes.length;
+                material = this._formatNotes(notes);
+            }
 
-2. MOMENTOS DECISIVOS: Identifique 2-3 momentos chave no conteúdo
+            const parsed = await this._callStep(
+                this._buildReducePrompt(file, template, material, windows.length > 1),
+                { ...options, maxTokens: this.longDocument.reduceMaxTokens, responseSchema: this._withCitations(options.responseSchema) }
+            );
+            progress('reduce', 1, 1);
 
-3. CATEGORIAS SUGERIDAS: Sugira 1-3 categorias relevantes
+            const citations = this._extractCitations(parsed, chunks);
+            const analysis = this._normalizeResponse(parsed, provider.id);
 
-4. RESUMO: Um parágrafo conciso sobre o valor do conteúdo
+            return {
+                ...parsed,
+                ...analysis,
+                schemaValidated: !!options.responseSchema,
+                citations: citations,
+                longDocument: {
+                    chunks: chunks.length,
+                    windows: windows.length,
+                    notes: notesCount,
+                    estimate: estimate
+                }
+            };
+        }
 
-Responda SEMPRE em formato JSON estruturado.`;
+        /**
+         * Agrupa chunks semânticos consecutivos em janelas que cabem num prompt
+         * @private
+         */
+        _buildDocumentWindows(content, options = {}) {
+            const chunks = KC.ChunkingUtils.getSemanticChunks(content)
+                .map((chunk, index) => ({ index, content: chunk.content }));
+            const windowChars = options.windowChars || this.longDocument.windowChars;
 
-            const userPrompt = `Analise o seguinte conteúdo:
+            return {
+                chunks,
+                windows: this._groupByLength(chunks, windowChars, chunk => chunk.content)
+            };
+        }
 
-Arquivo: ${file.name}
-Preview: ${file.preview || file.content?.substring(0, 500)}
+        /**
+         * Agrupa itens em sequência sem passar do limite de caracteres (item maior fica sozinho)
+         * @private
+         */
+        _groupByLength(items, maxChars, toText) {
+            const groups = [];
+            let current = [];
+            let length = 0;
+
+            items.forEach(item => {
+                const size = toText(item).length;
+                if (current.length > 0 && length + size > maxChars) {
+                    groups.push(current);
+                    current = [];
+                    length = 0;
+                }
+                current.push(item);
+                length += size;
+            });
+
+            if (current.length > 0) groups.push(current);
+            return groups;
+        }
+
+        /**
+         * @private
+         */
+        _formatChunks(chunks) {
+            return chunks.map(chunk => `[chunk ${chunk.index}]\n${chunk.content}`).join('\n\n');
+        }
+
+        /**
+         * @private
+         */
+        _formatNotes(notes) {
+            return notes.map(note => `- ${note.text} [chunks: ${note.chunks.join(', ')}]`).join('\n');
+        }
+
+        /**
+         * Prompt da etapa map (janela de chunks ou grupo de notas)
+         * @private
+         */
+        _buildMapPrompt(file, material, part, totalParts) {
+            const scope = part ?
+                `Esta é a parte ${part} de ${totalParts} do documento "${file.name}". Cada trecho começa com [chunk N].` :
+                `Estas são notas parciais do documento "${file.name}", cada uma com os chunks de origem.`;
+
+            return {
+                system: 'Você extrai notas de análise de partes de documentos longos de uma base de conhecimento pessoal. ' +
+                    'Registre decisões, insights, pontos de inflexão e aprendizados, sempre citando os números dos chunks ' +
+                    'que sustentam cada nota. Não invente números de chunk. Responda SOMENTE com JSON válido.',
+                user: `${scope}\n\n${material}\n\n` +
+                    'Responda com: {"notes": [{"text": "nota objetiva", "chunks": [3, 4]}], ' +
+                    '"categories": ["categoria"], "summary": "resumo desta parte"}'
+            };
+        }
+
+        /**
+         * Prompt da etapa reduce: formato do template + citações por item
+         * @private
+         */
+        _buildReducePrompt(file, templateId, material, fromNotes) {
+            const template = KC.PromptManager?.getTemplate(templateId);
+            const format = template?.responseFormat || {
+                analysisType: 'string',
+                moments: ['array of strings'],
+                categories: ['array of strings'],
+                summary: 'string',
+                relevanceScore: 'number (0-1)'
+            };
+
+            const intro = fromNotes ?
+                `O documento "${file.name}" foi analisado em partes. Notas parciais, com os chunks de origem:` :
+                `Conteúdo completo do documento "${file.name}", dividido em chunks:`;
+
+            return {
+                system: template?.systemPrompt || this._getFallbackPrompt(file).system,
+                user: `${intro}\n\n${material}\n\n` +
+                    `Consolide uma análise única do documento inteiro no formato JSON:\n${JSON.stringify(format, null, 2)}\n\n` +
+                    'Em toda lista de momentos, insights ou pontos, cada item deve ser um objeto ' +
+                    '{"text": "...", "chunks": [números dos chunks que o sustentam]}.'
+            };
+        }
+
+        /**
+         * Chamada de uma etapa com rate limiting; devolve o JSON interpretado
+         * @private
+         */
+        async _callStep(prompt, options) {
+            const providerId = options.provider || this.activeProvider;
+            await this._checkRateLimit(providerId);
+
+            const promise = this._callProvider(prompt, { ...options, jsonMode: true });
+            this._trackRequest(providerId, promise);
+            const raw = await promise;
+
+            if (options.responseSchema) {
+                return (await this._enforceSchema(raw, prompt, options)).data;
+            }
+
+            const parsed = this._parseJsonLoose(raw);
+            if (!parsed) {
+                throw new Error('Resposta sem JSON na análise de documento longo');
+            }
+
+            return parsed;
+        }
+
+        /**
+         * Schema da redução: listas de texto (exceto categorias) viram itens { text, chunks }
+         * @private
+         */
+        _withCitations(schema) {
+            if (!schema) return null;
+
+            const properties = {};
+            Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+                const citable = fieldSchema.type === 'array' && fieldSchema.items?.type === 'string' && field !== 'categories';
+                properties[field] = citable ? {
+                    ...fieldSchema,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            text: { type: 'string' },
+                            chunks: { type: 'array', items: { type: 'integer' } }
+                        },
+                        required: ['text', 'chunks']
+                    }
+                } : fieldSchema;
+            });
+
+            return { ...schema, properties };
+        }
+
+        /**
+         * Notas da etapa map; aceita notes ou moments com/sem chunks
+         * @private
+         */
+        _toNotes(partial) {
+            const items = partial.notes || partial.moments || [];
+            return items
+                .map(item => typeof item === 'string' ?
+                    { text: item, chunks: [] } :
+                    { text: item.text || item.note || '', chunks: (item.chunks || []).map(Number).filter(Number.isInteger) })
+                .filter(note => note.text);
+        }
+
+        /**
+         * Converte itens {text, chunks} em strings e monta as citações
+         * Chunks inexistentes são descartados.
+         * @private
+         */
+        _extractCitations(parsed, chunks) {
+            const citations = [];
+
+            Object.entries(parsed).forEach(([field, value]) => {
+                if (!Array.isArray(value) || !value.some(item => item && typeof item === 'object' && 'text' in item)) {
+                    return;
+                }
+
+                parsed[field] = value.map((item, index) => {
+                    if (typeof item !== 'object' || item === null) return String(item);
+
+                    const cited = [...new Set((item.chunks || []).map(Number))]
+                        .filter(chunkIndex => chunks[chunkIndex]);
+
+                    citations.push({
+                        field: field,
+                        index: index,
+                        text: item.text,
+                        chunks: cited,
+                        excerpts: cited.map(chunkIndex => chunks[chunkIndex].content.substring(0, 200))
+                    });
+
+                    return item.text;
+                });
+            });
+
+            return citations;
+        }
+
+        /**
+         * Provider multimodal utilizável para imagens
+         * Prefere o provider ativo; senão o de maior prioridade com API key.
+         * @returns {string|null} Id do provider ou null se nenhum estiver configurado
+         */
+        getVisionProvider() {
+            const usable = (provider) => provider?.supportsMultiModal &&
+                (!provider.requiresApiKey || !!this.apiKeys[provider.id]);
+
+            if (usable(this.providers[this.activeProvider])) {
+                return this.activeProvider;
+            }
+
+            const candidate = Object.values(this.providers)
+                .filter(usable)
+                .sort((a, b) => a.priority - b.priority)[0];
+            return candidate ? candidate.id : null;
+        }
+
+        /**
+         * Descreve uma imagem (foto de quadro branco, screenshot, página escaneada)
+         * e transcreve o texto visível com um provider multimodal
+         * @param {{data: string, mimeType: string}} image - Conteúdo em base64
+         * @param {Object} [options] - provider, model, fileName, budgetRunId
+         * @returns {Promise<{imageType: string, description: string, text: string, provider: string, model: string}>}
+         * @throws {Error} code NO_VISION_PROVIDER quando não há provider multimodal configurado
+         */
+        async describeImage(image, options = {}) {
+            const providerId = options.provider || this.getVisionProvider();
+            const provider = this.providers[providerId];
+
+            if (!provider || !provider.supportsMultiModal) {
+                const error = new Error('Nenhum provider multimodal configurado para análise de imagens');
+                error.code = 'NO_VISION_PROVIDER';
+                throw error;
+            }
+            if (provider.requiresApiKey && !this.apiKeys[provider.id]) {
+                throw new Error(`API key necessária para ${provider.name}`);
+            }
+
+            const model = options.model || provider.defaultModel;
+            if (this._getPricing(provider.id, model)) {
+                KC.AIBudgetService?.assertWithinBudget(provider.id, options.budgetRunId);
+            }
+
+            const breaker = this.getBreaker(provider.id);
+            if (breaker && !breaker.isHealthy()) {
+                throw new Error(`Circuito aberto para ${provider.name} (${breaker.getWaitTime()}s)`);
+            }
+
+            const prompt = {
+                system: 'Você analisa imagens de uma base de conhecimento pessoal: fotos de quadro branco, ' +
+                    'screenshots, páginas escaneadas e diagramas. Responda apenas com JSON válido.',
+                user: `Imagem${options.fileName ? ` "${options.fileName}"` : ''}.\n` +
+                    '1. imageType: o tipo da imagem.\n' +
+                    '2. description: descreva o conteúdo em português, incluindo a estrutura de diagramas ' +
+                    '(setas, agrupamentos, listas) e qualquer decisão, conclusão ou próximo passo registrado.\n' +
+                    '3. text: transcreva literalmente todo o texto legível, preservando quebras de linha; ' +
+                    'use "" se não houver texto.'
+            };
+            const callOptions = {
+                ...options,
+                provider: provider.id,
+                model: model,
+                images: [image],
+                temperature: 0.2,
+                responseSchema: IMAGE_DESCRIPTION_SCHEMA
+            };
+
+            await this._checkRateLimit(provider.id);
+
+            const call = () => this._callProvider(prompt, callOptions);
+            const promise = breaker ? breaker.execute(call) : call();
+            this._trackRequest(provider.id, promise);
+
+            const { data } = await this._enforceSchema(await promise, prompt, callOptions);
+
+            logger.info('AIAPIManager', 'Imagem descrita', { provider: provider.id, fileName: options.fileName });
+
+            return {
+                imageType: data.imageType,
+                description: data.description,
+                text: data.text,
+                provider: provider.id,
+                model: model
+            };
+        }
+
+        /**
+         * Chamada avulsa com um prompt já montado ({ system, user }), pelo mesmo caminho
+         * das análises: API key, teto de gasto (AIBudgetService), rate limit e circuit
+         * breaker; o gasto é registrado em _trackTokenUsage
+         * @param {Object} prompt - { system, user }
+         * @param {Object} [options] - provider, model, temperature, maxTokens, responseSchema, budgetRunId
+         * @returns {Promise<string>} Resposta bruta do provider
+         */
+        async complete(prompt, options = {}) {
+            const provider = this.providers[options.provider || this.activeProvider];
+            if (!provider) {
+                throw new Error(`Provider desconhecido: ${options.provider}`);
+            }
+            if (provider.requiresApiKey && !this.apiKeys[provider.id]) {
+                throw new Error(`API key necessária para ${provider.name}`);
+            }
+            if (this._getPricing(provider.id, options.model || provider.defaultModel)) {
+                KC.AIBudgetService?.assertWithinBudget(provider.id, options.budgetRunId);
+            }
+
+            const breaker = this.getBreaker(provider.id);
+            if (breaker && !breaker.isHealthy()) {
+                throw new Error(`Circuito aberto para ${provider.name} (${breaker.getWaitTime()}s)`);
+            }
+
+            await this._checkRateLimit(provider.id);
+
+            const callOptions = { ...options, provider: provider.id };
+            const call = () => this._callProvider(prompt, callOptions);
+            const promise = breaker ? breaker.execute(call) : call();
+            this._trackRequest(provider.id, promise);
+            return await promise;
+        }
+
+        /**
+         * Verifica se pode fazer requisição respeitando rate limits
+         */
+        async _checkRateLimit(providerId) {
+            const limits = this.rateLimits[providerId];
+            const now = Date.now();
+            
+            // Remove timestamps antigos (mais de 1 minuto)
+            this.requestTimestamps[providerId] = this.requestTimestamps[providerId]
+                .filter(timestamp => now - timestamp < 60000);
+            
+            // Verifica limite de requisições por minuto
+            if (this.requestTimestamps[providerId].length >= limits.requestsPerMinute) {
+                const oldestTimestamp = this.requestTimestamps[providerId][0];
+                const waitTime = 60000 - (now - oldestTimestamp);
+                
+                logger.warn('AIAPIManager', `Rate limit atingido para ${providerId}. Aguardando ${waitTime}ms`);
+                await this.delay(waitTime);
+                
+                // Remove o timestamp mais antigo após esperar
+                this.requestTimestamps[providerId].shift();
+            }
+            
+            // Verifica limite de requisições concorrentes
+            const activeRequests = this.requestQueues[providerId].length;
+            if (activeRequests >= limits.concurrent) {
+                logger.warn('AIAPIManager', `Limite de requisições concorrentes atingido para ${providerId}`);
+                
+                // Aguarda alguma requisição terminar
+                await Promise.race(this.requestQueues[providerId]);
+            }
+            
+            // Registra nova requisição
+            this.requestTimestamps[providerId].push(now);
+        }
+        
+        /**
+         * Registra requisição ativa
+         */
+        _trackRequest(providerId, promise) {
+            this.requestQueues[providerId].push(promise);
+            
+            // Remove da fila quando completar (a falha é tratada por quem aguarda a promise)
+            promise.finally(() => {
+                const index = this.requestQueues[providerId].indexOf(promise);
+                if (index > -1) {
+                    this.requestQueues[providerId].splice(index, 1);
+                }
+            }).catch(() => {});
+        }
+        
+        /**
+         * Delay assíncrono
+         */
+        delay(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        /**
+         * Prepara o prompt para análise
+         */
+        _preparePrompt(file, options) {
+            const template = options.template || 'decisiveMoments';
+            
+            // Usa PromptManager para obter o prompt base
+            const basePrompt = KC.PromptManager?.prepare(file, template, {
+                additionalContext: options.context || ''
+            }) || this._getFallbackPrompt(file);
+
+            // Adapta prompt para Ollama se necessário (com schema a resposta continua JSON)
+            const providerId = options.provider || this.activeProvider;
+            if (providerId === 'ollama' && KC.PromptManager && !options.responseSchema) {
+                const adaptedPrompt = KC.PromptManager.adaptPromptForTextResponse(
+                    basePrompt,
+                    providerId
+                );
+                return adaptedPrompt;
+            }
+
+            return basePrompt;
+        }
+
+        /**
+         * Prompt de fallback caso PromptManager não esteja disponível
+         */
+        _getFallbackPrompt(file) {
+            const typesDescription = KC.AnalysisTypesManager?.getPromptDescription() || '';
+            
+            const systemPrompt = `Você é um analista especializado em identificar momentos decisivos e insights em bases de conhecimento pessoal.
+
+Analise o conteúdo fornecido e identifique:
+
+1. TIPO DE ANÁLISE (escolha apenas UM dos seguintes):
+${typesDescription}
+
+2. MOMENTOS DECISIVOS: Identifique 2-3 momentos chave no conteúdo
+
+3. CATEGORIAS SUGERIDAS: Sugira 1-3 categorias relevantes
+
+4. RESUMO: Um parágrafo conciso sobre o valor do conteúdo
+
+Responda SEMPRE em formato JSON estruturado.`;
+
+            const userPrompt = `Analise o seguinte conteúdo:
+
+Arquivo: ${file.name}
+Preview: ${file.preview || file.content?.substring(0, 500)}
 
 Forneça sua análise em formato JSON com a estrutura:
 {
@@ -452,12 +1369,45 @@ Forneça sua análise em formato JSON com a estrutura:
          * Chama API do Ollama
          */
         async _callOllama(prompt, options) {
-            const provider = this.providers.ollama;
-            const model = options.model || provider.defaultModel;
+            const request = this._ollamaRequest(prompt, options);
             
             // DEBUG: Log do prompt enviado
             console.log('📤 Prompt enviado ao Ollama:', prompt);
 
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Ollama erro: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            
+            // Validar resposta
+            if (!data.response || data.response.trim() === '{}' || data.response.trim() === '') {
+                KC.Logger?.warning('AIAPIManager - Resposta vazia do Ollama', {
+                    model: request.model,
+                    eval_count: data.eval_count,
+                    total_duration: data.total_duration
+                });
+                throw new Error('Resposta vazia do Ollama - verificar modelo e parâmetros');
+            }
+            
+            return data.response;
+        }
+
+        /**
+         * Monta a requisição do Ollama (/api/generate)
+         * @private
+         */
+        _ollamaRequest(prompt, options, stream = false) {
+            const provider = this.providers.ollama;
+            const model = options.model || provider.defaultModel;
+
             // ORIGINAL - Preservado para rollback
             // const response = await fetch(provider.baseUrl + provider.endpoints.generate, {
             //     method: 'POST',
@@ -479,66 +1429,93 @@ Forneça sua análise em formato JSON com a estrutura:
             // });
 
             // CORREÇÃO BUG #6: Remover format: 'json' e adicionar parâmetros adequados
-            const response = await fetch(provider.baseUrl + provider.endpoints.generate, {
+            const requestBody = {
+                model: model,
+                prompt: `${prompt.system}\n\n${prompt.user}`,
+                stream: stream,
+                // format: 'json' removido - causava resposta vazia
+                options: {
+                    temperature: options.temperature || 0.7,
+                    num_predict: 1000,     // Forçar geração mínima
+                    num_ctx: 4096,         // Contexto adequado
+                    top_k: 40,
+                    top_p: 0.9,
+                    repeat_penalty: 1.1,
+                    stop: ["</analysis>", "\n\n\n"]  // Stop sequences
+                }
+            };
+
+            // Saída estruturada (Ollama >= 0.5): o schema restringe a geração, sem stop sequences
+            if (options.responseSchema) {
+                requestBody.format = options.responseSchema;
+                delete requestBody.options.stop;
+            }
+
+            return {
+                model: model,
+                url: provider.baseUrl + provider.endpoints.generate,
+                headers: { 'Content-Type': 'application/json' },
+                body: requestBody,
+                timeout: this.timeout
+            };
+        }
+
+        /**
+         * Chama API do OpenAI com tracking de tokens
+         * Também atende os servidores OpenAI-compatíveis (mesmo formato de chat/completions).
+         * @param {string} [providerId='openai'] - 'openai' ou id de um provider customizado
+         */
+        async _callOpenAI(prompt, options, providerId = 'openai') {
+            const provider = this.providers[providerId];
+            const request = this._openAIRequest(prompt, options, providerId);
+            const model = request.model;
+
+            // Verifica cache
+            const cacheKey = this._generateCacheKey(providerId, model, prompt, options);
+            const cached = this._getFromCache(cacheKey);
+            if (cached && !options.noCache) {
+                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: providerId });
+                return cached;
+            }
+
+            const response = await fetch(request.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: model,
-                    prompt: `${prompt.system}\n\n${prompt.user}`,
-                    stream: false,
-                    // format: 'json' removido - causava resposta vazia
-                    options: {
-                        temperature: options.temperature || 0.7,
-                        num_predict: 1000,     // Forçar geração mínima
-                        num_ctx: 4096,         // Contexto adequado
-                        top_k: 40,
-                        top_p: 0.9,
-                        repeat_penalty: 1.1,
-                        stop: ["</analysis>", "\n\n\n"]  // Stop sequences
-                    }
-                }),
-                signal: AbortSignal.timeout(this.timeout)
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: AbortSignal.timeout(request.timeout)
             });
 
             if (!response.ok) {
-                throw new Error(`Ollama erro: ${response.status} ${response.statusText}`);
+                const label = providerId === 'openai' ? 'OpenAI' : provider.name;
+                throw new Error(`${label} API Error [${response.status}]: ${await this._readErrorMessage(response)}`);
             }
 
             const data = await response.json();
             
-            // Validar resposta
-            if (!data.response || data.response.trim() === '{}' || data.response.trim() === '') {
-                KC.Logger?.warning('AIAPIManager - Resposta vazia do Ollama', {
-                    model: model,
-                    eval_count: data.eval_count,
-                    total_duration: data.total_duration
-                });
-                throw new Error('Resposta vazia do Ollama - verificar modelo e parâmetros');
+            // Tracking de tokens e custo
+            if (data.usage) {
+                this._trackTokenUsage(providerId, model, data.usage);
             }
+
+            const content = data.choices[0].message.content;
             
-            return data.response;
+            // Armazena no cache
+            this._setCache(cacheKey, content);
+            
+            return content;
         }
 
         /**
-         * Chama API do OpenAI com suporte a streaming e tracking de tokens
+         * Monta a requisição de chat/completions (OpenAI e OpenAI-compatíveis)
+         * @private
          */
-        async _callOpenAI(prompt, options) {
-            const provider = this.providers.openai;
+        _openAIRequest(prompt, options, providerId = 'openai', stream = false) {
+            const provider = this.providers[providerId];
             const model = options.model || provider.defaultModel;
-            const apiKey = this.apiKeys.openai;
-
-            if (!apiKey) {
-                throw new Error('API key do OpenAI não configurada');
-            }
+            const apiKey = this.apiKeys[providerId];
 
-            // Verifica cache
-            const cacheKey = this._generateCacheKey('openai', model, prompt, options);
-            const cached = this._getFromCache(cacheKey);
-            if (cached && !options.noCache) {
-                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: 'openai' });
-                return cached;
+            if (!apiKey && provider.requiresApiKey) {
+                throw new Error(`API key do ${provider.name} não configurada`);
             }
 
             const requestBody = {
@@ -548,15 +1525,25 @@ Forneça sua análise em formato JSON com a estrutura:
                     { role: 'user', content: prompt.user }
                 ],
                 temperature: options.temperature || 0.7,
-                max_tokens: Math.min(options.maxTokens || 2000, provider.maxTokens[model] || 4000),
+                max_tokens: Math.min(options.maxTokens || 2000, provider.maxTokens[model] || provider.maxTokens['*'] || 4000),
                 top_p: options.topP || 1,
                 frequency_penalty: options.frequencyPenalty || 0,
                 presence_penalty: options.presencePenalty || 0,
-                stream: options.stream || false
+                stream: stream
             };
 
-            // Adiciona JSON mode se suportado
-            if (provider.supportsJsonMode && options.jsonMode !== false) {
+            // Uso de tokens no último evento do stream (servidores compatíveis podem não aceitar)
+            if (stream && providerId === 'openai') {
+                requestBody.stream_options = { include_usage: true };
+            }
+
+            // Adiciona JSON Schema ou JSON mode se suportado
+            if (options.responseSchema && provider.supportsJsonSchema) {
+                requestBody.response_format = {
+                    type: 'json_schema',
+                    json_schema: { name: 'resposta', schema: options.responseSchema, strict: false }
+                };
+            } else if (provider.supportsJsonMode && options.jsonMode !== false) {
                 requestBody.response_format = { type: 'json_object' };
             }
 
@@ -565,37 +1552,72 @@ Forneça sua análise em formato JSON com a estrutura:
                 requestBody.seed = options.seed;
             }
 
-            const response = await fetch(provider.baseUrl + provider.endpoints.chat, {
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KnowledgeConsolidator/1.0'
+            };
+            // Servidores locais costumam dispensar a chave
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            return {
+                model: model,
+                url: provider.baseUrl + provider.endpoints.chat,
+                headers: headers,
+                body: requestBody,
+                timeout: provider.timeout || this.timeout
+            };
+        }
+
+        /**
+         * Chama API do Gemini com suporte a multi-modal e safety settings
+         */
+        async _callGemini(prompt, options) {
+            const request = this._geminiRequest(prompt, options);
+            const model = request.model;
+
+            // Verifica cache
+            const cacheKey = this._generateCacheKey('gemini', model, prompt, options);
+            const cached = this._getFromCache(cacheKey);
+            if (cached && !options.noCache) {
+                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: 'gemini' });
+                return cached;
+            }
+
+            const response = await fetch(request.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'User-Agent': 'KnowledgeConsolidator/1.0'
-                },
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(this.timeout)
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: AbortSignal.timeout(request.timeout)
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                let errorData;
-                try {
-                    errorData = JSON.parse(errorText);
-                } catch {
-                    errorData = { error: { message: errorText } };
-                }
-                
-                throw new Error(`OpenAI API Error [${response.status}]: ${errorData.error?.message || 'Unknown error'}`);
+                throw new Error(`Gemini API Error [${response.status}]: ${await this._readErrorMessage(response)}`);
             }
 
             const data = await response.json();
             
-            // Tracking de tokens e custo
-            if (data.usage) {
-                this._trackTokenUsage('openai', model, data.usage);
+            // Verifica se a resposta foi bloqueada por safety
+            if (!data.candidates || data.candidates.length === 0) {
+                throw new Error('Resposta bloqueada por filtros de segurança do Gemini');
             }
 
-            const content = data.choices[0].message.content;
+            const candidate = data.candidates[0];
+            if (candidate.finishReason === 'SAFETY') {
+                throw new Error('Conteúdo bloqueado por políticas de segurança do Gemini');
+            }
+
+            // Tracking de tokens
+            if (data.usageMetadata) {
+                this._trackTokenUsage('gemini', model, {
+                    prompt_tokens: data.usageMetadata.promptTokenCount,
+                    completion_tokens: data.usageMetadata.candidatesTokenCount,
+                    total_tokens: data.usageMetadata.totalTokenCount
+                });
+            }
+
+            const content = candidate.content.parts[0].text;
             
             // Armazena no cache
             this._setCache(cacheKey, content);
@@ -604,9 +1626,10 @@ Forneça sua análise em formato JSON com a estrutura:
         }
 
         /**
-         * Chama API do Gemini com suporte a multi-modal e safety settings
+         * Monta a requisição do Gemini (generateContent ou streamGenerateContent via SSE)
+         * @private
          */
-        async _callGemini(prompt, options) {
+        _geminiRequest(prompt, options, stream = false) {
             const provider = this.providers.gemini;
             const model = options.model || provider.defaultModel;
             const apiKey = this.apiKeys.gemini;
@@ -615,16 +1638,8 @@ Forneça sua análise em formato JSON com a estrutura:
                 throw new Error('API key do Gemini não configurada');
             }
 
-            // Verifica cache
-            const cacheKey = this._generateCacheKey('gemini', model, prompt, options);
-            const cached = this._getFromCache(cacheKey);
-            if (cached && !options.noCache) {
-                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: 'gemini' });
-                return cached;
-            }
-
             // Constrói URL com modelo
-            const endpoint = options.stream ? provider.endpoints.stream : provider.endpoints.generate;
+            const endpoint = stream ? provider.endpoints.stream : provider.endpoints.generate;
             const url = provider.baseUrl + endpoint.replace('{model}', model);
 
             // Prepara conteúdo multi-modal
@@ -662,52 +1677,67 @@ Forneça sua análise em formato JSON com a estrutura:
             // Adiciona JSON mode se solicitado
             if (provider.supportsJsonMode && options.jsonMode !== false) {
                 requestBody.generationConfig.responseMimeType = 'application/json';
+                if (options.responseSchema) {
+                    requestBody.generationConfig.responseSchema = this._toGeminiSchema(options.responseSchema);
+                }
             }
 
-            const response = await fetch(`${url}?key=${apiKey}`, {
-                method: 'POST',
+            return {
+                model: model,
+                url: stream ? `${url}?alt=sse&key=${apiKey}` : `${url}?key=${apiKey}`,
                 headers: {
                     'Content-Type': 'application/json',
                     'User-Agent': 'KnowledgeConsolidator/1.0'
                 },
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(this.timeout)
+                body: requestBody,
+                timeout: this.timeout
+            };
+        }
+
+        /**
+         * Chama API do Anthropic Claude com Constitutional AI
+         */
+        async _callAnthropic(prompt, options) {
+            const request = this._anthropicRequest(prompt, options);
+            const model = request.model;
+
+            // Verifica cache
+            const cacheKey = this._generateCacheKey('anthropic', model, prompt, options);
+            const cached = this._getFromCache(cacheKey);
+            if (cached && !options.noCache) {
+                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: 'anthropic' });
+                return cached;
+            }
+
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: AbortSignal.timeout(request.timeout)
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                let errorData;
-                try {
-                    errorData = JSON.parse(errorText);
-                } catch {
-                    errorData = { error: { message: errorText } };
-                }
-                
-                throw new Error(`Gemini API Error [${response.status}]: ${errorData.error?.message || 'Unknown error'}`);
+                throw new Error(`Anthropic API Error [${response.status}]: ${await this._readErrorMessage(response)}`);
             }
 
             const data = await response.json();
             
-            // Verifica se a resposta foi bloqueada por safety
-            if (!data.candidates || data.candidates.length === 0) {
-                throw new Error('Resposta bloqueada por filtros de segurança do Gemini');
-            }
-
-            const candidate = data.candidates[0];
-            if (candidate.finishReason === 'SAFETY') {
-                throw new Error('Conteúdo bloqueado por políticas de segurança do Gemini');
+            // Verifica se houve stop reason problemático
+            if (data.stop_reason && data.stop_reason !== 'end_turn' && data.stop_reason !== 'stop_sequence') {
+                logger.warn('AIAPIManager', `Claude parou por: ${data.stop_reason}`);
             }
 
             // Tracking de tokens
-            if (data.usageMetadata) {
-                this._trackTokenUsage('gemini', model, {
-                    prompt_tokens: data.usageMetadata.promptTokenCount,
-                    completion_tokens: data.usageMetadata.candidatesTokenCount,
-                    total_tokens: data.usageMetadata.totalTokenCount
+            if (data.usage) {
+                this._trackTokenUsage('anthropic', model, {
+                    prompt_tokens: data.usage.input_tokens,
+                    completion_tokens: data.usage.output_tokens,
+                    total_tokens: data.usage.input_tokens + data.usage.output_tokens
                 });
             }
 
-            const content = candidate.content.parts[0].text;
+            const toolUse = data.content.find(block => block.type === 'tool_use');
+            const content = toolUse ? JSON.stringify(toolUse.input) : data.content[0].text;
             
             // Armazena no cache
             this._setCache(cacheKey, content);
@@ -716,108 +1746,491 @@ Forneça sua análise em formato JSON com a estrutura:
         }
 
         /**
-         * Chama API do Anthropic Claude com Constitutional AI
+         * Monta a requisição de /messages do Anthropic
+         * @private
+         */
+        _anthropicRequest(prompt, options, stream = false) {
+            const provider = this.providers.anthropic;
+            const model = options.model || provider.defaultModel;
+            const apiKey = this.apiKeys.anthropic;
+
+            if (!apiKey) {
+                throw new Error('API key do Anthropic não configurada');
+            }
+
+            // Prepara mensagens
+            const messages = [{ role: 'user', content: prompt.user }];
+            
+            // Adiciona conversação anterior se fornecida
+            if (options.conversation && Array.isArray(options.conversation)) {
+                messages.unshift(...options.conversation);
+            }
+
+            const requestBody = {
+                model: model,
+                max_tokens: Math.min(
+                    options.maxTokens || 4000, 
+                    provider.maxTokens[model] || 4000
+                ),
+                temperature: options.temperature || 0.7,
+                top_p: options.topP || 1,
+                top_k: options.topK || 5,
+                system: prompt.system,
+                messages: messages,
+                stream: stream
+            };
+
+            // Adiciona stop sequences se fornecidas
+            if (options.stopSequences && Array.isArray(options.stopSequences)) {
+                requestBody.stop_sequences = options.stopSequences;
+            }
+
+            // Saída estruturada via tool calling (a API não tem JSON mode)
+            if (options.responseSchema) {
+                requestBody.tools = [{
+                    name: 'registrar_resposta',
+                    description: 'Registra a resposta no formato exigido',
+                    input_schema: options.responseSchema
+                }];
+                requestBody.tool_choice = { type: 'tool', name: 'registrar_resposta' };
+            }
+
+            // Configurações específicas para Constitutional AI
+            if (provider.constitutionalAI && options.constitutional !== false) {
+                // Adiciona princípios constitucionais ao system prompt
+                requestBody.system += `\n\nPlease follow these constitutional principles:
+1. Be helpful, harmless, and honest
+2. Avoid harmful, illegal, or unethical content
+3. Respect human autonomy and dignity
+4. Provide balanced, nuanced perspectives`;
+            }
+
+            return {
+                model: model,
+                url: provider.baseUrl + (stream ? provider.endpoints.stream : provider.endpoints.messages),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': provider.apiVersion,
+                    'User-Agent': 'KnowledgeConsolidator/1.0'
+                },
+                body: requestBody,
+                timeout: this.timeout
+            };
+        }
+
+        /**
+         * Mensagem de erro do corpo da resposta (JSON { error: { message } } ou texto)
+         * @private
+         */
+        async _readErrorMessage(response) {
+            const errorText = await response.text();
+            let errorData;
+            try {
+                errorData = JSON.parse(errorText);
+            } catch {
+                errorData = { error: { message: errorText } };
+            }
+            return errorData.error?.message || 'Unknown error';
+        }
+
+        /**
+         * Stream de tokens do provider (options.provider ou o ativo)
+         * Interface comum a Ollama, OpenAI (e compatíveis), Gemini e Anthropic.
+         * Cancelar options.signal ou interromper a iteração (break/return) aborta a requisição.
+         * @param {Object} prompt - { system, user }
+         * @param {Object} options - Opções dos _call* + { provider, signal }
+         * @yields {{type: 'delta', text: string, content: string}} Trecho novo e texto acumulado
+         * @yields {{type: 'done', content: string, usage: Object|null}} Último evento
+         */
+        async *streamProvider(prompt, options = {}) {
+            const provider = this.providers[options.provider || this.activeProvider];
+            if (!provider) {
+                throw new Error(`Provider desconhecido: ${options.provider}`);
+            }
+            const parsers = {
+                ollama: () => ({ request: this._ollamaRequest(prompt, options, true), format: 'ndjson', parse: this._ollamaStreamEvent }),
+                openai: () => ({ request: this._openAIRequest(prompt, options, 'openai', true), format: 'sse', parse: this._openAIStreamEvent }),
+                gemini: () => ({ request: this._geminiRequest(prompt, options, true), format: 'sse', parse: this._geminiStreamEvent }),
+                anthropic: () => ({ request: this._anthropicRequest(prompt, options, true), format: 'sse', parse: this._anthropicStreamEvent })
+            };
+
+            let stream;
+            if (parsers[provider.id]) {
+                stream = parsers[provider.id]();
+            } else if (provider.type === CUSTOM_PROVIDER_TYPE) {
+                stream = { request: this._openAIRequest(prompt, options, provider.id, true), format: 'sse', parse: this._openAIStreamEvent };
+            } else {
+                throw new Error(`Provider não implementado: ${provider.id}`);
+            }
+
+            const { request } = stream;
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            options.signal?.addEventListener('abort', abort);
+
+            // Timeout por inatividade: análises longas continuam enquanto chegam tokens
+            let idleTimer = setTimeout(abort, request.timeout);
+            const touch = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(abort, request.timeout);
+            };
+
+            let content = '';
+            let usage = null;
+            const state = {};
+
+            try {
+                const response = await fetch(request.url, {
+                    method: 'POST',
+                    headers: request.headers,
+                    body: JSON.stringify(request.body),
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(`${provider.name} API Error [${response.status}]: ${await this._readErrorMessage(response)}`);
+                }
+
+                for await (const line of this._readLines(response)) {
+                    touch();
+
+                    const payload = stream.format === 'sse' ? this._sseData(line) : line.trim();
+                    if (!payload) continue;
+
+                    let event;
+                    try {
+                        event = JSON.parse(payload);
+                    } catch (error) {
+                        continue;
+                    }
+
+                    const parsed = stream.parse.call(this, event, state);
+                    if (parsed.usage) usage = { ...usage, ...parsed.usage };
+                    if (parsed.error) throw new Error(`${provider.name}: ${parsed.error}`);
+
+                    if (parsed.text) {
+                        content += parsed.text;
+                        yield { type: 'delta', text: parsed.text, content };
+                    }
+                }
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    const cancelled = new Error(options.signal?.aborted ? 'Stream cancelado' : 'Stream sem resposta (timeout)');
+                    cancelled.code = options.signal?.aborted ? 'STREAM_CANCELLED' : 'STREAM_TIMEOUT';
+                    throw cancelled;
+                }
+                throw error;
+            } finally {
+                clearTimeout(idleTimer);
+                options.signal?.removeEventListener('abort', abort);
+                // Consumidor saiu do for await antes do fim: encerra a conexão
+                controller.abort();
+            }
+
+            if (usage) {
+                this._trackTokenUsage(provider.id, request.model, usage);
+            }
+
+            yield { type: 'done', content, usage };
+        }
+
+        /**
+         * Análise de um arquivo com a saída do modelo em stream
+         * Mesmo pipeline de analyze() (prompt, schema, limites de gasto); documentos longos
+         * não são transmitidos token a token (map-reduce) e emitem só o resultado.
+         * O provider é resolvido por chamada (options.provider ou o ativo), sem alterar o
+         * provider ativo; o stream inteiro passa pelo circuit breaker e pela fila de concorrência.
+         * @param {Object} file
+         * @param {Object} options - Opções de analyze() + { provider, signal }
+         * @yields {{type: 'delta', text, content}} Tokens conforme chegam
+         * @yields {{type: 'result', analysis}} Análise normalizada (último evento)
+         */
+        async *analyzeStream(file, options = {}) {
+            const provider = this.providers[options.provider || this.activeProvider];
+            if (!provider) {
+                throw new Error(`Provider desconhecido: ${options.provider}`);
+            }
+            options = { ...options, provider: provider.id };
+
+            await this.ensureDeferredContent(file);
+
+            if (provider.requiresApiKey && !this.apiKeys[provider.id]) {
+                throw new Error(`API key necessária para ${provider.name}`);
+            }
+            if (this._getPricing(provider.id, options.model || provider.defaultModel)) {
+                KC.AIBudgetService?.assertWithinBudget(provider.id, options.budgetRunId);
+            }
+
+            if (options.responseSchema === undefined) {
+                options = {
+                    ...options,
+                    responseSchema: this.structuredOutput.enabled ?
+                        KC.PromptManager?.getResponseSchema(options.template || 'decisiveMoments') || null :
+                        null
+                };
+            }
+
+            if (this._isLongDocument(file, options) || !provider.supportsStreaming) {
+                yield { type: 'result', analysis: await this.analyze(file, options) };
+                return;
+            }
+
+            const breaker = this.getBreaker(provider.id);
+            if (breaker && !breaker.isHealthy()) {
+                throw new Error(`Circuito aberto para ${provider.name} (${breaker.getWaitTime()}s)`);
+            }
+
+            await this._checkRateLimit(provider.id);
+
+            // O stream conta como uma requisição até terminar; só falhas de
+            // disponibilidade chegam ao breaker (ver _isProviderFailure)
+            let settle;
+            const finished = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+            const promise = breaker ? breaker.execute(() => finished) : finished;
+            promise.catch(() => {});
+            this._trackRequest(provider.id, promise);
+
+            const prompt = this._preparePrompt(file, options);
+            let analysis;
+            try {
+                let content = '';
+                for await (const event of this.streamProvider(prompt, options)) {
+                    if (event.type === 'delta') {
+                        yield event;
+                    } else {
+                        content = event.content;
+                    }
+                }
+
+                if (options.responseSchema) {
+                    const { data, repairs, repairedLocally } = await this._enforceSchema(content, prompt, options);
+                    analysis = {
+                        ...data,
+                        ...this._normalizeResponse(data, provider.id),
+                        schemaValidated: true,
+                        schemaRepairs: repairs,
+                        schemaRepairedLocally: repairedLocally
+                    };
+                } else {
+                    analysis = this._normalizeResponse(content, provider.id);
+                }
+            } catch (error) {
+                if (this._isProviderFailure(error)) settle.reject(error);
+                throw error;
+            } finally {
+                // Sucesso, erro que não é do provider ou consumidor que saiu antes do fim
+                settle.resolve();
+            }
+
+            analysis.type = KC.AnalysisTypesManager.detectType(file);
+            analysis.relevanceBoost = KC.AnalysisTypesManager.getRelevanceBoost(analysis.type);
+            analysis.streamed = true;
+
+            yield { type: 'result', analysis };
+        }
+
+        /**
+         * Linhas do corpo de uma resposta em stream
+         * @private
          */
-        async _callAnthropic(prompt, options) {
-            const provider = this.providers.anthropic;
-            const model = options.model || provider.defaultModel;
-            const apiKey = this.apiKeys.anthropic;
+        async *_readLines(response) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
 
-            if (!apiKey) {
-                throw new Error('API key do Anthropic não configurada');
-            }
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    buffer += decoder.decode(value, { stream: true });
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    yield* lines;
+                }
 
-            // Verifica cache
-            const cacheKey = this._generateCacheKey('anthropic', model, prompt, options);
-            const cached = this._getFromCache(cacheKey);
-            if (cached && !options.noCache) {
-                logger.info('AIAPIManager', 'Usando resposta do cache', { provider: 'anthropic' });
-                return cached;
+                buffer += decoder.decode();
+                if (buffer) yield buffer;
+            } finally {
+                reader.releaseLock?.();
             }
+        }
 
-            // Prepara mensagens
-            const messages = [{ role: 'user', content: prompt.user }];
-            
-            // Adiciona conversação anterior se fornecida
-            if (options.conversation && Array.isArray(options.conversation)) {
-                messages.unshift(...options.conversation);
-            }
+        /**
+         * Conteúdo de uma linha "data: ..." de Server-Sent Events
+         * @private
+         */
+        _sseData(line) {
+            if (!line.startsWith('data:')) return null;
+            const data = line.slice(5).trim();
+            return data && data !== '[DONE]' ? data : null;
+        }
 
-            const requestBody = {
-                model: model,
-                max_tokens: Math.min(
-                    options.maxTokens || 4000, 
-                    provider.maxTokens[model] || 4000
-                ),
-                temperature: options.temperature || 0.7,
-                top_p: options.topP || 1,
-                top_k: options.topK || 5,
-                system: prompt.system,
-                messages: messages,
-                stream: options.stream || false
+        /**
+         * Eventos de stream por provider: { text, usage, error }
+         * @private
+         */
+        _ollamaStreamEvent(event) {
+            return {
+                text: event.response || '',
+                error: event.error,
+                usage: event.done ? { prompt_tokens: event.prompt_eval_count || 0, completion_tokens: event.eval_count || 0 } : null
             };
+        }
 
-            // Adiciona stop sequences se fornecidas
-            if (options.stopSequences && Array.isArray(options.stopSequences)) {
-                requestBody.stop_sequences = options.stopSequences;
+        /**
+         * @private
+         */
+        _openAIStreamEvent(event) {
+            return {
+                text: event.choices?.[0]?.delta?.content || '',
+                error: event.error?.message,
+                usage: event.usage || null
+            };
+        }
+
+        /**
+         * @private
+         */
+        _geminiStreamEvent(event) {
+            const candidate = event.candidates?.[0];
+            if (candidate?.finishReason === 'SAFETY') {
+                return { error: 'Conteúdo bloqueado por políticas de segurança do Gemini' };
             }
 
-            // Configurações específicas para Constitutional AI
-            if (provider.constitutionalAI && options.constitutional !== false) {
-                // Adiciona princípios constitucionais ao system prompt
-                requestBody.system += `\n\nPlease follow these constitutional principles:
-1. Be helpful, harmless, and honest
-2. Avoid harmful, illegal, or unethical content
-3. Respect human autonomy and dignity
-4. Provide balanced, nuanced perspectives`;
+            // usageMetadata é cumulativo; o último evento traz os totais
+            return {
+                text: candidate?.content?.parts?.map(part => part.text || '').join('') || '',
+                error: event.error?.message,
+                usage: event.usageMetadata ? {
+                    prompt_tokens: event.usageMetadata.promptTokenCount || 0,
+                    completion_tokens: event.usageMetadata.candidatesTokenCount || 0
+                } : null
+            };
+        }
+
+        /**
+         * Texto (text_delta) ou JSON do tool use (input_json_delta, saída estruturada)
+         * @private
+         */
+        _anthropicStreamEvent(event) {
+            switch (event.type) {
+                case 'message_start':
+                    return { usage: { input_tokens: event.message?.usage?.input_tokens || 0 } };
+                case 'content_block_delta':
+                    return { text: event.delta?.text || event.delta?.partial_json || '' };
+                case 'message_delta':
+                    return { usage: { output_tokens: event.usage?.output_tokens || 0 } };
+                case 'error':
+                    return { error: event.error?.message || 'erro no stream' };
+                default:
+                    return {};
             }
+        }
 
-            const response = await fetch(provider.baseUrl + provider.endpoints.messages, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': provider.apiVersion,
-                    'User-Agent': 'KnowledgeConsolidator/1.0'
-                },
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(this.timeout)
-            });
+        /**
+         * Valida a resposta contra options.responseSchema
+         * Falhas passam pelas heurísticas do AnalysisAdapter e, se ainda inválidas,
+         * voltam ao provider com os erros (até structuredOutput.maxRepairAttempts).
+         * @returns {Promise<Object>} { data, repairs, repairedLocally }
+         * @throws {Error} code SCHEMA_VALIDATION_FAILED quando nenhuma tentativa é válida
+         */
+        async _enforceSchema(rawResponse, prompt, options) {
+            const schema = options.responseSchema;
+            const maxAttempts = this.structuredOutput.maxRepairAttempts;
+            let current = rawResponse;
+            let errors = [];
+
+            for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+                if (attempt > 0) {
+                    logger.warning('AIAPIManager', `Resposta fora do schema, tentativa de reparo ${attempt}/${maxAttempts}`, errors);
+                    current = await this._callProvider(
+                        this._buildRepairPrompt(prompt, current, errors, schema),
+                        { ...options, noCache: true, temperature: 0.1 }
+                    );
+                }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorData;
-                try {
-                    errorData = JSON.parse(errorText);
-                } catch {
-                    errorData = { error: { message: errorText } };
+                const parsed = KC.AnalysisAdapter?.parseJsonStrict(current) ?? this._parseJsonLoose(current);
+                if (!parsed) {
+                    errors = ['$: resposta não é um JSON válido'];
+                    continue;
                 }
-                
-                throw new Error(`Anthropic API Error [${response.status}]: ${errorData.error?.message || 'Unknown error'}`);
-            }
 
-            const data = await response.json();
-            
-            // Verifica se houve stop reason problemático
-            if (data.stop_reason && data.stop_reason !== 'end_turn' && data.stop_reason !== 'stop_sequence') {
-                logger.warn('AIAPIManager', `Claude parou por: ${data.stop_reason}`);
+                const result = KC.ValidationUtils.validateSchema(parsed, schema);
+                if (result.valid) {
+                    return { data: parsed, repairs: attempt, repairedLocally: false };
+                }
+
+                const repaired = KC.AnalysisAdapter?.repairToSchema(parsed, schema);
+                if (repaired && KC.ValidationUtils.validateSchema(repaired, schema).valid) {
+                    return { data: repaired, repairs: attempt, repairedLocally: true };
+                }
+
+                errors = result.errors;
             }
 
-            // Tracking de tokens
-            if (data.usage) {
-                this._trackTokenUsage('anthropic', model, {
-                    prompt_tokens: data.usage.input_tokens,
-                    completion_tokens: data.usage.output_tokens,
-                    total_tokens: data.usage.input_tokens + data.usage.output_tokens
-                });
+            const error = new Error(`Resposta fora do schema após ${maxAttempts} tentativa(s) de reparo: ${errors.slice(0, 5).join('; ')}`);
+            error.code = 'SCHEMA_VALIDATION_FAILED';
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        /**
+         * Pede ao modelo a correção da resposta anterior
+         * @private
+         */
+        _buildRepairPrompt(prompt, previous, errors, schema) {
+            const previousText = typeof previous === 'string' ? previous : JSON.stringify(previous);
+
+            return {
+                system: prompt.system,
+                user: `${prompt.user}\n\nSua resposta anterior não seguiu o JSON Schema exigido.\n\n` +
+                    `RESPOSTA ANTERIOR:\n${previousText.substring(0, 4000)}\n\n` +
+                    `PROBLEMAS:\n- ${errors.slice(0, 10).join('\n- ')}\n\n` +
+                    `SCHEMA:\n${JSON.stringify(schema)}\n\n` +
+                    'Responda SOMENTE com o JSON corrigido, sem texto adicional.'
+            };
+        }
+
+        /**
+         * Extração de JSON quando o AnalysisAdapter não está carregado
+         * @private
+         */
+        _parseJsonLoose(raw) {
+            if (raw && typeof raw === 'object') return raw;
+
+            const match = String(raw || '').match(/\{[\s\S]*\}/);
+            try {
+                return match ? JSON.parse(match[0]) : null;
+            } catch (error) {
+                return null;
             }
+        }
 
-            const content = data.content[0].text;
-            
-            // Armazena no cache
-            this._setCache(cacheKey, content);
-            
-            return content;
+        /**
+         * Gemini aceita um subconjunto OpenAPI do JSON Schema
+         * @private
+         */
+        _toGeminiSchema(schema) {
+            const supported = ['type', 'description', 'enum', 'properties', 'required', 'items', 'minimum', 'maximum', 'minItems', 'maxItems'];
+            const converted = {};
+
+            supported.forEach(key => {
+                if (schema[key] === undefined) return;
+
+                if (key === 'properties') {
+                    converted.properties = Object.fromEntries(
+                        Object.entries(schema.properties).map(([field, fieldSchema]) => [field, this._toGeminiSchema(fieldSchema)])
+                    );
+                } else if (key === 'items') {
+                    converted.items = this._toGeminiSchema(schema.items);
+                } else {
+                    converted[key] = schema[key];
+                }
+            });
+
+            return converted;
         }
 
         /**
@@ -873,48 +2286,139 @@ Forneça sua análise em formato JSON com a estrutura:
         }
 
         /**
-         * Tenta usar provider cloud como fallback com estratégia inteligente
+         * Cadeia de providers usada por analyze()
+         * Sem cadeia configurada para o template (nem 'default'), usa o provider
+         * ativo e, se for o Ollama, os providers cloud com API key por prioridade.
+         * options.model vale para a etapa do provider ativo; as demais usam o
+         * modelo da etapa ou o padrão do provider.
+         * @param {Object} options - { template, provider, model, fallback }
+         * @returns {Array} [{ provider, model }]
+         */
+        resolveFallbackChain(options = {}) {
+            const template = options.template || 'decisiveMoments';
+            const configured = this.fallbackChains[template] || this.fallbackChains.default;
+
+            let chain = configured?.length ?
+                configured.map(step => ({ provider: step.provider, model: step.model || undefined })) :
+                [{ provider: this.activeProvider }].concat(this.activeProvider !== 'ollama' ? [] :
+                    ['openai', 'gemini', 'anthropic']
+                        .filter(id => this.apiKeys[id])
+                        .sort((a, b) => this.providers[a].priority - this.providers[b].priority)
+                        .map(id => ({ provider: id })));
+
+            if (options.provider) {
+                const configuredStep = chain.find(step => step.provider === options.provider);
+                chain = [configuredStep || { provider: options.provider }, ...chain.filter(step => step !== configuredStep)];
+            }
+
+            const primary = options.provider || this.activeProvider;
+            chain = chain
+                .map(step => step.provider === primary && !step.model ? { ...step, model: options.model } : step)
+                // Etapas de fallback sem provider registrado ou sem API key são descartadas
+                .filter((step, index) => index === 0 || (this.providers[step.provider] &&
+                    (!this.providers[step.provider].requiresApiKey || this.apiKeys[step.provider])));
+
+            return options.fallback === false ? chain.slice(0, 1) : chain;
+        }
+
+        /**
+         * Etapa que de fato recebe as chamadas (cabeça da cadeia de fallback),
+         * usada para estimar custo e conferir tetos de gasto
+         * @param {Object} options - { template, provider, model }
+         * @returns {{provider: string, model: string}}
+         */
+        getBillingStep(options = {}) {
+            const head = this.resolveFallbackChain(options)[0];
+            const provider = this.providers[head.provider] || this.providers[this.activeProvider];
+            return { provider: provider.id, model: head.model || provider.defaultModel };
+        }
+
+        /**
+         * Define a cadeia de fallback de um template
+         * @param {string} templateId - Template do PromptManager ou 'default'
+         * @param {Array|null} chain - [{ provider, model }] em ordem; vazio/null remove
          */
-        async _fallbackToCloudProvider(file, options) {
-            // Ordena providers por prioridade e disponibilidade
-            const cloudProviders = ['openai', 'gemini', 'anthropic']
-                .filter(id => this.apiKeys[id])
-                .sort((a, b) => {
-                    const aProvider = this.providers[a];
-                    const bProvider = this.providers[b];
-                    return aProvider.priority - bProvider.priority;
+        setFallbackChain(templateId, chain) {
+            if (templateId !== 'default' && KC.PromptManager && !KC.PromptManager.getTemplate(templateId)) {
+                throw new Error(`Template não encontrado: ${templateId}`);
+            }
+
+            if (!chain || chain.length === 0) {
+                delete this.fallbackChains[templateId];
+            } else {
+                chain.forEach(step => {
+                    if (!this.providers[step.provider]) {
+                        throw new Error(`Provider desconhecido na cadeia: ${step.provider}`);
+                    }
                 });
-            
-            if (cloudProviders.length === 0) {
-                throw new Error('Nenhum provider cloud configurado para fallback');
+                this.fallbackChains[templateId] = chain.map(step => ({
+                    provider: step.provider,
+                    ...(step.model && { model: step.model })
+                }));
             }
-            
-            const errors = [];
-            const originalProvider = this.activeProvider;
-            
-            for (const providerId of cloudProviders) {
-                try {
-                    logger.info('AIAPIManager', `Tentando fallback para ${providerId}`);
-                    
-                    this.activeProvider = providerId;
-                    const result = await this.analyze(file, { ...options, fallback: false });
-                    
-                    // Adiciona informação sobre fallback no resultado
-                    result.usedFallback = true;
-                    result.originalProvider = originalProvider;
-                    result.fallbackProvider = providerId;
-                    
-                    this.activeProvider = originalProvider;
-                    return result;
-                    
-                } catch (error) {
-                    errors.push({ provider: providerId, error: error.message });
-                    logger.warn('AIAPIManager', `Fallback ${providerId} falhou`, error.message);
-                    this.activeProvider = originalProvider;
-                }
+
+            this._saveFallbackChains();
+            logger.info('AIAPIManager', `Cadeia de fallback de ${templateId} atualizada`, this.fallbackChains[templateId] || null);
+        }
+
+        /**
+         * Cadeias configuradas por template
+         */
+        getFallbackChains() {
+            return JSON.parse(JSON.stringify(this.fallbackChains));
+        }
+
+        /**
+         * Circuit breaker do provider (compartilhado em KC.breakers)
+         * @returns {CircuitBreaker|null} null quando utils/CircuitBreaker.js não está carregado
+         */
+        getBreaker(providerId) {
+            return KC.breakers?.getBreaker(`ai:${providerId}`, this.circuitBreaker) || null;
+        }
+
+        /**
+         * Estado dos circuit breakers por provider
+         */
+        getBreakersStatus() {
+            const status = {};
+            Object.keys(this.providers).forEach(providerId => {
+                const breaker = this.getBreaker(providerId);
+                if (breaker) status[providerId] = breaker.getState();
+            });
+            return status;
+        }
+
+        /**
+         * Erros que indicam provider indisponível (contam no circuit breaker)
+         * Teto de gasto, resposta fora do schema e cancelamento não dizem nada
+         * sobre a saúde do provider.
+         * @private
+         */
+        _isProviderFailure(error) {
+            return !['BUDGET_EXCEEDED', 'SCHEMA_VALIDATION_FAILED', 'STREAM_CANCELLED'].includes(error.code);
+        }
+
+        /**
+         * @private
+         */
+        _loadFallbackChains() {
+            try {
+                return JSON.parse(localStorage.getItem(this.fallbackChainsKey) || '{}');
+            } catch (error) {
+                logger.error('AIAPIManager', 'Erro ao carregar cadeias de fallback', error);
+                return {};
             }
+        }
 
-            throw new Error(`Todos os providers falharam. Erros: ${JSON.stringify(errors)}`);
+        /**
+         * @private
+         */
+        _saveFallbackChains() {
+            try {
+                localStorage.setItem(this.fallbackChainsKey, JSON.stringify(this.fallbackChains));
+            } catch (error) {
+                logger.error('AIAPIManager', 'Erro ao salvar cadeias de fallback', error);
+            }
         }
         
         /**
@@ -941,6 +2445,10 @@ Forneça sua análise em formato JSON com a estrutura:
                     if (providerId === 'ollama') {
                         const available = await this.checkOllamaAvailability();
                         healthStatus[providerId].status = available ? 'healthy' : 'unavailable';
+                    } else if (provider.type === CUSTOM_PROVIDER_TYPE) {
+                        // Listar modelos não consome tokens e confirma URL/chave
+                        await this.fetchCustomProviderModels(providerId);
+                        healthStatus[providerId].status = 'healthy';
                     } else if (this.apiKeys[providerId]) {
                         // Para providers cloud, tenta uma requisição de teste simples
                         const testPrompt = {
@@ -976,7 +2484,7 @@ Forneça sua análise em formato JSON com a estrutura:
          * Chama provider específico baseado no ID
          */
         async _callProvider(prompt, options) {
-            const provider = this.providers[this.activeProvider];
+            const provider = this.providers[options.provider || this.activeProvider];
             
             switch (provider.id) {
                 case 'ollama':
@@ -988,7 +2496,10 @@ Forneça sua análise em formato JSON com a estrutura:
                 case 'anthropic':
                     return await this._callAnthropic(prompt, options);
                 default:
-                    throw new Error(`Provider não implementado: ${provider.id}`);
+                    if (provider.type !== CUSTOM_PROVIDER_TYPE) {
+                        throw new Error(`Provider não implementado: ${provider.id}`);
+                    }
+                    return await this._callOpenAI(prompt, options, provider.id);
             }
         }
 
@@ -1010,6 +2521,14 @@ Forneça sua análise em formato JSON com a estrutura:
                 }
             }
 
+            if (provider.type === CUSTOM_PROVIDER_TYPE) {
+                try {
+                    return await this.fetchCustomProviderModels(provider.id);
+                } catch (error) {
+                    logger.warning('AIAPIManager', `Erro ao buscar modelos de ${provider.name}`, error);
+                }
+            }
+
             return provider.models;
         }
 
@@ -1021,6 +2540,8 @@ Forneça sua análise em formato JSON com a estrutura:
             return {
                 id: provider.id,
                 name: provider.name,
+                type: provider.type || 'native',
+                baseUrl: provider.baseUrl,
                 isLocal: provider.isLocal,
                 requiresApiKey: provider.requiresApiKey,
                 hasApiKey: provider.requiresApiKey ? !!this.apiKeys[provider.id] : true,
@@ -1038,6 +2559,8 @@ Forneça sua análise em formato JSON com a estrutura:
                 .map(p => ({
                     id: p.id,
                     name: p.name,
+                    type: p.type || 'native',
+                    baseUrl: p.baseUrl,
                     isLocal: p.isLocal,
                     requiresApiKey: p.requiresApiKey,
                     hasApiKey: p.requiresApiKey ? !!this.apiKeys[p.id] : true,
@@ -1059,6 +2582,7 @@ Forneça sua análise em formato JSON com a estrutura:
                 model,
                 systemHash: this._hashString(prompt.system),
                 userHash: this._hashString(prompt.user),
+                imagesHash: options.images ? this._hashString(options.images.map(image => image.data).join('|')) : null,
                 temperature: options.temperature || 0.7,
                 maxTokens: options.maxTokens || 1000
             };
@@ -1114,8 +2638,7 @@ Forneça sua análise em formato JSON com a estrutura:
          * Rastreia uso de tokens e calcula custos
          */
         _trackTokenUsage(provider, model, usage) {
-            const providerData = this.providers[provider];
-            const pricing = providerData.pricing?.[model];
+            const pricing = this._getPricing(provider, model);
             
             if (!this.tokenUsage[provider]) {
                 this.tokenUsage[provider] = { inputTokens: 0, outputTokens: 0, cost: 0 };
@@ -1135,6 +2658,9 @@ Forneça sua análise em formato JSON com a estrutura:
                 const inputCost = (inputTokens / 1000) * pricing.input;
                 const outputCost = (outputTokens / 1000) * pricing.output;
                 stats.cost += inputCost + outputCost;
+
+                // Gasto conta para os limites diário, mensal e da execução
+                KC.AIBudgetService?.recordSpend(provider, inputCost + outputCost);
             }
             
             logger.flow('AIAPIManager', '_trackTokenUsage', {
@@ -1146,19 +2672,38 @@ Forneça sua análise em formato JSON com a estrutura:
             });
         }
         
+        /**
+         * Preço do modelo; providers customizados podem usar '*' para todos os modelos
+         * @private
+         */
+        _getPricing(provider, model) {
+            const pricing = this.providers[provider]?.pricing;
+            return pricing?.[model] || pricing?.['*'] || null;
+        }
+        
         /**
          * Estima custo de uma requisição
          */
         estimateRequestCost(provider, model, promptText, expectedOutputTokens = 500) {
-            const providerData = this.providers[provider];
-            const pricing = providerData.pricing?.[model];
-            
-            if (!pricing) {
-                return { estimated: false, cost: 0, breakdown: null };
-            }
+            const pricing = this._getPricing(provider, model);
             
             // Estimativa simples de tokens (aproximadamente 4 chars = 1 token)
             const estimatedInputTokens = Math.ceil(promptText.length / 4);
+
+            // Sem preço (ex: Ollama) a contagem de tokens continua disponível
+            if (!pricing) {
+                return {
+                    estimated: false,
+                    cost: 0,
+                    breakdown: {
+                        inputTokens: estimatedInputTokens,
+                        outputTokens: expectedOutputTokens,
+                        inputCost: 0,
+                        outputCost: 0,
+                        currency: 'USD'
+                    }
+                };
+            }
             
             const inputCost = (estimatedInputTokens / 1000) * pricing.input;
             const outputCost = (expectedOutputTokens / 1000) * pricing.output;
@@ -1230,60 +2775,185 @@ Forneça sua análise em formato JSON com a estrutura:
         }
         
         /**
-         * Análise em lote com retry e rate limiting inteligente
+         * Estimativa de custo de uma seleção de arquivos, antes de analisá-la
+         * Documentos longos usam estimateLongDocumentAnalysis(); os demais, o prompt do template.
+         * @param {Array} files - Arquivos com content
+         * @param {Object} options - Opções de analyze() ({ model, template, maxTokens })
+         * @returns {Object} { provider, model, files, calls, inputTokens, outputTokens, cost, estimated, perFile, budget }
+         */
+        estimateBatch(files, options = {}) {
+            const { provider: providerId, model } = this.getBillingStep(options);
+            const total = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: true };
+
+            const perFile = files.map(file => {
+                let estimate;
+                if (this._isLongDocument(file, options)) {
+                    estimate = this.estimateLongDocumentAnalysis(file, { ...options, provider: providerId, model });
+                } else {
+                    const prompt = this._preparePrompt(file, options);
+                    const request = this.estimateRequestCost(
+                        providerId,
+                        model,
+                        `${prompt.system || ''}${prompt.user || ''}`,
+                        options.maxTokens || 1000
+                    );
+                    estimate = { calls: 1, ...request.breakdown, cost: request.cost, estimated: request.estimated };
+                }
+
+                total.calls += estimate.calls;
+                total.inputTokens += estimate.inputTokens;
+                total.outputTokens += estimate.outputTokens;
+                total.cost += estimate.cost;
+                total.estimated = total.estimated && estimate.estimated;
+
+                return estimate.cost;
+            });
+
+            return {
+                provider: providerId,
+                model: model,
+                files: files.length,
+                ...total,
+                perFile: perFile,
+                budget: KC.AIBudgetService?.check(providerId, total.cost) || null
+            };
+        }
+
+        /**
+         * Análise em lote com retry, rate limiting inteligente e limites de gasto
+         * Antes de começar, a estimativa (estimateBatch) é comparada com os limites do
+         * AIBudgetService; se excedê-los, ou se um teto for atingido no meio do lote,
+         * a execução pausa até a aprovação do usuário (AIBudgetService.approve/reject).
+         * @param {Array} files
+         * @param {Object} options - Opções de analyze() + { batchSize, skipPreflight }
+         * @returns {Promise<Object>} { results, errors, skipped, runId, estimate, stats }
          */
         async analyzeBatch(files, options = {}) {
-            const provider = this.providers[this.activeProvider];
+            // Custo e tetos contam na etapa que recebe as chamadas (cabeça da cadeia)
+            const provider = this.providers[this.getBillingStep(options).provider];
             const batchSize = options.batchSize || this.rateLimits[provider.id].concurrent;
+            const budget = KC.AIBudgetService;
             const results = [];
             const errors = [];
-            
+            let skipped = [];
+
+            const estimate = this.estimateBatch(files, options);
+            const run = budget?.startRun({
+                provider: provider.id,
+                model: estimate.model,
+                files: files.length,
+                estimate: estimate.cost
+            });
+            const runOptions = { ...options, budgetRunId: run?.id };
+
             logger.info('AIAPIManager', `Iniciando análise em lote de ${files.length} arquivos`, {
                 provider: provider.id,
-                batchSize
+                batchSize,
+                estimatedCost: estimate.cost
             });
-            
-            // Processa em batches
-            for (let i = 0; i < files.length; i += batchSize) {
-                const batch = files.slice(i, i + batchSize);
-                const batchPromises = batch.map(async (file, index) => {
+
+            let pending = files.map((file, index) => ({ file, index }));
+            let status = 'completed';
+            let blocked = false; // Arquivos barrados pelo teto na rodada anterior
+
+            // Pré-voo: a seleção inteira cabe nos limites?
+            if (budget && estimate.budget && !estimate.budget.allowed && options.skipPreflight !== true) {
+                const approved = await budget.requestApproval(run.id, {
+                    stage: 'preflight',
+                    exceeded: estimate.budget.exceeded,
+                    needed: Math.max(...estimate.budget.exceeded.map(item => item.overrun)),
+                    estimate: estimate
+                });
+
+                if (!approved) {
+                    skipped = pending;
+                    pending = [];
+                    status = 'cancelled';
+                }
+            }
+
+            while (pending.length > 0) {
+                // Teto atingido durante o lote: pausa até aprovação
+                // Arquivo barrado (BUDGET_EXCEEDED) nunca volta à fila sem aprovação
+                const check = budget?.check(provider.id, 0, run.id);
+                if (blocked || (check && !check.allowed && this._getPricing(provider.id, estimate.model))) {
+                    // Extra pedido: o que já passou do teto + estimativa dos arquivos restantes
+                    const remainingCost = pending.reduce((sum, entry) => sum + estimate.perFile[entry.index], 0);
+                    const exceeded = check?.exceeded || [];
+                    const approved = budget && await budget.requestApproval(run.id, {
+                        stage: 'cap',
+                        exceeded: exceeded,
+                        needed: Math.max(0, ...exceeded.map(item => item.overrun)) + remainingCost,
+                        remainingFiles: pending.length
+                    });
+                    blocked = false;
+
+                    if (!approved) {
+                        skipped = pending;
+                        status = 'stopped';
+                        break;
+                    }
+                }
+
+                const batch = pending.splice(0, batchSize);
+                const deferred = [];
+
+                const batchPromises = batch.map(async ({ file, index }) => {
                     try {
-                        const result = await this.analyze(file, options);
-                        return { file, result, index: i + index };
+                        const result = await this.analyze(file, runOptions);
+                        return { file, result, index };
                     } catch (error) {
-                        errors.push({ file, error, index: i + index });
+                        // Bloqueado pelo teto: volta para a fila e espera a aprovação
+                        if (error.code === 'BUDGET_EXCEEDED') {
+                            deferred.push({ file, index });
+                        } else {
+                            errors.push({ file, error, index });
+                        }
                         return null;
                     }
                 });
-                
+
                 const batchResults = await Promise.allSettled(batchPromises);
                 batchResults.forEach(result => {
                     if (result.status === 'fulfilled' && result.value) {
                         results.push(result.value);
                     }
                 });
-                
+
+                pending.unshift(...deferred.sort((a, b) => a.index - b.index));
+                blocked = deferred.length > 0;
+
                 // Delay entre batches para respeitar rate limits
-                if (i + batchSize < files.length) {
+                if (pending.length > 0 && deferred.length === 0) {
                     const delay = Math.ceil(60000 / this.rateLimits[provider.id].requestsPerMinute) * batchSize;
                     await this.delay(delay);
                 }
             }
-            
+
+            budget?.finishRun(run.id, status);
+
             logger.info('AIAPIManager', 'Análise em lote concluída', {
                 total: files.length,
                 successes: results.length,
-                errors: errors.length
+                errors: errors.length,
+                skipped: skipped.length,
+                status
             });
-            
+
             return {
                 results,
                 errors,
+                skipped: skipped.map(entry => entry.file),
+                runId: run?.id || null,
+                estimate,
                 stats: {
                     total: files.length,
                     successes: results.length,
                     failures: errors.length,
-                    successRate: (results.length / files.length) * 100
+                    skipped: skipped.length,
+                    successRate: (results.length / files.length) * 100,
+                    spent: budget?.getRun(run.id)?.spent ?? null,
+                    status
                 }
             };
         }
@@ -1301,6 +2971,9 @@ Forneça sua análise em formato JSON com a estrutura:
             checkHealth: () => KC.AIAPIManager.checkProvidersHealth(),
             estimateCost: (provider, model, text, outputTokens) => 
                 KC.AIAPIManager.estimateRequestCost(provider, model, text, outputTokens),
+            estimateBatch: (files, options) => KC.AIAPIManager.estimateBatch(files, options),
+            fallbackChain: (template) => KC.AIAPIManager.resolveFallbackChain({ template }),
+            breakers: () => KC.AIAPIManager.getBreakersStatus(),
             clearCache: () => KC.AIAPIManager.clearCache(),
             resetStats: () => KC.AIAPIManager.resetUsageStats()
         };
@@ -211,6 +211,83 @@
             throw new Error('Resposta em formato inválido');
         }
 
+        /**
+         * Interpreta JSON sem recorrer à extração de texto plano
+         * Usado na saída estruturada: texto livre não pode virar análise "válida".
+         * @returns {Object|null} null quando não há JSON recuperável
+         */
+        parseJsonStrict(response) {
+            if (typeof response === 'object' && response !== null) {
+                return response;
+            }
+
+            let cleaned = String(response || '').trim()
+                .replace(/^```(?:json)?\s*/i, '')
+                .replace(/\s*```$/i, '');
+
+            const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) return null;
+            cleaned = jsonMatch[0];
+
+            try {
+                return JSON.parse(cleaned);
+            } catch (parseError) {
+                try {
+                    return JSON.parse(this._fixCommonJsonIssues(cleaned));
+                } catch (fixError) {
+                    return null;
+                }
+            }
+        }
+
+        /**
+         * Ajusta uma resposta ao JSON Schema com as heurísticas de normalização
+         * (score em porcentagem, lista em texto, tipo de análise aproximado, enums
+         * sem diferenciar maiúsculas). Campos ausentes não são inventados.
+         * @param {Object} parsed - Resposta interpretada
+         * @param {Object} schema - JSON Schema do template
+         * @returns {Object} Cópia ajustada
+         */
+        repairToSchema(parsed, schema) {
+            const repaired = { ...parsed };
+
+            Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+                const value = repaired[field];
+                if (value === undefined || value === null) return;
+
+                if (fieldSchema.type === 'array' && fieldSchema.items?.type === 'string') {
+                    repaired[field] = this._normalizeArray(value);
+                } else if (fieldSchema.type === 'number' && typeof value !== 'number') {
+                    const number = parseFloat(value);
+                    if (!isNaN(number)) repaired[field] = number;
+                } else if (fieldSchema.type === 'string' && typeof value !== 'string') {
+                    repaired[field] = Array.isArray(value) ? value.join(', ') : String(value);
+                }
+
+                // Escala 0-1 recebida como porcentagem
+                if (fieldSchema.maximum === 1 && typeof repaired[field] === 'number') {
+                    repaired[field] = this._normalizeScore(repaired[field]);
+                }
+
+                if (fieldSchema.enum && !fieldSchema.enum.includes(repaired[field])) {
+                    if (field === 'analysisType') {
+                        // 'Aprendizado Geral' é o padrão de _normalizeAnalysisType; só vale se foi o tipo pedido
+                        const type = this._normalizeAnalysisType(String(repaired[field]));
+                        if (type !== 'Aprendizado Geral' || /aprendizado/i.test(repaired[field])) {
+                            repaired[field] = type;
+                        }
+                    } else if (field === 'complexity') {
+                        repaired[field] = this._normalizeComplexity(repaired[field]);
+                    } else {
+                        const lower = String(repaired[field]).toLowerCase().trim();
+                        repaired[field] = fieldSchema.enum.find(option => String(option).toLowerCase() === lower) ?? repaired[field];
+                    }
+                }
+            });
+
+            return repaired;
+        }
+
         /**
          * Corrige problemas comuns em JSON
          */
@@ -3,6 +3,10 @@
  * 
  * Gerencia a análise de arquivos com modelos de IA (Claude, GPT-4, Gemini)
  * incluindo fila de processamento, rate limiting e gestão de resultados.
+ *
+ * A fila e o histórico de execuções são persistidos pelo AnalysisQueueStore
+ * (IndexedDB): ao recarregar a página, a execução interrompida é retomada
+ * sem repetir os arquivos concluídos.
  */
 
 (function(window) {
@@ -18,6 +22,10 @@
             this.state = {
                 queue: [],
                 processing: false,
+                paused: false,          // Aguardando aprovação de gasto (AIBudgetService)
+                budgetRunId: null,
+                budgetBlocked: false,   // Item barrado pelo teto na última rodada (força a pausa)
+                run: null,              // Execução em andamento (histórico no AnalysisQueueStore)
                 results: new Map(),
                 stats: {
                     processed: 0,
@@ -34,6 +42,9 @@
                 temperature: 0.7,
                 maxTokens: 2000,
                 retryAttempts: 3,
+                retryBaseDelayMs: 2000,     // Backoff entre tentativas: base * 2^(tentativa - 1)
+                retryMaxDelayMs: 60000,
+                autoResume: true,           // Retoma a execução interrompida ao recarregar
                 timeoutMs: 30000
             };
             
@@ -61,6 +72,9 @@
                 
                 this.isInitialized = true;
                 KC.Logger?.success('AnalysisManager inicializado');
+
+                // Fila salva antes do último recarregamento
+                await this.restoreQueue();
                 
             } catch (error) {
                 KC.Logger?.error('Erro ao inicializar AnalysisManager:', error);
@@ -102,10 +116,13 @@
                 config: { ...this.config, ...options },
                 status: 'pending',
                 createdAt: Date.now(),
-                attempts: 0
+                attempts: 0,
+                runId: this.state.run?.id || null,
+                nextAttemptAt: null
             }));
             
             this.state.queue.push(...queueItems);
+            KC.AnalysisQueueStore?.saveItems(queueItems.map(item => this.serializeQueueItem(item)));
             
             // Emite evento de atualização da fila
             this.emitQueueUpdate();
@@ -130,14 +147,37 @@
                 queueSize: this.state.queue.length 
             });
             
+            let runStatus = 'completed';
+
             try {
+                await this.startRun();
+
+                // Pré-voo: estimativa da fila inteira contra os limites de gasto
+                if (!(await this.startBudgetRun())) {
+                    runStatus = 'cancelled';
+                    return;
+                }
+
                 while (this.state.queue.length > 0) {
-                    // Pega próximo batch
-                    const batch = this.state.queue
-                        .filter(item => item.status === 'pending')
+                    // Teto de gasto atingido: pausa até aprovação
+                    if (!(await this.waitForBudget())) {
+                        runStatus = 'stopped';
+                        break;
+                    }
+
+                    const pending = this.state.queue.filter(item => item.status === 'pending');
+                    if (pending.length === 0) break;
+
+                    // Pega próximo batch (itens em backoff ficam para depois)
+                    const now = Date.now();
+                    const batch = pending
+                        .filter(item => !item.nextAttemptAt || item.nextAttemptAt <= now)
                         .slice(0, this.config.batchSize);
                     
-                    if (batch.length === 0) break;
+                    if (batch.length === 0) {
+                        await this.delay(Math.min(...pending.map(item => item.nextAttemptAt)) - now);
+                        continue;
+                    }
                     
                     // Processa batch
                     await this.processBatch(batch);
@@ -146,8 +186,14 @@
                     await this.delay(1000);
                 }
             } catch (error) {
+                runStatus = 'stopped';
                 KC.Logger?.error('Erro no processamento da fila:', error);
             } finally {
+                await this.finishRun(runStatus);
+                KC.AIBudgetService?.finishRun(this.state.budgetRunId, runStatus);
+                this.state.budgetRunId = null;
+                this.state.budgetBlocked = false;
+                this.state.paused = false;
                 this.state.processing = false;
                 
                 EventBus.emit(Events.ANALYSIS_COMPLETED, {
@@ -156,6 +202,320 @@
             }
         }
 
+        /**
+         * Abre o registro da execução (ou continua o da execução retomada)
+         * e associa a ela os itens pendentes
+         */
+        async startRun() {
+            const provider = KC.AIAPIManager?.getActiveProviderInfo();
+
+            if (!this.state.run) {
+                this.state.run = {
+                    id: `run-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+                    startedAt: Date.now(),
+                    finishedAt: null,
+                    durationMs: null,
+                    status: 'running',
+                    provider: provider?.id || null,
+                    model: this.config.model,
+                    template: this.config.template,
+                    resumedAt: [],
+                    totals: null,
+                    files: {}
+                };
+            } else {
+                this.state.run.status = 'running';
+                this.state.run.resumedAt.push(Date.now());
+            }
+
+            const pending = this.state.queue.filter(item => item.status === 'pending');
+            pending.forEach(item => { item.runId = this.state.run.id; });
+
+            await KC.AnalysisQueueStore?.saveItems(pending.map(item => this.serializeQueueItem(item)));
+            await KC.AnalysisQueueStore?.saveRun(this.state.run);
+        }
+
+        /**
+         * Fecha o registro da execução e tira da fila salva os itens já resolvidos
+         * Itens pendentes (execução parada ou cancelada) continuam salvos.
+         * @param {string} status - 'completed', 'stopped' ou 'cancelled'
+         */
+        async finishRun(status) {
+            const run = this.state.run;
+            if (!run) return;
+
+            const outcomes = Object.values(run.files);
+            run.status = status;
+            run.finishedAt = Date.now();
+            run.durationMs = run.finishedAt - run.startedAt;
+            run.totals = {
+                files: outcomes.length,
+                completed: outcomes.filter(file => file.status === 'completed').length,
+                errors: outcomes.filter(file => file.status === 'error').length,
+                pending: this.state.queue.filter(item => item.status === 'pending').length
+            };
+
+            const resolved = this.state.queue.filter(item => item.status === 'completed' || item.status === 'error');
+            await KC.AnalysisQueueStore?.removeItems(resolved.map(item => item.id));
+            await KC.AnalysisQueueStore?.saveRun(run);
+
+            this.state.run = null;
+            KC.Logger?.info(`Execução de análise ${run.id} finalizada (${status})`, run.totals);
+        }
+
+        /**
+         * Restaura a fila salva antes do recarregamento da página
+         * Concluídos não voltam; itens interrompidos e com erro voltam como
+         * pendentes (erros com backoff). Só a execução que estava em andamento
+         * é retomada automaticamente.
+         * @returns {Promise<number>} Itens restaurados
+         */
+        async restoreQueue() {
+            const store = KC.AnalysisQueueStore;
+            if (!store) return 0;
+
+            const saved = await store.loadItems();
+            const completed = saved.filter(record => record.status === 'completed');
+            const open = saved.filter(record => record.status !== 'completed' && !this.state.queue.some(item => item.id === record.id));
+            if (completed.length > 0) await store.removeItems(completed.map(record => record.id));
+            if (open.length === 0) return 0;
+
+            const now = Date.now();
+            const items = await Promise.all(open.map(async record => {
+                const item = { ...record, file: await this.rehydrateFile(record.file) };
+
+                if (record.status === 'error') {
+                    item.attempts = 0;
+                    item.error = null;
+                    item.nextAttemptAt = now + this.config.retryBaseDelayMs;
+                }
+                item.status = 'pending';
+                return item;
+            }));
+
+            // Execução interrompida pelo recarregamento (status ainda 'running')
+            const runIds = [...new Set(items.map(item => item.runId).filter(Boolean))];
+            const runs = await Promise.all(runIds.map(runId => store.getRun(runId)));
+            const interrupted = runs.find(run => run?.status === 'running') || null;
+
+            this.state.queue.push(...items);
+            this.state.run = interrupted;
+            await store.saveItems(items.map(item => this.serializeQueueItem(item)));
+
+            KC.Logger?.info(`${items.length} item(ns) da fila de análise restaurado(s)`, {
+                runId: interrupted?.id || null,
+                skipped: completed.length
+            });
+            this.emitQueueUpdate();
+            EventBus.emit(Events.ANALYSIS_QUEUE_RESTORED || 'analysis:queue:restored', {
+                items: items.length,
+                skipped: completed.length,
+                runId: interrupted?.id || null
+            });
+
+            if (interrupted && this.config.autoResume && !this.state.processing) {
+                this.processQueue();
+            }
+
+            return items.length;
+        }
+
+        /**
+         * Reconstrói o arquivo de um item salvo: dados atuais do AppState e
+         * conteúdo relido do disco (ou do preview, via ContentAccessUtils)
+         * @param {Object} snapshot - Arquivo serializado por serializeQueueItem
+         */
+        async rehydrateFile(snapshot) {
+            const files = AppState?.get('files') || [];
+            const current = files.find(f =>
+                (snapshot.id && f.id === snapshot.id) || (snapshot.path && f.path === snapshot.path)
+            );
+            let file = { ...snapshot, ...(current || {}) };
+
+            if (!file.content) {
+                try {
+                    file.content = await this.rereadContent(file);
+                } catch (error) {
+                    // Permissão do handle pode ter expirado com o recarregamento
+                    KC.Logger?.warning(`Não foi possível reler ${file.name}:`, error.message);
+                }
+            }
+
+            if (!file.content && KC.ContentAccessUtils) {
+                file = await KC.ContentAccessUtils.ensureFileContent(file);
+            }
+
+            return file;
+        }
+
+        /**
+         * Relê o conteúdo original de um arquivo descoberto
+         * - thread de email: re-divide a caixa postal e pega a thread pelo threadId
+         * - binários (PDF, DOCX...): extração de texto pelo DocumentExtractors
+         * - demais: texto lido do handle
+         * @param {Object} file - Arquivo com handle (ou mailboxHandle + mailMetadata)
+         * @returns {Promise<string|null>} Conteúdo, ou null sem fonte acessível
+         */
+        async rereadContent(file) {
+            if (file.mailMetadata?.threadId && file.mailboxHandle && KC.MailboxIngestion) {
+                return await KC.MailboxIngestion.readThread(file);
+            }
+            if (!file.handle?.getFile) return null;
+
+            if (KC.DocumentExtractors?.isBinaryFormat(file.name)) {
+                const extraction = await KC.DocumentExtractors.extract(file);
+                if (!extraction.success) throw new Error(extraction.error);
+                return extraction.content;
+            }
+
+            return await (await file.handle.getFile()).text();
+        }
+
+        /**
+         * Forma do item gravada no AnalysisQueueStore (sem conteúdo nem resultado)
+         */
+        serializeQueueItem(item) {
+            const { file, result, ...rest } = item;
+            return {
+                ...rest,
+                config: JSON.parse(JSON.stringify(item.config || {})),
+                file: {
+                    id: file.id,
+                    name: file.name,
+                    path: file.path,
+                    size: file.size,
+                    lastModified: file.lastModified,
+                    handle: file.handle || null,
+                    // Threads de email são relidas da caixa postal de origem
+                    ...(file.mailMetadata ? {
+                        mailboxHandle: file.mailboxHandle || null,
+                        relativePath: file.relativePath,
+                        mailMetadata: { mailbox: file.mailMetadata.mailbox, threadId: file.mailMetadata.threadId }
+                    } : {})
+                }
+            };
+        }
+
+        /**
+         * Registra o resultado de um arquivo na execução em andamento
+         * @private
+         */
+        recordRunFile(item, outcome) {
+            const run = this.state.run;
+            if (!run) return;
+
+            run.files[item.id] = {
+                fileId: item.file.id || null,
+                name: item.file.name,
+                path: item.file.path || null,
+                attempts: item.attempts,
+                durationMs: item.startedAt ? Date.now() - item.startedAt : null,
+                finishedAt: Date.now(),
+                ...outcome
+            };
+            KC.AnalysisQueueStore?.saveRun(run);
+        }
+
+        /**
+         * Histórico de execuções (mais recentes primeiro)
+         * @param {number} [limit]
+         * @returns {Promise<Array>} Registros com duração, provider e resultado por arquivo
+         */
+        async getRunHistory(limit) {
+            const runs = await KC.AnalysisQueueStore?.getRuns(limit) || [];
+            return runs.map(run => run.id === this.state.run?.id ? this.state.run : run);
+        }
+
+        /**
+         * Abre a execução no AIBudgetService e confere a estimativa da fila pendente
+         * @returns {Promise<boolean>} false se o usuário cancelou no pré-voo
+         */
+        async startBudgetRun() {
+            const budget = KC.AIBudgetService;
+            if (!budget || !KC.AIAPIManager) return true;
+
+            const pending = this.state.queue.filter(item => item.status === 'pending');
+            const estimate = KC.AIAPIManager.estimateBatch(pending.map(item => item.file), {
+                model: this.config.model,
+                template: this.config.template,
+                maxTokens: this.config.maxTokens
+            });
+
+            const run = budget.startRun({
+                provider: estimate.provider,
+                model: estimate.model,
+                files: pending.length,
+                estimate: estimate.cost
+            });
+            this.state.budgetRunId = run.id;
+
+            if (!estimate.budget || estimate.budget.allowed) return true;
+
+            return this.pauseForBudget({
+                stage: 'preflight',
+                exceeded: estimate.budget.exceeded,
+                needed: Math.max(...estimate.budget.exceeded.map(item => item.overrun)),
+                estimate: estimate
+            });
+        }
+
+        /**
+         * Pausa a fila se um teto de gasto foi atingido (só para providers pagos)
+         * @returns {Promise<boolean>} false se o usuário cancelou
+         */
+        async waitForBudget() {
+            const budget = KC.AIBudgetService;
+            const manager = KC.AIAPIManager;
+            if (!budget || !this.state.budgetRunId) return true;
+
+            // Item barrado pelo teto só volta a rodar depois da aprovação
+            const blocked = this.state.budgetBlocked;
+            this.state.budgetBlocked = false;
+
+            // Tetos da etapa que recebe as chamadas (cabeça da cadeia de fallback)
+            const pending = this.state.queue.filter(item => item.status === 'pending');
+            const paid = blocked || pending.some(item => {
+                const step = manager.getBillingStep({ template: item.config.template || this.config.template, model: item.config.model });
+                return manager._getPricing(step.provider, step.model);
+            });
+            if (!paid) return true;
+
+            const { provider } = manager.getBillingStep({ template: this.config.template, model: this.config.model });
+            const check = budget.check(provider, 0, this.state.budgetRunId);
+            if (check.allowed && !blocked) return true;
+
+            const estimate = manager.estimateBatch(pending.map(item => item.file), {
+                model: this.config.model,
+                template: this.config.template,
+                maxTokens: this.config.maxTokens
+            });
+
+            return this.pauseForBudget({
+                stage: 'cap',
+                exceeded: check.exceeded,
+                needed: Math.max(0, ...check.exceeded.map(item => item.overrun)) + estimate.cost,
+                remainingFiles: pending.length
+            });
+        }
+
+        /**
+         * @private
+         */
+        async pauseForBudget(request) {
+            this.state.paused = true;
+            this.emitQueueUpdate();
+
+            const approved = await KC.AIBudgetService.requestApproval(this.state.budgetRunId, request);
+
+            this.state.paused = false;
+            this.emitQueueUpdate();
+
+            if (!approved) {
+                KC.Logger?.warning('Análise interrompida pelo limite de gasto; itens pendentes mantidos na fila');
+            }
+            return approved;
+        }
+
         /**
          * Processa um batch de arquivos
          */
@@ -171,9 +531,18 @@
             for (const item of batch) {
                 try {
                     item.status = 'processing';
+                    item.startedAt = Date.now();
                     this.emitItemUpdate(item);
                     
                     const startTime = Date.now();
+
+                    // Imagens descobertas sem extração: descrição/OCR só ao analisar
+                    if (!item.file.content && item.file.extractionDeferred) {
+                        item.file.content = await this.rereadContent(item.file);
+                        if (!item.file.content) {
+                            throw new Error(`Sem conteúdo extraído de ${item.file.name}`);
+                        }
+                    }
                     
                     // NOVO: Detecta se é refinamento
                     const isRefinement = item.config.isRefinement || false;
@@ -207,15 +576,30 @@
                         model: item.config.model,
                         temperature: promptData.temperature || item.config.temperature,
                         maxTokens: promptData.maxTokens || item.config.maxTokens,
-                        template: item.config.template
+                        template: item.config.template,
+                        budgetRunId: this.state.budgetRunId
                     });
                     
+                    // Provider que de fato respondeu (pode ser um fallback da cadeia do template)
+                    const providerUsed = rawResponse.providerUsed || {
+                        provider: KC.AIAPIManager.getActiveProviderInfo().id,
+                        model: item.config.model
+                    };
+
                     // Normaliza resposta usando AnalysisAdapter
-                    const normalizedAnalysis = KC.AnalysisAdapter.normalize(
-                        rawResponse,
-                        KC.AIAPIManager.getActiveProviderInfo().id,
-                        item.config.template
-                    );
+                    // Respostas já validadas pelo JSON Schema do template dispensam as heurísticas
+                    const normalizedAnalysis = rawResponse.schemaValidated ?
+                        { ...rawResponse } :
+                        KC.AnalysisAdapter.normalize(
+                            rawResponse,
+                            providerUsed.provider,
+                            item.config.template
+                        );
+
+                    // Resposta degradada não entra nas estatísticas: vira erro (e retry)
+                    if (normalizedAnalysis.isFallback) {
+                        throw new Error(`Resposta da análise não pôde ser interpretada: ${normalizedAnalysis.error || 'formato inválido'}`);
+                    }
                     
                     // Valida resposta
                     if (!KC.AnalysisAdapter.validate(normalizedAnalysis, item.config.template)) {
@@ -233,7 +617,8 @@
                     
                     // Calcula métricas
                     const processingTime = Date.now() - startTime;
-                    const providerInfo = KC.AIAPIManager.getActiveProviderInfo();
+                    const providerInfo = KC.AIAPIManager.providers[providerUsed.provider] ||
+                        KC.AIAPIManager.getActiveProviderInfo();
                     
                     // Estrutura resultado final
                     const result = {
@@ -256,20 +641,32 @@
                                 requiredResources: normalizedAnalysis.requiredResources,
                                 nextSteps: normalizedAnalysis.nextSteps,
                                 feasibility: normalizedAnalysis.feasibility
+                            }),
+                            // Documento longo: chunks que sustentam cada momento/insight
+                            ...(rawResponse.citations && {
+                                citations: rawResponse.citations
                             })
                         },
                         metadata: {
                             processingTime: processingTime,
-                            model: item.config.model || providerInfo.defaultModel,
+                            model: providerUsed.model || providerInfo.defaultModel,
                             provider: providerInfo.id,
+                            usedFallback: !!rawResponse.usedFallback,
+                            providerAttempts: rawResponse.attempts || [],
                             template: item.config.template,
                             timestamp: new Date().toISOString(),
                             // NOVO: Marca se é refinamento
                             isRefinement: isRefinement,
                             refinementIteration: item.config.refinementIteration || 0,
                             // Estimativa de tokens/custo (ajustar conforme provider)
-                            tokensUsed: Math.ceil((item.file.content?.length || 0) / 4) + 500,
-                            cost: providerInfo.isLocal ? 0 : 0.002, // Custo estimado para providers cloud
+                            tokensUsed: rawResponse.longDocument ?
+                                rawResponse.longDocument.estimate.inputTokens + rawResponse.longDocument.estimate.outputTokens :
+                                Math.ceil((item.file.content?.length || 0) / 4) + 500,
+                            cost: rawResponse.longDocument ?
+                                rawResponse.longDocument.estimate.cost :
+                                (providerInfo.isLocal ? 0 : 0.002), // Custo estimado para providers cloud
+                            longDocument: rawResponse.longDocument || null,
+                            schemaRepairs: rawResponse.schemaRepairs || 0,
                             // NOVO: Adiciona confiança nas metadados também
                             confidence: normalizedAnalysis.confidence || 0
                         }
@@ -303,6 +700,14 @@
             // Atualiza estatísticas
             this.state.stats.processed++;
             this.state.stats.totalCost += result.metadata.cost || 0;
+
+            this.recordRunFile(item, {
+                status: 'completed',
+                provider: result.metadata.provider,
+                model: result.metadata.model,
+                usedFallback: result.metadata.usedFallback || false,
+                durationMs: result.metadata.processingTime
+            });
             
             // Atualiza arquivo no AppState
             // MODIFICADO: await para método async
@@ -328,17 +733,36 @@
          * Manipula erro no processamento
          */
         handleError(item, error) {
+            // Bloqueado pelo teto de gasto: não conta como tentativa, espera a aprovação
+            if (error.code === 'BUDGET_EXCEEDED') {
+                item.status = 'pending';
+                this.state.budgetBlocked = true;
+                this.emitItemUpdate(item);
+                return;
+            }
+
             item.attempts++;
             
             if (item.attempts < this.config.retryAttempts) {
-                // Tenta novamente
+                // Tenta novamente após backoff exponencial
+                const wait = Math.min(
+                    this.config.retryBaseDelayMs * Math.pow(2, item.attempts - 1),
+                    this.config.retryMaxDelayMs
+                );
                 item.status = 'pending';
-                KC.Logger?.warning(`Tentativa ${item.attempts} falhou, tentando novamente...`);
+                item.nextAttemptAt = Date.now() + wait;
+                this.recordRunFile(item, { status: 'retrying', error: error.message || String(error) });
+                KC.Logger?.warning(`Tentativa ${item.attempts} falhou, tentando novamente em ${Math.round(wait / 1000)}s...`);
             } else {
                 // Marca como erro
                 item.status = 'error';
                 item.error = error.message || error;
                 this.state.stats.errors++;
+                this.recordRunFile(item, {
+                    status: 'error',
+                    error: error.message || String(error),
+                    providerAttempts: error.attempts || []
+                });
                 
                 EventBus.emit(Events.ANALYSIS_ITEM_ERROR, {
                     file: item.file,
@@ -383,6 +807,12 @@
             );
             
             if (fileIndex !== -1) {
+                // Imagem extraída nesta análise: o AppState passa a guardar o texto
+                if (file.extractionDeferred && file.content && !files[fileIndex].content) {
+                    files[fileIndex].content = file.content;
+                    files[fileIndex].extractionDeferred = false;
+                }
+
                 // NOVO: Detecta tipo de análise usando métodos do FileRenderer
                 let analysisType = 'Aprendizado Geral';
                 let relevanceScore = 0.5;
@@ -420,6 +850,7 @@
                 files[fileIndex] = {
                     ...files[fileIndex],
                     analyzed: true,
+                    needsReanalysis: false,
                     analysisDate: new Date().toISOString(),
                     analysisType: analysisType,          // NOVO - tipo detectado
                     relevanceScore: relevanceScore,       // NOVO - relevância com boost
@@ -485,7 +916,8 @@
                 processing: this.state.queue.filter(i => i.status === 'processing').length,
                 completed: this.state.queue.filter(i => i.status === 'completed').length,
                 errors: this.state.queue.filter(i => i.status === 'error').length,
-                isProcessing: this.state.processing
+                isProcessing: this.state.processing,
+                isPaused: this.state.paused
             };
         }
 
@@ -501,6 +933,7 @@
          */
         clearQueue() {
             this.state.queue = [];
+            KC.AnalysisQueueStore?.clearItems();
             this.emitQueueUpdate();
             KC.Logger?.info('Fila de análise limpa');
         }
@@ -541,8 +974,10 @@
 
         /**
          * Emite atualização de item
+         * Toda mudança de status passa por aqui, então o item também é persistido.
          */
         emitItemUpdate(item) {
+            KC.AnalysisQueueStore?.saveItems([this.serializeQueueItem(item)]);
             EventBus.emit(Events.ANALYSIS_ITEM_UPDATED, {
                 item: item,
                 timestamp: Date.now()
@@ -799,6 +1234,7 @@
                 files[fileIndex] = {
                     ...file,
                     analyzed: true,
+                    needsReanalysis: false,
                     analysisDate: new Date().toISOString(),
                     analysisType: analysisType,
                     relevanceScore: relevanceScore,
@@ -3,6 +3,13 @@
  * 
  * Gerencia categorias e relacionamentos com arquivos REAIS
  * Substituindo stub por implementação completa
+ *
+ * Hierarquia: cada categoria pode ter um pai (campo `parent` com o id).
+ * Arquivos guardam só as categorias atribuídas; os ancestrais são implícitos
+ * e entram em filtros (getFilesByCategory), estatísticas (getCategoryStats)
+ * e nos payloads exportados (getAncestorNames -> categoryAncestors).
+ * Categorias padrão também podem ser movidas: o pai delas fica em
+ * AppState.categoryParents, já que só as customizadas são persistidas.
  */
 
 (function(window) {
@@ -90,7 +97,9 @@
          */
         getCategories() {
             const customCategories = AppState.get('customCategories') || [];
-            return [...this.defaultCategories, ...customCategories];
+            const parents = AppState.get('categoryParents') || {};
+            const defaults = this.defaultCategories.map(cat => parents[cat.id] ? { ...cat, parent: parents[cat.id] } : cat);
+            return [...defaults, ...customCategories];
         }
 
         /**
@@ -111,6 +120,245 @@
             return categories.find(cat => cat.name === categoryName) || null;
         }
 
+        /**
+         * Filhos diretos de uma categoria
+         * @param {string|null} parentId - null lista as categorias raiz
+         * @returns {Array<Object>}
+         */
+        getChildren(parentId) {
+            const categories = this.getCategories();
+            const ids = new Set(categories.map(cat => cat.id));
+
+            return categories.filter(cat => parentId
+                ? cat.parent === parentId
+                : !cat.parent || !ids.has(cat.parent)); // Pai inexistente vira raiz
+        }
+
+        /**
+         * Ancestrais de uma categoria, do pai até a raiz
+         * @param {string} categoryId
+         * @returns {Array<string>} IDs
+         */
+        getAncestors(categoryId) {
+            const ancestors = [];
+            const visited = new Set([categoryId]);
+            let current = this.getCategoryById(categoryId);
+
+            while (current && current.parent && !visited.has(current.parent)) {
+                const parent = this.getCategoryById(current.parent);
+                if (!parent) break;
+                ancestors.push(parent.id);
+                visited.add(parent.id);
+                current = parent;
+            }
+
+            return ancestors;
+        }
+
+        /**
+         * Todos os descendentes de uma categoria (filhos, netos...)
+         * @param {string} categoryId
+         * @returns {Array<string>} IDs
+         */
+        getDescendants(categoryId) {
+            const descendants = [];
+            const queue = [categoryId];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                this.getChildren(current).forEach(child => {
+                    if (child.id !== categoryId && !descendants.includes(child.id)) {
+                        descendants.push(child.id);
+                        queue.push(child.id);
+                    }
+                });
+            }
+
+            return descendants;
+        }
+
+        /**
+         * Caminho legível da categoria (ex.: "Consultoria / Estratégia / Pricing")
+         * @param {string} categoryId
+         * @param {string} separator
+         * @returns {string}
+         */
+        getCategoryPath(categoryId, separator = ' / ') {
+            const category = this.getCategoryById(categoryId);
+            if (!category) return categoryId;
+
+            return [...this.getAncestors(categoryId).reverse(), categoryId]
+                .map(id => this.getCategoryById(id).name)
+                .join(separator);
+        }
+
+        /**
+         * Árvore de categorias
+         * @returns {Array<Object>} Raízes; cada nó é a categoria com `children` e `depth`
+         */
+        getCategoryTree() {
+            const build = (parentId, depth) => this.getChildren(parentId).map(category => ({
+                ...category,
+                depth: depth,
+                children: depth < 32 ? build(category.id, depth + 1) : []
+            }));
+
+            return build(null, 0);
+        }
+
+        /**
+         * Categorias em ordem de árvore (pai antes dos filhos) com `depth`
+         * @returns {Array<Object>}
+         */
+        getCategoriesFlattened() {
+            const flattened = [];
+            const visit = (nodes) => nodes.forEach(({ children, ...category }) => {
+                flattened.push(category);
+                visit(children);
+            });
+            visit(this.getCategoryTree());
+            return flattened;
+        }
+
+        /**
+         * Expande categorias atribuídas com seus ancestrais
+         * Aceita IDs, nomes ou objetos { id, name } (formatos encontrados em file.categories)
+         * @param {Array} categories
+         * @returns {Array<string>} IDs sem repetição
+         */
+        expandWithAncestors(categories) {
+            const expanded = new Set();
+
+            (categories || []).forEach(entry => {
+                const categoryId = this._resolveCategoryId(entry);
+                if (!categoryId) return;
+                expanded.add(categoryId);
+                this.getAncestors(categoryId).forEach(id => expanded.add(id));
+            });
+
+            return Array.from(expanded);
+        }
+
+        /**
+         * Nomes dos ancestrais implícitos das categorias atribuídas (sem as próprias)
+         * Vão nos payloads exportados para que filtros pelo pai encontrem os filhos
+         * @param {Array} categories - Entradas de file.categories
+         * @returns {Array<string>}
+         */
+        getAncestorNames(categories) {
+            const assigned = new Set((categories || []).map(entry => this._resolveCategoryId(entry)));
+
+            return this.expandWithAncestors(categories)
+                .filter(id => !assigned.has(id))
+                .map(id => this.getCategoryById(id)?.name || id);
+        }
+
+        /**
+         * Move uma categoria para outro pai (null = raiz)
+         * Vale também para as categorias padrão
+         * @param {string} categoryId
+         * @param {string|null} parentId
+         * @returns {boolean}
+         */
+        moveCategory(categoryId, parentId) {
+            return this.updateCategory(categoryId, { parent: parentId || null });
+        }
+
+        /**
+         * Renomeia uma categoria; o novo nome é propagado aos arquivos
+         * @param {string} categoryId
+         * @param {string} name
+         * @returns {boolean}
+         */
+        renameCategory(categoryId, name) {
+            if (!name || !name.trim()) return false;
+            return this.updateCategory(categoryId, { name: name.trim() });
+        }
+
+        /**
+         * Grava o pai de uma categoria padrão (null = raiz)
+         * @private
+         */
+        _setDefaultParent(categoryId, parentId) {
+            const parents = { ...(AppState.get('categoryParents') || {}) };
+            if (parentId) {
+                parents[categoryId] = parentId;
+            } else {
+                delete parents[categoryId];
+            }
+            AppState.set('categoryParents', parents);
+        }
+
+        /**
+         * Verifica se o pai é válido (existe e não cria ciclo)
+         * @private
+         */
+        _isValidParent(categoryId, parentId) {
+            if (!parentId) return true;
+            if (parentId === categoryId || !this.getCategoryById(parentId)) return false;
+            return !this.getAncestors(parentId).includes(categoryId);
+        }
+
+        /**
+         * ID da categoria a partir de uma entrada de file.categories
+         * @private
+         */
+        _resolveCategoryId(entry) {
+            if (!entry) return null;
+            if (typeof entry === 'object') {
+                return entry.id || this.getCategoryByName(entry.name)?.id || null;
+            }
+            if (this.getCategoryById(entry)) return entry;
+            return this.getCategoryByName(entry)?.id || null;
+        }
+
+        /**
+         * Propaga renomeação/movimentação aos arquivos da categoria e dos descendentes
+         * Entradas por nome passam a usar o ID; objetos { id, name } recebem o novo nome.
+         * @private
+         */
+        _cascadeToFiles(categoryId, previous) {
+            const files = AppState.get('files') || [];
+            const affected = new Set([categoryId, ...this.getDescendants(categoryId)]);
+            const updatedFiles = [];
+
+            files.forEach(file => {
+                if (!Array.isArray(file.categories)) return;
+                let changed = false;
+
+                file.categories = file.categories.map(entry => {
+                    if (typeof entry === 'string') {
+                        if (entry === previous.name && entry !== categoryId && !this.getCategoryById(entry)) {
+                            changed = true;
+                            return categoryId;
+                        }
+                        if (affected.has(entry)) changed = true;
+                        return entry;
+                    }
+
+                    if (entry && affected.has(entry.id)) {
+                        changed = true;
+                        return { ...entry, name: this.getCategoryById(entry.id).name };
+                    }
+                    return entry;
+                });
+
+                if (changed) updatedFiles.push(file.id || file.name);
+            });
+
+            if (updatedFiles.length > 0) {
+                AppState.set('files', files);
+
+                EventBus.emit(Events.FILES_UPDATED, {
+                    action: 'category_hierarchy_changed',
+                    categoryId: categoryId,
+                    fileIds: updatedFiles
+                });
+            }
+
+            return updatedFiles.length;
+        }
+
         /**
          * Cria nova categoria customizada
          */
@@ -120,11 +368,22 @@
                 return false;
             }
 
+            if (category.parent && !this.getCategoryById(category.parent)) {
+                console.error('Categoria pai não encontrada:', category.parent);
+                return false;
+            }
+
             // Gera ID único
-            const categoryId = category.name.toLowerCase()
+            const slug = category.name.toLowerCase()
                 .replace(/\s+/g, '-')
                 .replace(/[^a-z0-9-]/g, '');
 
+            // Mesmo nome sob pais diferentes: ID prefixado pelo pai
+            let categoryId = slug;
+            if (this.getCategoryById(categoryId) && category.parent) {
+                categoryId = `${category.parent}-${slug}`;
+            }
+
             // Verifica se já existe
             const existing = this.getCategoryById(categoryId);
             if (existing) {
@@ -139,6 +398,9 @@
                 icon: category.icon || '🏷️',
                 custom: true
             };
+            if (category.parent) {
+                newCategory.parent = category.parent;
+            }
 
             // Adiciona às categorias customizadas
             const customCategories = AppState.get('customCategories') || [];
@@ -170,17 +432,43 @@
         updateCategory(categoryId, updates) {
             const customCategories = AppState.get('customCategories') || [];
             const index = customCategories.findIndex(cat => cat.id === categoryId);
+            const isDefault = index === -1 && this.defaultCategories.some(cat => cat.id === categoryId);
             
-            if (index === -1) {
-                console.warn('Apenas categorias customizadas podem ser editadas');
+            if (index === -1 && !isDefault) {
+                console.warn('Categoria não encontrada:', categoryId);
                 return false;
             }
 
-            customCategories[index] = { ...customCategories[index], ...updates };
-            AppState.set('customCategories', customCategories);
+            // Categorias padrão só mudam de pai
+            if (isDefault && Object.keys(updates).some(key => key !== 'parent')) {
+                console.warn('Categorias padrão só podem ser movidas');
+                return false;
+            }
+
+            if ('parent' in updates && !this._isValidParent(categoryId, updates.parent)) {
+                console.warn('Categoria pai inválida (inexistente ou cria ciclo):', updates.parent);
+                return false;
+            }
+
+            const previous = this.getCategoryById(categoryId);
+            if (isDefault) {
+                this._setDefaultParent(categoryId, updates.parent);
+            } else {
+                customCategories[index] = { ...previous, ...updates };
+                if (!customCategories[index].parent) {
+                    delete customCategories[index].parent;
+                }
+                AppState.set('customCategories', customCategories);
+            }
+
+            const renamed = updates.name !== undefined && updates.name !== previous.name;
+            const moved = 'parent' in updates && (updates.parent || null) !== (previous.parent || null);
+            if (renamed || moved) {
+                this._cascadeToFiles(categoryId, previous);
+            }
 
             EventBus.emit(Events.CATEGORIES_CHANGED, {
-                action: 'updated',
+                action: moved ? 'moved' : 'updated',
                 categoryId: categoryId,
                 updates: updates
             });
@@ -202,14 +490,31 @@
             }
 
             const customCategories = AppState.get('customCategories') || [];
+            const removed = customCategories.find(cat => cat.id === categoryId);
             const filtered = customCategories.filter(cat => cat.id !== categoryId);
             
             if (filtered.length === customCategories.length) {
                 return false; // Não encontrou
             }
 
+            // Filhos sobem para o pai da categoria removida
+            filtered.forEach(cat => {
+                if (cat.parent === categoryId) {
+                    if (removed.parent) {
+                        cat.parent = removed.parent;
+                    } else {
+                        delete cat.parent;
+                    }
+                }
+            });
+
             AppState.set('customCategories', filtered);
 
+            // Categorias padrão filhas também sobem
+            Object.entries(AppState.get('categoryParents') || {}).forEach(([id, parent]) => {
+                if (parent === categoryId) this._setDefaultParent(id, removed.parent);
+            });
+
             // Remove categoria de todos os arquivos
             this.removeCategoryFromAllFiles(categoryId);
 
@@ -289,6 +594,12 @@
                         totalCategories: categoryCount
                     });
                 }
+
+                // Decisão do curador vira tripla categorizadoComo (TripleStoreManager)
+                EventBus.emit(Events.FILE_CATEGORIZED, {
+                    fileId: files[fileIndex].id || fileId,
+                    categoryId: categoryId
+                });
                 
                 // UNIFIED CONFIDENCE SYSTEM: Update confidence after categorization
                 if (KC.UnifiedConfidenceControllerInstance && KC.FeatureFlagManagerInstance?.isEnabled('unified_confidence_system')) {
@@ -390,6 +701,7 @@
 
             const files = AppState.get('files') || [];
             let updatedCount = 0;
+            const categorizedIds = [];
 
             fileIds.forEach(fileId => {
                 const fileIndex = files.findIndex(f => 
@@ -405,6 +717,7 @@
                     // Evita duplicatas
                     if (!files[fileIndex].categories.includes(categoryId)) {
                         files[fileIndex].categories.push(categoryId);
+                        categorizedIds.push(files[fileIndex].id || fileId);
                         updatedCount++;
                         
                         // FASE 1.3: Aplicar boost de relevância ao categorizar
@@ -448,6 +761,10 @@
                     count: updatedCount,
                     categoryId: categoryId
                 });
+
+                categorizedIds.forEach(id => {
+                    EventBus.emit(Events.FILE_CATEGORIZED, { fileId: id, categoryId: categoryId });
+                });
                 
                 // UNIFIED CONFIDENCE SYSTEM: Update confidence after bulk categorization
                 if (KC.UnifiedConfidenceControllerInstance && KC.FeatureFlagManagerInstance?.isEnabled('unified_confidence_system')) {
@@ -488,6 +805,7 @@
         removeCategoryFromFiles(fileIds, categoryId) {
             const files = AppState.get('files') || [];
             let updatedCount = 0;
+            const uncategorized = [];
 
             fileIds.forEach(fileId => {
                 const fileIndex = files.findIndex(f => 
@@ -502,6 +820,7 @@
                     
                     if (files[fileIndex].categories.length < initialLength) {
                         updatedCount++;
+                        uncategorized.push(files[fileIndex]);
                     }
                 }
             });
@@ -514,6 +833,8 @@
                     count: updatedCount,
                     categoryId: categoryId
                 });
+
+                this._emitCategoryRemoved(uncategorized, categoryId);
             }
 
             return {
@@ -527,21 +848,39 @@
          */
         removeCategoryFromAllFiles(categoryId) {
             const files = AppState.get('files') || [];
-            let updatedCount = 0;
+            const uncategorized = [];
 
             files.forEach(file => {
                 if (file.categories && file.categories.includes(categoryId)) {
                     file.categories = file.categories.filter(catId => catId !== categoryId);
-                    updatedCount++;
+                    uncategorized.push(file);
                 }
             });
 
-            if (updatedCount > 0) {
+            if (uncategorized.length > 0) {
                 AppState.set('files', files);
-                console.log(`Categoria ${categoryId} removida de ${updatedCount} arquivo(s)`);
+                this._emitCategoryRemoved(uncategorized, categoryId);
+                console.log(`Categoria ${categoryId} removida de ${uncategorized.length} arquivo(s)`);
             }
         }
 
+        /**
+         * Emite CATEGORY_REMOVED por arquivo (o TripleStoreManager retira a tripla categorizadoComo)
+         * @private
+         */
+        _emitCategoryRemoved(files, categoryId) {
+            if (!Events.CATEGORY_REMOVED) return;
+
+            files.forEach(file => {
+                EventBus.emit(Events.CATEGORY_REMOVED, {
+                    fileId: file.id || file.name,
+                    categoryId: categoryId,
+                    file: file,
+                    remainingCategories: file.categories.length
+                });
+            });
+        }
+
         /**
          * Obtém estatísticas de categorias
          */
@@ -553,15 +892,22 @@
             this.getCategories().forEach(cat => {
                 stats[cat.id] = {
                     category: cat,
-                    count: 0,
+                    count: 0,          // Inclui arquivos das subcategorias
+                    directCount: 0,    // Só atribuições diretas
                     percentage: 0
                 };
             });
 
-            // Conta arquivos por categoria
+            // Conta arquivos por categoria; a categoria filha conta também nos ancestrais
             files.forEach(file => {
                 if (file.categories && file.categories.length > 0) {
-                    file.categories.forEach(catId => {
+                    file.categories.forEach(entry => {
+                        const catId = this._resolveCategoryId(entry);
+                        if (stats[catId]) {
+                            stats[catId].directCount++;
+                        }
+                    });
+                    this.expandWithAncestors(file.categories).forEach(catId => {
                         if (stats[catId]) {
                             stats[catId].count++;
                         }
@@ -582,12 +928,20 @@
 
         /**
          * Busca arquivos por categoria
+         * @param {string} categoryId
+         * @param {Object} options - includeDescendants (padrão true): inclui arquivos das subcategorias
          */
-        getFilesByCategory(categoryId) {
+        getFilesByCategory(categoryId, options = {}) {
+            const { includeDescendants = true } = options;
             const files = AppState.get('files') || [];
-            return files.filter(file => 
-                file.categories && file.categories.includes(categoryId)
-            );
+
+            return files.filter(file => {
+                if (!file.categories || file.categories.length === 0) return false;
+                if (!includeDescendants) {
+                    return file.categories.some(entry => this._resolveCategoryId(entry) === categoryId);
+                }
+                return this.expandWithAncestors(file.categories).includes(categoryId);
+            });
         }
 
         /**
@@ -607,6 +961,8 @@
                     name: cat.name,
                     color: cat.color,
                     icon: cat.icon || '🏷️',
+                    // Campo opcional: linhas sem "parent" continuam no formato plano
+                    ...(cat.parent ? { parent: cat.parent } : {}),
                     segment: cat.segment || (isCustom ? 'custom' : 'default'),
                     active: cat.active !== false,
                     created: cat.created || new Date().toISOString(),
@@ -639,6 +995,7 @@
             const lines = jsonlContent.trim().split('\n').filter(line => line.trim());
             const imported = [];
             const errors = [];
+            const importedLines = new Map(); // id -> número da linha (validação da hierarquia)
             
             lines.forEach((line, index) => {
                 try {
@@ -653,8 +1010,14 @@
                     // Verificar se é categoria padrão
                     const isDefault = this.defaultCategories.some(cat => cat.id === category.id);
                     
-                    if (isDefault && !overwrite) {
-                        // Pular categorias padrão se não for para sobrescrever
+                    if (isDefault) {
+                        // Padrão nunca vira customizada: da linha só vale o pai (sem "parent" = raiz,
+                        // aplicado apenas ao sobrescrever)
+                        if (category.parent || overwrite) {
+                            this._setDefaultParent(category.id, category.parent || null);
+                            imported.push(category);
+                            importedLines.set(category.id, index + 1);
+                        }
                         return;
                     }
                     
@@ -663,35 +1026,37 @@
                         category.active = category.segment === activateSegment;
                     }
                     
-                    // Se for categoria customizada
-                    if (!isDefault || category.custom) {
-                        const customCategories = AppState.get('customCategories') || [];
-                        const existingIndex = customCategories.findIndex(c => c.id === category.id);
-                        
-                        if (existingIndex >= 0) {
-                            if (merge || overwrite) {
-                                customCategories[existingIndex] = {
-                                    ...customCategories[existingIndex],
-                                    ...category,
-                                    custom: true
-                                };
-                            }
-                        } else {
-                            customCategories.push({
+                    // Categoria customizada
+                    const customCategories = AppState.get('customCategories') || [];
+                    const existingIndex = customCategories.findIndex(c => c.id === category.id);
+                    
+                    if (existingIndex >= 0) {
+                        if (merge || overwrite) {
+                            customCategories[existingIndex] = {
+                                ...customCategories[existingIndex],
                                 ...category,
                                 custom: true
-                            });
+                            };
                         }
-                        
-                        AppState.set('customCategories', customCategories);
-                        imported.push(category);
+                    } else {
+                        customCategories.push({
+                            ...category,
+                            custom: true
+                        });
                     }
                     
+                    AppState.set('customCategories', customCategories);
+                    imported.push(category);
+                    importedLines.set(category.id, index + 1);
+                    
                 } catch (error) {
                     errors.push(`Linha ${index + 1}: ${error.message}`);
                 }
             });
             
+            // Hierarquia: pais podem vir depois dos filhos no arquivo, então valida no fim
+            this._validateImportedParents(importedLines, errors);
+            
             // Forçar salvamento
             AppState._save();
             
@@ -712,6 +1077,42 @@
             };
         }
 
+        /**
+         * Remove pais inexistentes ou que formam ciclo das categorias importadas
+         * @private
+         */
+        _validateImportedParents(importedLines, errors) {
+            const customCategories = AppState.get('customCategories') || [];
+            let changed = false;
+
+            customCategories.forEach(cat => {
+                if (!importedLines.has(cat.id) || !cat.parent) return;
+
+                const parentExists = !!this.getCategoryById(cat.parent);
+                const cycle = parentExists && (cat.parent === cat.id || this.getAncestors(cat.parent).includes(cat.id));
+
+                if (!parentExists || cycle) {
+                    errors.push(`Linha ${importedLines.get(cat.id)}: categoria pai '${cat.parent}' ${cycle ? 'cria ciclo' : 'não encontrada'}, importada como raiz`);
+                    delete cat.parent;
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                AppState.set('customCategories', customCategories);
+            }
+
+            // Pais das categorias padrão importadas
+            const parents = AppState.get('categoryParents') || {};
+            Object.keys(parents).forEach(id => {
+                if (!importedLines.has(id) || this._isValidParent(id, parents[id])) return;
+
+                const cycle = !!this.getCategoryById(parents[id]);
+                errors.push(`Linha ${importedLines.get(id)}: categoria pai '${parents[id]}' ${cycle ? 'cria ciclo' : 'não encontrada'}, importada como raiz`);
+                this._setDefaultParent(id, null);
+            });
+        }
+
         /**
          * Salva categorias atuais no arquivo JSONL (auto-save)
          * NOTA: Como estamos usando arquivo local, esta função gera instruções para o usuário
@@ -15,7 +15,7 @@
             this.initialized = false;
             this.defaults = {
                 discovery: {
-                    filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.gdoc'],
+                    filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.xlsx', '*.gdoc', '*.mbox', '*.png', '*.jpg', '*.jpeg', '*.webp'],
                     directories: [],
                     dateMetric: 'created',
                     timeRange: 'all',
@@ -163,7 +163,13 @@
          * Exporta configurações
          */
         export() {
-            const config = this.getAll();
+            const config = { ...this.getAll() };
+
+            // Perfis do Qdrant vão junto, sem API keys
+            if (KC.QdrantProfiles) {
+                config.qdrant = KC.QdrantProfiles.exportSettings();
+            }
+
             const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             
@@ -189,6 +195,11 @@
                     throw new Error('Arquivo de configuração inválido');
                 }
                 
+                if (config.qdrant && KC.QdrantProfiles) {
+                    KC.QdrantProfiles.importSettings(config.qdrant);
+                }
+                delete config.qdrant;
+
                 KC.AppState.set('configuration', config);
                 KC.EventBus.emit(KC.Events.CONFIG_IMPORTED, { config });
                 
@@ -210,7 +221,8 @@
         set: (section, key, value) => KC.ConfigManager.set(section, key, value),
         getAll: () => KC.ConfigManager.getAll(),
         reset: (section) => KC.ConfigManager.reset(section),
-        export: () => KC.ConfigManager.export()
+        export: () => KC.ConfigManager.export(),
+        qdrantProfile: (id) => id ? KC.QdrantProfiles?.setActive(id) : KC.QdrantProfiles?.list()
     };
 
 })(window);
\ No newline at end of file
@@ -22,12 +22,16 @@
             this.processedPaths = new Set();
             this.errors = [];
             
+            // Estado da re-descoberta incremental (por execução)
+            this.incrementalContext = null;
+            this.lastChangeReport = null;
+            
             // Configurações padrão
             this.defaultConfig = {
                 // ORIGINAL - Preservado para rollback
                 // filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf'],
-                // NOVO - Adiciona .gdoc
-                filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.gdoc'],
+                // NOVO - Adiciona .gdoc, planilhas, caixas postais e imagens
+                filePatterns: ['*.md', '*.txt', '*.docx', '*.pdf', '*.xlsx', '*.gdoc', '*.mbox', '*.png', '*.jpg', '*.jpeg', '*.webp'],
                 directories: [],
                 obsidianVaults: [],
                 dateMetric: 'lastModified', // lastModified, created
@@ -40,7 +44,12 @@
                 excludePatterns: ['temp', 'cache', 'backup', '.git', '.trash', '.obsidian', 'ThirdPartyNoticeText.txt', 'CHANGELOG.md', 'README.md', '.excalidraw.md', 'node_modules'],
                 minFileSize: 0, // bytes
                 maxFileSize: 10 * 1024 * 1024, // 10MB
-                includeHidden: false
+                includeHidden: false,
+                // Caixas postais (*.mbox nos padrões) viram uma entrada por thread
+                mailboxIngestion: true,
+                // Re-descoberta incremental: compara com o manifesto da última varredura
+                incremental: false,
+                reanalyzeChanged: true // Reenvia para análise apenas arquivos analisados que mudaram
             };
 
             // Estatísticas de progresso
@@ -118,6 +127,11 @@
                 // Obtém configuração
                 const config = this._getConfiguration(options);
                 KC.Logger.debug('Configuração obtida', { config });
+
+                // Re-descoberta incremental: carrega manifesto e arquivos já conhecidos
+                this.incrementalContext = config.incremental && KC.DiscoveryManifest
+                    ? await this._prepareIncrementalContext()
+                    : null;
                 
                 // Valida diretórios
                 const validDirectories = await this._validateDirectories(config.directories);
@@ -158,6 +172,12 @@
                     );
                 }
 
+                // Classifica mudanças contra o manifesto (antes de filtros que removem arquivos)
+                let changeReport = null;
+                if (this.incrementalContext && !this.scanAbortController.signal.aborted) {
+                    changeReport = await this._applyIncrementalChanges(this.discoveredFiles);
+                }
+
                 // Aplica filtros temporais
                 if (config.timeRange !== 'all') {
                     this.discoveredFiles = this._filterByTimeRange(this.discoveredFiles, config.timeRange);
@@ -200,7 +220,16 @@
                     KC.Logger?.info('🔍 Iniciando detecção de duplicatas...');
                     
                     try {
-                        const duplicateResults = KC.duplicateDetector.analyzeDuplicates(this.discoveredFiles);
+                        // Comparação de nomes roda no worker pool; progresso na barra da descoberta
+                        const duplicateResults = await KC.duplicateDetector.analyzeDuplicatesAsync(this.discoveredFiles, {
+                            onProgress: ({ done, total }) => EventBus.emit(Events.PROGRESS_UPDATE, {
+                                type: 'discovery',
+                                current: done,
+                                total: total,
+                                message: '🔍 Detectando duplicatas...',
+                                details: `${done}/${total} arquivos comparados`
+                            })
+                        });
                         duplicateStats = KC.duplicateDetector.getStats();
                         
                         KC.Logger?.success(`📊 Duplicatas detectadas: ${duplicateStats.duplicates} de ${duplicateStats.total} arquivos`, {
@@ -248,6 +277,10 @@
                 // AIDEV-NOTE: category-persistence; merge preserva categorias e campos personalizados (BUG #11 fix)
                 const existingFiles = AppState.get('files') || [];
                 const mergedFiles = this._mergeWithExistingFiles(finalFiles, existingFiles);
+
+                if (changeReport) {
+                    this._publishChangeReport(changeReport, mergedFiles, config);
+                }
                 
                 // NOVO: Verificar arquivos no Qdrant antes de salvar
                 if (KC.QdrantManager && mergedFiles.length > 0) {
@@ -288,6 +321,7 @@
                     'stats.totalFiles': this.stats.totalFiles,
                     'stats.discoveredFiles': mergedFiles.length,
                     'stats.duplicateStats': duplicateStats,
+                    'stats.lastChangeReport': this.lastChangeReport?.summary || null,
                     'stats.lastUpdate': new Date().toISOString()
                 });
                 
@@ -334,7 +368,8 @@
                 return {
                     success: true,
                     files: mergedFiles,
-                    stats: this.stats
+                    stats: this.stats,
+                    changes: changeReport
                 };
 
             } catch (error) {
@@ -353,6 +388,7 @@
             } finally {
                 this.isScanning = false;
                 this.scanAbortController = null;
+                this.incrementalContext = null;
             }
         }
 
@@ -615,7 +651,7 @@
 
             const files = [];
             // Usa as extensões configuradas do parâmetro ou padrão
-            const filePatterns = configParam.filePatterns || ['*.md', '*.txt', '*.docx', '*.pdf', '*.gdoc'];
+            const filePatterns = configParam.filePatterns || ['*.md', '*.txt', '*.docx', '*.pdf', '*.xlsx', '*.gdoc', '*.mbox', '*.png', '*.jpg', '*.jpeg', '*.webp'];
             const supportedExtensions = filePatterns.map(pattern => 
                 pattern.replace('*', '').toLowerCase()
             );
@@ -655,8 +691,16 @@
                                 // if (this._passesFilters(file, config)) {
                                     // Usa parentPath ou o nome do diretório raiz
                                     const currentDirPath = parentPath || directoryHandle.name || '/';
-                                    const metadata = await this._extractRealMetadata(file, entry, currentDirPath);
-                                    files.push(metadata);
+                                    const unchangedFile = this._reuseUnchangedFile(file, entry, currentDirPath);
+                                    if (unchangedFile) {
+                                        files.push(unchangedFile);
+                                    } else if (configParam.mailboxIngestion !== false && KC.MailboxIngestion?.isMailbox(file.name)) {
+                                        const threadFiles = await this._ingestMailbox(file, entry, currentDirPath);
+                                        files.push(...threadFiles);
+                                    } else {
+                                        const metadata = await this._extractRealMetadata(file, entry, currentDirPath);
+                                        files.push(metadata);
+                                    }
                                 
                                 // Atualiza estatísticas
                                 // this.stats.totalFiles++; // JÁ INCREMENTADO ACIMA
@@ -995,10 +1039,20 @@
                 duplicateInfo: null // Informações sobre duplicata se existir
             };
 
-            // Extrai conteúdo para análise (com limite de segurança)
-            if (file.size < 1024 * 1024) { // Máximo 1MB
+            // Formatos binários (PDF etc.) passam pelo DocumentExtractors
+            const isBinaryDocument = !!KC.DocumentExtractors?.isBinaryFormat(file.name);
+            const contentSizeLimit = isBinaryDocument ? this.defaultConfig.maxFileSize : 1024 * 1024;
+
+            // Imagens: a extração (chamada de visão paga ou OCR) fica para a análise
+            if (KC.DocumentExtractors?.getCapabilityInfo(file.name).image) {
+                metadata.content = '';
+                metadata.preview = null;
+                metadata.extractionDeferred = true;
+            } else if (file.size < contentSizeLimit) { // Máximo 1MB para texto
                 try {
-                    const content = await file.text();
+                    const content = isBinaryDocument
+                        ? await this._extractDocumentContent(file, fileHandle, metadata)
+                        : await file.text();
                     metadata.content = content;
                     
                     // NOVO: Gera preview inteligente usando PreviewUtils (economia de tokens)
@@ -1143,6 +1197,254 @@
             return metadata;
         }
 
+        /**
+         * Inventário completo dos diretórios configurados, sem os filtros da descoberta
+         * (período, relevância, exclusões e profundidade). Não altera AppState 'files'.
+         * AIDEV-NOTE: reconciliation-inventory; usado pela reconciliação do Qdrant para
+         * não tratar como órfão um arquivo que existe no disco mas foi filtrado
+         * @returns {Promise<Object>} { files, directories (varridos), missing (sem handle) }
+         */
+        async inventoryFiles() {
+            if (this.isScanning) {
+                throw new Error('Descoberta em andamento; aguarde a conclusão');
+            }
+
+            const config = this._getConfiguration({
+                excludePatterns: [],
+                subfolderDepth: 0,
+                incremental: false
+            });
+            const directories = await this._validateDirectories(config.directories);
+            const savedStats = this.stats;
+            const result = { files: [], directories: [], missing: [] };
+
+            this.isScanning = true;
+            this.scanAbortController = new AbortController();
+            this.stats = { totalDirectories: 0, scannedDirectories: 0, totalFiles: 0, matchedFiles: 0, skippedFiles: 0, errors: 0 };
+
+            try {
+                for (const directory of directories) {
+                    const handleData = KC.handleManager?.getByPath(directory);
+                    if (!handleData?.handle) {
+                        result.missing.push(directory);
+                        continue;
+                    }
+
+                    const files = await this._realDirectoryScan(handleData.handle, config, 0, directory);
+                    result.files.push(...files);
+                    result.directories.push(directory);
+                }
+            } finally {
+                this.stats = savedStats;
+                this.isScanning = false;
+                this.scanAbortController = null;
+            }
+
+            KC.Logger.info('Inventário sem filtros concluído', {
+                files: result.files.length,
+                directories: result.directories.length,
+                missing: result.missing.length
+            });
+
+            return result;
+        }
+
+        /**
+         * Obtém o relatório de mudanças da última descoberta incremental
+         * @returns {Object|null} { added, modified, moved, deleted, unchanged, summary }
+         */
+        getLastChangeReport() {
+            return this.lastChangeReport;
+        }
+
+        /**
+         * Carrega manifesto anterior e arquivos conhecidos para a descoberta incremental
+         * @private
+         */
+        async _prepareIncrementalContext() {
+            const manifest = await KC.DiscoveryManifest.load();
+            const existingFiles = AppState.get('files') || [];
+
+            KC.Logger.info('Descoberta incremental', { manifestEntries: manifest.size });
+
+            return {
+                manifest: manifest,
+                existingByPath: new Map(existingFiles.map(file => [file.path, file])),
+                reused: 0
+            };
+        }
+
+        /**
+         * Reaproveita metadados de um arquivo inalterado (mesmo tamanho e lastModified)
+         * evitando reler e recalcular o conteúdo
+         * @private
+         * @returns {Object|null} Metadados reaproveitados ou null se precisa extrair
+         */
+        _reuseUnchangedFile(file, fileHandle, directoryPath) {
+            const context = this.incrementalContext;
+            if (!context) return null;
+
+            const path = `${directoryPath}/${file.name}`;
+            const manifestEntry = context.manifest.get(path);
+            const existing = context.existingByPath.get(path);
+
+            // Sem conteúdo persistido não há o que reaproveitar
+            if (!existing || !existing.content ||
+                !KC.DiscoveryManifest.matchesEntry(manifestEntry, file.size, file.lastModified)) {
+                return null;
+            }
+
+            context.reused++;
+            // Pendência de reanálise pertence à varredura anterior; inalterado não reenvia
+            const { needsReanalysis, ...reusable } = existing;
+            return {
+                ...reusable,
+                preview: existing.preview ?? null,
+                handle: fileHandle,
+                lastModified: new Date(file.lastModified),
+                contentHash: manifestEntry.hash
+            };
+        }
+
+        /**
+         * Compara arquivos descobertos com o manifesto anterior, anota
+         * changeStatus/previousPath em cada arquivo e salva o novo manifesto
+         * @private
+         * @param {Array} files - Arquivos descobertos nesta varredura
+         * @returns {Promise<Object>} Relatório de mudanças
+         */
+        async _applyIncrementalChanges(files) {
+            const context = this.incrementalContext;
+            const current = new Map();
+
+            for (const file of files) {
+                const previous = context.manifest.get(file.path);
+                let hash = file.contentHash || null;
+
+                if (!hash && KC.DiscoveryManifest.matchesEntry(previous, file.size, file.lastModified)) {
+                    hash = previous.hash;
+                }
+                if (!hash && file.content && KC.FileUtils) {
+                    hash = await KC.FileUtils.calculateHash(file.content);
+                }
+
+                file.contentHash = hash;
+                current.set(file.path, KC.DiscoveryManifest.createEntry(file, hash));
+            }
+
+            const report = KC.DiscoveryManifest.diff(context.manifest, current);
+            const byPath = new Map(files.map(file => [file.path, file]));
+
+            report.added.forEach(path => { byPath.get(path).changeStatus = 'added'; });
+            report.modified.forEach(path => { byPath.get(path).changeStatus = 'modified'; });
+            report.unchanged.forEach(path => { byPath.get(path).changeStatus = 'unchanged'; });
+            report.moved.forEach(({ from, to }) => {
+                const file = byPath.get(to);
+                file.changeStatus = 'moved';
+                file.previousPath = from;
+            });
+
+            await KC.DiscoveryManifest.save(current);
+
+            report.summary = {
+                added: report.added.length,
+                modified: report.modified.length,
+                moved: report.moved.length,
+                deleted: report.deleted.length,
+                unchanged: report.unchanged.length,
+                reused: context.reused,
+                timestamp: new Date().toISOString()
+            };
+
+            KC.Logger.success('Mudanças desde a última descoberta', report.summary);
+            return report;
+        }
+
+        /**
+         * Publica o relatório de mudanças e reenvia para análise apenas os arquivos alterados
+         * @private
+         */
+        _publishChangeReport(changeReport, mergedFiles, config) {
+            this.lastChangeReport = changeReport;
+
+            EventBus.emit(Events.DISCOVERY_CHANGES_DETECTED, {
+                changes: changeReport,
+                files: mergedFiles
+            });
+
+            if (config.reanalyzeChanged) {
+                const changedFiles = mergedFiles.filter(file => file.needsReanalysis);
+                if (changedFiles.length > 0) {
+                    KC.Logger.info(`${changedFiles.length} arquivo(s) modificado(s) reenviado(s) para análise`);
+                    EventBus.emit(Events.ANALYSIS_REQUESTED, { files: changedFiles });
+                }
+            }
+        }
+
+        /**
+         * Divide uma caixa postal em threads, cada uma como arquivo descoberto
+         * @private
+         * @param {File} file - Arquivo mbox/pst
+         * @param {FileSystemFileHandle} fileHandle - Handle original
+         * @param {string} directoryPath - Pasta onde a caixa postal foi encontrada
+         * @returns {Promise<Array>} Metadados das threads (vazio em caso de erro)
+         */
+        async _ingestMailbox(file, fileHandle, directoryPath) {
+            try {
+                const threadFiles = await KC.MailboxIngestion.ingest(file, {
+                    directoryPath: directoryPath,
+                    handle: fileHandle
+                });
+
+                for (const metadata of threadFiles) {
+                    metadata.preview = null;
+                    if (KC.PreviewUtils) {
+                        metadata.smartPreview = KC.PreviewUtils.extractSmartPreview(metadata.content);
+                        metadata.preview = KC.PreviewUtils.getTextPreview(metadata.smartPreview);
+                    }
+                    metadata.relevanceScore = await this._calculateConfidenceDuringDiscovery(metadata);
+                }
+
+                console.log(`📬 Caixa postal ${file.name}: ${threadFiles.length} threads descobertas`);
+                return threadFiles;
+
+            } catch (error) {
+                console.warn(`Erro ao ingerir caixa postal ${file.name}:`, error);
+                this.stats.errors++;
+                this.errors.push({
+                    path: `${directoryPath}/${file.name}`,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+                return [];
+            }
+        }
+
+        /**
+         * Extrai texto de documentos binários via DocumentExtractors
+         * @private
+         * @param {File} file - Arquivo lido do disco
+         * @param {FileSystemFileHandle} fileHandle - Handle original
+         * @param {Object} metadata - Metadados sendo montados (recebe documentMetadata)
+         * @returns {Promise<string>} Texto extraído
+         */
+        async _extractDocumentContent(file, fileHandle, metadata) {
+            const extraction = await KC.DocumentExtractors.extract({
+                name: file.name,
+                size: file.size,
+                lastModified: file.lastModified,
+                handle: fileHandle
+            });
+
+            if (!extraction.success) {
+                throw new Error(extraction.error);
+            }
+
+            metadata.documentMetadata = extraction.metadata;
+            metadata.extractionMethod = extraction.method;
+            return extraction.content;
+        }
+
         /**
          * Verifica duplicatas em batch para otimização
          * @param {Array} files - Array de metadados de arquivos
@@ -1606,7 +1908,9 @@
             // Merge dos arquivos
             const mergedFiles = newFiles.map(newFile => {
                 const key = newFile.path || newFile.name;
-                const existingFile = existingMap.get(key);
+                // Arquivo movido/renomeado herda os dados do caminho anterior
+                const existingFile = existingMap.get(key) ||
+                    (newFile.previousPath ? existingMap.get(newFile.previousPath) : undefined);
                 
                 if (existingFile) {
                     // PRESERVA campos personalizados do arquivo existente
@@ -1627,6 +1931,14 @@
                         archivedDate: existingFile.archivedDate,
                         analyzedDate: existingFile.analyzedDate
                     };
+
+                    // Conteúdo mudou desde a última varredura: análise anterior está obsoleta
+                    if (newFile.changeStatus === 'modified' && merged.analyzed) {
+                        merged.analyzed = false;
+                        merged.needsReanalysis = true;
+                    } else {
+                        delete merged.needsReanalysis;
+                    }
                     
                     // FASE 1.3: Aplicar boost de relevância por categorização
                     // AIDEV-NOTE: category-relevance-boost; categorias aumentam relevância (curadoria humana)
@@ -14,6 +14,10 @@
     const KC = window.KnowledgeConsolidator;
     const logger = KC.Logger;
 
+    // Campos editáveis do template; cada versão guarda uma cópia deles
+    const VERSIONED_FIELDS = ['name', 'description', 'objectives', 'systemPrompt',
+        'userPromptTemplate', 'responseFormat', 'responseSchema', 'temperature', 'maxTokens'];
+
     class PromptManager {
         constructor() {
             this.templates = {
@@ -155,8 +159,18 @@
                 }
             };
 
+            // JSON Schema da resposta de cada template (enviado aos providers e usado na validação)
+            Object.values(this.templates).forEach(template => {
+                template.responseSchema = this.schemaFromResponseFormat(template.responseFormat);
+            });
+
             // Carrega templates customizados do localStorage
             this._loadCustomTemplates();
+
+            // Histórico de versões (a última versão de cada template é a vigente)
+            this.versionsKey = 'kc_prompt_versions';
+            this.maxVersions = 50;
+            this._loadVersionHistory();
             
             logger.info('PromptManager', 'Inicializado com templates padrão');
         }
@@ -360,12 +374,16 @@ Análise de projeto em JSON:
          * Prepara prompt completo para análise
          */
         prepare(file, templateId = 'decisiveMoments', context = {}) {
-            const template = this.templates[templateId];
-            if (!template) {
+            if (!this.templates[templateId]) {
                 logger.warn('PromptManager', `Template não encontrado: ${templateId}, usando padrão`);
                 return this.prepare(file, 'decisiveMoments', context);
             }
 
+            // context.templateVersion monta o prompt com uma versão anterior (avaliação offline)
+            const template = context.templateVersion ?
+                this._resolveVersion(templateId, context.templateVersion) :
+                this.templates[templateId];
+
             // Prepara variáveis para substituição
             const variables = {
                 fileName: file.name,
@@ -387,7 +405,10 @@ Análise de projeto em JSON:
                 user: userPrompt,
                 temperature: template.temperature,
                 maxTokens: template.maxTokens,
-                responseFormat: template.responseFormat
+                responseFormat: template.responseFormat,
+                responseSchema: context.templateVersion ?
+                    (template.responseSchema || this.schemaFromResponseFormat(template.responseFormat)) :
+                    this.getResponseSchema(templateId)
             };
         }
 
@@ -465,6 +486,7 @@ PRÓXIMOS PASSOS:
                 systemPrompt: config.systemPrompt || '',
                 userPromptTemplate: config.userPromptTemplate || '',
                 responseFormat: config.responseFormat || {},
+                responseSchema: config.responseSchema || this.schemaFromResponseFormat(config.responseFormat || {}),
                 temperature: config.temperature || 0.7,
                 maxTokens: config.maxTokens || 1000,
                 isCustom: true
@@ -551,7 +573,9 @@ Contextualize temporalmente quando possível.`;
         removeCustomTemplate(id) {
             if (this.templates[id]?.isCustom) {
                 delete this.templates[id];
+                delete this.versionHistory[id];
                 this._saveCustomTemplates();
+                this._saveVersionHistory();
                 logger.info('PromptManager', `Template customizado removido: ${id}`);
                 return true;
             }
@@ -654,6 +678,11 @@ Contextualize temporalmente quando possível.`;
                 errors.push('Objetivos deve ser um array');
             }
 
+            // Schema da resposta precisa descrever um objeto
+            if (config.responseSchema && config.responseSchema.type !== 'object') {
+                errors.push('Schema da resposta deve ter type "object"');
+            }
+
             return {
                 isValid: errors.length === 0,
                 errors
@@ -664,30 +693,75 @@ Contextualize temporalmente quando possível.`;
          * Valida formato de resposta
          */
         validateResponse(response, templateId) {
-            const template = this.templates[templateId];
-            if (!template) return false;
+            if (!this.templates[templateId]) return false;
+
+            const result = this.validateResponseSchema(response, templateId);
+            if (!result.valid) {
+                logger.warning('PromptManager', `Resposta fora do schema de ${templateId}`, result.errors);
+            }
 
-            const format = template.responseFormat;
-            const requiredFields = Object.keys(format);
+            return result.valid;
+        }
 
-            // Verifica se todos os campos obrigatórios estão presentes
-            for (const field of requiredFields) {
-                if (!(field in response)) {
-                    logger.warn('PromptManager', `Campo obrigatório ausente: ${field}`);
-                    return false;
-                }
+        /**
+         * Valida resposta contra o JSON Schema do template
+         * @returns {{valid: boolean, errors: string[]}} Template sem schema aceita qualquer objeto
+         */
+        validateResponseSchema(response, templateId) {
+            const schema = this.getResponseSchema(templateId);
+            if (!schema) {
+                return { valid: !!response && typeof response === 'object', errors: [] };
             }
 
-            // Valida tipo de análise
-            if (response.analysisType) {
-                const validTypes = KC.AnalysisTypesManager.getTypeNames();
-                if (!validTypes.includes(response.analysisType)) {
-                    logger.warn('PromptManager', `Tipo de análise inválido: ${response.analysisType}`);
-                    return false;
+            return KC.ValidationUtils.validateSchema(response, schema);
+        }
+
+        /**
+         * JSON Schema da resposta do template
+         * Templates customizados sem schema próprio usam o derivado de responseFormat.
+         * @returns {Object|null} null quando o template não define formato
+         */
+        getResponseSchema(templateId) {
+            const template = this.templates[templateId];
+            if (!template) return null;
+
+            return template.responseSchema || this.schemaFromResponseFormat(template.responseFormat);
+        }
+
+        /**
+         * Converte o responseFormat descritivo em JSON Schema
+         * - ["..."]          -> array de strings
+         * - "number (0-1)"   -> número entre 0 e 1
+         * - "a|b|c"          -> enum
+         * - analysisType     -> enum dos tipos do AnalysisTypesManager
+         * @param {Object} format - responseFormat do template
+         * @returns {Object|null}
+         */
+        schemaFromResponseFormat(format) {
+            if (!format || Object.keys(format).length === 0) return null;
+
+            const properties = {};
+            Object.entries(format).forEach(([field, description]) => {
+                if (Array.isArray(description)) {
+                    properties[field] = { type: 'array', items: { type: 'string' } };
+                } else if (field === 'analysisType' && KC.AnalysisTypesManager) {
+                    properties[field] = { type: 'string', enum: KC.AnalysisTypesManager.getTypeNames() };
+                } else if (/^number/.test(description)) {
+                    properties[field] = /\(0-1\)/.test(description) ?
+                        { type: 'number', minimum: 0, maximum: 1 } :
+                        { type: 'number' };
+                } else if (/^[\w-]+(\|[\w-]+)+$/.test(description)) {
+                    properties[field] = { type: 'string', enum: description.split('|') };
+                } else {
+                    properties[field] = { type: 'string' };
                 }
-            }
+            });
 
-            return true;
+            return {
+                type: 'object',
+                properties: properties,
+                required: Object.keys(properties)
+            };
         }
 
         /**
@@ -720,6 +794,7 @@ Contextualize temporalmente quando possível.`;
                 userPromptTemplate: template.userPromptTemplate || '', // Template original
                 userPromptExample: this._generatePromptExample(template), // Exemplo gerado
                 responseFormat: template.responseFormat,
+                responseSchema: this.getResponseSchema(templateId),
                 temperature: template.temperature,
                 maxTokens: template.maxTokens,
                 isEditable: true // Todos os templates são editáveis para uso administrativo
@@ -740,33 +815,281 @@ Contextualize temporalmente quando possível.`;
         }
 
         /**
-         * Atualiza template customizável ou custom
+         * Atualiza template e registra a nova versão no histórico
+         * @param {string} templateId
+         * @param {Object} updates - Campos em VERSIONED_FIELDS
+         * @param {Object} [options] - { note } descrição da versão; { restoredFrom } versão restaurada
          */
-        updateTemplate(templateId, updates) {
+        updateTemplate(templateId, updates, options = {}) {
             const template = this.templates[templateId];
             if (!template) {
                 logger.warn('PromptManager', `Template ${templateId} não encontrado`);
                 return false;
             }
 
-            // Atualiza campos permitidos
-            const allowedFields = ['name', 'description', 'objectives', 'systemPrompt', 
-                                 'userPromptTemplate', 'responseFormat', 'temperature', 'maxTokens'];
-            
-            allowedFields.forEach(field => {
+            // Primeira edição: o estado atual vira a versão 1
+            this._ensureHistory(templateId);
+
+            VERSIONED_FIELDS.forEach(field => {
                 if (updates[field] !== undefined) {
                     template[field] = updates[field];
                 }
             });
 
+            // Novo formato sem schema explícito: schema volta a ser derivado do formato
+            if (updates.responseFormat !== undefined && updates.responseSchema === undefined) {
+                template.responseSchema = this.schemaFromResponseFormat(template.responseFormat);
+            }
+
             // Salva se for custom
             if (template.isCustom || templateId === 'customizable') {
                 this._saveCustomTemplates();
             }
 
+            this._recordVersion(templateId, options);
+
             logger.info('PromptManager', `Template ${templateId} atualizado`);
             return true;
         }
+
+        /**
+         * Versões do template, mais recentes primeiro
+         * @returns {Array} [{ version, createdAt, note, restoredFrom, current, changedFields }]
+         */
+        getTemplateVersions(templateId) {
+            if (!this.templates[templateId]) return [];
+
+            const versions = this._ensureHistory(templateId).versions;
+            const latest = versions[versions.length - 1].version;
+
+            return versions
+                .map((entry, index) => ({
+                    version: entry.version,
+                    createdAt: entry.createdAt,
+                    note: entry.note,
+                    restoredFrom: entry.restoredFrom || null,
+                    current: entry.version === latest,
+                    changedFields: index > 0 ? this._changedFields(versions[index - 1].fields, entry.fields) : []
+                }))
+                .reverse();
+        }
+
+        /**
+         * Campos do template numa versão
+         * @returns {Object|null} Cópia dos campos, ou null se a versão não existir
+         */
+        getTemplateVersion(templateId, version) {
+            if (!this.templates[templateId]) return null;
+
+            const entry = this._ensureHistory(templateId).versions.find(item => item.version === Number(version));
+            return entry ? this._cloneFields(entry.fields) : null;
+        }
+
+        /**
+         * Compara duas versões do template
+         * Campos de texto são comparados por linha; os demais pelo JSON formatado.
+         * @param {string} templateId
+         * @param {number} fromVersion
+         * @param {number} [toVersion] - Padrão: versão vigente
+         * @returns {Object} { templateId, from, to, changes: [{ field, before, after, lines }] }
+         */
+        diffTemplateVersions(templateId, fromVersion, toVersion) {
+            if (!this.templates[templateId]) {
+                throw new Error(`Template não encontrado: ${templateId}`);
+            }
+
+            const versions = this._ensureHistory(templateId).versions;
+            const to = toVersion ?? versions[versions.length - 1].version;
+            const before = this.getTemplateVersion(templateId, fromVersion);
+            const after = this.getTemplateVersion(templateId, to);
+
+            if (!before || !after) {
+                throw new Error(`Versão ${!before ? fromVersion : to} não encontrada para o template ${templateId}`);
+            }
+
+            const changes = this._changedFields(before, after).map(field => ({
+                field,
+                before: before[field],
+                after: after[field],
+                lines: this._diffLines(this._fieldText(before[field]), this._fieldText(after[field]))
+            }));
+
+            return { templateId, from: Number(fromVersion), to: Number(to), changes };
+        }
+
+        /**
+         * Restaura o conteúdo de uma versão anterior
+         * O histórico não é reescrito: a restauração vira uma nova versão.
+         * @returns {number} Número da nova versão
+         */
+        rollbackTemplate(templateId, version) {
+            const fields = this.getTemplateVersion(templateId, version);
+            if (!fields) {
+                throw new Error(`Versão ${version} não encontrada para o template ${templateId}`);
+            }
+
+            this.updateTemplate(templateId, fields, {
+                note: `Restauração da versão ${version}`,
+                restoredFrom: Number(version)
+            });
+
+            const versions = this.versionHistory[templateId].versions;
+            const latest = versions[versions.length - 1];
+
+            logger.info('PromptManager', `Template ${templateId} restaurado para a versão ${version}`);
+            return latest.version;
+        }
+
+        /**
+         * Template montado com os campos de uma versão
+         * @private
+         */
+        _resolveVersion(templateId, version) {
+            const fields = this.getTemplateVersion(templateId, version);
+            if (!fields) {
+                throw new Error(`Versão ${version} não encontrada para o template ${templateId}`);
+            }
+            return { ...this.templates[templateId], ...fields };
+        }
+
+        /**
+         * Histórico do template, criando a versão 1 com o estado atual
+         * @private
+         */
+        _ensureHistory(templateId) {
+            if (!this.versionHistory[templateId]) {
+                this.versionHistory[templateId] = {
+                    versions: [{
+                        version: 1,
+                        createdAt: new Date().toISOString(),
+                        note: 'Versão inicial',
+                        fields: this._cloneFields(this.templates[templateId])
+                    }]
+                };
+                this._saveVersionHistory();
+            }
+            return this.versionHistory[templateId];
+        }
+
+        /**
+         * Registra o estado atual como nova versão (se mudou algo)
+         * @private
+         */
+        _recordVersion(templateId, options) {
+            const history = this._ensureHistory(templateId);
+            const latest = history.versions[history.versions.length - 1];
+            const fields = this._cloneFields(this.templates[templateId]);
+
+            if (this._changedFields(latest.fields, fields).length === 0) return;
+
+            history.versions.push({
+                version: latest.version + 1,
+                createdAt: new Date().toISOString(),
+                note: options.note || 'Edição',
+                restoredFrom: options.restoredFrom,
+                fields: fields
+            });
+            history.versions = history.versions.slice(-this.maxVersions);
+            this._saveVersionHistory();
+        }
+
+        /**
+         * @private
+         */
+        _cloneFields(source) {
+            const fields = {};
+            VERSIONED_FIELDS.forEach(field => {
+                if (source[field] !== undefined) {
+                    fields[field] = JSON.parse(JSON.stringify(source[field]));
+                }
+            });
+            return fields;
+        }
+
+        /**
+         * @private
+         */
+        _changedFields(before, after) {
+            return VERSIONED_FIELDS.filter(field =>
+                JSON.stringify(before[field]) !== JSON.stringify(after[field])
+            );
+        }
+
+        /**
+         * @private
+         */
+        _fieldText(value) {
+            if (value === undefined || value === null) return '';
+            return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        }
+
+        /**
+         * Diff por linha (maior subsequência comum)
+         * @private
+         * @returns {Array} [{ type: 'same'|'added'|'removed', text }]
+         */
+        _diffLines(beforeText, afterText) {
+            const a = beforeText.split('\n');
+            const b = afterText.split('\n');
+            const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            const lines = [];
+            let i = 0;
+            let j = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    lines.push({ type: 'same', text: a[i] });
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    lines.push({ type: 'removed', text: a[i++] });
+                } else {
+                    lines.push({ type: 'added', text: b[j++] });
+                }
+            }
+            while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+            while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+            return lines;
+        }
+
+        /**
+         * Carrega o histórico e aplica a versão vigente de cada template
+         * (edições em templates padrão passam a sobreviver ao recarregamento)
+         * @private
+         */
+        _loadVersionHistory() {
+            try {
+                this.versionHistory = JSON.parse(localStorage.getItem(this.versionsKey) || '{}');
+            } catch (error) {
+                logger.error('PromptManager', 'Histórico de versões inválido, ignorando', error);
+                this.versionHistory = {};
+            }
+
+            Object.entries(this.versionHistory).forEach(([templateId, history]) => {
+                const latest = history.versions?.[history.versions.length - 1];
+                if (this.templates[templateId] && latest) {
+                    Object.assign(this.templates[templateId], this._cloneFields(latest.fields));
+                }
+            });
+        }
+
+        /**
+         * @private
+         */
+        _saveVersionHistory() {
+            try {
+                localStorage.setItem(this.versionsKey, JSON.stringify(this.versionHistory));
+            } catch (error) {
+                logger.error('PromptManager', 'Erro ao salvar histórico de versões', error);
+            }
+        }
     }
 
     // Registra no namespace global
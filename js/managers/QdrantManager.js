@@ -1151,4 +1151,11 @@ if (typeof window.KC === 'undefined') {
 
 window.KC.QdrantManager = new QdrantManager();
 
+// Outro perfil de conexão = outra coleção: descartar cache e reinicializar
+window.KC.QdrantProfiles?.onChange(() => {
+    window.KC.QdrantManager.initialized = false;
+    window.KC.QdrantManager._autoInitPromise = null;
+    window.KC.QdrantManager.clearCache();
+});
+
 console.log('✅ QdrantManager.js carregado');
\ No newline at end of file
@@ -43,7 +43,7 @@
                 const enrichedData = await this._enrichWithAIAnalysis(approvedData);
                 
                 // 3. Aplicar chunking semântico
-                const chunkedData = this._applySemanticChunking(enrichedData);
+                const chunkedData = await this._applySemanticChunking(enrichedData);
                 
                 // 4. Gerar metadados enriquecidos
                 const finalData = this._generateEnrichedMetadata(chunkedData);
@@ -192,13 +192,18 @@
          * Aplica chunking semântico aos dados
          * @private
          */
-        _applySemanticChunking(data) {
-            const chunkedFiles = data.files.map(file => {
+        async _applySemanticChunking(data) {
+            // Chunking de todos os arquivos de uma vez no worker pool
+            const chunkSets = await KC.ChunkingUtils.getSemanticChunksBatch(
+                data.files.map(file => file.content || null)
+            );
+
+            const chunkedFiles = data.files.map((file, fileIndex) => {
                 const chunks = [];
 
                 // Se tiver conteúdo completo, fazer chunking
                 if (file.content) {
-                    const rawChunks = KC.ChunkingUtils.getSemanticChunks(file.content);
+                    const rawChunks = chunkSets[fileIndex];
                     
                     rawChunks.forEach((chunk, index) => {
                         chunks.push({
@@ -369,6 +374,8 @@
                         name: file.name,
                         path: file.path,
                         categories: KC.CategoryNormalizer.normalize(file.categories, 'RAGExportManager._structureForExport.root'),
+                        // Ancestrais implícitos da hierarquia de categorias
+                        categoryAncestors: KC.CategoryManager?.getAncestorNames(file.categories) || [],
                         // CORREÇÃO: analysisType no nível raiz para IntelligenceEnrichmentPipeline
                         analysisType: file.analysisType || 'Aprendizado Geral',
                         
@@ -490,14 +497,18 @@
 
         /**
          * Processa arquivos aprovados - Pipeline completo com embeddings e Qdrant
-         * @param {Object} options - Opções de processamento
+         * Cada execução recebe um runId, gravado nos pontos (pipelineRunId) e no
+         * snapshot 'pre-pipeline' que permite desfazê-la (KC.QdrantSnapshots.rollbackRun).
+         * @param {Object} options - Opções de processamento (runId, snapshot: false, batchSize...)
          * @returns {Object} Resultado do processamento
          */
         async processApprovedFiles(options = {}) {
-            KC.Logger?.info('RAGExportManager', 'Iniciando pipeline de processamento');
+            const runId = options.runId || `run_${Date.now()}`;
+            KC.Logger?.info('RAGExportManager', `Iniciando pipeline de processamento (${runId})`);
             
             // Emite evento de início
             KC.EventBus?.emit(KC.Events.PIPELINE_STARTED || 'pipeline:started', {
+                runId: runId,
                 timestamp: new Date().toISOString()
             });
 
@@ -688,9 +699,27 @@
                     throw new Error('Serviço Qdrant não está acessível');
                 }
 
+                // 2.5. Snapshot da coleção antes de escrever (permite desfazer esta execução)
+                let snapshot = null;
+                if (KC.QdrantSnapshots && options.snapshot !== false) {
+                    try {
+                        snapshot = await KC.QdrantSnapshots.create({ trigger: 'pre-pipeline', runId: runId });
+                    } catch (error) {
+                        KC.Logger?.warning('RAGExportManager', 'Snapshot pré-pipeline falhou; execução não poderá ser revertida', error.message);
+                        KC.EventBus?.emit(KC.Events.NOTIFICATION_SHOW || 'notification:show', {
+                            type: 'warning',
+                            message: 'Snapshot do Qdrant não foi criado',
+                            details: `Esta execução (${runId}) não poderá ser revertida: ${error.message}`,
+                            duration: 7000
+                        });
+                    }
+                }
+
                 // 3. Processa documentos em batches
                 const batchSize = options.batchSize || 10;
                 const results = {
+                    runId: runId,
+                    snapshot: snapshot?.name || null,
                     processed: 0,
                     failed: 0,
                     totalChunks: 0,
@@ -721,9 +750,17 @@
                     await this._processBatch(batch, results);
                 }
 
+                KC.QdrantSnapshots?.recordRunResult(runId, {
+                    success: true,
+                    processed: results.processed,
+                    failed: results.failed,
+                    totalChunks: results.totalChunks
+                });
+
                 // 4. Emite evento de conclusão
                 KC.EventBus?.emit(KC.Events.PIPELINE_COMPLETED || 'pipeline:completed', {
                     success: true,
+                    runId: runId,
                     results: results
                 });
 
@@ -731,20 +768,25 @@
 
                 return {
                     success: true,
+                    runId: runId,
                     results: results,
                     message: `Processados ${results.processed} documentos com ${results.totalChunks} chunks`
                 };
 
             } catch (error) {
                 KC.Logger?.error('RAGExportManager', 'Erro no pipeline', error);
+
+                KC.QdrantSnapshots?.recordRunResult(runId, { success: false, error: error.message });
                 
                 KC.EventBus?.emit(KC.Events.PIPELINE_COMPLETED || 'pipeline:completed', {
                     success: false,
+                    runId: runId,
                     error: error.message
                 });
 
                 return {
                     success: false,
+                    runId: runId,
                     error: error.message
                 };
             }
@@ -770,6 +812,11 @@
                     // Prepara pontos para o Qdrant
                     const points = [];
                     let chunksProcessed = 0;
+
+                    // Mesmo hash usado pelo DiscoveryManifest (SHA-256 do conteúdo)
+                    const documentHash = doc.content && KC.FileUtils?.calculateHash
+                        ? await KC.FileUtils.calculateHash(doc.content)
+                        : null;
                     
                     // LOG: Rastrear categorias no processamento
                     // Log removido para evitar poluição durante processamento em lote
@@ -824,7 +871,11 @@
                                     // FIX: Preservar valores de relevância mesmo quando são 0
                                     relevanceScore: doc.relevanceScore !== undefined ? doc.relevanceScore : 
                                                    (doc.analysis?.relevanceScore !== undefined ? doc.analysis.relevanceScore : 
-                                                   (doc.relevance !== undefined ? doc.relevance : 0))
+                                                   (doc.relevance !== undefined ? doc.relevance : 0)),
+                                    // Hash do documento completo: permite reconciliar renomeações/remoções
+                                    documentHash: documentHash,
+                                    // Execução do pipeline que gravou o ponto (ver QdrantSnapshots)
+                                    pipelineRunId: results.runId,
                                     // CRÍTICO: Adicionar analysisType como campo de primeira classe para convergência semântica
                                     // DEBUG: Log para rastrear onde o analysisType está sendo encontrado
                                     analysisType: (() => {
@@ -841,6 +892,10 @@
                                                 'RAGExportManager._processBatch'
                                             )
                                         ),
+                                        // Filtros pela categoria pai também encontram os filhos
+                                        categoryAncestors: KC.CategoryManager?.getAncestorNames(
+                                            doc.categories || doc.analysis?.categories || []
+                                        ) || [],
                                         // FIX: Preservar valores de relevância mesmo quando são 0
                                         relevanceScore: doc.relevanceScore !== undefined ? doc.relevanceScore : 
                                                        (doc.analysis?.relevanceScore !== undefined ? doc.analysis.relevanceScore : 
@@ -1151,6 +1206,8 @@
                                     'RAGExportManager._exportToQdrant'
                                 )
                             ),
+                            categoryAncestors: doc.categoryAncestors ||
+                                KC.CategoryManager?.getAncestorNames(doc.analysis?.categories || doc.categories || []) || [],
                             relevanceScore: doc.analysis.relevanceScore,
                             lastModified: doc.source.lastModified
                         }
@@ -1641,6 +1698,15 @@
                             }
                         }
                         
+                        // Threads de email: relê só a thread na caixa postal de origem
+                        if (!contentForChunking && file.mailMetadata && file.mailboxHandle && window.KC?.MailboxIngestion) {
+                            try {
+                                contentForChunking = await window.KC.MailboxIngestion.readThread(file);
+                            } catch (error) {
+                                console.warn(`[RAGExportManager] ⚠️ Falha ao reler thread ${file.name}: ${error.message}`);
+                            }
+                        }
+                        
                         // Método 2: Se ainda não tem conteúdo, tentar handle direto
                         if (!contentForChunking && file.handle) {
                             console.log(`[RAGExportManager] Carregando conteúdo completo via handle: ${file.name}`);
@@ -1698,7 +1764,7 @@
                         }
                         
                         // Gerar chunks semânticos - agora com conteúdo completo quando disponível
-                        const chunks = KC.ChunkingUtils.getSemanticChunks(contentForChunking);
+                        const chunks = await KC.ChunkingUtils.getSemanticChunksAsync(contentForChunking);
                         
                         console.log(`[RAGExportManager] ${file.name}: ${chunks.length} chunks gerados`);
                         
@@ -28,7 +28,8 @@
                 porPresente: new Map(),
                 porObjetivo: new Map(),
                 porTipo: new Map(),
-                porFonte: new Map()
+                porFonte: new Map(),
+                porPremissa: new Map()  // premissa -> triplas inferidas a partir dela
             };
             
             // Estatísticas
@@ -50,6 +51,9 @@
                 validateSchema: true
             };
             
+            // Regras já aplicadas por nome (metadados.regra), reusadas ao rederivar
+            this.regrasAplicadas = new Map();
+            
             this.logger = KC.Logger;
         }
 
@@ -96,6 +100,9 @@
                 Events.TRIPLE_STORE_SAVED = 'tripleStore:saved';
                 Events.INSIGHT_GERADO = 'insight:generated';
             }
+            if (!Events.TRIPLAS_INFERIDAS) {
+                Events.TRIPLAS_INFERIDAS = 'tripla:inferred';
+            }
         }
 
         /**
@@ -130,9 +137,9 @@
                     },
                     metadados: {
                         ...metadados,
-                        timestamp: new Date().toISOString(),
+                        timestamp: metadados.timestamp || new Date().toISOString(),
                         fonte: metadados.fonte || 'manual',
-                        confianca: metadados.confianca || 1.0,
+                        confianca: metadados.confianca ?? 1.0,
                         versao: 1
                     }
                 };
@@ -263,6 +270,20 @@
             return relacionadas;
         }
 
+        /**
+         * Consulta o grafo com a linguagem do TripleQuery (estilo SPARQL)
+         * Junta vários padrões por variáveis, com OPTIONAL, FILTER, metadados e caminhos
+         * @param {string} consulta - Ex.: 'SELECT ?f WHERE { ?f derivaDe/pertenceCategoria estrategico }'
+         * @returns {Object} { variaveis, resultados, total, tempoMs }
+         * @throws {Error} code TRIPLE_QUERY_SYNTAX quando a consulta não é válida
+         */
+        consultar(consulta) {
+            if (!KC.TripleQuery) {
+                throw new Error('TripleQuery não carregado');
+            }
+            return KC.TripleQuery.executar(consulta, this);
+        }
+
         /**
          * Atualiza índices com nova tripla
          * @private
@@ -298,6 +319,14 @@
                 this.indices.porFonte.set(fonte, new Set());
             }
             this.indices.porFonte.get(fonte).add(tripla.id);
+            
+            // Índice de dependências das triplas inferidas
+            (tripla.metadados.premissas || []).forEach(premissa => {
+                if (!this.indices.porPremissa.has(premissa)) {
+                    this.indices.porPremissa.set(premissa, new Set());
+                }
+                this.indices.porPremissa.get(premissa).add(tripla.id);
+            });
         }
 
         /**
@@ -322,34 +351,91 @@
 
         /**
          * Remove tripla por ID
+         * Retira junto, em cascata, tudo que foi inferido a partir dela; ao retirar
+         * uma tripla base, reinfere o que ainda tem outra prova
          */
         async removerTripla(triplaId) {
             const tripla = this.triplas.get(triplaId);
             if (!tripla) return false;
             
-            // Remover dos índices
-            this.removerDosIndices(tripla);
-            
-            // Remover do store principal
-            this.triplas.delete(triplaId);
-            
-            // Atualizar estatísticas
-            this.stats.totalTriplas--;
+            const retiradas = [];
+            const pendentes = [triplaId];
+            while (pendentes.length > 0) {
+                const id = pendentes.pop();
+                const atual = this.triplas.get(id);
+                if (!atual) continue;
+                
+                pendentes.push(...(this.indices.porPremissa.get(id) || []));
+                
+                // Remover dos índices e do store principal
+                this.removerDosIndices(atual);
+                this.triplas.delete(id);
+                this.stats.totalTriplas--;
+                retiradas.push(atual);
+            }
             
             // Limpar cache
             this.queryCache.clear();
             
+            // Derivadas com prova alternativa voltam (delete-and-rederive): só as conclusões
+            // retiradas são reprovadas, pelas regras que as produziram
+            const derivadas = retiradas.filter(t => t.metadados.derivada);
+            const regras = [...new Set(derivadas.map(t => t.metadados.regra))]
+                .map(nome => this.regrasAplicadas.get(nome) || KC.TripleSchema?.obterRegras().find(regra => regra.nome === nome))
+                .filter(Boolean);
+            if (regras.length > 0 && !tripla.metadados.derivada && KC.TripleInference) {
+                const autoSave = this.config.autoSave;
+                this.config.autoSave = false;
+                try {
+                    await KC.TripleInference.rederivar(this, derivadas, regras);
+                } finally {
+                    this.config.autoSave = autoSave;
+                }
+            }
+            
             // Salvar
             if (this.config.autoSave) {
                 await this.saveToStorage();
             }
             
             // Emitir evento
-            EventBus.emit(Events.TRIPLA_REMOVIDA, { triplaId, tripla });
+            retiradas.forEach(retirada => {
+                EventBus.emit(Events.TRIPLA_REMOVIDA, {
+                    triplaId: retirada.id,
+                    tripla: retirada,
+                    cascata: retirada.id !== triplaId
+                });
+            });
             
             return true;
         }
 
+        /**
+         * Materializa as triplas inferidas pelas regras do TripleSchema
+         * @param {Object} opcoes - { tipos: ['transitividade', 'inverso', 'simetria', 'tipagem', 'horn'] }
+         * @returns {Promise<Object>} { adicionadas, ids, recusadas, iteracoes, porRegra, tempoMs }
+         */
+        async inferir(opcoes = {}) {
+            if (!KC.TripleInference) {
+                throw new Error('TripleInference não carregado');
+            }
+            const regras = opcoes.regras || KC.TripleSchema.obterRegras(opcoes);
+            regras.forEach(regra => this.regrasAplicadas.set(regra.nome, regra));
+            return KC.TripleInference.inferir(this, { ...opcoes, regras });
+        }
+
+        /**
+         * Explica uma tripla inferida: regra e premissas, recursivamente
+         * @param {string} triplaId
+         * @returns {Object|null} Árvore de prova (ver TripleInference.explicar)
+         */
+        explicar(triplaId) {
+            if (!KC.TripleInference) {
+                throw new Error('TripleInference não carregado');
+            }
+            return KC.TripleInference.explicar(this, triplaId);
+        }
+
         /**
          * Remove tripla dos índices
          * @private
@@ -360,6 +446,10 @@
             this.indices.porObjetivo.get(tripla.objetivo.valor)?.delete(tripla.id);
             this.indices.porTipo.get(tripla.presente.valor)?.delete(tripla.id);
             this.indices.porFonte.get(tripla.metadados.fonte)?.delete(tripla.id);
+            (tripla.metadados.premissas || []).forEach(premissa => {
+                this.indices.porPremissa.get(premissa)?.delete(tripla.id);
+            });
+            this.indices.porPremissa.delete(tripla.id);
         }
 
         /**
@@ -429,6 +519,13 @@
                     await this.registrarCategorizacao(data);
                 });
             }
+
+            // Listener para quando o curador remove uma categoria
+            if (Events.CATEGORY_REMOVED) {
+                EventBus.on(Events.CATEGORY_REMOVED, async (data) => {
+                    await this.registrarRemocaoCategoria(data);
+                });
+            }
         }
 
         /**
@@ -489,6 +586,22 @@
             await this.aprenderComDecisao(fileId, categoryId);
         }
 
+        /**
+         * Retira a tripla categorizadoComo de uma categoria removida pelo curador
+         * @private
+         */
+        async registrarRemocaoCategoria(data) {
+            const fileId = data.file?.id || data.fileId;
+            // buscar() casa por substring; aqui só a categoria exata
+            const triplas = this.buscar({ legado: fileId, presente: 'categorizadoComo' })
+                .filter(tripla => tripla.presente.valor === 'categorizadoComo' &&
+                    tripla.objetivo.valor === data.categoryId);
+
+            for (const tripla of triplas) {
+                await this.removerTripla(tripla.id);
+            }
+        }
+
         /**
          * Sistema de aprendizado básico
          * @private
@@ -606,13 +719,107 @@
                     );
                     importadas++;
                 } catch (error) {
-                    this.logger.warn('TripleStoreManager', `Erro ao importar tripla: ${error.message}`);
+                    this.logger.warning('TripleStoreManager', `Erro ao importar tripla: ${error.message}`);
                 }
             }
             
             return importadas;
         }
 
+        /**
+         * Exporta o grafo inteiro como RDF padrão (via TripleRDF)
+         * Metadados (fonte, confianca, timestamp) saem como reificação rdf:Statement
+         * @param {string} formato - 'ntriples' | 'turtle' | 'jsonld'
+         * @param {Object} opcoes - { metadados: true, vocabulario: false }
+         * @returns {string}
+         */
+        exportarRDF(formato = 'turtle', opcoes = {}) {
+            if (!KC.TripleRDF) {
+                throw new Error('TripleRDF não carregado');
+            }
+            return KC.TripleRDF.exportar(this.exportarTodas(), formato, opcoes);
+        }
+
+        /**
+         * Vocabulário RDFS/OWL dos predicados do TripleSchema
+         * @param {string} formato - 'ntriples' | 'turtle' | 'jsonld'
+         * @returns {string}
+         */
+        exportarVocabulario(formato = 'turtle') {
+            if (!KC.TripleRDF) {
+                throw new Error('TripleRDF não carregado');
+            }
+            return KC.TripleRDF.vocabulario(formato);
+        }
+
+        /**
+         * Importa N-Triples, Turtle ou JSON-LD
+         * Triplas já existentes (mesmo legado, presente e objetivo) são ignoradas, assim como
+         * as inferidas (kc:derivada) - as premissas mudam de id; rode inferir() depois.
+         * Timestamp e confiança reificados são mantidos. IRIs externos usados com predicados
+         * kc: precisam de rdf:type com uma classe do vocabulário (ver TripleRDF), senão vão para erros
+         * @param {string} conteudo - Documento RDF
+         * @param {string|null} formato - null detecta pelo conteúdo
+         * @returns {Object} { importadas, duplicadas, derivadas, erros }
+         * @throws {Error} code TRIPLE_RDF_SYNTAX quando o documento não é válido
+         */
+        async importarRDF(conteudo, formato = null) {
+            if (!KC.TripleRDF) {
+                throw new Error('TripleRDF não carregado');
+            }
+
+            const triplas = KC.TripleRDF.importar(conteudo, formato);
+            const resultado = { importadas: 0, duplicadas: 0, derivadas: 0, erros: [] };
+            const autoSave = this.config.autoSave;
+            this.config.autoSave = false;
+
+            try {
+                for (const tripla of triplas) {
+                    const { legado, presente, objetivo, metadados } = tripla;
+                    if (metadados.derivada === true) {
+                        resultado.derivadas++;
+                        continue;
+                    }
+                    if (this.existeTripla(legado.valor, presente.valor, objetivo.valor)) {
+                        resultado.duplicadas++;
+                        continue;
+                    }
+                    try {
+                        await this.adicionarTripla(legado.valor, presente.valor, objetivo.valor, metadados);
+                        resultado.importadas++;
+                    } catch (error) {
+                        resultado.erros.push({ tripla: `${legado.valor} ${presente.valor} ${objetivo.valor}`, erro: error.message });
+                    }
+                }
+            } finally {
+                this.config.autoSave = autoSave;
+            }
+
+            if (autoSave && resultado.importadas > 0) {
+                await this.saveToStorage();
+            }
+
+            this.logger.info('TripleStoreManager', `RDF importado: ${resultado.importadas} triplas, ${resultado.duplicadas} duplicadas, ${resultado.erros.length} erros`);
+            return resultado;
+        }
+
+        /**
+         * Verifica se a tripla exata já existe (usa o índice por legado)
+         * @private
+         */
+        existeTripla(legado, presente, objetivo) {
+            const ids = this.indices.porLegado.get(legado);
+            if (!ids) return false;
+
+            for (const id of ids) {
+                const tripla = this.triplas.get(id);
+                if (tripla && tripla.presente.valor === presente && tripla.objetivo.valor === objetivo) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
         /**
          * Obtém estatísticas detalhadas
          */
@@ -8,6 +8,9 @@
  * - Automatic retry on worker failure
  * - Performance monitoring and statistics
  * - Graceful degradation when workers unavailable
+ * - Task registry (registerTask) for general CPU-heavy work: keyword
+ *   extraction, semantic chunking, duplicate name comparison and cosine
+ *   similarity matrices, with transferable buffers and progress events
  * 
  * Performance benefits:
  * - Non-blocking main thread execution
@@ -111,6 +114,7 @@ class WorkerPoolManager {
             
             worker.id = id;
             worker.ready = false;
+            worker.loadedTasks = new Set(); // Registered tasks already sent to this worker
             
             // Setup message handler
             worker.onmessage = (event) => this.handleWorkerMessage(worker, event);
@@ -196,9 +200,62 @@ self.onmessage = async function(event) {
                 self.postMessage({ type: 'error', id, error: error.message });
             }
             break;
+            
+        case 'runTask':
+            try {
+                const result = await runTask(event.data);
+                self.postMessage({ type: 'result', id, result }, collectTransferables(result, []));
+            } catch (error) {
+                self.postMessage({ type: 'error', id, error: error.message });
+            }
+            break;
     }
 };
 
+// Registered tasks (WorkerPoolManager.registerTask), loaded on first use.
+// Task scripts are the app's own IIFE modules, so expose the globals they expect.
+const registeredTasks = {};
+self.window = self;
+self.KnowledgeConsolidator = self.KnowledgeConsolidator || {};
+
+async function runTask(message) {
+    const { id, task, data, definition } = message;
+    
+    if (definition && !registeredTasks[task]) {
+        if (definition.scripts.length > 0) {
+            importScripts.apply(self, definition.scripts);
+        }
+        registeredTasks[task] = (0, eval)('(' + definition.source + ')');
+    }
+    
+    if (!registeredTasks[task]) {
+        throw new Error('Unknown task type: ' + task);
+    }
+    
+    return registeredTasks[task](data, {
+        KC: self.KnowledgeConsolidator,
+        progress: function(done, total) {
+            self.postMessage({ type: 'progress', id: id, done: done, total: total });
+        }
+    });
+}
+
+// Typed array buffers in the result are transferred instead of copied
+function collectTransferables(value, found) {
+    if (!value || typeof value !== 'object') return found;
+    
+    if (ArrayBuffer.isView(value)) {
+        if (found.indexOf(value.buffer) === -1) found.push(value.buffer);
+    } else if (value instanceof ArrayBuffer) {
+        if (found.indexOf(value) === -1) found.push(value);
+    } else {
+        Object.keys(value).forEach(function(key) {
+            collectTransferables(value[key], found);
+        });
+    }
+    return found;
+}
+
 // ML calculation functions
 async function calculateConfidence(data) {
     const { features, weights, config } = data;
@@ -313,30 +370,74 @@ async function calculateDimensions(data) {
 `;
     }
     
+    /**
+     * Register a task that can run on the pool
+     * The run function is serialized into the worker, so it must be a
+     * self-contained function expression or arrow function (no closures).
+     * It receives (data, ctx): ctx.KC is the KnowledgeConsolidator namespace
+     * with the task scripts loaded, ctx.progress(done, total) reports progress.
+     * The same function runs on the main thread when workers are unavailable.
+     * @param {string} name - Task type passed to execute()
+     * @param {object} definition
+     * @param {Function} definition.run - function(data, ctx)
+     * @param {string[]} [definition.scripts] - App scripts (page-relative) loaded with importScripts
+     * @param {number} [definition.timeout] - Overrides config.timeout for this task
+     */
+    static registerTask(name, definition) {
+        const source = definition.run.toString();
+        if (!/^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(source)) {
+            throw new Error(`Task ${name}: run must be a function expression or arrow function`);
+        }
+        
+        WorkerPoolManager.taskRegistry.set(name, {
+            run: definition.run,
+            source,
+            scripts: definition.scripts || [],
+            timeout: definition.timeout || null
+        });
+    }
+    
+    /**
+     * Check whether a task type is registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static hasTask(name) {
+        return WorkerPoolManager.taskRegistry.has(name);
+    }
+    
     /**
      * Execute task on worker pool
      * @param {string} taskType - Type of task
      * @param {object} data - Task data
+     * @param {object} [options]
+     * @param {Transferable[]} [options.transfer] - Buffers moved (not copied) to the worker; detached afterwards
+     * @param {Function} [options.onProgress] - Called with { task, done, total }
+     * @param {number} [options.timeout] - Overrides the task/pool timeout
      * @returns {Promise<any>} Task result
      */
-    async execute(taskType, data) {
+    async execute(taskType, data, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
         
         // Fallback to main thread if workers not available
         if (!this.workersSupported || this.workers.length === 0) {
-            return this.executeOnMainThread(taskType, data);
+            return this.executeOnMainThread(taskType, data, options);
         }
         
         const timer = this.performanceMonitor.startTimer('execute');
         const taskId = this.nextTaskId++;
+        const definition = WorkerPoolManager.taskRegistry.get(taskType);
+        const timeout = options.timeout || definition?.timeout || this.config.timeout;
         
         return new Promise((resolve, reject) => {
             const task = {
                 id: taskId,
                 type: taskType,
                 data,
+                transfer: options.transfer || [],
+                onProgress: options.onProgress || null,
                 resolve,
                 reject,
                 attempts: 0,
@@ -367,9 +468,10 @@ async function calculateDimensions(data) {
                 if (this.taskCallbacks.has(taskId)) {
                     this.taskCallbacks.delete(taskId);
                     timer.end();
+                    this.releaseTimedOutWorker(taskId);
                     reject(new Error('Task execution timeout'));
                 }
-            }, this.config.timeout);
+            }, timeout);
         });
     }
     
@@ -386,15 +488,71 @@ async function calculateDimensions(data) {
         this.stats.activeWorkers = this.busyWorkers.size;
         
         // Send task to worker
-        worker.postMessage({
-            type: task.type,
-            id: task.id,
-            data: task.data
-        });
+        const definition = WorkerPoolManager.taskRegistry.get(task.type);
+        if (definition) {
+            // Task code goes with the first task of its type on each worker
+            const firstRun = !worker.loadedTasks.has(task.type);
+            worker.loadedTasks.add(task.type);
+            
+            worker.postMessage({
+                type: 'runTask',
+                id: task.id,
+                task: task.type,
+                data: task.data,
+                definition: firstRun ? {
+                    source: definition.source,
+                    scripts: definition.scripts.map(script => new URL(script, document.baseURI).href)
+                } : null
+            }, task.attempts === 0 ? task.transfer : []);
+        } else {
+            worker.postMessage({
+                type: task.type,
+                id: task.id,
+                data: task.data
+            });
+        }
         
         task.attempts++;
     }
     
+    /**
+     * Terminate the worker still running a timed-out task
+     * Workers can't be interrupted, so it is replaced by a fresh one.
+     * @private
+     */
+    releaseTimedOutWorker(taskId) {
+        for (const [workerId, info] of this.busyWorkers) {
+            if (info.task.id !== taskId) continue;
+            
+            this.busyWorkers.delete(workerId);
+            this.stats.activeWorkers = this.busyWorkers.size;
+            this.stats.tasksFailed++;
+            
+            const worker = this.workers.find(w => w.id === workerId);
+            if (worker) this.replaceWorker(worker);
+            return;
+        }
+    }
+    
+    /**
+     * Forward task progress to the caller and the EventBus
+     * @private
+     */
+    reportProgress(task, done, total) {
+        const progress = { task: task.type, taskId: task.id, done, total };
+        
+        if (task.onProgress) {
+            try {
+                task.onProgress(progress);
+            } catch (error) {
+                console.warn('WorkerPoolManager: onProgress callback failed', error);
+            }
+        }
+        
+        const KC = window.KnowledgeConsolidator;
+        KC?.EventBus?.emit(KC.Events?.WORKER_TASK_PROGRESS || 'worker:task:progress', progress);
+    }
+    
     /**
      * Get available worker
      * @private
@@ -410,6 +568,12 @@ async function calculateDimensions(data) {
     handleWorkerMessage(worker, event) {
         const { type, id, result, error } = event.data;
         
+        if (type === 'progress') {
+            const task = this.taskCallbacks.get(id);
+            if (task) this.reportProgress(task, event.data.done, event.data.total);
+            return;
+        }
+        
         if (type === 'result' || type === 'error') {
             const workerInfo = this.busyWorkers.get(worker.id);
             if (!workerInfo) return;
@@ -530,8 +694,20 @@ async function calculateDimensions(data) {
      * Execute on main thread (fallback)
      * @private
      */
-    async executeOnMainThread(taskType, data) {
-        console.warn('WorkerPoolManager: Executing on main thread (fallback)');
+    async executeOnMainThread(taskType, data, options = {}) {
+        if (!this.mainThreadWarned) {
+            console.warn('WorkerPoolManager: Executing on main thread (fallback)');
+            this.mainThreadWarned = true;
+        }
+        
+        const definition = WorkerPoolManager.taskRegistry.get(taskType);
+        if (definition) {
+            const task = { id: this.nextTaskId++, type: taskType, onProgress: options.onProgress || null };
+            return definition.run(data, {
+                KC: window.KnowledgeConsolidator,
+                progress: (done, total) => this.reportProgress(task, done, total)
+            });
+        }
         
         // Simple implementation for main thread execution
         switch (taskType) {
@@ -670,8 +846,113 @@ async function calculateDimensions(data) {
     }
 }
 
+WorkerPoolManager.taskRegistry = new Map();
+
+/**
+ * Built-in tasks: the heavy loops of the app modules, run with the modules'
+ * own code (loaded in the worker with importScripts)
+ */
+WorkerPoolManager.registerTask('keywords.extract', {
+    scripts: ['js/utils/KeywordExtractor.js'],
+    timeout: 120000,
+    run: function(data, ctx) {
+        const extractor = new ctx.KC.KeywordExtractor();
+        const total = data.contents.length;
+        const results = data.contents.map((content, index) => {
+            if (index % 25 === 0) ctx.progress(index, total);
+            return extractor.extract(content);
+        });
+        ctx.progress(total, total);
+        return results;
+    }
+});
+
+WorkerPoolManager.registerTask('chunking.semantic', {
+    scripts: ['js/utils/KeywordExtractor.js', 'js/utils/ChunkingUtils.js'],
+    timeout: 300000,
+    run: function(data, ctx) {
+        const total = data.contents.length;
+        const results = data.contents.map((content, index) => {
+            if (index % 10 === 0) ctx.progress(index, total);
+            return ctx.KC.ChunkingUtils.getSemanticChunks(content);
+        });
+        ctx.progress(total, total);
+        return results;
+    }
+});
+
+// Pairs of files whose base names are similar (Levenshtein) and sizes differ
+WorkerPoolManager.registerTask('duplicates.versionPairs', {
+    scripts: ['js/utils/DuplicateDetector.js'],
+    timeout: 300000,
+    run: function(data, ctx) {
+        const detector = ctx.KC.duplicateDetector;
+        const bases = data.names.map(name => detector.extractBaseName(name));
+        const total = bases.length;
+        const pairs = [];
+        const similarities = [];
+        
+        for (let i = 0; i < total; i++) {
+            if (i % 50 === 0) ctx.progress(i, total);
+            for (let j = i + 1; j < total; j++) {
+                if (data.sizes[i] === data.sizes[j]) continue;
+                const similarity = detector.calculateSimilarity(bases[i], bases[j]);
+                if (similarity > data.threshold) {
+                    pairs.push(i, j);
+                    similarities.push(similarity);
+                }
+            }
+        }
+        
+        ctx.progress(total, total);
+        return { pairs: new Uint32Array(pairs), similarities: new Float32Array(similarities) };
+    }
+});
+
+// Symmetric cosine similarity matrix of row-major vectors (count x dimension)
+WorkerPoolManager.registerTask('vectors.cosineMatrix', {
+    timeout: 300000,
+    run: function(data, ctx) {
+        const { vectors, count, dimension } = data;
+        const norms = new Float64Array(count);
+        const matrix = new Float32Array(count * count);
+        
+        for (let i = 0; i < count; i++) {
+            let sum = 0;
+            for (let k = 0; k < dimension; k++) {
+                const value = vectors[i * dimension + k];
+                sum += value * value;
+            }
+            norms[i] = Math.sqrt(sum);
+        }
+        
+        for (let i = 0; i < count; i++) {
+            if (i % 25 === 0) ctx.progress(i, count);
+            matrix[i * count + i] = 1;
+            
+            for (let j = i + 1; j < count; j++) {
+                let dot = 0;
+                for (let k = 0; k < dimension; k++) {
+                    dot += vectors[i * dimension + k] * vectors[j * dimension + k];
+                }
+                const similarity = norms[i] === 0 || norms[j] === 0 ? 0 : dot / (norms[i] * norms[j]);
+                matrix[i * count + j] = similarity;
+                matrix[j * count + i] = similarity;
+            }
+        }
+        
+        ctx.progress(count, count);
+        return { matrix, count };
+    }
+});
+
 // Register with KC
 if (window.KC) {
     window.KC.WorkerPoolManager = WorkerPoolManager;
+    
+    // Shared pool for the app modules (workers start on first execute)
+    window.KC.workerPool = new WorkerPoolManager({
+        workerCount: Math.min(navigator.hardwareConcurrency || 2, 4)
+    });
     console.log('[WorkerPoolManager] Registered with KC');
 }
\ No newline at end of file
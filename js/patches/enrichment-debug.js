@@ -115,7 +115,7 @@
                     console.log('✅ DEBUG: Embeddings gerados para', documentsWithEmbeddings.length, 'docs');
                     
                     console.log('🔍 DEBUG: Calculando matriz de similaridade...');
-                    const similarityMatrix = this._cosineSimilarityMatrix(documentsWithEmbeddings);
+                    const similarityMatrix = await this._cosineSimilarityMatrix(documentsWithEmbeddings);
                     console.log('✅ DEBUG: Matriz calculada');
                     
                     console.log('🔍 DEBUG: Detectando cadeias...');
@@ -44,6 +44,12 @@
                     descricao: 'Arquivo pertence a uma categoria',
                     inverso: 'contemArquivos'
                 },
+                'contemArquivos': {
+                    dominio: 'categoria',
+                    alcance: 'arquivo',
+                    descricao: 'Categoria contém o arquivo',
+                    inverso: 'pertenceCategoria'
+                },
                 'categorizadoComo': {
                     dominio: 'arquivo',
                     alcance: 'categoria',
@@ -56,6 +62,12 @@
                     descricao: 'Categoria sugerida pela IA',
                     confianca: 0.7
                 },
+                'categoriaRejeitada': {
+                    dominio: 'arquivo',
+                    alcance: 'categoria',
+                    descricao: 'Sugestão de categoria rejeitada na curadoria',
+                    confianca: 1.0
+                },
                 
                 // Relacionamentos de análise
                 'foiAnalisadoComo': {
@@ -131,7 +143,14 @@
                 'evoluiuDe': {
                     dominio: 'arquivo',
                     alcance: 'any', // Pode ser arquivo ID ou nome
-                    descricao: 'Evolução de arquivo anterior'
+                    descricao: 'Evolução de arquivo anterior',
+                    transitivo: true
+                },
+                'derivaDe': {
+                    dominio: 'arquivo',
+                    alcance: 'any', // Arquivo, documento ou conceito de origem
+                    descricao: 'Conteúdo derivado de outro (resumo, extração, anexo)',
+                    transitivo: true
                 },
                 'atualizadoEm': {
                     dominio: 'arquivo',
@@ -201,12 +220,21 @@
                 'compartilhaCategoriaCom': {
                     dominio: 'arquivo',
                     alcance: 'any', // Pode ser arquivo ID
-                    descricao: 'Compartilha categoria com outro arquivo'
+                    descricao: 'Compartilha categoria com outro arquivo',
+                    bidirecional: true
                 },
                 'segueTemporalmente': {
                     dominio: 'arquivo',
                     alcance: 'any', // Pode ser arquivo ID
-                    descricao: 'Segue temporalmente outro arquivo'
+                    descricao: 'Segue temporalmente outro arquivo',
+                    transitivo: true
+                },
+                
+                // Tipagem (inferida do domínio/alcance dos predicados)
+                'ehDoTipo': {
+                    dominio: 'any',
+                    alcance: 'any',
+                    descricao: 'Tipo de entidade (arquivo, categoria, usuario...)'
                 }
             };
             
@@ -280,30 +308,25 @@
                 }
             };
             
-            // Regras de inferência
+            // Regras de inferência (Horn): condições com ?variáveis -> conclusão
+            // Transitividade, inversos, simetria e tipagem saem dos predicados (obterRegras)
             this.regrasInferencia = [
                 {
                     nome: 'categoria_por_analise',
                     se: [
-                        { presente: 'foiAnalisadoComo', objetivo: 'Breakthrough Técnico' }
+                        { legado: '?arquivo', presente: 'foiAnalisadoComo', objetivo: 'Breakthrough Técnico' }
                     ],
-                    entao: {
-                        presente: 'sugeridaCategoria',
-                        objetivo: 'tech',
-                        confianca: 0.8
-                    }
+                    entao: { legado: '?arquivo', presente: 'sugeridaCategoria', objetivo: 'tech' },
+                    confianca: 0.8
                 },
                 {
                     nome: 'acao_por_padrao',
                     se: [
-                        { presente: 'possuiRelevancia', objetivo: '>0.8' },
-                        { presente: 'contemPalavraChave', objetivo: 'urgente' }
+                        { legado: '?arquivo', presente: 'possuiRelevancia', objetivo: '>0.8' },
+                        { legado: '?arquivo', presente: 'contemPalavraChave', objetivo: 'urgente' }
                     ],
-                    entao: {
-                        presente: 'requerAcao',
-                        objetivo: 'revisao_prioritaria',
-                        confianca: 0.9
-                    }
+                    entao: { legado: '?arquivo', presente: 'requerAcao', objetivo: 'revisao_prioritaria' },
+                    confianca: 0.9
                 }
             ];
         }
@@ -425,6 +448,11 @@
                 return 'categoria';
             }
             
+            // Categorias personalizadas (IDs livres) cadastradas no CategoryManager
+            if (KC.CategoryManager?.getCategoryById?.(valorStr)) {
+                return 'categoria';
+            }
+            
             // Verificar se é uma ação conhecida
             const acoesConhecidas = ['revisao_prioritaria', 'implementar_ci_cd', 'criar_documentacao_api', 'atualizar_documentacao'];
             if (acoesConhecidas.includes(valor)) {
@@ -558,60 +586,201 @@
         }
 
         /**
-         * Aplica regras de inferência
-         * @param {Array} triplas - Triplas existentes
-         * @returns {Array} Novas triplas inferidas
+         * Regras de inferência declaradas no schema, prontas para o TripleInference
+         * - transitividade: predicados com transitivo: true
+         * - inverso: predicados com inverso (vale nos dois sentidos)
+         * - simetria: predicados com bidirecional: true
+         * - tipagem: ehDoTipo a partir do domínio e do alcance (entidades, não literais)
+         * - horn: regrasInferencia + regras do usuário (adicionarRegra)
+         * @param {Object} opcoes - { tipos: [...] } para restringir os tipos de regra
+         * @returns {Array} Regras normalizadas
          */
-        aplicarInferencia(triplas) {
-            const novasTriplas = [];
-            
-            this.regrasInferencia.forEach(regra => {
-                // Para cada conjunto de triplas, verificar se satisfaz a condição
-                triplas.forEach(tripla => {
-                    let condicoesSatisfeitas = true;
-                    
-                    // Verificar todas as condições da regra
-                    for (const condicao of regra.se) {
-                        const satisfaz = triplas.some(t => 
-                            t.presente.valor === condicao.presente &&
-                            this.verificarObjetivo(t.objetivo.valor, condicao.objetivo)
-                        );
-                        
-                        if (!satisfaz) {
-                            condicoesSatisfeitas = false;
-                            break;
-                        }
+        obterRegras(opcoes = {}) {
+            const tipos = opcoes.tipos || ['transitividade', 'inverso', 'simetria', 'tipagem', 'horn'];
+            const literais = ['string', 'numero', 'boolean', 'timestamp'];
+            const padrao = (legado, presente, objetivo) => ({ legado, presente, objetivo });
+            const regras = [];
+
+            Object.entries(this.predicados).forEach(([nome, def]) => {
+                if (def.transitivo && tipos.includes('transitividade')) {
+                    regras.push({
+                        nome: `transitividade:${nome}`,
+                        tipo: 'transitividade',
+                        se: [padrao('?a', nome, '?b'), padrao('?b', nome, '?c')],
+                        entao: padrao('?a', nome, '?c'),
+                        distintos: [['?a', '?c']],
+                        confianca: 1
+                    });
+                }
+
+                if (def.inverso && tipos.includes('inverso')) {
+                    const inversos = [[nome, def.inverso]];
+                    // Inverso declarado só de um lado também vale no outro sentido
+                    if (this.predicados[def.inverso]?.inverso !== nome) inversos.push([def.inverso, nome]);
+
+                    inversos.forEach(([de, para]) => regras.push({
+                        nome: `inverso:${de}`,
+                        tipo: 'inverso',
+                        se: [padrao('?a', de, '?b')],
+                        entao: padrao('?b', para, '?a'),
+                        confianca: 1
+                    }));
+                }
+
+                if (def.bidirecional && tipos.includes('simetria')) {
+                    regras.push({
+                        nome: `simetria:${nome}`,
+                        tipo: 'simetria',
+                        se: [padrao('?a', nome, '?b')],
+                        entao: padrao('?b', nome, '?a'),
+                        distintos: [['?a', '?b']],
+                        confianca: 1
+                    });
+                }
+
+                if (tipos.includes('tipagem')) {
+                    if (def.dominio && def.dominio !== 'any') {
+                        regras.push({
+                            nome: `dominio:${nome}`,
+                            tipo: 'tipagem',
+                            se: [padrao('?a', nome, '?b')],
+                            entao: padrao('?a', 'ehDoTipo', def.dominio),
+                            confianca: 1
+                        });
                     }
-                    
-                    // Se todas as condições foram satisfeitas, criar nova tripla
-                    if (condicoesSatisfeitas) {
-                        const novaTripla = {
-                            legado: tripla.legado,
-                            presente: { tipo: 'SUB.R', valor: regra.entao.presente },
-                            objetivo: { tipo: 'ACT.R', valor: regra.entao.objetivo },
-                            metadados: {
-                                fonte: 'inferencia',
-                                regra: regra.nome,
-                                confianca: regra.entao.confianca || 0.7,
-                                timestamp: new Date().toISOString()
-                            }
-                        };
-                        
-                        // Verificar se já não existe
-                        const jaExiste = triplas.some(t => 
-                            t.legado.valor === novaTripla.legado.valor &&
-                            t.presente.valor === novaTripla.presente.valor &&
-                            t.objetivo.valor === novaTripla.objetivo.valor
-                        );
-                        
-                        if (!jaExiste) {
-                            novasTriplas.push(novaTripla);
-                        }
+                    if (def.alcance && def.alcance !== 'any' && !literais.includes(def.alcance)) {
+                        regras.push({
+                            nome: `alcance:${nome}`,
+                            tipo: 'tipagem',
+                            se: [padrao('?a', nome, '?b')],
+                            entao: padrao('?b', 'ehDoTipo', def.alcance),
+                            confianca: 1
+                        });
                     }
-                });
+                }
             });
-            
-            return novasTriplas;
+
+            if (tipos.includes('horn')) {
+                [...this.regrasInferencia, ...this.obterRegrasUsuario()]
+                    .forEach(regra => regras.push(this.normalizarRegra(regra)));
+            }
+
+            return regras;
+        }
+
+        /**
+         * Regras de Horn cadastradas pelo usuário (persistidas no AppState)
+         */
+        obterRegrasUsuario() {
+            return KC.AppState?.get('regrasInferenciaUsuario') || [];
+        }
+
+        /**
+         * Cadastra (ou substitui, pelo nome) uma regra de Horn do usuário
+         * @param {Object} regra - { nome, se: [{legado, presente, objetivo}], entao, confianca, distintos }
+         * @returns {Object} Regra normalizada
+         * @throws {Error} Quando a regra é inválida ou o nome é de uma regra embutida
+         */
+        adicionarRegra(regra) {
+            const normalizada = this.normalizarRegra(regra);
+            const erro = this.validarRegra(normalizada);
+            if (erro) {
+                throw new Error(`Regra inválida: ${erro}`);
+            }
+            if (this.regrasInferencia.some(r => r.nome === normalizada.nome)) {
+                throw new Error(`Regra inválida: já existe uma regra embutida chamada ${normalizada.nome}`);
+            }
+
+            const regras = this.obterRegrasUsuario().filter(r => r.nome !== normalizada.nome);
+            KC.AppState?.set('regrasInferenciaUsuario', [...regras, normalizada]);
+
+            this.logger.info('TripleSchema', `Regra de inferência cadastrada: ${normalizada.nome}`);
+            return normalizada;
+        }
+
+        /**
+         * Remove uma regra do usuário
+         * @returns {boolean} true se a regra existia
+         */
+        removerRegra(nome) {
+            const regras = this.obterRegrasUsuario();
+            const restantes = regras.filter(r => r.nome !== nome);
+            if (restantes.length === regras.length) return false;
+
+            KC.AppState?.set('regrasInferenciaUsuario', restantes);
+            return true;
+        }
+
+        /**
+         * Completa o formato da regra (legado padrão '?x', confiança padrão 0.7)
+         * @private
+         */
+        normalizarRegra(regra) {
+            const { confianca: confiancaConclusao, ...entao } = regra.entao || {};
+            const comSujeito = (condicao) => ({ legado: '?x', ...condicao });
+
+            return {
+                ...regra,
+                tipo: 'horn',
+                se: (regra.se || []).map(comSujeito),
+                entao: comSujeito(entao),
+                confianca: regra.confianca ?? confiancaConclusao ?? 0.7
+            };
+        }
+
+        /**
+         * Valida uma regra normalizada
+         * @private
+         * @returns {string|null} Motivo da recusa
+         */
+        validarRegra(regra) {
+            if (!regra.nome || typeof regra.nome !== 'string') {
+                return 'nome obrigatório';
+            }
+            if (!Array.isArray(regra.se) || regra.se.length === 0) {
+                return `${regra.nome}: ao menos uma condição em "se"`;
+            }
+
+            const partes = ['legado', 'presente', 'objetivo'];
+            const incompleta = [...regra.se, regra.entao].find(padrao =>
+                partes.some(parte => padrao[parte] === undefined || padrao[parte] === ''));
+            if (incompleta) {
+                return `${regra.nome}: condições e conclusão precisam de legado, presente e objetivo`;
+            }
+
+            // Toda variável da conclusão precisa ser ligada pelas condições
+            const ligadas = new Set(regra.se.flatMap(padrao => partes.map(parte => padrao[parte])));
+            const solta = partes.map(parte => regra.entao[parte])
+                .find(termo => typeof termo === 'string' && termo.startsWith('?') && !ligadas.has(termo));
+            if (solta) {
+                return `${regra.nome}: variável ${solta} da conclusão não aparece nas condições`;
+            }
+
+            if (typeof regra.confianca !== 'number' || regra.confianca < 0 || regra.confianca > 1) {
+                return `${regra.nome}: confiança deve ser número entre 0 e 1`;
+            }
+
+            return null;
+        }
+
+        /**
+         * Aplica as regras de Horn a um conjunto de triplas (sem store)
+         * @param {Array} triplas - Triplas existentes
+         * @returns {Array} Novas triplas inferidas, com a prova em texto nos metadados
+         */
+        aplicarInferencia(triplas) {
+            if (!KC.TripleInference) {
+                this.logger.warning('TripleSchema', 'TripleInference não carregado');
+                return [];
+            }
+
+            const { derivadas } = KC.TripleInference.executar(triplas, this.obterRegras({ tipos: ['horn'] }));
+
+            // Fora do store os ids das premissas são provisórios; fica só a prova em texto
+            return derivadas.map(({ id, metadados: { premissas, ...metadados }, ...tripla }) => ({
+                ...tripla,
+                metadados: { ...metadados, timestamp: new Date().toISOString() }
+            }));
         }
 
         /**
@@ -653,6 +822,7 @@
 
         /**
          * Valida consistência de um conjunto de triplas
+         * Espera o conjunto completo (ex.: tripleStore.exportarTodas()) para checar provas
          */
         validarConsistencia(triplas) {
             const inconsistencias = [];
@@ -662,6 +832,9 @@
                 triplas.forEach((t2, j) => {
                     if (i >= j) return;
                     
+                    // Inferências acrescentam valores; conflitos vêm das triplas base
+                    if (t1.metadados?.derivada || t2.metadados?.derivada) return;
+                    
                     // Mesma entidade não pode ter valores conflitantes
                     if (t1.legado.valor === t2.legado.valor &&
                         t1.presente.valor === t2.presente.valor &&
@@ -679,6 +852,36 @@
                 });
             });
             
+            // Inferidas cuja prova aponta para triplas que não existem mais
+            const ids = new Set(triplas.map(t => t.id));
+            triplas.forEach(tripla => {
+                const faltando = (tripla.metadados?.premissas || []).filter(id => !ids.has(id));
+                if (tripla.metadados?.derivada && faltando.length > 0) {
+                    inconsistencias.push({
+                        tipo: 'prova_quebrada',
+                        triplas: [tripla],
+                        mensagem: `Inferência ${tripla.legado.valor} ${tripla.presente.valor} ${tripla.objetivo.valor} sem as premissas ${faltando.join(', ')}`
+                    });
+                }
+            });
+            
+            // Tipos de entidade são disjuntos: um arquivo não pode ser também categoria
+            const tipos = new Map();
+            triplas.filter(t => t.presente.valor === 'ehDoTipo').forEach(tripla => {
+                if (!tipos.has(tripla.legado.valor)) tipos.set(tripla.legado.valor, []);
+                tipos.get(tripla.legado.valor).push(tripla);
+            });
+            tipos.forEach((triplasTipo, entidade) => {
+                const distintos = new Set(triplasTipo.map(t => t.objetivo.valor));
+                if (distintos.size > 1) {
+                    inconsistencias.push({
+                        tipo: 'tipos_conflitantes',
+                        triplas: triplasTipo,
+                        mensagem: `${entidade} inferido como ${Array.from(distintos).join(' e ')}`
+                    });
+                }
+            });
+            
             return inconsistencias;
         }
 
@@ -700,7 +903,7 @@
             return {
                 predicados: this.predicados,
                 tiposEntidade: this.tiposEntidade,
-                regrasInferencia: this.regrasInferencia,
+                regrasInferencia: this.obterRegras({ tipos: ['horn'] }),
                 versao: '1.0.0'
             };
         }
@@ -0,0 +1,384 @@
+/**
+ * AIBudgetService.js - Limites de gasto das análises com IA
+ *
+ * O AIAPIManager contabiliza tokens e custo (_trackTokenUsage), mas não impõe
+ * limite. Este serviço guarda três tetos em USD e o gasto correspondente:
+ * - perRun:      por execução (analyzeBatch() ou fila do AnalysisManager)
+ * - perDay:      soma de todos os providers no dia (data local)
+ * - perProvider: por provider no mês corrente ({ openai: 20, anthropic: 10 })
+ *
+ * Antes de uma execução, a estimativa (AIAPIManager.estimateBatch) é comparada
+ * com o saldo; durante a execução, cada chamada é bloqueada quando um teto é
+ * atingido. Nos dois casos a execução pausa em requestApproval() até que o
+ * usuário aprove um valor extra (approve) ou cancele (reject).
+ *
+ * Limites e gasto ficam em localStorage e sobrevivem ao recarregamento.
+ *
+ * AIDEV-NOTE: ai-budget; o teto é verificado antes de cada chamada, então
+ * chamadas simultâneas já em andamento podem ultrapassá-lo em poucos centavos
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const SCOPE_LABELS = {
+        run: 'da execução',
+        day: 'diário',
+        provider: 'mensal do provider'
+    };
+
+    class AIBudgetService {
+        constructor() {
+            this.storageKey = 'kc_ai_budgets';
+            this.config = {
+                keepDays: 62,       // Dias de gasto mantidos (cobre o mês corrente e o anterior)
+                keepRuns: 20        // Execuções mantidas no histórico
+            };
+
+            this.limits = {
+                perRun: null,       // null = sem limite
+                perDay: null,
+                perProvider: {}
+            };
+            this.spending = {};     // { 'AAAA-MM-DD': { total, byProvider: { id: custo } } }
+            this.runs = [];
+
+            this._approvals = new Map();
+            this._load();
+        }
+
+        /**
+         * Atualiza e persiste os limites
+         * @param {Object} limits - { perRun, perDay, perProvider: { id: valor } } (null remove o limite)
+         * @returns {Object} Limites atuais
+         */
+        setLimits(limits = {}) {
+            const amount = (value, label) => {
+                if (value === null || value === '' || value === undefined) return null;
+                const number = Number(value);
+                if (!Number.isFinite(number) || number < 0) {
+                    throw new Error(`Limite ${label} inválido: ${value}`);
+                }
+                return number;
+            };
+
+            const perProvider = { ...this.limits.perProvider };
+            Object.entries(limits.perProvider || {}).forEach(([provider, value]) => {
+                const limit = amount(value, `do provider ${provider}`);
+                if (limit === null) {
+                    delete perProvider[provider];
+                } else {
+                    perProvider[provider] = limit;
+                }
+            });
+
+            this.limits = {
+                perRun: 'perRun' in limits ? amount(limits.perRun, 'por execução') : this.limits.perRun,
+                perDay: 'perDay' in limits ? amount(limits.perDay, 'diário') : this.limits.perDay,
+                perProvider: perProvider
+            };
+            this._save();
+
+            KC.Logger?.info('AIBudget', 'Limites de gasto atualizados', this.limits);
+            return this.getLimits();
+        }
+
+        /**
+         * @returns {Object} { perRun, perDay, perProvider }
+         */
+        getLimits() {
+            return { ...this.limits, perProvider: { ...this.limits.perProvider } };
+        }
+
+        /**
+         * Registra o custo de uma chamada (chamado por AIAPIManager._trackTokenUsage)
+         * O custo também conta para a execução ativa mais recente (do mesmo provider, se houver).
+         * @param {string} provider
+         * @param {number} cost - USD
+         */
+        recordSpend(provider, cost) {
+            if (!(cost > 0)) return;
+
+            const day = this._dayKey();
+            const entry = this.spending[day] || (this.spending[day] = { total: 0, byProvider: {} });
+            entry.total += cost;
+            entry.byProvider[provider] = (entry.byProvider[provider] || 0) + cost;
+
+            const active = this._activeRuns().reverse();
+            const run = active.find(item => item.provider === provider) || active[0];
+            if (run) run.spent += cost;
+
+            this._save();
+        }
+
+        /**
+         * Gasto atual em cada escopo
+         * @param {string} [provider]
+         * @returns {Object} { day, month, provider }
+         */
+        getSpending(provider = null) {
+            const today = this.spending[this._dayKey()];
+            const month = this._dayKey().slice(0, 7);
+            const monthly = Object.entries(this.spending).filter(([day]) => day.startsWith(month));
+
+            return {
+                day: today?.total || 0,
+                month: monthly.reduce((sum, [, entry]) => sum + entry.total, 0),
+                provider: provider ?
+                    monthly.reduce((sum, [, entry]) => sum + (entry.byProvider[provider] || 0), 0) :
+                    null
+            };
+        }
+
+        /**
+         * Compara gasto (+ custo previsto) com os limites
+         * @param {string} provider
+         * @param {number} [expectedCost=0] - Custo ainda por gastar (estimativa)
+         * @param {string} [runId] - Sem runId, custo previsto é comparado ao teto de uma execução nova
+         * @returns {Object} { allowed, exceeded: [{ scope, limit, spent, projected, overrun }], remaining }
+         */
+        check(provider, expectedCost = 0, runId = null) {
+            const run = this.getRun(runId);
+            const spending = this.getSpending(provider);
+            const allowance = run?.allowance || 0;
+
+            const scopes = [
+                { scope: 'run', limit: this.limits.perRun, spent: run?.spent || 0, applies: !!run || expectedCost > 0 },
+                { scope: 'day', limit: this.limits.perDay, spent: spending.day, applies: true },
+                { scope: 'provider', limit: this.limits.perProvider[provider] ?? null, spent: spending.provider, applies: true }
+            ].filter(item => item.applies && item.limit !== null);
+
+            const exceeded = [];
+            let remaining = Infinity;
+
+            scopes.forEach(({ scope, limit, spent }) => {
+                const cap = limit + allowance;
+                const projected = spent + expectedCost;
+                remaining = Math.min(remaining, Math.max(0, cap - spent));
+
+                // Sem custo previsto, o teto só bloqueia quando atingido
+                if (expectedCost > 0 ? projected > cap : spent >= cap) {
+                    exceeded.push({ scope, label: SCOPE_LABELS[scope], limit, spent, projected, overrun: projected - cap });
+                }
+            });
+
+            return { allowed: exceeded.length === 0, exceeded, remaining };
+        }
+
+        /**
+         * Lança erro BUDGET_EXCEEDED se algum teto já foi atingido
+         * @throws {Error} code BUDGET_EXCEEDED, com exceeded
+         */
+        assertWithinBudget(provider, runId = null) {
+            const status = this.check(provider, 0, runId);
+            if (status.allowed) return;
+
+            const error = new Error(`Limite de gasto atingido: ${this.describe(status.exceeded)}`);
+            error.code = 'BUDGET_EXCEEDED';
+            error.exceeded = status.exceeded;
+            throw error;
+        }
+
+        /**
+         * Inicia uma execução controlada
+         * @param {Object} info - { provider, model, files, estimate }
+         * @returns {Object} Execução
+         */
+        startRun(info = {}) {
+            const run = {
+                id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+                provider: info.provider || null,
+                model: info.model || null,
+                files: info.files || 0,
+                estimate: info.estimate ?? null,
+                spent: 0,
+                allowance: 0,       // Extra aprovado pelo usuário (soma-se a todos os tetos)
+                status: 'running',
+                pendingApproval: null,
+                startedAt: new Date().toISOString(),
+                finishedAt: null
+            };
+
+            this.runs.push(run);
+            this.runs = this.runs.slice(-this.config.keepRuns);
+            this._save();
+
+            return run;
+        }
+
+        /**
+         * Encerra uma execução
+         * @param {string} runId
+         * @param {string} [status='completed'] - 'completed', 'cancelled' ou 'stopped'
+         */
+        finishRun(runId, status = 'completed') {
+            const run = this.getRun(runId);
+            if (!run) return;
+
+            this._approvals.get(runId)?.(false);
+            run.status = status;
+            run.pendingApproval = null;
+            run.finishedAt = new Date().toISOString();
+            this._save();
+
+            KC.Logger?.info('AIBudget', `Execução ${runId} ${status}`, { spent: run.spent, estimate: run.estimate });
+        }
+
+        /**
+         * @returns {Object|null}
+         */
+        getRun(runId) {
+            return runId ? this.runs.find(run => run.id === runId) || null : null;
+        }
+
+        /**
+         * Histórico de execuções (mais recentes primeiro)
+         */
+        getRuns() {
+            return [...this.runs].reverse();
+        }
+
+        /**
+         * Pausa a execução até o usuário aprovar ou cancelar
+         * Emite AI_BUDGET_APPROVAL_REQUIRED com a execução e o motivo.
+         * @param {string} runId
+         * @param {Object} request - { stage: 'preflight'|'cap', exceeded, needed, estimate }
+         * @returns {Promise<boolean>} true se aprovado
+         */
+        requestApproval(runId, request = {}) {
+            const run = this.getRun(runId);
+            if (!run) return Promise.resolve(false);
+
+            run.status = 'paused';
+            run.pendingApproval = { ...request, requestedAt: new Date().toISOString() };
+            this._save();
+
+            KC.Logger?.warning('AIBudget', `Execução pausada: ${this.describe(request.exceeded || [])}`, {
+                runId,
+                stage: request.stage,
+                needed: request.needed
+            });
+
+            const approval = new Promise(resolve => {
+                this._approvals.set(runId, (approved) => {
+                    this._approvals.delete(runId);
+                    resolve(approved);
+                });
+            });
+
+            KC.EventBus?.emit(KC.Events?.AI_BUDGET_APPROVAL_REQUIRED || 'ai:budget:approval:required', {
+                run: { ...run },
+                request: run.pendingApproval
+            });
+
+            return approval;
+        }
+
+        /**
+         * Aprova a continuação de uma execução pausada
+         * @param {string} runId
+         * @param {number} [extra] - USD liberados além dos tetos (padrão: o valor pedido)
+         */
+        approve(runId, extra) {
+            const run = this.getRun(runId);
+            const resolve = this._approvals.get(runId);
+            if (!run || !resolve) {
+                throw new Error(`Nenhuma aprovação pendente para a execução ${runId}`);
+            }
+
+            const amount = Number(extra ?? run.pendingApproval?.needed ?? 0);
+            run.allowance += Number.isFinite(amount) && amount > 0 ? amount : 0;
+            run.status = 'running';
+            run.pendingApproval = null;
+            this._save();
+
+            KC.Logger?.info('AIBudget', `Execução ${runId} retomada`, { allowance: run.allowance });
+            KC.EventBus?.emit(KC.Events?.AI_BUDGET_RESUMED || 'ai:budget:resumed', { run: { ...run } });
+            resolve(true);
+        }
+
+        /**
+         * Cancela uma execução pausada
+         */
+        reject(runId) {
+            const resolve = this._approvals.get(runId);
+            if (!resolve) {
+                throw new Error(`Nenhuma aprovação pendente para a execução ${runId}`);
+            }
+            resolve(false);
+        }
+
+        /**
+         * Descrição legível dos tetos excedidos
+         */
+        describe(exceeded) {
+            return exceeded
+                .map(item => `teto ${item.label} de US$ ${item.limit.toFixed(2)} (gasto US$ ${item.spent.toFixed(2)}` +
+                    (item.projected > item.spent ? `, previsto US$ ${item.projected.toFixed(2)})` : ')'))
+                .join('; ') || 'nenhum teto excedido';
+        }
+
+        /**
+         * @private
+         */
+        _activeRuns() {
+            return this.runs.filter(run => run.status === 'running' || run.status === 'paused');
+        }
+
+        /**
+         * Data local AAAA-MM-DD
+         * @private
+         */
+        _dayKey(date = new Date()) {
+            const pad = (value) => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        /**
+         * @private
+         */
+        _load() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+                if (!saved) return;
+
+                this.limits = { ...this.limits, ...saved.limits, perProvider: { ...(saved.limits?.perProvider || {}) } };
+                this.spending = saved.spending || {};
+
+                // Execuções interrompidas pelo recarregamento não continuam sozinhas
+                this.runs = (saved.runs || []).map(run =>
+                    run.status === 'running' || run.status === 'paused' ?
+                        { ...run, status: 'interrupted', pendingApproval: null } :
+                        run
+                );
+            } catch (error) {
+                KC.Logger?.warning('AIBudget', 'Limites de gasto salvos inválidos, ignorando');
+            }
+        }
+
+        /**
+         * @private
+         */
+        _save() {
+            const oldest = this._dayKey(new Date(Date.now() - this.config.keepDays * 86400000));
+            Object.keys(this.spending)
+                .filter(day => day < oldest)
+                .forEach(day => delete this.spending[day]);
+
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify({
+                    limits: this.limits,
+                    spending: this.spending,
+                    runs: this.runs
+                }));
+            } catch (error) {
+                KC.Logger?.error('AIBudget', 'Erro ao salvar limites de gasto', error);
+            }
+        }
+    }
+
+    KC.AIBudgetService = new AIBudgetService();
+
+})(window);
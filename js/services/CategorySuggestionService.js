@@ -0,0 +1,485 @@
+/**
+ * CategorySuggestionService.js - Sugestão de categorias aprendida com a curadoria
+ *
+ * Treina com as decisões já tomadas pelo curador (categorias atuais dos arquivos
+ * no AppState e triplas categoriaRejeitada) e propõe categorias para os arquivos
+ * ainda sem categoria, combinando dois sinais:
+ * - vizinhos:  arquivos mais próximos no Qdrant (embeddings), votando com as
+ *              próprias categorias ponderadas pela similaridade
+ * - keywords:  co-ocorrência das keywords do arquivo com cada categoria
+ *
+ * Cada sugestão tem uma confiança (0..1) e é registrada como tripla
+ * sugeridaCategoria. Aceitar atribui a categoria pelo CategoryManager (que
+ * gera a tripla categorizadoComo); rejeitar grava categoriaRejeitada, que
+ * o próximo treino usa para não repetir a sugestão e para penalizar as
+ * keywords do arquivo naquela categoria.
+ *
+ * Sem Qdrant (ou sem EmbeddingService) a confiança vem só das keywords.
+ *
+ * AIDEV-NOTE: category-suggestion; treino local a cada execução (keywords em
+ * cache por arquivo), nenhuma chamada à IA além do embedding da busca
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const FONTE_SUGESTAO = 'sugestao_categoria';
+
+    class CategorySuggestionService {
+        constructor() {
+            this.config = {
+                neighbors: 10,          // Documentos vizinhos consultados no Qdrant
+                neighborTextLength: 2000, // Caracteres do arquivo usados na busca
+                knnWeight: 0.6,         // Peso dos vizinhos; o restante vai para keywords
+                minKeywordSupport: 2,   // Arquivos curados mínimos para uma keyword contar
+                rejectionPenalty: 1,    // Quanto uma rejeição desconta da co-ocorrência
+                minConfidence: 0.3,
+                maxSuggestions: 3
+            };
+
+            this.model = null;
+            this.suggestions = new Map();   // fileId -> [{ categoryId, confidence, ... }]
+            this._keywordCache = new Map(); // fileId -> { length, keywords }
+        }
+
+        /**
+         * Garante o TripleStoreManager ativo, ouvindo as categorizações manuais
+         */
+        async initialize() {
+            await this.getTripleStore();
+        }
+
+        /**
+         * TripleStoreManager compartilhado (criado sob demanda)
+         * @returns {Promise<Object|null>}
+         */
+        async getTripleStore() {
+            if (!KC.tripleStore && KC.TripleStoreManager) {
+                KC.tripleStore = new KC.TripleStoreManager();
+                await KC.tripleStore.initialize();
+            }
+            return KC.tripleStore || null;
+        }
+
+        /**
+         * Treina o modelo de keywords com as decisões de curadoria
+         * @returns {Promise<Object>} Resumo { files, categories, keywords, rejections }
+         */
+        async train() {
+            const store = await this.getTripleStore();
+            const files = KC.AppState?.get('files') || [];
+
+            // Só as atribuições atuais: categorizadoComo guarda o histórico e pode
+            // conter categorias já removidas pelo curador
+            const labels = new Map();       // fileId -> Set(categoryId)
+            files.forEach(file => {
+                const ids = this._resolveCategories(file.categories);
+                if (ids.length > 0) labels.set(file.id, new Set(ids));
+            });
+
+            const rejections = new Set();
+            const rejectedFiles = new Set();
+            store?.buscar({ presente: 'categoriaRejeitada' }).forEach(tripla => {
+                rejections.add(this._pairKey(tripla.legado.valor, tripla.objetivo.valor));
+                rejectedFiles.add(tripla.legado.valor);
+            });
+
+            // Co-ocorrência keyword x categoria (rejeições descontam)
+            const keywordFiles = files.filter(file => labels.has(file.id) || rejectedFiles.has(file.id));
+            const keywords = await this._getKeywords(keywordFiles);
+
+            const cooccurrence = new Map();  // keyword -> Map(categoryId -> peso)
+            const support = new Map();       // keyword -> arquivos curados
+            const add = (keyword, categoryId, weight) => {
+                if (!cooccurrence.has(keyword)) cooccurrence.set(keyword, new Map());
+                const row = cooccurrence.get(keyword);
+                row.set(categoryId, (row.get(categoryId) || 0) + weight);
+            };
+
+            keywordFiles.forEach(file => {
+                const fileLabels = labels.get(file.id);
+                if (!fileLabels) return;
+
+                (keywords.get(file.id) || []).forEach(keyword => {
+                    support.set(keyword, (support.get(keyword) || 0) + 1);
+                    fileLabels.forEach(categoryId => add(keyword, categoryId, 1));
+                });
+            });
+
+            rejections.forEach(key => {
+                const [fileId, categoryId] = key.split('|');
+                (keywords.get(fileId) || []).forEach(keyword => add(keyword, categoryId, -this.config.rejectionPenalty));
+            });
+
+            this.model = {
+                labels,
+                rejections,
+                cooccurrence,
+                support,
+                trainedAt: Date.now()
+            };
+
+            const summary = {
+                files: labels.size,
+                categories: new Set(Array.from(labels.values()).flatMap(set => Array.from(set))).size,
+                keywords: Array.from(support.values()).filter(count => count >= this.config.minKeywordSupport).length,
+                rejections: rejections.size
+            };
+            KC.Logger?.info('CategorySuggestionService: modelo treinado', summary);
+            return summary;
+        }
+
+        /**
+         * Gera sugestões para arquivos sem categoria
+         * @param {string[]|null} fileIds - Arquivos a sugerir (padrão: todos sem categoria)
+         * @param {Object} options - { onProgress({ done, total }) }
+         * @returns {Promise<Array>} [{ fileId, fileName, suggestions: [{ categoryId, categoryName, confidence, sources }] }]
+         */
+        async suggest(fileIds = null, options = {}) {
+            await this.train();
+            const { labels } = this.model;
+
+            const files = (KC.AppState?.get('files') || []).filter(file => fileIds
+                ? fileIds.includes(file.id)
+                : !labels.has(file.id) && !file.archived);
+            const keywords = await this._getKeywords(files);
+
+            let useNeighbors = !!(KC.QdrantService && KC.EmbeddingService);
+            const results = [];
+
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                let neighborScores = null;
+
+                if (useNeighbors) {
+                    try {
+                        neighborScores = await this._scoreNeighbors(file);
+                    } catch (error) {
+                        // Qdrant fora do ar: segue só com keywords
+                        useNeighbors = false;
+                        KC.Logger?.warning('CategorySuggestionService: busca de vizinhos indisponível, usando só keywords', error.message);
+                    }
+                }
+
+                const keywordScores = this._scoreKeywords(keywords.get(file.id) || []);
+                const suggestions = this._combine(file.id, neighborScores, keywordScores);
+                this.suggestions.set(file.id, suggestions);
+                results.push({ fileId: file.id, fileName: file.name, suggestions });
+
+                options.onProgress?.({ done: i + 1, total: files.length });
+            }
+
+            await this._recordSuggestions(results);
+
+            KC.EventBus?.emit(KC.Events?.CATEGORY_SUGGESTIONS_READY || 'category:suggestions:ready', {
+                files: results.length,
+                suggested: results.filter(result => result.suggestions.length > 0).length
+            });
+
+            return results;
+        }
+
+        /**
+         * Sugestões pendentes de um arquivo (da última execução)
+         * @param {string} fileId
+         * @returns {Array}
+         */
+        getSuggestions(fileId) {
+            return this.suggestions.get(fileId) || [];
+        }
+
+        /**
+         * Aceita sugestões em lote
+         * @param {Array} items - [{ fileId, categoryId }]
+         * @returns {Promise<Object>} { accepted }
+         */
+        async acceptSuggestions(items) {
+            const byCategory = new Map();
+            items.forEach(({ fileId, categoryId }) => {
+                if (!byCategory.has(categoryId)) byCategory.set(categoryId, []);
+                byCategory.get(categoryId).push(fileId);
+            });
+
+            // CategoryManager emite FILE_CATEGORIZED e o TripleStoreManager grava categorizadoComo
+            let accepted = 0;
+            byCategory.forEach((fileIds, categoryId) => {
+                accepted += KC.CategoryManager.assignCategoryToFiles(fileIds, categoryId).updatedCount;
+            });
+
+            await this._resolveSuggestions(items, 'accepted');
+            return { accepted };
+        }
+
+        /**
+         * Rejeita sugestões em lote; cada rejeição entra no próximo treino
+         * @param {Array} items - [{ fileId, categoryId }]
+         * @param {Object} options - { userId }
+         * @returns {Promise<Object>} { rejected }
+         */
+        async rejectSuggestions(items, options = {}) {
+            const store = await this.getTripleStore();
+            let rejected = 0;
+
+            await this._batch(store, async () => {
+                for (const { fileId, categoryId } of items) {
+                    const exists = store.buscar({ legado: fileId, presente: 'categoriaRejeitada' })
+                        .some(tripla => tripla.objetivo.valor === categoryId);
+                    if (exists) continue;
+
+                    await store.adicionarTripla(fileId, 'categoriaRejeitada', categoryId, {
+                        fonte: 'curadoria_manual',
+                        confianca: 1.0,
+                        usuario: options.userId || 'sistema'
+                    });
+                    rejected++;
+                }
+            });
+
+            await this._resolveSuggestions(items, 'rejected');
+            return { rejected };
+        }
+
+        /**
+         * Pontua categorias pelos vizinhos no Qdrant
+         * @private
+         * @returns {Promise<Map|null>} categoryId -> voto (0..1); null sem vizinhos
+         */
+        async _scoreNeighbors(file) {
+            const text = this._getFileText(file).slice(0, this.config.neighborTextLength);
+            if (!text.trim()) return null;
+
+            // Vários chunks por documento: pede mais pontos e agrupa
+            const points = await KC.QdrantService.searchByText(text, { limit: this.config.neighbors * 3 });
+            const files = KC.AppState?.get('files') || [];
+
+            const neighbors = new Map();     // chave do documento -> { score, payload }
+            (points || []).forEach(point => {
+                const payload = point.payload || {};
+                const key = payload.documentId || payload.filePath || payload.fileName;
+                if (!key || key === file.id || key === file.path || payload.fileName === file.name) return;
+                if (!neighbors.has(key) || neighbors.get(key).score < point.score) {
+                    neighbors.set(key, { score: point.score, payload });
+                }
+            });
+
+            const top = Array.from(neighbors.values())
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.config.neighbors);
+            if (top.length === 0) return null;
+
+            const totalScore = top.reduce((sum, neighbor) => sum + neighbor.score, 0);
+            const votes = new Map();
+
+            top.forEach(({ score, payload }) => {
+                const match = files.find(candidate =>
+                    candidate.id === payload.documentId ||
+                    (payload.filePath && candidate.path === payload.filePath));
+
+                const categories = match && this.model.labels.has(match.id)
+                    ? Array.from(this.model.labels.get(match.id))
+                    : this._resolveCategories(payload.metadata?.categories || []);
+
+                categories.forEach(categoryId => {
+                    votes.set(categoryId, (votes.get(categoryId) || 0) + score / totalScore);
+                });
+            });
+
+            return votes;
+        }
+
+        /**
+         * Pontua categorias pela co-ocorrência das keywords
+         * @private
+         * @returns {Map} categoryId -> pontuação (0..1)
+         */
+        _scoreKeywords(keywords) {
+            const { cooccurrence, support } = this.model;
+            const known = keywords.filter(keyword => (support.get(keyword) || 0) >= this.config.minKeywordSupport);
+            const scores = new Map();
+            if (known.length === 0) return scores;
+
+            known.forEach(keyword => {
+                // P(categoria | keyword) com suavização de um arquivo
+                const total = support.get(keyword) + 1;
+                cooccurrence.get(keyword).forEach((weight, categoryId) => {
+                    if (weight <= 0) return;
+                    scores.set(categoryId, (scores.get(categoryId) || 0) + weight / total);
+                });
+            });
+
+            scores.forEach((score, categoryId) => scores.set(categoryId, score / known.length));
+            return scores;
+        }
+
+        /**
+         * Combina os dois sinais, descarta rejeições e aplica limites
+         * @private
+         */
+        _combine(fileId, neighborScores, keywordScores) {
+            const weight = neighborScores ? this.config.knnWeight : 0;
+            const categoryIds = new Set([
+                ...(neighborScores ? neighborScores.keys() : []),
+                ...keywordScores.keys()
+            ]);
+
+            return Array.from(categoryIds)
+                .filter(categoryId => KC.CategoryManager?.getCategoryById(categoryId))
+                .filter(categoryId => !this.model.rejections.has(this._pairKey(fileId, categoryId)))
+                .map(categoryId => {
+                    const knn = neighborScores?.get(categoryId) || 0;
+                    const keywords = keywordScores.get(categoryId) || 0;
+                    return {
+                        categoryId,
+                        categoryName: KC.CategoryManager.getCategoryById(categoryId).name,
+                        confidence: Math.round(Math.min(1, weight * knn + (1 - weight) * keywords) * 100) / 100,
+                        sources: { neighbors: Math.round(knn * 100) / 100, keywords: Math.round(keywords * 100) / 100 }
+                    };
+                })
+                .filter(suggestion => suggestion.confidence >= this.config.minConfidence)
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, this.config.maxSuggestions);
+        }
+
+        /**
+         * Substitui as triplas sugeridaCategoria dos arquivos processados
+         * @private
+         */
+        async _recordSuggestions(results) {
+            const store = await this.getTripleStore();
+            if (!store) return;
+
+            await this._batch(store, async () => {
+                for (const { fileId, suggestions } of results) {
+                    await this._removeSuggestionTriples(store, fileId);
+
+                    for (const suggestion of suggestions) {
+                        await store.adicionarTripla(fileId, 'sugeridaCategoria', suggestion.categoryId, {
+                            fonte: FONTE_SUGESTAO,
+                            confianca: suggestion.confidence,
+                            sinais: suggestion.sources
+                        });
+                    }
+                }
+            });
+        }
+
+        /**
+         * Remove sugestões revisadas (aceitas ou rejeitadas) e avisa a interface
+         * @private
+         */
+        async _resolveSuggestions(items, decision) {
+            const store = await this.getTripleStore();
+
+            await this._batch(store, async () => {
+                for (const { fileId, categoryId } of items) {
+                    await this._removeSuggestionTriples(store, fileId, categoryId);
+                    const remaining = this.getSuggestions(fileId).filter(s => s.categoryId !== categoryId);
+                    this.suggestions.set(fileId, remaining);
+                }
+            });
+
+            KC.EventBus?.emit(KC.Events?.CATEGORY_SUGGESTIONS_REVIEWED || 'category:suggestions:reviewed', {
+                decision,
+                items
+            });
+        }
+
+        /**
+         * @private
+         */
+        async _removeSuggestionTriples(store, fileId, categoryId = null) {
+            const triplas = store.buscar({ legado: fileId, presente: 'sugeridaCategoria' })
+                .filter(tripla => tripla.metadados.fonte === FONTE_SUGESTAO)
+                .filter(tripla => !categoryId || tripla.objetivo.valor === categoryId);
+
+            for (const tripla of triplas) {
+                await store.removerTripla(tripla.id);
+            }
+        }
+
+        /**
+         * Executa várias escritas no TripleStore salvando uma única vez
+         * @private
+         */
+        async _batch(store, work) {
+            if (!store) return;
+
+            const autoSave = store.config.autoSave;
+            store.config.autoSave = false;
+            try {
+                await work();
+            } finally {
+                store.config.autoSave = autoSave;
+                if (autoSave) await store.saveToStorage();
+            }
+        }
+
+        /**
+         * Keywords por arquivo, extraídas fora da thread principal quando possível
+         * @private
+         * @returns {Promise<Map>} fileId -> string[]
+         */
+        async _getKeywords(files) {
+            const pending = files.filter(file => {
+                const cached = this._keywordCache.get(file.id);
+                return !cached || cached.length !== this._getFileText(file).length;
+            });
+
+            if (pending.length > 0 && KC.KeywordExtractor) {
+                const extractor = new KC.KeywordExtractor();
+                const extracted = await extractor.extractBatch(pending.map(file => this._getFileText(file)));
+
+                pending.forEach((file, index) => {
+                    const result = extracted[index] || {};
+                    const keywords = [...(result.keywords || []), ...(result.topics || [])]
+                        .map(keyword => String(keyword).toLowerCase());
+                    this._keywordCache.set(file.id, {
+                        length: this._getFileText(file).length,
+                        keywords: Array.from(new Set(keywords))
+                    });
+                });
+            }
+
+            return new Map(files.map(file => [file.id, this._keywordCache.get(file.id)?.keywords || []]));
+        }
+
+        /**
+         * @private
+         */
+        _getFileText(file) {
+            if (file.content) return file.content;
+            if (typeof file.preview === 'string') return file.preview;
+            return file.preview ? (KC.PreviewUtils?.getTextPreview(file.preview) || '') : '';
+        }
+
+        /**
+         * IDs de categorias a partir de IDs, nomes ou objetos { id, name }
+         * @private
+         */
+        _resolveCategories(entries) {
+            const manager = KC.CategoryManager;
+            if (!manager || !Array.isArray(entries)) return [];
+
+            const ids = entries.map(entry => {
+                if (entry && typeof entry === 'object') {
+                    return manager.getCategoryById(entry.id)?.id || manager.getCategoryByName(entry.name)?.id;
+                }
+                return manager.getCategoryById(entry)?.id || manager.getCategoryByName(entry)?.id;
+            });
+
+            return Array.from(new Set(ids.filter(Boolean)));
+        }
+
+        /**
+         * @private
+         */
+        _pairKey(fileId, categoryId) {
+            return `${fileId}|${categoryId}`;
+        }
+    }
+
+    KC.CategorySuggestionService = new CategorySuggestionService();
+
+})(window);
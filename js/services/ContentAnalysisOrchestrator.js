@@ -24,9 +24,9 @@
             this.capabilities = {
                 '.md': { supported: true, extractor: 'markdown', confidence: 0.95 },
                 '.txt': { supported: true, extractor: 'plaintext', confidence: 0.98 },
-                '.pdf': { supported: false, extractor: 'pending_ocr', confidence: 0 },
-                '.docx': { supported: false, extractor: 'pending_parser', confidence: 0 },
-                '.xlsx': { supported: false, extractor: 'pending_tabular', confidence: 0 },
+                '.pdf': { supported: true, extractor: 'document', confidence: 0.90 },
+                '.docx': { supported: true, extractor: 'document', confidence: 0.85 },
+                '.xlsx': { supported: true, extractor: 'document', confidence: 0.90 },
                 '.pst': { supported: false, extractor: 'pending_email', confidence: 0 },
                 '.doc': { supported: false, extractor: 'pending_legacy', confidence: 0 },
                 '.pptx': { supported: false, extractor: 'pending_presentation', confidence: 0 },
@@ -676,6 +676,18 @@
                 }
             });
 
+            // Formatos binários delegados ao DocumentExtractors (PDF, DOCX, XLSX)
+            this.extractors.set('document', async (file) => {
+                if (!KC.DocumentExtractors) {
+                    throw new Error('DocumentExtractors não disponível');
+                }
+                const result = await KC.DocumentExtractors.extract(file);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                return result.content;
+            });
+
             // Placeholder extractors para formatos futuros
             ['pending_ocr', 'pending_parser', 'pending_tabular', 'pending_email', 'pending_legacy', 'pending_presentation'].forEach(type => {
                 this.extractors.set(type, async (file) => {
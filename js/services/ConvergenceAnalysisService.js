@@ -84,7 +84,7 @@
                 const documentsWithEmbeddings = await this._generateDocumentEmbeddings(documents);
                 
                 // 2. Calcular matriz de similaridade
-                const similarityMatrix = this._cosineSimilarityMatrix(documentsWithEmbeddings);
+                const similarityMatrix = await this._cosineSimilarityMatrix(documentsWithEmbeddings);
                 
                 // 3. Detectar cadeias de convergência
                 const convergenceChains = this._detectConvergenceChains(documentsWithEmbeddings, similarityMatrix);
@@ -205,8 +205,36 @@
 
         /**
          * Calcula matriz de similaridade entre documentos
+         * Roda no KC.workerPool (tarefa 'vectors.cosineMatrix') com os embeddings
+         * transferidos num único Float32Array; cada linha é uma view da matriz
+         * retornada, então matrix[i][j] continua valendo.
          */
-        _cosineSimilarityMatrix(documents) {
+        async _cosineSimilarityMatrix(documents) {
+            const n = documents.length;
+            const dimension = documents[0]?.embedding?.length || 0;
+
+            if (KC.workerPool && n > 1 && documents.every(doc => doc.embedding?.length === dimension)) {
+                const vectors = new Float32Array(n * dimension);
+                documents.forEach((doc, i) => vectors.set(doc.embedding, i * dimension));
+
+                try {
+                    const { matrix } = await KC.workerPool.execute('vectors.cosineMatrix',
+                        { vectors, count: n, dimension },
+                        { transfer: [vectors.buffer] }
+                    );
+                    return Array.from({ length: n }, (_, i) => matrix.subarray(i * n, (i + 1) * n));
+                } catch (error) {
+                    KC.Logger.warning('ConvergenceAnalysisService', 'Worker falhou, calculando matriz na thread principal', error.message);
+                }
+            }
+
+            return this._cosineSimilarityMatrixSync(documents);
+        }
+
+        /**
+         * @private
+         */
+        _cosineSimilarityMatrixSync(documents) {
             const n = documents.length;
             const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
             
@@ -3,6 +3,12 @@
  * 
  * Sistema de extração de conteúdo para PDF, DOCX, XLSX, PST etc.
  * Versão inicial com capacidades básicas e preparação para bibliotecas futuras
+ *
+ * Imagens (screenshots, fotos de quadro branco, páginas escaneadas) viram
+ * descrição + transcrição por um provider multimodal (AIAPIManager.describeImage)
+ * ou texto via OCR local (tesseract.js), conforme imageConfig.mode.
+ * O resultado fica em cache pelo hash dos bytes da imagem (localStorage), então
+ * reler a mesma imagem (retomada da fila, nova descoberta) não repete a chamada.
  */
 
 (function(window) {
@@ -24,10 +30,10 @@
                 '.html': { supported: true, method: 'native', confidence: 95 },
                 '.xml': { supported: true, method: 'native', confidence: 90 },
                 '.csv': { supported: true, method: 'native', confidence: 95 },
-                '.pdf': { supported: false, method: 'pdf.js', confidence: 0, futureSupport: true },
-                '.docx': { supported: false, method: 'mammoth.js', confidence: 0, futureSupport: true },
+                '.pdf': { supported: true, method: 'pdf.js', confidence: 90, binary: true },
+                '.docx': { supported: true, method: 'mammoth.js', confidence: 85, binary: true },
                 '.doc': { supported: false, method: 'legacy', confidence: 0, futureSupport: false },
-                '.xlsx': { supported: false, method: 'sheetjs', confidence: 0, futureSupport: true },
+                '.xlsx': { supported: true, method: 'sheetjs', confidence: 90, binary: true },
                 '.xls': { supported: false, method: 'legacy', confidence: 0, futureSupport: false },
                 '.pptx': { supported: false, method: 'pptxgenjs', confidence: 0, futureSupport: true },
                 '.ppt': { supported: false, method: 'legacy', confidence: 0, futureSupport: false },
@@ -35,9 +41,45 @@
                 '.msg': { supported: false, method: 'msg-reader', confidence: 0, futureSupport: true },
                 '.eml': { supported: true, method: 'native-email', confidence: 85 },
                 '.rtf': { supported: false, method: 'rtf-parser', confidence: 0, futureSupport: true },
-                '.odt': { supported: false, method: 'odf-parser', confidence: 0, futureSupport: true }
+                '.odt': { supported: false, method: 'odf-parser', confidence: 0, futureSupport: true },
+                '.png': { supported: true, method: 'vision/ocr', confidence: 70, binary: true, image: true },
+                '.jpg': { supported: true, method: 'vision/ocr', confidence: 70, binary: true, image: true },
+                '.jpeg': { supported: true, method: 'vision/ocr', confidence: 70, binary: true, image: true },
+                '.webp': { supported: true, method: 'vision/ocr', confidence: 70, binary: true, image: true }
             };
 
+            // Imagens: 'auto' usa provider multimodal se configurado e cai para OCR local
+            this.imageConfig = {
+                mode: 'auto',               // auto | vision | ocr
+                ocrLanguages: 'por+eng',
+                cacheSize: 500              // Extrações de imagem mantidas em cache
+            };
+            this.ocrWorker = null;
+            this.imageCacheKey = 'kc_image_extractions';
+            this.imageCache = null;         // 'hash:vision|ocr' -> resultado (carregado sob demanda)
+
+            // Bibliotecas externas carregadas sob demanda
+            this.libraries = {
+                pdfjs: {
+                    global: 'pdfjsLib',
+                    url: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+                    workerUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
+                },
+                mammoth: {
+                    global: 'mammoth',
+                    url: 'https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js'
+                },
+                sheetjs: {
+                    global: 'XLSX',
+                    url: 'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js'
+                },
+                tesseract: {
+                    global: 'Tesseract',
+                    url: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js'
+                }
+            };
+            this.libraryLoaders = new Map();
+
             // Estatísticas de extração
             this.stats = {
                 totalExtractions: 0,
@@ -57,6 +99,9 @@
             // Registra extractors nativos
             this.registerNativeExtractors();
             
+            // Registra extractors baseados em bibliotecas externas
+            this.registerLibraryExtractors();
+            
             // Prepara para extractors futuros
             this.prepareFutureExtractors();
             
@@ -117,39 +162,36 @@
         }
 
         /**
-         * Prepara extractors futuros (placeholders)
+         * Registra extractors que dependem de bibliotecas carregadas sob demanda
          */
-        prepareFutureExtractors() {
-            // PDF - Preparação para pdf.js
+        registerLibraryExtractors() {
+            // PDF - texto por página via pdf.js
             this.registerExtractor('.pdf', async (file) => {
-                return this.createPlaceholderExtraction(file, 'PDF', {
-                    library: 'pdf.js',
-                    url: 'https://mozilla.github.io/pdf.js/',
-                    complexity: 'alta',
-                    estimatedContent: this.estimatePDFContent(file)
-                });
+                return await this.extractTextFromPDF(file);
             });
 
-            // DOCX - Preparação para mammoth.js
+            // DOCX - títulos viram headings Markdown, tabelas são preservadas
             this.registerExtractor('.docx', async (file) => {
-                return this.createPlaceholderExtraction(file, 'Word', {
-                    library: 'mammoth.js',
-                    url: 'https://github.com/mwilliamson/mammoth.js',
-                    complexity: 'média',
-                    estimatedContent: this.estimateDOCXContent(file)
-                });
+                return await this.extractTextFromDOCX(file);
             });
 
-            // XLSX - Preparação para SheetJS
+            // XLSX - uma seção rotulada por planilha
             this.registerExtractor('.xlsx', async (file) => {
-                return this.createPlaceholderExtraction(file, 'Excel', {
-                    library: 'SheetJS',
-                    url: 'https://sheetjs.com/',
-                    complexity: 'média',
-                    estimatedContent: this.estimateXLSXContent(file)
+                return await this.extractTextFromXLSX(file);
+            });
+
+            // Imagens - provider multimodal ou OCR local
+            ['.png', '.jpg', '.jpeg', '.webp'].forEach(extension => {
+                this.registerExtractor(extension, async (file) => {
+                    return await this.extractTextFromImage(file);
                 });
             });
+        }
 
+        /**
+         * Prepara extractors futuros (placeholders)
+         */
+        prepareFutureExtractors() {
             // PST - Preparação para libpst.js
             this.registerExtractor('.pst', async (file) => {
                 return this.createPlaceholderExtraction(file, 'Outlook', {
@@ -188,12 +230,14 @@
                 // Atualiza estatísticas
                 this.updateStats(extension, true, Date.now() - startTime);
 
+                const isStructured = result !== null && typeof result === 'object';
+
                 return {
                     success: true,
-                    content: result.content || result,
-                    metadata: result.metadata || {},
+                    content: isStructured ? (result.content || '') : result,
+                    metadata: (isStructured && result.metadata) || {},
                     confidence: this.capabilities[extension]?.confidence || 0,
-                    method: this.capabilities[extension]?.method || 'unknown',
+                    method: (isStructured && result.method) || this.capabilities[extension]?.method || 'unknown',
                     extractionTime: Date.now() - startTime
                 };
 
@@ -229,6 +273,511 @@
             }
         }
 
+        /**
+         * Extrai conteúdo binário (ArrayBuffer)
+         */
+        async extractArrayBuffer(file) {
+            if (file.handle && file.handle.getFile) {
+                const fileObj = await file.handle.getFile();
+                return await fileObj.arrayBuffer();
+            } else if (typeof file.arrayBuffer === 'function') {
+                return await file.arrayBuffer();
+            } else if (file.content instanceof ArrayBuffer) {
+                return file.content;
+            } else if (ArrayBuffer.isView(file.content)) {
+                const view = file.content;
+                return view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+            } else {
+                throw new Error('Não foi possível acessar o conteúdo binário do arquivo');
+            }
+        }
+
+        /**
+         * Carrega uma biblioteca externa sob demanda (uma única vez)
+         */
+        loadLibrary(name) {
+            const library = this.libraries[name];
+            if (!library) {
+                return Promise.reject(new Error(`Biblioteca desconhecida: ${name}`));
+            }
+            if (window[library.global]) {
+                return Promise.resolve(window[library.global]);
+            }
+
+            if (!this.libraryLoaders.has(name)) {
+                const loader = new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = library.url;
+                    script.async = true;
+                    script.onload = () => {
+                        if (window[library.global]) {
+                            resolve(window[library.global]);
+                        } else {
+                            reject(new Error(`Biblioteca ${name} carregada sem expor ${library.global}`));
+                        }
+                    };
+                    script.onerror = () => reject(new Error(`Falha ao carregar ${name} de ${library.url}`));
+                    document.head.appendChild(script);
+                }).catch(error => {
+                    // Permite nova tentativa em uma próxima extração
+                    this.libraryLoaders.delete(name);
+                    throw error;
+                });
+                this.libraryLoaders.set(name, loader);
+            }
+
+            return this.libraryLoaders.get(name);
+        }
+
+        /**
+         * Extrai texto de PDF página a página
+         * Retorna offsets de cada página dentro do conteúdo concatenado
+         */
+        async extractTextFromPDF(file) {
+            const pdfjsLib = await this.loadLibrary('pdfjs');
+            if (pdfjsLib.GlobalWorkerOptions && !pdfjsLib.GlobalWorkerOptions.workerSrc) {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = this.libraries.pdfjs.workerUrl;
+            }
+
+            const data = await this.extractArrayBuffer(file);
+            const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(data) }).promise;
+
+            try {
+                const pages = [];
+                let content = '';
+
+                for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                    const page = await pdf.getPage(pageNumber);
+                    const textContent = await page.getTextContent();
+                    const text = this.joinPDFTextItems(textContent.items);
+
+                    if (content) content += '\n\n';
+                    const start = content.length;
+                    content += text;
+
+                    pages.push({ pageNumber, text, start, end: content.length });
+                    if (page.cleanup) page.cleanup();
+                }
+
+                const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+
+                return {
+                    content: content,
+                    metadata: {
+                        type: 'PDF',
+                        title: info.Title || '',
+                        author: info.Author || '',
+                        subject: info.Subject || '',
+                        creationDate: this.parsePDFDate(info.CreationDate),
+                        modificationDate: this.parsePDFDate(info.ModDate),
+                        pageCount: pdf.numPages,
+                        pages: pages,
+                        hasTextLayer: content.trim().length > 0
+                    }
+                };
+            } finally {
+                if (pdf.destroy) pdf.destroy();
+            }
+        }
+
+        /**
+         * Junta os itens de texto de uma página do pdf.js
+         */
+        joinPDFTextItems(items) {
+            let text = '';
+            items.forEach(item => {
+                // Itens sem "str" são marcações de conteúdo
+                if (typeof item.str !== 'string') return;
+                text += item.str;
+                if (item.hasEOL) text += '\n';
+            });
+            return text.replace(/[ \t]+\n/g, '\n').trim();
+        }
+
+        /**
+         * Converte data PDF (D:YYYYMMDDHHmmSSOHH'mm') para ISO
+         */
+        parsePDFDate(pdfDate) {
+            if (!pdfDate || typeof pdfDate !== 'string') return '';
+
+            const match = pdfDate.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+\-])?(\d{2})?'?(\d{2})?/);
+            if (!match) return '';
+
+            const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+            const offset = !sign || sign.toUpperCase() === 'Z' ? 'Z' : `${sign}${tzHour}:${tzMinute}`;
+            const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+
+            return isNaN(date.getTime()) ? '' : date.toISOString();
+        }
+
+        /**
+         * Extrai DOCX preservando estrutura (headings e tabelas) em Markdown
+         */
+        async extractTextFromDOCX(file) {
+            const mammoth = await this.loadLibrary('mammoth');
+            const arrayBuffer = await this.extractArrayBuffer(file);
+            const result = await mammoth.convertToHtml({ arrayBuffer });
+
+            const markdown = this.htmlToMarkdown(result.value);
+            const enhanced = this.enhanceMarkdownContent(markdown);
+
+            return {
+                content: markdown,
+                metadata: {
+                    type: 'Word',
+                    ...enhanced.metadata,
+                    conversionWarnings: (result.messages || [])
+                        .filter(message => message.type === 'warning')
+                        .map(message => message.message)
+                }
+            };
+        }
+
+        /**
+         * Extrai XLSX com uma seção rotulada por planilha
+         * A primeira linha não vazia de cada planilha é tratada como cabeçalho
+         */
+        async extractTextFromXLSX(file) {
+            const XLSX = await this.loadLibrary('sheetjs');
+            const data = await this.extractArrayBuffer(file);
+            const workbook = XLSX.read(new Uint8Array(data), { type: 'array', cellDates: true });
+
+            const sections = [];
+            const sheets = [];
+            let content = '';
+
+            workbook.SheetNames.forEach(sheetName => {
+                const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+                    header: 1,
+                    blankrows: false,
+                    defval: '',
+                    raw: false
+                });
+
+                const section = [`## Planilha: ${sheetName}`, '', this.rowsToMarkdownTable(rows)].join('\n').trim();
+
+                if (content) content += '\n\n';
+                const start = content.length;
+                content += section;
+                sections.push(section);
+
+                sheets.push({
+                    name: sheetName,
+                    rows: rows.length,
+                    columns: rows.reduce((max, row) => Math.max(max, row.length), 0),
+                    headers: rows[0] ? rows[0].map(cell => String(cell)) : [],
+                    start,
+                    end: content.length
+                });
+            });
+
+            const props = workbook.Props || {};
+
+            return {
+                content: content,
+                metadata: {
+                    type: 'Excel',
+                    title: props.Title || '',
+                    author: props.Author || '',
+                    creationDate: props.CreatedDate ? new Date(props.CreatedDate).toISOString() : '',
+                    sheetCount: workbook.SheetNames.length,
+                    sheets: sheets
+                }
+            };
+        }
+
+        /**
+         * Converte linhas (arrays de células) em tabela Markdown
+         */
+        rowsToMarkdownTable(rows) {
+            if (!rows || rows.length === 0) return '';
+
+            const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            if (columns === 0) return '';
+
+            const formatRow = (row) => {
+                const cells = [];
+                for (let i = 0; i < columns; i++) {
+                    const value = row[i] === undefined || row[i] === null ? '' : String(row[i]);
+                    cells.push(value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ').trim());
+                }
+                return `| ${cells.join(' | ')} |`;
+            };
+
+            const lines = [formatRow(rows[0]), `| ${new Array(columns).fill('---').join(' | ')} |`];
+            rows.slice(1).forEach(row => lines.push(formatRow(row)));
+
+            return lines.join('\n');
+        }
+
+        /**
+         * Extrai conteúdo de imagem: descrição + texto pelo provider multimodal
+         * ou texto por OCR local. No modo 'auto' falhas do provider caem para o OCR.
+         */
+        async extractTextFromImage(file) {
+            const data = await this.extractArrayBuffer(file);
+            const mimeType = this.getImageMimeType(file.name);
+            const mode = this.imageConfig.mode;
+            const visionProvider = mode === 'ocr' ? null : KC.AIAPIManager?.getVisionProvider();
+
+            if (mode === 'vision' && !visionProvider) {
+                throw new Error('Nenhum provider multimodal configurado para análise de imagens');
+            }
+
+            // Resultado de OCR não substitui a visão: cada método tem sua entrada
+            const hash = await this.hashBytes(data);
+            const cached = this.getCachedImageExtraction(`${hash}:${visionProvider ? 'vision' : 'ocr'}`);
+            if (cached) {
+                return this.buildImageExtraction(file, cached);
+            }
+
+            if (visionProvider) {
+                try {
+                    const result = await KC.AIAPIManager.describeImage(
+                        { data: this.arrayBufferToBase64(data), mimeType },
+                        { provider: visionProvider, fileName: file.name }
+                    );
+
+                    const vision = {
+                        method: 'vision',
+                        imageType: result.imageType,
+                        description: result.description,
+                        text: result.text,
+                        provider: result.provider,
+                        model: result.model
+                    };
+                    this.cacheImageExtraction(`${hash}:vision`, vision);
+                    return this.buildImageExtraction(file, vision);
+                } catch (error) {
+                    if (mode === 'vision') throw error;
+                    Logger.warning('DocumentExtractors', `Análise de imagem falhou com ${visionProvider}, usando OCR local`, {
+                        file: file.name,
+                        error: error.message
+                    });
+                }
+            }
+
+            const ocr = await this.recognizeImageText(new Blob([data], { type: mimeType }));
+            const result = {
+                method: 'ocr',
+                text: ocr.text,
+                ocrConfidence: ocr.confidence
+            };
+            this.cacheImageExtraction(`${hash}:ocr`, result);
+            return this.buildImageExtraction(file, result);
+        }
+
+        /**
+         * Extração de imagem em cache (null se ausente)
+         */
+        getCachedImageExtraction(key) {
+            if (!this.imageCache) {
+                try {
+                    this.imageCache = new Map(JSON.parse(localStorage.getItem(this.imageCacheKey) || '[]'));
+                } catch (error) {
+                    this.imageCache = new Map();
+                }
+            }
+            return this.imageCache.get(key) || null;
+        }
+
+        /**
+         * Guarda uma extração de imagem, descartando as mais antigas acima de cacheSize
+         */
+        cacheImageExtraction(key, result) {
+            this.getCachedImageExtraction(key);
+            this.imageCache.delete(key);
+            this.imageCache.set(key, result);
+
+            while (this.imageCache.size > this.imageConfig.cacheSize) {
+                this.imageCache.delete(this.imageCache.keys().next().value);
+            }
+
+            try {
+                localStorage.setItem(this.imageCacheKey, JSON.stringify(Array.from(this.imageCache.entries())));
+            } catch (error) {
+                Logger.warning('DocumentExtractors', 'Não foi possível persistir o cache de imagens', error.message);
+            }
+        }
+
+        /**
+         * Hash SHA-256 (hex) dos bytes; sem Web Crypto, djb2 com o tamanho
+         */
+        async hashBytes(data) {
+            const bytes = new Uint8Array(data);
+            if (window.crypto?.subtle?.digest) {
+                const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+                return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+            }
+
+            let hash = 5381;
+            for (let i = 0; i < bytes.length; i++) {
+                hash = ((hash << 5) + hash + bytes[i]) | 0;
+            }
+            return `djb2-${bytes.length}-${(hash >>> 0).toString(16)}`;
+        }
+
+        /**
+         * OCR local com tesseract.js (worker reaproveitado entre imagens)
+         * @returns {Promise<{text: string, confidence: number}>}
+         */
+        async recognizeImageText(image) {
+            const Tesseract = await this.loadLibrary('tesseract');
+
+            if (!this.ocrWorker) {
+                this.ocrWorker = Tesseract.createWorker(this.imageConfig.ocrLanguages).catch(error => {
+                    this.ocrWorker = null;
+                    throw error;
+                });
+            }
+
+            const worker = await this.ocrWorker;
+            const { data } = await worker.recognize(image);
+            return {
+                text: (data.text || '').replace(/[ \t]+\n/g, '\n').trim(),
+                confidence: Math.round(data.confidence || 0)
+            };
+        }
+
+        /**
+         * Encerra o worker de OCR (libera memória dos modelos de idioma)
+         */
+        async terminateOCR() {
+            if (!this.ocrWorker) return;
+            const worker = await this.ocrWorker.catch(() => null);
+            this.ocrWorker = null;
+            if (worker) await worker.terminate();
+        }
+
+        /**
+         * Monta o conteúdo Markdown de uma imagem (descrição + texto) e seus metadados
+         */
+        buildImageExtraction(file, result) {
+            const sections = [`# Imagem: ${file.name}`];
+            if (result.description) {
+                sections.push(`## Descrição\n\n${result.description.trim()}`);
+            }
+            if (result.text && result.text.trim()) {
+                sections.push(`## Texto na imagem\n\n${result.text.trim()}`);
+            }
+
+            return {
+                content: sections.length > 1 ? sections.join('\n\n') : '',
+                method: result.method === 'vision' ? `vision:${result.provider}` : 'tesseract.js',
+                metadata: {
+                    type: 'Imagem',
+                    mimeType: this.getImageMimeType(file.name),
+                    imageType: result.imageType || null,
+                    extraction: result.method,
+                    provider: result.provider || null,
+                    model: result.model || null,
+                    ocrConfidence: result.ocrConfidence ?? null,
+                    hasText: !!(result.text && result.text.trim())
+                }
+            };
+        }
+
+        /**
+         * MIME type pela extensão da imagem
+         */
+        getImageMimeType(fileName) {
+            const extension = this.getFileExtension(fileName);
+            return {
+                '.png': 'image/png',
+                '.webp': 'image/webp'
+            }[extension] || 'image/jpeg';
+        }
+
+        /**
+         * Converte ArrayBuffer em base64 (em blocos, sem estourar a pilha)
+         */
+        arrayBufferToBase64(buffer) {
+            const bytes = new Uint8Array(buffer);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+
+        /**
+         * Converte HTML (saída do mammoth) em Markdown
+         * Mantém headings, listas e tabelas para o chunking semântico
+         */
+        htmlToMarkdown(html) {
+            const container = document.createElement('div');
+            container.innerHTML = html;
+
+            const blocks = [];
+            Array.from(container.childNodes).forEach(node => {
+                const block = this.nodeToMarkdown(node, 0);
+                if (block && block.trim()) blocks.push(block.trim());
+            });
+
+            return blocks.join('\n\n');
+        }
+
+        /**
+         * Converte um nó HTML em bloco Markdown
+         * @private
+         */
+        nodeToMarkdown(node, depth) {
+            if (node.nodeType === 3) { // TEXT_NODE
+                return node.textContent.replace(/\s+/g, ' ');
+            }
+            if (node.nodeType !== 1) return '';
+
+            const tag = node.tagName.toLowerCase();
+            const headingMatch = tag.match(/^h([1-6])$/);
+
+            if (headingMatch) {
+                return `${'#'.repeat(Number(headingMatch[1]))} ${this.inlineText(node)}`;
+            }
+
+            switch (tag) {
+                case 'p':
+                    return this.inlineText(node);
+                case 'br':
+                    return '\n';
+                case 'ul':
+                case 'ol':
+                    return Array.from(node.children)
+                        .filter(child => child.tagName.toLowerCase() === 'li')
+                        .map((item, index) => {
+                            const marker = tag === 'ol' ? `${index + 1}.` : '-';
+                            const nested = Array.from(item.children)
+                                .filter(child => ['ul', 'ol'].includes(child.tagName.toLowerCase()))
+                                .map(child => this.nodeToMarkdown(child, depth + 1));
+                            const text = Array.from(item.childNodes)
+                                .filter(child => !(child.nodeType === 1 && ['ul', 'ol'].includes(child.tagName.toLowerCase())))
+                                .map(child => child.textContent)
+                                .join('')
+                                .replace(/\s+/g, ' ')
+                                .trim();
+                            return [`${'  '.repeat(depth)}${marker} ${text}`, ...nested].join('\n');
+                        })
+                        .join('\n');
+                case 'table': {
+                    const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+                        Array.from(row.children).map(cell => this.inlineText(cell))
+                    );
+                    return this.rowsToMarkdownTable(rows);
+                }
+                default:
+                    return Array.from(node.childNodes)
+                        .map(child => this.nodeToMarkdown(child, depth))
+                        .join('');
+            }
+        }
+
+        /**
+         * Texto de um elemento com espaços normalizados
+         * @private
+         */
+        inlineText(node) {
+            return (node.textContent || '').replace(/\s+/g, ' ').trim();
+        }
+
         /**
          * Melhora conteúdo Markdown
          */
@@ -245,6 +794,8 @@
                 }
             };
 
+            let inTable = false;
+
             lines.forEach(line => {
                 // Headers
                 if (line.match(/^#{1,6}\s+/)) {
@@ -263,10 +814,12 @@
                 if (line.match(/^[\*\-\+]\s+/) || line.match(/^\d+\.\s+/)) {
                     enhanced.metadata.lists++;
                 }
-                // Tables
-                if (line.includes('|') && line.match(/\|.*\|.*\|/)) {
+                // Tables: linhas consecutivas com | formam uma única tabela
+                const isTableRow = /\|.*\|.*\|/.test(line);
+                if (isTableRow && !inTable) {
                     enhanced.metadata.tables++;
                 }
+                inTable = isTableRow;
             });
 
             return enhanced;
@@ -442,45 +995,6 @@ Baseado nas características do arquivo, este documento provavelmente contém:
             };
         }
 
-        /**
-         * Estima conteúdo de PDF
-         */
-        estimatePDFContent(file) {
-            const pages = Math.max(1, Math.floor(file.size / 3000)); // Estimativa grosseira
-            return `
-📄 ESTIMATIVA DE CONTEÚDO PDF
-- Páginas estimadas: ~${pages}
-- Possível conteúdo: Documentos, relatórios, apresentações
-- Valor potencial: ALTO (documentos formais geralmente contêm decisões importantes)
-            `;
-        }
-
-        /**
-         * Estima conteúdo de DOCX
-         */
-        estimateDOCXContent(file) {
-            const pages = Math.max(1, Math.floor(file.size / 5000));
-            return `
-📝 ESTIMATIVA DE CONTEÚDO WORD
-- Páginas estimadas: ~${pages}
-- Possível conteúdo: Documentos elaborados, contratos, propostas
-- Valor potencial: MUITO ALTO (documentos Word geralmente são bem estruturados)
-            `;
-        }
-
-        /**
-         * Estima conteúdo de XLSX
-         */
-        estimateXLSXContent(file) {
-            const sheets = Math.max(1, Math.floor(file.size / 50000));
-            return `
-📊 ESTIMATIVA DE CONTEÚDO EXCEL
-- Planilhas estimadas: ~${sheets}
-- Possível conteúdo: Dados financeiros, análises, métricas
-- Valor potencial: ALTO (dados estruturados e análises)
-            `;
-        }
-
         /**
          * Estima conteúdo de PST
          */
@@ -503,6 +1017,14 @@ Baseado nas características do arquivo, este documento provavelmente contém:
             return this.capabilities[extension]?.supported || false;
         }
 
+        /**
+         * Verifica se o tipo exige leitura binária (não pode usar file.text())
+         */
+        isBinaryFormat(fileName) {
+            const extension = this.getFileExtension(fileName);
+            return !!this.capabilities[extension]?.binary && this.extractors.has(extension);
+        }
+
         /**
          * Obtém informações de capacidade
          */
@@ -0,0 +1,270 @@
+/**
+ * EmbeddingMigrationService.js - Re-embed guiado de uma coleção do Qdrant
+ *
+ * Migra a coleção ativa de um modelo de embedding para outro sem misturar
+ * vetores: os pontos são re-gerados numa coleção NOVA e só depois o perfil
+ * passa a apontar para ela. A coleção de origem é preservada para rollback.
+ * Com o mesmo modelo, serve para criar o vetor esparso (busca híbrida) em
+ * coleções antigas, que o Qdrant não permite adicionar no lugar.
+ *
+ * Fluxo (cada etapa é um método, para ser conduzido pela interface ou console):
+ *   1. plan({ provider, model })  - mede a dimensão do novo modelo e descreve as etapas
+ *   2. run(plan)                  - cria a coleção destino e re-gera todos os pontos
+ *   3. activate(plan)             - ativa o novo modelo e a nova coleção no perfil
+ *
+ * AIDEV-NOTE: embedding-migration; nunca escreve na coleção de origem
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class EmbeddingMigrationService {
+        constructor() {
+            this.config = {
+                pageSize: 64,           // Pontos lidos por página da origem
+                probeText: 'Knowledge Consolidator - medição de dimensão do modelo'
+            };
+
+            this.currentPlan = null;
+        }
+
+        /**
+         * Planeja a migração da coleção ativa para outro modelo
+         * @param {Object} target
+         * @param {string} target.provider - Provider registrado no EmbeddingService
+         * @param {string} [target.model] - Modelo (padrão: configurado no provider)
+         * @param {Object} [target.settings] - url/apiKey/dimensions do provider
+         * @param {string} [target.collection] - Nome da coleção destino
+         * @returns {Promise<Object>} Plano
+         */
+        async plan(target) {
+            const qdrant = KC.QdrantService;
+            const embedding = KC.EmbeddingService;
+
+            if (!qdrant.initialized) await qdrant.initialize();
+
+            const sourceCollection = qdrant.config.collectionName;
+            const sourceModel = await qdrant.getCollectionEmbeddingModel(true);
+            const info = await qdrant.getCollectionInfo();
+
+            const overrides = { ...(target.settings || {}) };
+            if (target.model) overrides.model = target.model;
+
+            // Mede a dimensão real (também valida que o provider responde)
+            const probe = await embedding.generateEmbedding(this.config.probeText, {}, {
+                provider: target.provider,
+                ...overrides
+            });
+            const targetModel = {
+                ...embedding.describeModel(target.provider, overrides),
+                dimensions: probe.length
+            };
+
+            // Mesmo modelo só faz sentido para ganhar o vetor esparso da busca híbrida
+            const sourceHasSparse = !!info?.config?.params?.sparse_vectors?.[qdrant.config.sparseVectorName];
+            if (sourceModel && sourceModel.id === targetModel.id && sourceHasSparse) {
+                throw new Error(`A coleção "${sourceCollection}" já usa ${targetModel.id}`);
+            }
+
+            const targetCollection = target.collection ||
+                `${sourceCollection}__${targetModel.model.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+
+            const existing = await qdrant.listCollections();
+            if (existing.some(collection => collection.name === targetCollection)) {
+                throw new Error(`Coleção destino "${targetCollection}" já existe; informe outro nome em collection`);
+            }
+
+            const totalPoints = info?.points_count || 0;
+
+            this.currentPlan = {
+                id: `migration_${Date.now()}`,
+                createdAt: new Date().toISOString(),
+                status: 'planned',
+                source: {
+                    collection: sourceCollection,
+                    model: sourceModel,
+                    points: totalPoints
+                },
+                target: {
+                    collection: targetCollection,
+                    provider: target.provider,
+                    settings: overrides,
+                    model: targetModel
+                },
+                steps: [
+                    `Criar coleção "${targetCollection}" com ${targetModel.dimensions} dimensões`,
+                    `Re-gerar ${totalPoints} embeddings com ${targetModel.id} (origem: ${sourceModel?.id || 'vazia'})`,
+                    'Conferir contagem de pontos na coleção destino',
+                    `Ativar ${targetModel.id} e apontar o perfil para "${targetCollection}" (origem preservada)`
+                ],
+                result: null
+            };
+
+            KC.Logger?.info('EmbeddingMigration', 'Plano de migração', this.currentPlan.steps);
+            return this.currentPlan;
+        }
+
+        /**
+         * Executa o re-embed descrito no plano
+         * @param {Object} plan - Plano gerado por plan()
+         * @param {Object} options
+         * @param {Function} [options.onProgress] - Recebe { processed, total, skipped }
+         * @returns {Promise<Object>} Resultado (migrated, skipped, errors, verified)
+         */
+        async run(plan = this.currentPlan, options = {}) {
+            if (!plan || plan.status !== 'planned') {
+                throw new Error('Plano de migração inválido ou já executado');
+            }
+
+            const qdrant = KC.QdrantService;
+            const { source, target } = plan;
+            const result = { migrated: 0, skipped: [], errors: [], verified: false };
+
+            plan.status = 'running';
+
+            try {
+                await qdrant.request('PUT', `/collections/${target.collection}`,
+                    qdrant.buildCollectionParams(target.model.dimensions));
+
+                let offset;
+                do {
+                    const page = await qdrant.request('POST', `/collections/${source.collection}/points/scroll`, {
+                        limit: this.config.pageSize,
+                        offset: offset,
+                        with_payload: true,
+                        with_vector: false
+                    });
+
+                    const points = page.result?.points || [];
+                    const migrated = await this._reembedPoints(points, plan, result);
+
+                    if (migrated.length > 0) {
+                        await qdrant.request('PUT', `/collections/${target.collection}/points`, { points: migrated });
+                        result.migrated += migrated.length;
+                    }
+
+                    const progress = {
+                        planId: plan.id,
+                        processed: result.migrated + result.skipped.length + result.errors.length,
+                        total: source.points,
+                        skipped: result.skipped.length
+                    };
+                    options.onProgress?.(progress);
+                    KC.EventBus?.emit(KC.Events?.EMBEDDING_MIGRATION_PROGRESS || 'embedding:migration:progress', progress);
+
+                    offset = page.result?.next_page_offset ?? undefined;
+                } while (offset !== undefined);
+
+                const info = await qdrant.request('GET', `/collections/${target.collection}`);
+                result.verified = info.result?.points_count === result.migrated;
+
+                plan.status = result.errors.length === 0 ? 'migrated' : 'partial';
+            } catch (error) {
+                plan.status = 'failed';
+                result.errors.push({ id: null, error: error.message });
+                KC.Logger?.error('EmbeddingMigration', 'Falha na migração', error);
+            }
+
+            plan.result = result;
+            KC.Logger?.info('EmbeddingMigration', `Migração ${plan.status}`, {
+                migrated: result.migrated,
+                skipped: result.skipped.length,
+                errors: result.errors.length
+            });
+
+            return result;
+        }
+
+        /**
+         * Ativa o novo modelo e a nova coleção
+         * @param {Object} plan - Plano executado com sucesso
+         * @param {Object} options - { force: true } ativa mesmo com pontos pulados/erros
+         * @returns {Promise<Object>} { previous, current }
+         */
+        async activate(plan = this.currentPlan, options = {}) {
+            if (!plan || (plan.status !== 'migrated' && !(options.force && plan.status === 'partial'))) {
+                throw new Error('A migração precisa ser concluída antes da ativação');
+            }
+            if (!plan.result?.verified && !options.force) {
+                throw new Error('Contagem de pontos na coleção destino não confere; use { force: true } para ativar mesmo assim');
+            }
+
+            const { source, target } = plan;
+
+            KC.EmbeddingService.setProvider(target.provider, target.settings);
+
+            const profiles = KC.QdrantProfiles;
+            if (profiles) {
+                await profiles.saveProfile(profiles.getActiveId(), {
+                    collection: target.collection,
+                    vectorSize: target.model.dimensions
+                });
+            } else {
+                KC.QdrantService.applyProfile({
+                    ...KC.QdrantService.config,
+                    id: KC.QdrantService.profileId,
+                    url: KC.QdrantService.config.baseUrl,
+                    collection: target.collection,
+                    vectorSize: target.model.dimensions
+                });
+            }
+
+            plan.status = 'activated';
+            KC.Logger?.success?.('EmbeddingMigration', `Coleção "${target.collection}" ativa com ${target.model.id}`);
+
+            return {
+                previous: { collection: source.collection, model: source.model },
+                current: { collection: target.collection, model: target.model }
+            };
+        }
+
+        /**
+         * Re-gera os vetores de uma página de pontos
+         * @private
+         */
+        async _reembedPoints(points, plan, result) {
+            const { target, source } = plan;
+            const migrated = [];
+
+            for (const point of points) {
+                const payload = point.payload || {};
+                const text = payload.content || payload.chunkText || payload.text;
+
+                if (!text) {
+                    result.skipped.push(point.id);
+                    continue;
+                }
+
+                try {
+                    const vector = await KC.EmbeddingService.generateEmbedding(text, {}, {
+                        provider: target.provider,
+                        ...target.settings
+                    });
+
+                    // Coleção destino sempre tem o vetor esparso (ver buildCollectionParams)
+                    const sparse = KC.SparseEncoder?.encodeDocument(text);
+
+                    migrated.push({
+                        id: point.id,
+                        vector: sparse ? { '': vector, [KC.QdrantService.config.sparseVectorName]: sparse } : vector,
+                        payload: {
+                            ...payload,
+                            embeddingModel: target.model.id,
+                            embeddingDimensions: vector.length,
+                            reembeddedFrom: source.model?.id || null
+                        }
+                    });
+                } catch (error) {
+                    result.errors.push({ id: point.id, error: error.message });
+                }
+            }
+
+            return migrated;
+        }
+    }
+
+    KC.EmbeddingMigration = new EmbeddingMigrationService();
+
+})(window);
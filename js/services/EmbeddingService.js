@@ -5,38 +5,67 @@
  * Parte da fundação semântica do Knowledge Consolidator
  * 
  * Arquitetura:
- * - Prioriza Ollama local para performance
- * - Fallback para APIs remotas se necessário
- * - Cache inteligente em IndexedDB
+ * - Registro de providers: Ollama (padrão), OpenAI-compatível, LM Studio
+ *   e um embedder local determinístico para testes
+ * - Um único provider ativo por vez: vetores de modelos diferentes não são
+ *   comparáveis, por isso não há fallback automático entre providers
+ * - Cache inteligente em IndexedDB (chave inclui provider/modelo)
  * - Integração com infraestrutura VPS via Tailscale
  */
 
 class EmbeddingService {
     constructor() {
         this.config = {
+            // Provider ativo (ver registerProvider)
+            provider: 'ollama',
             // Ollama local para embeddings rápidos
             ollama: {
                 url: 'http://localhost:11434',
                 model: 'nomic-embed-text', // modelo otimizado para embeddings
                 enabled: true
             },
-            // Fallback para OpenAI se necessário
+            // OpenAI ou qualquer servidor compatível (/v1/embeddings)
             openai: {
                 url: 'https://api.openai.com/v1/embeddings',
                 model: 'text-embedding-ada-002',
                 enabled: false,
                 apiKey: null
             },
+            // LM Studio expõe a mesma API da OpenAI
+            lmstudio: {
+                url: 'http://localhost:1234/v1/embeddings',
+                model: 'text-embedding-nomic-embed-text-v1.5',
+                apiKey: null
+            },
+            // Embedder determinístico (hashing de tokens) - apenas para testes
+            local: {
+                model: 'kc-hash-embedder',
+                dimensions: 768
+            },
             // Cache settings
             cache: {
                 enabled: true,
                 maxSize: 1000, // máximo de embeddings em cache
                 ttl: 7 * 24 * 60 * 60 * 1000 // 7 dias em ms
             },
-            // Dimensões esperadas (nomic-embed-text usa 768)
+            // Dimensões esperadas do modelo ativo (nomic-embed-text usa 768)
             dimensions: 768
         };
 
+        // Dimensões conhecidas; modelos fora da lista são medidos no primeiro embedding
+        this.modelDimensions = {
+            'nomic-embed-text': 768,
+            'text-embedding-nomic-embed-text-v1.5': 768,
+            'mxbai-embed-large': 1024,
+            'all-minilm': 384,
+            'text-embedding-ada-002': 1536,
+            'text-embedding-3-small': 1536,
+            'text-embedding-3-large': 3072
+        };
+
+        this.providers = new Map();
+        this.registerBuiltinProviders();
+
         this.cache = new Map();
         this.initIndexedDB();
         this.stats = {
@@ -77,19 +106,145 @@ class EmbeddingService {
         });
     }
 
+    /**
+     * Registra os providers nativos
+     * @private
+     */
+    registerBuiltinProviders() {
+        this.registerProvider('ollama', {
+            name: 'Ollama (Local)',
+            embed: (text, settings) => this.generateWithOllama(text, settings),
+            check: () => this.checkOllamaAvailability()
+        });
+
+        this.registerProvider('openai', {
+            name: 'OpenAI / Compatível',
+            embed: (text, settings) => this.generateWithOpenAICompatible(text, settings)
+        });
+
+        this.registerProvider('lmstudio', {
+            name: 'LM Studio',
+            embed: (text, settings) => this.generateWithOpenAICompatible(text, settings)
+        });
+
+        this.registerProvider('local', {
+            name: 'Local determinístico (testes)',
+            embed: (text, settings) => this.generateWithLocalHash(text, settings.dimensions)
+        });
+    }
+
+    /**
+     * Registra (ou substitui) um provider de embeddings
+     * @param {string} id - Identificador (também usado como seção em this.config)
+     * @param {Object} provider - { name, embed(text, settings) => Promise<number[]>, check?() }
+     */
+    registerProvider(id, provider) {
+        if (typeof provider?.embed !== 'function') {
+            throw new Error(`Provider de embedding "${id}" precisa implementar embed(text, settings)`);
+        }
+
+        this.providers.set(id, { id, ...provider });
+        if (!this.config[id]) {
+            this.config[id] = {};
+        }
+    }
+
+    /**
+     * Lista providers registrados
+     */
+    listProviders() {
+        return Array.from(this.providers.values()).map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            model: this.config[provider.id]?.model,
+            active: provider.id === this.config.provider
+        }));
+    }
+
+    /**
+     * Troca o provider ativo
+     * Vetores já gravados continuam associados ao modelo anterior; o QdrantService
+     * recusa inserções/buscas com o novo modelo até que a coleção seja migrada.
+     * @param {string} id - Provider registrado
+     * @param {Object} settings - Sobrescreve configurações do provider (model, url, apiKey, dimensions)
+     * @returns {Object} Modelo ativo
+     */
+    setProvider(id, settings = {}) {
+        if (!this.providers.has(id)) {
+            throw new Error(`Provider de embedding desconhecido: ${id}`);
+        }
+
+        const previous = this.getActiveModel();
+
+        this.config[id] = { ...this.config[id], ...settings };
+        this.config.provider = id;
+        // null = desconhecida até o primeiro embedding
+        this.config.dimensions = this.getModelDimensions(id);
+
+        const current = this.getActiveModel();
+        if (previous.id !== current.id) {
+            KC.EventBus?.emit(KC.Events?.EMBEDDING_MODEL_CHANGED || 'embedding:model:changed', {
+                previous,
+                current
+            });
+        }
+
+        return current;
+    }
+
+    /**
+     * Modelo ativo: identificador estável "provider/modelo" e dimensão
+     * @returns {{id: string, provider: string, model: string, dimensions: number}}
+     */
+    getActiveModel() {
+        return this.describeModel(this.config.provider);
+    }
+
+    /**
+     * Descreve o modelo configurado para um provider
+     */
+    describeModel(providerId, settings = {}) {
+        const model = settings.model || this.config[providerId]?.model || 'default';
+        return {
+            id: `${providerId}/${model}`,
+            provider: providerId,
+            model: model,
+            dimensions: this.getModelDimensions(providerId, settings) ||
+                (providerId === this.config.provider ? this.config.dimensions : null)
+        };
+    }
+
+    /**
+     * Dimensão conhecida do modelo (null se ainda não medida)
+     */
+    getModelDimensions(providerId, settings = {}) {
+        const merged = { ...this.config[providerId], ...settings };
+        return merged.dimensions || this.modelDimensions[merged.model] || null;
+    }
+
     /**
      * Gera embedding para um texto
      * @param {string} text - Texto para gerar embedding
      * @param {Object} context - Contexto adicional (categoria, relevância, etc)
+     * @param {Object} options - { provider, model, ... } para usar outro provider sem ativá-lo (migração)
      * @returns {Promise<Object>} Embedding com metadados
      */
-    async generateEmbedding(text, context = {}) {
+    async generateEmbedding(text, context = {}, options = {}) {
         if (!text || typeof text !== 'string') {
             throw new Error('Texto inválido para gerar embedding');
         }
 
-        // Gerar chave de cache baseada no texto e contexto
-        const cacheKey = this.generateCacheKey(text, context);
+        const { provider: providerId = this.config.provider, ...overrides } = options;
+        const provider = this.providers.get(providerId);
+        if (!provider) {
+            throw new Error(`Provider de embedding desconhecido: ${providerId}`);
+        }
+
+        const settings = { ...this.config[providerId], ...overrides };
+        const modelInfo = this.describeModel(providerId, overrides);
+
+        // Gerar chave de cache baseada no modelo, texto e contexto
+        const cacheKey = this.generateCacheKey(text, context, modelInfo.id);
 
         // Verificar cache primeiro
         const cached = await this.getFromCache(cacheKey);
@@ -103,37 +258,31 @@ class EmbeddingService {
             // Enriquecer texto com contexto se disponível
             const enrichedText = this.enrichTextWithContext(text, context);
 
-            // Tentar Ollama primeiro (local, mais rápido)
+            // AIDEV-NOTE: no-embedding-fallback; trocar de modelo no meio de uma
+            // coleção corrompe a busca, então falha do provider ativo é erro
             let embedding = null;
-            let model = null;
-
-            if (this.config.ollama.enabled) {
-                try {
-                    embedding = await this.generateWithOllama(enrichedText);
-                    model = this.config.ollama.model;
-                } catch (error) {
-                    // FASE 1.1: Ollama é obrigatório - não tentar fallback automático
-                    // AIDEV-NOTE: ollama-required; sem fallback automático para outros serviços
-                    console.error('Erro ao gerar embedding com Ollama:', error.message);
-                    throw new Error(`Ollama é obrigatório mas não está disponível: ${error.message}`);
-                }
+            try {
+                embedding = await provider.embed(enrichedText, settings);
+            } catch (error) {
+                console.error(`Erro ao gerar embedding com ${provider.name}:`, error.message);
+                throw new Error(`${provider.name} não está disponível: ${error.message}`);
             }
 
-            // Fallback para OpenAI desabilitado por padrão - só com aprovação explícita
-            if (!embedding && this.config.openai.enabled && this.config.openai.apiKey && this.config.openai.explicitlyApproved) {
-                console.warn('Usando OpenAI como fallback (aprovado pelo usuário)');
-                embedding = await this.generateWithOpenAI(enrichedText);
-                model = this.config.openai.model;
+            if (!Array.isArray(embedding) || embedding.length === 0) {
+                throw new Error(`${provider.name} retornou embedding vazio`);
             }
 
-            if (!embedding) {
-                throw new Error('Nenhum serviço de embedding disponível');
-            }
-
-            // Validar dimensões
-            if (embedding.length !== this.config.dimensions) {
-                console.warn(`Dimensões inesperadas: ${embedding.length} (esperado: ${this.config.dimensions})`);
+            // Validar dimensões (modelos desconhecidos são medidos aqui)
+            const expected = this.getModelDimensions(providerId, overrides);
+            if (!expected) {
+                this.modelDimensions[settings.model] = embedding.length;
+                if (providerId === this.config.provider) {
+                    this.config.dimensions = embedding.length;
+                }
+            } else if (embedding.length !== expected) {
+                console.warn(`Dimensões inesperadas: ${embedding.length} (esperado: ${expected})`);
             }
+            const model = modelInfo.id;
 
             // Preparar resultado com metadados
             const result = {
@@ -208,12 +357,12 @@ class EmbeddingService {
      * Gera embedding usando Ollama
      * @private
      */
-    async generateWithOllama(text) {
-        const response = await fetch(`${this.config.ollama.url}/api/embeddings`, {
+    async generateWithOllama(text, settings = this.config.ollama) {
+        const response = await fetch(`${settings.url}/api/embeddings`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                model: this.config.ollama.model,
+                model: settings.model,
                 prompt: text
             })
         });
@@ -231,26 +380,61 @@ class EmbeddingService {
      * @private
      */
     async generateWithOpenAI(text) {
-        const response = await fetch(this.config.openai.url, {
+        return this.generateWithOpenAICompatible(text, this.config.openai);
+    }
+
+    /**
+     * Gera embedding em servidor compatível com a API da OpenAI (OpenAI, LM Studio, vLLM...)
+     * @private
+     */
+    async generateWithOpenAICompatible(text, settings) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) {
+            headers['Authorization'] = `Bearer ${settings.apiKey}`;
+        }
+
+        const response = await fetch(settings.url, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.config.openai.apiKey}`
-            },
+            headers: headers,
             body: JSON.stringify({
-                model: this.config.openai.model,
+                model: settings.model,
                 input: text
             })
         });
 
         if (!response.ok) {
-            throw new Error(`OpenAI error: ${response.status}`);
+            throw new Error(`OpenAI-compatible error: ${response.status}`);
         }
 
         const data = await response.json();
         return data.data[0].embedding;
     }
 
+    /**
+     * Embedder determinístico por hashing de tokens (feature hashing)
+     * Mesmo texto gera sempre o mesmo vetor, sem rede - útil em testes.
+     * Não captura semântica além da sobreposição de palavras.
+     * @private
+     */
+    async generateWithLocalHash(text, dimensions = 768) {
+        const vector = new Array(dimensions).fill(0);
+        const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        tokens.forEach(token => {
+            // FNV-1a 32 bits
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < token.length; i++) {
+                hash ^= token.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            vector[hash % dimensions] += sign;
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm === 0 ? vector : vector.map(value => value / norm);
+    }
+
     /**
      * Enriquece texto com contexto para melhor embedding
      * @private
@@ -277,9 +461,9 @@ class EmbeddingService {
      * Gera chave de cache única
      * @private
      */
-    generateCacheKey(text, context) {
+    generateCacheKey(text, context, modelId = this.getActiveModel().id) {
         const contextStr = JSON.stringify(context, Object.keys(context).sort());
-        const hash = this.simpleHash(text + contextStr);
+        const hash = this.simpleHash(modelId + text + contextStr);
         return `emb_${hash}`;
     }
 
@@ -466,6 +650,7 @@ class EmbeddingService {
         return {
             ...this.stats,
             cacheSize: this.cache.size,
+            activeModel: this.getActiveModel().id,
             ollamaEnabled: this.config.ollama.enabled,
             openaiEnabled: this.config.openai.enabled
         };
@@ -0,0 +1,717 @@
+/**
+ * MailboxIngestionService.js - Ingestão de caixas de email (mbox)
+ *
+ * Divide arquivos de caixa postal em mensagens individuais, reconstrói
+ * threads via Message-ID/In-Reply-To/References e emite cada thread como
+ * um arquivo descoberto, com remetentes, destinatários e datas nos metadados.
+ * Anexos passam pelos extractors do DocumentExtractors.
+ *
+ * Só mbox tem leitor nativo. Outros formatos (ex.: PST, binário proprietário)
+ * exigem um leitor registrado via registerArchiveReader.
+ *
+ * AIDEV-NOTE: mailbox-thread-handle; a entrada da thread não expõe o handle da
+ * caixa postal (seria relida inteira como se fosse o arquivo). O handle fica em
+ * mailboxHandle e readThread() reconstrói só a thread pelo mailMetadata.threadId
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class MailboxIngestionService {
+        constructor() {
+            // Leitores de arquivo de caixa postal: extensão -> async (file) => string[] (mensagens RFC 822)
+            this.archiveReaders = new Map();
+
+            this.config = {
+                maxMailboxSize: 200 * 1024 * 1024, // 200MB
+                maxAttachmentSize: 10 * 1024 * 1024, // 10MB por anexo
+                extractAttachments: true,
+                // Imagens anexadas (logos, assinaturas) custariam uma chamada de visão cada
+                extractImageAttachments: false
+            };
+
+            this.stats = {
+                mailboxes: 0,
+                messages: 0,
+                threads: 0,
+                attachments: 0,
+                attachmentsExtracted: 0,
+                errors: 0
+            };
+
+            this.registerDefaultReaders();
+        }
+
+        /**
+         * Registra leitores padrão
+         */
+        registerDefaultReaders() {
+            // mbox (mboxo/mboxrd) - leitura nativa
+            // PST fica fora do escopo (formato binário proprietário, sem parser no navegador):
+            // converta para mbox (ex.: readpst -r) ou registre um leitor via registerArchiveReader('.pst', fn)
+            this.registerArchiveReader('.mbox', async (file) => {
+                const text = await this._readText(file);
+                return this.splitMbox(text);
+            });
+        }
+
+        /**
+         * Registra um leitor de caixa postal
+         * @param {string} extension - Extensão (ex.: '.pst')
+         * @param {Function} reader - async (file) => Array<string> com mensagens RFC 822 brutas
+         */
+        registerArchiveReader(extension, reader) {
+            this.archiveReaders.set(extension.toLowerCase(), reader);
+        }
+
+        /**
+         * Verifica se o arquivo é uma caixa postal suportada
+         */
+        isMailbox(fileName) {
+            return this.archiveReaders.has(this._getExtension(fileName));
+        }
+
+        /**
+         * Ingere uma caixa postal e retorna uma entrada de arquivo por thread
+         * @param {File|Object} file - Arquivo (File ou objeto com handle/content)
+         * @param {Object} options - { directoryPath, handle }
+         * @returns {Promise<Array>} Metadados no formato do DiscoveryManager
+         */
+        async ingest(file, options = {}) {
+            const extension = this._getExtension(file.name);
+            const reader = this.archiveReaders.get(extension);
+            if (!reader) {
+                throw new Error(`Formato de caixa postal não suportado: ${extension}`);
+            }
+            if (file.size > this.config.maxMailboxSize) {
+                throw new Error(`Caixa postal muito grande (${file.size} bytes) - limite ${this.config.maxMailboxSize}`);
+            }
+
+            const { messages, threads } = await this._readThreads(file, reader);
+            const mailboxPath = options.directoryPath ? `${options.directoryPath}/${file.name}` : file.name;
+
+            const threadFiles = [];
+            for (const thread of threads) {
+                threadFiles.push(await this._createThreadFile(thread, file, mailboxPath, options));
+            }
+
+            this.stats.mailboxes++;
+            this.stats.messages += messages.length;
+            this.stats.threads += threads.length;
+
+            KC.Logger?.info(`MailboxIngestion: ${file.name} → ${messages.length} mensagens em ${threads.length} threads`);
+
+            return threadFiles;
+        }
+
+        /**
+         * Relê uma thread a partir da caixa postal de origem
+         * @param {Object} threadFile - Entrada criada por ingest() (mailboxHandle + mailMetadata)
+         * @returns {Promise<string|null>} Conteúdo da thread ou null se ela não existe mais
+         */
+        async readThread(threadFile) {
+            const mail = threadFile?.mailMetadata;
+            if (!mail?.threadId || !threadFile.mailboxHandle?.getFile) {
+                throw new Error('Thread sem caixa postal de origem acessível');
+            }
+
+            const mailbox = await threadFile.mailboxHandle.getFile();
+            const reader = this.archiveReaders.get(this._getExtension(mailbox.name));
+            if (!reader) {
+                throw new Error(`Formato de caixa postal não suportado: ${this._getExtension(mailbox.name)}`);
+            }
+
+            const { threads } = await this._readThreads(mailbox, reader);
+            const thread = threads.find(candidate => candidate.id === mail.threadId);
+            if (!thread) return null;
+
+            const options = { directoryPath: threadFile.relativePath, handle: threadFile.mailboxHandle };
+            return (await this._createThreadFile(thread, mailbox, mail.mailbox, options)).content;
+        }
+
+        /**
+         * Divide um arquivo mbox em mensagens
+         * Separador: linha iniciando com "From " no início do arquivo ou após linha vazia
+         */
+        splitMbox(text) {
+            const lines = text.split(/\r?\n/);
+            const messages = [];
+            let current = null;
+            let previousBlank = true;
+
+            lines.forEach(line => {
+                if (previousBlank && line.startsWith('From ')) {
+                    if (current) messages.push(current);
+                    current = [];
+                } else if (current) {
+                    // mboxrd: remove um nível de escape ">From "
+                    current.push(/^>+From /.test(line) ? line.substring(1) : line);
+                }
+                previousBlank = line.trim() === '';
+            });
+
+            if (current) messages.push(current);
+
+            return messages
+                .map(messageLines => messageLines.join('\n').replace(/\n+$/, ''))
+                .filter(message => message.trim().length > 0);
+        }
+
+        /**
+         * Faz parse de uma mensagem RFC 822 / MIME
+         */
+        parseMessage(raw) {
+            const entity = this._parseEntity(raw);
+            const headers = entity.headers;
+            const collected = { text: [], html: [], attachments: [] };
+            this._collectParts(entity, collected);
+
+            const date = headers.date ? new Date(headers.date) : null;
+            const text = collected.text.length > 0
+                ? collected.text.join('\n\n')
+                : collected.html.map(html => this._stripHtml(html)).join('\n\n');
+
+            return {
+                messageId: this._extractIds(headers['message-id'])[0] || null,
+                inReplyTo: this._extractIds(headers['in-reply-to'])[0] || null,
+                references: this._extractIds(headers.references),
+                subject: this.decodeHeader(headers.subject || '').trim(),
+                from: this.parseAddressList(this.decodeHeader(headers.from || '')),
+                to: this.parseAddressList(this.decodeHeader(headers.to || '')),
+                cc: this.parseAddressList(this.decodeHeader(headers.cc || '')),
+                date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+                text: text.trim(),
+                attachments: collected.attachments
+            };
+        }
+
+        /**
+         * Reconstrói threads a partir de Message-ID, In-Reply-To e References
+         * @returns {Array<{id: string, messages: Array}>} Threads com mensagens em ordem cronológica
+         */
+        buildThreads(messages) {
+            const parent = new Map();
+            const find = (id) => {
+                while (parent.get(id) !== id) {
+                    parent.set(id, parent.get(parent.get(id)));
+                    id = parent.get(id);
+                }
+                return id;
+            };
+            const union = (a, b) => {
+                if (!parent.has(a)) parent.set(a, a);
+                if (!parent.has(b)) parent.set(b, b);
+                const rootA = find(a);
+                const rootB = find(b);
+                if (rootA !== rootB) parent.set(rootB, rootA);
+            };
+
+            messages.forEach(message => {
+                if (!message.messageId) {
+                    message.messageId = this._fallbackMessageId(message);
+                }
+                if (!parent.has(message.messageId)) parent.set(message.messageId, message.messageId);
+
+                const related = [...message.references];
+                if (message.inReplyTo) related.push(message.inReplyTo);
+                related.forEach(id => union(id, message.messageId));
+            });
+
+            const groups = new Map();
+            messages.forEach(message => {
+                const root = find(message.messageId);
+                if (!groups.has(root)) groups.set(root, []);
+                groups.get(root).push(message);
+            });
+
+            const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+
+            return Array.from(groups.values()).map(threadMessages => {
+                threadMessages.sort(byDate);
+                // A mensagem mais antiga identifica a thread de forma estável
+                return { id: threadMessages[0].messageId, messages: threadMessages };
+            });
+        }
+
+        /**
+         * Decodifica encoded-words RFC 2047 (=?charset?B|Q?texto?=)
+         */
+        decodeHeader(value) {
+            if (!value) return '';
+            return value
+                .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+                .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+                    try {
+                        const bytes = encoding.toUpperCase() === 'B'
+                            ? this._base64ToBytes(encoded)
+                            : this._quotedPrintableToBytes(encoded.replace(/_/g, ' '));
+                        return this._decodeBytes(bytes, charset);
+                    } catch (error) {
+                        return match;
+                    }
+                });
+        }
+
+        /**
+         * Converte lista de endereços em [{ name, address }]
+         */
+        parseAddressList(value) {
+            if (!value) return [];
+
+            const entries = [];
+            let current = '';
+            let inQuotes = false;
+            let inAngle = false;
+
+            for (const char of value) {
+                if (char === '"') inQuotes = !inQuotes;
+                if (char === '<' && !inQuotes) inAngle = true;
+                if (char === '>' && !inQuotes) inAngle = false;
+
+                if (char === ',' && !inQuotes && !inAngle) {
+                    entries.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            entries.push(current);
+
+            return entries
+                .map(entry => entry.trim())
+                .filter(Boolean)
+                .map(entry => {
+                    const match = entry.match(/^(.*?)\s*<([^>]+)>$/);
+                    if (match) {
+                        return { name: match[1].replace(/^"|"$/g, '').trim(), address: match[2].trim().toLowerCase() };
+                    }
+                    return { name: '', address: entry.toLowerCase() };
+                });
+        }
+
+        /**
+         * Obtém estatísticas
+         */
+        getStats() {
+            return { ...this.stats };
+        }
+
+        /**
+         * Lê as mensagens da caixa postal e agrupa em threads
+         * @private
+         */
+        async _readThreads(file, reader) {
+            const rawMessages = await reader(file);
+            const messages = [];
+
+            rawMessages.forEach((raw, index) => {
+                try {
+                    messages.push(this.parseMessage(raw));
+                } catch (error) {
+                    this.stats.errors++;
+                    KC.Logger?.warning(`MailboxIngestion: mensagem ${index} ignorada em ${file.name}`, error.message);
+                }
+            });
+
+            return { messages, threads: this.buildThreads(messages) };
+        }
+
+        /**
+         * Cria a entrada de arquivo descoberto para uma thread
+         * @private
+         */
+        async _createThreadFile(thread, mailboxFile, mailboxPath, options) {
+            const messages = thread.messages;
+            const first = messages[0];
+            const last = messages[messages.length - 1];
+            const subject = this._normalizeSubject(first.subject) || '(sem assunto)';
+            const threadKey = this._hash(`${mailboxPath}|${thread.id}`);
+
+            const senders = this._uniqueAddresses(messages.flatMap(message => message.from));
+            const recipients = this._uniqueAddresses(messages.flatMap(message => [...message.to, ...message.cc]));
+            const participants = this._uniqueAddresses([...senders, ...recipients]);
+
+            const attachments = [];
+            const sections = [`# ${subject}`];
+
+            for (const message of messages) {
+                const lines = [
+                    `## ${this._formatAddresses(message.from)} — ${message.date || 'data desconhecida'}`,
+                    `Para: ${this._formatAddresses(message.to)}`
+                ];
+                if (message.cc.length > 0) lines.push(`Cc: ${this._formatAddresses(message.cc)}`);
+                lines.push('', message.text);
+
+                for (const attachment of message.attachments) {
+                    const extracted = await this._extractAttachment(attachment);
+                    attachments.push({
+                        filename: attachment.filename,
+                        contentType: attachment.contentType,
+                        size: attachment.size,
+                        messageId: message.messageId,
+                        extracted: extracted.success,
+                        method: extracted.method
+                    });
+                    if (extracted.success && extracted.content) {
+                        lines.push('', `### Anexo: ${attachment.filename}`, '', extracted.content);
+                    }
+                }
+
+                sections.push(lines.join('\n').trim());
+            }
+
+            const content = sections.join('\n\n');
+            const name = `${subject}.thread`;
+
+            return {
+                id: `thread_${threadKey}`,
+                name: name,
+                fileName: name,
+                size: content.length,
+                lastModified: new Date(last.date || mailboxFile.lastModified || Date.now()),
+                type: 'message/thread',
+                extension: this._getExtension(mailboxFile.name),
+                path: `${mailboxPath}#${threadKey}`,
+                filePath: `${mailboxPath}#${threadKey}`,
+                relativePath: options.directoryPath || '',
+                handle: null,
+                mailboxHandle: options.handle || null,
+                content: content,
+                status: 'pending',
+                relevanceScore: 0,
+                category: null,
+                analysis: null,
+                discovered: true,
+                discoveredAt: new Date().toISOString(),
+                isDuplicate: false,
+                duplicateInfo: null,
+                mailMetadata: {
+                    mailbox: mailboxPath,
+                    threadId: thread.id,
+                    subject: subject,
+                    messageCount: messages.length,
+                    messageIds: messages.map(message => message.messageId),
+                    senders: senders,
+                    recipients: recipients,
+                    participants: participants,
+                    firstDate: first.date,
+                    lastDate: last.date,
+                    attachments: attachments
+                }
+            };
+        }
+
+        /**
+         * Extrai texto de um anexo usando o DocumentExtractors
+         * @private
+         */
+        async _extractAttachment(attachment) {
+            this.stats.attachments++;
+            const extractors = KC.DocumentExtractors;
+
+            if (!this.config.extractAttachments || !attachment.filename || !extractors?.canExtract(attachment.filename)) {
+                return { success: false, method: 'none' };
+            }
+            if (!this.config.extractImageAttachments && extractors.getCapabilityInfo(attachment.filename).image) {
+                return { success: false, method: 'none' };
+            }
+            if (attachment.size > this.config.maxAttachmentSize) {
+                return { success: false, method: 'too_large' };
+            }
+
+            const bytes = attachment.data;
+            const pseudoFile = {
+                name: attachment.filename,
+                size: attachment.size,
+                content: extractors.isBinaryFormat(attachment.filename)
+                    ? bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+                    : this._decodeBytes(bytes, attachment.charset || 'utf-8')
+            };
+
+            const result = await extractors.extract(pseudoFile);
+            if (result.success) this.stats.attachmentsExtracted++;
+            return result;
+        }
+
+        /**
+         * Separa headers e corpo de uma entidade MIME
+         * @private
+         */
+        _parseEntity(raw) {
+            const normalized = raw.replace(/\r\n/g, '\n');
+            const separator = normalized.indexOf('\n\n');
+            const headerBlock = separator === -1 ? normalized : normalized.substring(0, separator);
+            const body = separator === -1 ? '' : normalized.substring(separator + 2);
+
+            const headers = {};
+            headerBlock
+                .replace(/\n[ \t]+/g, ' ') // unfolding
+                .split('\n')
+                .forEach(line => {
+                    const colon = line.indexOf(':');
+                    if (colon <= 0) return;
+                    const name = line.substring(0, colon).trim().toLowerCase();
+                    if (!(name in headers)) {
+                        headers[name] = line.substring(colon + 1).trim();
+                    }
+                });
+
+            return { headers, body };
+        }
+
+        /**
+         * Percorre partes MIME coletando corpo e anexos
+         * @private
+         */
+        _collectParts(entity, collected) {
+            const contentType = this._parseHeaderParams(entity.headers['content-type'] || 'text/plain');
+            const disposition = this._parseHeaderParams(entity.headers['content-disposition'] || '');
+            const mimeType = contentType.value.toLowerCase();
+
+            if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+                this._splitMultipart(entity.body, contentType.params.boundary)
+                    .forEach(part => this._collectParts(this._parseEntity(part), collected));
+                return;
+            }
+
+            if (mimeType === 'message/rfc822') {
+                this._collectParts(this._parseEntity(entity.body), collected);
+                return;
+            }
+
+            const filename = this.decodeHeader(disposition.params.filename || contentType.params.name || '');
+            const isAttachment = disposition.value.toLowerCase() === 'attachment' || !!filename;
+            const encoding = (entity.headers['content-transfer-encoding'] || '7bit').toLowerCase();
+            const charset = contentType.params.charset || 'utf-8';
+
+            if (!isAttachment && (mimeType === 'text/plain' || mimeType === 'text/html')) {
+                const text = this._decodeBody(entity.body, encoding, charset);
+                collected[mimeType === 'text/plain' ? 'text' : 'html'].push(text);
+                return;
+            }
+
+            if (isAttachment) {
+                const data = this._bodyToBytes(entity.body, encoding);
+                collected.attachments.push({
+                    filename: filename || 'anexo',
+                    contentType: mimeType,
+                    charset: contentType.params.charset || null,
+                    size: data.byteLength,
+                    data: data
+                });
+            }
+        }
+
+        /**
+         * Divide corpo multipart pelas fronteiras
+         * @private
+         */
+        _splitMultipart(body, boundary) {
+            const delimiter = `--${boundary}`;
+            const parts = [];
+            let current = null;
+
+            body.split('\n').forEach(line => {
+                const trimmed = line.trimEnd();
+                if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+                    if (current) parts.push(current.join('\n'));
+                    current = trimmed === delimiter ? [] : null;
+                } else if (current) {
+                    current.push(line);
+                }
+            });
+
+            return parts;
+        }
+
+        /**
+         * Interpreta header com parâmetros (ex.: text/plain; charset="utf-8")
+         * @private
+         */
+        _parseHeaderParams(value) {
+            const [main, ...rest] = value.split(';');
+            const params = {};
+            rest.forEach(param => {
+                const equals = param.indexOf('=');
+                if (equals === -1) return;
+                const key = param.substring(0, equals).trim().toLowerCase();
+                params[key] = param.substring(equals + 1).trim().replace(/^"|"$/g, '');
+            });
+            return { value: main.trim(), params };
+        }
+
+        /**
+         * Decodifica corpo textual conforme transfer-encoding e charset
+         * @private
+         */
+        _decodeBody(body, encoding, charset) {
+            if (encoding === 'base64' || encoding === 'quoted-printable') {
+                return this._decodeBytes(this._bodyToBytes(body, encoding), charset);
+            }
+            // 7bit/8bit: o texto já foi decodificado na leitura do arquivo
+            return body;
+        }
+
+        /**
+         * Converte corpo em bytes conforme transfer-encoding
+         * @private
+         */
+        _bodyToBytes(body, encoding) {
+            if (encoding === 'base64') return this._base64ToBytes(body.replace(/\s+/g, ''));
+            if (encoding === 'quoted-printable') return this._quotedPrintableToBytes(body);
+            return new TextEncoder().encode(body);
+        }
+
+        /**
+         * @private
+         */
+        _base64ToBytes(base64) {
+            const binary = atob(base64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        }
+
+        /**
+         * @private
+         */
+        _quotedPrintableToBytes(text) {
+            const encoder = new TextEncoder();
+            const bytes = [];
+            const source = text.replace(/=\r?\n/g, ''); // soft line breaks
+
+            for (let i = 0; i < source.length; i++) {
+                const hex = source.substring(i + 1, i + 3);
+                if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+                    bytes.push(parseInt(hex, 16));
+                    i += 2;
+                } else {
+                    bytes.push(...encoder.encode(source[i]));
+                }
+            }
+            return new Uint8Array(bytes);
+        }
+
+        /**
+         * @private
+         */
+        _decodeBytes(bytes, charset) {
+            try {
+                return new TextDecoder(charset.toLowerCase()).decode(bytes);
+            } catch (error) {
+                return new TextDecoder('utf-8').decode(bytes);
+            }
+        }
+
+        /**
+         * @private
+         */
+        _extractIds(value) {
+            if (!value) return [];
+            return value.match(/<[^<>\s]+>/g) || [];
+        }
+
+        /**
+         * @private
+         */
+        _stripHtml(html) {
+            return html
+                .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<\/p>/gi, '\n\n')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&amp;/g, '&')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/\n{3,}/g, '\n\n');
+        }
+
+        /**
+         * Remove prefixos de resposta/encaminhamento do assunto
+         * @private
+         */
+        _normalizeSubject(subject) {
+            return (subject || '').replace(/^((re|res|fw|fwd|enc)\s*:\s*)+/i, '').trim();
+        }
+
+        /**
+         * @private
+         */
+        _uniqueAddresses(addresses) {
+            const seen = new Map();
+            addresses.forEach(entry => {
+                if (entry.address && !seen.has(entry.address)) seen.set(entry.address, entry);
+            });
+            return Array.from(seen.values());
+        }
+
+        /**
+         * @private
+         */
+        _formatAddresses(addresses) {
+            return addresses.map(entry => entry.name ? `${entry.name} <${entry.address}>` : entry.address).join(', ');
+        }
+
+        /**
+         * @private
+         */
+        async _readText(file) {
+            if (typeof file.text === 'function') return await file.text();
+            if (file.handle && file.handle.getFile) {
+                const fileObj = await file.handle.getFile();
+                return await fileObj.text();
+            }
+            if (typeof file.content === 'string') return file.content;
+            throw new Error('Não foi possível acessar o conteúdo da caixa postal');
+        }
+
+        /**
+         * @private
+         */
+        _getExtension(fileName) {
+            const lastDot = (fileName || '').lastIndexOf('.');
+            return lastDot > 0 ? fileName.substring(lastDot).toLowerCase() : '';
+        }
+
+        /**
+         * Message-ID substituto para mensagens sem o cabeçalho
+         * Derivado de cabeçalhos e corpo: a mesma mensagem recebe o mesmo id
+         * em qualquer releitura, mesmo que a caixa postal mude de ordem
+         * @private
+         */
+        _fallbackMessageId(message) {
+            const addresses = (list) => (list || []).map(entry => entry.address).join(',');
+            const key = [
+                addresses(message.from),
+                addresses(message.to),
+                addresses(message.cc),
+                message.date || '',
+                message.subject || '',
+                message.text || ''
+            ].join('|');
+            return `<sem-id-${this._hash(key)}@kc.local>`;
+        }
+
+        /**
+         * Hash estável (djb2) em base 36
+         * @private
+         */
+        _hash(value) {
+            let hash = 5381;
+            for (let i = 0; i < value.length; i++) {
+                hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+            }
+            return Math.abs(hash).toString(36);
+        }
+    }
+
+    // Exporta para o namespace KC
+    KC.MailboxIngestion = new MailboxIngestionService();
+    KC.Logger?.info('MailboxIngestionService', 'Ingestão de caixas postais inicializada');
+
+})(window);
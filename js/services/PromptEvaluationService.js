@@ -0,0 +1,423 @@
+/**
+ * PromptEvaluationService.js - Avaliação offline de versões de templates
+ *
+ * Roda duas versões de um template do PromptManager sobre um golden set
+ * (arquivos com analysisType e categorias conferidos pelo usuário) e compara:
+ * - analysisTypeAccuracy: 1 quando o tipo retornado é o esperado
+ * - categoryAgreement:    Jaccard entre categorias retornadas e esperadas
+ * - confidence:           relevanceScore informado pelo modelo
+ *
+ * A comparação estatística usa o StatisticalAnalysisEngine do
+ * wave10/ABTestingFramework.js (baseline = control, candidata = treatment).
+ *
+ * Por padrão roda com o provider 'stub', local e determinístico, sem rede;
+ * um provider do AIAPIManager pode ser informado para avaliações reais.
+ *
+ * AIDEV-NOTE: prompt-evaluation; o stub padrão só enxerga o schema e o
+ * conteúdo, então mede efeitos de formato, não de redação do prompt: o
+ * relatório sai sem veredito (formatOnly). Para comparar a redação offline,
+ * informe options.responder com respostas por versão
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const METRICS = ['analysisTypeAccuracy', 'categoryAgreement', 'confidence'];
+
+    class PromptEvaluationService {
+        constructor() {
+            this.storageKey = 'kc_prompt_golden_set';
+            this.reportsKey = 'kc_prompt_evaluations';
+            this.config = {
+                maxReports: 20,             // Relatórios mantidos em localStorage
+                significanceLevel: 0.05
+            };
+
+            this.goldenSet = this._load(this.storageKey, []);
+            this.reports = this._load(this.reportsKey, []);
+        }
+
+        /**
+         * Define o golden set
+         * @param {Array} items - [{ file: { name, content }, expected: { analysisType, categories } }]
+         * @returns {number} Itens gravados
+         */
+        setGoldenSet(items) {
+            if (!Array.isArray(items) || items.length === 0) {
+                throw new Error('Golden set vazio');
+            }
+
+            const validTypes = KC.AnalysisTypesManager?.getTypeNames() || [];
+            this.goldenSet = items.map((item, index) => {
+                const content = item.file?.content || item.file?.preview;
+                if (!item.file?.name || !content) {
+                    throw new Error(`Item ${index} do golden set sem nome ou conteúdo`);
+                }
+                if (!validTypes.includes(item.expected?.analysisType)) {
+                    throw new Error(`Item ${index} do golden set com analysisType inválido: ${item.expected?.analysisType}`);
+                }
+
+                return {
+                    file: { id: item.file.id || `golden_${index}`, name: item.file.name, path: item.file.path, content },
+                    expected: {
+                        analysisType: item.expected.analysisType,
+                        categories: item.expected.categories || []
+                    }
+                };
+            });
+
+            this._save(this.storageKey, this.goldenSet);
+            KC.Logger?.info('PromptEvaluation', `Golden set com ${this.goldenSet.length} itens`);
+            return this.goldenSet.length;
+        }
+
+        /**
+         * @returns {Array} Golden set atual
+         */
+        getGoldenSet() {
+            return this.goldenSet;
+        }
+
+        /**
+         * Monta o golden set a partir dos arquivos já analisados e categorizados
+         * @param {Array} [files] - Padrão: arquivos do AppState
+         * @returns {Array} Itens (use setGoldenSet para gravar)
+         */
+        goldenSetFromFiles(files = KC.AppState?.get('files') || []) {
+            const categoryName = (id) => KC.CategoryManager?.getCategoryById(id)?.name || id;
+
+            return files
+                .filter(file => file.analysisType && file.categories?.length > 0 && (file.content || file.preview))
+                .map(file => ({
+                    file: { id: file.id, name: file.name, path: file.path, content: file.content || file.preview },
+                    expected: {
+                        analysisType: file.analysisType,
+                        categories: file.categories.map(categoryName)
+                    }
+                }));
+        }
+
+        /**
+         * Compara duas versões de um template sobre o golden set
+         * @param {Object} options
+         * @param {string} options.templateId
+         * @param {number} [options.baseline] - Padrão: versão anterior à vigente
+         * @param {number} [options.candidate] - Padrão: versão vigente
+         * @param {Array} [options.goldenSet] - Padrão: golden set gravado
+         * @param {string} [options.provider='stub'] - 'stub' ou provider do AIAPIManager
+         * @param {string} [options.model]
+         * @param {Function} [options.responder] - (prompt, item) => resposta; substitui o stub padrão
+         * @param {Function} [options.onProgress] - Recebe { done, total }
+         * @returns {Promise<Object>} Relatório
+         */
+        async evaluate(options = {}) {
+            const { templateId } = options;
+            const goldenSet = options.goldenSet || this.goldenSet;
+            const provider = options.provider || 'stub';
+
+            const versions = KC.PromptManager.getTemplateVersions(templateId);
+            if (versions.length === 0) {
+                throw new Error(`Template não encontrado: ${templateId}`);
+            }
+            if (goldenSet.length === 0) {
+                throw new Error('Golden set vazio; use setGoldenSet() ou goldenSetFromFiles()');
+            }
+
+            const candidate = options.candidate ?? versions[0].version;
+            const baseline = options.baseline ?? versions[1]?.version;
+            if (baseline === undefined) {
+                throw new Error(`O template ${templateId} tem uma única versão; informe baseline e candidate`);
+            }
+
+            KC.Logger?.info('PromptEvaluation', `Avaliando ${templateId} v${baseline} x v${candidate}`, {
+                items: goldenSet.length,
+                provider
+            });
+
+            const total = goldenSet.length * 2;
+            let done = 0;
+            const run = async (version) => {
+                const outcomes = [];
+                for (const item of goldenSet) {
+                    outcomes.push(await this._evaluateItem(templateId, version, item, provider, options));
+                    options.onProgress?.({ done: ++done, total });
+                }
+                return outcomes;
+            };
+
+            const baselineOutcomes = await run(baseline);
+            const candidateOutcomes = await run(candidate);
+
+            const report = {
+                id: `eval_${Date.now()}`,
+                createdAt: new Date().toISOString(),
+                templateId,
+                provider,
+                items: goldenSet.length,
+                baseline: { version: Number(baseline), ...this._summarize(baselineOutcomes) },
+                candidate: { version: Number(candidate), ...this._summarize(candidateOutcomes) },
+                comparison: await this._compare(baselineOutcomes, candidateOutcomes),
+                changes: goldenSet
+                    .map((item, index) => ({
+                        file: item.file.name,
+                        expected: item.expected.analysisType,
+                        baseline: baselineOutcomes[index].analysisType,
+                        candidate: candidateOutcomes[index].analysisType
+                    }))
+                    .filter(change => change.baseline !== change.candidate)
+            };
+            // Stub padrão responde igual para qualquer redação: só o formato é comparável
+            report.formatOnly = provider === 'stub' && !options.responder;
+            report.verdict = report.formatOnly ? null : this._verdict(report.comparison);
+
+            this.reports = [report, ...this.reports].slice(0, this.config.maxReports);
+            this._save(this.reportsKey, this.reports);
+
+            KC.Logger?.info('PromptEvaluation', `Avaliação concluída: ${report.verdict || 'sem veredito (stub só mede formato)'}`, {
+                baseline: report.baseline.analysisTypeAccuracy,
+                candidate: report.candidate.analysisTypeAccuracy
+            });
+
+            return report;
+        }
+
+        /**
+         * @returns {Array} Relatórios anteriores, mais recentes primeiro
+         */
+        getReports(templateId) {
+            return templateId ? this.reports.filter(report => report.templateId === templateId) : this.reports;
+        }
+
+        /**
+         * Provider local: responde só com os campos do schema do prompt,
+         * preenchidos por heurísticas de palavras-chave sobre o conteúdo
+         * (o texto do prompt é ignorado)
+         * @param {Object} prompt - Resultado de PromptManager.prepare()
+         * @param {Object} item - Item do golden set
+         * @returns {string} JSON
+         */
+        stubProvider(prompt, item) {
+            const content = `${item.file.name} ${item.file.content}`.toLowerCase();
+            const analysisType = KC.AnalysisTypesManager.detectType(item.file);
+            const type = KC.AnalysisTypesManager.getByName(analysisType);
+            const keywordHits = (type?.keywords || []).filter(keyword => content.includes(keyword)).length;
+
+            const values = {
+                analysisType,
+                categories: (KC.CategoryManager?.getCategories() || [])
+                    .map(category => category.name)
+                    .filter(name => name && content.includes(name.toLowerCase())),
+                relevanceScore: Math.min(1, 0.4 + keywordHits * 0.15),
+                summary: item.file.content.substring(0, 200)
+            };
+
+            const properties = prompt.responseSchema?.properties || {};
+            const response = {};
+            Object.entries(properties).forEach(([field, schema]) => {
+                if (values[field] !== undefined) {
+                    response[field] = values[field];
+                } else if (schema.type === 'array') {
+                    response[field] = [];
+                } else if (schema.type === 'number') {
+                    response[field] = schema.minimum ?? 0;
+                } else {
+                    response[field] = schema.enum?.[0] || '';
+                }
+            });
+
+            return JSON.stringify(response);
+        }
+
+        /**
+         * Roda um item do golden set com uma versão do template
+         * @private
+         */
+        async _evaluateItem(templateId, version, item, provider, options) {
+            const outcome = {
+                file: item.file.name,
+                analysisType: null,
+                categories: [],
+                schemaValid: false,
+                error: null,
+                analysisTypeAccuracy: 0,
+                categoryAgreement: 0,
+                confidence: 0
+            };
+
+            try {
+                const prompt = KC.PromptManager.prepare(item.file, templateId, { templateVersion: version });
+                const raw = await this._respond(prompt, item, provider, options);
+                const parsed = KC.AnalysisAdapter?.parseJsonStrict(raw) ?? JSON.parse(String(raw));
+
+                let data = parsed;
+                if (prompt.responseSchema) {
+                    outcome.schemaValid = KC.ValidationUtils.validateSchema(parsed, prompt.responseSchema).valid;
+                    if (!outcome.schemaValid) {
+                        data = KC.AnalysisAdapter?.repairToSchema(parsed, prompt.responseSchema) || parsed;
+                    }
+                } else {
+                    outcome.schemaValid = true;
+                }
+
+                outcome.analysisType = data.analysisType || null;
+                outcome.categories = Array.isArray(data.categories) ? data.categories : [];
+                outcome.analysisTypeAccuracy = outcome.analysisType === item.expected.analysisType ? 1 : 0;
+                outcome.categoryAgreement = this._jaccard(outcome.categories, item.expected.categories);
+                outcome.confidence = typeof data.relevanceScore === 'number' ?
+                    Math.min(1, Math.max(0, data.relevanceScore)) : 0;
+
+            } catch (error) {
+                outcome.error = error.message;
+                KC.Logger?.warning('PromptEvaluation', `Falha em ${item.file.name} (v${version})`, error.message);
+            }
+
+            return outcome;
+        }
+
+        /**
+         * Resposta do stub (ou responder informado) ou do provider real
+         * @private
+         */
+        async _respond(prompt, item, provider, options) {
+            if (provider === 'stub') {
+                return options.responder ? options.responder(prompt, item) : this.stubProvider(prompt, item);
+            }
+
+            const manager = KC.AIAPIManager;
+            if (!manager?.providers[provider]) {
+                throw new Error(`Provider não disponível para avaliação: ${provider}`);
+            }
+
+            return await manager.complete(prompt, {
+                provider,
+                model: options.model || undefined,
+                temperature: prompt.temperature,
+                maxTokens: prompt.maxTokens,
+                responseSchema: prompt.responseSchema
+            });
+        }
+
+        /**
+         * Médias por métrica
+         * @private
+         */
+        _summarize(outcomes) {
+            const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+            const summary = {};
+            METRICS.forEach(metric => {
+                summary[metric] = mean(outcomes.map(outcome => outcome[metric]));
+            });
+            summary.schemaValidRate = mean(outcomes.map(outcome => outcome.schemaValid ? 1 : 0));
+            summary.errors = outcomes.filter(outcome => outcome.error).length;
+            return summary;
+        }
+
+        /**
+         * Testes do StatisticalAnalysisEngine para cada métrica
+         * @private
+         */
+        async _compare(baselineOutcomes, candidateOutcomes) {
+            const Engine = KC.StatisticalAnalysisEngine;
+            const engine = Engine ? new Engine({ defaultConfidenceLevel: 0.95, multipleTestingCorrection: 'bonferroni' }) : null;
+            const asEntries = (outcomes, metric) => outcomes.map(outcome => ({ value: outcome[metric] }));
+
+            const data = {
+                experiment: { variants: [{ name: 'control', normalizedWeight: 0.5 }, { name: 'treatment', normalizedWeight: 0.5 }] },
+                primaryMetric: METRICS[0],
+                secondaryMetrics: METRICS.slice(1),
+                variants: [
+                    { name: 'control', sampleSize: baselineOutcomes.length, metrics: {} },
+                    { name: 'treatment', sampleSize: candidateOutcomes.length, metrics: {} }
+                ]
+            };
+            METRICS.forEach(metric => {
+                data.variants[0].metrics[metric] = asEntries(baselineOutcomes, metric);
+                data.variants[1].metrics[metric] = asEntries(candidateOutcomes, metric);
+            });
+
+            const baselineSummary = this._summarize(baselineOutcomes);
+            const candidateSummary = this._summarize(candidateOutcomes);
+            const comparison = {};
+            METRICS.forEach(metric => {
+                const baseline = baselineSummary[metric];
+                const candidate = candidateSummary[metric];
+                comparison[metric] = { baseline, candidate, delta: candidate - baseline, testType: null, pValue: null, significant: false };
+            });
+
+            if (!engine) {
+                KC.Logger?.warning('PromptEvaluation', 'StatisticalAnalysisEngine não carregado; comparação só por médias');
+                return comparison;
+            }
+
+            for (const metric of METRICS) {
+                // Variância zero (ex.: métricas idênticas) não tem teste definido
+                try {
+                    const result = await engine.analyzeMetric(data, metric);
+                    const pValue = Number.isFinite(result.pValue) ? Math.min(1, Math.max(0, result.pValue)) : null;
+                    comparison[metric].testType = result.testType;
+                    comparison[metric].pValue = pValue;
+                    comparison[metric].significant = pValue !== null &&
+                        comparison[metric].delta !== 0 &&
+                        pValue < this.config.significanceLevel;
+                } catch (error) {
+                    KC.Logger?.warning('PromptEvaluation', `Teste estatístico indisponível para ${metric}`, error.message);
+                }
+            }
+
+            return comparison;
+        }
+
+        /**
+         * Veredito pela métrica principal (acurácia do tipo), desempatado pelas demais
+         * @private
+         */
+        _verdict(comparison) {
+            const decisive = METRICS.find(metric => comparison[metric].delta !== 0);
+            if (!decisive) return 'sem diferença';
+
+            const label = comparison[decisive].delta > 0 ? 'candidata melhor' : 'candidata pior';
+            return comparison[decisive].significant ? label : `${label} (não significativo)`;
+        }
+
+        /**
+         * @private
+         */
+        _jaccard(predicted, expected) {
+            const normalize = (values) => new Set(values.map(value => String(value).trim().toLowerCase()));
+            const a = normalize(predicted);
+            const b = normalize(expected);
+            if (a.size === 0 && b.size === 0) return 1;
+
+            const intersection = [...a].filter(value => b.has(value)).length;
+            return intersection / (a.size + b.size - intersection);
+        }
+
+        /**
+         * @private
+         */
+        _load(key, fallback) {
+            try {
+                return JSON.parse(localStorage.getItem(key) || 'null') || fallback;
+            } catch (error) {
+                KC.Logger?.warning('PromptEvaluation', `Dados inválidos em ${key}, ignorando`);
+                return fallback;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _save(key, value) {
+            try {
+                localStorage.setItem(key, JSON.stringify(value));
+            } catch (error) {
+                KC.Logger?.error('PromptEvaluation', `Erro ao salvar ${key}`, error);
+            }
+        }
+    }
+
+    KC.PromptEvaluation = new PromptEvaluationService();
+
+})(window);
@@ -0,0 +1,378 @@
+/**
+ * QdrantReconciliationService.js - Propaga remoções e renomeações para o Qdrant
+ *
+ * Compara um inventário sem filtros dos diretórios descobertos com os pontos
+ * existentes na coleção. Documentos cujo caminho não existe mais no disco são:
+ * - renomeados/movidos, quando o hash do conteúdo aparece em outro caminho
+ *   (os pontos são re-chaveados: filePath/fileName atualizados no payload);
+ * - órfãos, quando o conteúdo não foi encontrado (os pontos são removidos).
+ *
+ * Sempre gera primeiro um relatório (dry-run); nada é alterado no Qdrant
+ * até que apply(report) seja chamado explicitamente. Órfãos só são removidos
+ * dentro do escopo (diretórios efetivamente varridos) registrado no relatório.
+ *
+ * AIDEV-NOTE: qdrant-reconciliation; documentHash = SHA-256 do conteúdo,
+ * o mesmo usado pelo DiscoveryManifest e gravado pelo RAGExportManager
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class QdrantReconciliationService {
+        constructor() {
+            this.config = {
+                pageSize: 250,          // Pontos por página no scroll
+                batchSize: 100,         // IDs por requisição de delete/update
+                payloadFields: ['filePath', 'fileName', 'documentHash', 'documentId', 'chunkIndex']
+            };
+
+            this.lastReport = null;
+        }
+
+        /**
+         * Gera relatório de reconciliação sem alterar o Qdrant
+         * @param {Object} options
+         * @param {Array} [options.files] - Arquivos existentes (padrão: inventário sem filtros do DiscoveryManager)
+         * @param {string[]} [options.scope] - Prefixos de caminho considerados; pontos fora do escopo são ignorados
+         *   (padrão com o inventário: os diretórios varridos). Sem escopo, apply() não remove órfãos.
+         * @returns {Promise<Object>} Relatório (dryRun: true)
+         */
+        async buildReport(options = {}) {
+            let files = options.files;
+            let scope = options.scope || [];
+
+            // AppState 'files' passa pelos filtros da descoberta (período, relevância):
+            // arquivos filtrados existem no disco e não podem virar órfãos
+            if (!files) {
+                if (!KC.DiscoveryManager?.inventoryFiles) {
+                    throw new Error('DiscoveryManager não disponível para inventariar os diretórios');
+                }
+                const inventory = await KC.DiscoveryManager.inventoryFiles();
+                files = inventory.files;
+                if (!options.scope) {
+                    scope = inventory.directories.map(directory => directory.replace(/\/?$/, '/'));
+                }
+            }
+
+            if (files.length === 0) {
+                // Sem descoberta, todo o Qdrant pareceria órfão
+                throw new Error('Nenhum arquivo descoberto. Execute a descoberta antes de reconciliar.');
+            }
+
+            scope = scope.filter(Boolean);
+            const inScope = (path) => scope.length === 0 || scope.some(prefix => path.startsWith(prefix));
+
+            const discovered = await this._indexDiscoveredFiles(files);
+            const points = await this._scrollAllPoints();
+            const documents = this._groupPointsByPath(points);
+
+            const report = {
+                id: `reconcile_${Date.now()}`,
+                generatedAt: new Date().toISOString(),
+                collection: KC.QdrantService?.config?.collectionName,
+                dryRun: true,
+                scope: scope,
+                renamed: [],
+                orphaned: [],
+                stats: {
+                    pointsScanned: points.length,
+                    documentsInQdrant: documents.byPath.size,
+                    discoveredFiles: files.length,
+                    unkeyedPoints: documents.unkeyed.length,
+                    renamedDocuments: 0,
+                    renamedPoints: 0,
+                    orphanedDocuments: 0,
+                    orphanedPoints: 0
+                }
+            };
+
+            // Caminhos já representados no Qdrant não podem receber outro documento
+            const claimedPaths = new Set(documents.byPath.keys());
+            const movedByDiscovery = this._movedPairsFromDiscovery();
+
+            documents.byPath.forEach((group, filePath) => {
+                if (discovered.byPath.has(filePath) || !inScope(filePath)) return;
+
+                const target = this._findRenameTarget(group, filePath, discovered, claimedPaths, movedByDiscovery);
+
+                if (target) {
+                    claimedPaths.add(target.file.path);
+                    report.renamed.push({
+                        from: filePath,
+                        to: target.file.path,
+                        fileName: target.file.name,
+                        documentHash: group.documentHash,
+                        pointIds: group.pointIds,
+                        matchedBy: target.matchedBy,
+                        confidence: target.confidence
+                    });
+                    report.stats.renamedPoints += group.pointIds.length;
+                } else {
+                    report.orphaned.push({
+                        filePath: filePath,
+                        fileName: group.fileName,
+                        documentHash: group.documentHash,
+                        pointIds: group.pointIds
+                    });
+                    report.stats.orphanedPoints += group.pointIds.length;
+                }
+            });
+
+            report.stats.renamedDocuments = report.renamed.length;
+            report.stats.orphanedDocuments = report.orphaned.length;
+
+            this.lastReport = report;
+            KC.Logger?.info('QdrantReconciliation', 'Relatório gerado (dry-run)', report.stats);
+
+            return report;
+        }
+
+        /**
+         * Aplica um relatório gerado por buildReport()
+         * @param {Object} report - Relatório a aplicar
+         * @param {Object} options
+         * @param {boolean} [options.deleteOrphans=true] - Remove pontos de documentos órfãos
+         * @param {boolean} [options.rekeyRenamed=true] - Atualiza caminho dos documentos renomeados
+         * @param {boolean} [options.includeLowConfidence=false] - Aplica renomeações casadas apenas por nome
+         * @returns {Promise<Object>} Resultado da aplicação
+         */
+        async apply(report, options = {}) {
+            if (!report || !Array.isArray(report.renamed) || !Array.isArray(report.orphaned)) {
+                throw new Error('Relatório de reconciliação inválido');
+            }
+
+            const {
+                deleteOrphans = true,
+                rekeyRenamed = true,
+                includeLowConfidence = false
+            } = options;
+
+            const scope = (report.scope || []).filter(Boolean);
+            if (deleteOrphans && report.orphaned.length > 0 && scope.length === 0) {
+                throw new Error('Relatório sem escopo: informe os diretórios descobertos antes de remover órfãos');
+            }
+
+            const result = {
+                reportId: report.id,
+                rekeyedDocuments: 0,
+                rekeyedPoints: 0,
+                deletedDocuments: 0,
+                deletedPoints: 0,
+                skipped: [],
+                errors: []
+            };
+
+            if (rekeyRenamed) {
+                for (const rename of report.renamed) {
+                    if (rename.confidence === 'low' && !includeLowConfidence) {
+                        result.skipped.push({ filePath: rename.from, reason: 'low_confidence' });
+                        continue;
+                    }
+
+                    try {
+                        await this._inBatches(rename.pointIds, ids => KC.QdrantService.updatePayload(ids, {
+                            filePath: rename.to,
+                            fileName: rename.fileName,
+                            previousFilePath: rename.from,
+                            reconciledAt: new Date().toISOString()
+                        }));
+                        result.rekeyedDocuments++;
+                        result.rekeyedPoints += rename.pointIds.length;
+                    } catch (error) {
+                        result.errors.push({ filePath: rename.from, action: 'rekey', error: error.message });
+                    }
+                }
+            }
+
+            if (deleteOrphans) {
+                for (const orphan of report.orphaned) {
+                    if (!scope.some(prefix => orphan.filePath.startsWith(prefix))) {
+                        result.skipped.push({ filePath: orphan.filePath, reason: 'out_of_scope' });
+                        continue;
+                    }
+
+                    try {
+                        await this._inBatches(orphan.pointIds, ids => KC.QdrantService.deletePoints(ids));
+                        result.deletedDocuments++;
+                        result.deletedPoints += orphan.pointIds.length;
+                    } catch (error) {
+                        result.errors.push({ filePath: orphan.filePath, action: 'delete', error: error.message });
+                    }
+                }
+            }
+
+            // Cache de duplicatas do QdrantManager é chaveado por caminho
+            KC.QdrantManager?.clearCache?.();
+
+            KC.Logger?.info('QdrantReconciliation', 'Reconciliação aplicada', result);
+            KC.EventBus?.emit(KC.Events?.QDRANT_RECONCILED || 'qdrant:reconciled', { report, result });
+
+            return result;
+        }
+
+        /**
+         * Gera o relatório e, se dryRun for false, aplica em seguida
+         * @param {Object} options - Opções de buildReport() e apply() + dryRun (padrão true)
+         */
+        async reconcile(options = {}) {
+            const report = await this.buildReport(options);
+            if (options.dryRun !== false) {
+                return { report, result: null };
+            }
+            return { report, result: await this.apply(report, options) };
+        }
+
+        /**
+         * Último relatório gerado
+         */
+        getLastReport() {
+            return this.lastReport;
+        }
+
+        /**
+         * Indexa arquivos descobertos por caminho, hash e nome
+         * @private
+         */
+        async _indexDiscoveredFiles(files) {
+            const byPath = new Map();
+            const byHash = new Map();
+            const byName = new Map();
+
+            for (const file of files) {
+                if (!file.path) continue;
+                byPath.set(file.path, file);
+
+                const hash = await this._fileHash(file);
+                if (hash) {
+                    if (!byHash.has(hash)) byHash.set(hash, []);
+                    byHash.get(hash).push(file);
+                }
+
+                if (file.name) {
+                    if (!byName.has(file.name)) byName.set(file.name, []);
+                    byName.get(file.name).push(file);
+                }
+            }
+
+            return { byPath, byHash, byName };
+        }
+
+        /**
+         * Hash SHA-256 do conteúdo (mesmo critério do DiscoveryManifest)
+         * @private
+         */
+        async _fileHash(file) {
+            if (file.content && KC.FileUtils?.calculateHash) {
+                return KC.FileUtils.calculateHash(file.content);
+            }
+            // contentHash pode ter sido sobrescrito com hash DJB2 do QdrantManager
+            return /^[0-9a-f]{64}$/.test(file.contentHash || '') ? file.contentHash : null;
+        }
+
+        /**
+         * Percorre toda a coleção trazendo apenas os campos de identificação
+         * @private
+         */
+        async _scrollAllPoints() {
+            const points = [];
+            let offset;
+
+            do {
+                const page = await KC.QdrantService.scrollPoints({
+                    limit: this.config.pageSize,
+                    withPayload: this.config.payloadFields,
+                    offset: offset
+                });
+
+                points.push(...(page?.points || []));
+                offset = page?.next_page_offset ?? undefined;
+            } while (offset !== undefined);
+
+            return points;
+        }
+
+        /**
+         * Agrupa pontos (chunks) por documento de origem
+         * @private
+         */
+        _groupPointsByPath(points) {
+            const byPath = new Map();
+            const unkeyed = [];
+
+            points.forEach(point => {
+                const payload = point.payload || {};
+                if (!payload.filePath) {
+                    unkeyed.push(point.id);
+                    return;
+                }
+
+                if (!byPath.has(payload.filePath)) {
+                    byPath.set(payload.filePath, {
+                        fileName: payload.fileName,
+                        documentHash: null,
+                        pointIds: []
+                    });
+                }
+
+                const group = byPath.get(payload.filePath);
+                group.pointIds.push(point.id);
+                group.documentHash = group.documentHash || payload.documentHash || null;
+            });
+
+            return { byPath, unkeyed };
+        }
+
+        /**
+         * Pares from → to detectados pela última descoberta incremental
+         * @private
+         */
+        _movedPairsFromDiscovery() {
+            const moved = KC.DiscoveryManager?.getLastChangeReport?.()?.moved || [];
+            return new Map(moved.map(pair => [pair.from, pair.to]));
+        }
+
+        /**
+         * Procura o novo caminho de um documento que sumiu
+         * Ordem: hash do conteúdo > manifesto da descoberta > nome do arquivo (baixa confiança)
+         * @private
+         */
+        _findRenameTarget(group, filePath, discovered, claimedPaths, movedByDiscovery) {
+            const available = (file) => file && !claimedPaths.has(file.path);
+
+            if (group.documentHash) {
+                const file = (discovered.byHash.get(group.documentHash) || []).find(available);
+                if (file) return { file, matchedBy: 'contentHash', confidence: 'high' };
+            }
+
+            const movedTo = discovered.byPath.get(movedByDiscovery.get(filePath));
+            if (available(movedTo)) {
+                return { file: movedTo, matchedBy: 'discoveryManifest', confidence: 'high' };
+            }
+
+            // Pontos antigos, sem documentHash: só o nome, e apenas se for único
+            if (!group.documentHash && group.fileName) {
+                const candidates = (discovered.byName.get(group.fileName) || []).filter(available);
+                if (candidates.length === 1) {
+                    return { file: candidates[0], matchedBy: 'fileName', confidence: 'low' };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Executa a ação em lotes de IDs
+         * @private
+         */
+        async _inBatches(ids, action) {
+            for (let i = 0; i < ids.length; i += this.config.batchSize) {
+                await action(ids.slice(i, i + this.config.batchSize));
+            }
+        }
+    }
+
+    KC.QdrantReconciliation = new QdrantReconciliationService();
+
+})(window);
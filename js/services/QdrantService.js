@@ -5,17 +5,19 @@
  * Conecta via Tailscale com a VPS para armazenamento vetorial
  * 
  * Arquitetura:
- * - Qdrant rodando na VPS (https://qdr.vcia.com.br:6333)
+ * - Conexão definida pelo perfil ativo em KC.QdrantProfiles
+ *   (local, staging, production - padrão: VPS qdr.vcia.com.br:6333)
  * - Conexão segura via Tailscale
  * - Operações CRUD para pontos vetoriais
- * - Busca por similaridade
- * - Integração com EmbeddingService
+ * - Busca por similaridade (densa ou híbrida densa + esparsa)
+ * - Integração com EmbeddingService e SparseEncoder
  */
 
 class QdrantService {
     constructor() {
         this.config = {
             // URL do Qdrant na VPS (HTTP, não HTTPS!)
+            // Sobrescrita pelo perfil ativo (ver applyProfile)
             baseUrl: 'http://qdr.vcia.com.br:6333',
             // Alternativa via Tailscale IP direto
             // baseUrl: 'http://100.68.173.68:6333',
@@ -30,9 +32,24 @@ class QdrantService {
             // Configurações de busca
             defaultLimit: 10,
             scoreThreshold: 0.7,
+
+            // Busca híbrida: vetor esparso (BM25) gravado junto do denso
+            sparseVectorName: 'text',
+            hybrid: {
+                fusion: 'rrf',          // 'rrf' (reciprocal rank fusion) ou 'weighted'
+                rrfK: 60,               // Constante k do RRF
+                candidates: 50,         // Candidatos buscados em cada lista antes da fusão
+                weights: {
+                    dense: 0.5,
+                    sparse: 0.5
+                }
+            },
             
             // Timeout para requisições
             timeout: 30000,
+
+            // Snapshots copiam a coleção inteira: timeout próprio
+            snapshotTimeout: 10 * 60 * 1000,
             
             // API Key se configurada
             apiKey: null
@@ -54,6 +71,41 @@ class QdrantService {
         // Tamanho baseado em análise: 2KB/entry × 1024 = 2MB total
         // Mantém localidade temporal e minimiza GC pressure
         this.maxCacheSize = 1024; // 2^10 para hash optimization
+
+        // Modelo de embedding que gerou os vetores da coleção (undefined = não consultado)
+        this.collectionModel = undefined;
+
+        // Aviso de coleção sem vetor esparso emitido uma vez por coleção
+        this.sparseFallbackWarned = false;
+
+        this.profileId = null;
+        const profiles = window.KnowledgeConsolidator?.QdrantProfiles;
+        if (profiles) {
+            this.applyProfile(profiles.getActive());
+        }
+    }
+
+    /**
+     * Aplica um perfil de conexão (KC.QdrantProfiles)
+     * Força nova inicialização e descarta o cache de buscas da conexão anterior.
+     * @param {Object} profile - { id, url, apiKey, collection, vectorSize }
+     */
+    applyProfile(profile) {
+        if (!profile) return;
+
+        this.profileId = profile.id;
+        this.config.baseUrl = profile.url;
+        this.config.apiKey = profile.apiKey || null;
+        this.config.collectionName = profile.collection;
+        this.config.vectorSize = profile.vectorSize;
+
+        this.initialized = false;
+        this.collectionInfo = null;
+        this.collectionModel = undefined;
+        this.sparseFallbackWarned = false;
+        this.searchCache.clear();
+
+        console.log(`🔀 QdrantService usando perfil "${profile.id}": ${profile.url} / ${profile.collection}`);
     }
 
     /**
@@ -125,11 +177,35 @@ class QdrantService {
 
     /**
      * Cria uma nova coleção
+     * A dimensão segue o modelo de embedding ativo quando conhecida.
      */
     async createCollection() {
+        const activeModel = KC.EmbeddingService?.getActiveModel();
+        if (activeModel?.dimensions && activeModel.dimensions !== this.config.vectorSize) {
+            console.warn(`Perfil define ${this.config.vectorSize} dimensões, mas ${activeModel.id} gera ${activeModel.dimensions}; usando ${activeModel.dimensions}`);
+            this.config.vectorSize = activeModel.dimensions;
+        }
+
+        const response = await this.request(
+            'PUT',
+            `/collections/${this.config.collectionName}`,
+            this.buildCollectionParams(this.config.vectorSize)
+        );
+
+        this.collectionInfo = await this.getCollectionInfo();
+        this.collectionModel = null;
+        return response;
+    }
+
+    /**
+     * Parâmetros de criação de coleção: vetor denso sem nome + vetor esparso nomeado
+     * O IDF do vetor esparso é calculado pelo Qdrant (modifier 'idf', Qdrant >= 1.10).
+     * @param {number} vectorSize - Dimensão do vetor denso
+     */
+    buildCollectionParams(vectorSize) {
         const params = {
             vectors: {
-                size: this.config.vectorSize,
+                size: vectorSize,
                 distance: this.config.distance
             },
             optimizers_config: {
@@ -138,14 +214,91 @@ class QdrantService {
             replication_factor: 1
         };
 
+        if (KC.SparseEncoder) {
+            params.sparse_vectors = {
+                [this.config.sparseVectorName]: { modifier: 'idf' }
+            };
+        }
+
+        return params;
+    }
+
+    /**
+     * Indica se a coleção ativa tem o vetor esparso da busca híbrida
+     * Coleções criadas antes dele não podem recebê-lo (o Qdrant não adiciona
+     * vetores nomeados a coleções existentes); nelas o score esparso é calculado no cliente.
+     */
+    hasSparseVectors() {
+        return !!this.collectionInfo?.config?.params?.sparse_vectors?.[this.config.sparseVectorName];
+    }
+
+    /**
+     * Modelo de embedding registrado na coleção
+     * Cada ponto grava embeddingModel/embeddingDimensions no payload; pontos
+     * antigos (sem o campo) são atribuídos ao modelo histórico do projeto.
+     * @param {boolean} refresh - Ignora o valor em cache
+     * @returns {Promise<{id: string, dimensions: number, legacy: boolean}|null>} null = coleção vazia
+     */
+    async getCollectionEmbeddingModel(refresh = false) {
+        if (this.collectionModel !== undefined && !refresh) {
+            return this.collectionModel;
+        }
+
         const response = await this.request(
-            'PUT',
-            `/collections/${this.config.collectionName}`,
-            params
+            'POST',
+            `/collections/${this.config.collectionName}/points/scroll`,
+            {
+                limit: 1,
+                with_payload: ['embeddingModel', 'embeddingDimensions'],
+                with_vector: false,
+                filter: { must_not: [{ is_empty: { key: 'embeddingModel' } }] }
+            }
         );
 
-        this.collectionInfo = await this.getCollectionInfo();
-        return response;
+        const tagged = response.result?.points?.[0]?.payload;
+        if (tagged) {
+            this.collectionModel = {
+                id: tagged.embeddingModel,
+                dimensions: tagged.embeddingDimensions,
+                legacy: false
+            };
+        } else {
+            const info = await this.getCollectionInfo();
+            this.collectionModel = info?.points_count > 0 ? {
+                id: QdrantService.LEGACY_EMBEDDING_MODEL,
+                dimensions: info.config?.params?.vectors?.size,
+                legacy: true
+            } : null;
+        }
+
+        return this.collectionModel;
+    }
+
+    /**
+     * Recusa operações com um modelo diferente do que gerou a coleção
+     * @param {Object} model - Modelo (padrão: ativo no EmbeddingService)
+     * @throws {Error} Se a coleção pertence a outro modelo
+     */
+    async assertEmbeddingCompatible(model = KC.EmbeddingService?.getActiveModel()) {
+        if (!model) return;
+
+        const recorded = await this.getCollectionEmbeddingModel();
+        if (!recorded) return;
+
+        const sameModel = recorded.id === model.id;
+        const sameDimensions = !recorded.dimensions || !model.dimensions || recorded.dimensions === model.dimensions;
+
+        if (!sameModel || !sameDimensions) {
+            const error = new Error(
+                `Coleção "${this.config.collectionName}" foi indexada com ${recorded.id} (${recorded.dimensions}d), ` +
+                `mas o modelo ativo é ${model.id} (${model.dimensions || '?'}d). ` +
+                'Misturar vetores de modelos diferentes corrompe a busca: use KC.EmbeddingMigration para re-gerar a coleção.'
+            );
+            error.code = 'EMBEDDING_MODEL_MISMATCH';
+            error.collectionModel = recorded;
+            error.activeModel = model;
+            throw error;
+        }
     }
 
     /**
@@ -153,6 +306,7 @@ class QdrantService {
      */
     async insertPoint(point) {
         if (!this.initialized) await this.initialize();
+        await this.assertEmbeddingCompatible();
 
         const payload = {
             points: [this.formatPoint(point)]
@@ -165,6 +319,7 @@ class QdrantService {
         );
 
         this.stats.pointsInserted++;
+        this._rememberCollectionModel(payload.points[0]);
         return response;
     }
 
@@ -173,6 +328,7 @@ class QdrantService {
      */
     async insertBatch(points) {
         if (!this.initialized) await this.initialize();
+        await this.assertEmbeddingCompatible();
 
         // Dividir em batches menores se necessário
         const batchSize = 100;
@@ -192,6 +348,7 @@ class QdrantService {
                 );
                 results.push(response);
                 this.stats.pointsInserted += batch.length;
+                this._rememberCollectionModel(payload.points[0]);
             } catch (error) {
                 console.error(`Erro no batch ${i}-${i + batch.length}:`, error);
                 this.stats.errors++;
@@ -252,6 +409,208 @@ class QdrantService {
         return response.result;
     }
 
+    /**
+     * Busca híbrida: lista densa (embedding) + lista esparsa (termos BM25), fundidas no cliente
+     * A fusão é feita aqui, e não no /points/query do Qdrant, para permitir pesos por lista
+     * também no modo RRF.
+     * @param {string} text - Consulta
+     * @param {Object} options
+     * @param {number} [options.limit] - Resultados retornados
+     * @param {string} [options.fusion] - 'rrf' ou 'weighted'
+     * @param {Object} [options.weights] - { dense, sparse }
+     * @param {number} [options.rrfK] - Constante k do RRF
+     * @param {number} [options.scoreThreshold] - Score mínimo da lista densa
+     * @param {Object} [options.filter] - Filtro Qdrant aplicado às duas listas
+     * @returns {Promise<Array>} Pontos com score fundido, denseScore/sparseScore e ranks
+     */
+    async hybridSearch(text, options = {}) {
+        if (!KC.EmbeddingService || !KC.SparseEncoder) {
+            throw new Error('EmbeddingService e SparseEncoder são necessários para a busca híbrida');
+        }
+
+        if (!this.initialized) await this.initialize();
+        await this.assertEmbeddingCompatible();
+
+        const hybrid = {
+            ...this.config.hybrid,
+            fusion: options.fusion || this.config.hybrid.fusion,
+            rrfK: options.rrfK || this.config.hybrid.rrfK,
+            weights: { ...this.config.hybrid.weights, ...(options.weights || {}) }
+        };
+        if (!['rrf', 'weighted'].includes(hybrid.fusion)) {
+            throw new Error(`Modo de fusão inválido: ${hybrid.fusion} (use 'rrf' ou 'weighted')`);
+        }
+
+        const limit = options.limit || this.config.defaultLimit;
+        const candidates = Math.max(limit, hybrid.candidates);
+
+        const cacheKey = `hybrid_${text}_${JSON.stringify({ ...hybrid, limit, filter: options.filter, scoreThreshold: options.scoreThreshold })}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) return cached;
+
+        const embedding = await KC.EmbeddingService.generateEmbedding(text, { type: 'query' });
+        if (!embedding || !Array.isArray(embedding)) {
+            throw new Error('Falha ao gerar embedding do texto');
+        }
+        const sparseQuery = KC.SparseEncoder.encodeQuery(text);
+
+        const denseParams = {
+            vector: embedding,
+            limit: candidates,
+            with_payload: true
+        };
+        if (options.scoreThreshold) denseParams.score_threshold = options.scoreThreshold;
+        if (options.filter) denseParams.filter = options.filter;
+
+        const denseResponse = await this.request(
+            'POST',
+            `/collections/${this.config.collectionName}/points/search`,
+            denseParams
+        );
+        const denseHits = denseResponse.result || [];
+
+        let sparseHits = [];
+        let sparseSource = 'qdrant';
+
+        if (sparseQuery.indices.length === 0) {
+            sparseSource = 'none';
+        } else if (this.hasSparseVectors()) {
+            const sparseParams = {
+                vector: {
+                    name: this.config.sparseVectorName,
+                    vector: sparseQuery
+                },
+                limit: candidates,
+                with_payload: true
+            };
+            if (options.filter) sparseParams.filter = options.filter;
+
+            const sparseResponse = await this.request(
+                'POST',
+                `/collections/${this.config.collectionName}/points/search`,
+                sparseParams
+            );
+            sparseHits = sparseResponse.result || [];
+        } else {
+            // Coleção sem vetor esparso: busca por palavra-chave no payload (scroll com
+            // filtro de texto) além dos candidatos densos, todos pontuados no cliente
+            sparseSource = 'client';
+            if (!this.sparseFallbackWarned) {
+                this.sparseFallbackWarned = true;
+                KC.Logger?.warning('QdrantService', `Coleção "${this.config.collectionName}" sem vetor esparso: ` +
+                    'termos da busca híbrida casados por filtro de texto no payload. ' +
+                    'Migre a coleção (EmbeddingMigrationService, mesmo modelo) para o BM25 no Qdrant');
+            }
+
+            const keywordHits = await this._keywordCandidates(text, candidates, options.filter);
+            const byId = new Map([...denseHits, ...keywordHits].map(hit => [hit.id, hit]));
+            sparseHits = Array.from(byId.values())
+                .map(hit => ({
+                    ...hit,
+                    score: KC.SparseEncoder.score(sparseQuery, KC.SparseEncoder.encodeDocument(this._payloadText(hit.payload)))
+                }))
+                .filter(hit => hit.score > 0)
+                .sort((a, b) => b.score - a.score);
+        }
+
+        const results = this.fuseResults(denseHits, sparseHits, hybrid)
+            .slice(0, limit)
+            .map(result => ({ ...result, sparseSource }));
+
+        this.stats.searchesPerformed++;
+        this.saveToCache(cacheKey, results);
+
+        return results;
+    }
+
+    /**
+     * Pontos cujo texto contém algum termo da consulta (scroll com filtro match.text)
+     * Sem índice full-text no campo, o Qdrant compara por substring; por isso cada
+     * palavra vai como escrita e em minúsculas.
+     * @private
+     * @returns {Promise<Array>} Pontos com payload (sem score)
+     */
+    async _keywordCandidates(text, limit, filter) {
+        const words = (text.match(/[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu) || [])
+            .filter(word => KC.SparseEncoder.tokenize(word).length > 0);
+        const terms = [...new Set(words.flatMap(word => [word, word.toLowerCase()]))];
+        if (terms.length === 0) return [];
+
+        const keywordFilter = {
+            should: QdrantService.KEYWORD_FIELDS.flatMap(key => terms.map(term => ({ key, match: { text: term } })))
+        };
+        const response = await this.request(
+            'POST',
+            `/collections/${this.config.collectionName}/points/scroll`,
+            {
+                limit: limit,
+                with_payload: true,
+                filter: filter ? { must: [filter, keywordFilter] } : keywordFilter
+            }
+        );
+
+        return response.result?.points || [];
+    }
+
+    /**
+     * Texto indexável de um payload (conteúdo do chunk)
+     * @private
+     */
+    _payloadText(payload) {
+        return payload?.content || payload?.chunkText || payload?.text || '';
+    }
+
+    /**
+     * Funde as listas densa e esparsa
+     * - rrf: score = Σ peso / (k + rank), robusto a escalas de score diferentes
+     * - weighted: scores normalizados pelo máximo de cada lista e somados com os pesos
+     * @param {Array} denseHits - Resultados densos ordenados
+     * @param {Array} sparseHits - Resultados esparsos ordenados
+     * @param {Object} options - { fusion, rrfK, weights: { dense, sparse } }
+     * @returns {Array} Pontos ordenados pelo score fundido
+     */
+    fuseResults(denseHits, sparseHits, options = this.config.hybrid) {
+        const weights = options.weights || this.config.hybrid.weights;
+        const k = options.rrfK || this.config.hybrid.rrfK;
+        const fused = new Map();
+
+        // Divide pelo maior score da lista: o último colocado não zera
+        const normalizer = (hits) => {
+            const max = Math.max(...hits.map(hit => hit.score));
+            return (score) => (max > 0 ? Math.max(score, 0) / max : 0);
+        };
+
+        const addList = (hits, key, weight) => {
+            const normalize = normalizer(hits);
+
+            hits.forEach((hit, index) => {
+                if (!fused.has(hit.id)) {
+                    fused.set(hit.id, {
+                        ...hit,
+                        score: 0,
+                        denseScore: null,
+                        sparseScore: null,
+                        denseRank: null,
+                        sparseRank: null,
+                        fusion: options.fusion
+                    });
+                }
+
+                const entry = fused.get(hit.id);
+                entry[`${key}Score`] = hit.score;
+                entry[`${key}Rank`] = index + 1;
+                entry.score += options.fusion === 'weighted' ?
+                    weight * normalize(hit.score) :
+                    weight / (k + index + 1);
+            });
+        };
+
+        addList(denseHits, 'dense', weights.dense);
+        addList(sparseHits, 'sparse', weights.sparse);
+
+        return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+    }
+
     /**
      * Busca por similaridade usando texto (gera embedding primeiro)
      */
@@ -260,6 +619,9 @@ class QdrantService {
             throw new Error('EmbeddingService não disponível');
         }
 
+        if (!this.initialized) await this.initialize();
+        await this.assertEmbeddingCompatible();
+
         // Gerar embedding do texto
         const embeddingResult = await KC.EmbeddingService.generateEmbedding(text);
         
@@ -350,7 +712,7 @@ class QdrantService {
     }
 
     /**
-     * Atualiza payload de um ponto
+     * Atualiza payload de um ponto (ou de uma lista de pontos)
      */
     async updatePayload(pointId, payload) {
         if (!this.initialized) await this.initialize();
@@ -359,7 +721,7 @@ class QdrantService {
             'POST',
             `/collections/${this.config.collectionName}/points/payload`,
             {
-                points: [pointId],
+                points: Array.isArray(pointId) ? pointId : [pointId],
                 payload: payload
             }
         );
@@ -384,10 +746,18 @@ class QdrantService {
 
     /**
      * Reseta a coleção (remove todos os pontos)
+     * Cria antes um snapshot 'pre-reset' (restaurável em KC.QdrantSnapshots).
+     * @param {Object} options - { snapshot: false } pula o snapshot de segurança
      */
-    async resetCollection() {
+    async resetCollection(options = {}) {
         if (!this.initialized) await this.initialize();
 
+        // Snapshot de segurança: sem ele o reset é cancelado (use { snapshot: false } para ignorar)
+        if (options.snapshot !== false && KC.QdrantSnapshots) {
+            const snapshot = await KC.QdrantSnapshots.create({ trigger: 'pre-reset' });
+            console.log(`💾 Snapshot ${snapshot.name} criado antes do reset`);
+        }
+
         try {
             // Deletar a coleção
             await this.request(
@@ -395,7 +765,7 @@ class QdrantService {
                 `/collections/${this.config.collectionName}`
             );
             
-            // Recriar a coleção
+            // Recriar a coleção (volta a aceitar qualquer modelo)
             await this.createCollection();
             
             console.log(`✅ Coleção ${this.config.collectionName} resetada com sucesso`);
@@ -473,18 +843,161 @@ class QdrantService {
             throw new Error('Ponto deve ter id e vector (array)');
         }
 
-        // Validar dimensões
-        if (point.vector.length !== this.config.vectorSize) {
-            console.warn(`Vetor com ${point.vector.length} dimensões, esperado ${this.config.vectorSize}`);
+        // Validar dimensões - o Qdrant rejeitaria o batch inteiro
+        const expectedSize = this.collectionInfo?.config?.params?.vectors?.size || this.config.vectorSize;
+        if (point.vector.length !== expectedSize) {
+            throw new Error(`Vetor com ${point.vector.length} dimensões, coleção espera ${expectedSize}`);
         }
 
+        // Registrar o modelo que gerou o vetor
+        const model = KC.EmbeddingService?.getActiveModel();
+        const payload = { ...(point.payload || {}) };
+        if (model && !payload.embeddingModel) {
+            payload.embeddingModel = model.id;
+            payload.embeddingDimensions = point.vector.length;
+        }
+
+        // Vetor esparso do texto do chunk ("" = vetor denso sem nome)
+        const text = payload.content || payload.chunkText || payload.text;
+        const vector = this.hasSparseVectors() && KC.SparseEncoder && text ? {
+            '': point.vector,
+            [this.config.sparseVectorName]: KC.SparseEncoder.encodeDocument(text)
+        } : point.vector;
+
         return {
             id: point.id,
-            vector: point.vector,
-            payload: point.payload || {}
+            vector: vector,
+            payload: payload
         };
     }
 
+    /**
+     * Primeira inserção em coleção vazia define o modelo da coleção
+     * @private
+     */
+    _rememberCollectionModel(point) {
+        if (!this.collectionModel && point?.payload?.embeddingModel) {
+            this.collectionModel = {
+                id: point.payload.embeddingModel,
+                dimensions: point.payload.embeddingDimensions,
+                legacy: false
+            };
+        }
+    }
+
+    /**
+     * Cria snapshot da coleção ativa (aguarda a conclusão)
+     * @returns {Promise<{name: string, creation_time: string, size: number, checksum: string}>}
+     */
+    async createSnapshot() {
+        if (!this.initialized) await this.initialize();
+
+        const response = await this.requestRaw(
+            'POST',
+            `/collections/${this.config.collectionName}/snapshots?wait=true`
+        );
+        const data = await response.json();
+        return data.result;
+    }
+
+    /**
+     * Lista snapshots da coleção ativa
+     */
+    async listSnapshots() {
+        const response = await this.request(
+            'GET',
+            `/collections/${this.config.collectionName}/snapshots`
+        );
+        return response.result || [];
+    }
+
+    /**
+     * Baixa o arquivo de um snapshot
+     * @returns {Promise<Blob>}
+     */
+    async downloadSnapshot(name) {
+        const response = await this.requestRaw(
+            'GET',
+            `/collections/${this.config.collectionName}/snapshots/${encodeURIComponent(name)}`
+        );
+        return response.blob();
+    }
+
+    /**
+     * Remove um snapshot do servidor
+     */
+    async deleteSnapshot(name) {
+        return this.request(
+            'DELETE',
+            `/collections/${this.config.collectionName}/snapshots/${encodeURIComponent(name)}?wait=true`
+        );
+    }
+
+    /**
+     * Restaura a coleção ativa a partir de um arquivo de snapshot
+     * Enviado por upload (e não por location) para funcionar com API key e com
+     * arquivos baixados anteriormente. priority=snapshot descarta o estado atual.
+     * @param {Blob} file - Arquivo .snapshot
+     */
+    async recoverSnapshot(file) {
+        const form = new FormData();
+        form.append('snapshot', file, file.name || 'restore.snapshot');
+
+        const response = await this.requestRaw(
+            'POST',
+            `/collections/${this.config.collectionName}/snapshots/upload?priority=snapshot&wait=true`,
+            { body: form }
+        );
+
+        // Dados e modelo da coleção mudaram
+        this.collectionInfo = await this.getCollectionInfo();
+        this.collectionModel = undefined;
+        this.clearCache();
+
+        return (await response.json()).result;
+    }
+
+    /**
+     * Requisição sem conversão para JSON (downloads, uploads multipart e operações longas)
+     * @param {string} method
+     * @param {string} path
+     * @param {Object} options - { body, timeout }
+     * @returns {Promise<Response>}
+     */
+    async requestRaw(method, path, options = {}) {
+        const headers = {};
+        if (this.config.apiKey) {
+            headers['api-key'] = this.config.apiKey;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.config.snapshotTimeout);
+
+        try {
+            const response = await fetch(`${this.config.baseUrl}${path}`, {
+                method: method,
+                headers: headers,
+                body: options.body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Qdrant error ${response.status}: ${await response.text()}`);
+            }
+
+            return response;
+
+        } catch (error) {
+            this.stats.errors++;
+            if (error.name === 'AbortError') {
+                throw new Error('Timeout na requisição ao Qdrant');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
     /**
      * Faz requisição HTTP para o Qdrant
      */
@@ -885,6 +1398,12 @@ class QdrantService {
     }
 }
 
+// Modelo usado antes do registro de modelo por ponto (pontos sem embeddingModel)
+QdrantService.LEGACY_EMBEDDING_MODEL = 'ollama/nomic-embed-text';
+
+// Campos do payload com o texto do chunk (busca por palavra-chave sem vetor esparso)
+QdrantService.KEYWORD_FIELDS = ['content', 'chunkText', 'text'];
+
 // Registrar no namespace KC
 if (typeof window !== 'undefined') {
     window.KnowledgeConsolidator = window.KnowledgeConsolidator || {};
@@ -892,6 +1411,9 @@ if (typeof window !== 'undefined') {
     
     // Criar e registrar instância
     KC.QdrantService = new QdrantService();
+
+    // Troca de perfil em tempo de execução
+    KC.QdrantProfiles?.onChange(profile => KC.QdrantService.applyProfile(profile));
     
     console.log('QdrantService registrado em KC.QdrantService');
 
@@ -914,6 +1436,7 @@ if (typeof window !== 'undefined') {
         scroll: (opts) => KC.QdrantService.scrollPoints(opts),
         search: (vector, opts) => KC.QdrantService.search(vector, opts),
         searchText: (text, opts) => KC.QdrantService.searchByText(text, opts),
+        hybrid: (text, opts) => KC.QdrantService.hybridSearch(text, opts),
         
         // Helpers úteis
         help: () => {
@@ -926,6 +1449,7 @@ if (typeof window !== 'undefined') {
             console.log('🔗 Conexão: qdrant.connection()');
             console.log('📋 Scroll: qdrant.scroll({limit: 10})');
             console.log('🎯 Busca Avançada: qdrant.searchText("query")');
+            console.log('🔀 Busca Híbrida: qdrant.hybrid("query", {fusion: "rrf"})');
             console.groupEnd();
         }
     };
@@ -0,0 +1,299 @@
+/**
+ * QdrantSnapshotService.js - Snapshots da coleção do Qdrant por execução do pipeline
+ *
+ * O RollbackManager guarda o estado da aplicação, mas não os vetores. Este
+ * serviço cria, lista, baixa e restaura snapshots da coleção ativa e registra
+ * a que foram associados:
+ * - 'pre-pipeline': antes de cada RAGExportManager.processApprovedFiles() (com o runId)
+ * - 'pre-reset':    antes de QdrantService.resetCollection()
+ * - 'pre-restore':  antes de uma restauração (permite desfazer a restauração)
+ * - 'manual':       pela interface ou console
+ *
+ * Metadados (runId, motivo, resumo da execução) ficam em localStorage, por
+ * servidor e coleção; o arquivo do snapshot fica no servidor Qdrant.
+ *
+ * AIDEV-NOTE: qdrant-snapshots; restaurar substitui a coleção inteira
+ * (inclusive execuções posteriores ao snapshot)
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    // Snapshots de segurança (antes de reset/restauração) têm cota própria:
+    // uma sequência de pipelines não pode descartar o único ponto de volta de um reset
+    const SAFETY_TRIGGERS = ['pre-reset', 'pre-restore'];
+
+    class QdrantSnapshotService {
+        constructor() {
+            this.storageKey = 'kc_qdrant_snapshots';
+            this.config = {
+                maxAutomaticSnapshots: 10,  // Snapshots 'pre-pipeline' mantidos por coleção (manuais nunca são removidos)
+                maxSafetySnapshots: 5       // Snapshots 'pre-reset' e 'pre-restore', cada um com sua cota
+            };
+
+            this.records = this._load();
+        }
+
+        /**
+         * Cria snapshot da coleção ativa
+         * @param {Object} options
+         * @param {string} [options.trigger='manual'] - Motivo (ver cabeçalho)
+         * @param {string} [options.runId] - Execução do pipeline associada
+         * @param {string} [options.note] - Observação livre
+         * @returns {Promise<Object>} Registro do snapshot
+         */
+        async create(options = {}) {
+            const qdrant = KC.QdrantService;
+            const trigger = options.trigger || 'manual';
+
+            KC.Logger?.info('QdrantSnapshots', `Criando snapshot (${trigger})`, { runId: options.runId });
+
+            const snapshot = await qdrant.createSnapshot();
+            const info = await qdrant.getCollectionInfo().catch(() => null);
+            const model = await qdrant.getCollectionEmbeddingModel().catch(() => null);
+
+            const record = {
+                ...this._context(),
+                name: snapshot.name,
+                trigger: trigger,
+                runId: options.runId || null,
+                note: options.note || null,
+                createdAt: snapshot.creation_time || new Date().toISOString(),
+                size: snapshot.size || null,
+                checksum: snapshot.checksum || null,
+                pointsCount: info?.points_count ?? null,
+                embeddingModel: model?.id || null,
+                run: null
+            };
+
+            this.records.push(record);
+            this._save();
+            await this._pruneAutomatic();
+
+            KC.EventBus?.emit(KC.Events?.QDRANT_SNAPSHOT_CREATED || 'qdrant:snapshot:created', { snapshot: record });
+            return record;
+        }
+
+        /**
+         * Lista snapshots da coleção ativa (servidor + metadados locais)
+         * Snapshots criados fora da aplicação aparecem com trigger 'external'.
+         * @returns {Promise<Array>} Mais recentes primeiro
+         */
+        async list() {
+            const onServer = await KC.QdrantService.listSnapshots();
+            const known = new Map(this._currentRecords().map(record => [record.name, record]));
+
+            return onServer
+                .map(snapshot => ({
+                    ...this._context(),
+                    trigger: 'external',
+                    runId: null,
+                    ...known.get(snapshot.name),
+                    name: snapshot.name,
+                    createdAt: known.get(snapshot.name)?.createdAt || snapshot.creation_time,
+                    size: snapshot.size
+                }))
+                .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        }
+
+        /**
+         * Snapshot tirado antes de uma execução do pipeline
+         * @param {string} runId
+         * @returns {Object|null}
+         */
+        findByRun(runId) {
+            return this._currentRecords().find(record => record.runId === runId && record.trigger === 'pre-pipeline') || null;
+        }
+
+        /**
+         * Execuções posteriores a runId (também desfeitas ao revertê-la)
+         * @param {string} runId
+         * @returns {string[]}
+         */
+        findLaterRuns(runId) {
+            const record = this.findByRun(runId);
+            if (!record) return [];
+
+            return this._currentRecords()
+                .filter(other => other.trigger === 'pre-pipeline' && other.createdAt > record.createdAt)
+                .map(other => other.runId);
+        }
+
+        /**
+         * Registra o resumo da execução no snapshot que a antecedeu
+         * @param {string} runId
+         * @param {Object} summary - { success, processed, failed, totalChunks }
+         */
+        recordRunResult(runId, summary) {
+            const record = this.findByRun(runId);
+            if (!record) return;
+
+            record.run = { ...summary, finishedAt: new Date().toISOString() };
+            this._save();
+        }
+
+        /**
+         * Baixa o arquivo do snapshot
+         * @returns {Promise<Blob>}
+         */
+        async download(name) {
+            return KC.QdrantService.downloadSnapshot(name);
+        }
+
+        /**
+         * Restaura a coleção ativa para um snapshot do servidor
+         * @param {string} name - Nome do snapshot
+         * @param {Object} options - { safetySnapshot: false } pula o snapshot 'pre-restore'
+         * @returns {Promise<Object>} { restored, safetySnapshot }
+         */
+        async restore(name, options = {}) {
+            const file = await KC.QdrantService.downloadSnapshot(name);
+            return this._restoreFile(file, name, options);
+        }
+
+        /**
+         * Restaura a coleção ativa a partir de um arquivo baixado anteriormente
+         * @param {File|Blob} file - Arquivo .snapshot
+         * @param {Object} options - { safetySnapshot: false }
+         */
+        async restoreFromFile(file, options = {}) {
+            if (!file || typeof file.size !== 'number' || file.size === 0) {
+                throw new Error('Arquivo de snapshot inválido');
+            }
+            return this._restoreFile(file, file.name || 'arquivo local', options);
+        }
+
+        /**
+         * Desfaz uma execução do pipeline restaurando o snapshot tirado antes dela
+         * @param {string} runId
+         * @param {Object} options - Opções de restore()
+         * @returns {Promise<Object>} Resultado de restore() + laterRuns (execuções também desfeitas)
+         */
+        async rollbackRun(runId, options = {}) {
+            const record = this.findByRun(runId);
+            if (!record) {
+                throw new Error(`Nenhum snapshot registrado antes da execução ${runId}`);
+            }
+
+            const laterRuns = this.findLaterRuns(runId);
+            const result = await this.restore(record.name, options);
+            return { ...result, runId, laterRuns };
+        }
+
+        /**
+         * Remove o snapshot do servidor e seus metadados
+         */
+        async remove(name) {
+            await KC.QdrantService.deleteSnapshot(name);
+
+            const context = this._context();
+            this.records = this.records.filter(record =>
+                !(record.name === name && record.server === context.server && record.collection === context.collection)
+            );
+            this._save();
+        }
+
+        /**
+         * @private
+         */
+        async _restoreFile(file, label, options) {
+            let safetySnapshot = null;
+            if (options.safetySnapshot !== false) {
+                safetySnapshot = await this.create({ trigger: 'pre-restore', note: `Antes de restaurar ${label}` });
+            }
+
+            KC.Logger?.info('QdrantSnapshots', `Restaurando ${label}`);
+            await KC.QdrantService.recoverSnapshot(file);
+
+            // Caches chaveados por caminho/conteúdo não valem mais
+            KC.QdrantManager?.clearCache?.();
+            KC.SimilaritySearchService?.clearCache?.();
+
+            const result = {
+                restored: label,
+                collection: KC.QdrantService.config.collectionName,
+                safetySnapshot: safetySnapshot?.name || null
+            };
+
+            KC.Logger?.success?.('QdrantSnapshots', `Coleção restaurada a partir de ${label}`);
+            KC.EventBus?.emit(KC.Events?.QDRANT_SNAPSHOT_RESTORED || 'qdrant:snapshot:restored', result);
+
+            return result;
+        }
+
+        /**
+         * Remove os snapshots automáticos mais antigos além do limite de cada motivo
+         * @private
+         */
+        async _pruneAutomatic() {
+            const quotas = {
+                'pre-pipeline': this.config.maxAutomaticSnapshots,
+                ...Object.fromEntries(SAFETY_TRIGGERS.map(trigger => [trigger, this.config.maxSafetySnapshots]))
+            };
+
+            const excess = Object.entries(quotas).flatMap(([trigger, max]) => {
+                const records = this._currentRecords()
+                    .filter(record => record.trigger === trigger)
+                    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+                return records.slice(0, Math.max(0, records.length - max));
+            });
+
+            for (const record of excess) {
+                try {
+                    await this.remove(record.name);
+                } catch (error) {
+                    KC.Logger?.warning('QdrantSnapshots', `Não foi possível remover snapshot antigo ${record.name}`, error.message);
+                }
+            }
+        }
+
+        /**
+         * Servidor e coleção ativos (metadados são separados por conexão)
+         * @private
+         */
+        _context() {
+            const config = KC.QdrantService.config;
+            return {
+                server: config.baseUrl,
+                collection: config.collectionName,
+                profileId: KC.QdrantService.profileId || null
+            };
+        }
+
+        /**
+         * @private
+         */
+        _currentRecords() {
+            const { server, collection } = this._context();
+            return this.records.filter(record => record.server === server && record.collection === collection);
+        }
+
+        /**
+         * @private
+         */
+        _load() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            } catch (error) {
+                KC.Logger?.warning('QdrantSnapshots', 'Metadados de snapshots inválidos, ignorando');
+                return [];
+            }
+        }
+
+        /**
+         * @private
+         */
+        _save() {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+            } catch (error) {
+                KC.Logger?.error('QdrantSnapshots', 'Erro ao salvar metadados de snapshots', error);
+            }
+        }
+    }
+
+    KC.QdrantSnapshots = new QdrantSnapshotService();
+
+})(window);
@@ -0,0 +1,355 @@
+/**
+ * RerankerService.js - Segundo estágio de ranqueamento da busca
+ *
+ * Reordena os candidatos da busca (densa ou híbrida) julgando cada par
+ * pergunta/trecho, em vez das heurísticas de applyHybridRanking():
+ * - cross-encoder: modelo servido localmente (TEI /rerank ou API estilo Cohere/Jina /v1/rerank)
+ * - llm: avaliação de relevância pelo AIAPIManager (provider ativo ou informado)
+ *
+ * Todo resultado recebe um score calibrado em [0, 1] e o motivo da posição.
+ * Quando nenhum reranker está disponível, rerank() lança erro e o chamador
+ * (SimilaritySearchService.rerankResults) volta ao ranking heurístico.
+ *
+ * AIDEV-NOTE: reranker; nunca altera o conteúdo dos resultados, só score/ordem
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class RerankerService {
+        constructor() {
+            this.storageKey = 'kc_reranker_config';
+
+            this.config = {
+                strategy: 'none',           // 'cross-encoder', 'llm' ou 'none'
+                crossEncoder: {
+                    url: 'http://127.0.0.1:8080/rerank',
+                    format: 'tei',          // 'tei' ({ query, texts }) ou 'cohere' ({ model, query, documents })
+                    model: 'BAAI/bge-reranker-v2-m3',
+                    scores: 'probability',  // 'probability' (já em [0, 1]) ou 'logit' (passa por sigmoide)
+                    apiKey: null
+                },
+                llm: {
+                    provider: null,         // null = provider ativo do AIAPIManager
+                    model: null,
+                    batchSize: 8            // Trechos avaliados por chamada
+                },
+                maxPassageLength: 1200,     // Caracteres enviados por trecho
+                timeout: 20000
+            };
+
+            this.stats = {
+                reranks: 0,
+                failures: 0,
+                lastLatency: null
+            };
+
+            this._loadConfig();
+        }
+
+        /**
+         * Atualiza e persiste a configuração
+         * @param {Object} settings - { strategy, crossEncoder: {...}, llm: {...} }
+         */
+        configure(settings = {}) {
+            if (settings.strategy && !['cross-encoder', 'llm', 'none'].includes(settings.strategy)) {
+                throw new Error(`Estratégia de reranking inválida: ${settings.strategy}`);
+            }
+            const scores = settings.crossEncoder?.scores;
+            if (scores && !['probability', 'logit'].includes(scores)) {
+                throw new Error(`Escala de score do cross-encoder inválida: ${scores}`);
+            }
+
+            this.config = {
+                ...this.config,
+                ...settings,
+                crossEncoder: { ...this.config.crossEncoder, ...(settings.crossEncoder || {}) },
+                llm: { ...this.config.llm, ...(settings.llm || {}) }
+            };
+            this._saveConfig();
+
+            KC.Logger?.info('RerankerService', 'Configuração atualizada', { strategy: this.config.strategy });
+            return this.getConfig();
+        }
+
+        /**
+         * Configuração sem segredos
+         */
+        getConfig() {
+            const { apiKey, ...crossEncoder } = this.config.crossEncoder;
+            return { ...this.config, crossEncoder: { ...crossEncoder, hasApiKey: !!apiKey } };
+        }
+
+        /**
+         * Indica se a estratégia configurada pode ser usada agora
+         * @param {string} [strategy] - Padrão: configurada
+         * @returns {Promise<boolean>}
+         */
+        async isAvailable(strategy = this.config.strategy) {
+            if (strategy === 'llm') {
+                const manager = KC.AIAPIManager;
+                if (!manager) return false;
+                const provider = manager.providers[this.config.llm.provider || manager.activeProvider];
+                return !!provider && (!provider.requiresApiKey || !!manager.apiKeys[provider.id]);
+            }
+
+            if (strategy === 'cross-encoder') {
+                try {
+                    await this._crossEncoderScores('teste', ['teste']);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            }
+
+            return false;
+        }
+
+        /**
+         * Reordena resultados pela relevância em relação à pergunta
+         * @param {string} query - Pergunta do usuário
+         * @param {Array} results - Resultados com content (ou payload.content)
+         * @param {Object} options - { strategy, limit }
+         * @returns {Promise<Array>} Resultados com score calibrado, rerankReason, originalRank e promoted
+         * @throws {Error} Se nenhum reranker estiver configurado ou a chamada falhar
+         */
+        async rerank(query, results, options = {}) {
+            const strategy = options.strategy || this.config.strategy;
+            if (strategy === 'none') {
+                throw new Error('Nenhum reranker configurado');
+            }
+            if (!results || results.length === 0) return [];
+
+            const startTime = Date.now();
+            const passages = results.map(result => this._passageText(result));
+
+            try {
+                const judgements = strategy === 'llm' ?
+                    await this._llmJudgements(query, passages) :
+                    (await this._crossEncoderScores(query, passages)).map(score => ({ score, reason: null }));
+
+                const reranked = results
+                    .map((result, index) => ({
+                        ...result,
+                        originalScore: result.score,
+                        originalRank: index + 1,
+                        score: judgements[index].score,
+                        reranker: strategy,
+                        rerankReason: judgements[index].reason
+                    }))
+                    .sort((a, b) => b.score - a.score)
+                    .map((result, index) => {
+                        const rank = index + 1;
+                        return {
+                            ...result,
+                            rank: rank,
+                            promoted: rank < result.originalRank,
+                            rerankReason: this._describe(result, rank, query)
+                        };
+                    });
+
+                this.stats.reranks++;
+                this.stats.lastLatency = Date.now() - startTime;
+                KC.Logger?.info('RerankerService', `Reranking (${strategy}) concluído`, {
+                    results: reranked.length,
+                    latency: this.stats.lastLatency
+                });
+
+                return options.limit ? reranked.slice(0, options.limit) : reranked;
+
+            } catch (error) {
+                this.stats.failures++;
+                KC.Logger?.warning('RerankerService', `Reranking (${strategy}) falhou`, error.message);
+                throw error;
+            }
+        }
+
+        /**
+         * Scores do cross-encoder, calibrados em [0, 1]
+         * A escala vem de crossEncoder.scores, nunca da distribuição da consulta:
+         * o mesmo score bruto vira sempre o mesmo score calibrado, e limiares
+         * valem entre consultas. 'logit' passa por sigmoide; 'probability' só é limitado a [0, 1].
+         * @private
+         */
+        async _crossEncoderScores(query, passages) {
+            const settings = this.config.crossEncoder;
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+            const body = settings.format === 'cohere' ?
+                { model: settings.model, query: query, documents: passages, top_n: passages.length } :
+                { query: query, texts: passages, truncate: true };
+
+            const response = await fetch(settings.url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.config.timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Cross-encoder erro: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const items = Array.isArray(data) ? data : (data.results || []);
+            const scores = new Array(passages.length).fill(0);
+
+            items.forEach(item => {
+                scores[item.index] = item.relevance_score ?? item.score ?? 0;
+            });
+
+            return scores.map(score => settings.scores === 'logit' ?
+                1 / (1 + Math.exp(-score)) :
+                Math.min(Math.max(score, 0), 1));
+        }
+
+        /**
+         * Avaliação por LLM em lotes; notas 0-10 viram scores em [0, 1]
+         * @private
+         */
+        async _llmJudgements(query, passages) {
+            const manager = KC.AIAPIManager;
+            if (!manager) {
+                throw new Error('AIAPIManager não disponível para reranking');
+            }
+
+            const { provider, model, batchSize } = this.config.llm;
+            const judgements = [];
+
+            for (let start = 0; start < passages.length; start += batchSize) {
+                const batch = passages.slice(start, start + batchSize);
+                const prompt = this._buildJudgePrompt(query, batch);
+
+                const raw = await manager.complete(prompt, {
+                    provider: provider || undefined,
+                    model: model || undefined,
+                    temperature: 0.1,
+                    maxTokens: 120 * batch.length
+                });
+
+                judgements.push(...this._parseJudgements(raw, batch.length));
+            }
+
+            return judgements;
+        }
+
+        /**
+         * @private
+         */
+        _buildJudgePrompt(query, passages) {
+            const listed = passages
+                .map((passage, index) => `[${index}] ${passage}`)
+                .join('\n\n');
+
+            return {
+                system: 'Você avalia a relevância de trechos de uma base de conhecimento pessoal para uma pergunta. ' +
+                    'Dê a cada trecho uma nota inteira de 0 (irrelevante) a 10 (responde diretamente à pergunta) ' +
+                    'e explique em uma frase curta, em português, o que no trecho justifica a nota. ' +
+                    'Responda SOMENTE com JSON.',
+                user: `Pergunta: ${query}\n\nTrechos:\n${listed}\n\n` +
+                    'Formato: {"rankings": [{"id": 0, "score": 7, "reason": "..."}]} com um item por trecho.'
+            };
+        }
+
+        /**
+         * Interpreta a resposta do LLM; trechos sem nota recebem 0
+         * @private
+         */
+        _parseJudgements(raw, count) {
+            const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+            const match = text.match(/\{[\s\S]*\}/);
+            if (!match) {
+                throw new Error('Resposta do reranker LLM sem JSON');
+            }
+
+            const parsed = JSON.parse(match[0]);
+            const rankings = Array.isArray(parsed.rankings) ? parsed.rankings : [];
+            const judgements = Array.from({ length: count }, () => ({ score: 0, reason: 'Sem avaliação do LLM' }));
+
+            rankings.forEach(item => {
+                const id = parseInt(item.id, 10);
+                if (!(id >= 0 && id < count)) return;
+
+                const score = Number(item.score);
+                judgements[id] = {
+                    score: Number.isFinite(score) ? Math.min(10, Math.max(0, score)) / 10 : 0,
+                    reason: item.reason || null
+                };
+            });
+
+            return judgements;
+        }
+
+        /**
+         * Motivo exibido ao usuário: o do LLM ou, no cross-encoder, os termos da pergunta presentes
+         * @private
+         */
+        _describe(result, rank, query) {
+            const movement = rank < result.originalRank ?
+                `Promovido de #${result.originalRank} para #${rank}` :
+                rank > result.originalRank ?
+                    `Rebaixado de #${result.originalRank} para #${rank}` :
+                    `Mantido em #${rank}`;
+            const relevance = `relevância ${result.score.toFixed(2)}`;
+
+            if (result.rerankReason) {
+                return `${movement} (${relevance}): ${result.rerankReason}`;
+            }
+
+            const tokenize = (text) => KC.SparseEncoder?.tokenize(text) ||
+                text.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+            const passageTerms = new Set(tokenize(this._passageText(result)));
+            const shared = [...new Set(tokenize(query))].filter(term => passageTerms.has(term));
+
+            return shared.length > 0 ?
+                `${movement} pelo cross-encoder (${relevance}); termos da pergunta no trecho: ${shared.slice(0, 5).join(', ')}` :
+                `${movement} pelo cross-encoder (${relevance}); correspondência semântica, sem termos em comum`;
+        }
+
+        /**
+         * @private
+         */
+        _passageText(result) {
+            const text = result.content || result.payload?.content || result.payload?.chunkText || '';
+            return text.substring(0, this.config.maxPassageLength);
+        }
+
+        /**
+         * @private
+         */
+        _loadConfig() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+                if (saved) {
+                    this.config = {
+                        ...this.config,
+                        ...saved,
+                        crossEncoder: { ...this.config.crossEncoder, ...(saved.crossEncoder || {}), apiKey: null },
+                        llm: { ...this.config.llm, ...(saved.llm || {}) }
+                    };
+                }
+            } catch (error) {
+                KC.Logger?.warning('RerankerService', 'Configuração salva inválida, usando padrão');
+            }
+        }
+
+        /**
+         * API key do cross-encoder fica apenas em memória
+         * @private
+         */
+        _saveConfig() {
+            try {
+                const { apiKey, ...crossEncoder } = this.config.crossEncoder;
+                localStorage.setItem(this.storageKey, JSON.stringify({ ...this.config, crossEncoder }));
+            } catch (error) {
+                KC.Logger?.error('RerankerService', 'Erro ao salvar configuração', error);
+            }
+        }
+    }
+
+    KC.RerankerService = new RerankerService();
+
+})(window);
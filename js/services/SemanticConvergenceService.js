@@ -50,10 +50,9 @@
             this.discoveredPatterns = [];
 
             // Configuração de busca híbrida
+            // Pesos denso/esparso vêm do SimilaritySearchService (setSearchWeights)
             this.hybridSearchConfig = {
-                vectorWeight: 0.6,
-                keywordWeight: 0.4,
-                minScore: 0.3,
+                fusion: 'rrf',
                 maxResults: 100
             };
 
@@ -473,40 +472,38 @@
 
         /**
          * Busca híbrida com convergência
+         * Usa QdrantService.hybridSearch (vetor denso + vetor esparso BM25) com a fusão
+         * e os pesos do SimilaritySearchService; chunks são agrupados por documento.
+         * @param {string} query - Consulta
+         * @param {Object} options - limit, filter, fusion, weights, rrfK
          */
         async hybridSearchWithConvergence(query, options = {}) {
             try {
-                // Busca vetorial
-                let vectorResults = [];
-                if (this.qdrantService && this.embeddingService) {
-                    const embedding = await this.embeddingService.generateEmbedding(query);
-                    vectorResults = await this.qdrantService.search({
-                        vector: embedding,
-                        limit: options.limit || 50
-                    });
-                }
+                const hybridOptions = KC.SimilaritySearchService?.getHybridOptions(options) || {
+                    fusion: options.fusion || this.hybridSearchConfig.fusion,
+                    weights: options.weights
+                };
 
-                // Busca por keywords
-                const keywordResults = await this.keywordSearch(query, options);
+                const hits = await this.qdrantService.hybridSearch(query, {
+                    ...hybridOptions,
+                    limit: options.limit || 50,
+                    filter: options.filter
+                });
 
-                // Combina resultados
-                const combinedResults = this.combineSearchResults(
-                    vectorResults,
-                    keywordResults,
-                    this.hybridSearchConfig
-                );
+                const results = this.groupHitsByDocument(hits).slice(0, this.hybridSearchConfig.maxResults);
 
                 // Analisa convergência dos resultados
                 const convergenceAnalysis = await this.analyzeConvergence(
-                    combinedResults.map(r => r.file)
+                    results.map(r => r.file)
                 );
 
                 return {
                     success: true,
-                    results: combinedResults,
+                    results: results,
                     convergence: convergenceAnalysis,
                     query: query,
                     method: 'hybrid',
+                    fusion: hybridOptions.fusion,
                     timestamp: new Date().toISOString()
                 };
 
@@ -521,71 +518,36 @@
         }
 
         /**
-         * Busca por keywords
+         * Agrupa chunks por documento, mantendo o chunk de maior score
+         * O arquivo descoberto (AppState) é usado quando existe; senão, é montado do payload.
          */
-        async keywordSearch(query, options = {}) {
-            const files = KC.AppState.get('files') || [];
-            const queryKeywords = this.extractKeywords(query.toLowerCase());
-            
-            const results = files.map(file => {
-                const content = (file.content || file.preview?.preview || '').toLowerCase();
-                const fileKeywords = this.extractKeywords(content);
-                
-                // Calcula score de match
-                const matchScore = this.calculateKeywordMatch(queryKeywords, fileKeywords);
-                
-                return {
-                    file: file,
-                    score: matchScore,
-                    method: 'keyword'
-                };
-            })
-            .filter(r => r.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, options.limit || 50);
-
-            return results;
-        }
-
-        /**
-         * Combina resultados de busca
-         */
-        combineSearchResults(vectorResults, keywordResults, config) {
-            const combined = new Map();
-
-            // Adiciona resultados vetoriais
-            vectorResults.forEach(result => {
-                const id = result.file.id || result.file.name;
-                combined.set(id, {
-                    file: result.file,
-                    vectorScore: result.score * config.vectorWeight,
-                    keywordScore: 0,
-                    totalScore: result.score * config.vectorWeight
+        groupHitsByDocument(hits) {
+            const filesByPath = new Map((KC.AppState?.get('files') || []).map(file => [file.path, file]));
+            const documents = new Map();
+
+            hits.forEach(hit => {
+                const payload = hit.payload || {};
+                const key = payload.filePath || payload.documentId || hit.id;
+                if (documents.has(key)) return;
+
+                documents.set(key, {
+                    file: filesByPath.get(payload.filePath) || {
+                        id: payload.documentId || hit.id,
+                        name: payload.fileName,
+                        path: payload.filePath,
+                        content: payload.content || payload.chunkText || '',
+                        categories: payload.metadata?.categories || [],
+                        analysisType: payload.analysisType || payload.metadata?.analysisType
+                    },
+                    score: hit.score,
+                    denseScore: hit.denseScore,
+                    sparseScore: hit.sparseScore,
+                    chunkId: hit.id,
+                    method: 'hybrid'
                 });
             });
 
-            // Adiciona/combina resultados de keyword
-            keywordResults.forEach(result => {
-                const id = result.file.id || result.file.name;
-                if (combined.has(id)) {
-                    const existing = combined.get(id);
-                    existing.keywordScore = result.score * config.keywordWeight;
-                    existing.totalScore = existing.vectorScore + existing.keywordScore;
-                } else {
-                    combined.set(id, {
-                        file: result.file,
-                        vectorScore: 0,
-                        keywordScore: result.score * config.keywordWeight,
-                        totalScore: result.score * config.keywordWeight
-                    });
-                }
-            });
-
-            // Converte para array e ordena
-            return Array.from(combined.values())
-                .filter(r => r.totalScore >= config.minScore)
-                .sort((a, b) => b.totalScore - a.totalScore)
-                .slice(0, config.maxResults);
+            return Array.from(documents.values());
         }
 
         /**
@@ -772,17 +734,6 @@
             return coOccurrences;
         }
 
-        calculateKeywordMatch(queryKeywords, fileKeywords) {
-            if (queryKeywords.length === 0 || fileKeywords.length === 0) return 0;
-            
-            let matches = 0;
-            queryKeywords.forEach(qk => {
-                if (fileKeywords.includes(qk)) matches++;
-            });
-            
-            return matches / queryKeywords.length;
-        }
-
         isStopWord(word) {
             const stopWords = ['o', 'a', 'de', 'da', 'do', 'em', 'para', 'com', 'por', 'que', 'e', 'é'];
             return stopWords.includes(word);
@@ -8,6 +8,8 @@
  * - Usa embeddings para encontrar conteúdo semanticamente relacionado
  * - Integra com categorias manuais como ground truth
  * - Suporta múltiplos tipos de busca (texto, categoria, híbrida)
+ * - Busca por texto híbrida: vetor denso + vetor esparso (BM25) com fusão RRF ou ponderada
+ * - Reranking opcional (cross-encoder ou LLM via RerankerService), com fallback heurístico
  * - Cache inteligente de resultados
  */
 
@@ -20,13 +22,28 @@ class SimilaritySearchService {
             includeMetadata: true,
             includeContent: true,
             
+            // Busca por texto: 'hybrid' (denso + esparso) ou 'dense'
+            searchMode: 'hybrid',
+
+            // Fusão das listas densa e esparsa: 'rrf' ou 'weighted'
+            fusion: 'rrf',
+            rrfK: 60,
+
             // Pesos para busca híbrida
             weights: {
+                dense: 0.5,         // Peso da lista densa (embedding) na fusão
+                sparse: 0.5,        // Peso da lista esparsa (termos exatos) na fusão
                 semantic: 0.7,      // Peso da similaridade semântica
                 category: 0.2,      // Peso da correspondência de categoria
                 relevance: 0.1      // Peso do score de relevância original
             },
             
+            // Segundo estágio (RerankerService): reordena mais candidatos que o limite pedido
+            rerank: {
+                enabled: false,
+                candidates: 30
+            },
+
             // Cache
             cacheEnabled: true,
             cacheTimeout: 10 * 60 * 1000, // 10 minutos
@@ -102,31 +119,31 @@ class SimilaritySearchService {
 
         try {
             KC.Logger?.flow('SimilaritySearchService', 'Busca por texto', { query, options });
-            
-            // Gera embedding do texto de busca
-            const queryEmbedding = await KC.EmbeddingService.generateEmbedding(query, {
-                type: 'query',
-                searchContext: options.context
-            });
 
-            if (!queryEmbedding) {
-                throw new Error('Falha ao gerar embedding da query');
-            }
+            const limit = options.limit || this.config.defaultLimit;
+            const rerank = options.rerank ?? this.config.rerank.enabled;
+            const candidateOptions = rerank ?
+                { ...options, limit: Math.max(limit, this.config.rerank.candidates) } :
+                options;
 
-            // Busca no Qdrant
-            const searchResults = await KC.QdrantService.search(queryEmbedding, {
-                limit: options.limit || this.config.defaultLimit,
-                scoreThreshold: options.scoreThreshold || this.config.scoreThreshold,
-                filter: this.buildQdrantFilter(options)
-            });
+            const searchResults = (options.mode || this.config.searchMode) === 'hybrid' ?
+                await this.searchHybrid(query, candidateOptions) :
+                await this.searchDense(query, candidateOptions);
 
-            // Enriquece resultados
-            const enrichedResults = await this.enrichResults(searchResults, query, options);
+            // Enriquece resultados (o reranker sempre precisa do conteúdo)
+            const enrichedResults = await this.enrichResults(searchResults, query,
+                rerank ? { ...options, includeContent: true } : options);
             
-            // Aplica ranking híbrido se configurado
-            const rankedResults = options.hybridRanking ? 
-                this.applyHybridRanking(enrichedResults, query, options) : 
-                enrichedResults;
+            // Reranking ou ranking híbrido heurístico, se configurados
+            let rankedResults = enrichedResults;
+            if (rerank) {
+                rankedResults = await this.rerankResults(enrichedResults, query, { ...options, limit });
+                if (options.includeContent === false) {
+                    rankedResults = rankedResults.map(result => ({ ...result, content: null }));
+                }
+            } else if (options.hybridRanking) {
+                rankedResults = this.applyHybridRanking(enrichedResults, query, options);
+            }
 
             // Salva no cache
             this.saveToCache(cacheKey, rankedResults);
@@ -148,6 +165,59 @@ class SimilaritySearchService {
         }
     }
 
+    /**
+     * Busca apenas pelo embedding
+     * @private
+     */
+    async searchDense(query, options) {
+        // Gera embedding do texto de busca
+        const queryEmbedding = await KC.EmbeddingService.generateEmbedding(query, {
+            type: 'query',
+            searchContext: options.context
+        });
+
+        if (!queryEmbedding) {
+            throw new Error('Falha ao gerar embedding da query');
+        }
+
+        // Busca no Qdrant
+        return KC.QdrantService.search(queryEmbedding, {
+            limit: options.limit || this.config.defaultLimit,
+            scoreThreshold: options.scoreThreshold || this.config.scoreThreshold,
+            filter: this.buildQdrantFilter(options)
+        });
+    }
+
+    /**
+     * Busca híbrida (denso + esparso) com a fusão e os pesos configurados
+     * O scoreThreshold vale só para a lista densa: termos exatos entram mesmo com
+     * similaridade semântica baixa.
+     * @private
+     */
+    async searchHybrid(query, options) {
+        return KC.QdrantService.hybridSearch(query, {
+            ...this.getHybridOptions(options),
+            limit: options.limit || this.config.defaultLimit,
+            scoreThreshold: options.scoreThreshold || this.config.scoreThreshold,
+            filter: this.buildQdrantFilter(options)
+        });
+    }
+
+    /**
+     * Opções de fusão para QdrantService.hybridSearch (também usadas pelo SemanticConvergenceService)
+     * @param {Object} options - Sobrescritas: fusion, rrfK, weights
+     * @returns {{fusion: string, rrfK: number, weights: {dense: number, sparse: number}}}
+     */
+    getHybridOptions(options = {}) {
+        const weights = { ...this.config.weights, ...(options.weights || {}) };
+
+        return {
+            fusion: options.fusion || this.config.fusion,
+            rrfK: options.rrfK || this.config.rrfK,
+            weights: { dense: weights.dense, sparse: weights.sparse }
+        };
+    }
+
     /**
      * Busca por similaridade usando categoria
      * @param {string} categoryName - Nome da categoria
@@ -168,14 +238,9 @@ class SimilaritySearchService {
         try {
             KC.Logger?.flow('SimilaritySearchService', 'Busca por categoria', { categoryName, options });
             
-            // Busca usando filtro de categoria
+            // Busca usando filtro de categoria (atribuída ou ancestral na hierarquia)
             const filter = {
-                must: [
-                    {
-                        key: 'metadata.categories',
-                        match: { any: [categoryName] }
-                    }
-                ]
+                must: [this.buildCategoryCondition([categoryName])]
             };
 
             // Se tiver query de exemplo, usa busca híbrida
@@ -388,10 +453,15 @@ class SimilaritySearchService {
      */
     async enrichResults(searchResults, query, options) {
         return searchResults.map((result, index) => {
+            // Na busca híbrida o score é o fundido; confiança usa a similaridade densa
+            const similarity = result.denseScore ?? result.score;
+
             const enriched = {
                 id: result.id,
                 score: result.score,
                 rank: index + 1,
+                denseScore: result.denseScore,
+                sparseScore: result.sparseScore,
                 
                 // Dados do documento
                 documentId: result.payload?.documentId,
@@ -409,8 +479,8 @@ class SimilaritySearchService {
                 // Contexto da busca
                 searchContext: {
                     query: query,
-                    matchType: this.determineMatchType(result, query),
-                    confidence: this.calculateConfidence(result.score)
+                    matchType: this.determineMatchType({ ...result, score: similarity }, query),
+                    confidence: this.calculateConfidence(similarity)
                 }
             };
 
@@ -458,6 +528,51 @@ class SimilaritySearchService {
         }).sort((a, b) => b.score - a.score);
     }
 
+    /**
+     * Reordena com o RerankerService; sem reranker disponível, usa applyHybridRanking
+     * @param {Array} results - Resultados enriquecidos
+     * @param {string} query - Pergunta
+     * @param {Object} options - limit, reranker (estratégia), preferredCategories, weights
+     * @returns {Promise<Array>} Resultados com score, reranker e rerankReason
+     */
+    async rerankResults(results, query, options = {}) {
+        const limit = options.limit || this.config.defaultLimit;
+
+        try {
+            if (!KC.RerankerService) {
+                throw new Error('RerankerService não carregado');
+            }
+            return await KC.RerankerService.rerank(query, results, {
+                strategy: options.reranker,
+                limit: limit
+            });
+        } catch (error) {
+            KC.Logger?.warning('SimilaritySearchService', 'Reranker indisponível, usando ranking heurístico', error.message);
+
+            return this.applyHybridRanking(results, query, options)
+                .slice(0, limit)
+                .map((result, index) => ({
+                    ...result,
+                    rank: index + 1,
+                    reranker: 'heuristic',
+                    rerankReason: `Ranking heurístico (reranker indisponível: ${error.message})`
+                }));
+        }
+    }
+
+    /**
+     * Condição de categoria: atribuída ao ponto ou ancestral dela (metadata.categoryAncestors)
+     * @private
+     */
+    buildCategoryCondition(categories) {
+        return {
+            should: [
+                { key: 'metadata.categories', match: { any: categories } },
+                { key: 'metadata.categoryAncestors', match: { any: categories } }
+            ]
+        };
+    }
+
     /**
      * Constrói filtro para o Qdrant
      * @private
@@ -467,10 +582,7 @@ class SimilaritySearchService {
         
         // Filtro por categorias
         if (options.categories && options.categories.length > 0) {
-            filter.must.push({
-                key: 'metadata.categories',
-                match: { any: options.categories }
-            });
+            filter.must.push(this.buildCategoryCondition(options.categories));
         }
         
         // Filtro por tipo de análise
@@ -716,11 +828,53 @@ class SimilaritySearchService {
 
     /**
      * Configurar pesos de busca
+     * dense/sparse controlam a fusão da busca híbrida; semantic/category/relevance o applyHybridRanking
+     * @param {Object} weights - { dense, sparse, semantic, category, relevance }
      */
     setSearchWeights(weights) {
+        Object.entries(weights).forEach(([key, value]) => {
+            if (typeof value !== 'number' || value < 0 || Number.isNaN(value)) {
+                throw new Error(`Peso inválido para ${key}: ${value}`);
+            }
+        });
+
         this.config.weights = { ...this.config.weights, ...weights };
+        this.clearCache();
         KC.Logger?.info('SimilaritySearchService', 'Pesos atualizados', this.config.weights);
     }
+
+    /**
+     * Liga/desliga o reranking por padrão
+     * @param {Object} settings - { enabled, candidates }
+     */
+    setReranking(settings) {
+        this.config.rerank = { ...this.config.rerank, ...settings };
+        this.clearCache();
+        KC.Logger?.info('SimilaritySearchService', 'Reranking atualizado', this.config.rerank);
+    }
+
+    /**
+     * Configurar modo de busca por texto e fusão
+     * @param {Object} mode - { searchMode: 'hybrid'|'dense', fusion: 'rrf'|'weighted', rrfK }
+     */
+    setFusionMode(mode) {
+        if (mode.searchMode && !['hybrid', 'dense'].includes(mode.searchMode)) {
+            throw new Error(`Modo de busca inválido: ${mode.searchMode}`);
+        }
+        if (mode.fusion && !['rrf', 'weighted'].includes(mode.fusion)) {
+            throw new Error(`Modo de fusão inválido: ${mode.fusion}`);
+        }
+
+        ['searchMode', 'fusion', 'rrfK'].forEach(key => {
+            if (mode[key] !== undefined) this.config[key] = mode[key];
+        });
+        this.clearCache();
+        KC.Logger?.info('SimilaritySearchService', 'Fusão atualizada', {
+            searchMode: this.config.searchMode,
+            fusion: this.config.fusion,
+            rrfK: this.config.rrfK
+        });
+    }
 }
 
 // Registrar no namespace KC
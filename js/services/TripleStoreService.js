@@ -715,6 +715,10 @@ class TripleStoreService {
                     return this.exportarParaN8N(triplas);
                 case 'json':
                     return triplas;
+                case 'ntriples':
+                case 'turtle':
+                case 'jsonld':
+                    return KC.TripleRDF.exportar(triplas, formato);
                 default:
                     throw new Error(`Formato não suportado: ${formato}`);
             }
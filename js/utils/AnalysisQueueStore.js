@@ -0,0 +1,220 @@
+/**
+ * AnalysisQueueStore.js - Persistência da fila de análise e histórico de execuções
+ *
+ * Guarda em IndexedDB cada item da fila do AnalysisManager (status, tentativas,
+ * próxima tentativa) e um registro por execução com duração, provider e
+ * resultado de cada arquivo. Ao recarregar a página o AnalysisManager lê os
+ * itens de volta e retoma a execução interrompida.
+ *
+ * Itens guardam só a identificação do arquivo (id, caminho, handle); o
+ * conteúdo é recuperado do AppState ou do handle na retomada.
+ *
+ * AIDEV-NOTE: analysis-queue-store; persistido em IndexedDB (fallback em memória)
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class AnalysisQueueStore {
+        constructor() {
+            this.dbName = 'KCAnalysisQueue';
+            this.dbVersion = 1;
+            this.itemsStore = 'items';
+            this.runsStore = 'runs';
+            this.maxRuns = 100;         // Execuções mantidas no histórico
+            this.db = null;
+            this.dbPromise = null;
+
+            // Fallback quando IndexedDB não está disponível
+            this.memory = {
+                items: new Map(),
+                runs: new Map()
+            };
+        }
+
+        /**
+         * Abre o banco IndexedDB (uma única vez)
+         * @returns {Promise<IDBDatabase|null>}
+         */
+        async openDatabase() {
+            if (this.db) return this.db;
+            if (!window.indexedDB) return null;
+
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve) => {
+                    const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                    request.onerror = () => {
+                        KC.Logger?.warning('AnalysisQueueStore: IndexedDB indisponível, usando memória');
+                        resolve(null);
+                    };
+
+                    request.onsuccess = () => {
+                        this.db = request.result;
+                        resolve(this.db);
+                    };
+
+                    request.onupgradeneeded = (event) => {
+                        const db = event.target.result;
+                        if (!db.objectStoreNames.contains(this.itemsStore)) {
+                            const store = db.createObjectStore(this.itemsStore, { keyPath: 'id' });
+                            store.createIndex('runId', 'runId');
+                        }
+                        if (!db.objectStoreNames.contains(this.runsStore)) {
+                            const store = db.createObjectStore(this.runsStore, { keyPath: 'id' });
+                            store.createIndex('startedAt', 'startedAt');
+                        }
+                    };
+                });
+            }
+
+            return this.dbPromise;
+        }
+
+        /**
+         * Itens salvos da fila, na ordem de criação
+         * @returns {Promise<Array>}
+         */
+        async loadItems() {
+            const items = await this._getAll(this.itemsStore);
+            return items.sort((a, b) => a.createdAt - b.createdAt);
+        }
+
+        /**
+         * Salva (ou atualiza) itens da fila
+         * @param {Array} items - Itens já serializados (ver AnalysisManager.serializeQueueItem)
+         */
+        async saveItems(items) {
+            return this._put(this.itemsStore, items);
+        }
+
+        /**
+         * Remove itens da fila salva
+         * @param {string[]} ids
+         */
+        async removeItems(ids) {
+            return this._delete(this.itemsStore, ids);
+        }
+
+        /**
+         * Remove todos os itens da fila salva (o histórico é mantido)
+         */
+        async clearItems() {
+            const items = await this._getAll(this.itemsStore);
+            return this._delete(this.itemsStore, items.map(item => item.id));
+        }
+
+        /**
+         * Salva o registro de uma execução e descarta as mais antigas além do limite
+         * @param {Object} run
+         */
+        async saveRun(run) {
+            await this._put(this.runsStore, [run]);
+
+            const runs = await this.getRuns();
+            if (runs.length > this.maxRuns) {
+                await this._delete(this.runsStore, runs.slice(this.maxRuns).map(old => old.id));
+            }
+        }
+
+        /**
+         * Execução pelo id
+         * @returns {Promise<Object|null>}
+         */
+        async getRun(runId) {
+            const runs = await this._getAll(this.runsStore);
+            return runs.find(run => run.id === runId) || null;
+        }
+
+        /**
+         * Histórico de execuções
+         * @param {number} [limit] - Máximo de execuções
+         * @returns {Promise<Array>} Mais recentes primeiro
+         */
+        async getRuns(limit) {
+            const runs = (await this._getAll(this.runsStore))
+                .sort((a, b) => b.startedAt - a.startedAt);
+            return limit ? runs.slice(0, limit) : runs;
+        }
+
+        /**
+         * Apaga o histórico de execuções
+         */
+        async clearRuns() {
+            const runs = await this._getAll(this.runsStore);
+            return this._delete(this.runsStore, runs.map(run => run.id));
+        }
+
+        /**
+         * @private
+         */
+        async _getAll(storeName) {
+            const db = await this.openDatabase();
+            if (!db) return Array.from(this.memory[storeName].values());
+
+            return new Promise((resolve) => {
+                const transaction = db.transaction([storeName], 'readonly');
+                const request = transaction.objectStore(storeName).getAll();
+
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => {
+                    KC.Logger?.error(`AnalysisQueueStore: erro ao ler ${storeName}`, request.error);
+                    resolve([]);
+                };
+            });
+        }
+
+        /**
+         * @private
+         */
+        async _put(storeName, records) {
+            const db = await this.openDatabase();
+
+            if (!db) {
+                records.forEach(record => this.memory[storeName].set(record.id, record));
+                return true;
+            }
+
+            return new Promise((resolve) => {
+                const transaction = db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                records.forEach(record => store.put(record));
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    KC.Logger?.error(`AnalysisQueueStore: erro ao salvar ${storeName}`, transaction.error);
+                    resolve(false);
+                };
+            });
+        }
+
+        /**
+         * @private
+         */
+        async _delete(storeName, ids) {
+            const db = await this.openDatabase();
+
+            if (!db) {
+                ids.forEach(id => this.memory[storeName].delete(id));
+                return true;
+            }
+
+            return new Promise((resolve) => {
+                const transaction = db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                ids.forEach(id => store.delete(id));
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    KC.Logger?.error(`AnalysisQueueStore: erro ao remover de ${storeName}`, transaction.error);
+                    resolve(false);
+                };
+            });
+        }
+    }
+
+    KC.AnalysisQueueStore = new AnalysisQueueStore();
+
+})(window);
@@ -98,6 +98,34 @@
             return chunks;
         }
 
+        /**
+         * getSemanticChunks() de vários conteúdos fora da thread principal
+         * (KC.workerPool, tarefa 'chunking.semantic'); sem pool, divide aqui mesmo
+         * @param {string[]} contents
+         * @param {Object} options - { onProgress({ done, total }) }
+         * @returns {Promise<Array<Array<Object>>>} Chunks de cada conteúdo, na mesma ordem
+         */
+        async getSemanticChunksBatch(contents, options = {}) {
+            if (KC.workerPool) {
+                try {
+                    return await KC.workerPool.execute('chunking.semantic', { contents }, { onProgress: options.onProgress });
+                } catch (error) {
+                    KC.Logger?.warning('ChunkingUtils', 'Worker falhou, dividindo na thread principal', error.message);
+                }
+            }
+            return contents.map(content => this.getSemanticChunks(content));
+        }
+
+        /**
+         * getSemanticChunks() fora da thread principal
+         * @param {string} content
+         * @returns {Promise<Array<Object>>}
+         */
+        async getSemanticChunksAsync(content) {
+            const [chunks] = await this.getSemanticChunksBatch([content]);
+            return chunks;
+        }
+
         /**
          * Analisa a estrutura do documento
          * @private
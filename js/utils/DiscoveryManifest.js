@@ -0,0 +1,204 @@
+/**
+ * DiscoveryManifest.js - Manifesto da última descoberta
+ *
+ * Mantém, por caminho, tamanho, lastModified e hash do conteúdo de cada
+ * arquivo descoberto. Permite que a re-descoberta incremental classifique
+ * arquivos como adicionados, modificados, movidos/renomeados ou removidos.
+ *
+ * AIDEV-NOTE: incremental-discovery; persistido em IndexedDB (fallback em memória)
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    class DiscoveryManifest {
+        constructor() {
+            this.dbName = 'KCDiscoveryManifest';
+            this.dbVersion = 1;
+            this.storeName = 'entries';
+            this.db = null;
+            this.dbPromise = null;
+
+            // Fallback quando IndexedDB não está disponível
+            this.memoryEntries = new Map();
+        }
+
+        /**
+         * Abre o banco IndexedDB (uma única vez)
+         * @returns {Promise<IDBDatabase|null>}
+         */
+        async openDatabase() {
+            if (this.db) return this.db;
+            if (!window.indexedDB) return null;
+
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve) => {
+                    const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                    request.onerror = () => {
+                        KC.Logger?.warning('DiscoveryManifest: IndexedDB indisponível, usando memória');
+                        resolve(null);
+                    };
+
+                    request.onsuccess = () => {
+                        this.db = request.result;
+                        resolve(this.db);
+                    };
+
+                    request.onupgradeneeded = (event) => {
+                        const db = event.target.result;
+                        if (!db.objectStoreNames.contains(this.storeName)) {
+                            const store = db.createObjectStore(this.storeName, { keyPath: 'path' });
+                            store.createIndex('hash', 'hash');
+                        }
+                    };
+                });
+            }
+
+            return this.dbPromise;
+        }
+
+        /**
+         * Carrega o manifesto salvo
+         * @returns {Promise<Map<string, Object>>} Entradas por caminho
+         */
+        async load() {
+            const db = await this.openDatabase();
+            if (!db) return new Map(this.memoryEntries);
+
+            return new Promise((resolve) => {
+                const transaction = db.transaction([this.storeName], 'readonly');
+                const request = transaction.objectStore(this.storeName).getAll();
+
+                request.onsuccess = () => {
+                    resolve(new Map((request.result || []).map(entry => [entry.path, entry])));
+                };
+                request.onerror = () => {
+                    KC.Logger?.error('DiscoveryManifest: erro ao carregar manifesto', request.error);
+                    resolve(new Map());
+                };
+            });
+        }
+
+        /**
+         * Substitui o manifesto salvo pelas entradas informadas
+         * @param {Map<string, Object>|Array<Object>} entries
+         * @returns {Promise<boolean>}
+         */
+        async save(entries) {
+            const list = entries instanceof Map ? Array.from(entries.values()) : entries;
+            const db = await this.openDatabase();
+
+            if (!db) {
+                this.memoryEntries = new Map(list.map(entry => [entry.path, entry]));
+                return true;
+            }
+
+            return new Promise((resolve) => {
+                const transaction = db.transaction([this.storeName], 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                store.clear();
+                list.forEach(entry => store.put(entry));
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    KC.Logger?.error('DiscoveryManifest: erro ao salvar manifesto', transaction.error);
+                    resolve(false);
+                };
+            });
+        }
+
+        /**
+         * Remove o manifesto (próxima descoberta será completa)
+         */
+        async clear() {
+            return this.save([]);
+        }
+
+        /**
+         * Cria entrada de manifesto a partir dos metadados de um arquivo
+         * @param {Object} file - Metadados do DiscoveryManager
+         * @param {string|null} hash - Hash do conteúdo
+         */
+        createEntry(file, hash) {
+            return {
+                path: file.path,
+                size: file.size,
+                lastModified: new Date(file.lastModified).getTime(),
+                hash: hash || null,
+                fileId: file.id,
+                recordedAt: new Date().toISOString()
+            };
+        }
+
+        /**
+         * Indica se o arquivo no disco ainda corresponde à entrada (sem ler conteúdo)
+         */
+        matchesEntry(entry, size, lastModified) {
+            return !!entry &&
+                entry.size === size &&
+                entry.lastModified === new Date(lastModified).getTime();
+        }
+
+        /**
+         * Compara dois manifestos
+         * Arquivos que sumiram de um caminho e apareceram em outro com o mesmo hash
+         * são reportados como movidos/renomeados.
+         * @param {Map<string, Object>} previous - Manifesto anterior
+         * @param {Map<string, Object>} current - Manifesto atual
+         * @returns {{added: string[], modified: string[], moved: Array<{from: string, to: string}>, deleted: string[], unchanged: string[]}}
+         */
+        diff(previous, current) {
+            const report = { added: [], modified: [], moved: [], deleted: [], unchanged: [] };
+            const addedCandidates = [];
+
+            current.forEach((entry, path) => {
+                const before = previous.get(path);
+                if (!before) {
+                    addedCandidates.push(entry);
+                } else if (this.matchesEntry(before, entry.size, entry.lastModified)) {
+                    report.unchanged.push(path);
+                } else if (before.hash && entry.hash && before.hash === entry.hash) {
+                    // Apenas "tocado" (lastModified mudou, conteúdo igual)
+                    report.unchanged.push(path);
+                } else {
+                    report.modified.push(path);
+                }
+            });
+
+            // Caminhos que sumiram, agrupados por hash para detectar renomeações
+            const deletedByHash = new Map();
+            const deleted = [];
+            previous.forEach((entry, path) => {
+                if (current.has(path)) return;
+                deleted.push(path);
+                if (entry.hash) {
+                    if (!deletedByHash.has(entry.hash)) deletedByHash.set(entry.hash, []);
+                    deletedByHash.get(entry.hash).push(path);
+                }
+            });
+
+            const movedFrom = new Set();
+            addedCandidates.forEach(entry => {
+                const candidates = entry.hash ? deletedByHash.get(entry.hash) : null;
+                if (candidates && candidates.length > 0) {
+                    const from = candidates.shift();
+                    movedFrom.add(from);
+                    report.moved.push({ from, to: entry.path });
+                } else {
+                    report.added.push(entry.path);
+                }
+            });
+
+            report.deleted = deleted.filter(path => !movedFrom.has(path));
+
+            return report;
+        }
+    }
+
+    // Cria instância singleton
+    KC.DiscoveryManifest = new DiscoveryManifest();
+
+})(window);
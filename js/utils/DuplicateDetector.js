@@ -47,25 +47,30 @@
             this.reset();
             this.stats.total = files.length;
 
-            const results = {
-                exact: [],      // Mesmo nome + tamanho
-                similar: [],    // Padrões de nome similar
-                version: [],    // Possíveis versões
-                suggested: [],  // Ações sugeridas
-                groups: []      // Grupos de duplicatas
-            };
-
             // Estratégia 1: Nome + Tamanho exatos
             const exactDuplicates = this.detectExactDuplicates(files);
-            results.exact = exactDuplicates;
 
             // Estratégia 2: Padrões de nomenclatura
             const patternDuplicates = this.detectPatternDuplicates(files);
-            results.similar = patternDuplicates;
 
             // Estratégia 3: Versões (base similar, tamanhos diferentes)
             const versionDuplicates = this.detectVersionDuplicates(files);
-            results.version = versionDuplicates;
+
+            return this._buildResults(exactDuplicates, patternDuplicates, versionDuplicates);
+        }
+
+        /**
+         * Consolida grupos, gera sugestões e fecha as estatísticas
+         * @private
+         */
+        _buildResults(exactDuplicates, patternDuplicates, versionDuplicates) {
+            const results = {
+                exact: exactDuplicates,         // Mesmo nome + tamanho
+                similar: patternDuplicates,     // Padrões de nome similar
+                version: versionDuplicates,     // Possíveis versões
+                suggested: [],                  // Ações sugeridas
+                groups: []                      // Grupos de duplicatas
+            };
 
             // Agrupa todos os resultados
             results.groups = this.consolidateGroups([
@@ -94,6 +99,24 @@
             return results;
         }
 
+        /**
+         * analyzeDuplicates() com a comparação de nomes (Levenshtein, O(n²))
+         * fora da thread principal
+         * @param {Array} files - Lista de arquivos para analisar
+         * @param {Object} options - { onProgress({ done, total }) }
+         * @returns {Promise<Object>} Mesmo formato de analyzeDuplicates()
+         */
+        async analyzeDuplicatesAsync(files, options = {}) {
+            this.reset();
+            this.stats.total = files.length;
+
+            const exactDuplicates = this.detectExactDuplicates(files);
+            const patternDuplicates = this.detectPatternDuplicates(files);
+            const versionDuplicates = await this.detectVersionDuplicatesAsync(files, options);
+
+            return this._buildResults(exactDuplicates, patternDuplicates, versionDuplicates);
+        }
+
         /**
          * Detecta duplicatas exatas (mesmo nome + tamanho)
          */
@@ -244,6 +267,60 @@
             return duplicateGroups;
         }
 
+        /**
+         * detectVersionDuplicates() com os pares similares calculados no
+         * KC.workerPool (tarefa 'duplicates.versionPairs'); mesmos grupos
+         * @param {Array} files
+         * @param {Object} options - { onProgress({ done, total }) }
+         * @returns {Promise<Array>}
+         */
+        async detectVersionDuplicatesAsync(files, options = {}) {
+            if (!KC.workerPool) {
+                return this.detectVersionDuplicates(files);
+            }
+
+            let found;
+            try {
+                found = await KC.workerPool.execute('duplicates.versionPairs', {
+                    names: files.map(file => file.name),
+                    sizes: files.map(file => file.size),
+                    threshold: 0.8
+                }, { onProgress: options.onProgress });
+            } catch (error) {
+                KC.Logger?.warning('DuplicateDetector: worker falhou, comparando na thread principal', error.message);
+                return this.detectVersionDuplicates(files);
+            }
+
+            // Vizinhos em ordem crescente de índice, como na varredura original
+            const neighbors = files.map(() => []);
+            for (let k = 0; k < found.pairs.length; k += 2) {
+                neighbors[found.pairs[k]].push(found.pairs[k + 1]);
+                neighbors[found.pairs[k + 1]].push(found.pairs[k]);
+            }
+            neighbors.forEach(list => list.sort((a, b) => a - b));
+
+            const duplicateGroups = [];
+            const processed = new Set();
+
+            files.forEach((file, index) => {
+                if (processed.has(index)) return;
+
+                const similar = neighbors[index].filter(other => !processed.has(other));
+                if (similar.length === 0) return;
+
+                duplicateGroups.push({
+                    type: 'version',
+                    baseName: this.extractBaseName(file.name),
+                    files: [file, ...similar.map(other => files[other])],
+                    confidence: 0.6
+                });
+                processed.add(index);
+                similar.forEach(other => processed.add(other));
+            });
+
+            return duplicateGroups;
+        }
+
         /**
          * Sugere ação para um grupo de duplicatas
          */
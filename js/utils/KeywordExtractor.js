@@ -93,6 +93,24 @@
             };
         }
 
+        /**
+         * Extrai keywords de vários conteúdos fora da thread principal
+         * (KC.workerPool, tarefa 'keywords.extract'); sem pool, extrai aqui mesmo
+         * @param {string[]} contents
+         * @param {Object} options - { onProgress({ done, total }) }
+         * @returns {Promise<Array<object>>} Um resultado de extract() por conteúdo
+         */
+        async extractBatch(contents, options = {}) {
+            if (KC.workerPool) {
+                try {
+                    return await KC.workerPool.execute('keywords.extract', { contents }, { onProgress: options.onProgress });
+                } catch (error) {
+                    KC.Logger?.warning('KeywordExtractor: worker falhou, extraindo na thread principal', error.message);
+                }
+            }
+            return contents.map(content => this.extract(content));
+        }
+
         /**
          * Extrai entidades nomeadas usando padrões
          */
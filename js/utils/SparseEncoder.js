@@ -0,0 +1,147 @@
+/**
+ * SparseEncoder.js - Vetores esparsos (estilo BM25) para busca híbrida
+ *
+ * Converte texto em pares { indices, values } aceitos pelos sparse vectors do
+ * Qdrant. Cada termo vira um índice (hash FNV-1a de 32 bits) e o valor é a
+ * frequência saturada do BM25 (k1/b). O IDF é aplicado pelo próprio Qdrant
+ * (modifier: 'idf'), então não há estatística de corpus para manter aqui.
+ *
+ * Complementa os embeddings densos: nomes de projetos, siglas e códigos
+ * ("VCIA", "PRJ-2024", "Qdrant") casam exatamente, mesmo quando o modelo
+ * semântico não os aproxima da consulta.
+ *
+ * AIDEV-NOTE: sparse-encoder; mudar tokenização ou hash exige re-indexar a coleção
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    // Stop words PT/EN já sem acentos (o texto é normalizado antes da comparação)
+    const STOP_WORDS = new Set([
+        'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'do', 'da', 'dos', 'das',
+        'em', 'no', 'na', 'nos', 'nas', 'por', 'para', 'pra', 'com', 'sem', 'sob', 'sobre',
+        'ao', 'aos', 'e', 'ou', 'mas', 'que', 'se', 'nao', 'sim', 'como', 'quando', 'onde',
+        'porque', 'pois', 'eu', 'tu', 'ele', 'ela', 'nos', 'eles', 'elas', 'voce', 'voces',
+        'este', 'esta', 'esse', 'essa', 'isto', 'isso', 'aquele', 'aquela', 'aquilo',
+        'meu', 'minha', 'seu', 'sua', 'ser', 'estar', 'ter', 'foi', 'sao', 'era', 'tem',
+        'muito', 'mais', 'menos', 'ja', 'ainda', 'tambem', 'so', 'entre', 'ate', 'pelo', 'pela',
+        'the', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'be', 'it', 'this', 'that'
+    ]);
+
+    class SparseEncoder {
+        constructor() {
+            this.config = {
+                k1: 1.2,                 // Saturação da frequência do termo
+                b: 0.75,                 // Normalização pelo tamanho do documento
+                avgDocLength: 200,       // Tamanho médio estimado de um chunk (em termos)
+                minTokenLength: 2,
+                maxTerms: 512            // Limite de termos por documento
+            };
+        }
+
+        /**
+         * Quebra o texto em termos normalizados (minúsculas, sem acentos, sem stop words)
+         * Siglas e códigos com hífen são mantidos inteiros e também por partes.
+         * @param {string} text
+         * @returns {string[]}
+         */
+        tokenize(text) {
+            if (!text || typeof text !== 'string') return [];
+
+            const normalized = text
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase();
+
+            const tokens = [];
+            (normalized.match(/[a-z0-9]+(?:[-_.][a-z0-9]+)*/g) || []).forEach(word => {
+                const parts = word.split(/[-_.]/);
+                if (parts.length > 1) tokens.push(word);
+                parts.forEach(part => tokens.push(part));
+            });
+
+            return tokens.filter(token =>
+                token.length >= this.config.minTokenLength && !STOP_WORDS.has(token)
+            );
+        }
+
+        /**
+         * Vetor esparso de um documento (peso BM25 sem IDF)
+         * @param {string} text
+         * @returns {{indices: number[], values: number[]}}
+         */
+        encodeDocument(text) {
+            const tokens = this.tokenize(text);
+            const frequencies = this._countTerms(tokens);
+            const { k1, b, avgDocLength } = this.config;
+            const lengthNorm = 1 - b + b * (tokens.length / avgDocLength);
+
+            const weighted = Array.from(frequencies.entries())
+                .map(([index, tf]) => [index, (tf * (k1 + 1)) / (tf + k1 * lengthNorm)])
+                .sort((x, y) => y[1] - x[1])
+                .slice(0, this.config.maxTerms);
+
+            return this._toSparse(weighted);
+        }
+
+        /**
+         * Vetor esparso de uma consulta (cada termo distinto vale 1)
+         * @param {string} text
+         * @returns {{indices: number[], values: number[]}}
+         */
+        encodeQuery(text) {
+            const frequencies = this._countTerms(this.tokenize(text));
+            return this._toSparse(Array.from(frequencies.keys()).map(index => [index, 1]));
+        }
+
+        /**
+         * Produto escalar entre dois vetores esparsos
+         * Usado quando a coleção não tem sparse vectors e o score é calculado no cliente.
+         */
+        score(query, document) {
+            const weights = new Map(document.indices.map((index, i) => [index, document.values[i]]));
+            return query.indices.reduce((sum, index, i) => sum + query.values[i] * (weights.get(index) || 0), 0);
+        }
+
+        /**
+         * Índice do termo: FNV-1a 32 bits (inteiro sem sinal, como o Qdrant exige)
+         */
+        termIndex(term) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < term.length; i++) {
+                hash ^= term.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        /**
+         * @private
+         */
+        _countTerms(tokens) {
+            const frequencies = new Map();
+            tokens.forEach(token => {
+                const index = this.termIndex(token);
+                frequencies.set(index, (frequencies.get(index) || 0) + 1);
+            });
+            return frequencies;
+        }
+
+        /**
+         * Qdrant exige índices únicos; ordenados facilitam comparação e cache
+         * @private
+         */
+        _toSparse(pairs) {
+            pairs.sort((x, y) => x[0] - y[0]);
+            return {
+                indices: pairs.map(pair => pair[0]),
+                values: pairs.map(pair => Number(pair[1].toFixed(4)))
+            };
+        }
+    }
+
+    KC.SparseEncoder = new SparseEncoder();
+
+})(window);
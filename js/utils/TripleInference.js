@@ -0,0 +1,423 @@
+/**
+ * TripleInference.js - Motor de inferência por regras sobre as triplas
+ *
+ * Encadeamento para frente (semi-ingênuo) até o ponto fixo, com as regras
+ * declaradas no TripleSchema (obterRegras): transitividade, inversos,
+ * simetria, tipagem por domínio/alcance e regras de Horn do usuário.
+ *
+ * Formato das regras:
+ *   {
+ *     nome: 'categoria_por_derivacao',
+ *     se: [
+ *       { legado: '?a', presente: 'derivaDe', objetivo: '?b' },
+ *       { legado: '?b', presente: 'pertenceCategoria', objetivo: '?c' }
+ *     ],
+ *     entao: { legado: '?a', presente: 'sugeridaCategoria', objetivo: '?c' },
+ *     confianca: 0.6,
+ *     distintos: [['?a', '?b']]   // opcional: pares que não podem ser iguais
+ *   }
+ * O objetivo de uma condição aceita comparação numérica ('>0.8', '<0.2').
+ *
+ * Cada tripla inferida leva nos metadados: derivada: true, fonte 'inferencia',
+ * regra, premissas (ids das triplas que a produziram), prova (as premissas em
+ * texto) e confianca = confiança da regra × confiança das premissas.
+ *
+ * AIDEV-NOTE: triple-inference; a retração em cascata fica no
+ * TripleStoreManager (índice porPremissa), que rederiva o que ainda tem prova
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const POSICOES = ['legado', 'presente', 'objetivo'];
+    const TIPOS = { legado: 'SYS.R', presente: 'SUB.R', objetivo: 'ACT.R' };
+
+    const ehVariavel = (termo) => typeof termo === 'string' && termo.startsWith('?');
+    const ehComparacao = (termo) => typeof termo === 'string' && /^[<>]\s*-?\d/.test(termo);
+    const chave = (legado, presente, objetivo) => JSON.stringify([legado, presente, objetivo]);
+    const descrever = (tripla) => `${tripla.legado.valor} ${tripla.presente.valor} ${tripla.objetivo.valor}`;
+
+    class TripleInference {
+        constructor() {
+            this.config = {
+                maxIteracoes: 50,       // Rodadas até o ponto fixo
+                maxDerivadas: 20000     // Proteção contra regras que explodem
+            };
+        }
+
+        /**
+         * Calcula o fecho das triplas sob as regras, sem alterar nada
+         * @param {Array} triplas - Triplas no formato do TripleStoreManager
+         * @param {Array} regras - Regras normalizadas (TripleSchema.obterRegras)
+         * @returns {{ derivadas: Array, iteracoes: number, limiteAtingido: boolean }}
+         *          Derivadas em ordem de dependência; ids 'inferida_N' até serem gravadas
+         */
+        executar(triplas, regras) {
+            const { indice, adicionar } = this._criarIndice(triplas);
+            const derivadas = [];
+
+            let delta = indice.todas.slice();
+            let iteracoes = 0;
+            let limiteAtingido = false;
+
+            while (delta.length > 0 && iteracoes < this.config.maxIteracoes && !limiteAtingido) {
+                iteracoes++;
+                const novas = [];
+
+                for (const regra of regras) {
+                    regra.se.forEach((condicao, i) => {
+                        const demais = regra.se.filter((_, j) => j !== i);
+                        // Premissas voltam na ordem das condições da regra
+                        const ordem = [i, ...regra.se.map((_, j) => j).filter(j => j !== i)];
+
+                        delta.forEach(tripla => {
+                            const ligacoes = this._unificar(condicao, tripla, {});
+                            if (!ligacoes) return;
+
+                            this._juntar(demais, ligacoes, [tripla], indice, (solucao, encontradas) => {
+                                if (limiteAtingido) return;
+                                const premissas = [];
+                                encontradas.forEach((premissa, k) => { premissas[ordem[k]] = premissa; });
+
+                                const conclusao = this._concluir(regra, solucao, premissas);
+                                if (!conclusao || !adicionar(conclusao)) return;
+
+                                conclusao.id = `inferida_${derivadas.length}`;
+                                derivadas.push(conclusao);
+                                novas.push(conclusao);
+                                limiteAtingido = derivadas.length >= this.config.maxDerivadas;
+                            });
+                        });
+                    });
+                }
+
+                delta = novas;
+            }
+
+            if (limiteAtingido || delta.length > 0) {
+                KC.Logger?.warning('TripleInference: limite atingido antes do ponto fixo', {
+                    derivadas: derivadas.length,
+                    iteracoes
+                });
+            }
+
+            return { derivadas, iteracoes, limiteAtingido: limiteAtingido || delta.length > 0 };
+        }
+
+        /**
+         * Rederiva só as conclusões retiradas (etapa "rederive" do delete-and-rederive)
+         * Sem recalcular o fecho: cada conclusão é provada de trás para frente - a
+         * cabeça da regra liga as variáveis e as condições são buscadas nas triplas
+         * atuais e nas já rederivadas. Nada além das conclusões pedidas é produzido.
+         * @param {Array} triplas - Triplas que restaram no store
+         * @param {Array} regras - Regras que podem concluí-las
+         * @param {Array} conclusoes - Triplas retiradas a reprovar
+         * @returns {{ derivadas: Array }} Em ordem de dependência; ids 'inferida_N'
+         */
+        rederivarConclusoes(triplas, regras, conclusoes) {
+            const { adicionar, indice } = this._criarIndice(triplas);
+            const derivadas = [];
+            let pendentes = conclusoes;
+            let progresso = true;
+
+            // Conclusões que dependem de outras retiradas saem nas rodadas seguintes
+            while (progresso && pendentes.length > 0) {
+                progresso = false;
+                pendentes = pendentes.filter(alvo => {
+                    for (const regra of regras) {
+                        const ligacoes = this._unificar(regra.entao, alvo, {});
+                        if (!ligacoes) continue;
+
+                        let conclusao = null;
+                        this._juntar(regra.se, ligacoes, [], indice, (solucao, premissas) => {
+                            conclusao = conclusao || this._concluir(regra, solucao, premissas);
+                        });
+
+                        if (conclusao && adicionar(conclusao)) {
+                            conclusao.id = `inferida_${derivadas.length}`;
+                            derivadas.push(conclusao);
+                            progresso = true;
+                            return false;
+                        }
+                    }
+                    return true;
+                });
+            }
+
+            return { derivadas };
+        }
+
+        /**
+         * Rederiva e grava no store as conclusões retiradas que ainda têm prova
+         * @param {Object} store - TripleStoreManager
+         * @param {Array} conclusoes - Triplas derivadas retiradas
+         * @param {Array} regras - Regras que as produziram
+         * @returns {Promise<Object>} { adicionadas, ids, recusadas }
+         */
+        async rederivar(store, conclusoes, regras) {
+            const { derivadas } = this.rederivarConclusoes(store.exportarTodas(), regras, conclusoes);
+            const { idsGravados, recusadas } = await this._gravar(store, derivadas);
+
+            return {
+                adicionadas: idsGravados.size,
+                ids: Array.from(idsGravados.values()),
+                recusadas
+            };
+        }
+
+        /**
+         * Infere e grava no store as triplas derivadas
+         * Derivadas recusadas pelo schema (domínio/alcance) não entram, nem o que depende delas
+         * @param {Object} store - TripleStoreManager
+         * @param {Object} opcoes - { tipos: ['transitividade', 'inverso', 'simetria', 'tipagem', 'horn'], regras }
+         * @returns {Promise<Object>} { adicionadas, ids, recusadas, iteracoes, porRegra, tempoMs }
+         */
+        async inferir(store, opcoes = {}) {
+            const regras = opcoes.regras || KC.TripleSchema.obterRegras(opcoes);
+            const inicio = Date.now();
+            const { derivadas, iteracoes } = this.executar(store.exportarTodas(), regras);
+            const { idsGravados, recusadas, porRegra } = await this._gravar(store, derivadas);
+
+            const resultado = {
+                adicionadas: idsGravados.size,
+                ids: Array.from(idsGravados.values()),
+                recusadas,
+                iteracoes,
+                porRegra,
+                tempoMs: Date.now() - inicio
+            };
+
+            KC.EventBus?.emit(KC.Events?.TRIPLAS_INFERIDAS || 'tripla:inferred', resultado);
+            KC.Logger?.info(`TripleInference: ${resultado.adicionadas} triplas inferidas em ${iteracoes} rodada(s)`, porRegra);
+
+            return resultado;
+        }
+
+        /**
+         * Árvore de prova de uma tripla (premissas recursivas até as triplas base)
+         * @param {Object} store - TripleStoreManager
+         * @param {string} triplaId
+         * @returns {Object|null} { id, tripla, fonte, confianca, derivada, regra?, premissas? }
+         */
+        explicar(store, triplaId, caminho = new Set()) {
+            const tripla = store.triplas.get(triplaId);
+            if (!tripla) return null;
+
+            const no = {
+                id: triplaId,
+                tripla: descrever(tripla),
+                fonte: tripla.metadados.fonte,
+                confianca: tripla.metadados.confianca,
+                derivada: tripla.metadados.derivada === true
+            };
+
+            if (no.derivada) {
+                const proximo = new Set(caminho).add(triplaId);
+                no.regra = tripla.metadados.regra;
+                no.premissas = (tripla.metadados.premissas || []).map((id, i) => {
+                    if (proximo.has(id)) return { id, tripla: tripla.metadados.prova?.[i], ciclo: true };
+                    return this.explicar(store, id, proximo) ||
+                        { id, tripla: tripla.metadados.prova?.[i], ausente: true };
+                });
+            }
+
+            return no;
+        }
+
+        /**
+         * Prova em texto, uma premissa por linha
+         * @param {Object} no - Resultado de explicar()
+         * @returns {string}
+         */
+        formatarExplicacao(no, nivel = 0) {
+            if (!no) return '';
+
+            const recuo = '    '.repeat(nivel);
+            const origem = no.derivada ? `regra ${no.regra}` : no.ausente ? 'removida' : no.fonte;
+            const linhas = [`${recuo}${nivel > 0 ? '← ' : ''}${no.tripla}  [${origem}${no.confianca !== undefined ? `, confiança ${no.confianca}` : ''}]`];
+
+            (no.premissas || []).forEach(premissa => linhas.push(this.formatarExplicacao(premissa, nivel + 1)));
+            return linhas.join('\n');
+        }
+
+        /**
+         * Grava as derivadas no store (premissas com os ids gravados)
+         * Derivadas recusadas pelo schema não entram, nem o que depende delas
+         * @private
+         */
+        async _gravar(store, derivadas) {
+            const idsGravados = new Map();
+            const recusadas = [];
+            const porRegra = {};
+            const autoSave = store.config.autoSave;
+            store.config.autoSave = false;
+
+            try {
+                for (const derivada of derivadas) {
+                    const premissas = derivada.metadados.premissas.map(id => idsGravados.get(id) || id);
+                    if (premissas.some(id => !store.triplas.has(id))) {
+                        recusadas.push({ tripla: descrever(derivada), erro: 'premissa recusada' });
+                        continue;
+                    }
+
+                    try {
+                        const gravada = await store.adicionarTripla(
+                            derivada.legado.valor,
+                            derivada.presente.valor,
+                            derivada.objetivo.valor,
+                            { ...derivada.metadados, premissas }
+                        );
+                        idsGravados.set(derivada.id, gravada.id);
+                        porRegra[derivada.metadados.regra] = (porRegra[derivada.metadados.regra] || 0) + 1;
+                    } catch (error) {
+                        recusadas.push({ tripla: descrever(derivada), erro: error.message });
+                    }
+                }
+            } finally {
+                store.config.autoSave = autoSave;
+            }
+
+            if (autoSave && idsGravados.size > 0) {
+                await store.saveToStorage();
+            }
+
+            return { idsGravados, recusadas, porRegra };
+        }
+
+        /**
+         * Índices de junção sobre as triplas (sem repetir legado/presente/objetivo)
+         * @private
+         * @returns {{ indice: Object, adicionar: Function }} adicionar(tripla) → false se já existe
+         */
+        _criarIndice(triplas) {
+            const base = new Map();
+            const indice = { porPresente: new Map(), porLegado: new Map(), porObjetivo: new Map(), todas: [] };
+
+            const adicionar = (tripla) => {
+                const k = chave(tripla.legado.valor, tripla.presente.valor, tripla.objetivo.valor);
+                if (base.has(k)) return false;
+                base.set(k, tripla);
+                indice.todas.push(tripla);
+                this._indexar(indice.porPresente, tripla.presente.valor, tripla);
+                this._indexar(indice.porLegado, `${tripla.presente.valor}|${tripla.legado.valor}`, tripla);
+                this._indexar(indice.porObjetivo, `${tripla.presente.valor}|${tripla.objetivo.valor}`, tripla);
+                return true;
+            };
+
+            triplas.forEach((tripla, i) => adicionar(tripla.id ? tripla : { ...tripla, id: `base_${i}` }));
+            return { indice, adicionar };
+        }
+
+        /**
+         * Percorre as condições restantes ligando variáveis
+         * @private
+         */
+        _juntar(condicoes, ligacoes, premissas, indice, aoResolver) {
+            if (condicoes.length === 0) {
+                aoResolver(ligacoes, premissas);
+                return;
+            }
+
+            const [condicao, ...resto] = condicoes;
+            const candidatas = this._candidatas(condicao, ligacoes, indice);
+
+            // Tamanho fixo: derivadas novas desta rodada entram pelo delta da próxima
+            for (let i = 0, total = candidatas.length; i < total; i++) {
+                const novas = this._unificar(condicao, candidatas[i], ligacoes);
+                if (novas) this._juntar(resto, novas, [...premissas, candidatas[i]], indice, aoResolver);
+            }
+        }
+
+        /**
+         * @private
+         */
+        _candidatas(condicao, ligacoes, indice) {
+            const valor = (termo) => (ehVariavel(termo) ? ligacoes[termo] : termo);
+            const presente = valor(condicao.presente);
+            if (presente === undefined) return indice.todas;
+
+            const legado = valor(condicao.legado);
+            if (legado !== undefined) return indice.porLegado.get(`${presente}|${legado}`) || [];
+
+            const objetivo = valor(condicao.objetivo);
+            if (objetivo !== undefined && !ehComparacao(objetivo)) {
+                return indice.porObjetivo.get(`${presente}|${objetivo}`) || [];
+            }
+
+            return indice.porPresente.get(presente) || [];
+        }
+
+        /**
+         * Casa uma condição com uma tripla; devolve as ligações ou null
+         * @private
+         */
+        _unificar(condicao, tripla, ligacoes) {
+            const novas = { ...ligacoes };
+
+            for (const posicao of POSICOES) {
+                const termo = condicao[posicao];
+                const valor = tripla[posicao].valor;
+
+                if (ehVariavel(termo)) {
+                    if (termo in novas && novas[termo] !== valor) return null;
+                    novas[termo] = valor;
+                } else if (posicao === 'objetivo' && ehComparacao(termo)) {
+                    if (!KC.TripleSchema.verificarObjetivo(valor, termo)) return null;
+                } else if (termo !== valor && String(termo) !== String(valor)) {
+                    return null;
+                }
+            }
+
+            return novas;
+        }
+
+        /**
+         * Monta a tripla concluída pela regra
+         * @private
+         */
+        _concluir(regra, ligacoes, premissas) {
+            const valores = {};
+            for (const posicao of POSICOES) {
+                const termo = regra.entao[posicao];
+                valores[posicao] = ehVariavel(termo) ? ligacoes[termo] : termo;
+                if (valores[posicao] === undefined || valores[posicao] === null || valores[posicao] === '') return null;
+            }
+
+            if ((regra.distintos || []).some(([a, b]) => ligacoes[a] === ligacoes[b])) return null;
+
+            const confianca = premissas.reduce(
+                (total, premissa) => total * (premissa.metadados?.confianca ?? 1),
+                regra.confianca ?? 1
+            );
+
+            const conclusao = {
+                metadados: {
+                    fonte: 'inferencia',
+                    derivada: true,
+                    regra: regra.nome,
+                    premissas: premissas.map(premissa => premissa.id),
+                    prova: premissas.map(descrever),
+                    confianca: Math.round(confianca * 1000) / 1000
+                }
+            };
+            POSICOES.forEach(posicao => {
+                conclusao[posicao] = { tipo: TIPOS[posicao], valor: valores[posicao] };
+            });
+
+            return conclusao;
+        }
+
+        /**
+         * @private
+         */
+        _indexar(mapa, chaveIndice, tripla) {
+            if (!mapa.has(chaveIndice)) mapa.set(chaveIndice, []);
+            mapa.get(chaveIndice).push(tripla);
+        }
+    }
+
+    KC.TripleInference = new TripleInference();
+
+})(window);
@@ -0,0 +1,942 @@
+/**
+ * TripleQuery.js - Linguagem de consulta (estilo SPARQL) sobre o TripleStoreManager
+ *
+ * Permite perguntas sobre o grafo de triplas sem escrever JavaScript:
+ *
+ *   SELECT ?arquivo ?nome WHERE {
+ *       ?arquivo derivaDe/pertenceCategoria estrategico .
+ *       ?arquivo sugeridaCategoria ?cat [confianca >= 0.7, fonte AS ?fonte] .
+ *       OPTIONAL { ?arquivo temNome ?nome }
+ *       FILTER(?cat != "tecnico" && bound(?nome))
+ *   }
+ *   ORDER BY DESC(?nome) LIMIT 20
+ *
+ * - Padrões:    legado presente objetivo; ?variaveis se juntam entre padrões
+ * - Valores:    nomes soltos (estrategico, file_123), "textos entre aspas", números, true/false
+ * - Metadados:  [chave op valor, ...] após um padrão simples (op: = != < <= > >=);
+ *               [chave AS ?var] traz o metadado para o resultado (chaves aninhadas com ponto)
+ * - OPTIONAL:   { padrões } que não eliminam a solução quando não casam
+ * - FILTER:     && || ! = != < <= > >=, bound(?x), contains(a, b), strstarts(a, b),
+ *               regex(a, "padrão", "flags"), lcase(a)
+ * - Caminhos:   p1/p2 (sequência), p1|p2 (alternativa), ^p (inverso),
+ *               p+ p* p? (repetição), parênteses para agrupar
+ * - Modificadores: SELECT DISTINCT, SELECT *, ORDER BY ?x DESC(?y), LIMIT n, OFFSET n
+ * - Comentários com # até o fim da linha
+ *
+ * A execução usa os índices do TripleStoreManager (porLegado, porObjetivo,
+ * porPresente), escolhendo a cada padrão o índice mais seletivo; os padrões
+ * de um grupo são ordenados para começar pelos que têm mais termos conhecidos.
+ *
+ * AIDEV-NOTE: triple-query; predicados casam por igualdade exata (buscar()
+ * aceita substring). Caminhos com os dois lados livres partem só dos nós
+ * que aparecem no primeiro passo, então p* não lista pares (x, x) soltos
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const OPERADORES = ['&&', '||', '!=', '<=', '>=', '=', '<', '>', '!'];
+    const COMPARACOES = ['=', '!=', '<', '<=', '>', '>='];
+    const PONTUACAO = '{}()[].,;/|^+*?';
+    const FUNCOES = {
+        bound: 1,
+        contains: 2,
+        strstarts: 2,
+        regex: [2, 3],
+        lcase: 1
+    };
+
+    /**
+     * Erro de sintaxe com a posição no texto da consulta
+     */
+    function erroSintaxe(mensagem, token) {
+        const error = new Error(`Consulta inválida: ${mensagem} (posição ${token.pos})`);
+        error.code = 'TRIPLE_QUERY_SYNTAX';
+        error.posicao = token.pos;
+        return error;
+    }
+
+    /**
+     * Quebra o texto da consulta em tokens
+     */
+    function tokenizar(texto) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < texto.length) {
+            const c = texto[i];
+
+            if (/\s/.test(c)) {
+                i++;
+                continue;
+            }
+
+            if (c === '#') {
+                while (i < texto.length && texto[i] !== '\n') i++;
+                continue;
+            }
+
+            const pos = i;
+            const resto = texto.slice(i);
+
+            if (c === '?' && /^\?[\p{L}\p{N}_]/u.test(resto)) {
+                const [nome] = resto.slice(1).match(/^[\p{L}\p{N}_]+/u);
+                tokens.push({ tipo: 'var', valor: nome, pos });
+                i += nome.length + 1;
+                continue;
+            }
+
+            if (c === '"' || c === "'") {
+                let valor = '';
+                i++;
+                while (i < texto.length && texto[i] !== c) {
+                    if (texto[i] === '\\' && i + 1 < texto.length) i++;
+                    valor += texto[i++];
+                }
+                if (i >= texto.length) throw erroSintaxe('texto sem aspas de fechamento', { pos });
+                i++;
+                tokens.push({ tipo: 'texto', valor, pos });
+                continue;
+            }
+
+            const numero = resto.match(/^-?\d+(\.\d+)?/);
+            if (numero) {
+                tokens.push({ tipo: 'numero', valor: Number(numero[0]), pos });
+                i += numero[0].length;
+                continue;
+            }
+
+            const operador = OPERADORES.find(op => resto.startsWith(op));
+            if (operador) {
+                tokens.push({ tipo: 'operador', valor: operador, pos });
+                i += operador.length;
+                continue;
+            }
+
+            if (PONTUACAO.includes(c)) {
+                tokens.push({ tipo: 'simbolo', valor: c, pos });
+                i++;
+                continue;
+            }
+
+            const nome = resto.match(/^[\p{L}_][\p{L}\p{N}_\-:]*/u);
+            if (nome) {
+                tokens.push({ tipo: 'nome', valor: nome[0], pos });
+                i += nome[0].length;
+                continue;
+            }
+
+            throw erroSintaxe(`caractere inesperado '${c}'`, { pos });
+        }
+
+        tokens.push({ tipo: 'fim', valor: null, pos: texto.length });
+        return tokens;
+    }
+
+    /**
+     * Analisador descendente recursivo; produz a árvore da consulta
+     */
+    class Parser {
+        constructor(tokens) {
+            this.tokens = tokens;
+            this.i = 0;
+        }
+
+        get atual() {
+            return this.tokens[this.i];
+        }
+
+        proximo() {
+            return this.tokens[this.i++];
+        }
+
+        ehPalavra(palavra) {
+            return this.atual.tipo === 'nome' && this.atual.valor.toUpperCase() === palavra;
+        }
+
+        ehSimbolo(simbolo) {
+            return ['simbolo', 'operador'].includes(this.atual.tipo) && this.atual.valor === simbolo;
+        }
+
+        esperarPalavra(palavra) {
+            if (!this.ehPalavra(palavra)) throw erroSintaxe(`esperado ${palavra}`, this.atual);
+            return this.proximo();
+        }
+
+        esperarSimbolo(simbolo) {
+            if (!this.ehSimbolo(simbolo)) throw erroSintaxe(`esperado '${simbolo}'`, this.atual);
+            return this.proximo();
+        }
+
+        esperarVariavel() {
+            if (this.atual.tipo !== 'var') throw erroSintaxe('esperada uma ?variavel', this.atual);
+            return this.proximo().valor;
+        }
+
+        esperarInteiro() {
+            const token = this.atual;
+            if (token.tipo !== 'numero' || !Number.isInteger(token.valor) || token.valor < 0) {
+                throw erroSintaxe('esperado um número inteiro', token);
+            }
+            return this.proximo().valor;
+        }
+
+        consulta() {
+            this.esperarPalavra('SELECT');
+
+            const distinct = this.ehPalavra('DISTINCT');
+            if (distinct) this.proximo();
+
+            let variaveis = [];
+            if (this.ehSimbolo('*')) {
+                this.proximo();
+                variaveis = null;
+            } else {
+                while (this.atual.tipo === 'var') variaveis.push(this.proximo().valor);
+                if (variaveis.length === 0) throw erroSintaxe('SELECT sem variáveis', this.atual);
+            }
+
+            if (this.ehPalavra('WHERE')) this.proximo();
+            const grupo = this.grupo();
+
+            const ordem = [];
+            let limite = null;
+            let deslocamento = 0;
+
+            while (this.atual.tipo !== 'fim') {
+                if (this.ehPalavra('ORDER')) {
+                    this.proximo();
+                    this.esperarPalavra('BY');
+                    do {
+                        if (this.ehPalavra('ASC') || this.ehPalavra('DESC')) {
+                            const desc = this.proximo().valor.toUpperCase() === 'DESC';
+                            this.esperarSimbolo('(');
+                            ordem.push({ variavel: this.esperarVariavel(), desc });
+                            this.esperarSimbolo(')');
+                        } else {
+                            ordem.push({ variavel: this.esperarVariavel(), desc: false });
+                        }
+                    } while (this.atual.tipo === 'var' || this.ehPalavra('ASC') || this.ehPalavra('DESC'));
+                } else if (this.ehPalavra('LIMIT')) {
+                    this.proximo();
+                    limite = this.esperarInteiro();
+                } else if (this.ehPalavra('OFFSET')) {
+                    this.proximo();
+                    deslocamento = this.esperarInteiro();
+                } else {
+                    throw erroSintaxe(`trecho inesperado '${this.atual.valor}'`, this.atual);
+                }
+            }
+
+            return { variaveis, distinct, grupo, ordem, limite, deslocamento };
+        }
+
+        grupo() {
+            this.esperarSimbolo('{');
+            const elementos = [];
+
+            while (!this.ehSimbolo('}')) {
+                if (this.atual.tipo === 'fim') throw erroSintaxe("esperado '}'", this.atual);
+
+                if (this.ehPalavra('OPTIONAL')) {
+                    this.proximo();
+                    elementos.push({ tipo: 'optional', grupo: this.grupo() });
+                } else if (this.ehPalavra('FILTER')) {
+                    this.proximo();
+                    this.esperarSimbolo('(');
+                    elementos.push({ tipo: 'filter', expressao: this.ou() });
+                    this.esperarSimbolo(')');
+                } else {
+                    elementos.push(this.padrao());
+                }
+
+                if (this.ehSimbolo('.')) this.proximo();
+            }
+
+            this.proximo();
+            return { elementos };
+        }
+
+        padrao() {
+            const legado = this.termo();
+            const inicioPresente = this.atual;
+            const presente = this.atual.tipo === 'var'
+                ? { tipo: 'var', valor: this.proximo().valor }
+                : this.caminho();
+            const objetivo = this.termo();
+
+            const metadados = this.ehSimbolo('[') ? this.restricoes() : [];
+            if (metadados.length > 0 && !['var', 'pred'].includes(presente.tipo)) {
+                throw erroSintaxe('restrições de metadados só valem para predicados simples', inicioPresente);
+            }
+
+            return { tipo: 'tripla', legado, presente, objetivo, metadados };
+        }
+
+        termo() {
+            const token = this.atual;
+
+            if (token.tipo === 'var') {
+                this.proximo();
+                return { tipo: 'var', valor: token.valor };
+            }
+            if (token.tipo === 'texto' || token.tipo === 'numero') {
+                this.proximo();
+                return { tipo: 'valor', valor: token.valor };
+            }
+            if (token.tipo === 'nome') {
+                this.proximo();
+                if (token.valor === 'true' || token.valor === 'false') {
+                    return { tipo: 'valor', valor: token.valor === 'true' };
+                }
+                return { tipo: 'valor', valor: token.valor };
+            }
+
+            throw erroSintaxe('esperado ?variavel ou valor', token);
+        }
+
+        // caminho := sequencia ('|' sequencia)*
+        caminho() {
+            const opcoes = [this.sequencia()];
+            while (this.ehSimbolo('|')) {
+                this.proximo();
+                opcoes.push(this.sequencia());
+            }
+            return opcoes.length === 1 ? opcoes[0] : { tipo: 'alt', opcoes };
+        }
+
+        // sequencia := elemento ('/' elemento)*
+        sequencia() {
+            const partes = [this.elementoCaminho()];
+            while (this.ehSimbolo('/')) {
+                this.proximo();
+                partes.push(this.elementoCaminho());
+            }
+            return partes.length === 1 ? partes[0] : { tipo: 'seq', partes };
+        }
+
+        // elemento := '^'? (nome | '(' caminho ')') ('+' | '*' | '?')?
+        elementoCaminho() {
+            const inverso = this.ehSimbolo('^');
+            if (inverso) this.proximo();
+
+            let caminho;
+            if (this.ehSimbolo('(')) {
+                this.proximo();
+                caminho = this.caminho();
+                this.esperarSimbolo(')');
+            } else if (this.atual.tipo === 'nome') {
+                caminho = { tipo: 'pred', nome: this.proximo().valor };
+            } else {
+                throw erroSintaxe('esperado predicado', this.atual);
+            }
+
+            if (['+', '*', '?'].some(mod => this.atual.tipo === 'simbolo' && this.atual.valor === mod)) {
+                caminho = { tipo: 'mod', caminho, mod: this.proximo().valor };
+            }
+
+            return inverso ? { tipo: 'inv', caminho } : caminho;
+        }
+
+        restricoes() {
+            this.esperarSimbolo('[');
+            const restricoes = [];
+
+            do {
+                if (restricoes.length > 0) this.proximo();
+
+                if (this.atual.tipo !== 'nome') throw erroSintaxe('esperado nome do metadado', this.atual);
+                const chave = [this.proximo().valor];
+                while (this.ehSimbolo('.')) {
+                    this.proximo();
+                    if (this.atual.tipo !== 'nome') throw erroSintaxe('esperado nome do metadado', this.atual);
+                    chave.push(this.proximo().valor);
+                }
+
+                if (this.ehPalavra('AS')) {
+                    this.proximo();
+                    restricoes.push({ chave, como: this.esperarVariavel() });
+                } else {
+                    const token = this.atual;
+                    if (token.tipo !== 'operador' || !COMPARACOES.includes(token.valor)) {
+                        throw erroSintaxe('esperado operador de comparação ou AS', token);
+                    }
+                    this.proximo();
+                    restricoes.push({ chave, op: token.valor, valor: this.termo() });
+                }
+            } while (this.ehSimbolo(','));
+
+            this.esperarSimbolo(']');
+            return restricoes;
+        }
+
+        // Expressões de FILTER
+        ou() {
+            let expressao = this.e();
+            while (this.ehSimbolo('||')) {
+                this.proximo();
+                expressao = { tipo: 'ou', a: expressao, b: this.e() };
+            }
+            return expressao;
+        }
+
+        e() {
+            let expressao = this.nao();
+            while (this.ehSimbolo('&&')) {
+                this.proximo();
+                expressao = { tipo: 'e', a: expressao, b: this.nao() };
+            }
+            return expressao;
+        }
+
+        nao() {
+            if (this.ehSimbolo('!')) {
+                this.proximo();
+                return { tipo: 'nao', expressao: this.nao() };
+            }
+            return this.comparacao();
+        }
+
+        comparacao() {
+            const a = this.primario();
+            const token = this.atual;
+            if (token.tipo === 'operador' && COMPARACOES.includes(token.valor)) {
+                this.proximo();
+                return { tipo: 'cmp', op: token.valor, a, b: this.primario() };
+            }
+            return a;
+        }
+
+        primario() {
+            if (this.ehSimbolo('(')) {
+                this.proximo();
+                const expressao = this.ou();
+                this.esperarSimbolo(')');
+                return expressao;
+            }
+
+            const token = this.atual;
+            const seguinte = this.tokens[this.i + 1];
+            if (token.tipo === 'nome' && seguinte.tipo === 'simbolo' && seguinte.valor === '(') {
+                const nome = token.valor.toLowerCase();
+                if (!FUNCOES[nome]) throw erroSintaxe(`função desconhecida '${token.valor}'`, token);
+
+                this.proximo();
+                this.proximo();
+                const args = [];
+                while (!this.ehSimbolo(')')) {
+                    if (args.length > 0) this.esperarSimbolo(',');
+                    args.push(this.ou());
+                }
+                this.proximo();
+
+                const aridade = [].concat(FUNCOES[nome]);
+                if (!aridade.includes(args.length)) {
+                    throw erroSintaxe(`${nome}() espera ${aridade.join(' ou ')} argumento(s)`, token);
+                }
+                if (nome === 'bound' && args[0].tipo !== 'var') {
+                    throw erroSintaxe('bound() espera uma ?variavel', token);
+                }
+                return { tipo: 'funcao', nome, args };
+            }
+
+            return this.termo();
+        }
+    }
+
+    class TripleQuery {
+        /**
+         * Converte o texto da consulta em árvore
+         * @param {string} texto
+         * @returns {Object} { variaveis, distinct, grupo, ordem, limite, deslocamento }
+         * @throws {Error} code TRIPLE_QUERY_SYNTAX com a posição do erro
+         */
+        parse(texto) {
+            return new Parser(tokenizar(String(texto || ''))).consulta();
+        }
+
+        /**
+         * Executa uma consulta sobre um TripleStoreManager
+         * @param {string|Object} consulta - Texto ou árvore já analisada
+         * @param {Object} store - TripleStoreManager (usa triplas e indices)
+         * @returns {Object} { variaveis, resultados: [{ nome: valor }], total, tempoMs }
+         */
+        executar(consulta, store) {
+            const inicio = Date.now();
+            const arvore = typeof consulta === 'string' ? this.parse(consulta) : consulta;
+
+            let solucoes = this._avaliarGrupo(arvore.grupo, [{}], store);
+
+            if (arvore.ordem.length > 0) {
+                solucoes = solucoes.slice().sort((a, b) => {
+                    for (const { variavel, desc } of arvore.ordem) {
+                        const diferenca = this._compararOrdem(a[variavel], b[variavel]);
+                        if (diferenca !== 0) return desc ? -diferenca : diferenca;
+                    }
+                    return 0;
+                });
+            }
+
+            const variaveis = arvore.variaveis || this._variaveisDoGrupo(arvore.grupo);
+            let resultados = solucoes.map(solucao => {
+                const linha = {};
+                variaveis.forEach(variavel => {
+                    linha[variavel] = solucao[variavel] === undefined ? null : solucao[variavel];
+                });
+                return linha;
+            });
+
+            if (arvore.distinct) {
+                const vistas = new Set();
+                resultados = resultados.filter(linha => {
+                    const chave = JSON.stringify(variaveis.map(variavel => linha[variavel]));
+                    if (vistas.has(chave)) return false;
+                    vistas.add(chave);
+                    return true;
+                });
+            }
+
+            const total = resultados.length;
+            resultados = resultados.slice(arvore.deslocamento,
+                arvore.limite === null ? undefined : arvore.deslocamento + arvore.limite);
+
+            return {
+                variaveis,
+                resultados,
+                total,
+                tempoMs: Date.now() - inicio
+            };
+        }
+
+        /**
+         * Padrões obrigatórios (mais seletivos primeiro), depois OPTIONAL, depois FILTER
+         * @private
+         */
+        _avaliarGrupo(grupo, solucoes, store) {
+            const padroes = grupo.elementos.filter(elemento => elemento.tipo === 'tripla');
+            const vinculadas = new Set(Object.keys(solucoes[0] || {}));
+
+            for (const padrao of this._ordenarPadroes(padroes, vinculadas)) {
+                solucoes = solucoes.flatMap(solucao => this._casar(padrao, solucao, store));
+                if (solucoes.length === 0) return [];
+            }
+
+            grupo.elementos.filter(elemento => elemento.tipo === 'optional').forEach(opcional => {
+                solucoes = solucoes.flatMap(solucao => {
+                    const estendidas = this._avaliarGrupo(opcional.grupo, [solucao], store);
+                    return estendidas.length > 0 ? estendidas : [solucao];
+                });
+            });
+
+            grupo.elementos.filter(elemento => elemento.tipo === 'filter').forEach(filtro => {
+                solucoes = solucoes.filter(solucao => this._verdadeiro(this._avaliar(filtro.expressao, solucao)));
+            });
+
+            return solucoes;
+        }
+
+        /**
+         * Ordem gulosa: a cada passo, o padrão com mais termos já conhecidos
+         * @private
+         */
+        _ordenarPadroes(padroes, vinculadas) {
+            const conhecidas = new Set(vinculadas);
+            const restantes = padroes.slice();
+            const ordenados = [];
+
+            const conhecido = (termo) => termo.tipo === 'valor' || (termo.tipo === 'var' && conhecidas.has(termo.valor));
+            const pontuar = (padrao) =>
+                (conhecido(padrao.legado) ? 2 : 0) +
+                (conhecido(padrao.objetivo) ? 2 : 0) +
+                (padrao.presente.tipo === 'var' ? (conhecidas.has(padrao.presente.valor) ? 1 : 0) : 1);
+
+            while (restantes.length > 0) {
+                let melhor = 0;
+                restantes.forEach((padrao, indice) => {
+                    if (pontuar(padrao) > pontuar(restantes[melhor])) melhor = indice;
+                });
+
+                const [padrao] = restantes.splice(melhor, 1);
+                ordenados.push(padrao);
+                this._variaveisDoPadrao(padrao).forEach(variavel => conhecidas.add(variavel));
+            }
+
+            return ordenados;
+        }
+
+        /**
+         * Soluções estendidas por um padrão
+         * @private
+         */
+        _casar(padrao, solucao, store) {
+            if (!['var', 'pred'].includes(padrao.presente.tipo)) {
+                return this._casarCaminho(padrao, solucao, store);
+            }
+
+            const legado = this._resolver(padrao.legado, solucao);
+            const objetivo = this._resolver(padrao.objetivo, solucao);
+            const presente = padrao.presente.tipo === 'var'
+                ? solucao[padrao.presente.valor]
+                : padrao.presente.nome;
+
+            const resultado = [];
+            for (const tripla of this._candidatas(store, legado, presente, objetivo)) {
+                let nova = this._vincular(solucao, padrao.legado, tripla.legado.valor);
+                if (nova && padrao.presente.tipo === 'var') {
+                    nova = this._vincular(nova, padrao.presente, tripla.presente.valor);
+                } else if (nova && tripla.presente.valor !== presente) {
+                    nova = null;
+                }
+                if (nova) nova = this._vincular(nova, padrao.objetivo, tripla.objetivo.valor);
+                if (nova) nova = this._aplicarRestricoes(nova, padrao.metadados, tripla.metadados || {});
+                if (nova) resultado.push(nova);
+            }
+
+            return resultado;
+        }
+
+        /**
+         * Restrições e vínculos de metadados de um padrão
+         * @private
+         */
+        _aplicarRestricoes(solucao, restricoes, metadados) {
+            let nova = solucao;
+
+            for (const restricao of restricoes) {
+                const valor = restricao.chave.reduce((objeto, parte) => objeto?.[parte], metadados);
+
+                if (restricao.como) {
+                    if (valor === undefined) return null;
+                    nova = this._vincular(nova, { tipo: 'var', valor: restricao.como }, valor);
+                } else if (!this._comparar(valor, restricao.op, this._resolver(restricao.valor, nova))) {
+                    return null;
+                }
+
+                if (!nova) return null;
+            }
+
+            return nova;
+        }
+
+        /**
+         * Triplas candidatas pelo índice mais seletivo disponível
+         * @private
+         */
+        _candidatas(store, legado, presente, objetivo) {
+            const conjuntos = [];
+            if (legado !== undefined) conjuntos.push(this._ids(store.indices.porLegado, legado));
+            if (objetivo !== undefined) conjuntos.push(this._ids(store.indices.porObjetivo, objetivo));
+            if (presente !== undefined) conjuntos.push(this._ids(store.indices.porPresente, presente));
+
+            if (conjuntos.length === 0) return Array.from(store.triplas.values());
+
+            const menor = conjuntos.reduce((a, b) => (b.size < a.size ? b : a));
+            return Array.from(menor, id => store.triplas.get(id)).filter(Boolean);
+        }
+
+        /**
+         * IDs de um índice; números e textos numéricos caem na mesma chave
+         * @private
+         */
+        _ids(indice, valor) {
+            const ids = new Set(indice.get(valor) || []);
+            const alternativo = typeof valor === 'string'
+                ? (valor.trim() !== '' && !isNaN(valor) ? Number(valor) : undefined)
+                : String(valor);
+            if (alternativo !== undefined) {
+                (indice.get(alternativo) || []).forEach(id => ids.add(id));
+            }
+            return ids;
+        }
+
+        /**
+         * Padrões com caminho (sequência, alternativa, inverso, repetição)
+         * @private
+         */
+        _casarCaminho(padrao, solucao, store) {
+            const legado = this._resolver(padrao.legado, solucao);
+            const objetivo = this._resolver(padrao.objetivo, solucao);
+            const pares = [];
+
+            if (legado !== undefined) {
+                this._mover(padrao.presente, this._nos([legado]), 1, store)
+                    .forEach(fim => pares.push([legado, fim]));
+            } else if (objetivo !== undefined) {
+                this._mover(padrao.presente, this._nos([objetivo]), -1, store)
+                    .forEach(inicio => pares.push([inicio, objetivo]));
+            } else {
+                this._extremos(padrao.presente, 1, store).forEach(inicio => {
+                    this._mover(padrao.presente, this._nos([inicio]), 1, store)
+                        .forEach(fim => pares.push([inicio, fim]));
+                });
+            }
+
+            return pares
+                .map(([inicio, fim]) => {
+                    const nova = this._vincular(solucao, padrao.legado, inicio);
+                    return nova && this._vincular(nova, padrao.objetivo, fim);
+                })
+                .filter(Boolean);
+        }
+
+        /**
+         * Nós alcançados a partir de um conjunto, no sentido 1 (legado -> objetivo) ou -1
+         * @private
+         * @returns {Map} chave textual -> valor
+         */
+        _mover(caminho, nos, sentido, store) {
+            switch (caminho.tipo) {
+                case 'pred': {
+                    const alcancados = new Map();
+                    nos.forEach(no => {
+                        const indice = sentido > 0 ? store.indices.porLegado : store.indices.porObjetivo;
+                        this._ids(indice, no).forEach(id => {
+                            const tripla = store.triplas.get(id);
+                            if (tripla?.presente.valor !== caminho.nome) return;
+                            const valor = sentido > 0 ? tripla.objetivo.valor : tripla.legado.valor;
+                            alcancados.set(String(valor), valor);
+                        });
+                    });
+                    return alcancados;
+                }
+                case 'inv':
+                    return this._mover(caminho.caminho, nos, -sentido, store);
+                case 'seq': {
+                    const partes = sentido > 0 ? caminho.partes : caminho.partes.slice().reverse();
+                    return partes.reduce((atuais, parte) => this._mover(parte, atuais, sentido, store), nos);
+                }
+                case 'alt': {
+                    const alcancados = new Map();
+                    caminho.opcoes.forEach(opcao => {
+                        this._mover(opcao, nos, sentido, store).forEach((valor, chave) => alcancados.set(chave, valor));
+                    });
+                    return alcancados;
+                }
+                case 'mod': {
+                    if (caminho.mod === '?') {
+                        return new Map([...nos, ...this._mover(caminho.caminho, nos, sentido, store)]);
+                    }
+                    const inicio = caminho.mod === '*' ? nos : this._mover(caminho.caminho, nos, sentido, store);
+                    return this._fecho(caminho.caminho, inicio, sentido, store);
+                }
+                default:
+                    return new Map();
+            }
+        }
+
+        /**
+         * Fecho transitivo (para + e *), sem repetir nós já visitados
+         * @private
+         */
+        _fecho(caminho, inicio, sentido, store) {
+            const visitados = new Map(inicio);
+            let fronteira = inicio;
+
+            while (fronteira.size > 0) {
+                const novos = new Map();
+                this._mover(caminho, fronteira, sentido, store).forEach((valor, chave) => {
+                    if (!visitados.has(chave)) {
+                        visitados.set(chave, valor);
+                        novos.set(chave, valor);
+                    }
+                });
+                fronteira = novos;
+            }
+
+            return visitados;
+        }
+
+        /**
+         * Nós por onde um caminho pode começar (sentido 1) ou terminar (-1)
+         * @private
+         */
+        _extremos(caminho, sentido, store) {
+            switch (caminho.tipo) {
+                case 'pred': {
+                    const nos = new Map();
+                    this._ids(store.indices.porPresente, caminho.nome).forEach(id => {
+                        const tripla = store.triplas.get(id);
+                        if (!tripla) return;
+                        const valor = sentido > 0 ? tripla.legado.valor : tripla.objetivo.valor;
+                        nos.set(String(valor), valor);
+                    });
+                    return nos;
+                }
+                case 'inv':
+                    return this._extremos(caminho.caminho, -sentido, store);
+                case 'seq':
+                    return this._extremos(sentido > 0 ? caminho.partes[0] : caminho.partes[caminho.partes.length - 1], sentido, store);
+                case 'alt':
+                    return new Map(caminho.opcoes.flatMap(opcao => [...this._extremos(opcao, sentido, store)]));
+                case 'mod':
+                    return this._extremos(caminho.caminho, sentido, store);
+                default:
+                    return new Map();
+            }
+        }
+
+        /**
+         * @private
+         */
+        _nos(valores) {
+            return new Map(valores.map(valor => [String(valor), valor]));
+        }
+
+        /**
+         * Valor de um termo na solução (undefined se variável livre)
+         * @private
+         */
+        _resolver(termo, solucao) {
+            return termo.tipo === 'var' ? solucao[termo.valor] : termo.valor;
+        }
+
+        /**
+         * Nova solução com o termo vinculado ao valor; null se conflitar
+         * @private
+         */
+        _vincular(solucao, termo, valor) {
+            if (termo.tipo !== 'var') {
+                return this._mesmoValor(termo.valor, valor) ? solucao : null;
+            }
+            if (solucao[termo.valor] !== undefined) {
+                return this._mesmoValor(solucao[termo.valor], valor) ? solucao : null;
+            }
+            return { ...solucao, [termo.valor]: valor };
+        }
+
+        /**
+         * @private
+         */
+        _mesmoValor(a, b) {
+            return a === b || String(a) === String(b);
+        }
+
+        /**
+         * Avalia uma expressão de FILTER
+         * @private
+         */
+        _avaliar(expressao, solucao) {
+            switch (expressao.tipo) {
+                case 'valor':
+                    return expressao.valor;
+                case 'var':
+                    return solucao[expressao.valor];
+                case 'ou':
+                    return this._verdadeiro(this._avaliar(expressao.a, solucao)) ||
+                        this._verdadeiro(this._avaliar(expressao.b, solucao));
+                case 'e':
+                    return this._verdadeiro(this._avaliar(expressao.a, solucao)) &&
+                        this._verdadeiro(this._avaliar(expressao.b, solucao));
+                case 'nao':
+                    return !this._verdadeiro(this._avaliar(expressao.expressao, solucao));
+                case 'cmp':
+                    return this._comparar(this._avaliar(expressao.a, solucao), expressao.op, this._avaliar(expressao.b, solucao));
+                case 'funcao':
+                    return this._funcao(expressao, solucao);
+                default:
+                    return undefined;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _funcao({ nome, args }, solucao) {
+            if (nome === 'bound') return solucao[args[0].valor] !== undefined;
+
+            const valores = args.map(arg => this._avaliar(arg, solucao));
+            if (valores.some(valor => valor === undefined)) return undefined;
+            const [a, b, flags] = valores.map(String);
+
+            switch (nome) {
+                case 'contains':
+                    return a.includes(b);
+                case 'strstarts':
+                    return a.startsWith(b);
+                case 'lcase':
+                    return a.toLowerCase();
+                case 'regex':
+                    try {
+                        return new RegExp(b, valores.length > 2 ? flags : '').test(a);
+                    } catch (error) {
+                        KC.Logger?.warning(`TripleQuery: regex inválida '${b}'`, error.message);
+                        return false;
+                    }
+                default:
+                    return undefined;
+            }
+        }
+
+        /**
+         * Comparação numérica quando os dois lados são números; senão textual
+         * Variáveis livres tornam a comparação falsa
+         * @private
+         */
+        _comparar(a, op, b) {
+            if (a === undefined || b === undefined || a === null || b === null) return false;
+
+            if (op === '=') return this._mesmoValor(a, b);
+            if (op === '!=') return !this._mesmoValor(a, b);
+
+            const diferenca = this._compararOrdem(a, b);
+            switch (op) {
+                case '<': return diferenca < 0;
+                case '<=': return diferenca <= 0;
+                case '>': return diferenca > 0;
+                case '>=': return diferenca >= 0;
+                default: return false;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _compararOrdem(a, b) {
+            if (a === b) return 0;
+            if (a === undefined || a === null) return -1;
+            if (b === undefined || b === null) return 1;
+
+            const numerico = (valor) => typeof valor === 'number' || (typeof valor === 'string' && valor.trim() !== '' && !isNaN(valor));
+            if (numerico(a) && numerico(b)) return Number(a) - Number(b);
+            return String(a).localeCompare(String(b));
+        }
+
+        /**
+         * @private
+         */
+        _verdadeiro(valor) {
+            return valor === true || (valor !== undefined && valor !== null && valor !== false && valor !== 0 && valor !== '');
+        }
+
+        /**
+         * Variáveis na ordem em que aparecem (para SELECT *)
+         * @private
+         */
+        _variaveisDoGrupo(grupo) {
+            const variaveis = new Set();
+            grupo.elementos.forEach(elemento => {
+                if (elemento.tipo === 'tripla') {
+                    this._variaveisDoPadrao(elemento).forEach(variavel => variaveis.add(variavel));
+                } else if (elemento.tipo === 'optional') {
+                    this._variaveisDoGrupo(elemento.grupo).forEach(variavel => variaveis.add(variavel));
+                }
+            });
+            return Array.from(variaveis);
+        }
+
+        /**
+         * @private
+         */
+        _variaveisDoPadrao(padrao) {
+            return [padrao.legado, padrao.presente, padrao.objetivo]
+                .filter(termo => termo.tipo === 'var')
+                .map(termo => termo.valor)
+                .concat(padrao.metadados.filter(restricao => restricao.como).map(restricao => restricao.como));
+        }
+    }
+
+    KC.TripleQuery = new TripleQuery();
+
+})(window);
@@ -0,0 +1,1017 @@
+/**
+ * TripleRDF.js - Exportação e importação RDF (N-Triples, Turtle, JSON-LD)
+ *
+ * Converte as triplas do TripleStoreManager (legado/presente/objetivo) em
+ * RDF padrão e de volta, e publica os predicados do TripleSchema como
+ * vocabulário RDFS/OWL, para uso direto em ferramentas RDF (Jena, rdflib,
+ * GraphDB...) sem conversor próprio.
+ *
+ * Mapeamento:
+ * - legado:    sempre IRI (urn:kc:entity:<valor>, valor codificado em %XX)
+ * - presente:  IRI do vocabulário (urn:kc:vocab:<predicado>)
+ * - objetivo:  literal tipado quando o alcance do predicado é string, numero,
+ *              boolean ou timestamp (ou o valor tem esse tipo); IRI de entidade
+ *              nos demais casos
+ * - metadados: reificação RDF (rdf:Statement com rdf:subject/predicate/object)
+ *              em urn:kc:tripla:<id>, com kc:fonte, kc:confianca, kc:timestamp...;
+ *              metadados que são objetos vão juntos em kc:metadados (rdf:JSON)
+ * - inferidas: kc:derivada true, kc:regra e kc:premissa apontando para a
+ *              declaração de cada premissa (cadeia de prova navegável)
+ *
+ * IRIs fora dos namespaces do projeto são mantidos por extenso, então um
+ * grafo vindo de fora também pode ser importado. Como o TripleSchema deduz o
+ * tipo da entidade pelo prefixo (file_, cat_...), um IRI externo só passa na
+ * validação de domínio/alcance dos predicados kc: quando o grafo o declara
+ * com uma classe do vocabulário (ex:doc a kc:Arquivo): ele vira file_<IRI>.
+ * Sem essa declaração a tripla volta em erros do importarRDF.
+ *
+ * AIDEV-NOTE: triple-rdf; JSON-LD sem contextos remotos (uma URL de contexto
+ * vira @vocab) e sem @list/@reverse; Turtle sem coleções ( )
+ */
+
+(function(window) {
+    'use strict';
+
+    const KC = window.KnowledgeConsolidator;
+
+    const NS = {
+        rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+        rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+        xsd: 'http://www.w3.org/2001/XMLSchema#',
+        owl: 'http://www.w3.org/2002/07/owl#',
+        kc: 'urn:kc:vocab:',
+        kce: 'urn:kc:entity:',
+        kct: 'urn:kc:tripla:'
+    };
+
+    const XSD = {
+        string: NS.xsd + 'string',
+        integer: NS.xsd + 'integer',
+        decimal: NS.xsd + 'decimal',
+        double: NS.xsd + 'double',
+        boolean: NS.xsd + 'boolean',
+        dateTime: NS.xsd + 'dateTime'
+    };
+
+    const RDF_JSON = NS.rdf + 'JSON';
+    const RDF_TYPE = NS.rdf + 'type';
+    const RDF_LANG_STRING = NS.rdf + 'langString';
+
+    // Alcances do TripleSchema que viram literais (e o tipo XSD correspondente)
+    const ALCANCES_LITERAIS = {
+        string: XSD.string,
+        numero: XSD.decimal,
+        boolean: XSD.boolean,
+        timestamp: XSD.dateTime
+    };
+
+    const FORMATOS = {
+        ntriples: { extensao: 'nt', mime: 'application/n-triples' },
+        turtle: { extensao: 'ttl', mime: 'text/turtle' },
+        jsonld: { extensao: 'jsonld', mime: 'application/ld+json' }
+    };
+
+    const ALIASES = {
+        nt: 'ntriples',
+        'n-triples': 'ntriples',
+        ttl: 'turtle',
+        'json-ld': 'jsonld',
+        json: 'jsonld'
+    };
+
+    // Termos RDF
+    const iri = (value) => ({ termType: 'NamedNode', value });
+    const blank = (value) => ({ termType: 'BlankNode', value });
+    const literal = (value, datatype = XSD.string, language = null) => ({
+        termType: 'Literal',
+        value: String(value),
+        datatype: language ? RDF_LANG_STRING : datatype,
+        language
+    });
+
+    function erroRDF(mensagem, linha) {
+        const error = new Error(`RDF inválido: ${mensagem}${linha ? ` (linha ${linha})` : ''}`);
+        error.code = 'TRIPLE_RDF_SYNTAX';
+        if (linha) error.linha = linha;
+        return error;
+    }
+
+    /**
+     * Leitor de Turtle (N-Triples é um subconjunto)
+     */
+    class TurtleParser {
+        constructor(texto) {
+            this.texto = texto;
+            this.pos = 0;
+            this.prefixos = {};
+            this.base = '';
+            this.triplas = [];
+            this.contadorBlank = 0;
+        }
+
+        get linha() {
+            return this.texto.slice(0, this.pos).split('\n').length;
+        }
+
+        erro(mensagem) {
+            return erroRDF(mensagem, this.linha);
+        }
+
+        ler() {
+            this.espacos();
+            while (this.pos < this.texto.length) {
+                this.declaracao();
+                this.espacos();
+            }
+            return this.triplas;
+        }
+
+        espacos() {
+            while (this.pos < this.texto.length) {
+                const c = this.texto[this.pos];
+                if (c === '#') {
+                    while (this.pos < this.texto.length && this.texto[this.pos] !== '\n') this.pos++;
+                } else if (/\s/.test(c)) {
+                    this.pos++;
+                } else {
+                    break;
+                }
+            }
+        }
+
+        olhar(trecho) {
+            return this.texto.startsWith(trecho, this.pos);
+        }
+
+        esperar(trecho) {
+            this.espacos();
+            if (!this.olhar(trecho)) throw this.erro(`esperado '${trecho}'`);
+            this.pos += trecho.length;
+        }
+
+        palavraChave(palavra) {
+            const trecho = this.texto.slice(this.pos, this.pos + palavra.length);
+            const depois = this.texto[this.pos + palavra.length] || ' ';
+            return trecho.toUpperCase() === palavra && /[\s<]/.test(depois);
+        }
+
+        declaracao() {
+            if (this.olhar('@prefix') || this.palavraChave('PREFIX')) {
+                const arroba = this.olhar('@');
+                this.pos += arroba ? 7 : 6;
+                this.espacos();
+                const prefixo = this.texto.slice(this.pos).match(/^([\p{L}_][\p{L}\p{N}_.-]*)?:/u);
+                if (!prefixo) throw this.erro('prefixo inválido');
+                this.pos += prefixo[0].length;
+                this.espacos();
+                this.prefixos[prefixo[1] || ''] = this.iriRef();
+                if (arroba) this.esperar('.');
+                return;
+            }
+
+            if (this.olhar('@base') || this.palavraChave('BASE')) {
+                const arroba = this.olhar('@');
+                this.pos += arroba ? 5 : 4;
+                this.espacos();
+                this.base = this.iriRef();
+                if (arroba) this.esperar('.');
+                return;
+            }
+
+            let sujeito;
+            if (this.olhar('[')) {
+                sujeito = this.listaBlank();
+                this.espacos();
+                if (this.olhar('.')) {
+                    this.pos++;
+                    return;
+                }
+            } else {
+                sujeito = this.recurso();
+            }
+
+            this.predicados(sujeito);
+            this.esperar('.');
+        }
+
+        predicados(sujeito) {
+            do {
+                this.espacos();
+                // ';' sobrando antes de '.' ou ']'
+                if (this.olhar('.') || this.olhar(']')) return;
+
+                const predicado = this.verbo();
+                do {
+                    this.espacos();
+                    this.triplas.push([sujeito, predicado, this.objeto()]);
+                    this.espacos();
+                } while (this.olhar(',') && ++this.pos);
+            } while (this.olhar(';') && ++this.pos);
+        }
+
+        verbo() {
+            this.espacos();
+            if (this.olhar('a') && /[\s<"'\[_:]/.test(this.texto[this.pos + 1] || '')) {
+                this.pos++;
+                return iri(RDF_TYPE);
+            }
+            return this.recurso();
+        }
+
+        objeto() {
+            const c = this.texto[this.pos];
+            if (c === '"' || c === "'") return this.literalTexto();
+            if (c === '[') return this.listaBlank();
+            if (c === '(') throw this.erro('coleções RDF ( ) não são suportadas');
+
+            const numero = this.texto.slice(this.pos).match(/^[+-]?(\d+\.?\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d*\.\d+|\d+)/);
+            if (numero) {
+                this.pos += numero[0].length;
+                const lexico = numero[0];
+                const tipo = /[eE]/.test(lexico) ? XSD.double : lexico.includes('.') ? XSD.decimal : XSD.integer;
+                return literal(lexico, tipo);
+            }
+
+            for (const valor of ['true', 'false']) {
+                if (this.olhar(valor) && !/[\p{L}\p{N}_:]/u.test(this.texto[this.pos + valor.length] || '')) {
+                    this.pos += valor.length;
+                    return literal(valor, XSD.boolean);
+                }
+            }
+
+            return this.recurso();
+        }
+
+        recurso() {
+            this.espacos();
+            if (this.olhar('<')) return iri(this.iriRef());
+
+            if (this.olhar('_:')) {
+                const rotulo = this.texto.slice(this.pos + 2).match(/^[\p{L}\p{N}_]([\p{L}\p{N}_.-]*[\p{L}\p{N}_-])?/u);
+                if (!rotulo) throw this.erro('nó anônimo inválido');
+                this.pos += 2 + rotulo[0].length;
+                return blank(rotulo[0]);
+            }
+
+            const nome = this.texto.slice(this.pos)
+                .match(/^([\p{L}_][\p{L}\p{N}_.-]*)?:((?:[\p{L}\p{N}_:-]|%[0-9A-Fa-f]{2}|\\[_~.\-!$&'()*+,;=/?#@%]|\.(?=[\p{L}\p{N}_:%\\-]))*)/u);
+            if (!nome) throw this.erro(`termo inesperado '${this.texto.slice(this.pos, this.pos + 20).split('\n')[0]}'`);
+
+            const prefixo = nome[1] || '';
+            if (!(prefixo in this.prefixos)) throw this.erro(`prefixo não declarado '${prefixo}:'`);
+            this.pos += nome[0].length;
+            return iri(this.prefixos[prefixo] + nome[2].replace(/\\(.)/g, '$1'));
+        }
+
+        iriRef() {
+            if (!this.olhar('<')) throw this.erro("esperado '<'");
+            const fim = this.texto.indexOf('>', this.pos);
+            if (fim === -1) throw this.erro('IRI sem fechamento');
+
+            const valor = this.desescapar(this.texto.slice(this.pos + 1, fim));
+            this.pos = fim + 1;
+            return /^[a-z][a-z0-9+.-]*:/i.test(valor) || !this.base ? valor : this.base + valor;
+        }
+
+        literalTexto() {
+            const aspas = this.texto[this.pos];
+            const longa = this.olhar(aspas.repeat(3));
+            const delimitador = longa ? aspas.repeat(3) : aspas;
+            this.pos += delimitador.length;
+
+            let valor = '';
+            while (!this.olhar(delimitador)) {
+                if (this.pos >= this.texto.length) throw this.erro('texto sem aspas de fechamento');
+                const c = this.texto[this.pos];
+                if (!longa && (c === '\n' || c === '\r')) throw this.erro('quebra de linha em texto curto');
+                if (c === '\\') {
+                    valor += this.escape();
+                } else {
+                    valor += c;
+                    this.pos++;
+                }
+            }
+            this.pos += delimitador.length;
+
+            if (this.olhar('@')) {
+                const idioma = this.texto.slice(this.pos + 1).match(/^[a-zA-Z]+(-[a-zA-Z0-9]+)*/);
+                if (!idioma) throw this.erro('idioma inválido');
+                this.pos += 1 + idioma[0].length;
+                return literal(valor, null, idioma[0].toLowerCase());
+            }
+            if (this.olhar('^^')) {
+                this.pos += 2;
+                return literal(valor, this.recurso().value);
+            }
+            return literal(valor);
+        }
+
+        escape() {
+            const c = this.texto[this.pos + 1];
+            const simples = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+            if (c in simples) {
+                this.pos += 2;
+                return simples[c];
+            }
+            if (c === 'u' || c === 'U') {
+                const tamanho = c === 'u' ? 4 : 8;
+                const hex = this.texto.slice(this.pos + 2, this.pos + 2 + tamanho);
+                if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== tamanho) throw this.erro('escape unicode inválido');
+                this.pos += 2 + tamanho;
+                return String.fromCodePoint(parseInt(hex, 16));
+            }
+            throw this.erro(`escape inválido '\\${c}'`);
+        }
+
+        desescapar(valor) {
+            return valor.replace(/\\u([0-9A-Fa-f]{4})|\\U([0-9A-Fa-f]{8})/g, (_, curto, longo) =>
+                String.fromCodePoint(parseInt(curto || longo, 16)));
+        }
+
+        listaBlank() {
+            this.esperar('[');
+            const no = blank(`b${this.contadorBlank++}`);
+            this.espacos();
+            if (!this.olhar(']')) this.predicados(no);
+            this.esperar(']');
+            return no;
+        }
+    }
+
+    class TripleRDF {
+        constructor() {
+            this.namespaces = NS;
+        }
+
+        /**
+         * Nome canônico do formato ('ntriples', 'turtle' ou 'jsonld')
+         * @param {string} formato
+         * @returns {string}
+         */
+        normalizarFormato(formato) {
+            const nome = ALIASES[String(formato || '').toLowerCase()] || String(formato || '').toLowerCase();
+            if (!FORMATOS[nome]) {
+                throw new Error(`Formato RDF não suportado: ${formato} (use ntriples, turtle ou jsonld)`);
+            }
+            return nome;
+        }
+
+        /**
+         * Extensão e MIME type para download
+         * @param {string} formato
+         * @returns {{ extensao: string, mime: string }}
+         */
+        infoFormato(formato) {
+            return FORMATOS[this.normalizarFormato(formato)];
+        }
+
+        /**
+         * Detecta o formato pelo nome do arquivo ou, sem ele, pelo conteúdo
+         * @param {string} conteudo
+         * @param {string} [nomeArquivo]
+         * @returns {string}
+         */
+        detectarFormato(conteudo, nomeArquivo = '') {
+            const extensao = String(nomeArquivo).split('.').pop().toLowerCase();
+            const porExtensao = Object.entries(FORMATOS).find(([, info]) => info.extensao === extensao);
+            if (porExtensao) return porExtensao[0];
+            if (extensao === 'json') return 'jsonld';
+
+            const inicio = String(conteudo).trimStart();
+            if (inicio.startsWith('{') || inicio.startsWith('[')) return 'jsonld';
+            if (/^(@prefix|@base|prefix\s|base\s)/im.test(inicio) || /\s(a|;|,)\s/.test(inicio)) return 'turtle';
+            return 'ntriples';
+        }
+
+        /**
+         * Exporta triplas do projeto como RDF
+         * @param {Array} triplas - Formato do TripleStoreManager.exportarTodas()
+         * @param {string} formato - ntriples | turtle | jsonld
+         * @param {Object} opcoes - { metadados: true, vocabulario: false, derivadas: true }
+         * @returns {string}
+         */
+        exportar(triplas, formato = 'turtle', opcoes = {}) {
+            const nome = this.normalizarFormato(formato);
+            const termos = this.paraRDF(triplas, opcoes);
+            if (opcoes.vocabulario) termos.push(...this.termosVocabulario());
+            return this.serializar(termos, nome);
+        }
+
+        /**
+         * Vocabulário RDFS/OWL com os predicados e tipos de entidade do TripleSchema
+         * @param {string} formato
+         * @returns {string}
+         */
+        vocabulario(formato = 'turtle') {
+            return this.serializar(this.termosVocabulario(), this.normalizarFormato(formato));
+        }
+
+        /**
+         * Lê RDF e devolve triplas no formato do projeto (aceito por importarTriplas)
+         * @param {string} conteudo
+         * @param {string|null} formato - null detecta pelo conteúdo
+         * @returns {Array<{ legado, presente, objetivo, metadados }>}
+         * @throws {Error} code TRIPLE_RDF_SYNTAX com a linha do erro (N-Triples/Turtle)
+         */
+        importar(conteudo, formato = null) {
+            const nome = this.normalizarFormato(formato || this.detectarFormato(conteudo));
+            const termos = nome === 'jsonld'
+                ? this.lerJSONLD(conteudo)
+                : new TurtleParser(String(conteudo)).ler();
+            return this.deRDF(termos);
+        }
+
+        /**
+         * Triplas do projeto -> triplas RDF [sujeito, predicado, objeto]
+         * @param {Array} triplas
+         * @param {Object} opcoes - { metadados: true, derivadas: true }
+         * @returns {Array}
+         */
+        paraRDF(triplas, opcoes = {}) {
+            const termos = [];
+
+            triplas.forEach(tripla => {
+                if (opcoes.derivadas === false && tripla.metadados?.derivada) return;
+
+                const presente = tripla.presente.valor;
+                const s = this._recurso(tripla.legado.valor);
+                const p = this._predicado(presente);
+                const o = this._objeto(presente, tripla.objetivo.valor);
+                termos.push([s, p, o]);
+
+                if (opcoes.metadados === false || !tripla.metadados) return;
+
+                const declaracao = iri(NS.kct + encodeURIComponent(tripla.id));
+                termos.push(
+                    [declaracao, iri(RDF_TYPE), iri(NS.rdf + 'Statement')],
+                    [declaracao, iri(NS.rdf + 'subject'), s],
+                    [declaracao, iri(NS.rdf + 'predicate'), p],
+                    [declaracao, iri(NS.rdf + 'object'), o]
+                );
+
+                const estruturados = {};
+                Object.entries(tripla.metadados).forEach(([chave, valor]) => {
+                    if (valor === undefined || valor === null) return;
+                    if (chave === 'premissas' && Array.isArray(valor)) {
+                        valor.forEach(id => termos.push([declaracao, iri(NS.kc + 'premissa'), iri(NS.kct + encodeURIComponent(id))]));
+                        return;
+                    }
+                    if (typeof valor === 'object') {
+                        estruturados[chave] = valor;
+                        return;
+                    }
+                    const tipo = chave === 'timestamp' ? XSD.dateTime : null;
+                    termos.push([declaracao, iri(NS.kc + encodeURIComponent(chave)), this._literal(valor, tipo)]);
+                });
+
+                if (Object.keys(estruturados).length > 0) {
+                    termos.push([declaracao, iri(NS.kc + 'metadados'), literal(JSON.stringify(estruturados), RDF_JSON)]);
+                }
+            });
+
+            return termos;
+        }
+
+        /**
+         * Triplas RDF -> triplas do projeto; reificações viram metadados
+         * @param {Array} termos
+         * @returns {Array}
+         */
+        deRDF(termos) {
+            const chave = (termo) => `${termo.termType}|${termo.value}|${termo.datatype || ''}|${termo.language || ''}`;
+
+            // Nós rdf:Statement e suas propriedades
+            const declaracoes = new Map();
+            termos.forEach(([s, p, o]) => {
+                if (p.value === RDF_TYPE && o.value === NS.rdf + 'Statement') {
+                    declaracoes.set(chave(s), { propriedades: [] });
+                }
+            });
+            termos.forEach(([s, p, o]) => {
+                const declaracao = declaracoes.get(chave(s));
+                if (!declaracao) return;
+                if (p.value === NS.rdf + 'subject') declaracao.s = o;
+                else if (p.value === NS.rdf + 'predicate') declaracao.p = o;
+                else if (p.value === NS.rdf + 'object') declaracao.o = o;
+                else if (p.value !== RDF_TYPE) declaracao.propriedades.push([p, o]);
+            });
+
+            const metadadosPorTripla = new Map();
+            declaracoes.forEach(declaracao => {
+                if (!declaracao.s || !declaracao.p || !declaracao.o) return;
+                const metadados = {};
+                declaracao.propriedades.forEach(([p, o]) => {
+                    if (p.value === NS.kc + 'metadados' && o.datatype === RDF_JSON) {
+                        try {
+                            Object.assign(metadados, JSON.parse(o.value));
+                        } catch (error) {
+                            KC.Logger?.warning('TripleRDF: kc:metadados com JSON inválido ignorado', error.message);
+                        }
+                    } else if (p.value === NS.kc + 'premissa' && o.value.startsWith(NS.kct)) {
+                        metadados.premissas = [...(metadados.premissas || []), this._decodificar(o.value.slice(NS.kct.length))];
+                    } else {
+                        metadados[this._valorPredicado(p)] = this._valor(o);
+                    }
+                });
+                metadadosPorTripla.set(`${chave(declaracao.s)} ${chave(declaracao.p)} ${chave(declaracao.o)}`, metadados);
+            });
+
+            // IRIs externos tipados com uma classe do vocabulário ganham o prefixo do tipo
+            const prefixos = new Map(Object.entries(KC.TripleSchema?.tiposEntidade || {})
+                .filter(([, def]) => def.prefixo)
+                .map(([nome, def]) => [NS.kc + nome.charAt(0).toUpperCase() + nome.slice(1), def.prefixo]));
+            const externos = new Map();
+            termos.forEach(([s, p, o]) => {
+                if (p.value !== RDF_TYPE || s.termType !== 'NamedNode' || !prefixos.has(o.value)) return;
+                if (s.value.startsWith(NS.kce) || s.value.startsWith(NS.kc) || externos.has(s.value)) return;
+                externos.set(s.value, prefixos.get(o.value) + s.value);
+            });
+            const valor = (termo) => termo.termType === 'NamedNode' && externos.has(termo.value)
+                ? externos.get(termo.value)
+                : this._valor(termo);
+
+            const vistas = new Set();
+            const triplas = [];
+            const adicionar = (s, p, o) => {
+                const id = `${chave(s)} ${chave(p)} ${chave(o)}`;
+                if (vistas.has(id)) return;
+                vistas.add(id);
+
+                const metadados = { ...(metadadosPorTripla.get(id) || {}) };
+                if (!metadados.fonte) metadados.fonte = 'importacao_rdf';
+                triplas.push({
+                    legado: { valor: valor(s) },
+                    presente: { valor: this._valorPredicado(p) },
+                    objetivo: { valor: valor(o) },
+                    metadados
+                });
+            };
+
+            termos.forEach(([s, p, o]) => {
+                if (declaracoes.has(chave(s))) return;
+                // Declarações do próprio vocabulário não são dados
+                if (s.termType === 'NamedNode' && s.value.startsWith(NS.kc)) return;
+                adicionar(s, p, o);
+            });
+
+            // Reificação sem a tripla afirmada: importa a tripla mesmo assim
+            declaracoes.forEach(declaracao => {
+                if (declaracao.s && declaracao.p && declaracao.o) adicionar(declaracao.s, declaracao.p, declaracao.o);
+            });
+
+            return triplas;
+        }
+
+        /**
+         * Triplas RDF do vocabulário (predicados, classes e metadados)
+         * @returns {Array}
+         */
+        termosVocabulario() {
+            const schema = KC.TripleSchema;
+            const termos = [];
+            const tipo = iri(RDF_TYPE);
+            const rotulo = iri(NS.rdfs + 'label');
+            const comentario = iri(NS.rdfs + 'comment');
+            const classes = new Set(Object.keys(schema?.tiposEntidade || {}).filter(tipo => !ALCANCES_LITERAIS[tipo]));
+            const classe = (nome) => iri(NS.kc + nome.charAt(0).toUpperCase() + nome.slice(1));
+
+            const ontologia = iri(NS.kc);
+            termos.push(
+                [ontologia, tipo, iri(NS.owl + 'Ontology')],
+                [ontologia, rotulo, literal('Knowledge Consolidator - vocabulário de triplas', null, 'pt')]
+            );
+
+            Object.entries(schema?.predicados || {}).forEach(([nome, def]) => {
+                const predicado = this._predicado(nome);
+                termos.push(
+                    [predicado, tipo, iri(NS.rdf + 'Property')],
+                    [predicado, rotulo, literal(nome)]
+                );
+                if (def.descricao) termos.push([predicado, comentario, literal(def.descricao, null, 'pt')]);
+
+                if (def.dominio && def.dominio !== 'any') {
+                    classes.add(def.dominio);
+                    termos.push([predicado, iri(NS.rdfs + 'domain'), classe(def.dominio)]);
+                }
+                if (def.alcance && def.alcance !== 'any') {
+                    if (ALCANCES_LITERAIS[def.alcance]) {
+                        termos.push([predicado, iri(NS.rdfs + 'range'), iri(ALCANCES_LITERAIS[def.alcance])]);
+                    } else {
+                        classes.add(def.alcance);
+                        termos.push([predicado, iri(NS.rdfs + 'range'), classe(def.alcance)]);
+                    }
+                }
+                if (def.inverso) termos.push([predicado, iri(NS.owl + 'inverseOf'), this._predicado(def.inverso)]);
+                if (def.transitivo) termos.push([predicado, tipo, iri(NS.owl + 'TransitiveProperty')]);
+                if (def.bidirecional) termos.push([predicado, tipo, iri(NS.owl + 'SymmetricProperty')]);
+            });
+
+            classes.forEach(nome => {
+                termos.push([classe(nome), tipo, iri(NS.rdfs + 'Class')], [classe(nome), rotulo, literal(nome)]);
+            });
+
+            // Propriedades usadas na reificação dos metadados
+            [
+                ['fonte', XSD.string, 'Origem da tripla (analise_ia, curadoria_manual...)'],
+                ['confianca', XSD.decimal, 'Confiança entre 0 e 1'],
+                ['timestamp', XSD.dateTime, 'Quando a tripla foi registrada'],
+                ['metadados', RDF_JSON, 'Demais metadados estruturados'],
+                ['derivada', XSD.boolean, 'Tripla inferida por regra'],
+                ['regra', XSD.string, 'Regra de inferência que produziu a tripla'],
+                ['premissa', NS.rdf + 'Statement', 'Tripla usada na prova da inferência']
+            ].forEach(([nome, alcance, descricao]) => {
+                const propriedade = iri(NS.kc + nome);
+                termos.push(
+                    [propriedade, tipo, iri(NS.rdf + 'Property')],
+                    [propriedade, iri(NS.rdfs + 'domain'), iri(NS.rdf + 'Statement')],
+                    [propriedade, iri(NS.rdfs + 'range'), iri(alcance)],
+                    [propriedade, comentario, literal(descricao, null, 'pt')]
+                );
+            });
+
+            return termos;
+        }
+
+        /**
+         * @param {Array} termos
+         * @param {string} formato - nome canônico
+         * @returns {string}
+         */
+        serializar(termos, formato) {
+            if (formato === 'ntriples') return this._ntriples(termos);
+            if (formato === 'turtle') return this._turtle(termos);
+            return JSON.stringify(this._jsonld(termos), null, 2);
+        }
+
+        /**
+         * Lê JSON-LD (expansão simplificada: contexto local, prefixos, termos com @id/@type)
+         * @param {string|Object} conteudo
+         * @returns {Array}
+         */
+        lerJSONLD(conteudo) {
+            let documento = conteudo;
+            if (typeof conteudo === 'string') {
+                try {
+                    documento = JSON.parse(conteudo);
+                } catch (error) {
+                    throw erroRDF(`JSON-LD com JSON inválido: ${error.message}`);
+                }
+            }
+
+            const termos = [];
+            let contadorBlank = 0;
+
+            const mesclarContexto = (ativo, contexto) => {
+                if (contexto === undefined) return ativo;
+                const novo = { ...ativo, termos: { ...ativo.termos } };
+
+                [].concat(contexto).forEach(item => {
+                    if (item === null) {
+                        Object.assign(novo, { termos: {}, vocab: null, base: null, language: null });
+                    } else if (typeof item === 'string') {
+                        // Contexto remoto não é baixado: a URL vira o vocabulário padrão
+                        novo.vocab = /[/#]$/.test(item) ? item : item + '/';
+                    } else {
+                        Object.entries(item).forEach(([chave, valor]) => {
+                            if (chave === '@vocab') novo.vocab = valor;
+                            else if (chave === '@base') novo.base = valor;
+                            else if (chave === '@language') novo.language = valor;
+                            else if (!chave.startsWith('@')) {
+                                novo.termos[chave] = typeof valor === 'string' ? { '@id': valor } : valor;
+                            }
+                        });
+                    }
+                });
+                return novo;
+            };
+
+            const expandir = (valor, contexto, vocab) => {
+                if (typeof valor !== 'string') throw erroRDF('IRI deve ser texto no JSON-LD');
+                if (valor.startsWith('_:')) return valor;
+
+                const termo = vocab ? contexto.termos[valor] : null;
+                if (termo && termo['@id'] && termo['@id'] !== valor) return expandir(termo['@id'], contexto, true);
+
+                const separador = valor.indexOf(':');
+                if (separador > 0) {
+                    const prefixo = valor.slice(0, separador);
+                    const definicao = contexto.termos[prefixo];
+                    if (definicao?.['@id'] && !valor.startsWith('//', separador + 1)) {
+                        return expandir(definicao['@id'], contexto, true) + valor.slice(separador + 1);
+                    }
+                    return valor;
+                }
+
+                if (vocab && contexto.vocab) return contexto.vocab + valor;
+                if (contexto.base) return contexto.base + valor;
+                return valor;
+            };
+
+            const noDeIRI = (valor) => (valor.startsWith('_:') ? blank(valor.slice(2)) : iri(valor));
+
+            const objeto = (valor, definicao, contexto) => {
+                if (valor === null || valor === undefined) return null;
+
+                if (typeof valor === 'object') {
+                    if ('@list' in valor || '@set' in valor) throw erroRDF('@list/@set no JSON-LD não são suportados');
+                    if ('@value' in valor) {
+                        if (valor['@language']) return literal(valor['@value'], null, valor['@language']);
+                        if (valor['@type']) return literal(valor['@value'], expandir(valor['@type'], contexto, true));
+                        return this._literal(valor['@value']);
+                    }
+                    return no(valor, contexto);
+                }
+
+                const tipoTermo = definicao?.['@type'];
+                if (typeof valor === 'string') {
+                    if (tipoTermo === '@id' || tipoTermo === '@vocab') {
+                        return noDeIRI(expandir(valor, contexto, tipoTermo === '@vocab'));
+                    }
+                    if (tipoTermo) return literal(valor, expandir(tipoTermo, contexto, true));
+                    const idioma = definicao && '@language' in definicao ? definicao['@language'] : contexto.language;
+                    return idioma ? literal(valor, null, idioma) : literal(valor);
+                }
+
+                if (typeof valor === 'number') {
+                    return literal(valor, Number.isInteger(valor) ? XSD.integer : XSD.double);
+                }
+                if (typeof valor === 'boolean') return literal(valor, XSD.boolean);
+                return null;
+            };
+
+            const no = (objetoNo, contextoPai) => {
+                const contexto = mesclarContexto(contextoPai, objetoNo['@context']);
+                const sujeito = objetoNo['@id']
+                    ? noDeIRI(expandir(objetoNo['@id'], contexto, false))
+                    : blank(`j${contadorBlank++}`);
+
+                [].concat(objetoNo['@type'] || []).forEach(tipo => {
+                    termos.push([sujeito, iri(RDF_TYPE), noDeIRI(expandir(tipo, contexto, true))]);
+                });
+
+                if (objetoNo['@graph']) {
+                    [].concat(objetoNo['@graph']).forEach(item => no(item, contexto));
+                }
+
+                Object.entries(objetoNo).forEach(([chave, valores]) => {
+                    if (chave === '@reverse') throw erroRDF('@reverse no JSON-LD não é suportado');
+                    if (chave.startsWith('@')) return;
+
+                    const predicado = expandir(chave, contexto, true);
+                    // Propriedades sem IRI são descartadas, como no JSON-LD
+                    if (!/^[a-z][a-z0-9+.-]*:/i.test(predicado)) return;
+
+                    [].concat(valores).forEach(valor => {
+                        const termo = objeto(valor, contexto.termos[chave], contexto);
+                        if (termo) termos.push([sujeito, iri(predicado), termo]);
+                    });
+                });
+
+                return sujeito;
+            };
+
+            const raiz = mesclarContexto({ termos: {}, vocab: null, base: null, language: null }, documento['@context']);
+            if (Array.isArray(documento)) {
+                documento.forEach(item => no(item, raiz));
+            } else if (documento['@graph'] && Object.keys(documento).every(chave => ['@context', '@graph'].includes(chave))) {
+                [].concat(documento['@graph']).forEach(item => no(item, raiz));
+            } else {
+                no({ ...documento, '@context': undefined }, raiz);
+            }
+
+            return termos;
+        }
+
+        /**
+         * @private
+         */
+        _recurso(valor) {
+            const texto = String(valor);
+            if (texto.startsWith('_:')) return blank(texto.slice(2));
+            if (/^(https?|urn|mailto|ftp):/i.test(texto) && !/\s/.test(texto)) return iri(texto);
+            return iri(NS.kce + encodeURIComponent(texto));
+        }
+
+        /**
+         * @private
+         */
+        _predicado(nome) {
+            if (/^(https?|urn):/i.test(nome)) return iri(nome);
+            return iri(NS.kc + encodeURIComponent(nome));
+        }
+
+        /**
+         * Literal ou IRI conforme o alcance do predicado no TripleSchema
+         * @private
+         */
+        _objeto(predicado, valor) {
+            if (typeof valor === 'number' || typeof valor === 'boolean') return this._literal(valor);
+
+            const schema = KC.TripleSchema;
+            const alcance = schema?.predicados?.[predicado]?.alcance;
+            const tipo = alcance && alcance !== 'any' ? alcance : schema?.extrairTipoEntidade(valor);
+
+            if (tipo === 'timestamp') return literal(valor, XSD.dateTime);
+            if (ALCANCES_LITERAIS[tipo] || !tipo) return this._literal(valor);
+            return this._recurso(valor);
+        }
+
+        /**
+         * @private
+         */
+        _literal(valor, tipo = null) {
+            if (tipo) return literal(valor, tipo);
+            if (typeof valor === 'boolean') return literal(valor, XSD.boolean);
+            if (typeof valor === 'number') {
+                if (Number.isInteger(valor)) return literal(valor, XSD.integer);
+                return literal(valor, /e/i.test(String(valor)) || !Number.isFinite(valor) ? XSD.double : XSD.decimal);
+            }
+            return literal(valor);
+        }
+
+        /**
+         * Valor de um termo no formato do projeto
+         * @private
+         */
+        _valor(termo) {
+            if (termo.termType === 'BlankNode') return `_:${termo.value}`;
+            if (termo.termType === 'NamedNode') {
+                for (const namespace of [NS.kce, NS.kc]) {
+                    if (termo.value.startsWith(namespace) && termo.value.length > namespace.length) {
+                        return this._decodificar(termo.value.slice(namespace.length));
+                    }
+                }
+                return termo.value;
+            }
+
+            switch (termo.datatype) {
+                case XSD.integer:
+                case XSD.decimal:
+                case XSD.double:
+                case NS.xsd + 'float':
+                case NS.xsd + 'long':
+                case NS.xsd + 'int': {
+                    const numero = Number(termo.value === 'INF' ? Infinity : termo.value === '-INF' ? -Infinity : termo.value);
+                    return Number.isNaN(numero) && termo.value !== 'NaN' ? termo.value : numero;
+                }
+                case XSD.boolean:
+                    return termo.value === 'true' || termo.value === '1';
+                default:
+                    return termo.value;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _valorPredicado(termo) {
+            return termo.value.startsWith(NS.kc) ? this._decodificar(termo.value.slice(NS.kc.length)) : termo.value;
+        }
+
+        /**
+         * @private
+         */
+        _decodificar(local) {
+            try {
+                return decodeURIComponent(local);
+            } catch (error) {
+                return local;
+            }
+        }
+
+        /**
+         * @private
+         */
+        _ntriples(termos) {
+            return termos.map(([s, p, o]) => `${this._termoNT(s)} ${this._termoNT(p)} ${this._termoNT(o)} .`).join('\n') + '\n';
+        }
+
+        /**
+         * @private
+         */
+        _termoNT(termo) {
+            if (termo.termType === 'NamedNode') return `<${this._escaparIRI(termo.value)}>`;
+            if (termo.termType === 'BlankNode') return `_:${termo.value}`;
+
+            const texto = `"${this._escaparTexto(termo.value)}"`;
+            if (termo.language) return `${texto}@${termo.language}`;
+            if (termo.datatype === XSD.string) return texto;
+            return `${texto}^^<${this._escaparIRI(termo.datatype)}>`;
+        }
+
+        /**
+         * @private
+         */
+        _turtle(termos) {
+            const prefixos = ['rdf', 'rdfs', 'xsd', 'owl', 'kc', 'kce', 'kct'];
+            const compactar = (valor) => {
+                for (const prefixo of prefixos.slice().sort((a, b) => NS[b].length - NS[a].length)) {
+                    const local = valor.startsWith(NS[prefixo]) ? valor.slice(NS[prefixo].length) : null;
+                    if (local !== null && /^[A-Za-z0-9_](?:[A-Za-z0-9_%-]*)$/.test(local) && !/%(?![0-9A-Fa-f]{2})/.test(local)) {
+                        return `${prefixo}:${local}`;
+                    }
+                }
+                return `<${this._escaparIRI(valor)}>`;
+            };
+
+            const termo = (t) => {
+                if (t.termType === 'NamedNode') return compactar(t.value);
+                if (t.termType === 'BlankNode') return `_:${t.value}`;
+
+                if (t.datatype === XSD.integer && /^[+-]?\d+$/.test(t.value)) return t.value;
+                if (t.datatype === XSD.decimal && /^[+-]?\d*\.\d+$/.test(t.value)) return t.value;
+                if (t.datatype === XSD.boolean && /^(true|false)$/.test(t.value)) return t.value;
+
+                const texto = `"${this._escaparTexto(t.value)}"`;
+                if (t.language) return `${texto}@${t.language}`;
+                if (t.datatype === XSD.string) return texto;
+                return `${texto}^^${compactar(t.datatype)}`;
+            };
+
+            // Agrupa por sujeito e predicado, na ordem de aparição
+            const sujeitos = new Map();
+            termos.forEach(([s, p, o]) => {
+                const chaveSujeito = termo(s);
+                if (!sujeitos.has(chaveSujeito)) sujeitos.set(chaveSujeito, new Map());
+                const predicados = sujeitos.get(chaveSujeito);
+                const chavePredicado = p.value === RDF_TYPE ? 'a' : termo(p);
+                if (!predicados.has(chavePredicado)) predicados.set(chavePredicado, []);
+                const objetos = predicados.get(chavePredicado);
+                const chaveObjeto = termo(o);
+                if (!objetos.includes(chaveObjeto)) objetos.push(chaveObjeto);
+            });
+
+            const cabecalho = prefixos.map(prefixo => `@prefix ${prefixo}: <${NS[prefixo]}> .`).join('\n');
+            const blocos = Array.from(sujeitos, ([sujeito, predicados]) => {
+                const linhas = Array.from(predicados, ([predicado, objetos]) => `    ${predicado} ${objetos.join(', ')}`);
+                return `${sujeito}\n${linhas.join(' ;\n')} .`;
+            });
+
+            return `${cabecalho}\n\n${blocos.join('\n\n')}\n`;
+        }
+
+        /**
+         * @private
+         */
+        _jsonld(termos) {
+            const prefixos = ['rdf', 'rdfs', 'xsd', 'owl', 'kc', 'kce', 'kct'];
+            const compactar = (valor) => {
+                const prefixo = prefixos
+                    .filter(nome => valor.startsWith(NS[nome]) && valor.length > NS[nome].length)
+                    .sort((a, b) => NS[b].length - NS[a].length)[0];
+                return prefixo ? `${prefixo}:${valor.slice(NS[prefixo].length)}` : valor;
+            };
+            const id = (t) => (t.termType === 'BlankNode' ? `_:${t.value}` : compactar(t.value));
+
+            const nos = new Map();
+            termos.forEach(([s, p, o]) => {
+                const chave = id(s);
+                if (!nos.has(chave)) nos.set(chave, { '@id': chave });
+                const no = nos.get(chave);
+
+                if (p.value === RDF_TYPE && o.termType !== 'Literal') {
+                    no['@type'] = [].concat(no['@type'] || [], id(o));
+                    return;
+                }
+
+                let valor;
+                if (o.termType !== 'Literal') valor = { '@id': id(o) };
+                else if (o.language) valor = { '@value': o.value, '@language': o.language };
+                else if (o.datatype === XSD.string) valor = { '@value': o.value };
+                else valor = { '@value': o.value, '@type': compactar(o.datatype) };
+
+                const propriedade = compactar(p.value);
+                no[propriedade] = [].concat(no[propriedade] || [], valor);
+            });
+
+            const contexto = {};
+            prefixos.forEach(prefixo => { contexto[prefixo] = NS[prefixo]; });
+
+            return { '@context': contexto, '@graph': Array.from(nos.values()) };
+        }
+
+        /**
+         * @private
+         */
+        _escaparTexto(valor) {
+            return String(valor)
+                .replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r')
+                .replace(/\t/g, '\\t')
+                .replace(/[\u0000-\u001f]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0').toUpperCase()}`);
+        }
+
+        /**
+         * @private
+         */
+        _escaparIRI(valor) {
+            return String(valor).replace(/[\u0000- <>"{}|^`\\]/g, c =>
+                `\\u${c.charCodeAt(0).toString(16).padStart(4, '0').toUpperCase()}`);
+        }
+    }
+
+    KC.TripleRDF = new TripleRDF();
+
+})(window);
@@ -1,6 +1,12 @@
 /**
- * ValidationUtils.js - ValidationUtils
- * Stub temporário
+ * ValidationUtils.js - Validação de dados por JSON Schema
+ *
+ * Implementa o subconjunto de JSON Schema usado pelos templates do
+ * PromptManager (responseSchema) e pelos providers com saída estruturada:
+ * type, enum, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength e minimum/maximum.
+ *
+ * AIDEV-NOTE: validation-utils; palavras-chave fora do subconjunto são ignoradas
  */
 
 (function(window) {
@@ -9,8 +15,98 @@
     const KC = window.KnowledgeConsolidator;
 
     class ValidationUtils {
-        constructor() {
-            // Stub
+        /**
+         * Valida um valor contra um JSON Schema
+         * @param {*} data - Valor a validar
+         * @param {Object} schema - JSON Schema
+         * @returns {{valid: boolean, errors: string[]}} Erros no formato "caminho: mensagem"
+         */
+        validateSchema(data, schema) {
+            const errors = [];
+            this._validateNode(data, schema || {}, '$', errors);
+            return { valid: errors.length === 0, errors };
+        }
+
+        /**
+         * Tipo JSON de um valor ('integer' também é 'number')
+         */
+        jsonType(value) {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            if (Number.isInteger(value)) return 'integer';
+            return typeof value;
+        }
+
+        /**
+         * @private
+         */
+        _validateNode(value, schema, path, errors) {
+            if (schema.type) {
+                const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+                const actual = this.jsonType(value);
+                const matches = allowed.some(type =>
+                    type === actual || (type === 'number' && actual === 'integer')
+                );
+
+                if (!matches) {
+                    errors.push(`${path}: esperado ${allowed.join(' ou ')}, recebido ${actual}`);
+                    return;
+                }
+            }
+
+            if (schema.enum && !schema.enum.includes(value)) {
+                errors.push(`${path}: valor "${value}" fora de [${schema.enum.join(', ')}]`);
+            }
+
+            if (typeof value === 'string') {
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    errors.push(`${path}: mínimo de ${schema.minLength} caracteres`);
+                }
+                if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                    errors.push(`${path}: máximo de ${schema.maxLength} caracteres`);
+                }
+            }
+
+            if (typeof value === 'number') {
+                if (schema.minimum !== undefined && value < schema.minimum) {
+                    errors.push(`${path}: deve ser >= ${schema.minimum}`);
+                }
+                if (schema.maximum !== undefined && value > schema.maximum) {
+                    errors.push(`${path}: deve ser <= ${schema.maximum}`);
+                }
+            }
+
+            if (Array.isArray(value)) {
+                if (schema.minItems !== undefined && value.length < schema.minItems) {
+                    errors.push(`${path}: mínimo de ${schema.minItems} itens`);
+                }
+                if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                    errors.push(`${path}: máximo de ${schema.maxItems} itens`);
+                }
+                if (schema.items) {
+                    value.forEach((item, index) => this._validateNode(item, schema.items, `${path}[${index}]`, errors));
+                }
+            }
+
+            if (this.jsonType(value) === 'object') {
+                const properties = schema.properties || {};
+
+                (schema.required || []).forEach(field => {
+                    if (!(field in value)) {
+                        errors.push(`${path}.${field}: campo obrigatório ausente`);
+                    }
+                });
+
+                Object.entries(value).forEach(([field, fieldValue]) => {
+                    if (properties[field]) {
+                        this._validateNode(fieldValue, properties[field], `${path}.${field}`, errors);
+                    } else if (schema.additionalProperties === false) {
+                        errors.push(`${path}.${field}: campo não previsto no schema`);
+                    } else if (typeof schema.additionalProperties === 'object') {
+                        this._validateNode(fieldValue, schema.additionalProperties, `${path}.${field}`, errors);
+                    }
+                });
+            }
         }
     }
 
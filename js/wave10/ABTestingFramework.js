@@ -889,8 +889,8 @@ class StatisticalAnalysisEngine {
             (Math.pow(controlVar / controlN, 2) / (controlN - 1) +
              Math.pow(treatmentVar / treatmentN, 2) / (treatmentN - 1));
         
-        // P-value (simplified - use t-distribution in production)
-        const pValue = this.tDistributionCDF(Math.abs(tStat), df) * 2;
+        // Two-tailed p-value
+        const pValue = 2 * (1 - this.tDistributionCDF(Math.abs(tStat), df));
         
         return {
             statistic: tStat,
@@ -929,7 +929,7 @@ class StatisticalAnalysisEngine {
         const stdU = Math.sqrt((control.length * treatment.length * 
             (control.length + treatment.length + 1)) / 12);
         const z = (U - meanU) / stdU;
-        const pValue = this.normalCDF(Math.abs(z)) * 2;
+        const pValue = 2 * (1 - this.normalCDF(Math.abs(z)));
         
         return {
             statistic: U,
@@ -965,7 +965,7 @@ class StatisticalAnalysisEngine {
             Math.pow(treatmentFailure - expectedTreatmentFailure, 2) / expectedTreatmentFailure;
         
         // P-value (df = 1 for 2x2 table)
-        const pValue = this.chiSquareCDF(chiSquare, 1);
+        const pValue = 1 - this.chiSquareCDF(chiSquare, 1);
         
         return {
             statistic: chiSquare,
@@ -1045,7 +1045,7 @@ class StatisticalAnalysisEngine {
         });
         
         const df = Object.keys(observedRatios).length - 1;
-        const pValue = this.chiSquareCDF(chiSquare, df);
+        const pValue = 1 - this.chiSquareCDF(chiSquare, df);
         
         return {
             detected: pValue < 0.001,
@@ -1124,20 +1124,35 @@ class StatisticalAnalysisEngine {
         return zScores[probability] || 1.96;
     }
     
-    // Simplified CDFs - use proper implementations in production
+    // Approximate CDFs (same erf approximation as SequentialTestingEngine)
     normalCDF(z) {
-        // Approximation of normal CDF
-        return 1 - 0.5 * Math.exp(-1.2 * z - 1);
+        return 0.5 * (1 + this.erf(z / Math.sqrt(2)));
+    }
+    
+    erf(x) {
+        // Abramowitz-Stegun 7.1.26
+        const sign = x < 0 ? -1 : 1;
+        x = Math.abs(x);
+        const t = 1 / (1 + 0.3275911 * x);
+        const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+            t * Math.exp(-x * x);
+        return sign * y;
     }
     
     tDistributionCDF(t, df) {
-        // Very rough approximation - use proper implementation
-        return this.normalCDF(t * Math.sqrt(df / (df + t * t)));
+        // Normal approximation of Student's t (accurate for df >= 3)
+        const z = t * (1 - 1 / (4 * df)) / Math.sqrt(1 + (t * t) / (2 * df));
+        return this.normalCDF(z);
     }
     
     chiSquareCDF(x, df) {
-        // Very rough approximation - use proper implementation
-        return 1 - Math.exp(-x / 2);
+        if (x <= 0) return 0;
+        if (df === 1) return 2 * this.normalCDF(Math.sqrt(x)) - 1;
+        if (df === 2) return 1 - Math.exp(-x / 2);
+        
+        // Wilson-Hilferty approximation
+        const z = (Math.pow(x / df, 1 / 3) - (1 - 2 / (9 * df))) / Math.sqrt(2 / (9 * df));
+        return this.normalCDF(z);
     }
     
     getStatus() {
@@ -2638,4 +2653,5 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
     window.KnowledgeConsolidator = window.KnowledgeConsolidator || {};
     window.KnowledgeConsolidator.ABTestingFramework = ABTestingFramework;
+    window.KnowledgeConsolidator.StatisticalAnalysisEngine = StatisticalAnalysisEngine;
 }
\ No newline at end of file
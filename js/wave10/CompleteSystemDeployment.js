@@ -520,7 +520,7 @@
         async checkExternalServices() {
             const services = {
                 ollama: await this.checkService('http://127.0.0.1:11434/api/tags'),
-                qdrant: await this.checkService('http://qdr.vcia.com.br:6333/collections')
+                qdrant: await this.checkService(`${window.KnowledgeConsolidator?.QdrantService?.config.baseUrl || 'http://qdr.vcia.com.br:6333'}/collections`)
             };
             
             return Object.values(services).every(status => status);
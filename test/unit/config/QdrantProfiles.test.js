@@ -0,0 +1,82 @@
+/**
+ * QdrantProfiles.test.js
+ * Unit tests for QdrantProfiles - Shared Qdrant connection profiles
+ *
+ * Tests cover:
+ * - Default profiles (local, staging, production) and active profile
+ * - Runtime switching with change notification
+ * - Validation and persistence without API keys
+ * - Session-only API keys still applied to the active profile's listeners
+ */
+
+describe('QdrantProfiles', () => {
+    let profiles;
+    let mockEventBus;
+
+    function load() {
+        jest.resetModules();
+        require('../../../js/config/QdrantProfiles.js');
+        return window.KnowledgeConsolidator.QdrantProfiles;
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        mockEventBus = { emit: jest.fn() };
+        window.KnowledgeConsolidator = {
+            EventBus: mockEventBus,
+            Events: { QDRANT_PROFILE_CHANGED: 'qdrant:profile:changed' }
+        };
+        profiles = load();
+    });
+
+    test('should default to the production profile', () => {
+        expect(profiles.list().map(profile => profile.id)).toEqual(['local', 'staging', 'production']);
+        expect(profiles.getActive()).toMatchObject({
+            id: 'production',
+            url: 'http://qdr.vcia.com.br:6333',
+            collection: 'knowledge_consolidator',
+            vectorSize: 768,
+            apiKey: null
+        });
+    });
+
+    test('should switch profile at runtime and notify listeners', () => {
+        const listener = jest.fn();
+        profiles.onChange(listener);
+
+        profiles.setActive('local');
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'local', url: 'http://127.0.0.1:6333' }), 'production');
+        expect(mockEventBus.emit).toHaveBeenCalledWith('qdrant:profile:changed', expect.objectContaining({ previous: 'production' }));
+        expect(load().getActiveId()).toBe('local');
+        expect(() => profiles.setActive('inexistente')).toThrow('Perfil Qdrant não encontrado');
+    });
+
+    test('should validate and persist profiles without API keys', async () => {
+        await expect(profiles.saveProfile('local', { url: 'localhost:6333' })).rejects.toThrow('URL deve começar');
+
+        const saved = await profiles.saveProfile('local', {
+            url: 'http://127.0.0.1:6334/',
+            collection: 'kc_dev',
+            vectorSize: '1024',
+            apiKey: 'segredo'
+        });
+
+        expect(saved).toMatchObject({ url: 'http://127.0.0.1:6334', collection: 'kc_dev', vectorSize: 1024, apiKey: 'segredo' });
+        expect(localStorage.getItem('kc_qdrant_profiles')).not.toContain('segredo');
+        expect(load().get('local')).toMatchObject({ collection: 'kc_dev', apiKey: null });
+    });
+
+    test('should notify listeners when the API key stays only in this session', async () => {
+        const listener = jest.fn();
+        profiles.onChange(listener);
+        window.KnowledgeConsolidator.Logger = { warning: jest.fn() };
+
+        const result = await profiles.setApiKey('production', 'sessao');
+
+        expect(result).toEqual({ persisted: false });
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'production', apiKey: 'sessao' }), 'production');
+        expect(window.KnowledgeConsolidator.Logger.warning).toHaveBeenCalledWith('QdrantProfiles', expect.stringContaining('apenas nesta sessão'));
+    });
+});
@@ -0,0 +1,720 @@
+/**
+ * AIAPIManager.test.js
+ * Unit tests for AIAPIManager - OpenAI-compatible custom providers
+ *
+ * Tests cover:
+ * - Registration with model listing from /v1/models
+ * - Chat requests against the custom base URL with optional key
+ * - Custom pricing, rate limits and persistence
+ * - Long documents (map-reduce over chunks with citations)
+ * - Per-template JSON Schema: native structured output, local repair and retry
+ * - Batch pre-flight estimate and pause at spending caps (also for standalone completions)
+ * - Token streaming (SSE/NDJSON), per-call provider with breaker and cancellation
+ * - Fallback chains per template with per-provider circuit breakers
+ * - Image description with a multimodal provider (deferred extraction on every analysis path)
+ */
+
+AbortSignal.timeout = AbortSignal.timeout || (() => new AbortController().signal);
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+global.TextDecoder = global.TextDecoder || require('util').TextDecoder;
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    flow: jest.fn()
+};
+
+function jsonResponse(data) {
+    return { ok: true, status: 200, json: async () => data, text: async () => JSON.stringify(data) };
+}
+
+describe('AIAPIManager - OpenAI-compatible providers', () => {
+    let manager;
+
+    function load() {
+        jest.isolateModules(() => {
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        return window.KnowledgeConsolidator.AIAPIManager;
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        manager = load();
+    });
+
+    test('should register a local server and list its models', async () => {
+        fetch.mockResolvedValueOnce(jsonResponse({ data: [{ id: 'qwen2.5-7b-instruct' }, { id: 'llama-3.1-8b' }] }));
+
+        const provider = await manager.addCustomProvider({ id: 'lmstudio', name: 'LM Studio', baseUrl: 'http://127.0.0.1:1234/' });
+
+        expect(fetch).toHaveBeenCalledWith('http://127.0.0.1:1234/v1/models', expect.objectContaining({ method: 'GET' }));
+        expect(provider).toMatchObject({
+            type: 'openai-compatible',
+            isLocal: true,
+            requiresApiKey: false,
+            models: ['qwen2.5-7b-instruct', 'llama-3.1-8b'],
+            defaultModel: 'qwen2.5-7b-instruct'
+        });
+        expect(manager.rateLimits.lmstudio).toEqual({ requestsPerMinute: 60, concurrent: 2 });
+        await expect(manager.addCustomProvider({ id: 'openai', baseUrl: 'http://x' })).rejects.toThrow('nativo');
+    });
+
+    test('should call chat/completions on the custom URL and track its own pricing', async () => {
+        await manager.addCustomProvider({
+            id: 'gateway',
+            baseUrl: 'https://llm.intranet.example/api/v1',
+            apiKey: 'secret',
+            models: ['internal-70b'],
+            pricing: { '*': { input: 0.001, output: 0.002 } }
+        });
+        manager.setActiveProvider('gateway');
+        fetch.mockResolvedValueOnce(jsonResponse({
+            choices: [{ message: { content: '{"summary":"ok"}' } }],
+            usage: { prompt_tokens: 1000, completion_tokens: 500 }
+        }));
+
+        const content = await manager._callProvider({ system: 's', user: 'u' }, {});
+
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('https://llm.intranet.example/api/v1/chat/completions');
+        expect(request.headers.Authorization).toBe('Bearer secret');
+        expect(JSON.parse(request.body)).toMatchObject({ model: 'internal-70b' });
+        expect(JSON.parse(request.body).response_format).toBeUndefined();
+        expect(content).toBe('{"summary":"ok"}');
+        expect(manager.getUsageStats('gateway').cost).toBeCloseTo(0.002);
+        expect(manager.estimateRequestCost('gateway', 'internal-70b', 'x'.repeat(4000), 1000).cost).toBeCloseTo(0.003);
+    });
+
+    test('should persist custom providers without the API key and restore them', async () => {
+        await manager.addCustomProvider({
+            id: 'vllm',
+            baseUrl: 'http://10.0.0.5:8000',
+            apiKey: 'token',
+            models: ['mistral-7b'],
+            rateLimits: { concurrent: 8 }
+        });
+
+        expect(localStorage.getItem('kc_custom_providers')).not.toContain('token');
+
+        const reloaded = load();
+        expect(reloaded.providers.vllm).toMatchObject({ baseUrl: 'http://10.0.0.5:8000/v1', defaultModel: 'mistral-7b' });
+        expect(reloaded.rateLimits.vllm).toEqual({ requestsPerMinute: 60, concurrent: 8 });
+        expect(reloaded.apiKeys.vllm).toBe('token');
+
+        fetch.mockResolvedValueOnce(jsonResponse({ data: [{ id: 'mixtral-8x7b' }] }));
+        expect(await reloaded.refreshCustomProviderModels('vllm')).toEqual(['mixtral-8x7b']);
+        expect(load().providers.vllm).toMatchObject({ models: ['mixtral-8x7b'], defaultModel: 'mixtral-8x7b' });
+
+        reloaded.removeCustomProvider('vllm');
+        expect(reloaded.providers.vllm).toBeUndefined();
+        expect(JSON.parse(localStorage.getItem('kc_custom_providers'))).toEqual([]);
+    });
+});
+
+describe('AIAPIManager - long documents', () => {
+    let manager;
+
+    beforeEach(() => {
+        localStorage.clear();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            AnalysisTypesManager: {
+                getTypeNames: () => ['Momento Decisivo', 'Aprendizado Geral'],
+                detectType: () => 'Momento Decisivo',
+                getRelevanceBoost: () => 0.2,
+                getPromptDescription: () => 'Momento Decisivo, Aprendizado Geral'
+            }
+        };
+        jest.isolateModules(() => {
+            require('../../../js/utils/ChunkingUtils.js');
+            require('../../../js/utils/ValidationUtils.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+    });
+
+    function longFile() {
+        const sections = Array.from({ length: 12 }, (_, i) =>
+            `## Reunião ${i + 1}\n\n` + `Discutimos a etapa ${i + 1} do projeto e os riscos envolvidos. `.repeat(20)
+        );
+        return { id: 'f1', name: 'retrospectiva.md', content: sections.join('\n\n') };
+    }
+
+    test('should estimate calls and tokens for every window plus the reduce step', () => {
+        const file = longFile();
+        const estimate = manager.estimateLongDocumentAnalysis(file);
+
+        // Opt-in: sem configuração o documento vai inteiro numa chamada
+        expect(manager._isLongDocument(file, {})).toBe(false);
+        expect(manager._isLongDocument(file, { longDocument: 'auto' })).toBe(true);
+        manager.longDocument.enabled = true;
+        expect(manager._isLongDocument(file, {})).toBe(true);
+        expect(estimate.windows).toBeGreaterThan(1);
+        expect(estimate.calls).toBe(estimate.windows + 1);
+        expect(estimate.inputTokens).toBeGreaterThan(file.content.length / 4);
+        expect(estimate.estimated).toBe(false);
+    });
+
+    test('should map every window and keep chunk citations in the consolidated result', async () => {
+        const file = longFile();
+        const prompts = [];
+        jest.spyOn(manager, '_callProvider').mockImplementation(async (prompt) => {
+            prompts.push(prompt.user);
+            if (prompt.user.includes('Notas parciais')) {
+                return JSON.stringify({
+                    analysisType: 'Momento Decisivo',
+                    moments: [{ text: 'Risco da etapa 12 aceito', chunks: [11, 999] }],
+                    categories: ['projeto'],
+                    summary: 'Retrospectiva completa',
+                    relevanceScore: 0.9
+                });
+            }
+            const chunk = Number(prompt.user.match(/\[chunk (\d+)\]/g).pop().match(/\d+/)[0]);
+            return JSON.stringify({ notes: [{ text: `Nota até o chunk ${chunk}`, chunks: [chunk] }] });
+        });
+
+        const analysis = await manager.analyze(file, { longDocument: 'auto' });
+        const windows = manager.estimateLongDocumentAnalysis(file).windows;
+
+        expect(prompts).toHaveLength(windows + 1);
+        expect(prompts[prompts.length - 1]).toContain(`Nota até o chunk 11 [chunks: 11]`);
+        expect(analysis.moments).toEqual(['Risco da etapa 12 aceito']);
+        expect(analysis.citations).toEqual([
+            expect.objectContaining({ field: 'moments', index: 0, chunks: [11] })
+        ]);
+        expect(analysis.citations[0].excerpts[0]).toContain('Reunião 12');
+        expect(analysis.longDocument).toMatchObject({ windows: windows, notes: windows });
+    });
+});
+
+describe('AIAPIManager - structured output', () => {
+    let manager;
+
+    const validAnswer = {
+        analysisType: 'Momento Decisivo',
+        moments: ['Escolha do Qdrant'],
+        categories: ['arquitetura'],
+        summary: 'Decisão de infraestrutura',
+        relevanceScore: 0.8
+    };
+
+    function chatResponse(content) {
+        return jsonResponse({ choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 10 } });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            AnalysisTypesManager: {
+                getTypeNames: () => ['Momento Decisivo', 'Aprendizado Geral'],
+                detectType: () => 'Momento Decisivo',
+                getRelevanceBoost: () => 0.2,
+                getPromptDescription: () => 'Momento Decisivo, Aprendizado Geral'
+            }
+        };
+        jest.isolateModules(() => {
+            require('../../../js/utils/ValidationUtils.js');
+            require('../../../js/managers/PromptManager.js');
+            require('../../../js/managers/AnalysisAdapter.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+        manager.setApiKey('openai', 'sk-test');
+        manager.setActiveProvider('openai');
+    });
+
+    const file = { id: 'f1', name: 'decisao.md', content: 'Decidimos usar o Qdrant.' };
+
+    test('should derive the schema from the template and send it as json_schema', async () => {
+        const schema = window.KnowledgeConsolidator.PromptManager.getResponseSchema('decisiveMoments');
+        expect(schema.required).toEqual(['analysisType', 'moments', 'categories', 'summary', 'relevanceScore']);
+        expect(schema.properties.analysisType.enum).toEqual(['Momento Decisivo', 'Aprendizado Geral']);
+
+        // relevanceScore como texto é corrigido localmente, sem nova chamada
+        fetch.mockResolvedValueOnce(chatResponse(JSON.stringify({ ...validAnswer, relevanceScore: '0.8' })));
+
+        const analysis = await manager.analyze(file, { template: 'decisiveMoments' });
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { schema } });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(analysis).toMatchObject({ schemaValidated: true, schemaRepairedLocally: true, relevanceScore: 0.8 });
+    });
+
+    test('should send the validation errors back to the model and accept the corrected answer', async () => {
+        fetch
+            .mockResolvedValueOnce(chatResponse('Não encontrei momentos decisivos.'))
+            .mockResolvedValueOnce(chatResponse(JSON.stringify(validAnswer)));
+
+        const analysis = await manager.analyze(file, { template: 'decisiveMoments' });
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        const retry = JSON.parse(fetch.mock.calls[1][1].body);
+        expect(retry.messages[1].content).toContain('resposta não é um JSON válido');
+        expect(analysis).toMatchObject({ schemaValidated: true, schemaRepairs: 1, summary: 'Decisão de infraestrutura' });
+    });
+
+    test('should fail instead of degrading when every attempt violates the schema', async () => {
+        fetch.mockResolvedValue(chatResponse(JSON.stringify({ summary: 'incompleto' })));
+
+        await expect(manager.analyze(file, { template: 'decisiveMoments' })).rejects.toMatchObject({
+            code: 'SCHEMA_VALIDATION_FAILED',
+            validationErrors: expect.arrayContaining(['$.moments: campo obrigatório ausente'])
+        });
+        expect(fetch).toHaveBeenCalledTimes(1 + manager.structuredOutput.maxRepairAttempts);
+    });
+});
+
+describe('AIAPIManager - spending budgets', () => {
+    let manager;
+    let budget;
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            EventBus: { emit: jest.fn() },
+            AnalysisTypesManager: {
+                detectType: () => 'Momento Decisivo',
+                getRelevanceBoost: () => 0.2,
+                getPromptDescription: () => 'Momento Decisivo'
+            }
+        };
+        jest.isolateModules(() => {
+            require('../../../js/services/AIBudgetService.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+        budget = window.KnowledgeConsolidator.AIBudgetService;
+        manager.setApiKey('openai', 'sk-test');
+        manager.setActiveProvider('openai');
+        jest.spyOn(manager, 'delay').mockResolvedValue();
+    });
+
+    const files = Array.from({ length: 4 }, (_, i) => ({ id: `f${i}`, name: `nota${i}.md`, content: 'x'.repeat(4000) }));
+
+    // Tokens de entrada cobrados = estimativa do prompt (4 caracteres por token)
+    function paidResponse(url, request) {
+        const text = JSON.parse(request.body).messages.map(message => message.content).join('');
+        return jsonResponse({
+            choices: [{ message: { content: '{"summary":"ok"}' } }],
+            usage: { prompt_tokens: Math.ceil(text.length / 4), completion_tokens: 0 }
+        });
+    }
+
+    test('should cancel before any call when the pre-flight estimate exceeds the cap', async () => {
+        budget.setLimits({ perRun: 0.001 });
+        const estimate = manager.estimateBatch(files, { model: 'gpt-4o', longDocument: false });
+        expect(estimate).toMatchObject({ files: 4, calls: 4, estimated: true });
+        expect(estimate.budget.allowed).toBe(false);
+
+        window.KnowledgeConsolidator.EventBus.emit.mockImplementation((event, data) => budget.reject(data.run.id));
+
+        const batch = await manager.analyzeBatch(files, { model: 'gpt-4o', longDocument: false, responseSchema: null });
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(batch.stats.status).toBe('cancelled');
+        expect(batch.skipped).toHaveLength(4);
+    });
+
+    test('should pause at the cap mid-run and resume after approval', async () => {
+        const options = { model: 'gpt-4o-mini', longDocument: false, responseSchema: null, batchSize: 1, skipPreflight: true };
+        manager.providers.openai.pricing['gpt-4o-mini'] = { input: 0.25, output: 0 };
+        const perFile = manager.estimateBatch(files, options).perFile[0];
+        budget.setLimits({ perDay: perFile * 2 });
+        fetch.mockImplementation(async (url, request) => paidResponse(url, request));
+
+        const approvals = [];
+        window.KnowledgeConsolidator.EventBus.emit.mockImplementation((event, data) => {
+            if (event !== 'ai:budget:approval:required') return;
+            approvals.push(data.request);
+            budget.approve(data.run.id);
+        });
+
+        const batch = await manager.analyzeBatch(files, options);
+
+        expect(approvals).toEqual([expect.objectContaining({ stage: 'cap', remainingFiles: 2 })]);
+        expect(approvals[0].needed).toBeCloseTo(perFile * 2);
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(batch.stats).toMatchObject({ successes: 4, status: 'completed' });
+        expect(batch.stats.spent).toBeCloseTo(perFile * 4);
+        expect(budget.getSpending('openai').day).toBeCloseTo(perFile * 4);
+    });
+
+    test('should price and cap the batch at the paid head of the fallback chain', async () => {
+        manager.setActiveProvider('ollama');
+        manager.setFallbackChain('default', [{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'ollama' }]);
+        budget.setLimits({ perDay: 0.5 });
+        budget.recordSpend('openai', 1);
+        const analyze = jest.spyOn(manager, 'analyze');
+
+        const approvals = [];
+        window.KnowledgeConsolidator.EventBus.emit.mockImplementation((event, data) => {
+            if (event !== 'ai:budget:approval:required') return;
+            approvals.push(data.request);
+            budget.reject(data.run.id);
+        });
+
+        const options = { longDocument: false, responseSchema: null, skipPreflight: true };
+        expect(manager.estimateBatch(files, options)).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini' });
+        expect(manager.estimateBatch(files, options).cost).toBeGreaterThan(0);
+
+        const batch = await manager.analyzeBatch(files, options);
+
+        expect(approvals).toEqual([expect.objectContaining({ stage: 'cap', remainingFiles: 4 })]);
+        expect(analyze).not.toHaveBeenCalled();
+        expect(batch.stats).toMatchObject({ status: 'stopped', skipped: 4 });
+    });
+
+    test('should not re-queue files blocked by the cap without an approval', async () => {
+        const blocked = Object.assign(new Error('Limite de gasto atingido'), { code: 'BUDGET_EXCEEDED' });
+        const analyze = jest.spyOn(manager, 'analyze').mockRejectedValue(blocked);
+
+        const approvals = [];
+        window.KnowledgeConsolidator.EventBus.emit.mockImplementation((event, data) => {
+            if (event !== 'ai:budget:approval:required') return;
+            approvals.push(data.request);
+            budget.reject(data.run.id);
+        });
+
+        const batch = await manager.analyzeBatch(files, { provider: 'openai', longDocument: false, batchSize: 2, skipPreflight: true });
+
+        expect(analyze).toHaveBeenCalledTimes(2);
+        expect(approvals).toHaveLength(1);
+        expect(batch.stats).toMatchObject({ status: 'stopped', skipped: 4, failures: 0 });
+    });
+
+    test('should record and enforce the budget on standalone completions', async () => {
+        manager.providers.openai.pricing['gpt-4o-mini'] = { input: 1, output: 0 };
+        budget.setLimits({ perDay: 0.001 });
+        fetch.mockImplementation(async (url, request) => paidResponse(url, request));
+        const prompt = { system: 'Juiz', user: 'x'.repeat(400) };
+
+        expect(await manager.complete(prompt, { model: 'gpt-4o-mini', provider: 'openai' })).toBe('{"summary":"ok"}');
+        expect(budget.getSpending('openai').day).toBeGreaterThan(0.001);
+
+        await expect(manager.complete(prompt, { model: 'gpt-4o-mini' })).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('AIAPIManager - streaming', () => {
+    let manager;
+
+    // Corpo em stream: cada string vira um read() (quebras de linha no meio do evento incluídas)
+    function streamResponse(parts) {
+        const encoder = new TextEncoder();
+        const queue = parts.map(part => encoder.encode(part));
+        return {
+            ok: true,
+            status: 200,
+            body: {
+                getReader: () => ({
+                    read: async () => queue.length ? { done: false, value: queue.shift() } : { done: true },
+                    releaseLock: () => {}
+                })
+            }
+        };
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            AnalysisTypesManager: {
+                getTypeNames: () => ['Momento Decisivo'],
+                detectType: () => 'Momento Decisivo',
+                getRelevanceBoost: () => 0.2,
+                getPromptDescription: () => 'Momento Decisivo'
+            }
+        };
+        jest.isolateModules(() => {
+            require('../../../js/utils/CircuitBreaker.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+    });
+
+    async function collect(iterator) {
+        const events = [];
+        for await (const event of iterator) events.push(event);
+        return events;
+    }
+
+    test('should stream OpenAI SSE deltas and track the final usage', async () => {
+        manager.setApiKey('openai', 'sk-test');
+        manager.setActiveProvider('openai');
+        fetch.mockResolvedValueOnce(streamResponse([
+            'data: {"choices":[{"delta":{"content":"{\\"summary\\":"}}]}\n\ndata: {"choices":[{"del',
+            'ta":{"content":" \\"ok\\"}"}}]}\n\n',
+            'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":4}}\n\ndata: [DONE]\n\n'
+        ]));
+
+        const events = await collect(manager.streamProvider({ system: 's', user: 'u' }, {}));
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+        expect(events.filter(e => e.type === 'delta').map(e => e.text)).toEqual(['{"summary":', ' "ok"}']);
+        expect(events[events.length - 1]).toEqual({ type: 'done', content: '{"summary": "ok"}', usage: { prompt_tokens: 12, completion_tokens: 4 } });
+        expect(manager.getUsageStats('openai')).toMatchObject({ inputTokens: 12, outputTokens: 4 });
+    });
+
+    test('should stream Ollama NDJSON and Anthropic tool JSON into a normalized analysis', async () => {
+        fetch.mockResolvedValueOnce(streamResponse([
+            '{"response":"Resumo: ","done":false}\n{"response":"decisão tomada","done":false}\n',
+            '{"response":"","done":true,"prompt_eval_count":30,"eval_count":5}\n'
+        ]));
+        const ollama = await collect(manager.streamProvider({ system: 's', user: 'u' }, {}));
+        expect(ollama[ollama.length - 1].content).toBe('Resumo: decisão tomada');
+        expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+
+        manager.setApiKey('anthropic', 'sk-ant');
+        manager.setActiveProvider('anthropic');
+        fetch.mockResolvedValueOnce(streamResponse([
+            'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":20}}}\n\n',
+            'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"input_json_delta","partial_json":"{\\"summary\\": \\"Escolha"}}\n\n',
+            'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"input_json_delta","partial_json":" do Qdrant\\", \\"relevanceScore\\": 0.7}"}}\n\n',
+            'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":9}}\n\n'
+        ]));
+
+        const events = await collect(manager.analyzeStream({ id: 'f1', name: 'a.md', content: 'Decidimos.' }, { responseSchema: null }));
+
+        expect(events.filter(e => e.type === 'delta')).toHaveLength(2);
+        expect(events[events.length - 1].analysis).toMatchObject({
+            summary: 'Escolha do Qdrant',
+            relevanceScore: 0.7,
+            streamed: true,
+            type: 'Momento Decisivo'
+        });
+        expect(manager.getUsageStats('anthropic')).toMatchObject({ inputTokens: 20, outputTokens: 9 });
+    });
+
+    test('should stream from the requested provider through its breaker without switching the active one', async () => {
+        manager.setApiKey('openai', 'sk-test');
+        fetch.mockResolvedValueOnce(streamResponse([
+            'data: {"choices":[{"delta":{"content":"{\\"summary\\": \\"ok\\"}"}}]}\n\ndata: [DONE]\n\n'
+        ]));
+        const file = { id: 'f1', name: 'a.md', content: 'Decidimos.' };
+
+        const iterator = manager.analyzeStream(file, { provider: 'openai', responseSchema: null });
+        expect((await iterator.next()).value.type).toBe('delta');
+        expect(manager.requestQueues.openai).toHaveLength(1);
+        const events = [];
+        for await (const event of iterator) events.push(event);
+        await Promise.resolve();
+
+        expect(fetch.mock.calls[0][0]).toContain('api.openai.com');
+        expect(events[events.length - 1].analysis.summary).toBe('ok');
+        expect(manager.activeProvider).toBe('ollama');
+        expect(manager.requestQueues.openai).toHaveLength(0);
+        expect(manager.getBreaker('openai').getStats().successfulCalls).toBe(1);
+
+        fetch.mockResolvedValueOnce({ ok: false, status: 500, text: async () => 'indisponível' });
+        await expect(collect(manager.analyzeStream(file, { provider: 'openai', responseSchema: null })))
+            .rejects.toThrow('API Error [500]');
+        expect(manager.getBreaker('openai').getState().failures).toBe(1);
+
+        manager.getBreaker('openai').trip();
+        await expect(collect(manager.analyzeStream(file, { provider: 'openai', responseSchema: null })))
+            .rejects.toThrow('Circuito aberto');
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should extract deferred images on the streaming and batch paths', async () => {
+        const KC = window.KnowledgeConsolidator;
+        KC.DocumentExtractors = {
+            extract: jest.fn(async (file) => ({ success: true, content: `# Imagem: ${file.name}\nMigrar em março` }))
+        };
+        const image = (name) => ({ id: name, name, content: '', extractionDeferred: true, handle: { getFile: jest.fn() } });
+
+        fetch.mockResolvedValueOnce(streamResponse(['{"response":"{\\"summary\\": \\"quadro\\"}","done":true}\n']));
+        const streamed = image('quadro.png');
+        const events = await collect(manager.analyzeStream(streamed, { responseSchema: null }));
+        expect(events[events.length - 1].analysis.summary).toBe('quadro');
+        expect(streamed.content).toContain('Migrar em março');
+        expect(JSON.parse(fetch.mock.calls[0][1].body).prompt).toContain('Migrar em março');
+
+        fetch.mockResolvedValueOnce(jsonResponse({ response: '{"summary": "foto"}', prompt_eval_count: 10, eval_count: 5 }));
+        const batch = await manager.analyzeBatch([image('foto.jpg')], { responseSchema: null });
+        expect(batch.results).toHaveLength(1);
+        expect(batch.results[0].file.content).toContain('Migrar em março');
+        expect(KC.DocumentExtractors.extract).toHaveBeenCalledTimes(2);
+
+        KC.DocumentExtractors.extract.mockResolvedValueOnce({ success: false, error: 'OCR indisponível', content: '' });
+        await expect(collect(manager.analyzeStream(image('vazia.png'), { responseSchema: null })))
+            .rejects.toThrow('Sem conteúdo extraído de vazia.png: OCR indisponível');
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should abort the request when the stream is cancelled', async () => {
+        let requestSignal;
+        fetch.mockImplementationOnce(async (url, init) => {
+            requestSignal = init.signal;
+            return {
+                ok: true,
+                body: {
+                    getReader: () => ({
+                        read: () => new Promise((resolve, reject) => {
+                            if (init.signal.aborted) reject(new Error('AbortError'));
+                            init.signal.addEventListener('abort', () => reject(new Error('AbortError')));
+                        })
+                    })
+                }
+            };
+        });
+
+        const controller = new AbortController();
+        const iterator = manager.streamProvider({ system: 's', user: 'u' }, { signal: controller.signal });
+        const next = iterator.next();
+        await Promise.resolve();
+        await Promise.resolve();
+        controller.abort();
+
+        await expect(next).rejects.toMatchObject({ code: 'STREAM_CANCELLED' });
+        expect(requestSignal.aborted).toBe(true);
+    });
+});
+
+describe('AIAPIManager - fallback chains', () => {
+    let manager;
+
+    const answer = {
+        choices: [{ message: { content: '{"summary":"ok","analysisType":"Momento Decisivo"}' } }],
+        usage: { prompt_tokens: 10, completion_tokens: 10 }
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            AnalysisTypesManager: {
+                getTypeNames: () => ['Momento Decisivo'],
+                detectType: () => 'Momento Decisivo',
+                getRelevanceBoost: () => 0.2,
+                getPromptDescription: () => 'Momento Decisivo'
+            }
+        };
+        jest.isolateModules(() => {
+            require('../../../js/utils/CircuitBreaker.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+        manager.setApiKey('openai', 'sk-test');
+        manager.setFallbackChain('default', [
+            { provider: 'ollama', model: 'mistral' },
+            { provider: 'openai', model: 'gpt-4o-mini' },
+            { provider: 'anthropic' }
+        ]);
+    });
+
+    // Ollama fora do ar; OpenAI responde
+    function ollamaDown() {
+        fetch.mockImplementation(async (url) => {
+            if (String(url).includes('11434')) throw new TypeError('Failed to fetch');
+            return jsonResponse(answer);
+        });
+    }
+
+    test('should resolve the configured chain and drop steps without an API key', () => {
+        expect(manager.resolveFallbackChain({ template: 'decisiveMoments' })).toEqual([
+            { provider: 'ollama', model: 'mistral' },
+            { provider: 'openai', model: 'gpt-4o-mini' }
+        ]);
+        expect(manager.resolveFallbackChain({ provider: 'openai', fallback: false })).toEqual([
+            { provider: 'openai', model: 'gpt-4o-mini' }
+        ]);
+        expect(() => manager.setFallbackChain('default', [{ provider: 'inexistente' }])).toThrow('Provider desconhecido');
+        expect(JSON.parse(localStorage.getItem('kc_ai_fallback_chains')).default).toHaveLength(3);
+    });
+
+    test('should fall through to the next provider and record the one that answered', async () => {
+        ollamaDown();
+
+        const analysis = await manager.analyze({ id: 'f1', name: 'a.md', content: 'texto' }, { responseSchema: null });
+
+        expect(analysis.providerUsed).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+        expect(analysis).toMatchObject({ usedFallback: true, originalProvider: 'ollama', fallbackProvider: 'openai' });
+        expect(analysis.attempts).toEqual([expect.objectContaining({ provider: 'ollama', error: expect.any(String) })]);
+        expect(JSON.parse(fetch.mock.calls[fetch.mock.calls.length - 1][1].body).model).toBe('gpt-4o-mini');
+    });
+
+    test('should open the Ollama breaker and skip it for the rest of the batch', async () => {
+        ollamaDown();
+        const files = Array.from({ length: 5 }, (_, i) => ({ id: `f${i}`, name: `${i}.md`, content: 'texto' }));
+
+        for (const file of files) {
+            const analysis = await manager.analyze(file, { responseSchema: null });
+            expect(analysis.providerUsed.provider).toBe('openai');
+        }
+
+        const ollamaCalls = fetch.mock.calls.filter(([url]) => String(url).includes('11434'));
+        expect(ollamaCalls.length).toBeGreaterThan(0);
+        const callsAfterOpen = ollamaCalls.length;
+
+        expect(manager.getBreakersStatus().ollama.state).toBe('OPEN');
+        const analysis = await manager.analyze(files[0], { responseSchema: null });
+        expect(analysis.attempts[0]).toMatchObject({ provider: 'ollama', skipped: true });
+        expect(fetch.mock.calls.filter(([url]) => String(url).includes('11434'))).toHaveLength(callsAfterOpen);
+    });
+});
+
+describe('AIAPIManager - image description', () => {
+    let manager;
+
+    function geminiResponse(data) {
+        return jsonResponse({
+            candidates: [{ content: { parts: [{ text: JSON.stringify(data) }] } }],
+            usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 50, totalTokenCount: 350 }
+        });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        global.fetch = jest.fn();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        jest.isolateModules(() => {
+            require('../../../js/utils/ValidationUtils.js');
+            require('../../../js/managers/AIAPIManager.js');
+        });
+        manager = window.KnowledgeConsolidator.AIAPIManager;
+    });
+
+    test('should pick a multimodal provider only when its key is configured', () => {
+        expect(manager.getVisionProvider()).toBeNull();
+        manager.setApiKey('gemini', 'g-key');
+        expect(manager.getVisionProvider()).toBe('gemini');
+        return expect(manager.describeImage({ data: 'AQID', mimeType: 'image/png' }, { provider: 'ollama' }))
+            .rejects.toMatchObject({ code: 'NO_VISION_PROVIDER' });
+    });
+
+    test('should send the image inline and not reuse the cache across images', async () => {
+        manager.setApiKey('gemini', 'g-key');
+        fetch.mockResolvedValueOnce(geminiResponse({ imageType: 'quadro-branco', description: 'Fluxo de decisão', text: 'Migrar em março' }))
+            .mockResolvedValueOnce(geminiResponse({ imageType: 'screenshot', description: 'Tela de login', text: '' }));
+
+        const first = await manager.describeImage({ data: 'AQID', mimeType: 'image/png' }, { fileName: 'quadro.png' });
+        const second = await manager.describeImage({ data: 'BAUG', mimeType: 'image/png' }, { fileName: 'quadro.png' });
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.contents[0].parts[1]).toEqual({ inline_data: { mime_type: 'image/png', data: 'AQID' } });
+        expect(body.generationConfig.responseSchema).toBeDefined();
+        expect(first).toEqual({
+            imageType: 'quadro-branco',
+            description: 'Fluxo de decisão',
+            text: 'Migrar em março',
+            provider: 'gemini',
+            model: 'gemini-1.5-flash'
+        });
+        expect(second.description).toBe('Tela de login');
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+});
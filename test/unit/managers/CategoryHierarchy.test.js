@@ -0,0 +1,190 @@
+/**
+ * CategoryHierarchy.test.js
+ * Unit tests for CategoryManager - Hierarchical categories
+ *
+ * Tests cover:
+ * - Parent/child creation, tree and paths
+ * - Ancestors implied in filters and statistics
+ * - Renames and moves cascading to assigned files (cycle protection)
+ * - Default categories re-parented and ancestor names for exported payloads
+ * - JSONL round-trip with the optional "parent" field (default categories included)
+ */
+
+describe('CategoryManager - hierarchy', () => {
+    let manager;
+    let state;
+    let emit;
+
+    function file(id, categories) {
+        return { id, name: `${id}.md`, categories };
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        localStorage.clear();
+
+        state = { customCategories: [], files: [] };
+        emit = jest.fn();
+        window.KnowledgeConsolidator = {
+            EventBus: { emit },
+            Events: { CATEGORIES_CHANGED: 'categories:changed', FILES_UPDATED: 'files:updated' },
+            AppState: {
+                get: (key) => state[key],
+                set: (key, value) => { state[key] = value; },
+                _save: jest.fn()
+            }
+        };
+        require('../../../js/managers/CategoryManager.js');
+        manager = window.KnowledgeConsolidator.CategoryManager;
+
+        manager.createCategory({ name: 'Consultoria', color: '#111' });
+        manager.createCategory({ name: 'Estratégia', color: '#222', parent: 'consultoria' });
+        manager.createCategory({ name: 'Pricing', color: '#333', parent: 'estratgia' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should build the tree, paths and ancestor chains', () => {
+        expect(manager.getAncestors('pricing')).toEqual(['estratgia', 'consultoria']);
+        expect(manager.getDescendants('consultoria')).toEqual(['estratgia', 'pricing']);
+        expect(manager.getCategoryPath('pricing')).toBe('Consultoria / Estratégia / Pricing');
+
+        const consultoria = manager.getCategoryTree().find(node => node.id === 'consultoria');
+        expect(consultoria.children[0]).toMatchObject({ id: 'estratgia', depth: 1, children: [{ id: 'pricing', depth: 2 }] });
+        expect(manager.getCategoriesFlattened().filter(cat => cat.custom).map(cat => cat.id))
+            .toEqual(['consultoria', 'estratgia', 'pricing']);
+
+        // Mesmo nome sob outro pai ganha ID prefixado
+        const other = manager.createCategory({ name: 'Pricing', color: '#444', parent: 'tecnico' });
+        expect(other.id).toBe('tecnico-pricing');
+    });
+
+    test('should count child assignments in every ancestor', () => {
+        state.files = [
+            file('a', ['pricing']),
+            file('b', [{ id: 'estratgia', name: 'Estratégia' }]),
+            file('c', ['tecnico'])
+        ];
+
+        expect(manager.getFilesByCategory('consultoria').map(f => f.id)).toEqual(['a', 'b']);
+        expect(manager.getFilesByCategory('consultoria', { includeDescendants: false })).toEqual([]);
+
+        const stats = manager.getCategoryStats();
+        expect(stats.consultoria).toMatchObject({ count: 2, directCount: 0 });
+        expect(stats.estratgia).toMatchObject({ count: 2, directCount: 1 });
+        expect(stats.pricing).toMatchObject({ count: 1, directCount: 1, percentage: 33 });
+    });
+
+    test('should cascade renames and moves to assigned files', () => {
+        state.files = [
+            file('a', [{ id: 'pricing', name: 'Pricing' }]),
+            file('b', ['Estratégia']),
+            file('c', ['tecnico'])
+        ];
+
+        expect(manager.renameCategory('estratgia', 'Estratégia Comercial')).toBe(true);
+        expect(state.files[1].categories).toEqual(['estratgia']);
+        expect(manager.getCategoryPath('pricing')).toBe('Consultoria / Estratégia Comercial / Pricing');
+        expect(emit).toHaveBeenCalledWith('files:updated', expect.objectContaining({
+            action: 'category_hierarchy_changed',
+            fileIds: ['a', 'b']
+        }));
+
+        // Ciclos são recusados
+        expect(manager.moveCategory('consultoria', 'pricing')).toBe(false);
+
+        expect(manager.moveCategory('pricing', 'tecnico')).toBe(true);
+        expect(manager.getAncestors('pricing')).toEqual(['tecnico']);
+        expect(manager.getFilesByCategory('tecnico').map(f => f.id)).toEqual(['a', 'c']);
+        expect(manager.getFilesByCategory('consultoria').map(f => f.id)).toEqual(['b']);
+
+        // Ao remover o pai, os filhos sobem um nível
+        manager.deleteCategory('estratgia');
+        manager.moveCategory('pricing', 'consultoria');
+        manager.createCategory({ name: 'Sub', color: '#555', parent: 'pricing' });
+        manager.deleteCategory('pricing');
+        expect(manager.getAncestors('sub')).toEqual(['consultoria']);
+    });
+
+    test('should move default categories and expose ancestor names for payloads', () => {
+        state.files = [file('a', ['tecnico']), file('b', [{ id: 'pricing', name: 'Pricing' }])];
+
+        expect(manager.moveCategory('tecnico', 'consultoria')).toBe(true);
+        expect(state.categoryParents).toEqual({ tecnico: 'consultoria' });
+        expect(manager.getCategoryPath('tecnico')).toBe('Consultoria / Técnico');
+        expect(manager.getFilesByCategory('consultoria').map(f => f.id)).toEqual(['a', 'b']);
+        expect(emit).toHaveBeenCalledWith('categories:changed', expect.objectContaining({ action: 'moved', categoryId: 'tecnico' }));
+
+        // Só o pai das categorias padrão muda
+        expect(manager.renameCategory('tecnico', 'Tech')).toBe(false);
+        expect(manager.moveCategory('consultoria', 'tecnico')).toBe(false);
+
+        expect(manager.getAncestorNames(['tecnico'])).toEqual(['Consultoria']);
+        expect(manager.getAncestorNames([{ id: 'pricing', name: 'Pricing' }, 'estratgia'])).toEqual(['Consultoria']);
+        expect(manager.getAncestorNames(['Técnico', 'aprendizado'])).toEqual(['Consultoria']);
+
+        const rows = manager.exportToJSONL('default').split('\n').map(line => JSON.parse(line));
+        expect(rows.find(row => row.id === 'tecnico').parent).toBe('consultoria');
+
+        // Removido o pai, a categoria padrão volta para a raiz
+        manager.deleteCategory('consultoria');
+        expect(state.categoryParents).toEqual({});
+        expect(manager.getAncestors('tecnico')).toEqual([]);
+    });
+
+    test('should round-trip the tree through JSONL and keep flat rows unchanged', () => {
+        const jsonl = manager.exportToJSONL('custom');
+        const rows = jsonl.split('\n').map(line => JSON.parse(line));
+        expect(rows.find(row => row.id === 'consultoria')).not.toHaveProperty('parent');
+        expect(rows.find(row => row.id === 'pricing').parent).toBe('estratgia');
+
+        // Filho antes do pai, pai inexistente e ciclo
+        state.customCategories = [];
+        const result = manager.importFromJSONL([
+            rows.find(row => row.id === 'pricing'),
+            rows.find(row => row.id === 'estratgia'),
+            rows.find(row => row.id === 'consultoria'),
+            { id: 'orfa', name: 'Órfã', color: '#666', parent: 'inexistente' },
+            { id: 'x', name: 'X', color: '#777', parent: 'y' },
+            { id: 'y', name: 'Y', color: '#888', parent: 'x' }
+        ].map(row => JSON.stringify(row)).join('\n'));
+
+        expect(result.imported).toBe(6);
+        expect(manager.getCategoryPath('pricing')).toBe('Consultoria / Estratégia / Pricing');
+        expect(manager.getCategoryById('orfa').parent).toBeUndefined();
+        expect(result.errors).toEqual([
+            "Linha 4: categoria pai 'inexistente' não encontrada, importada como raiz",
+            "Linha 5: categoria pai 'y' cria ciclo, importada como raiz"
+        ]);
+        expect(manager.getAncestors('y')).toEqual(['x']);
+    });
+
+    test('should round-trip default categories with a parent without duplicating them as custom', () => {
+        manager.moveCategory('tecnico', 'consultoria');
+        const jsonl = manager.exportToJSONL();
+
+        state.customCategories = [];
+        state.categoryParents = {};
+        const result = manager.importFromJSONL(jsonl);
+
+        expect(result.errors).toEqual([]);
+        expect(state.categoryParents).toEqual({ tecnico: 'consultoria' });
+        expect(manager.getCategoryPath('tecnico')).toBe('Consultoria / Técnico');
+        expect(state.customCategories.map(cat => cat.id)).toEqual(['consultoria', 'estratgia', 'pricing']);
+
+        // Sobrescrevendo: o arquivo é a fonte do pai, e ainda sem duplicar
+        const rows = jsonl.split('\n').map(line => JSON.parse(line));
+        rows.find(row => row.id === 'tecnico').custom = true;
+        rows.find(row => row.id === 'estrategico').parent = 'inexistente';
+        const overwritten = manager.importFromJSONL(rows.map(row => JSON.stringify(row)).join('\n'), { overwrite: true });
+
+        expect(state.customCategories.map(cat => cat.id)).toEqual(['consultoria', 'estratgia', 'pricing']);
+        expect(manager.getCategories().filter(cat => cat.id === 'tecnico')).toHaveLength(1);
+        expect(state.categoryParents).toEqual({ tecnico: 'consultoria' });
+        expect(overwritten.errors).toEqual(["Linha 2: categoria pai 'inexistente' não encontrada, importada como raiz"]);
+    });
+});
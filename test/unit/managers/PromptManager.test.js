@@ -0,0 +1,71 @@
+/**
+ * PromptManager.test.js
+ * Unit tests for PromptManager - template versioning
+ *
+ * Tests cover:
+ * - Version history on updateTemplate (baseline version, no-op edits)
+ * - Line diff between versions and rollback as a new version
+ * - Current version restored after reload; prompts rendered from an older version
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    flow: jest.fn()
+};
+
+describe('PromptManager - versions', () => {
+    let manager;
+
+    const load = () => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        window.KC = window.KnowledgeConsolidator;
+        require('../../../js/config/AnalysisTypes.js');
+        require('../../../js/managers/PromptManager.js');
+        return window.KnowledgeConsolidator.PromptManager;
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        manager = load();
+    });
+
+    test('should record versions, diff them and roll back as a new version', () => {
+        const original = manager.getTemplate('technicalInsights').systemPrompt;
+
+        manager.updateTemplate('technicalInsights', { systemPrompt: original + '\nSeja conciso.' }, { note: 'Mais curto' });
+        manager.updateTemplate('technicalInsights', { temperature: manager.getTemplate('technicalInsights').temperature });
+
+        let versions = manager.getTemplateVersions('technicalInsights');
+        expect(versions.map(v => v.version)).toEqual([2, 1]);
+        expect(versions[0]).toMatchObject({ current: true, note: 'Mais curto', changedFields: ['systemPrompt'] });
+
+        const diff = manager.diffTemplateVersions('technicalInsights', 1);
+        expect(diff).toMatchObject({ from: 1, to: 2 });
+        expect(diff.changes.map(c => c.field)).toEqual(['systemPrompt']);
+        expect(diff.changes[0].lines.filter(l => l.type !== 'same')).toEqual([{ type: 'added', text: 'Seja conciso.' }]);
+
+        expect(manager.rollbackTemplate('technicalInsights', 1)).toBe(3);
+        expect(manager.getTemplate('technicalInsights').systemPrompt).toBe(original);
+
+        versions = manager.getTemplateVersions('technicalInsights');
+        expect(versions[0]).toMatchObject({ version: 3, restoredFrom: 1, current: true });
+        expect(() => manager.rollbackTemplate('technicalInsights', 9)).toThrow('Versão 9 não encontrada');
+    });
+
+    test('should keep the current version after reload and render prompts from older versions', () => {
+        manager.updateTemplate('decisiveMoments', { userPromptTemplate: 'Nova versão: {{fileName}}' });
+
+        const reloaded = load();
+        const file = { name: 'notas.md', content: 'Conteúdo' };
+
+        expect(reloaded.getTemplate('decisiveMoments').userPromptTemplate).toBe('Nova versão: {{fileName}}');
+        expect(reloaded.prepare(file, 'decisiveMoments').user).toBe('Nova versão: notas.md');
+        expect(reloaded.prepare(file, 'decisiveMoments', { templateVersion: 1 }).user).toContain('notas.md');
+        expect(reloaded.prepare(file, 'decisiveMoments', { templateVersion: 1 }).user).not.toContain('Nova versão');
+        expect(() => reloaded.prepare(file, 'decisiveMoments', { templateVersion: 7 })).toThrow('Versão 7');
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * WorkerPoolManager.test.js
+ * Unit tests for WorkerPoolManager - Task registry on the worker pool
+ *
+ * Tests cover:
+ * - Registered tasks running inside the generated worker script (importScripts of app modules)
+ * - Transferable buffers in both directions and progress events
+ * - Main-thread fallback with the same results as the synchronous code paths
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../../..');
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+// jsdom has no structuredClone; messages then go by reference
+const clone = typeof structuredClone === 'function' ? structuredClone : (data) => data;
+
+// Runs the generated worker script in-process; messages are cloned like postMessage
+class FakeWorker {
+    constructor() {
+        FakeWorker.instances.push(this);
+        this.transfers = [];
+
+        const scope = {
+            postMessage: (data, transfer = []) => {
+                FakeWorker.resultTransfers.push(...transfer);
+                setTimeout(() => this.onmessage?.({ data: clone(data) }), 0);
+            }
+        };
+        const importScripts = (...urls) => urls.forEach(url => {
+            const source = fs.readFileSync(path.join(ROOT, new URL(url).pathname), 'utf8');
+            new Function('window', source)(scope);
+        });
+
+        new Function('self', 'importScripts', FakeWorker.script)(scope, importScripts);
+        this.scope = scope;
+    }
+
+    postMessage(data, transfer = []) {
+        this.transfers.push(...transfer);
+        setTimeout(() => this.scope.onmessage({ data: clone(data) }), 0);
+    }
+
+    terminate() {}
+}
+
+function loadPool() {
+    jest.isolateModules(() => {
+        require('../../../js/ml/WorkerPoolManager.js');
+    });
+    return window.KC.workerPool;
+}
+
+function loadModules() {
+    jest.isolateModules(() => {
+        require('../../../js/utils/KeywordExtractor.js');
+        require('../../../js/utils/ChunkingUtils.js');
+        require('../../../js/utils/DuplicateDetector.js');
+    });
+}
+
+const files = [
+    { name: 'relatorio.md', size: 100 },
+    { name: 'relatorio_v2.md', size: 140 },
+    { name: 'relatorio (1).md', size: 100 },
+    { name: 'notas-reuniao.md', size: 80 },
+    { name: 'notas-reuniao2.md', size: 95 },
+    { name: 'outro.txt', size: 10 }
+];
+
+describe('WorkerPoolManager - task registry', () => {
+    beforeEach(() => {
+        // test/jest-setup.js enables fake timers; FakeWorker messages go through setTimeout
+        jest.useRealTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        window.KnowledgeConsolidator = { Logger: mockLogger, EventBus: { emit: jest.fn() }, Events: {} };
+        window.KC = window.KnowledgeConsolidator;
+        delete global.Worker;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.Worker;
+    });
+
+    test('should run registered tasks inside the worker with transfers and progress', async () => {
+        global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+        global.Worker = FakeWorker;
+        URL.createObjectURL = jest.fn(() => 'blob:worker');
+        FakeWorker.instances = [];
+        FakeWorker.resultTransfers = [];
+
+        const pool = loadPool();
+        pool.config.workerCount = 1;
+        FakeWorker.script = pool.generateWorkerScript();
+
+        const vectors = new Float32Array([1, 0, 0, 1, 1, 1]);
+        const progress = [];
+        const { matrix, count } = await pool.execute('vectors.cosineMatrix',
+            { vectors, count: 3, dimension: 2 },
+            { transfer: [vectors.buffer], onProgress: event => progress.push(event) }
+        );
+
+        expect(count).toBe(3);
+        expect(Array.from(matrix).map(value => Number(value.toFixed(4)))).toEqual([
+            1, 0, 0.7071,
+            0, 1, 0.7071,
+            0.7071, 0.7071, 1
+        ]);
+        expect(FakeWorker.instances[0].transfers).toContain(vectors.buffer);
+        expect(FakeWorker.resultTransfers).toHaveLength(1);
+        expect(progress[progress.length - 1]).toMatchObject({ task: 'vectors.cosineMatrix', done: 3, total: 3 });
+        expect(window.KC.EventBus.emit).toHaveBeenCalledWith('worker:task:progress', expect.objectContaining({ done: 3 }));
+
+        // App modules loaded in the worker with importScripts
+        const [chunks] = await pool.execute('chunking.semantic', {
+            contents: ['# Arquitetura\n\n' + 'Usamos Qdrant para busca vetorial e Ollama para gerar embeddings locais. '.repeat(4)]
+        });
+        expect(chunks.length).toBeGreaterThan(0);
+        expect(chunks[0].metadata).toHaveProperty('semanticDensity');
+
+        const { pairs } = await pool.execute('duplicates.versionPairs', {
+            names: files.map(file => file.name),
+            sizes: files.map(file => file.size),
+            threshold: 0.8
+        });
+        expect(Array.from(pairs)).toEqual([0, 1, 1, 2, 3, 4]);
+        expect(pool.getStats()).toMatchObject({ workerCount: 1, tasksProcessed: 3 });
+    });
+
+    test('should fall back to the main thread with the same results as the sync code', async () => {
+        loadModules();
+        const pool = loadPool();
+        const KC = window.KnowledgeConsolidator;
+
+        const progress = [];
+        const asyncResults = await KC.duplicateDetector.analyzeDuplicatesAsync(files, {
+            onProgress: event => progress.push(event)
+        });
+        const asyncGroups = asyncResults.version.map(group => group.files.map(file => file.name));
+        const syncResults = KC.duplicateDetector.analyzeDuplicates(files);
+
+        expect(asyncGroups).toEqual(syncResults.version.map(group => group.files.map(file => file.name)));
+        expect(asyncResults.groups).toHaveLength(syncResults.groups.length);
+        expect(progress[progress.length - 1]).toMatchObject({ done: files.length, total: files.length });
+
+        const contents = ['Usamos Qdrant e embeddings para busca semântica.', 'Decisão: migrar para PostgreSQL em 2025.'];
+        const extractor = new KC.KeywordExtractor();
+        expect(await extractor.extractBatch(contents)).toEqual(contents.map(content => extractor.extract(content)));
+        expect(await KC.ChunkingUtils.getSemanticChunksAsync(contents[0])).toEqual(KC.ChunkingUtils.getSemanticChunks(contents[0]));
+        expect(pool.getStats().workersSupported).toBe(false);
+    });
+
+    test('should reject run functions that cannot be serialized', () => {
+        const pool = loadPool();
+        const { WorkerPoolManager } = window.KC;
+
+        expect(() => WorkerPoolManager.registerTask('bad', { run() { return 1; } })).toThrow('function expression');
+        WorkerPoolManager.registerTask('sum', { run: (data) => data.a + data.b });
+        expect(WorkerPoolManager.hasTask('sum')).toBe(true);
+        return expect(pool.execute('sum', { a: 2, b: 3 })).resolves.toBe(5);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * AIBudgetService.test.js
+ * Unit tests for AIBudgetService - spending caps for AI analysis runs
+ *
+ * Tests cover:
+ * - Limits and daily/monthly spending persisted across reloads
+ * - Checks per run, per day and per provider (with projected cost)
+ * - Pause with approval (extra allowance) or rejection
+ */
+
+describe('AIBudgetService', () => {
+    let budget;
+    const mockEventBus = { emit: jest.fn() };
+
+    function load() {
+        jest.isolateModules(() => {
+            require('../../../js/services/AIBudgetService.js');
+        });
+        return window.KnowledgeConsolidator.AIBudgetService;
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        mockEventBus.emit.mockClear();
+        window.KnowledgeConsolidator = {
+            Logger: { info: jest.fn(), warning: jest.fn(), error: jest.fn() },
+            EventBus: mockEventBus,
+            Events: { AI_BUDGET_APPROVAL_REQUIRED: 'ai:budget:approval:required' }
+        };
+        budget = load();
+    });
+
+    test('should persist limits and spending across sessions', () => {
+        budget.setLimits({ perDay: 5, perProvider: { openai: '20' } });
+        budget.recordSpend('openai', 1.25);
+        budget.recordSpend('anthropic', 0.5);
+
+        const reloaded = load();
+
+        expect(reloaded.getLimits()).toEqual({ perRun: null, perDay: 5, perProvider: { openai: 20 } });
+        expect(reloaded.getSpending('openai')).toEqual({ day: 1.75, month: 1.75, provider: 1.25 });
+        expect(() => reloaded.setLimits({ perRun: -1 })).toThrow('inválido');
+    });
+
+    test('should report every exceeded scope, including projected cost', () => {
+        budget.setLimits({ perRun: 1, perDay: 10, perProvider: { openai: 2 } });
+        const run = budget.startRun({ provider: 'openai', files: 10, estimate: 3 });
+
+        const preflight = budget.check('openai', 3, run.id);
+        expect(preflight.allowed).toBe(false);
+        expect(preflight.exceeded.map(item => item.scope)).toEqual(['run', 'provider']);
+
+        budget.recordSpend('openai', 1);
+        expect(budget.getRun(run.id).spent).toBe(1);
+        expect(() => budget.assertWithinBudget('openai', run.id)).toThrow(expect.objectContaining({ code: 'BUDGET_EXCEEDED' }));
+        expect(budget.check('gemini', 0).allowed).toBe(true);
+    });
+
+    test('should pause until approval and raise the caps only for that run', async () => {
+        budget.setLimits({ perRun: 1 });
+        const run = budget.startRun({ provider: 'openai' });
+        budget.recordSpend('openai', 1);
+
+        const approval = budget.requestApproval(run.id, { stage: 'cap', exceeded: [], needed: 0.5 });
+        expect(budget.getRun(run.id).status).toBe('paused');
+        expect(mockEventBus.emit).toHaveBeenCalledWith('ai:budget:approval:required', expect.objectContaining({
+            request: expect.objectContaining({ stage: 'cap', needed: 0.5 })
+        }));
+
+        budget.approve(run.id);
+        await expect(approval).resolves.toBe(true);
+        expect(budget.check('openai', 0, run.id).allowed).toBe(true);
+        expect(budget.check('openai', 0, budget.startRun({ provider: 'openai' }).id).allowed).toBe(true);
+
+        const second = budget.requestApproval(run.id, { stage: 'cap', exceeded: [] });
+        budget.reject(run.id);
+        await expect(second).resolves.toBe(false);
+        expect(load().getRun(run.id).status).toBe('interrupted');
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * CategorySuggestionService.test.js
+ * Unit tests for CategorySuggestionService - Category suggestions learned from curation
+ *
+ * Tests cover:
+ * - Suggestions combining Qdrant neighbours and keyword co-occurrence, recorded as sugeridaCategoria
+ * - Bulk accept through CategoryManager, recorded as categorizadoComo triples
+ * - Removed categories retract categorizadoComo and make the file suggestible again
+ * - Bulk reject feeding the next training (no repeat, keyword penalty) and keyword-only fallback
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+const PRICING = 'Proposta de pricing para o cliente: precificação por valor, margem e desconto na consultoria. ';
+const INFRA = 'Deploy com Docker e Kubernetes, monitoramento do cluster e pipeline de CI. ';
+
+describe('CategorySuggestionService', () => {
+    let KC;
+    let state;
+    let service;
+    let search;
+
+    function file(id, content, categories = []) {
+        return { id, name: `${id}.md`, path: `vault/${id}.md`, content: content.repeat(3), categories };
+    }
+
+    function point(documentId, score) {
+        return { id: `${documentId}-0`, score, payload: { documentId, filePath: `vault/${documentId}.md` } };
+    }
+
+    function triples(presente) {
+        return KC.tripleStore.buscar({ presente });
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.clear();
+
+        state = {
+            customCategories: [],
+            files: [
+                file('file_a', PRICING, ['consultoria']),
+                file('file_b', PRICING, [{ id: 'consultoria', name: 'Consultoria' }]),
+                file('file_c', INFRA, ['tecnico']),
+                file('file_d', INFRA, ['tecnico']),
+                file('file_x', PRICING),
+                file('file_y', INFRA)
+            ]
+        };
+
+        // EventBus mínimo que entrega os eventos aos listeners (TripleStoreManager)
+        const handlers = {};
+        search = jest.fn(async (text) => text.includes('pricing')
+            ? [point('file_a', 0.92), point('file_x', 0.99), point('file_b', 0.88), point('file_c', 0.2)]
+            : [point('file_c', 0.9), point('file_d', 0.85)]);
+
+        window.KnowledgeConsolidator = KC = {
+            Logger: mockLogger,
+            EventBus: {
+                on: (event, handler) => { (handlers[event] = handlers[event] || []).push(handler); },
+                emit: jest.fn((event, data) => (handlers[event] || []).forEach(handler => handler(data)))
+            },
+            Events: {
+                FILES_UPDATED: 'files:updated',
+                FILE_ANALYZED: 'file:analyzed',
+                FILE_CATEGORIZED: 'file:categorized',
+                CATEGORY_ASSIGNED: 'category:assigned',
+                CATEGORY_REMOVED: 'category:removed'
+            },
+            AppState: {
+                get: (key) => state[key],
+                set: (key, value) => { state[key] = value; },
+                _save: jest.fn()
+            },
+            QdrantService: { searchByText: (...args) => search(...args) },
+            EmbeddingService: {}
+        };
+
+        require('../../../js/utils/RelevanceUtils.js');
+        require('../../../js/utils/KeywordExtractor.js');
+        require('../../../js/managers/CategoryManager.js');
+        require('../../../js/schemas/TripleSchema.js');
+        require('../../../js/managers/TripleStoreManager.js');
+        require('../../../js/services/CategorySuggestionService.js');
+
+        KC.CategoryManager.createCategory({ name: 'Consultoria', color: '#111' });
+        service = KC.CategorySuggestionService;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should suggest categories for uncategorized files from neighbours and keywords', async () => {
+        const summary = await service.train();
+        expect(summary).toMatchObject({ files: 4, categories: 2, rejections: 0 });
+        expect(summary.keywords).toBeGreaterThan(0);
+
+        const results = await service.suggest();
+        expect(results.map(result => result.fileId)).toEqual(['file_x', 'file_y']);
+
+        const [pricing] = results[0].suggestions;
+        expect(pricing).toMatchObject({ categoryId: 'consultoria', categoryName: 'Consultoria' });
+        expect(pricing.sources.neighbors).toBe(0.9);  // (0.92 + 0.88) / (0.92 + 0.88 + 0.2)
+        expect(pricing.sources.keywords).toBeGreaterThan(0);
+        expect(results[1].suggestions[0].categoryId).toBe('tecnico');
+
+        // O próprio arquivo não vota em si mesmo
+        expect(search).toHaveBeenCalledTimes(2);
+
+        const suggested = triples('sugeridaCategoria');
+        expect(suggested.map(t => [t.legado.valor, t.objetivo.valor])).toEqual(expect.arrayContaining([
+            ['file_x', 'consultoria'],
+            ['file_y', 'tecnico']
+        ]));
+        expect(suggested.find(t => t.legado.valor === 'file_x').metadados).toMatchObject({
+            fonte: 'sugestao_categoria',
+            confianca: pricing.confidence
+        });
+    });
+
+    test('should accept suggestions in bulk and record the curator decision', async () => {
+        await service.suggest();
+        const result = await service.acceptSuggestions([
+            { fileId: 'file_x', categoryId: 'consultoria' },
+            { fileId: 'file_y', categoryId: 'tecnico' }
+        ]);
+
+        expect(result).toEqual({ accepted: 2 });
+        expect(state.files.find(f => f.id === 'file_x').categories).toEqual(['consultoria']);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(triples('categorizadoComo').map(t => [t.legado.valor, t.objetivo.valor])).toEqual(expect.arrayContaining([
+            ['file_x', 'consultoria'],
+            ['file_y', 'tecnico']
+        ]));
+        expect(triples('sugeridaCategoria')).toEqual([]);
+        expect(service.getSuggestions('file_x')).toEqual([]);
+
+        // Já categorizados, saem da próxima rodada
+        expect(await service.suggest()).toEqual([]);
+    });
+
+    test('should make a file suggestible again after its category is removed', async () => {
+        await service.acceptSuggestions([
+            { fileId: 'file_x', categoryId: 'consultoria' },
+            { fileId: 'file_y', categoryId: 'tecnico' }
+        ]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        KC.CategoryManager.removeCategoryFromFile('file_x', 'consultoria');
+        KC.CategoryManager.removeCategoryFromFiles(['file_y'], 'tecnico');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(triples('categorizadoComo').map(t => t.legado.valor)).toEqual(expect.not.arrayContaining(['file_x', 'file_y']));
+        expect((await service.suggest()).map(result => result.fileId)).toEqual(['file_x', 'file_y']);
+    });
+
+    test('should learn from rejections and fall back to keywords without Qdrant', async () => {
+        await service.suggest();
+        const before = service.getSuggestions('file_y')[0].sources.keywords;
+
+        expect(await service.rejectSuggestions([{ fileId: 'file_y', categoryId: 'tecnico' }])).toEqual({ rejected: 1 });
+        expect(triples('categoriaRejeitada')).toHaveLength(1);
+        expect(KC.EventBus.emit).toHaveBeenCalledWith('category:suggestions:reviewed', expect.objectContaining({ decision: 'rejected' }));
+
+        // Nunca sugere de novo o par rejeitado
+        const [again] = await service.suggest(['file_y']);
+        expect(again.suggestions.map(s => s.categoryId)).not.toContain('tecnico');
+
+        // Um arquivo parecido perde força nas keywords da categoria rejeitada
+        state.files.push(file('file_z', INFRA));
+        search = jest.fn().mockRejectedValue(new Error('Qdrant offline'));
+        const [similar] = await service.suggest(['file_z']);
+
+        expect(mockLogger.warning).toHaveBeenCalledWith(expect.stringContaining('só keywords'), 'Qdrant offline');
+        expect(similar.suggestions[0]).toMatchObject({ categoryId: 'tecnico', sources: { neighbors: 0 } });
+        expect(similar.suggestions[0].sources.keywords).toBeLessThan(before);
+    });
+});
@@ -0,0 +1,306 @@
+/**
+ * DocumentExtractors.test.js
+ * Unit tests for DocumentExtractors - Binary document extraction
+ *
+ * Tests cover:
+ * - PDF extraction through pdf.js (per-page text, offsets, metadata)
+ * - PDF date parsing
+ * - DOCX and XLSX extraction preserving structure (headings, tables, sheets)
+ * - Capability reporting for binary formats
+ * - Images through a multimodal provider, with local OCR fallback
+ * - Image extractions cached by content hash across reloads
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+/**
+ * Cria um pdfjsLib falso com as páginas informadas
+ */
+function createMockPdfjs(pagesItems, info = {}) {
+    return {
+        GlobalWorkerOptions: { workerSrc: '' },
+        getDocument: jest.fn(() => ({
+            promise: Promise.resolve({
+                numPages: pagesItems.length,
+                getPage: jest.fn(async (pageNumber) => ({
+                    getTextContent: async () => ({ items: pagesItems[pageNumber - 1] }),
+                    cleanup: jest.fn()
+                })),
+                getMetadata: jest.fn(async () => ({ info })),
+                destroy: jest.fn()
+            })
+        }))
+    };
+}
+
+function createBinaryFile(name) {
+    return {
+        name,
+        size: 2048,
+        lastModified: Date.now(),
+        arrayBuffer: async () => new ArrayBuffer(8)
+    };
+}
+
+describe('DocumentExtractors', () => {
+    let extractors;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.resetModules();
+        localStorage.clear();
+
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        require('../../../js/services/DocumentExtractors.js');
+        extractors = window.KnowledgeConsolidator.DocumentExtractors;
+    });
+
+    afterEach(() => {
+        delete window.pdfjsLib;
+        delete window.mammoth;
+        delete window.XLSX;
+        delete window.Tesseract;
+    });
+
+    describe('PDF extraction', () => {
+        test('should report PDF as supported binary format', () => {
+            expect(extractors.canExtract('relatorio.pdf')).toBe(true);
+            expect(extractors.isBinaryFormat('relatorio.pdf')).toBe(true);
+            expect(extractors.isBinaryFormat('nota.md')).toBe(false);
+        });
+
+        test('should extract text per page with offsets', async () => {
+            window.pdfjsLib = createMockPdfjs([
+                [{ str: 'Decisão estratégica', hasEOL: true }, { str: 'Migrar para nuvem', hasEOL: false }],
+                [{ type: 'beginMarkedContent' }, { str: 'Página dois', hasEOL: false }]
+            ], {
+                Title: 'Ata de Reunião',
+                Author: 'Fernando',
+                CreationDate: "D:20230415103000-03'00'"
+            });
+
+            const result = await extractors.extract(createBinaryFile('ata.pdf'));
+
+            expect(result.success).toBe(true);
+            expect(result.method).toBe('pdf.js');
+            expect(result.content).toBe('Decisão estratégica\nMigrar para nuvem\n\nPágina dois');
+
+            const { pages } = result.metadata;
+            expect(pages).toHaveLength(2);
+            expect(result.content.slice(pages[0].start, pages[0].end)).toBe(pages[0].text);
+            expect(result.content.slice(pages[1].start, pages[1].end)).toBe('Página dois');
+
+            expect(result.metadata.title).toBe('Ata de Reunião');
+            expect(result.metadata.author).toBe('Fernando');
+            expect(result.metadata.creationDate).toBe('2023-04-15T13:30:00.000Z');
+            expect(result.metadata.pageCount).toBe(2);
+            expect(result.metadata.hasTextLayer).toBe(true);
+            expect(window.pdfjsLib.GlobalWorkerOptions.workerSrc).toBe(extractors.libraries.pdfjs.workerUrl);
+        });
+
+        test('should flag PDFs without text layer', async () => {
+            window.pdfjsLib = createMockPdfjs([[]]);
+
+            const result = await extractors.extract(createBinaryFile('scan.pdf'));
+
+            expect(result.success).toBe(true);
+            expect(result.content).toBe('');
+            expect(result.metadata.hasTextLayer).toBe(false);
+        });
+
+        test('should fail gracefully when file content is not accessible', async () => {
+            window.pdfjsLib = createMockPdfjs([[]]);
+
+            const result = await extractors.extract({ name: 'perdido.pdf', size: 10 });
+
+            expect(result.success).toBe(false);
+            expect(result.content).toBe('');
+            expect(extractors.getStats().failedExtractions).toBe(1);
+        });
+    });
+
+    describe('PDF date parsing', () => {
+        test('should parse dates with timezone offset', () => {
+            expect(extractors.parsePDFDate("D:20240102030405+01'00'")).toBe('2024-01-02T02:04:05.000Z');
+        });
+
+        test('should parse partial and UTC dates', () => {
+            expect(extractors.parsePDFDate('D:2021')).toBe('2021-01-01T00:00:00.000Z');
+            expect(extractors.parsePDFDate('D:20211231235959Z')).toBe('2021-12-31T23:59:59.000Z');
+        });
+
+        test('should return empty string for invalid input', () => {
+            expect(extractors.parsePDFDate(undefined)).toBe('');
+            expect(extractors.parsePDFDate('ontem')).toBe('');
+        });
+    });
+
+    describe('DOCX extraction', () => {
+        test('should convert headings, lists and tables to Markdown', async () => {
+            window.mammoth = {
+                convertToHtml: jest.fn(async () => ({
+                    value: '<h1>Contrato</h1><p>Partes   envolvidas</p>' +
+                        '<h2>Cláusulas</h2><ul><li>Prazo<ul><li>12 meses</li></ul></li><li>Multa</li></ul>' +
+                        '<table><tr><td><p>Item</p></td><td><p>Valor</p></td></tr>' +
+                        '<tr><td><p>Licença | anual</p></td><td><p>R$ 10.000</p></td></tr></table>',
+                    messages: [{ type: 'warning', message: 'Unrecognised style' }]
+                }))
+            };
+
+            const result = await extractors.extract(createBinaryFile('contrato.docx'));
+
+            expect(result.success).toBe(true);
+            expect(result.content).toBe([
+                '# Contrato',
+                'Partes envolvidas',
+                '## Cláusulas',
+                '- Prazo\n  - 12 meses\n- Multa',
+                '| Item | Valor |\n| --- | --- |\n| Licença \\| anual | R$ 10.000 |'
+            ].join('\n\n'));
+            expect(result.metadata.headers).toEqual(['Contrato', 'Cláusulas']);
+            expect(result.metadata.tables).toBe(1);
+            expect(result.metadata.conversionWarnings).toEqual(['Unrecognised style']);
+        });
+    });
+
+    describe('XLSX extraction', () => {
+        test('should emit one labeled section per sheet with header row', async () => {
+            const sheetsData = {
+                Receitas: [['Mês', 'Valor'], ['Jan', '100'], ['Fev', '120']],
+                Vazia: []
+            };
+            window.XLSX = {
+                read: jest.fn(() => ({
+                    SheetNames: ['Receitas', 'Vazia'],
+                    Sheets: { Receitas: 'Receitas', Vazia: 'Vazia' },
+                    Props: { Title: 'Orçamento', Author: 'Financeiro' }
+                })),
+                utils: {
+                    sheet_to_json: jest.fn((sheet) => sheetsData[sheet])
+                }
+            };
+
+            const result = await extractors.extract(createBinaryFile('orcamento.xlsx'));
+
+            expect(result.success).toBe(true);
+            expect(result.content).toBe(
+                '## Planilha: Receitas\n\n| Mês | Valor |\n| --- | --- |\n| Jan | 100 |\n| Fev | 120 |' +
+                '\n\n## Planilha: Vazia'
+            );
+            expect(result.metadata.title).toBe('Orçamento');
+            expect(result.metadata.sheetCount).toBe(2);
+
+            const [receitas] = result.metadata.sheets;
+            expect(receitas).toMatchObject({ name: 'Receitas', rows: 3, columns: 2, headers: ['Mês', 'Valor'] });
+            expect(result.content.slice(receitas.start, receitas.end)).toMatch(/^## Planilha: Receitas/);
+        });
+    });
+
+    describe('Image extraction', () => {
+        function createImageFile(name, bytes = [1, 2, 3]) {
+            return {
+                name,
+                size: bytes.length,
+                lastModified: Date.now(),
+                arrayBuffer: async () => new Uint8Array(bytes).buffer
+            };
+        }
+
+        function mockTesseract(text) {
+            const worker = {
+                recognize: jest.fn(async () => ({ data: { text, confidence: 87.6 } })),
+                terminate: jest.fn()
+            };
+            window.Tesseract = { createWorker: jest.fn(async () => worker) };
+            return worker;
+        }
+
+        test('should describe and transcribe images with the multimodal provider', async () => {
+            const describeImage = jest.fn(async () => ({
+                imageType: 'quadro-branco',
+                description: 'Quadro com fluxo de decisão sobre a migração.',
+                text: 'Decisão: migrar em março',
+                provider: 'gemini',
+                model: 'gemini-1.5-flash'
+            }));
+            window.KnowledgeConsolidator.AIAPIManager = { getVisionProvider: () => 'gemini', describeImage };
+
+            const result = await extractors.extract(createImageFile('quadro.png'));
+
+            expect(describeImage).toHaveBeenCalledWith(
+                { data: 'AQID', mimeType: 'image/png' },
+                { provider: 'gemini', fileName: 'quadro.png' }
+            );
+            expect(result.content).toBe(
+                '# Imagem: quadro.png\n\n## Descrição\n\nQuadro com fluxo de decisão sobre a migração.' +
+                '\n\n## Texto na imagem\n\nDecisão: migrar em março'
+            );
+            expect(result.method).toBe('vision:gemini');
+            expect(result.metadata).toMatchObject({ type: 'Imagem', imageType: 'quadro-branco', extraction: 'vision', hasText: true });
+            expect(extractors.isBinaryFormat('foto.JPG')).toBe(true);
+        });
+
+        test('should fall back to local OCR when the provider fails', async () => {
+            window.KnowledgeConsolidator.AIAPIManager = {
+                getVisionProvider: () => 'gemini',
+                describeImage: jest.fn().mockRejectedValue(new Error('Gemini API Error [503]'))
+            };
+            const worker = mockTesseract('Página escaneada  \nAta 12/03\n');
+
+            const first = await extractors.extract(createImageFile('scan.jpg'));
+            await extractors.extract(createImageFile('scan2.jpg', [4, 5, 6]));
+
+            expect(first.content).toBe('# Imagem: scan.jpg\n\n## Texto na imagem\n\nPágina escaneada\nAta 12/03');
+            expect(first.method).toBe('tesseract.js');
+            expect(first.metadata).toMatchObject({ extraction: 'ocr', ocrConfidence: 88 });
+            expect(window.Tesseract.createWorker).toHaveBeenCalledTimes(1);
+            expect(worker.recognize).toHaveBeenCalledTimes(2);
+            expect(mockLogger.warning).toHaveBeenCalled();
+        });
+
+        test('should respect the configured image mode', async () => {
+            window.KnowledgeConsolidator.AIAPIManager = { getVisionProvider: () => null, describeImage: jest.fn() };
+
+            extractors.imageConfig.mode = 'vision';
+            const vision = await extractors.extract(createImageFile('tela.webp'));
+            expect(vision.success).toBe(false);
+            expect(vision.error).toMatch(/multimodal/);
+
+            window.KnowledgeConsolidator.AIAPIManager.getVisionProvider = () => 'gemini';
+            extractors.imageConfig.mode = 'ocr';
+            mockTesseract('');
+            const ocr = await extractors.extract(createImageFile('foto.jpeg'));
+            expect(window.KnowledgeConsolidator.AIAPIManager.describeImage).not.toHaveBeenCalled();
+            expect(ocr.content).toBe('');
+            expect(ocr.metadata.hasText).toBe(false);
+        });
+
+        test('should reuse the extraction of an identical image instead of calling the provider again', async () => {
+            const describeImage = jest.fn(async () => ({ description: 'Diagrama da arquitetura', text: '', provider: 'gemini', model: 'gemini-1.5-flash' }));
+            window.KnowledgeConsolidator.AIAPIManager = { getVisionProvider: () => 'gemini', describeImage };
+
+            await extractors.extract(createImageFile('diagrama.png'));
+            const renamed = await extractors.extract(createImageFile('arquitetura.png'));
+
+            expect(describeImage).toHaveBeenCalledTimes(1);
+            expect(renamed.content).toBe('# Imagem: arquitetura.png\n\n## Descrição\n\nDiagrama da arquitetura');
+            expect(renamed.method).toBe('vision:gemini');
+
+            // Sobrevive ao recarregamento (retomada da fila relê a imagem)
+            jest.resetModules();
+            require('../../../js/services/DocumentExtractors.js');
+            await window.KnowledgeConsolidator.DocumentExtractors.extract(createImageFile('diagrama.png'));
+            expect(describeImage).toHaveBeenCalledTimes(1);
+
+            // Bytes diferentes: nova chamada
+            await window.KnowledgeConsolidator.DocumentExtractors.extract(createImageFile('outro.png', [9]));
+            expect(describeImage).toHaveBeenCalledTimes(2);
+        });
+    });
+});
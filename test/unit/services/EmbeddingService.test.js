@@ -0,0 +1,108 @@
+/**
+ * EmbeddingService.test.js
+ * Unit tests for EmbeddingService - Pluggable embedding providers
+ *
+ * Tests cover:
+ * - Provider registry and active model identity
+ * - Deterministic local test embedder
+ * - Cache isolation between models
+ * - QdrantService refusing to mix vectors from different models
+ */
+
+describe('EmbeddingService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.indexedDB = { open: jest.fn(() => ({})) };
+        window.KnowledgeConsolidator = {
+            EventBus: { emit: jest.fn() },
+            Events: { EMBEDDING_MODEL_CHANGED: 'embedding:model:changed' }
+        };
+        require('../../../js/services/EmbeddingService.js');
+        service = window.KnowledgeConsolidator.EmbeddingService;
+    });
+
+    test('should expose built-in providers with Ollama as default', () => {
+        expect(service.listProviders().map(provider => provider.id)).toEqual(['ollama', 'openai', 'lmstudio', 'local']);
+        expect(service.getActiveModel()).toEqual({
+            id: 'ollama/nomic-embed-text',
+            provider: 'ollama',
+            model: 'nomic-embed-text',
+            dimensions: 768
+        });
+    });
+
+    test('should generate deterministic normalized vectors with the local embedder', async () => {
+        service.setProvider('local', { dimensions: 64 });
+
+        const first = await service.generateEmbedding('Decisão de migrar para nuvem');
+        service.cache.clear();
+        const second = await service.generateEmbedding('Decisão de migrar para nuvem');
+        const other = await service.generateEmbedding('Receita de bolo de cenoura');
+
+        expect(first).toHaveLength(64);
+        expect(second).toEqual(first);
+        expect(Math.hypot(...first)).toBeCloseTo(1);
+        expect(service.cosineSimilarity(first, other)).toBeLessThan(0.99);
+        expect(window.KnowledgeConsolidator.EventBus.emit).toHaveBeenCalledWith('embedding:model:changed', expect.objectContaining({
+            current: expect.objectContaining({ id: 'local/kc-hash-embedder', dimensions: 64 })
+        }));
+    });
+
+    test('should not reuse cached vectors across models', async () => {
+        const ollamaEmbed = jest.fn(async () => new Array(768).fill(0.1));
+        service.registerProvider('ollama', { name: 'Ollama', embed: ollamaEmbed });
+
+        await service.generateEmbedding('mesmo texto');
+        service.setProvider('local');
+        const local = await service.generateEmbedding('mesmo texto');
+
+        expect(ollamaEmbed).toHaveBeenCalledTimes(1);
+        expect(local).not.toEqual(new Array(768).fill(0.1));
+    });
+
+    test('should measure dimensions of unknown models', async () => {
+        service.registerProvider('custom', { name: 'Custom', embed: async () => [1, 0, 0] });
+        service.setProvider('custom', { model: 'tiny' });
+
+        expect(service.getActiveModel().dimensions).toBeNull();
+        await service.generateEmbedding('texto');
+        expect(service.getActiveModel()).toMatchObject({ id: 'custom/tiny', dimensions: 3 });
+    });
+
+    describe('QdrantService model guard', () => {
+        let qdrant;
+
+        beforeEach(() => {
+            require('../../../js/services/QdrantService.js');
+            qdrant = window.KnowledgeConsolidator.QdrantService;
+            qdrant.initialized = true;
+            qdrant.request = jest.fn(async (method, path) => {
+                if (path.endsWith('/points/scroll')) {
+                    return { result: { points: [{ id: 1, payload: { embeddingModel: 'ollama/nomic-embed-text', embeddingDimensions: 768 } }] } };
+                }
+                return { result: {} };
+            });
+        });
+
+        test('should refuse inserting vectors from another model', async () => {
+            service.setProvider('local');
+
+            await expect(qdrant.insertBatch([{ id: 2, vector: new Array(768).fill(0), payload: {} }]))
+                .rejects.toMatchObject({ code: 'EMBEDDING_MODEL_MISMATCH' });
+            expect(qdrant.request).not.toHaveBeenCalledWith('PUT', expect.anything(), expect.anything());
+        });
+
+        test('should stamp the model on inserted points', async () => {
+            await qdrant.insertBatch([{ id: 2, vector: new Array(768).fill(0), payload: { content: 'x' } }]);
+
+            const [, , body] = qdrant.request.mock.calls.find(([method]) => method === 'PUT');
+            expect(body.points[0].payload).toEqual({
+                content: 'x',
+                embeddingModel: 'ollama/nomic-embed-text',
+                embeddingDimensions: 768
+            });
+        });
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * MailboxIngestionService.test.js
+ * Unit tests for MailboxIngestionService - mbox ingestion
+ *
+ * Tests cover:
+ * - mbox splitting (including mboxrd ">From " escapes)
+ * - MIME parsing (encoded headers, quoted-printable, multipart, attachments)
+ * - Thread reconstruction from Message-ID/In-Reply-To/References
+ * - Stable fallback ids for messages without Message-ID
+ * - Thread entries emitted in DiscoveryManager format
+ * - Thread re-read from the source mailbox without exposing its handle
+ * - Other archive formats only through a registered reader
+ * - Image attachments skipped unless enabled
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+const MBOX = [
+    'From alice@vcia.com.br Mon Jan  2 10:00:00 2023',
+    'Message-ID: <m1@vcia.com.br>',
+    'From: "Alice Souza" <Alice@vcia.com.br>',
+    'To: bob@vcia.com.br, "Silva, Carol" <carol@vcia.com.br>',
+    'Subject: =?UTF-8?B?RGVjaXPDo28=?= sobre fornecedor',
+    'Date: Mon, 2 Jan 2023 10:00:00 -0300',
+    'Content-Type: text/plain; charset="utf-8"',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Vamos migrar para o fornecedor B. Decis=C3=A3o tomada.',
+    '>From the minutes: aprovado.',
+    '',
+    'From bob@vcia.com.br Mon Jan  2 11:00:00 2023',
+    'Message-ID: <m2@vcia.com.br>',
+    'In-Reply-To: <m1@vcia.com.br>',
+    'From: Bob <bob@vcia.com.br>',
+    'To: alice@vcia.com.br',
+    'Subject: Re: Decisão sobre fornecedor',
+    'Date: Mon, 2 Jan 2023 11:00:00 -0300',
+    'Content-Type: multipart/mixed; boundary="XYZ"',
+    '',
+    '--XYZ',
+    'Content-Type: text/plain',
+    '',
+    'De acordo. Segue a planilha.',
+    '--XYZ',
+    'Content-Type: text/csv; name="custos.csv"',
+    'Content-Disposition: attachment; filename="custos.csv"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('item,valor\nlicenca,100').toString('base64'),
+    '--XYZ--',
+    '',
+    'From carol@vcia.com.br Tue Jan  3 09:00:00 2023',
+    'Message-ID: <m3@vcia.com.br>',
+    'From: carol@vcia.com.br',
+    'To: alice@vcia.com.br',
+    'Subject: Outro assunto',
+    'Date: Tue, 3 Jan 2023 09:00:00 -0300',
+    '',
+    'Mensagem isolada.'
+].join('\n');
+
+describe('MailboxIngestionService', () => {
+    let service;
+    let mockExtractors;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.resetModules();
+
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+
+        mockExtractors = {
+            canExtract: jest.fn(name => name.endsWith('.csv') || name.endsWith('.png')),
+            isBinaryFormat: jest.fn(name => name.endsWith('.png')),
+            getCapabilityInfo: jest.fn(name => ({ image: name.endsWith('.png') })),
+            extract: jest.fn(async file => ({ success: true, content: file.content, method: 'native' }))
+        };
+
+        window.KnowledgeConsolidator = { Logger: mockLogger, DocumentExtractors: mockExtractors };
+        require('../../../js/services/MailboxIngestionService.js');
+        service = window.KnowledgeConsolidator.MailboxIngestion;
+    });
+
+    describe('mbox splitting', () => {
+        test('should split messages on "From " separator lines', () => {
+            const messages = service.splitMbox(MBOX);
+
+            expect(messages).toHaveLength(3);
+            expect(messages[0]).toContain('From the minutes: aprovado.');
+            expect(messages[0]).not.toContain('>From the minutes');
+        });
+    });
+
+    describe('MIME parsing', () => {
+        test('should decode headers, addresses and quoted-printable body', () => {
+            const [raw] = service.splitMbox(MBOX);
+            const message = service.parseMessage(raw);
+
+            expect(message.messageId).toBe('<m1@vcia.com.br>');
+            expect(message.subject).toBe('Decisão sobre fornecedor');
+            expect(message.from).toEqual([{ name: 'Alice Souza', address: 'alice@vcia.com.br' }]);
+            expect(message.to).toEqual([
+                { name: '', address: 'bob@vcia.com.br' },
+                { name: 'Silva, Carol', address: 'carol@vcia.com.br' }
+            ]);
+            expect(message.date).toBe('2023-01-02T13:00:00.000Z');
+            expect(message.text).toContain('Decisão tomada.');
+        });
+
+        test('should collect attachments from multipart messages', () => {
+            const raw = service.splitMbox(MBOX)[1];
+            const message = service.parseMessage(raw);
+
+            expect(message.inReplyTo).toBe('<m1@vcia.com.br>');
+            expect(message.text).toBe('De acordo. Segue a planilha.');
+            expect(message.attachments).toHaveLength(1);
+            expect(message.attachments[0].filename).toBe('custos.csv');
+            expect(new TextDecoder().decode(message.attachments[0].data)).toBe('item,valor\nlicenca,100');
+        });
+    });
+
+    describe('Threading', () => {
+        test('should group replies by In-Reply-To and References', () => {
+            const messages = [
+                { messageId: '<b>', inReplyTo: '<a>', references: [], date: '2023-01-02T00:00:00.000Z' },
+                { messageId: '<a>', inReplyTo: null, references: [], date: '2023-01-01T00:00:00.000Z' },
+                { messageId: '<c>', inReplyTo: null, references: ['<a>', '<b>'], date: '2023-01-03T00:00:00.000Z' },
+                { messageId: '<z>', inReplyTo: null, references: [], date: '2023-01-01T00:00:00.000Z' }
+            ];
+
+            const threads = service.buildThreads(messages);
+
+            expect(threads).toHaveLength(2);
+            const main = threads.find(thread => thread.messages.length === 3);
+            expect(main.id).toBe('<a>');
+            expect(main.messages.map(message => message.messageId)).toEqual(['<a>', '<b>', '<c>']);
+        });
+
+        test('should derive a stable id for messages without Message-ID from headers and body', () => {
+            const raw = (subject) => [
+                'From: Ana <ana@example.com>',
+                'To: bruno@example.com',
+                'Date: Mon, 2 Jan 2023 10:00:00 +0000',
+                `Subject: ${subject}`,
+                '',
+                'Sem cabeçalho de id'
+            ].join('\n');
+
+            const first = service.buildThreads([service.parseMessage(raw('Reunião')), service.parseMessage(raw('Proposta'))]);
+            const reordered = service.buildThreads([service.parseMessage(raw('Proposta')), service.parseMessage(raw('Reunião'))]);
+
+            const idOf = (threads, subject) => threads.find(thread => thread.messages[0].subject === subject).id;
+            expect(idOf(first, 'Reunião')).toMatch(/^<sem-id-[0-9a-z]+@kc\.local>$/);
+            expect(idOf(first, 'Reunião')).not.toBe(idOf(first, 'Proposta'));
+            expect(idOf(reordered, 'Reunião')).toBe(idOf(first, 'Reunião'));
+            expect(idOf(reordered, 'Proposta')).toBe(idOf(first, 'Proposta'));
+        });
+    });
+
+    describe('Ingestion', () => {
+        test('should emit one discovered file per thread with mail metadata', async () => {
+            const file = {
+                name: 'arquivo.mbox',
+                size: MBOX.length,
+                lastModified: Date.now(),
+                text: async () => MBOX
+            };
+
+            const threads = await service.ingest(file, { directoryPath: 'emails' });
+
+            expect(threads).toHaveLength(2);
+
+            const decision = threads.find(thread => thread.mailMetadata.messageCount === 2);
+            expect(decision.name).toBe('Decisão sobre fornecedor.thread');
+            expect(decision.path).toMatch(/^emails\/arquivo\.mbox#/);
+            expect(decision.discovered).toBe(true);
+            expect(decision.mailMetadata.senders.map(entry => entry.address))
+                .toEqual(['alice@vcia.com.br', 'bob@vcia.com.br']);
+            expect(decision.mailMetadata.recipients.map(entry => entry.address))
+                .toEqual(['bob@vcia.com.br', 'carol@vcia.com.br', 'alice@vcia.com.br']);
+            expect(decision.mailMetadata.firstDate).toBe('2023-01-02T13:00:00.000Z');
+            expect(decision.mailMetadata.lastDate).toBe('2023-01-02T14:00:00.000Z');
+            expect(decision.mailMetadata.attachments[0]).toMatchObject({ filename: 'custos.csv', extracted: true });
+            expect(decision.content).toContain('### Anexo: custos.csv');
+            expect(mockExtractors.extract).toHaveBeenCalledWith(expect.objectContaining({ name: 'custos.csv' }));
+
+            // IDs estáveis entre execuções
+            const again = await service.ingest(file, { directoryPath: 'emails' });
+            expect(again.map(thread => thread.id).sort()).toEqual(threads.map(thread => thread.id).sort());
+        });
+
+        test('should keep the mailbox handle off the thread entry and re-read a single thread', async () => {
+            const mailbox = { name: 'arquivo.mbox', size: MBOX.length, lastModified: Date.now(), text: async () => MBOX };
+            const mailboxHandle = { getFile: jest.fn(async () => mailbox) };
+
+            const threads = await service.ingest(mailbox, { directoryPath: 'emails', handle: mailboxHandle });
+            const decision = threads.find(thread => thread.mailMetadata.messageCount === 2);
+
+            expect(decision.handle).toBeNull();
+            expect(decision.mailboxHandle).toBe(mailboxHandle);
+
+            const { content, ...withoutContent } = decision;
+            expect(await service.readThread(withoutContent)).toBe(content);
+            expect(mailboxHandle.getFile).toHaveBeenCalledTimes(1);
+
+            const missing = { ...withoutContent, mailMetadata: { ...decision.mailMetadata, threadId: '<sumiu@x>' } };
+            expect(await service.readThread(missing)).toBeNull();
+        });
+
+        test('should only accept PST archives through a registered reader', async () => {
+            expect(service.isMailbox('caixa.pst')).toBe(false);
+            await expect(service.ingest({ name: 'caixa.pst', size: 10 }))
+                .rejects.toThrow('Formato de caixa postal não suportado: .pst');
+
+            service.registerArchiveReader('.pst', async () => service.splitMbox(MBOX));
+            const threads = await service.ingest({ name: 'caixa.pst', size: 10 });
+            expect(threads).toHaveLength(2);
+        });
+
+        test('should skip image attachments unless enabled', async () => {
+            const logo = { filename: 'logo.png', size: 3, data: new Uint8Array([1, 2, 3]) };
+
+            expect(await service._extractAttachment(logo)).toEqual({ success: false, method: 'none' });
+            expect(mockExtractors.extract).not.toHaveBeenCalled();
+
+            service.config.extractImageAttachments = true;
+            await service._extractAttachment(logo);
+            expect(mockExtractors.extract).toHaveBeenCalledWith(expect.objectContaining({ name: 'logo.png', content: expect.any(ArrayBuffer) }));
+        });
+    });
+});
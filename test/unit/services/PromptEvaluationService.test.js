@@ -0,0 +1,98 @@
+/**
+ * PromptEvaluationService.test.js
+ * Unit tests for PromptEvaluationService - offline evaluation of template versions
+ *
+ * Tests cover:
+ * - Golden set validation
+ * - Baseline x candidate comparison with a custom responder and the ABTestingFramework statistics
+ * - Default stub provider (no network) following the schema of each version, without a verdict
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    flow: jest.fn()
+};
+
+const goldenSet = [
+    { file: { name: 'deploy.md', content: 'Técnico: configuração do deploy com nova arquitetura de filas' }, expected: { analysisType: 'Breakthrough Técnico', categories: ['Técnico'] } },
+    { file: { name: 'escolha.md', content: 'Estratégia: a decisão de migrar para Postgres foi a escolha certa' }, expected: { analysisType: 'Momento Decisivo', categories: ['Estratégia'] } },
+    { file: { name: 'teoria.md', content: 'Uma nova perspectiva sobre o conceito de grafos' }, expected: { analysisType: 'Evolução Conceitual', categories: [] } },
+    { file: { name: 'infra.md', content: 'Implementação do código de cache' }, expected: { analysisType: 'Breakthrough Técnico', categories: ['Técnico'] } }
+];
+
+describe('PromptEvaluationService', () => {
+    let evaluation;
+    let prompts;
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        window.KC = window.KnowledgeConsolidator;
+        require('../../../js/config/AnalysisTypes.js');
+        require('../../../js/utils/ValidationUtils.js');
+        require('../../../js/managers/PromptManager.js');
+        require('../../../js/wave10/ABTestingFramework.js');
+        require('../../../js/services/PromptEvaluationService.js');
+        evaluation = window.KnowledgeConsolidator.PromptEvaluation;
+        prompts = window.KnowledgeConsolidator.PromptManager;
+    });
+
+    test('should validate the golden set', () => {
+        expect(() => evaluation.setGoldenSet([])).toThrow('Golden set vazio');
+        expect(() => evaluation.setGoldenSet([{ file: { name: 'a.md', content: 'x' }, expected: { analysisType: 'Outro' } }]))
+            .toThrow('analysisType inválido');
+        expect(evaluation.setGoldenSet(goldenSet)).toBe(4);
+    });
+
+    test('should compare two versions with the statistics engine', async () => {
+        const template = prompts.getTemplate('decisiveMoments');
+        prompts.updateTemplate('decisiveMoments', { systemPrompt: template.systemPrompt + '\nClassifique com atenção.' });
+        evaluation.setGoldenSet(goldenSet);
+
+        // Só a versão nova acerta os tipos; a confiança sobe junto
+        const responder = jest.fn((prompt, item) => JSON.stringify({
+            analysisType: prompt.system.includes('Classifique com atenção') ? item.expected.analysisType : 'Aprendizado Geral',
+            moments: [],
+            categories: item.expected.categories,
+            summary: 'Resumo',
+            relevanceScore: prompt.system.includes('Classifique com atenção') ? 0.9 : 0.5
+        }));
+        const progress = jest.fn();
+
+        const report = await evaluation.evaluate({ templateId: 'decisiveMoments', responder, onProgress: progress });
+
+        expect(responder).toHaveBeenCalledTimes(8);
+        expect(progress).toHaveBeenLastCalledWith({ done: 8, total: 8 });
+        expect(report.baseline).toMatchObject({ version: 1, analysisTypeAccuracy: 0, schemaValidRate: 1, errors: 0 });
+        expect(report.candidate).toMatchObject({ version: 2, analysisTypeAccuracy: 1, categoryAgreement: 1 });
+        expect(report.comparison.analysisTypeAccuracy).toMatchObject({ delta: 1, testType: 'chisquare', significant: true });
+        expect(report.comparison.categoryAgreement.delta).toBe(0);
+        expect(report.formatOnly).toBe(false);
+        expect(report.verdict).toBe('candidata melhor');
+        expect(report.changes).toHaveLength(4);
+        expect(evaluation.getReports('decisiveMoments')[0].id).toBe(report.id);
+    });
+
+    test('should run the default stub offline following each version schema', async () => {
+        global.fetch = jest.fn();
+        const format = { ...prompts.getTemplate('decisiveMoments').responseFormat };
+        delete format.categories;
+        prompts.updateTemplate('decisiveMoments', { responseFormat: format });
+        window.KnowledgeConsolidator.CategoryManager = {
+            getCategories: () => [{ id: 'tec', name: 'Técnico' }, { id: 'est', name: 'Estratégia' }]
+        };
+
+        const report = await evaluation.evaluate({ templateId: 'decisiveMoments', goldenSet });
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(report.provider).toBe('stub');
+        expect(report.baseline.categoryAgreement).toBeGreaterThan(report.candidate.categoryAgreement);
+        // O stub ignora a redação do prompt: sem veredito
+        expect(report.formatOnly).toBe(true);
+        expect(report.verdict).toBeNull();
+        delete global.fetch;
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * QdrantHybridSearch.test.js
+ * Unit tests for QdrantService - Hybrid (dense + sparse) search
+ *
+ * Tests cover:
+ * - Collections without sparse vectors: keyword-only hits found through a payload text filter
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+describe('QdrantService - hybrid search', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'group').mockImplementation(() => {});
+        jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            EmbeddingService: { generateEmbedding: jest.fn(async () => [0.1, 0.2, 0.3]) }
+        };
+        require('../../../js/utils/SparseEncoder.js');
+        require('../../../js/services/QdrantService.js');
+        service = window.KnowledgeConsolidator.QdrantService;
+
+        service.initialized = true;
+        service.collectionInfo = { config: { params: { vectors: { size: 3, distance: 'Cosine' } } } };
+        jest.spyOn(service, 'assertEmbeddingCompatible').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return keyword-only hits when the collection has no sparse vectors', async () => {
+        const request = jest.spyOn(service, 'request').mockImplementation(async (method, path) => {
+            if (path.endsWith('/points/search')) {
+                return { result: [{ id: 'dense-1', score: 0.82, payload: { content: 'Reunião sobre arquitetura de dados' } }] };
+            }
+            return {
+                result: {
+                    points: [{ id: 'keyword-1', payload: { content: 'Contrato PRJ-2024 assinado com a VCIA' } }],
+                    next_page_offset: null
+                }
+            };
+        });
+
+        const results = await service.hybridSearch('PRJ-2024', { filter: { must: [{ key: 'approved', match: { value: true } }] } });
+
+        const keywordHit = results.find(result => result.id === 'keyword-1');
+        expect(keywordHit).toMatchObject({ denseScore: null, denseRank: null, sparseRank: 1, sparseSource: 'client' });
+        expect(keywordHit.sparseScore).toBeGreaterThan(0);
+        expect(results.map(result => result.id).sort()).toEqual(['dense-1', 'keyword-1']);
+
+        const [, scrollPath, scrollParams] = request.mock.calls.find(([, path]) => path.endsWith('/points/scroll'));
+        expect(scrollPath).toBe('/collections/knowledge_consolidator/points/scroll');
+        expect(scrollParams.filter.must[0]).toEqual({ must: [{ key: 'approved', match: { value: true } }] });
+        expect(scrollParams.filter.must[1].should).toEqual(expect.arrayContaining([
+            { key: 'content', match: { text: 'PRJ-2024' } },
+            { key: 'content', match: { text: 'prj-2024' } }
+        ]));
+        expect(mockLogger.warning).toHaveBeenCalledTimes(1);
+
+        service.clearCache();
+        await service.hybridSearch('contrato VCIA');
+        expect(mockLogger.warning).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * QdrantReconciliationService.test.js
+ * Unit tests for QdrantReconciliationService - Discovery → Qdrant propagation
+ *
+ * Tests cover:
+ * - Dry-run report classifying renamed (by content hash) and orphaned documents
+ * - Low-confidence rename matching for legacy points without documentHash
+ * - Applying a report (payload re-key and point deletion in batches)
+ * - Default report over the unfiltered inventory, scoped to the scanned directories
+ * - Orphan deletion refused without a scope
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+function point(id, filePath, fileName, documentHash) {
+    return { id, payload: { filePath, fileName, documentHash } };
+}
+
+describe('QdrantReconciliationService', () => {
+    let service;
+    let mockQdrant;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.resetModules();
+
+        const pages = [
+            {
+                points: [
+                    point(1, 'vault/kept.md', 'kept.md', 'h-kept'),
+                    point(2, 'vault/old-name.md', 'old-name.md', 'h-moved'),
+                    point(3, 'vault/old-name.md', 'old-name.md', 'h-moved')
+                ],
+                next_page_offset: 4
+            },
+            {
+                points: [
+                    point(4, 'vault/gone.md', 'gone.md', 'h-gone'),
+                    point(5, 'legacy/notes.md', 'notes.md', undefined),
+                    { id: 6, payload: {} }
+                ],
+                next_page_offset: null
+            }
+        ];
+
+        mockQdrant = {
+            config: { collectionName: 'knowledge_consolidator' },
+            scrollPoints: jest.fn(async ({ offset }) => (offset === undefined ? pages[0] : pages[1])),
+            updatePayload: jest.fn(async () => ({ status: 'ok' })),
+            deletePoints: jest.fn(async () => ({ status: 'ok' }))
+        };
+
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            QdrantService: mockQdrant,
+            FileUtils: { calculateHash: jest.fn(async content => `h-${content}`) },
+            EventBus: { emit: jest.fn() },
+            Events: { QDRANT_RECONCILED: 'qdrant:reconciled' }
+        };
+        require('../../../js/services/QdrantReconciliationService.js');
+        service = window.KnowledgeConsolidator.QdrantReconciliation;
+    });
+
+    const files = [
+        { path: 'vault/kept.md', name: 'kept.md', content: 'kept' },
+        { path: 'vault/new-name.md', name: 'new-name.md', content: 'moved' },
+        { path: 'archive/notes.md', name: 'notes.md', content: 'notes' }
+    ];
+
+    test('should report renamed and orphaned documents without touching Qdrant', async () => {
+        const report = await service.buildReport({ files });
+
+        expect(mockQdrant.scrollPoints).toHaveBeenCalledTimes(2);
+        expect(report.dryRun).toBe(true);
+        expect(report.renamed).toEqual([
+            expect.objectContaining({
+                from: 'vault/old-name.md', to: 'vault/new-name.md', pointIds: [2, 3],
+                matchedBy: 'contentHash', confidence: 'high'
+            }),
+            expect.objectContaining({
+                from: 'legacy/notes.md', to: 'archive/notes.md', matchedBy: 'fileName', confidence: 'low'
+            })
+        ]);
+        expect(report.orphaned).toEqual([
+            expect.objectContaining({ filePath: 'vault/gone.md', pointIds: [4] })
+        ]);
+        expect(report.stats).toMatchObject({ pointsScanned: 6, unkeyedPoints: 1, orphanedPoints: 1, renamedPoints: 3 });
+        expect(mockQdrant.updatePayload).not.toHaveBeenCalled();
+        expect(mockQdrant.deletePoints).not.toHaveBeenCalled();
+    });
+
+    test('should respect scope prefixes', async () => {
+        const report = await service.buildReport({ files, scope: ['vault/'] });
+
+        expect(report.renamed.map(item => item.from)).toEqual(['vault/old-name.md']);
+        expect(report.orphaned.map(item => item.filePath)).toEqual(['vault/gone.md']);
+    });
+
+    test('should refuse to reconcile without discovered files', async () => {
+        await expect(service.buildReport({ files: [] })).rejects.toThrow('Nenhum arquivo descoberto');
+    });
+
+    test('should re-key renamed points and delete orphans when applied', async () => {
+        const report = await service.buildReport({ files, scope: ['vault/', 'legacy/'] });
+        service.config.batchSize = 1;
+
+        const result = await service.apply(report);
+
+        expect(mockQdrant.updatePayload).toHaveBeenCalledTimes(2);
+        expect(mockQdrant.updatePayload).toHaveBeenCalledWith([2], expect.objectContaining({
+            filePath: 'vault/new-name.md', fileName: 'new-name.md', previousFilePath: 'vault/old-name.md'
+        }));
+        expect(mockQdrant.deletePoints).toHaveBeenCalledWith([4]);
+        expect(result).toMatchObject({ rekeyedDocuments: 1, deletedPoints: 1 });
+        expect(result.skipped).toEqual([{ filePath: 'legacy/notes.md', reason: 'low_confidence' }]);
+    });
+
+    test('should build the default report from the unfiltered inventory of the scanned directories', async () => {
+        // AppState contém só o que passou pelos filtros; gone.md existe no disco
+        window.KnowledgeConsolidator.AppState = { get: jest.fn(() => [files[0]]) };
+        window.KnowledgeConsolidator.DiscoveryManager = {
+            inventoryFiles: jest.fn(async () => ({
+                files: [...files, { path: 'vault/gone.md', name: 'gone.md', content: 'gone' }],
+                directories: ['vault'],
+                missing: ['legacy']
+            }))
+        };
+
+        const report = await service.buildReport();
+
+        expect(report.scope).toEqual(['vault/']);
+        expect(report.orphaned).toEqual([]);
+        expect(report.renamed.map(item => item.from)).toEqual(['vault/old-name.md']);
+        expect(window.KnowledgeConsolidator.AppState.get).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to delete orphans from a report without scope', async () => {
+        const report = await service.buildReport({ files });
+
+        await expect(service.apply(report)).rejects.toThrow('Relatório sem escopo');
+        expect(mockQdrant.deletePoints).not.toHaveBeenCalled();
+
+        const rekeyOnly = await service.apply(report, { deleteOrphans: false });
+        expect(rekeyOnly).toMatchObject({ rekeyedDocuments: 1, deletedPoints: 0 });
+
+        const scoped = await service.apply({ ...report, scope: ['legacy/'] });
+        expect(mockQdrant.deletePoints).not.toHaveBeenCalled();
+        expect(scoped.skipped).toContainEqual({ filePath: 'vault/gone.md', reason: 'out_of_scope' });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * QdrantSnapshotService.test.js
+ * Unit tests for QdrantSnapshotService - Qdrant snapshots tied to pipeline runs
+ *
+ * Tests cover:
+ * - Snapshot records with run IDs, merged with the server list
+ * - Pruning of automatic snapshots (manual ones are kept, safety ones have their own quota)
+ * - Rolling back a pipeline run with a safety snapshot first
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+function createQdrantMock() {
+    let counter = 0;
+    const snapshots = [];
+
+    return {
+        config: { baseUrl: 'http://localhost:6333', collectionName: 'kc' },
+        profileId: 'local',
+        snapshots,
+        createSnapshot: jest.fn(async () => {
+            counter++;
+            const snapshot = {
+                name: `kc-${counter}.snapshot`,
+                creation_time: `2025-01-01T00:00:${String(counter).padStart(2, '0')}`,
+                size: 1024
+            };
+            snapshots.push(snapshot);
+            return snapshot;
+        }),
+        listSnapshots: jest.fn(async () => [...snapshots]),
+        deleteSnapshot: jest.fn(async (name) => {
+            snapshots.splice(snapshots.findIndex(s => s.name === name), 1);
+        }),
+        downloadSnapshot: jest.fn(async (name) => ({ name, size: 1024 })),
+        recoverSnapshot: jest.fn(async () => ({})),
+        getCollectionInfo: jest.fn(async () => ({ points_count: 42 })),
+        getCollectionEmbeddingModel: jest.fn(async () => ({ id: 'ollama/nomic-embed-text' }))
+    };
+}
+
+describe('QdrantSnapshotService', () => {
+    let service;
+    let qdrant;
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        qdrant = createQdrantMock();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            QdrantService: qdrant,
+            EventBus: { emit: jest.fn() },
+            Events: {}
+        };
+        require('../../../js/services/QdrantSnapshotService.js');
+        service = window.KnowledgeConsolidator.QdrantSnapshots;
+    });
+
+    test('should record run id and merge with snapshots created outside the app', async () => {
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_1' });
+        qdrant.snapshots.push({ name: 'manual-cli.snapshot', creation_time: '2024-12-31T00:00:00', size: 10 });
+
+        const list = await service.list();
+
+        expect(list.map(s => s.name)).toEqual(['kc-1.snapshot', 'manual-cli.snapshot']);
+        expect(list[0]).toMatchObject({ trigger: 'pre-pipeline', runId: 'run_1', pointsCount: 42, embeddingModel: 'ollama/nomic-embed-text' });
+        expect(list[1]).toMatchObject({ trigger: 'external', runId: null });
+        expect(JSON.parse(localStorage.getItem('kc_qdrant_snapshots'))).toHaveLength(1);
+    });
+
+    test('should prune only automatic snapshots beyond the limit', async () => {
+        service.config.maxAutomaticSnapshots = 2;
+        await service.create({ trigger: 'manual' });
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_1' });
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_2' });
+        await service.create({ trigger: 'pre-reset' });
+
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_3' });
+
+        expect(qdrant.deleteSnapshot).toHaveBeenCalledWith('kc-2.snapshot');
+        expect(qdrant.snapshots.map(s => s.name)).toEqual(['kc-1.snapshot', 'kc-3.snapshot', 'kc-4.snapshot', 'kc-5.snapshot']);
+        expect(service.findByRun('run_1')).toBeNull();
+    });
+
+    test('should keep safety snapshots out of the pipeline quota', async () => {
+        service.config.maxAutomaticSnapshots = 1;
+        service.config.maxSafetySnapshots = 1;
+        await service.create({ trigger: 'pre-reset' });
+        await service.create({ trigger: 'pre-restore' });
+        for (const runId of ['run_1', 'run_2', 'run_3']) {
+            await service.create({ trigger: 'pre-pipeline', runId });
+        }
+
+        expect(qdrant.snapshots.map(s => s.name)).toEqual(['kc-1.snapshot', 'kc-2.snapshot', 'kc-5.snapshot']);
+
+        await service.create({ trigger: 'pre-reset' });
+        expect(qdrant.snapshots.map(s => s.name)).toEqual(['kc-2.snapshot', 'kc-5.snapshot', 'kc-6.snapshot']);
+    });
+
+    test('should roll back a run after taking a safety snapshot', async () => {
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_1' });
+        service.recordRunResult('run_1', { success: true, processed: 3, totalChunks: 12 });
+        await service.create({ trigger: 'pre-pipeline', runId: 'run_2' });
+
+        const result = await service.rollbackRun('run_1');
+
+        expect(qdrant.downloadSnapshot).toHaveBeenCalledWith('kc-1.snapshot');
+        expect(qdrant.recoverSnapshot).toHaveBeenCalledWith({ name: 'kc-1.snapshot', size: 1024 });
+        expect(result).toMatchObject({ restored: 'kc-1.snapshot', safetySnapshot: 'kc-3.snapshot', laterRuns: ['run_2'] });
+        expect(service.findByRun('run_1').run).toMatchObject({ processed: 3, totalChunks: 12 });
+        await expect(service.rollbackRun('run_unknown')).rejects.toThrow('Nenhum snapshot');
+    });
+});
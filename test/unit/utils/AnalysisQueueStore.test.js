@@ -0,0 +1,211 @@
+/**
+ * AnalysisQueueStore.test.js
+ * Unit tests for AnalysisQueueStore - Persistent analysis queue and run history
+ *
+ * Tests cover:
+ * - In-memory persistence fallback when IndexedDB is unavailable
+ * - Resuming an interrupted run after a reload (completed items skipped)
+ * - Retry with exponential backoff and per-file outcome in the run history
+ * - Rehydrating binary documents and mailbox threads from their sources
+ * - Images discovered without extraction are extracted only when analyzed
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+describe('AnalysisQueueStore', () => {
+    let store;
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        require('../../../js/utils/AnalysisQueueStore.js');
+        store = window.KnowledgeConsolidator.AnalysisQueueStore;
+    });
+
+    test('should keep items in creation order and runs newest first', async () => {
+        await store.saveItems([{ id: 'b', createdAt: 2 }, { id: 'a', createdAt: 1 }]);
+        await store.saveRun({ id: 'run-1', startedAt: 100 });
+        await store.saveRun({ id: 'run-2', startedAt: 200 });
+        await store.removeItems(['b']);
+
+        expect((await store.loadItems()).map(item => item.id)).toEqual(['a']);
+        expect((await store.getRuns()).map(run => run.id)).toEqual(['run-2', 'run-1']);
+        expect(await store.getRun('run-1')).toMatchObject({ startedAt: 100 });
+    });
+
+    test('should drop the oldest runs beyond the limit', async () => {
+        store.maxRuns = 2;
+        for (let i = 1; i <= 3; i++) {
+            await store.saveRun({ id: `run-${i}`, startedAt: i });
+        }
+        expect((await store.getRuns()).map(run => run.id)).toEqual(['run-3', 'run-2']);
+    });
+});
+
+describe('AnalysisManager - persistent queue', () => {
+    let store;
+    let appFiles;
+    let analyze;
+
+    const files = ['a', 'b', 'c'].map(name => ({ id: name, name: `${name}.md`, path: `vault/${name}.md`, content: `conteúdo ${name}` }));
+
+    // Nova instância do AnalysisManager sobre o mesmo store (simula recarregar a página)
+    function loadManager() {
+        const KC = window.KnowledgeConsolidator;
+        jest.isolateModules(() => {
+            require('../../../js/managers/AnalysisManager.js');
+        });
+        const manager = KC.AnalysisManager;
+        manager.delay = () => Promise.resolve();
+        manager.updateFileWithAnalysis = jest.fn();
+        return manager;
+    }
+
+    async function settle(manager) {
+        for (let i = 0; i < 50 && manager.state.processing; i++) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        appFiles = files.map(file => ({ ...file }));
+        analyze = jest.fn(async (file) => ({
+            analysisType: 'Aprendizado Geral',
+            summary: `resumo ${file.name}`,
+            providerUsed: { provider: 'ollama', model: 'mistral' }
+        }));
+
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            EventBus: { emit: jest.fn(), on: jest.fn() },
+            Events: {},
+            AppState: { get: () => appFiles, set: jest.fn() },
+            PromptManager: { prepare: () => ({}) },
+            AnalysisAdapter: { normalize: (raw) => raw, validate: () => true },
+            AIAPIManager: {
+                analyze: (...args) => analyze(...args),
+                providers: { ollama: { id: 'ollama', defaultModel: 'mistral', isLocal: true } },
+                getActiveProviderInfo: () => ({ id: 'ollama', defaultModel: 'mistral', isLocal: true })
+            }
+        };
+        require('../../../js/utils/AnalysisQueueStore.js');
+        store = window.KnowledgeConsolidator.AnalysisQueueStore;
+    });
+
+    test('should resume an interrupted run after reload without repeating completed files', async () => {
+        const first = loadManager();
+        await first.initialize();
+
+        // Recarregamento durante o segundo arquivo
+        let reload;
+        const interrupted = new Promise(resolve => { reload = resolve; });
+        analyze.mockImplementationOnce(async (file) => ({ analysisType: 'x', summary: file.name }))
+            .mockImplementationOnce(() => { reload(); return new Promise(() => {}); });
+        first.addToQueue(files.map(file => ({ ...file })));
+        await interrupted;
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const saved = await store.loadItems();
+        expect(saved.map(item => item.status)).toEqual(['completed', 'processing', 'pending']);
+        expect(saved[0].file.content).toBeUndefined();
+
+        analyze.mockClear();
+        const second = loadManager();
+        await second.initialize();
+        await settle(second);
+
+        expect(analyze.mock.calls.map(([file]) => file.name)).toEqual(['b.md', 'c.md']);
+        expect(analyze.mock.calls[0][0].content).toBe('conteúdo b');
+        expect(await store.loadItems()).toEqual([]);
+
+        const [run] = await second.getRunHistory();
+        expect(run).toMatchObject({ status: 'completed', resumedAt: [expect.any(Number)], totals: { files: 3, completed: 3, errors: 0 } });
+        expect(run.files[saved[1].id]).toMatchObject({ name: 'b.md', status: 'completed', provider: 'ollama', model: 'mistral' });
+    });
+
+    test('should retry failures with exponential backoff and record the outcome', async () => {
+        const manager = loadManager();
+        await manager.initialize();
+        manager.config.retryAttempts = 2;
+
+        // Relógio avança só pelos delays da fila
+        const realNow = Date.now;
+        let clock = realNow();
+        Date.now = () => clock;
+        manager.delay = (ms) => { clock += Math.max(ms, 0); return Promise.resolve(); };
+
+        const attemptTimes = [];
+        analyze.mockImplementation(async () => {
+            attemptTimes.push(clock);
+            throw new Error('Ollama fora do ar');
+        });
+        try {
+            await manager.addToQueue([files[0]]);
+            await settle(manager);
+        } finally {
+            Date.now = realNow;
+        }
+
+        expect(analyze).toHaveBeenCalledTimes(2);
+        expect(attemptTimes[1] - attemptTimes[0]).toBeGreaterThanOrEqual(manager.config.retryBaseDelayMs);
+
+        const [run] = await manager.getRunHistory();
+        expect(Object.values(run.files)[0]).toMatchObject({ status: 'error', error: 'Ollama fora do ar', attempts: 2 });
+        expect(run.totals).toMatchObject({ completed: 0, errors: 1 });
+    });
+
+    test('should rehydrate binary documents and mailbox threads from their sources', async () => {
+        const KC = window.KnowledgeConsolidator;
+        const manager = loadManager();
+        const pdfHandle = { getFile: jest.fn() };
+        const mailboxHandle = { getFile: jest.fn() };
+
+        KC.DocumentExtractors = {
+            isBinaryFormat: (name) => name.endsWith('.pdf'),
+            extract: jest.fn(async () => ({ success: true, content: 'texto do pdf' }))
+        };
+        KC.MailboxIngestion = { readThread: jest.fn(async () => '# Thread\n\nsó esta conversa') };
+
+        const pdf = await manager.rehydrateFile({ id: 'p', name: 'relatorio.pdf', path: 'vault/relatorio.pdf', handle: pdfHandle });
+        expect(pdf.content).toBe('texto do pdf');
+        expect(KC.DocumentExtractors.extract).toHaveBeenCalledWith(expect.objectContaining({ handle: pdfHandle }));
+        expect(pdfHandle.getFile).not.toHaveBeenCalled();
+
+        // Snapshot gravado pela fila: a thread aponta para a caixa postal, não para um handle próprio
+        const threadFile = {
+            id: 'thread_1', name: 'Fornecedor.thread', path: 'emails/caixa.mbox#1', handle: null, mailboxHandle,
+            relativePath: 'emails', mailMetadata: { mailbox: 'emails/caixa.mbox', threadId: '<a@x>', senders: [] }
+        };
+        const { file: snapshot } = manager.serializeQueueItem({ id: 'q1', file: threadFile });
+        expect(snapshot.mailMetadata).toEqual({ mailbox: 'emails/caixa.mbox', threadId: '<a@x>' });
+
+        const thread = await manager.rehydrateFile(snapshot);
+        expect(thread.content).toBe('# Thread\n\nsó esta conversa');
+        expect(KC.MailboxIngestion.readThread).toHaveBeenCalledWith(expect.objectContaining({ mailboxHandle }));
+        expect(mailboxHandle.getFile).not.toHaveBeenCalled();
+    });
+
+    test('should extract deferred images only when they are analyzed', async () => {
+        const KC = window.KnowledgeConsolidator;
+        const manager = loadManager();
+        await manager.initialize();
+        KC.DocumentExtractors = {
+            isBinaryFormat: (name) => name.endsWith('.png'),
+            extract: jest.fn(async () => ({ success: true, content: '# Imagem: quadro.png' }))
+        };
+
+        const image = { id: 'img', name: 'quadro.png', path: 'vault/quadro.png', content: '', extractionDeferred: true, handle: { getFile: jest.fn() } };
+        await manager.addToQueue([image]);
+        await settle(manager);
+
+        expect(KC.DocumentExtractors.extract).toHaveBeenCalledTimes(1);
+        expect(analyze.mock.calls[0][0].content).toBe('# Imagem: quadro.png');
+    });
+});
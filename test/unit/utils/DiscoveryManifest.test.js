@@ -0,0 +1,97 @@
+/**
+ * DiscoveryManifest.test.js
+ * Unit tests for DiscoveryManifest - Incremental discovery change detection
+ *
+ * Tests cover:
+ * - Classification of added, modified, moved/renamed, deleted and unchanged files
+ * - Touched files (new lastModified, same content hash)
+ * - In-memory persistence fallback when IndexedDB is unavailable
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+function entry(path, size, lastModified, hash) {
+    return { path, size, lastModified, hash };
+}
+
+function toMap(entries) {
+    return new Map(entries.map(item => [item.path, item]));
+}
+
+describe('DiscoveryManifest', () => {
+    let manifest;
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = { Logger: mockLogger };
+        require('../../../js/utils/DiscoveryManifest.js');
+        manifest = window.KnowledgeConsolidator.DiscoveryManifest;
+    });
+
+    describe('diff', () => {
+        test('should classify every kind of change', () => {
+            const previous = toMap([
+                entry('vault/a.md', 10, 1000, 'h-a'),
+                entry('vault/b.md', 20, 1000, 'h-b'),
+                entry('vault/old-name.md', 30, 1000, 'h-c'),
+                entry('vault/gone.md', 40, 1000, 'h-d'),
+                entry('vault/touched.md', 50, 1000, 'h-e')
+            ]);
+            const current = toMap([
+                entry('vault/a.md', 10, 1000, 'h-a'),
+                entry('vault/b.md', 25, 2000, 'h-b2'),
+                entry('vault/new-name.md', 30, 3000, 'h-c'),
+                entry('vault/touched.md', 50, 4000, 'h-e'),
+                entry('vault/fresh.md', 60, 5000, 'h-f')
+            ]);
+
+            const report = manifest.diff(previous, current);
+
+            expect(report.unchanged.sort()).toEqual(['vault/a.md', 'vault/touched.md']);
+            expect(report.modified).toEqual(['vault/b.md']);
+            expect(report.moved).toEqual([{ from: 'vault/old-name.md', to: 'vault/new-name.md' }]);
+            expect(report.added).toEqual(['vault/fresh.md']);
+            expect(report.deleted).toEqual(['vault/gone.md']);
+        });
+
+        test('should not pair files without hash as renames', () => {
+            const previous = toMap([entry('x/a.pdf', 10, 1000, null)]);
+            const current = toMap([entry('y/a.pdf', 10, 1000, null)]);
+
+            const report = manifest.diff(previous, current);
+
+            expect(report.moved).toEqual([]);
+            expect(report.added).toEqual(['y/a.pdf']);
+            expect(report.deleted).toEqual(['x/a.pdf']);
+        });
+
+        test('should pair duplicated content only once', () => {
+            const previous = toMap([entry('a.md', 1, 1, 'same')]);
+            const current = toMap([entry('b.md', 1, 1, 'same'), entry('c.md', 1, 1, 'same')]);
+
+            const report = manifest.diff(previous, current);
+
+            expect(report.moved).toHaveLength(1);
+            expect(report.added).toHaveLength(1);
+            expect(report.deleted).toEqual([]);
+        });
+    });
+
+    describe('persistence', () => {
+        test('should round-trip entries without IndexedDB', async () => {
+            const file = { id: 'file_1', path: 'vault/a.md', size: 10, lastModified: new Date(1000) };
+
+            await manifest.save([manifest.createEntry(file, 'h-a')]);
+            const loaded = await manifest.load();
+
+            expect(loaded.get('vault/a.md')).toMatchObject({ size: 10, lastModified: 1000, hash: 'h-a', fileId: 'file_1' });
+            expect(manifest.matchesEntry(loaded.get('vault/a.md'), 10, new Date(1000))).toBe(true);
+            expect(manifest.matchesEntry(loaded.get('vault/a.md'), 11, new Date(1000))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * SparseEncoder.test.js
+ * Unit tests for SparseEncoder - BM25-style sparse vectors for hybrid search
+ *
+ * Tests cover:
+ * - Tokenization (accents, stop words, acronyms and hyphenated codes)
+ * - Document weights (term-frequency saturation) and query vectors
+ * - Client-side scoring used when the collection has no sparse vectors
+ */
+
+describe('SparseEncoder', () => {
+    let encoder;
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = {};
+        require('../../../js/utils/SparseEncoder.js');
+        encoder = window.KnowledgeConsolidator.SparseEncoder;
+    });
+
+    test('should fold accents, drop stop words and keep codes whole and split', () => {
+        expect(encoder.tokenize('Decisão do projeto PRJ-2024 na VCIA')).toEqual(
+            ['decisao', 'projeto', 'prj-2024', 'prj', '2024', 'vcia']
+        );
+    });
+
+    test('should produce sorted unique unsigned indices', () => {
+        const vector = encoder.encodeDocument('Qdrant qdrant busca híbrida com Qdrant');
+
+        expect(vector.indices).toEqual([...vector.indices].sort((a, b) => a - b));
+        expect(new Set(vector.indices).size).toBe(vector.indices.length);
+        vector.indices.forEach(index => {
+            expect(Number.isInteger(index)).toBe(true);
+            expect(index).toBeGreaterThanOrEqual(0);
+            expect(index).toBeLessThanOrEqual(0xffffffff);
+        });
+    });
+
+    test('should saturate repeated terms', () => {
+        const once = encoder.encodeDocument('vcia relatorio');
+        const many = encoder.encodeDocument('vcia vcia vcia vcia relatorio');
+        const vcia = encoder.termIndex('vcia');
+
+        const weightOnce = once.values[once.indices.indexOf(vcia)];
+        const weightMany = many.values[many.indices.indexOf(vcia)];
+
+        expect(weightMany).toBeGreaterThan(weightOnce);
+        expect(weightMany).toBeLessThan(weightOnce * 4);
+    });
+
+    test('should score exact term matches above unrelated documents', () => {
+        const query = encoder.encodeQuery('reunião VCIA');
+        const match = encoder.encodeDocument('Ata da reuniao com a equipe VCIA sobre o roadmap');
+        const other = encoder.encodeDocument('Notas gerais sobre arquitetura de software');
+
+        expect(encoder.score(query, match)).toBeGreaterThan(0);
+        expect(encoder.score(query, other)).toBe(0);
+        expect(encoder.encodeQuery('de para com')).toEqual({ indices: [], values: [] });
+    });
+});
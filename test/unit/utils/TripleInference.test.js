@@ -0,0 +1,315 @@
+/**
+ * TripleInference.test.js
+ * Unit tests for TripleInference - Rule-based inference over the TripleStoreManager
+ *
+ * Tests cover:
+ * - Transitivity, inverse, symmetry and domain/range typing rules from TripleSchema predicates
+ * - User-defined Horn rules (validation, persistence, confidence) and schema-rejected conclusions
+ * - Proof chains on derived triples and their explanation tree
+ * - Cascading retraction with re-derivation from alternative proofs (retracted conclusions only)
+ * - Derived triples in RDF exports and in aplicarInferencia without a store
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+describe('TripleInference', () => {
+    let KC;
+    let state;
+    let store;
+
+    function achar(legado, presente, objetivo) {
+        return store.exportarTodas().find(t =>
+            t.legado.valor === legado && t.presente.valor === presente && t.objetivo.valor === objetivo);
+    }
+
+    async function base(triplas) {
+        for (const [legado, presente, objetivo, metadados] of triplas) {
+            await store.adicionarTripla(legado, presente, objetivo, metadados);
+        }
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        state = {};
+        window.KnowledgeConsolidator = KC = {
+            Logger: mockLogger,
+            EventBus: { on: jest.fn(), emit: jest.fn() },
+            Events: { TRIPLA_REMOVIDA: 'tripla:removed' },
+            AppState: {
+                get: (key) => state[key],
+                set: (key, value) => { state[key] = value; }
+            }
+        };
+        require('../../../js/schemas/TripleSchema.js');
+        require('../../../js/utils/TripleInference.js');
+        require('../../../js/utils/TripleQuery.js');
+        require('../../../js/utils/TripleRDF.js');
+        require('../../../js/managers/TripleStoreManager.js');
+
+        store = new KC.TripleStoreManager();
+        store.config.autoSave = false;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should derive transitive, inverse, symmetric and typing triples with proofs', async () => {
+        await base([
+            ['file_resumo', 'derivaDe', 'file_relatorio'],
+            ['file_relatorio', 'derivaDe', 'file_ata'],
+            ['file_ata', 'derivaDe', 'file_resumo'],
+            ['file_ata', 'pertenceCategoria', 'tecnico'],
+            ['file_ata', 'compartilhaCategoriaCom', 'file_nota']
+        ]);
+
+        const resultado = await store.inferir();
+        expect(resultado.porRegra).toMatchObject({
+            'transitividade:derivaDe': 3,
+            'inverso:pertenceCategoria': 1,
+            'simetria:compartilhaCategoriaCom': 1,
+            'alcance:pertenceCategoria': 1
+        });
+        expect(resultado.recusadas).toEqual([]);
+
+        const transitiva = achar('file_resumo', 'derivaDe', 'file_ata');
+        expect(transitiva.metadados).toMatchObject({
+            fonte: 'inferencia',
+            derivada: true,
+            regra: 'transitividade:derivaDe',
+            premissas: [achar('file_resumo', 'derivaDe', 'file_relatorio').id, achar('file_relatorio', 'derivaDe', 'file_ata').id],
+            prova: ['file_resumo derivaDe file_relatorio', 'file_relatorio derivaDe file_ata'],
+            confianca: 1
+        });
+        // Ciclo não gera file_x derivaDe file_x
+        expect(achar('file_resumo', 'derivaDe', 'file_resumo')).toBeUndefined();
+
+        expect(achar('tecnico', 'contemArquivos', 'file_ata').metadados.regra).toBe('inverso:pertenceCategoria');
+        expect(achar('file_nota', 'compartilhaCategoriaCom', 'file_ata')).toBeDefined();
+        expect(achar('file_ata', 'ehDoTipo', 'arquivo')).toBeDefined();
+        expect(achar('tecnico', 'ehDoTipo', 'categoria').metadados.regra).toBe('alcance:pertenceCategoria');
+
+        // Ponto fixo: rodar de novo não acrescenta nada
+        expect((await store.inferir()).adicionadas).toBe(0);
+
+        // Somente os tipos pedidos
+        const outro = new KC.TripleStoreManager();
+        outro.config.autoSave = false;
+        await outro.adicionarTripla('file_a', 'pertenceCategoria', 'tecnico');
+        expect((await outro.inferir({ tipos: ['inverso'] })).porRegra).toEqual({ 'inverso:pertenceCategoria': 1 });
+
+        // Consultável pelos metadados
+        const derivadas = store.consultar('SELECT ?o WHERE { file_resumo derivaDe ?o [derivada = true] }');
+        expect(derivadas.resultados).toEqual([{ o: 'file_ata' }]);
+    });
+
+    test('should apply user Horn rules, combine confidence and explain the proof chain', async () => {
+        await base([
+            ['file_resumo', 'derivaDe', 'file_relatorio', { confianca: 0.9 }],
+            ['file_relatorio', 'derivaDe', 'file_ata'],
+            ['file_ata', 'pertenceCategoria', 'estrategico'],
+            ['file_ata', 'possuiRelevancia', 0.95],
+            ['file_ata', 'contemPalavraChave', 'urgente']
+        ]);
+
+        const regra = KC.TripleSchema.adicionarRegra({
+            nome: 'categoria_por_derivacao',
+            se: [
+                { legado: '?a', presente: 'derivaDe', objetivo: '?b' },
+                { legado: '?b', presente: 'pertenceCategoria', objetivo: '?c' }
+            ],
+            entao: { legado: '?a', presente: 'sugeridaCategoria', objetivo: '?c' },
+            confianca: 0.6
+        });
+        expect(regra.tipo).toBe('horn');
+        expect(state.regrasInferenciaUsuario).toEqual([regra]);
+
+        expect(() => KC.TripleSchema.adicionarRegra({
+            nome: 'solta',
+            se: [{ legado: '?a', presente: 'derivaDe', objetivo: '?b' }],
+            entao: { legado: '?a', presente: 'sugeridaCategoria', objetivo: '?c' }
+        })).toThrow('Regra inválida: solta: variável ?c da conclusão não aparece nas condições');
+        expect(() => KC.TripleSchema.adicionarRegra({ ...regra, nome: 'acao_por_padrao' })).toThrow('regra embutida');
+
+        KC.TripleSchema.adicionarRegra({
+            nome: 'aprovacao_por_relevancia',
+            se: [{ legado: '?a', presente: 'possuiRelevancia', objetivo: '>0.9' }],
+            entao: { legado: '?a', presente: 'aprovadoPor', objetivo: 'curador' }
+        });
+
+        const resultado = await store.inferir();
+
+        // Conclusão fora do alcance do schema (usuario) não entra no store, nem o que dependia dela
+        expect(resultado.recusadas).toEqual([
+            { tripla: 'file_ata aprovadoPor curador', erro: expect.stringContaining('Alcance inválido para aprovadoPor') },
+            { tripla: 'curador ehDoTipo usuario', erro: 'premissa recusada' }
+        ]);
+
+        // Regra embutida com comparação numérica, condições ligadas pelo mesmo ?arquivo
+        expect(achar('file_ata', 'requerAcao', 'revisao_prioritaria').metadados).toMatchObject({
+            regra: 'acao_por_padrao',
+            confianca: 0.9,
+            prova: ['file_ata possuiRelevancia 0.95', 'file_ata contemPalavraChave urgente']
+        });
+
+        const direta = achar('file_relatorio', 'sugeridaCategoria', 'estrategico');
+        expect(direta.metadados).toMatchObject({ regra: 'categoria_por_derivacao', confianca: 0.6 });
+
+        // Sobre uma premissa inferida (transitividade) com confiança 0.9
+        const indireta = achar('file_resumo', 'sugeridaCategoria', 'estrategico');
+        expect(indireta.metadados.confianca).toBe(0.54);
+
+        const prova = store.explicar(indireta.id);
+        expect(prova).toMatchObject({
+            tripla: 'file_resumo sugeridaCategoria estrategico',
+            derivada: true,
+            regra: 'categoria_por_derivacao',
+            premissas: [
+                {
+                    tripla: 'file_resumo derivaDe file_ata',
+                    regra: 'transitividade:derivaDe',
+                    premissas: [
+                        { tripla: 'file_resumo derivaDe file_relatorio', derivada: false, fonte: 'manual' },
+                        { tripla: 'file_relatorio derivaDe file_ata', derivada: false }
+                    ]
+                },
+                { tripla: 'file_ata pertenceCategoria estrategico', derivada: false }
+            ]
+        });
+        expect(KC.TripleInference.formatarExplicacao(prova).split('\n')).toEqual([
+            'file_resumo sugeridaCategoria estrategico  [regra categoria_por_derivacao, confiança 0.54]',
+            '    ← file_resumo derivaDe file_ata  [regra transitividade:derivaDe, confiança 0.9]',
+            '        ← file_resumo derivaDe file_relatorio  [manual, confiança 0.9]',
+            '        ← file_relatorio derivaDe file_ata  [manual, confiança 1]',
+            '    ← file_ata pertenceCategoria estrategico  [manual, confiança 1]'
+        ]);
+
+        expect(KC.TripleSchema.removerRegra('categoria_por_derivacao')).toBe(true);
+        expect(KC.TripleSchema.removerRegra('aprovacao_por_relevancia')).toBe(true);
+        expect(KC.TripleSchema.obterRegras({ tipos: ['horn'] }).map(r => r.nome)).toEqual(['categoria_por_analise', 'acao_por_padrao']);
+    });
+
+    test('should retract derived triples in cascade and re-derive from alternative proofs', async () => {
+        await base([
+            ['file_resumo', 'derivaDe', 'file_relatorio'],
+            ['file_relatorio', 'derivaDe', 'file_ata'],
+            ['file_resumo', 'derivaDe', 'file_rascunho'],
+            ['file_rascunho', 'derivaDe', 'file_ata'],
+            ['file_ata', 'derivaDe', 'file_origem']
+        ]);
+        await store.inferir({ tipos: ['transitividade'] });
+        expect(store.buscar({ presente: 'derivaDe' })).toHaveLength(9);
+        // Rederivação usa as regras das retiradas, não as da última inferência
+        await store.inferir({ tipos: ['simetria'] });
+
+        const removida = achar('file_relatorio', 'derivaDe', 'file_ata');
+        expect(await store.removerTripla(removida.id)).toBe(true);
+
+        expect(achar('file_relatorio', 'derivaDe', 'file_ata')).toBeUndefined();
+        expect(achar('file_relatorio', 'derivaDe', 'file_origem')).toBeUndefined();
+
+        // Ainda provada pelo caminho via file_rascunho
+        const alternativa = achar('file_resumo', 'derivaDe', 'file_ata');
+        expect(alternativa.metadados.prova).toEqual(['file_resumo derivaDe file_rascunho', 'file_rascunho derivaDe file_ata']);
+        expect(achar('file_resumo', 'derivaDe', 'file_origem')).toBeDefined();
+        expect(store.buscar({ presente: 'derivaDe' })).toHaveLength(7);
+
+        const todas = store.exportarTodas();
+        expect(KC.TripleSchema.validarConsistencia(todas).filter(i => i.tipo === 'prova_quebrada')).toEqual([]);
+        expect(KC.EventBus.emit).toHaveBeenCalledWith('tripla:removed', expect.objectContaining({ cascata: true }));
+
+        // Sem nenhuma prova restante, a cascata leva tudo
+        await store.removerTripla(achar('file_ata', 'derivaDe', 'file_origem').id);
+        expect(store.exportarTodas().filter(t => t.metadados.derivada).map(t => t.metadados.prova.join(' + '))).toEqual([
+            'file_resumo derivaDe file_rascunho + file_rascunho derivaDe file_ata'
+        ]);
+
+        // Prova quebrada e tipos conflitantes aparecem na validação
+        const orfa = { ...alternativa, metadados: { ...alternativa.metadados, premissas: ['tripla_sumiu'] } };
+        const tipos = [
+            { legado: { valor: 'file_x' }, presente: { valor: 'ehDoTipo' }, objetivo: { valor: 'arquivo' }, metadados: {} },
+            { legado: { valor: 'file_x' }, presente: { valor: 'ehDoTipo' }, objetivo: { valor: 'categoria' }, metadados: {} }
+        ];
+        expect(KC.TripleSchema.validarConsistencia([orfa, ...tipos]).map(i => i.tipo)).toEqual(['prova_quebrada', 'tipos_conflitantes']);
+    });
+
+    test('should re-derive only the retracted conclusions on removal', async () => {
+        await base([
+            ['file_resumo', 'derivaDe', 'file_relatorio'],
+            ['file_relatorio', 'derivaDe', 'file_ata'],
+            ['file_resumo', 'derivaDe', 'file_rascunho'],
+            ['file_rascunho', 'derivaDe', 'file_ata']
+        ]);
+        await store.inferir({ tipos: ['transitividade'] });
+
+        // Base nova, ainda não inferida: remover outra tripla não pode concluir nada sobre ela
+        await base([
+            ['file_nota', 'derivaDe', 'file_email'],
+            ['file_email', 'derivaDe', 'file_anexo']
+        ]);
+        const antes = store.exportarTodas().length;
+
+        await store.removerTripla(achar('file_relatorio', 'derivaDe', 'file_ata').id);
+
+        expect(achar('file_resumo', 'derivaDe', 'file_ata').metadados.prova)
+            .toEqual(['file_resumo derivaDe file_rascunho', 'file_rascunho derivaDe file_ata']);
+        expect(achar('file_nota', 'derivaDe', 'file_anexo')).toBeUndefined();
+        expect(store.exportarTodas()).toHaveLength(antes - 1);
+    });
+
+    test('should carry proofs into RDF exports and work without a store', async () => {
+        await base([
+            ['file_resumo', 'derivaDe', 'file_relatorio'],
+            ['file_relatorio', 'derivaDe', 'file_ata']
+        ]);
+        await store.inferir({ tipos: ['transitividade'] });
+        const derivada = achar('file_resumo', 'derivaDe', 'file_ata');
+        const [p1, p2] = derivada.metadados.premissas;
+
+        const nt = store.exportarRDF('ntriples').split('\n');
+        expect(nt).toContain(`<urn:kc:tripla:${derivada.id}> <urn:kc:vocab:premissa> <urn:kc:tripla:${p1}> .`);
+        expect(nt).toContain(`<urn:kc:tripla:${derivada.id}> <urn:kc:vocab:premissa> <urn:kc:tripla:${p2}> .`);
+        expect(nt).toContain(`<urn:kc:tripla:${derivada.id}> <urn:kc:vocab:derivada> "true"^^<http://www.w3.org/2001/XMLSchema#boolean> .`);
+
+        const semDerivadas = store.exportarRDF('ntriples', { derivadas: false, metadados: false });
+        expect(semDerivadas.trim().split('\n')).toHaveLength(2);
+
+        // Na importação as inferidas ficam de fora (premissas mudam de id)
+        expect(KC.TripleRDF.importar(store.exportarRDF('turtle')).find(t => t.metadados.derivada).metadados.premissas).toEqual([p1, p2]);
+        const destino = new KC.TripleStoreManager();
+        destino.config.autoSave = false;
+        expect(await destino.importarRDF(store.exportarRDF('turtle'))).toMatchObject({ importadas: 2, derivadas: 1 });
+
+        // Sem store (RelationshipExtractor): só regras de Horn, condições ligadas ao mesmo arquivo
+        const triplas = [
+            ['file_1', 'foiAnalisadoComo', 'Breakthrough Técnico'],
+            ['file_1', 'possuiRelevancia', 0.9],
+            ['file_2', 'contemPalavraChave', 'urgente'],
+            ['file_1', 'derivaDe', 'file_2'],
+            ['file_2', 'derivaDe', 'file_3']
+        ].map(([legado, presente, objetivo]) => ({
+            legado: { tipo: 'SYS.R', valor: legado },
+            presente: { tipo: 'SUB.R', valor: presente },
+            objetivo: { tipo: 'ACT.R', valor: objetivo },
+            metadados: { fonte: 'extracao', confianca: 1 }
+        }));
+        const inferidas = KC.TripleSchema.aplicarInferencia(triplas);
+
+        expect(inferidas).toHaveLength(1);
+        expect(inferidas[0]).toMatchObject({
+            legado: { valor: 'file_1' },
+            presente: { valor: 'sugeridaCategoria' },
+            objetivo: { valor: 'tech' },
+            metadados: { fonte: 'inferencia', regra: 'categoria_por_analise', confianca: 0.8, prova: ['file_1 foiAnalisadoComo Breakthrough Técnico'] }
+        });
+        expect(inferidas[0].id).toBeUndefined();
+        expect(inferidas[0].metadados.premissas).toBeUndefined();
+        expect(inferidas[0].metadados.timestamp).toBeDefined();
+    });
+});
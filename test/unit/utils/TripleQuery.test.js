@@ -0,0 +1,158 @@
+/**
+ * TripleQuery.test.js
+ * Unit tests for TripleQuery - SPARQL-like queries over the TripleStoreManager
+ *
+ * Tests cover:
+ * - Multi-pattern joins on variables and property paths (sequence, inverse, repetition)
+ * - OPTIONAL patterns, FILTER expressions, ORDER BY / DISTINCT / LIMIT
+ * - Metadata and confidence constraints on patterns
+ * - Index-driven evaluation and syntax errors with position
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+describe('TripleQuery', () => {
+    let store;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = {
+            Logger: mockLogger,
+            EventBus: { on: jest.fn(), emit: jest.fn() },
+            Events: {},
+            AppState: { get: jest.fn(), set: jest.fn() }
+        };
+        require('../../../js/schemas/TripleSchema.js');
+        require('../../../js/utils/TripleQuery.js');
+        require('../../../js/managers/TripleStoreManager.js');
+
+        store = new window.KnowledgeConsolidator.TripleStoreManager();
+        store.config.autoSave = false;
+
+        const triplas = [
+            ['file_resumo', 'derivaDe', 'file_relatorio'],
+            ['file_relatorio', 'derivaDe', 'file_ata'],
+            ['file_nota', 'derivaDe', 'file_ata'],
+            ['file_relatorio', 'pertenceCategoria', 'estrategico'],
+            ['file_ata', 'pertenceCategoria', 'tecnico'],
+            ['file_resumo', 'temNome', 'resumo.md'],
+            ['file_relatorio', 'temNome', 'relatorio.md'],
+            ['file_ata', 'temNome', 'ata-reuniao.md'],
+            ['file_resumo', 'possuiRelevancia', 0.8],
+            ['file_nota', 'possuiRelevancia', 0.3],
+            ['file_resumo', 'sugeridaCategoria', 'estrategico', { fonte: 'sugestao_categoria', confianca: 0.9 }],
+            ['file_nota', 'sugeridaCategoria', 'estrategico', { fonte: 'sugestao_categoria', confianca: 0.4 }],
+            ['file_nota', 'sugeridaCategoria', 'tecnico', { fonte: 'analise_ia', confianca: 0.7 }]
+        ];
+        for (const [legado, presente, objetivo, metadados] of triplas) {
+            await store.adicionarTripla(legado, presente, objetivo, metadados);
+        }
+    });
+
+    function valores(resultado, variavel) {
+        return resultado.resultados.map(linha => linha[variavel]);
+    }
+
+    test('should join patterns on variables and follow property paths', () => {
+        const caminho = store.consultar('SELECT ?f WHERE { ?f derivaDe/pertenceCategoria estrategico }');
+        const juncao = store.consultar(`
+            SELECT ?f ?origem WHERE {
+                ?origem pertenceCategoria estrategico .
+                ?f derivaDe ?origem .
+            }
+        `);
+
+        expect(valores(caminho, 'f')).toEqual(['file_resumo']);
+        expect(juncao.resultados).toEqual([{ f: 'file_resumo', origem: 'file_relatorio' }]);
+
+        // Repetição e inverso
+        const ancestrais = store.consultar('SELECT ?o WHERE { file_resumo derivaDe+ ?o } ORDER BY ?o');
+        expect(valores(ancestrais, 'o')).toEqual(['file_ata', 'file_relatorio']);
+
+        const derivados = store.consultar('SELECT ?f WHERE { file_ata ^derivaDe* ?f } ORDER BY ?f');
+        expect(valores(derivados, 'f')).toEqual(['file_ata', 'file_nota', 'file_relatorio', 'file_resumo']);
+
+        const alternativa = store.consultar('SELECT DISTINCT ?c WHERE { ?f (pertenceCategoria|sugeridaCategoria) ?c } ORDER BY ?c');
+        expect(valores(alternativa, 'c')).toEqual(['estrategico', 'tecnico']);
+
+        // Os dois lados livres partem dos nós do primeiro passo
+        const pares = store.consultar('SELECT * WHERE { ?a derivaDe/derivaDe ?b }');
+        expect(pares).toMatchObject({ variaveis: ['a', 'b'], resultados: [{ a: 'file_resumo', b: 'file_ata' }], total: 1 });
+    });
+
+    test('should keep solutions without OPTIONAL matches and apply filters', () => {
+        const resultado = store.consultar(`
+            SELECT ?f ?nome ?rel WHERE {
+                ?f derivaDe ?origem .
+                OPTIONAL { ?f temNome ?nome }
+                OPTIONAL { ?f possuiRelevancia ?rel }
+            }
+            ORDER BY DESC(?rel) ?f
+        `);
+        expect(resultado.resultados).toEqual([
+            { f: 'file_resumo', nome: 'resumo.md', rel: 0.8 },
+            { f: 'file_nota', nome: null, rel: 0.3 },
+            { f: 'file_relatorio', nome: 'relatorio.md', rel: null }
+        ]);
+
+        const semNome = store.consultar('SELECT ?f WHERE { ?f derivaDe ?o OPTIONAL { ?f temNome ?n } FILTER(!bound(?n)) }');
+        expect(valores(semNome, 'f')).toEqual(['file_nota']);
+
+        const filtrado = store.consultar(`
+            SELECT ?f WHERE {
+                ?f temNome ?nome .
+                FILTER(regex(?nome, "^RE", "i") && !contains(?nome, "resumo") || ?nome = "ata-reuniao.md")
+            } ORDER BY ?f
+        `);
+        expect(valores(filtrado, 'f')).toEqual(['file_ata', 'file_relatorio']);
+
+        const pagina = store.consultar('SELECT ?f WHERE { ?f temNome ?n } ORDER BY ?n LIMIT 1 OFFSET 1');
+        expect(pagina).toMatchObject({ resultados: [{ f: 'file_relatorio' }], total: 3 });
+
+        // Comparação numérica (0.8 > 0.5), não textual
+        expect(valores(store.consultar('SELECT ?f WHERE { ?f possuiRelevancia ?r FILTER(?r > 0.5) }'), 'f'))
+            .toEqual(['file_resumo']);
+    });
+
+    test('should filter on metadata and confidence', () => {
+        const confiaveis = store.consultar(`
+            SELECT ?f ?conf WHERE {
+                ?f sugeridaCategoria estrategico [confianca >= 0.7, confianca AS ?conf] .
+            }
+        `);
+        expect(confiaveis.resultados).toEqual([{ f: 'file_resumo', conf: 0.9 }]);
+
+        const porFonte = store.consultar(`
+            SELECT ?f ?c ?fonte WHERE { ?f sugeridaCategoria ?c [fonte != "sugestao_categoria", fonte AS ?fonte] }
+        `);
+        expect(porFonte.resultados).toEqual([{ f: 'file_nota', c: 'tecnico', fonte: 'analise_ia' }]);
+
+        // Predicado como variável
+        const predicados = store.consultar('SELECT DISTINCT ?p WHERE { file_nota ?p ?o } ORDER BY ?p');
+        expect(valores(predicados, 'p')).toEqual(['derivaDe', 'possuiRelevancia', 'sugeridaCategoria']);
+    });
+
+    test('should use the indices and report syntax errors with position', () => {
+        const varredura = jest.spyOn(store.triplas, 'values');
+        store.consultar('SELECT ?f WHERE { ?f derivaDe/pertenceCategoria estrategico . ?f temNome ?n }');
+        store.consultar('SELECT ?o WHERE { file_resumo derivaDe+ ?o }');
+        expect(varredura).not.toHaveBeenCalled();
+
+        expect(() => store.consultar('SELECT ?f WHERE { ?f temNome }')).toThrow(/esperado \?variavel ou valor \(posição 29\)/);
+        expect(() => store.consultar('SELECT WHERE { ?f temNome ?n }')).toThrow('SELECT sem variáveis');
+        expect(() => store.consultar('SELECT ?f { ?f derivaDe+ ?o [confianca > 1] }')).toThrow('predicados simples');
+        expect(() => store.consultar('SELECT ?f { ?f temNome ?n FILTER(tamanho(?n)) }')).toThrow("função desconhecida 'tamanho'");
+
+        try {
+            store.consultar('SELECT ?f { ?f temNome "sem fim }');
+        } catch (error) {
+            expect(error).toMatchObject({ code: 'TRIPLE_QUERY_SYNTAX', posicao: 23 });
+        }
+        expect.assertions(6);
+    });
+});
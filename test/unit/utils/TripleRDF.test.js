@@ -0,0 +1,212 @@
+/**
+ * TripleRDF.test.js
+ * Unit tests for TripleRDF - RDF export/import of the TripleStoreManager
+ *
+ * Tests cover:
+ * - N-Triples, Turtle and JSON-LD export with typed literals and reified metadata
+ * - Round trip of triples and metadata through each format, skipping duplicates
+ * - TripleSchema predicates published as an RDFS/OWL vocabulary
+ * - Import of third-party Turtle/JSON-LD and syntax errors with line number
+ * - Imported timestamp/confianca kept and external IRIs typed with vocabulary classes
+ */
+
+const mockLogger = {
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+};
+
+describe('TripleRDF', () => {
+    let KC;
+    let store;
+
+    function criarStore() {
+        const novo = new KC.TripleStoreManager();
+        novo.config.autoSave = false;
+        return novo;
+    }
+
+    function resumo(triplas) {
+        return triplas
+            .map(t => [t.legado.valor, t.presente.valor, t.objetivo.valor, t.metadados.fonte, t.metadados.confianca])
+            .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+    }
+
+    beforeEach(async () => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = KC = {
+            Logger: mockLogger,
+            EventBus: { on: jest.fn(), emit: jest.fn() },
+            Events: {},
+            AppState: { get: jest.fn(), set: jest.fn() }
+        };
+        require('../../../js/schemas/TripleSchema.js');
+        require('../../../js/utils/TripleRDF.js');
+        require('../../../js/managers/TripleStoreManager.js');
+
+        store = criarStore();
+        await store.adicionarTripla('file_resumo', 'derivaDe', 'file_relatorio');
+        await store.adicionarTripla('file_resumo', 'temNome', 'resumo "final".md');
+        await store.adicionarTripla('file_resumo', 'possuiRelevancia', 0.8, { fonte: 'analise_ia', confianca: 0.75 });
+        await store.adicionarTripla('file_resumo', 'foiAnalisadoComo', 'Breakthrough Técnico', {
+            fonte: 'analise_ia',
+            analise: { modelo: 'local', tokens: 120 }
+        });
+    });
+
+    test('should export N-Triples and Turtle with typed literals and reified metadata', () => {
+        const nt = store.exportarRDF('ntriples');
+        const linhas = nt.trim().split('\n');
+
+        expect(linhas).toContain('<urn:kc:entity:file_resumo> <urn:kc:vocab:derivaDe> <urn:kc:entity:file_relatorio> .');
+        expect(linhas).toContain('<urn:kc:entity:file_resumo> <urn:kc:vocab:temNome> "resumo \\"final\\".md" .');
+        expect(linhas).toContain('<urn:kc:entity:file_resumo> <urn:kc:vocab:possuiRelevancia> "0.8"^^<http://www.w3.org/2001/XMLSchema#decimal> .');
+        // Entidade com espaço e acento vira IRI codificado
+        expect(linhas).toContain('<urn:kc:entity:file_resumo> <urn:kc:vocab:foiAnalisadoComo> <urn:kc:entity:Breakthrough%20T%C3%A9cnico> .');
+
+        const relevancia = store.buscar({ presente: 'possuiRelevancia' })[0];
+        const declaracao = `<urn:kc:tripla:${relevancia.id}>`;
+        expect(linhas).toContain(`${declaracao} <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://www.w3.org/1999/02/22-rdf-syntax-ns#Statement> .`);
+        expect(linhas).toContain(`${declaracao} <urn:kc:vocab:confianca> "0.75"^^<http://www.w3.org/2001/XMLSchema#decimal> .`);
+        expect(linhas).toContain(`${declaracao} <urn:kc:vocab:fonte> "analise_ia" .`);
+        expect(nt).toContain('<urn:kc:vocab:metadados> "{\\"analise\\":{\\"modelo\\":\\"local\\",\\"tokens\\":120}}"^^<http://www.w3.org/1999/02/22-rdf-syntax-ns#JSON>');
+
+        const semMetadados = store.exportarRDF('nt', { metadados: false });
+        expect(semMetadados.trim().split('\n')).toHaveLength(4);
+
+        const ttl = store.exportarRDF('turtle');
+        expect(ttl).toMatch(/^@prefix rdf: <http:\/\/www\.w3\.org\/1999\/02\/22-rdf-syntax-ns#> \./);
+        expect(ttl).toContain('kce:file_resumo\n    kc:derivaDe kce:file_relatorio ;\n    kc:temNome "resumo \\"final\\".md" ;\n    kc:possuiRelevancia 0.8 ;');
+        expect(ttl).toContain('kc:foiAnalisadoComo kce:Breakthrough%20T%C3%A9cnico .');
+        expect(ttl).toContain('    a rdf:Statement ;');
+
+        expect(() => store.exportarRDF('rdfxml')).toThrow('Formato RDF não suportado: rdfxml');
+    });
+
+    test('should round trip triples and metadata through every format', async () => {
+        const esperado = resumo(store.exportarTodas());
+        expect(esperado).toContainEqual(['file_resumo', 'possuiRelevancia', 0.8, 'analise_ia', 0.75]);
+
+        for (const formato of ['ntriples', 'turtle', 'jsonld']) {
+            const destino = criarStore();
+            const resultado = await destino.importarRDF(store.exportarRDF(formato));
+
+            expect(resultado).toEqual({ importadas: 4, duplicadas: 0, derivadas: 0, erros: [] });
+            expect(resumo(destino.exportarTodas())).toEqual(esperado);
+            expect(destino.buscar({ presente: 'foiAnalisadoComo' })[0].metadados.analise).toEqual({ modelo: 'local', tokens: 120 });
+
+            // Reimportar não duplica
+            expect(await destino.importarRDF(store.exportarRDF(formato), formato)).toMatchObject({ importadas: 0, duplicadas: 4 });
+        }
+
+        const jsonld = JSON.parse(store.exportarRDF('jsonld'));
+        expect(jsonld['@context']).toMatchObject({ kc: 'urn:kc:vocab:', kce: 'urn:kc:entity:' });
+        expect(jsonld['@graph'][0]).toMatchObject({
+            '@id': 'kce:file_resumo',
+            'kc:derivaDe': [{ '@id': 'kce:file_relatorio' }],
+            'kc:possuiRelevancia': [{ '@value': '0.8', '@type': 'xsd:decimal' }]
+        });
+    });
+
+    test('should publish the TripleSchema predicates as a vocabulary', () => {
+        const vocabulario = store.exportarVocabulario('turtle');
+
+        expect(vocabulario).toContain('kc:derivaDe\n    a rdf:Property, owl:TransitiveProperty ;');
+        expect(vocabulario).toMatch(/kc:pertenceCategoria\n(.+\n)*?    rdfs:domain kc:Arquivo ;\n    rdfs:range kc:Categoria ;\n    owl:inverseOf kc:contemArquivos \./);
+        expect(vocabulario).toMatch(/kc:possuiRelevancia\n(.+\n)*?    rdfs:range xsd:decimal/);
+        expect(vocabulario).toContain('kc:Arquivo\n    a rdfs:Class ;\n    rdfs:label "arquivo" .');
+        expect(vocabulario).not.toContain('kc:Numero');
+        expect(vocabulario).toContain('kc:confianca\n    a rdf:Property ;\n    rdfs:domain rdf:Statement ;\n    rdfs:range xsd:decimal ;');
+
+        // O vocabulário parseia de volta e, sozinho, não vira dados
+        expect(KC.TripleRDF.importar(vocabulario, 'turtle')).toEqual([]);
+
+        const comVocabulario = JSON.parse(store.exportarRDF('jsonld', { vocabulario: true }));
+        expect(comVocabulario['@graph']).toContainEqual(expect.objectContaining({ '@id': 'kc:derivaDe', '@type': ['rdf:Property', 'owl:TransitiveProperty'] }));
+    });
+
+    test('should import third-party Turtle and JSON-LD and report syntax errors', () => {
+        const turtle = `
+            @prefix ex: <http://example.org/> .
+            PREFIX kc: <urn:kc:vocab:>
+            # comentário
+            ex:doc1 a ex:Relatorio ;
+                kc:temNome "Relatório"@pt , """linha 1
+linha 2""" ;
+                kc:possuiRelevancia 1 ;
+                ex:autor [ ex:nome 'Ana' ] .
+            <http://example.org/doc2> kc:derivaDe ex:doc1 .
+        `;
+        const triplas = KC.TripleRDF.importar(turtle);
+        expect(triplas.map(t => [t.legado.valor, t.presente.valor, t.objetivo.valor])).toEqual([
+            ['http://example.org/doc1', 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', 'http://example.org/Relatorio'],
+            ['http://example.org/doc1', 'temNome', 'Relatório'],
+            ['http://example.org/doc1', 'temNome', 'linha 1\nlinha 2'],
+            ['http://example.org/doc1', 'possuiRelevancia', 1],
+            ['_:b0', 'http://example.org/nome', 'Ana'],
+            ['http://example.org/doc1', 'http://example.org/autor', '_:b0'],
+            ['http://example.org/doc2', 'derivaDe', 'http://example.org/doc1']
+        ]);
+        expect(triplas[0].metadados).toEqual({ fonte: 'importacao_rdf' });
+
+        // Mesmo formato do SchemaOrgMapper.exportAsJsonLD (contexto remoto vira @vocab)
+        const jsonld = {
+            '@context': ['https://schema.org', { kc: 'urn:kc:vocab:', derivaDe: { '@id': 'kc:derivaDe', '@type': '@id' } }],
+            '@graph': [{
+                '@id': 'http://example.org/doc3',
+                '@type': 'DigitalDocument',
+                name: 'doc3.md',
+                derivaDe: 'http://example.org/doc1',
+                keywords: ['ia', 'rdf'],
+                wordCount: 42
+            }]
+        };
+        expect(KC.TripleRDF.importar(JSON.stringify(jsonld)).map(t => [t.presente.valor, t.objetivo.valor])).toEqual([
+            ['http://www.w3.org/1999/02/22-rdf-syntax-ns#type', 'https://schema.org/DigitalDocument'],
+            ['https://schema.org/name', 'doc3.md'],
+            ['derivaDe', 'http://example.org/doc1'],
+            ['https://schema.org/keywords', 'ia'],
+            ['https://schema.org/keywords', 'rdf'],
+            ['https://schema.org/wordCount', 42]
+        ]);
+
+        expect(KC.TripleRDF.detectarFormato('', 'grafo.ttl')).toBe('turtle');
+        expect(KC.TripleRDF.detectarFormato('<a> <b> <c> .')).toBe('ntriples');
+
+        expect(() => KC.TripleRDF.importar('<urn:a> <urn:b> "sem fim .\n', 'nt')).toThrow(/RDF inválido: quebra de linha em texto curto \(linha 1\)/);
+        expect(() => KC.TripleRDF.importar('@prefix ex: <http://example.org/> .\nex:a foo:b ex:c .', 'turtle'))
+            .toThrow(expect.objectContaining({ code: 'TRIPLE_RDF_SYNTAX', linha: 2 }));
+        expect(() => KC.TripleRDF.importar('{"@graph": [', 'jsonld')).toThrow('JSON-LD com JSON inválido');
+    });
+
+    test('should keep imported metadata and map typed external IRIs to project entities', async () => {
+        const nt = [
+            '<urn:kc:entity:file_a> <urn:kc:vocab:derivaDe> <urn:kc:entity:file_b> .',
+            '<urn:kc:tripla:t1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://www.w3.org/1999/02/22-rdf-syntax-ns#Statement> .',
+            '<urn:kc:tripla:t1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#subject> <urn:kc:entity:file_a> .',
+            '<urn:kc:tripla:t1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#predicate> <urn:kc:vocab:derivaDe> .',
+            '<urn:kc:tripla:t1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#object> <urn:kc:entity:file_b> .',
+            '<urn:kc:tripla:t1> <urn:kc:vocab:confianca> "0"^^<http://www.w3.org/2001/XMLSchema#decimal> .',
+            '<urn:kc:tripla:t1> <urn:kc:vocab:timestamp> "2024-01-02T03:04:05.000Z"^^<http://www.w3.org/2001/XMLSchema#dateTime> .'
+        ].join('\n');
+        const destino = criarStore();
+        await destino.importarRDF(nt, 'ntriples');
+        expect(destino.buscar({ legado: 'file_a' })[0].metadados).toMatchObject({ confianca: 0, timestamp: '2024-01-02T03:04:05.000Z' });
+
+        const turtle = `
+            @prefix ex: <http://example.org/> .
+            @prefix kc: <urn:kc:vocab:> .
+            ex:doc1 a kc:Arquivo .
+            ex:doc2 a kc:Arquivo ; kc:derivaDe ex:doc1 .
+            ex:doc3 kc:derivaDe ex:doc1 .
+        `;
+        const resultado = await destino.importarRDF(turtle, 'turtle');
+
+        expect(destino.existeTripla('file_http://example.org/doc2', 'derivaDe', 'file_http://example.org/doc1')).toBe(true);
+        expect(resultado.erros).toEqual([expect.objectContaining({
+            tripla: 'http://example.org/doc3 derivaDe file_http://example.org/doc1',
+            erro: expect.stringContaining('Domínio inválido para derivaDe')
+        })]);
+    });
+});
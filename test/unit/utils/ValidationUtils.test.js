@@ -0,0 +1,52 @@
+/**
+ * ValidationUtils.test.js
+ * Unit tests for ValidationUtils - JSON Schema subset used by structured output
+ *
+ * Tests cover:
+ * - Types (integer as number), enums, ranges and string/array lengths
+ * - Required fields, additionalProperties and nested error paths
+ */
+
+describe('ValidationUtils', () => {
+    let utils;
+
+    beforeEach(() => {
+        jest.resetModules();
+        window.KnowledgeConsolidator = {};
+        require('../../../js/utils/ValidationUtils.js');
+        utils = window.KnowledgeConsolidator.ValidationUtils;
+    });
+
+    const schema = {
+        type: 'object',
+        properties: {
+            summary: { type: 'string', minLength: 1 },
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            level: { type: 'string', enum: ['baixa', 'media', 'alta'] },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+        },
+        required: ['summary', 'score'],
+        additionalProperties: false
+    };
+
+    test('should accept a valid object, treating integers as numbers', () => {
+        expect(utils.validateSchema({ summary: 'ok', score: 1, tags: ['a'] }, schema)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report every violation with its path', () => {
+        const { valid, errors } = utils.validateSchema(
+            { score: 1.5, level: 'extrema', tags: ['a', 2, 'c'], extra: true },
+            schema
+        );
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual(expect.arrayContaining([
+            '$.summary: campo obrigatório ausente',
+            '$.score: deve ser <= 1',
+            '$.level: valor "extrema" fora de [baixa, media, alta]',
+            '$.tags: máximo de 2 itens',
+            '$.tags[1]: esperado string, recebido integer',
+            '$.extra: campo não previsto no schema'
+        ]));
+    });
+});
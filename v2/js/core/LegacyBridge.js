@@ -243,6 +243,16 @@ export class LegacyBridge {
         }
         return null;
       },
+
+      // Async iterator of { type: 'delta' | 'result' } events; null when V1 cannot stream
+      analyzeStream: (file, options = {}) => {
+        const manager = this.v1?.AIAPIManager;
+        if (!manager?.analyzeStream) return null;
+
+        // Provider resolved per call; the V1 active provider is left untouched
+        const { provider, ...rest } = options;
+        return manager.analyzeStream(file, provider && manager.providers?.[provider] ? options : rest);
+      },
       
       getAnalysisTypes: () => {
         if (this.v1?.AnalysisTypes) {
@@ -50,6 +50,11 @@ export class AnalysisView {
     // Terminal output
     this.terminalLines = [];
     this.maxTerminalLines = 1000;
+    this.lineCounter = 0;
+    this.maxStreamChars = 4000;   // Tail of the streamed output kept in a live line
+    
+    // Stream in progress: { controller, item }
+    this.activeStream = null;
     
     // Progress tracking
     this.progress = {
@@ -478,6 +483,9 @@ export class AnalysisView {
             <button class="btn-icon" id="toggle-autoscroll" title="Toggle Auto-scroll">
               📜
             </button>
+            <button class="btn-icon" id="cancel-stream" title="Cancel Stream" ${this.activeStream ? '' : 'disabled'}>
+              ⏹️
+            </button>
           </div>
         </div>
         
@@ -503,7 +511,7 @@ export class AnalysisView {
     }[levelClass] || 'ℹ️';
     
     return `
-      <div class="terminal-line ${levelClass}">
+      <div class="terminal-line ${levelClass}${line.streaming ? ' streaming' : ''}" data-line-id="${line.id}">
         <span class="terminal-timestamp">[${timestamp}]</span>
         <span class="terminal-icon">${icon}</span>
         <span class="terminal-message">${this.escapeHtml(line.message)}</span>
@@ -672,6 +680,10 @@ export class AnalysisView {
       this.exportLogs();
     });
     
+    document.getElementById('cancel-stream')?.addEventListener('click', () => {
+      this.cancelStream();
+    });
+    
     // Provider cards
     document.querySelectorAll('.provider-card').forEach(card => {
       card.addEventListener('click', () => {
@@ -787,15 +799,24 @@ export class AnalysisView {
     try {
       this.addTerminalLine(`Analyzing: ${item.file.name}`, 'info');
       
-      // Call V1 analysis
-      const result = await legacyBridge.executeV1Function(
-        'AnalysisManager.analyzeFile',
-        item.file,
-        {
-          provider: this.config.provider,
-          template: this.config.template
-        }
-      );
+      // Stream tokens when V1 supports it, otherwise wait for the full result
+      const controller = new AbortController();
+      const stream = legacyBridge.getService('analysis').analyzeStream(item.file, {
+        provider: this.config.provider,
+        template: this.config.template,
+        signal: controller.signal
+      });
+      
+      const result = stream ?
+        await this.consumeStream(item, stream, controller) :
+        await legacyBridge.executeV1Function(
+          'AnalysisManager.analyzeFile',
+          item.file,
+          {
+            provider: this.config.provider,
+            template: this.config.template
+          }
+        );
       
       item.status = 'completed';
       item.result = result;
@@ -806,6 +827,15 @@ export class AnalysisView {
       this.addTerminalLine(`✅ ${item.file.name}: ${result.analysisType} (+${result.relevanceBoost}%)`, 'success');
       
     } catch (error) {
+      // Cancelled by the user: back to the queue, no retry
+      if (error.code === 'STREAM_CANCELLED') {
+        item.status = 'pending';
+        item.progress = 0;
+        this.addTerminalLine(`⏹️ ${item.file.name}: stream cancelled`, 'warning');
+        this.updateProgressDisplay();
+        return;
+      }
+      
       item.status = 'failed';
       item.error = error.message;
       item.attempts++;
@@ -830,6 +860,7 @@ export class AnalysisView {
    */
   stopAnalysis() {
     this.processing = false;
+    this.cancelStream();
     this.addTerminalLine('Analysis stopped by user', 'warning');
     
     // Reset processing items to pending
@@ -947,6 +978,7 @@ export class AnalysisView {
    */
   addTerminalLine(message, level = 'info') {
     const line = {
+      id: ++this.lineCounter,
       timestamp: Date.now(),
       message,
       level
@@ -961,6 +993,86 @@ export class AnalysisView {
     
     // Update terminal display
     this.updateTerminalDisplay();
+    
+    return line;
+  }
+
+  /**
+   * Consume an analysis stream, rendering partial output in a live terminal line
+   */
+  async consumeStream(item, stream, controller) {
+    this.activeStream = { controller, item };
+    this.setStreamControls(true);
+    
+    const line = this.addTerminalLine(`${item.file.name} ▸ `, 'debug');
+    line.streaming = true;
+    this.refreshTerminalLine(line);
+    
+    let result = null;
+    let tokens = 0;
+    
+    try {
+      for await (const event of stream) {
+        if (event.type === 'delta') {
+          tokens++;
+          item.progress = Math.min(90, 10 + tokens);
+          this.updateStreamLine(line, item, event.content);
+        } else if (event.type === 'result') {
+          result = event.analysis;
+        }
+      }
+    } finally {
+      line.streaming = false;
+      this.refreshTerminalLine(line);
+      this.activeStream = null;
+      this.setStreamControls(false);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Update the live line with the tail of the streamed text (once per frame)
+   */
+  updateStreamLine(line, item, content) {
+    const text = content.length > this.maxStreamChars ?
+      '…' + content.slice(-this.maxStreamChars) :
+      content;
+    line.message = `${item.file.name} ▸ ${text}`;
+    
+    if (line.pendingFrame) return;
+    line.pendingFrame = requestAnimationFrame(() => {
+      line.pendingFrame = null;
+      this.refreshTerminalLine(line);
+    });
+  }
+
+  /**
+   * Re-render a single terminal line in place
+   */
+  refreshTerminalLine(line) {
+    const terminal = document.getElementById('terminal-output');
+    const element = terminal?.querySelector(`[data-line-id="${line.id}"]`);
+    if (!element) return;
+    
+    element.outerHTML = this.renderTerminalLine(line);
+    terminal.scrollTop = terminal.scrollHeight;
+  }
+
+  /**
+   * Cancel the stream in progress (aborts the provider request)
+   */
+  cancelStream() {
+    if (!this.activeStream) return;
+    this.activeStream.controller.abort();
+  }
+
+  /**
+   * Enable/disable the cancel button
+   */
+  setStreamControls(streaming) {
+    const button = document.getElementById('cancel-stream');
+    if (button) button.disabled = !streaming;
   }
 
   /**